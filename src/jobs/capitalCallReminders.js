@@ -6,13 +6,18 @@
  * 2. Sending payment reminders 3 days before deadline
  * 3. Sending payment reminders 1 day before deadline
  * 4. Sending final reminders on the deadline date
+ *    (installment calls are reminded per installment due date instead)
+ * 5. Defaulting allocations still unpaid after the structure's grace period
+ *    and accruing late interest on open defaults
  *
  * Only sends reminders to investors who haven't fully paid.
  */
 
 const cron = require('node-cron');
 const CapitalCall = require('../models/supabase/capitalCall');
+const CapitalCallInstallment = require('../models/supabase/capitalCallInstallment');
 const { sendEmail } = require('../utils/emailSender');
+const { processCapitalCallDefaults, getOverdueSince } = require('../services/capitalCallDefaultService');
 
 // Email template configurations
 const EMAIL_TEMPLATES = {
@@ -88,6 +93,7 @@ ${data.fundName} Administration
 
         <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f59e0b;">
           <h3 style="margin-top: 0; color: #92400e;">Payment Details</h3>
+          ${data.installmentLabel ? `<p><strong>Installment:</strong> ${data.installmentLabel}</p>` : ''}
           <p><strong>Amount Outstanding:</strong> ${data.currency} ${data.remainingAmount.toLocaleString()}</p>
           <p><strong>Payment Deadline:</strong> ${data.deadlineDate}</p>
         </div>
@@ -107,7 +113,7 @@ Dear ${data.investorName},
 This is a friendly reminder that your capital call payment for ${data.fundName} is due in 3 days.
 
 Payment Details:
-- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
+${data.installmentLabel ? `- Installment: ${data.installmentLabel}\n` : ''}- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
 - Payment Deadline: ${data.deadlineDate}
 
 Please ensure your payment is submitted before the deadline.
@@ -129,6 +135,7 @@ ${data.fundName} Administration
 
         <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
           <h3 style="margin-top: 0; color: #991b1b;">Immediate Action Required</h3>
+          ${data.installmentLabel ? `<p><strong>Installment:</strong> ${data.installmentLabel}</p>` : ''}
           <p><strong>Amount Outstanding:</strong> ${data.currency} ${data.remainingAmount.toLocaleString()}</p>
           <p><strong>Payment Deadline:</strong> ${data.deadlineDate}</p>
         </div>
@@ -148,7 +155,7 @@ Dear ${data.investorName},
 Your capital call payment for ${data.fundName} is due TOMORROW.
 
 Immediate Action Required:
-- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
+${data.installmentLabel ? `- Installment: ${data.installmentLabel}\n` : ''}- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
 - Payment Deadline: ${data.deadlineDate}
 
 Please submit your payment immediately to avoid any late fees or penalties.
@@ -170,6 +177,7 @@ ${data.fundName} Administration
 
         <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
           <h3 style="margin-top: 0; color: #991b1b;">Payment Due Today</h3>
+          ${data.installmentLabel ? `<p><strong>Installment:</strong> ${data.installmentLabel}</p>` : ''}
           <p><strong>Amount Outstanding:</strong> ${data.currency} ${data.remainingAmount.toLocaleString()}</p>
           <p><strong>Payment Deadline:</strong> TODAY (${data.deadlineDate})</p>
         </div>
@@ -191,7 +199,7 @@ Dear ${data.investorName},
 Your capital call payment for ${data.fundName} is due TODAY.
 
 Payment Due Today:
-- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
+${data.installmentLabel ? `- Installment: ${data.installmentLabel}\n` : ''}- Amount Outstanding: ${data.currency} ${data.remainingAmount.toLocaleString()}
 - Payment Deadline: TODAY (${data.deadlineDate})
 
 Failure to submit payment today may result in late fees or other penalties as outlined in your subscription agreement.
@@ -200,6 +208,47 @@ Make payment at: ${data.portalUrl}
 
 If you have already submitted your payment, please disregard this notice.
 
+Best regards,
+${data.fundName} Administration
+    `
+  },
+
+  defaultNotice: {
+    subject: (fundName) => `Notice of Default: Capital Call Payment Overdue - ${fundName}`,
+    getHtml: (data) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #991b1b;">Notice of Default</h2>
+        <p>Dear ${data.investorName},</p>
+        <p>Your payment for capital call <strong>#${data.callNumber}</strong> of <strong>${data.fundName}</strong> was not received by the deadline of ${data.deadlineDate} or within the grace period provided in the partnership agreement.</p>
+
+        <div style="background-color: #fee2e2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #991b1b;">
+          <h3 style="margin-top: 0; color: #991b1b;">Default Details</h3>
+          <p><strong>Amount Outstanding:</strong> ${data.currency} ${data.outstandingAmount.toLocaleString()}</p>
+          <p><strong>Default Interest Accrued:</strong> ${data.currency} ${data.defaultInterest.toLocaleString()}</p>
+        </div>
+
+        <p>Default interest will continue to accrue until the outstanding amount is paid. The General Partner may also apply the remedies available under the partnership agreement, including forfeiture, a forced sale of your interest or reallocation of your unfunded commitment.</p>
+
+        <p><a href="${data.portalUrl}" style="display: inline-block; background-color: #991b1b; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Make Payment Now</a></p>
+
+        <p>Best regards,<br>${data.fundName} Administration</p>
+      </div>
+    `,
+    getText: (data) => `
+Notice of Default
+
+Dear ${data.investorName},
+
+Your payment for capital call #${data.callNumber} of ${data.fundName} was not received by the deadline of ${data.deadlineDate} or within the grace period provided in the partnership agreement.
+
+Default Details:
+- Amount Outstanding: ${data.currency} ${data.outstandingAmount.toLocaleString()}
+- Default Interest Accrued: ${data.currency} ${data.defaultInterest.toLocaleString()}
+
+Default interest will continue to accrue until the outstanding amount is paid. The General Partner may also apply the remedies available under the partnership agreement, including forfeiture, a forced sale of your interest or reallocation of your unfunded commitment.
+
+Make payment at: ${data.portalUrl}
+
 Best regards,
 ${data.fundName} Administration
     `
@@ -290,6 +339,9 @@ async function sendDeadlineReminders(daysBeforeDeadline, templateKey) {
     console.log(`[CapitalCallReminders] Found ${calls.length} capital calls for ${daysBeforeDeadline}-day reminder`);
 
     for (const call of calls) {
+      // Installment calls are reminded per installment (see sendInstallmentReminders)
+      if (call.installmentCount > 0) continue;
+
       try {
         // Get UNPAID allocations only
         const unpaidAllocations = await CapitalCall.getUnpaidAllocations(call.id);
@@ -333,6 +385,105 @@ async function sendDeadlineReminders(daysBeforeDeadline, templateKey) {
   }
 }
 
+/**
+ * Send reminder emails for unpaid installments due in N days
+ */
+async function sendInstallmentReminders(daysBeforeDue, templateKey) {
+  console.log(`[CapitalCallReminders] Checking for ${daysBeforeDue}-day installment reminders...`);
+
+  try {
+    const targetDate = new Date();
+    targetDate.setDate(targetDate.getDate() + daysBeforeDue);
+    const targetDateStr = targetDate.toISOString().split('T')[0];
+
+    const installments = await CapitalCallInstallment.findUnpaidDueOn(targetDateStr);
+    console.log(`[CapitalCallReminders] Found ${installments.length} unpaid installments for ${daysBeforeDue}-day reminder`);
+
+    const portalUrl = process.env.FRONTEND_URL || 'https://app.polibit.com';
+
+    for (const installment of installments) {
+      if (!installment.user?.email) {
+        console.warn(`[CapitalCallReminders] No email for user ${installment.userId}, skipping`);
+        continue;
+      }
+
+      try {
+        const template = EMAIL_TEMPLATES[templateKey];
+        const emailData = {
+          investorName: `${installment.user.firstName || ''} ${installment.user.lastName || ''}`.trim() || 'Investor',
+          fundName: installment.structure?.name || 'Fund',
+          remainingAmount: Math.round((installment.amountDue - installment.paidAmount) * 100) / 100,
+          currency: installment.structure?.baseCurrency || 'USD',
+          deadlineDate: formatDate(installment.dueDate),
+          installmentLabel: `${installment.installmentNumber} of ${installment.capitalCall?.installmentCount} (Capital Call #${installment.capitalCall?.callNumber})`,
+          portalUrl: `${portalUrl}/lp-portal/capital-calls`
+        };
+
+        await sendEmail(null, {
+          to: [installment.user.email],
+          subject: template.subject(emailData.fundName),
+          bodyHtml: template.getHtml(emailData),
+          bodyText: template.getText(emailData)
+        });
+
+        console.log(`[CapitalCallReminders] Sent ${daysBeforeDue}-day installment reminder to user ${installment.user.id}`);
+      } catch (err) {
+        console.error(`[CapitalCallReminders] Error sending installment reminder ${installment.id}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error(`[CapitalCallReminders] Error in sendInstallmentReminders (${daysBeforeDue} days):`, err);
+  }
+}
+
+/**
+ * Default allocations past their grace period and notify the defaulting investors
+ */
+async function processDefaults() {
+  console.log('[CapitalCallReminders] Checking for capital call defaults...');
+
+  try {
+    const { defaulted, accrued } = await processCapitalCallDefaults(new Date());
+    console.log(`[CapitalCallReminders] ${defaulted.length} allocations defaulted, interest accrued on ${accrued} existing defaults`);
+
+    const portalUrl = process.env.FRONTEND_URL || 'https://app.polibit.com';
+
+    for (const allocation of defaulted) {
+      if (!allocation.user?.email) {
+        console.warn(`[CapitalCallReminders] No email for user ${allocation.userId}, skipping`);
+        continue;
+      }
+
+      try {
+        const template = EMAIL_TEMPLATES.defaultNotice;
+        const emailData = {
+          investorName: `${allocation.user.firstName || ''} ${allocation.user.lastName || ''}`.trim() || 'Investor',
+          fundName: allocation.structure?.name || 'Fund',
+          callNumber: allocation.capitalCall?.callNumber,
+          outstandingAmount: allocation.defaultOutstandingAmount,
+          defaultInterest: allocation.defaultInterestAmount,
+          currency: allocation.structure?.baseCurrency || 'USD',
+          deadlineDate: formatDate(getOverdueSince(allocation)),
+          portalUrl: `${portalUrl}/lp-portal/capital-calls`
+        };
+
+        await sendEmail(null, {
+          to: [allocation.user.email],
+          subject: template.subject(emailData.fundName),
+          bodyHtml: template.getHtml(emailData),
+          bodyText: template.getText(emailData)
+        });
+
+        console.log(`[CapitalCallReminders] Sent default notice to user ${allocation.user.id}`);
+      } catch (err) {
+        console.error(`[CapitalCallReminders] Error sending default notice for allocation ${allocation.id}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('[CapitalCallReminders] Error in processDefaults:', err);
+  }
+}
+
 /**
  * Main job function - runs all reminder checks
  */
@@ -354,6 +505,14 @@ async function runCapitalCallReminderJob() {
   // 4. Send due-today reminders (deadlineDate = today)
   await sendDeadlineReminders(0, 'reminderDueToday');
 
+  // 4b. Installment calls: remind on each installment's due date
+  await sendInstallmentReminders(3, 'reminder3Days');
+  await sendInstallmentReminders(1, 'reminder1Day');
+  await sendInstallmentReminders(0, 'reminderDueToday');
+
+  // 5. Default allocations past the grace period and accrue default interest
+  await processDefaults();
+
   console.log('\n========================================');
   console.log('[CapitalCallReminders] Daily job completed');
   console.log('========================================\n');
@@ -0,0 +1,153 @@
+/**
+ * ApprovalPolicy Supabase Model
+ * Per-structure approval chain configuration for capital calls and distributions.
+ * One policy per structure and entity type.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class ApprovalPolicy {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      entityType: 'entity_type',                   // 'capital_call', 'distribution'
+      stages: 'stages',                            // [{ key, name, roles, userIds, quorum, minAmount }]
+      segregationOfDuties: 'segregation_of_duties',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      entityType: dbData.entity_type,
+      stages: dbData.stages || [],
+      segregationOfDuties: dbData.segregation_of_duties,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at,
+    };
+  }
+
+  /**
+   * Find all policies for a structure
+   * @param {string} structureId - The structure UUID
+   * @returns {Array} Policies
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('approval_policies')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('entity_type', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding approval policies: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Find the policy for a structure and entity type
+   * @param {string} structureId - The structure UUID
+   * @param {string} entityType - 'capital_call' or 'distribution'
+   * @returns {object|null} The policy or null
+   */
+  static async findByStructureAndEntity(structureId, entityType) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('approval_policies')
+      .select('*')
+      .eq('structure_id', structureId)
+      .eq('entity_type', entityType)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding approval policy: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Create or update the policy for a structure and entity type
+   * @param {string} structureId - The structure UUID
+   * @param {string} entityType - 'capital_call' or 'distribution'
+   * @param {object} policyData - Policy fields (camelCase)
+   * @returns {object} The saved policy
+   */
+  static async upsertByStructureAndEntity(structureId, entityType, policyData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields({
+      ...policyData,
+      structureId,
+      entityType,
+      updatedAt: new Date().toISOString(),
+    });
+
+    const { data, error } = await supabase
+      .from('approval_policies')
+      .upsert([dbData], { onConflict: 'structure_id,entity_type' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving approval policy: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Delete the policy for a structure and entity type
+   * @param {string} structureId - The structure UUID
+   * @param {string} entityType - 'capital_call' or 'distribution'
+   * @returns {object|null} The deleted policy or null
+   */
+  static async deleteByStructureAndEntity(structureId, entityType) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('approval_policies')
+      .delete()
+      .eq('structure_id', structureId)
+      .eq('entity_type', entityType)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error deleting approval policy: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = ApprovalPolicy;
@@ -4,6 +4,7 @@
  */
 
 const { getSupabase } = require('../../config/database');
+const { aggregateStructureInvestors, calculateAllocations } = require('../../utils/capitalCallAllocationCalculator');
 
 class CapitalCall {
   /**
@@ -46,6 +47,30 @@ class CapitalCall {
       feeOffsetAmount: 'fee_offset_amount',
       vatOnInvestments: 'vat_on_investments',
       vatOnFundExpenses: 'vat_on_fund_expenses',
+      // Supplementary calls (shortfall reallocation)
+      parentCapitalCallId: 'parent_capital_call_id',
+      callType: 'call_type',
+      overcallDetails: 'overcall_details',
+      // Draws recallable distributions back (debits the recallable ledger)
+      recyclesCapital: 'recycles_capital',
+      // Bills the LPs' accrued management fees instead of computing a fee at call time
+      billAccruedFees: 'bill_accrued_fees',
+      // Commitment / call-limit guardrails
+      limitViolations: 'limit_violations',
+      limitOverrideJustification: 'limit_override_justification',
+      limitOverrideBy: 'limit_override_by',
+      limitOverrideAt: 'limit_override_at',
+      // Approval chain progress (stages + approvals since last submission)
+      approvalProgress: 'approval_progress',
+      approvalVersion: 'approval_version',
+      // Installment schedule (0 = single deadline)
+      installmentCount: 'installment_count',
+      // Line items (0 = header totals only)
+      lineItemCount: 'line_item_count',
+      // Cancellation (calls already sent are cancelled, not deleted)
+      cancelledAt: 'cancelled_at',
+      cancelledBy: 'cancelled_by',
+      cancellationReason: 'cancellation_reason',
       createdBy: 'created_by',
       createdAt: 'created_at',
       updatedAt: 'updated_at'
@@ -102,6 +127,29 @@ class CapitalCall {
       feeOffsetAmount: dbData.fee_offset_amount,
       vatOnInvestments: dbData.vat_on_investments,
       vatOnFundExpenses: dbData.vat_on_fund_expenses,
+      // Supplementary calls (shortfall reallocation)
+      parentCapitalCallId: dbData.parent_capital_call_id,
+      callType: dbData.call_type,
+      overcallDetails: dbData.overcall_details,
+      // Draws recallable distributions back (debits the recallable ledger)
+      recyclesCapital: dbData.recycles_capital === true,
+      billAccruedFees: dbData.bill_accrued_fees === true,
+      // Commitment / call-limit guardrails
+      limitViolations: dbData.limit_violations,
+      limitOverrideJustification: dbData.limit_override_justification,
+      limitOverrideBy: dbData.limit_override_by,
+      limitOverrideAt: dbData.limit_override_at,
+      // Approval chain progress (stages + approvals since last submission)
+      approvalProgress: dbData.approval_progress,
+      approvalVersion: dbData.approval_version || 0,
+      // Installment schedule (0 = single deadline)
+      installmentCount: dbData.installment_count || 0,
+      // Line items (0 = header totals only)
+      lineItemCount: dbData.line_item_count || 0,
+      // Cancellation (calls already sent are cancelled, not deleted)
+      cancelledAt: dbData.cancelled_at,
+      cancelledBy: dbData.cancelled_by,
+      cancellationReason: dbData.cancellation_reason,
       createdBy: dbData.created_by,
       createdAt: dbData.created_at,
       updatedAt: dbData.updated_at
@@ -410,6 +458,35 @@ class CapitalCall {
     return this._toModel(data);
   }
 
+  /**
+   * Update the approval chain only if it is unchanged since it was read
+   * Matches the approval status and version read and bumps the version, so concurrent
+   * approvals cannot overwrite each other's approvalProgress.
+   * @param {string} id - Capital call ID
+   * @param {Object} expected - { approvalStatus, approvalVersion } as read
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object|null>} Updated capital call, or null when the chain changed in the meantime
+   */
+  static async updateIfApprovalUnchanged(id, expected, updateData) {
+    const supabase = getSupabase();
+    const version = expected.approvalVersion || 0;
+
+    const { data, error } = await supabase
+      .from('capital_calls')
+      .update({ ...this._toDbFields(updateData), approval_version: version + 1 })
+      .eq('id', id)
+      .eq('approval_status', expected.approvalStatus)
+      .eq('approval_version', version)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error updating capital call: ${error.message}`);
+    }
+
+    return data ? this._toModel(data) : null;
+  }
+
   /**
    * Delete capital call by ID
    */
@@ -523,6 +600,8 @@ class CapitalCall {
       unfundedFeeAmount: parseFloat(a.unfunded_fee_amount) || 0,
       fee_offset_amount: parseFloat(a.fee_offset_amount) || 0,
       feeOffsetAmount: parseFloat(a.fee_offset_amount) || 0,
+      fee_income_offset_amount: parseFloat(a.fee_income_offset_amount) || 0,
+      feeIncomeOffsetAmount: parseFloat(a.fee_income_offset_amount) || 0,
       deemed_gp_contribution: parseFloat(a.deemed_gp_contribution) || 0,
       deemedGpContribution: parseFloat(a.deemed_gp_contribution) || 0,
       vat_amount: parseFloat(a.vat_amount) || 0,
@@ -638,10 +717,12 @@ class CapitalCall {
   }
 
   /**
-   * Create allocations for all investors in structure
-   * Uses the investors table (LP commitments) to find investors assigned to the structure
+   * Load the data the allocation math needs for a structure (read-only)
+   * @param {string} structureId - The structure ID
+   * @param {string} excludeCallId - Capital call to leave out of cumulative called amounts
+   * @returns {Object} { structureInvestors, cumulativeCalledMap, cumulativeRecallableMap, excusedUserIds }
    */
-  static async createAllocationsForStructure(capitalCallId, structureId) {
+  static async getAllocationInputs(structureId, excludeCallId = null) {
     const supabase = getSupabase();
 
     // Get all investors for this structure from structure_investors table (LP commitments + fee settings)
@@ -654,59 +735,32 @@ class CapitalCall {
       throw new Error(`Error fetching structure investors: ${invError.message}`);
     }
 
-    // Get unique investors with their ownership percentages and fee settings
-    const investorMap = new Map();
-    investors?.forEach(inv => {
-      const userId = inv.user_id;
-      const ownershipPercent = inv.ownership_percent || 0;
-      const commitmentAmount = inv.commitment || 0;
-      const feeDiscount = inv.fee_discount || 0;
-      const vatExempt = inv.vat_exempt || false;
-
-      if (!investorMap.has(userId)) {
-        investorMap.set(userId, { ownershipPercent, commitment: commitmentAmount, feeDiscount, vatExempt });
-      } else {
-        // Sum up ownership if multiple investor records for same user
-        const existing = investorMap.get(userId);
-        investorMap.set(userId, {
-          ownershipPercent: existing.ownershipPercent + ownershipPercent,
-          commitment: existing.commitment + commitmentAmount,
-          feeDiscount,
-          vatExempt
-        });
-      }
-    });
-
-    const structureInvestors = Array.from(investorMap.entries()).map(([userId, data]) => ({
-      user_id: userId,
-      structure_id: structureId,
-      ownership_percent: data.ownershipPercent,
-      commitment: data.commitment,
-      fee_discount: data.feeDiscount,
-      vat_exempt: data.vatExempt
-    }));
-
-    // Get capital call details
-    const capitalCall = await this.findById(capitalCallId);
+    // LPs excused from this call fund none of its investments (see getInvestmentOwnership)
+    let excusedUserIds = [];
+    if (excludeCallId) {
+      const { data: excusals, error: excusalError } = await supabase
+        .from('capital_call_excusals')
+        .select('user_id')
+        .eq('capital_call_id', excludeCallId);
 
-    if (!capitalCall) {
-      throw new Error('Capital call not found');
+      if (excusalError) {
+        throw new Error(`Error fetching capital call excusals: ${excusalError.message}`);
+      }
+      excusedUserIds = (excusals || []).map(e => e.user_id);
     }
 
-    // Determine if we should use dual-rate mode (Proximity Parks)
-    const isDualRateMode = capitalCall.managementFeeBase === 'nic_plus_unfunded' &&
-      (capitalCall.feeRateOnNic != null || capitalCall.feeRateOnUnfunded != null);
+    const structureInvestors = aggregateStructureInvestors(investors, structureId);
 
-    // Get structure for GP percentage and recallable config
+    // Get structure recallable config
     const { data: structure } = await supabase
       .from('structures')
-      .select('gp_percentage, recallable_distributions_enabled')
+      .select('recallable_distributions_enabled')
       .eq('id', structureId)
       .single();
 
     // Fetch cumulative called amounts per investor (excluding current call)
     const cumulativeCalledMap = await this.getCumulativeCalledByStructure(
-      structureId, capitalCallId
+      structureId, excludeCallId
     );
 
     // Fetch cumulative recallable distribution amounts if enabled
@@ -715,221 +769,26 @@ class CapitalCall {
       cumulativeRecallableMap = await this.getCumulativeRecallableByStructure(structureId);
     }
 
-    // Calculate period fraction based on fee period
-    let periodFraction = 1.0;
-    if (capitalCall.feePeriod === 'quarterly') {
-      periodFraction = 0.25;
-    } else if (capitalCall.feePeriod === 'semi-annual') {
-      periodFraction = 0.5;
-    }
-
-    let allocations;
-
-    if (isDualRateMode) {
-      // ===== PROXIMITY DUAL-RATE MODE =====
-      const nicRate = capitalCall.feeRateOnNic || 0;
-      const unfundedRate = capitalCall.feeRateOnUnfunded || 0;
-      const gpPercentage = structure?.gp_percentage || 0;
-
-      // Pass 1: Calculate each investor's NIC fee and Unfunded fee
-      const investorFees = structureInvestors.map((si) => {
-        const principalAmount = capitalCall.totalCallAmount * (si.ownership_percent / 100);
-        const feeDiscount = si.fee_discount || 0;
-        const vatExempt = si.vat_exempt || false;
-        const commitment = si.commitment || 0;
-
-        // NIC = previously called capital. Unfunded = commitment - called + recallable.
-        const previouslyCalled = cumulativeCalledMap[si.user_id] || 0;
-        const recallableAmt = cumulativeRecallableMap[si.user_id] || 0;
-        const unfundedCommitment = Math.max(0, commitment - previouslyCalled + recallableAmt);
-        const nicBase = previouslyCalled;
-
-        // Calculate individual fees at full rates (before discount)
-        const nicFeeGross = nicBase * periodFraction * (nicRate / 100);
-        const unfundedFeeGross = unfundedCommitment * periodFraction * (unfundedRate / 100);
-        const managementFeeGross = nicFeeGross + unfundedFeeGross;
-
-        // Model B: subtract discount pp from each annual rate, recompute net fees
-        const effectiveNicRate = Math.max(0, nicRate - feeDiscount);
-        const effectiveUnfundedRate = Math.max(0, unfundedRate - feeDiscount);
-        const nicFee = nicBase * periodFraction * (effectiveNicRate / 100);
-        const unfundedFee = unfundedCommitment * periodFraction * (effectiveUnfundedRate / 100);
-        const investorDiscountAmount = managementFeeGross - (nicFee + unfundedFee);
-
-        return {
-          si,
-          principalAmount,
-          feeDiscount,
-          investorDiscountAmount,
-          vatExempt,
-          nicFee,
-          unfundedFee,
-          managementFeeGross,
-          nicBase,
-          unfundedCommitment
-        };
-      });
-
-      // Pass 2: Calculate fee offset and VAT on use-of-proceeds
-      const totalFeeOffsetInput = capitalCall.feeOffsetAmount || 0;
-      const totalFundFeeAfterDiscount = investorFees.reduce((sum, f) => sum + (f.managementFeeGross - f.investorDiscountAmount), 0);
-
-      allocations = investorFees.map((f) => {
-        // Management fee after investor discount (before fee offset)
-        const managementFeeAfterDiscount = f.managementFeeGross - f.investorDiscountAmount;
-
-        // Fee offset: pro-rated by each investor's fee proportion of total fund fees
-        let feeOffset = 0;
-        let deemedGpContribution = 0;
-        if (totalFeeOffsetInput > 0 && totalFundFeeAfterDiscount > 0) {
-          feeOffset = (managementFeeAfterDiscount / totalFundFeeAfterDiscount) * totalFeeOffsetInput;
-          deemedGpContribution = -feeOffset;
-        }
-
-        const managementFeeNet = managementFeeAfterDiscount - feeOffset;
+    return { structureInvestors, cumulativeCalledMap, cumulativeRecallableMap, excusedUserIds };
+  }
 
-        // Calculate VAT on fees if applicable
-        let vatAmount = 0;
-        if (capitalCall.vatApplicable && !f.vatExempt && capitalCall.vatRate) {
-          vatAmount = managementFeeNet * (capitalCall.vatRate / 100);
-        }
+  /**
+   * Create allocations for all investors in structure
+   * Uses the investors table (LP commitments) to find investors assigned to the structure
+   */
+  static async createAllocationsForStructure(capitalCallId, structureId) {
+    const supabase = getSupabase();
 
-        // Per-investor VAT on use-of-proceeds (pro-rated by ownership)
-        const vatOnInvestmentsAmount = (capitalCall.vatOnInvestments || 0) * (f.si.ownership_percent / 100);
-        const vatOnFundExpensesAmount = (capitalCall.vatOnFundExpenses || 0) * (f.si.ownership_percent / 100);
-
-        const totalDue = f.principalAmount + managementFeeNet + vatAmount + vatOnInvestmentsAmount + vatOnFundExpensesAmount;
-
-        // ProximityParks breakdown: investments = principal (when not explicitly set)
-        // Fund expenses and reserves come from the capital call header if set
-        const investmentsAmount = capitalCall.totalInvestments
-          ? (capitalCall.totalInvestments * (f.si.ownership_percent / 100))
-          : f.principalAmount;
-        const fundExpensesAmount = capitalCall.totalFundExpenses
-          ? (capitalCall.totalFundExpenses * (f.si.ownership_percent / 100))
-          : 0;
-        const reservesAmount = capitalCall.totalReserves
-          ? (capitalCall.totalReserves * (f.si.ownership_percent / 100))
-          : 0;
-        // Total drawdown = investments + expenses + reserves + fees + VAT on fees + VAT on proceeds - feeOffset
-        const totalDrawdown = investmentsAmount + fundExpensesAmount + reservesAmount + managementFeeNet + vatAmount + vatOnInvestmentsAmount + vatOnFundExpensesAmount;
-
-        return {
-          capital_call_id: capitalCallId,
-          user_id: f.si.user_id,
-          allocated_amount: totalDue,
-          paid_amount: 0,
-          remaining_amount: totalDue,
-          status: 'Pending',
-          due_date: capitalCall.dueDate,
-          // ILPA Fee Breakdown
-          principal_amount: f.principalAmount,
-          management_fee_gross: f.managementFeeGross,
-          management_fee_discount: f.investorDiscountAmount,
-          management_fee_net: managementFeeNet,
-          vat_amount: vatAmount,
-          total_due: totalDue,
-          // Payment breakdown (separate tracking for commitment vs fees)
-          capital_paid: 0,
-          fees_paid: 0,
-          vat_paid: 0,
-          // Dual-rate breakdown columns
-          nic_fee_amount: f.nicFee,
-          unfunded_fee_amount: f.unfundedFee,
-          adjusted_nic: f.nicBase,
-          unfunded_base: f.unfundedCommitment,
-          fee_offset_amount: feeOffset,
-          deemed_gp_contribution: deemedGpContribution,
-          // VAT on use-of-proceeds
-          vat_on_investments_amount: vatOnInvestmentsAmount,
-          vat_on_fund_expenses_amount: vatOnFundExpensesAmount,
-          // ProximityParks breakdown fields
-          investments_amount: investmentsAmount,
-          fund_expenses_amount: fundExpensesAmount,
-          reserves_amount: reservesAmount,
-          total_drawdown: totalDrawdown
-        };
-      });
-    } else {
-      // ===== LEGACY SINGLE-RATE MODE (unchanged) =====
-      allocations = structureInvestors.map((si) => {
-        const principalAmount = capitalCall.totalCallAmount * (si.ownership_percent / 100);
-
-        // Fee settings from the investor-structure record (per-structure)
-        const feeDiscount = si.fee_discount || 0;
-        const vatExempt = si.vat_exempt || false;
-
-        // Calculate management fee if ILPA fee config is set
-        let managementFeeGross = 0;
-        let managementFeeDiscountAmount = 0;
-        let managementFeeNet = 0;
-        let vatAmount = 0;
-
-        if (capitalCall.managementFeeRate) {
-          // Calculate period fraction
-          let periodFractionSingle = 1.0;
-          if (capitalCall.feePeriod === 'quarterly') {
-            periodFractionSingle = 0.25;
-          } else if (capitalCall.feePeriod === 'semi-annual') {
-            periodFractionSingle = 0.5;
-          }
-
-          // Model B: subtract discount pp from annual rate BEFORE period-dividing
-          managementFeeGross = principalAmount * (capitalCall.managementFeeRate / 100) * periodFractionSingle;
-          const effectiveAnnualRate = Math.max(0, capitalCall.managementFeeRate - feeDiscount);
-          managementFeeNet = principalAmount * (effectiveAnnualRate / 100) * periodFractionSingle;
-          managementFeeDiscountAmount = managementFeeGross - managementFeeNet;
-
-          // Calculate VAT if applicable
-          if (capitalCall.vatApplicable && !vatExempt && capitalCall.vatRate) {
-            vatAmount = managementFeeNet * (capitalCall.vatRate / 100);
-          }
-        }
+    // Get capital call details
+    const capitalCall = await this.findById(capitalCallId);
 
-        const totalDue = principalAmount + managementFeeNet + vatAmount;
-
-        // ProximityParks breakdown: investments = principal (when not explicitly set)
-        // Fund expenses and reserves come from the capital call header if set
-        const investmentsAmount = capitalCall.totalInvestments
-          ? (capitalCall.totalInvestments * (si.ownership_percent / 100))
-          : principalAmount;
-        const fundExpensesAmount = capitalCall.totalFundExpenses
-          ? (capitalCall.totalFundExpenses * (si.ownership_percent / 100))
-          : 0;
-        const reservesAmount = capitalCall.totalReserves
-          ? (capitalCall.totalReserves * (si.ownership_percent / 100))
-          : 0;
-        // Total drawdown = investments + expenses + reserves + fees + VAT (counts toward commitment)
-        const totalDrawdown = investmentsAmount + fundExpensesAmount + reservesAmount + managementFeeNet + vatAmount;
-
-        return {
-          capital_call_id: capitalCallId,
-          user_id: si.user_id,
-          allocated_amount: totalDue,
-          paid_amount: 0,
-          remaining_amount: totalDue,
-          status: 'Pending',
-          due_date: capitalCall.dueDate,
-          // ILPA Fee Breakdown
-          principal_amount: principalAmount,
-          management_fee_gross: managementFeeGross,
-          management_fee_discount: managementFeeDiscountAmount,
-          management_fee_net: managementFeeNet,
-          vat_amount: vatAmount,
-          total_due: totalDue,
-          // Payment breakdown (separate tracking for commitment vs fees)
-          capital_paid: 0,
-          fees_paid: 0,
-          vat_paid: 0,
-          // ProximityParks breakdown fields
-          investments_amount: investmentsAmount,
-          fund_expenses_amount: fundExpensesAmount,
-          reserves_amount: reservesAmount,
-          total_drawdown: totalDrawdown
-        };
-      });
+    if (!capitalCall) {
+      throw new Error('Capital call not found');
     }
 
+    const inputs = await this.getAllocationInputs(structureId, capitalCallId);
+    const allocations = calculateAllocations({ capitalCall, ...inputs });
+
     // Insert all allocations
     const { data, error } = await supabase
       .from('capital_call_allocations')
@@ -1193,6 +1052,7 @@ class CapitalCall {
           nic_fee_amount,
           unfunded_fee_amount,
           fee_offset_amount,
+          fee_income_offset_amount,
           investments_amount,
           fund_expenses_amount,
           reserves_amount,
@@ -1248,6 +1108,7 @@ class CapitalCall {
         nicFeeAmount: a.nic_fee_amount,
         unfundedFeeAmount: a.unfunded_fee_amount,
         feeOffsetAmount: a.fee_offset_amount,
+        feeIncomeOffsetAmount: a.fee_income_offset_amount,
         // ProximityParks breakdown fields
         investmentsAmount: a.investments_amount,
         fundExpensesAmount: a.fund_expenses_amount,
@@ -1258,8 +1119,96 @@ class CapitalCall {
     });
   }
 
+  /**
+   * Get the distribution reinvestments subscribed into a structure
+   * A subscribed reinvestment raises the LP's commitment and funds it at once, so it counts
+   * as capital funded against commitment alongside called capital.
+   * @param {string} structureId - Structure ID
+   * @returns {Promise<Array<{ userId: string, date: string, amount: number }>>}
+   */
+  static async getReinvestedSubscriptionsByStructure(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_reinvestments')
+      .select('user_id, amount, reinvestment_date')
+      .eq('structure_id', structureId)
+      .eq('method', 'subscription');
+
+    if (error) {
+      throw new Error(`Error fetching reinvested subscriptions: ${error.message}`);
+    }
+
+    return (data || []).map(r => ({
+      userId: r.user_id,
+      date: (r.reinvestment_date || '').split('T')[0],
+      amount: parseFloat(r.amount) || 0
+    }));
+  }
+
+  /**
+   * Add the reinvested subscriptions of a structure to a userId -> amount map
+   * @param {string} structureId - Structure ID
+   * @param {Object} map - userId -> amount
+   * @returns {Promise<Object>} The same map
+   */
+  static async _addReinvestedSubscriptions(structureId, map) {
+    const subscriptions = await this.getReinvestedSubscriptionsByStructure(structureId);
+    subscriptions.forEach(r => {
+      map[r.userId] = (map[r.userId] || 0) + r.amount;
+    });
+    return map;
+  }
+
+  /**
+   * Get the capital each LP was called for, by call date (approved calls that were sent),
+   * plus the reinvestments it subscribed (capitalCallId null)
+   * Used as the LPs' net invested capital when accruing management fees.
+   * @param {string} structureId - Structure ID
+   * @returns {Promise<Array<{ capitalCallId: string|null, userId: string, date: string, amount: number }>>}
+   */
+  static async getCallHistoryByStructure(structureId) {
+    const supabase = getSupabase();
+
+    const { data: calls, error: callsError } = await supabase
+      .from('capital_calls')
+      .select('id, call_date')
+      .eq('structure_id', structureId)
+      .eq('approval_status', 'approved')
+      .in('status', ['Sent', 'Paid', 'Fully Paid', 'Partially Paid']);
+
+    if (callsError) {
+      throw new Error(`Error fetching capital calls: ${callsError.message}`);
+    }
+
+    const subscriptions = (await this.getReinvestedSubscriptionsByStructure(structureId))
+      .map(r => ({ capitalCallId: null, ...r }));
+
+    if (!calls || calls.length === 0) {
+      return subscriptions;
+    }
+
+    const { data: allocations, error: allocError } = await supabase
+      .from('capital_call_allocations')
+      .select('capital_call_id, user_id, principal_amount')
+      .in('capital_call_id', calls.map(c => c.id));
+
+    if (allocError) {
+      throw new Error(`Error fetching allocations: ${allocError.message}`);
+    }
+
+    const callDates = new Map(calls.map(c => [c.id, (c.call_date || '').split('T')[0]]));
+    return (allocations || []).map(a => ({
+      capitalCallId: a.capital_call_id,
+      userId: a.user_id,
+      date: callDates.get(a.capital_call_id),
+      amount: parseFloat(a.principal_amount) || 0
+    })).concat(subscriptions);
+  }
+
   /**
    * Get cumulative called amounts for all investors in a structure
+   * Reinvested subscriptions count as called: they fund the commitment they added.
    * @param {string} structureId - The structure ID
    * @param {string} excludeCallId - Optional capital call ID to exclude
    * @returns {Object} Map of userId -> cumulativeCalled
@@ -1286,7 +1235,7 @@ class CapitalCall {
     }
 
     if (!calls || calls.length === 0) {
-      return {};
+      return this._addReinvestedSubscriptions(structureId, {});
     }
 
     const callIds = calls.map(c => c.id);
@@ -1314,12 +1263,12 @@ class CapitalCall {
       cumulativeMap[userId] += a.total_drawdown || a.total_due || a.principal_amount || 0;
     });
 
-    return cumulativeMap;
+    return this._addReinvestedSubscriptions(structureId, cumulativeMap);
   }
 
   /**
    * Get cumulative Net Invested Capital (NIC) for all investors in a structure.
-   * NIC = investments + expenses + reserves only (excludes fees + VAT).
+   * NIC = investments + expenses + reserves only (excludes fees + VAT), plus reinvested subscriptions.
    * Used as the fee base for NIC management fees.
    * @param {string} structureId - The structure ID
    * @param {string} excludeCallId - Optional capital call ID to exclude
@@ -1340,7 +1289,7 @@ class CapitalCall {
     }
 
     if (!calls || calls.length === 0) {
-      return {};
+      return this._addReinvestedSubscriptions(structureId, {});
     }
 
     const callIds = calls.map(c => c.id);
@@ -1364,58 +1313,331 @@ class CapitalCall {
       nicMap[userId] += nic > 0 ? nic : (a.principal_amount || 0);
     });
 
-    return nicMap;
+    return this._addReinvestedSubscriptions(structureId, nicMap);
   }
 
   /**
    * Get cumulative recallable distribution amounts for all investors in a structure
+   * Sums the credits of the recallable ledger (approved recallable distributions, capped by
+   * the structure's recallable limit). Amounts already recycled stay in the total because
+   * the calls that recycled them count as called capital.
    * @param {string} structureId - The structure ID
    * @returns {Object} Map of userId -> totalRecallable
    */
   static async getCumulativeRecallableByStructure(structureId) {
     const supabase = getSupabase();
 
-    // Get all approved recallable distributions for this structure
-    const { data: distributions, error: distError } = await supabase
-      .from('distributions')
-      .select('id')
+    const { data: entries, error } = await supabase
+      .from('recallable_ledger_entries')
+      .select('user_id, amount')
       .eq('structure_id', structureId)
-      .eq('approval_status', 'approved')
-      .eq('recallable', true)
-      .not('status', 'in', '("Draft","Cancelled")');
-
-    if (distError) {
-      throw new Error(`Error fetching recallable distributions: ${distError.message}`);
-    }
+      .eq('entry_type', 'credit');
 
-    if (!distributions || distributions.length === 0) {
-      return {};
-    }
-
-    const distIds = distributions.map(d => d.id);
-
-    // Get all allocations across these distributions
-    const { data: allocations, error: allocError } = await supabase
-      .from('distribution_allocations')
-      .select('user_id, allocated_amount')
-      .in('distribution_id', distIds);
-
-    if (allocError) {
-      throw new Error(`Error fetching distribution allocations: ${allocError.message}`);
+    if (error) {
+      throw new Error(`Error fetching recallable ledger: ${error.message}`);
     }
 
     // Aggregate by user_id
     const recallableMap = {};
-    allocations?.forEach(a => {
-      const userId = a.user_id;
+    entries?.forEach(e => {
+      const userId = e.user_id;
       if (!recallableMap[userId]) {
         recallableMap[userId] = 0;
       }
-      recallableMap[userId] += a.allocated_amount || 0;
+      recallableMap[userId] += parseFloat(e.amount) || 0;
     });
 
     return recallableMap;
   }
+
+  /**
+   * Convert an allocation row (with capital call, structure and user joins)
+   * to the camelCase shape used by the default workflow
+   */
+  static _toDefaultAllocationModel(item) {
+    if (!item) return null;
+
+    const call = item.capital_calls || null;
+    const structure = call?.structures || null;
+    const totalDue = parseFloat(item.total_due) || 0;
+    const paidAmount = parseFloat(item.paid_amount) || 0;
+    const installments = (item.capital_call_allocation_installments || [])
+      .map(i => ({
+        installmentNumber: i.installment_number,
+        dueDate: i.due_date,
+        amountDue: parseFloat(i.amount_due) || 0,
+        paidAmount: parseFloat(i.paid_amount) || 0,
+        status: i.status
+      }))
+      .sort((a, b) => a.installmentNumber - b.installmentNumber);
+    const firstUnpaidInstallment = installments.find(i => i.status !== 'Paid');
+
+    return {
+      id: item.id,
+      capitalCallId: item.capital_call_id,
+      userId: item.user_id,
+      status: item.status,
+      dueDate: item.due_date,
+      principalAmount: parseFloat(item.principal_amount) || 0,
+      managementFeeNet: parseFloat(item.management_fee_net) || 0,
+      vatAmount: parseFloat(item.vat_amount) || 0,
+      totalDue,
+      paidAmount,
+      capitalPaid: parseFloat(item.capital_paid) || 0,
+      outstanding: Math.max(0, totalDue - paidAmount),
+      paymentApprovalStatus: item.payment_approval_status || null,
+      // Installment calls fall due installment by installment, not at the call deadline
+      installments,
+      earliestUnpaidDueDate: firstUnpaidInstallment?.dueDate || call?.deadline_date || null,
+      // Default tracking
+      defaultedAt: item.defaulted_at || null,
+      defaultOutstandingAmount: parseFloat(item.default_outstanding_amount) || 0,
+      defaultInterestAmount: parseFloat(item.default_interest_amount) || 0,
+      defaultInterestPaid: parseFloat(item.default_interest_paid) || 0,
+      defaultInterestAccruedThrough: item.default_interest_accrued_through || null,
+      defaultRemedy: item.default_remedy || null,
+      defaultRemedyAppliedAt: item.default_remedy_applied_at || null,
+      defaultRemedyDetails: item.default_remedy_details || null,
+      forfeitedAmount: parseFloat(item.forfeited_amount) || 0,
+      defaultResolvedAt: item.default_resolved_at || null,
+      capitalCall: call ? {
+        id: call.id,
+        structureId: call.structure_id,
+        callNumber: call.call_number,
+        deadlineDate: call.deadline_date,
+        status: call.status,
+        investmentId: call.investment_id
+      } : null,
+      structure: structure ? {
+        id: structure.id,
+        name: structure.name,
+        baseCurrency: structure.base_currency,
+        dayCountConvention: structure.day_count_convention,
+        capitalCallPaymentDeadline: structure.capital_call_payment_deadline,
+        defaultGracePeriodDays: structure.default_grace_period_days,
+        defaultInterestRate: parseFloat(structure.default_interest_rate) || 0,
+        defaultForfeiturePercent: structure.default_forfeiture_percent != null
+          ? parseFloat(structure.default_forfeiture_percent)
+          : null
+      } : null,
+      user: item.users ? {
+        id: item.users.id,
+        email: item.users.email,
+        firstName: item.users.first_name,
+        lastName: item.users.last_name
+      } : null
+    };
+  }
+
+  /**
+   * Select clause shared by the default workflow allocation queries
+   */
+  static _defaultAllocationSelect(innerJoin = false) {
+    return `
+      *,
+      capital_calls${innerJoin ? '!inner' : ''} (
+        id,
+        structure_id,
+        call_number,
+        deadline_date,
+        status,
+        investment_id,
+        structures:structure_id (
+          id,
+          name,
+          base_currency,
+          day_count_convention,
+          capital_call_payment_deadline,
+          default_grace_period_days,
+          default_interest_rate,
+          default_forfeiture_percent
+        )
+      ),
+      capital_call_allocation_installments (
+        installment_number,
+        due_date,
+        amount_due,
+        paid_amount,
+        status
+      ),
+      users:user_id (
+        id,
+        email,
+        first_name,
+        last_name
+      )
+    `;
+  }
+
+  /**
+   * Find a single allocation with its capital call, structure and investor
+   * @param {string} allocationId - The allocation ID
+   * @returns {Object|null} Allocation in default workflow format
+   */
+  static async findAllocationById(allocationId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .select(this._defaultAllocationSelect())
+      .eq('id', allocationId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw new Error(`Error finding allocation: ${error.message}`);
+    }
+
+    return this._toDefaultAllocationModel(data);
+  }
+
+  /**
+   * Update an allocation row
+   * @param {string} allocationId - The allocation ID
+   * @param {Object} updateFields - snake_case columns to update
+   * @returns {Object} Updated allocation in default workflow format
+   */
+  static async updateAllocation(allocationId, updateFields) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .update({ ...updateFields, updated_at: new Date().toISOString() })
+      .eq('id', allocationId)
+      .select(this._defaultAllocationSelect())
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating allocation: ${error.message}`);
+    }
+
+    return this._toDefaultAllocationModel(data);
+  }
+
+  /**
+   * Insert allocation rows for a capital call
+   * @param {Array} allocations - snake_case allocation rows
+   * @returns {Array} Inserted rows
+   */
+  static async insertAllocations(allocations) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .insert(allocations)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating allocations: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete the allocations of a capital call (drafts being recalculated)
+   * @param {string} capitalCallId - Capital call ID
+   */
+  static async deleteAllocations(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('capital_call_allocations')
+      .delete()
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error deleting allocations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find open allocations on sent calls with an amount past its due date: the call
+   * deadline, or for installment calls the due date of any unpaid installment
+   * Grace periods are structure-specific, so callers filter on the returned structure terms.
+   * @param {string} asOfDate - Date (YYYY-MM-DD) to compare due dates against
+   * @returns {Array} Allocations in default workflow format
+   */
+  static async findOverdueAllocations(asOfDate) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocations')
+      .select(this._defaultAllocationSelect(true))
+      .in('status', ['Pending', 'Partially Paid'])
+      .in('capital_calls.status', ['Sent', 'Partially Paid'])
+      .lt('capital_calls.deadline_date', asOfDate);
+
+    if (error) {
+      throw new Error(`Error finding overdue allocations: ${error.message}`);
+    }
+
+    // The call deadline is the last installment, so earlier missed installments are found here
+    const { data: dueInstallments, error: installmentError } = await supabase
+      .from('capital_call_allocation_installments')
+      .select('allocation_id')
+      .neq('status', 'Paid')
+      .lt('due_date', asOfDate);
+
+    if (installmentError) {
+      throw new Error(`Error finding overdue installments: ${installmentError.message}`);
+    }
+
+    const rows = data || [];
+    const foundIds = new Set(rows.map(item => item.id));
+    const installmentAllocationIds = [...new Set((dueInstallments || []).map(i => i.allocation_id))]
+      .filter(id => !foundIds.has(id));
+
+    if (installmentAllocationIds.length > 0) {
+      const { data: installmentRows, error: allocationError } = await supabase
+        .from('capital_call_allocations')
+        .select(this._defaultAllocationSelect(true))
+        .in('id', installmentAllocationIds)
+        .in('status', ['Pending', 'Partially Paid'])
+        .in('capital_calls.status', ['Sent', 'Partially Paid']);
+
+      if (allocationError) {
+        throw new Error(`Error finding overdue allocations: ${allocationError.message}`);
+      }
+
+      rows.push(...(installmentRows || []).filter(item => !foundIds.has(item.id)));
+    }
+
+    return rows.map(item => this._toDefaultAllocationModel(item));
+  }
+
+  /**
+   * Find defaulted allocations, optionally limited to one structure
+   * @param {Object} filter - { structureId, includeResolved }
+   * @returns {Array} Allocations in default workflow format
+   */
+  static async findDefaultedAllocations(filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('capital_call_allocations')
+      .select(this._defaultAllocationSelect(true));
+
+    if (filter.includeResolved) {
+      query = query.not('defaulted_at', 'is', null);
+    } else {
+      query = query.eq('status', 'Defaulted');
+    }
+
+    if (filter.structureId) {
+      query = query.eq('capital_calls.structure_id', filter.structureId);
+    }
+
+    query = query.order('defaulted_at', { ascending: false });
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Error finding defaulted allocations: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toDefaultAllocationModel(item));
+  }
 }
 
 module.exports = CapitalCall;
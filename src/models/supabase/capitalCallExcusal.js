@@ -0,0 +1,203 @@
+/**
+ * CapitalCallExcusal Supabase Model
+ * LPs excused from a capital call, and the per-investment exclusions recorded
+ * from them so distributions from that investment leave the LP out.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class CapitalCallExcusal {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      capitalCallId: 'capital_call_id',
+      userId: 'user_id',
+      reasonType: 'reason_type',        // 'esg', 'sanctions', 'side_letter', 'regulatory', 'other'
+      reason: 'reason',
+      createdBy: 'created_by',
+      createdAt: 'created_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      userId: dbData.user_id,
+      reasonType: dbData.reason_type,
+      reason: dbData.reason,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at
+    };
+  }
+
+  /**
+   * Convert an investment_exclusions row to camelCase
+   */
+  static _toExclusionModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      investmentId: dbData.investment_id,
+      userId: dbData.user_id,
+      capitalCallId: dbData.capital_call_id,
+      reasonType: dbData.reason_type,
+      reason: dbData.reason,
+      createdAt: dbData.created_at
+    };
+  }
+
+  /**
+   * Record an excusal
+   * @param {Object} excusalData - Excusal fields (camelCase)
+   * @returns {Promise<Object>} Created excusal
+   */
+  static async create(excusalData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(excusalData);
+
+    const { data, error } = await supabase
+      .from('capital_call_excusals')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating capital call excusal: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the excusals of a capital call
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_excusals')
+      .select('*')
+      .eq('capital_call_id', capitalCallId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding capital call excusals: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Remove an LP's excusal from a capital call
+   * @param {string} capitalCallId - Capital call ID
+   * @param {string} userId - LP user ID
+   * @returns {Promise<Object|null>} Removed excusal
+   */
+  static async deleteByCapitalCallAndUser(capitalCallId, userId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_excusals')
+      .delete()
+      .eq('capital_call_id', capitalCallId)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) {
+      throw new Error(`Error deleting capital call excusal: ${error.message}`);
+    }
+
+    return data.length > 0 ? this._toModel(data[0]) : null;
+  }
+
+  /**
+   * Record investment exclusions (an LP already excluded from an investment keeps its first record)
+   * @param {Array} exclusions - [{ investmentId, userId, capitalCallId, reasonType, reason }]
+   * @returns {Promise<Array>} Created exclusions
+   */
+  static async addInvestmentExclusions(exclusions) {
+    if (exclusions.length === 0) return [];
+    const supabase = getSupabase();
+
+    const rows = exclusions.map(e => ({
+      investment_id: e.investmentId,
+      user_id: e.userId,
+      capital_call_id: e.capitalCallId || null,
+      reason_type: e.reasonType || 'other',
+      reason: e.reason || null
+    }));
+
+    const { data, error } = await supabase
+      .from('investment_exclusions')
+      .upsert(rows, { onConflict: 'investment_id,user_id', ignoreDuplicates: true })
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating investment exclusions: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toExclusionModel(item));
+  }
+
+  /**
+   * Get the LPs excluded from an investment
+   * @param {string} investmentId - Investment ID
+   * @returns {Promise<Array>}
+   */
+  static async findInvestmentExclusions(investmentId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('investment_exclusions')
+      .select('*')
+      .eq('investment_id', investmentId);
+
+    if (error) {
+      throw new Error(`Error finding investment exclusions: ${error.message}`);
+    }
+
+    return data.map(item => this._toExclusionModel(item));
+  }
+
+  /**
+   * Remove the investment exclusions an LP's excusal on a capital call recorded
+   * @param {string} capitalCallId - Capital call ID
+   * @param {string} userId - LP user ID
+   */
+  static async deleteInvestmentExclusionsForCall(capitalCallId, userId) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('investment_exclusions')
+      .delete()
+      .eq('capital_call_id', capitalCallId)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Error deleting investment exclusions: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CapitalCallExcusal;
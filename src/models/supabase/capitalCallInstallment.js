@@ -0,0 +1,307 @@
+/**
+ * CapitalCallInstallment Supabase Model
+ * Installment schedules for capital calls funded in tranches, and the
+ * per-allocation installment rows each LP pays against.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class CapitalCallInstallment {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      capitalCallId: 'capital_call_id',
+      installmentNumber: 'installment_number',
+      dueDate: 'due_date',
+      percentage: 'percentage',
+      amount: 'amount',
+      description: 'description',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      installmentNumber: dbData.installment_number,
+      dueDate: dbData.due_date,
+      percentage: parseFloat(dbData.percentage) || 0,
+      amount: parseFloat(dbData.amount) || 0,
+      description: dbData.description,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Convert a capital_call_allocation_installments row to camelCase
+   */
+  static _toAllocationInstallmentModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      allocationId: dbData.allocation_id,
+      installmentId: dbData.installment_id,
+      userId: dbData.user_id,
+      installmentNumber: dbData.installment_number,
+      dueDate: dbData.due_date,
+      amountDue: parseFloat(dbData.amount_due) || 0,
+      paidAmount: parseFloat(dbData.paid_amount) || 0,
+      status: dbData.status,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Get the installment schedule of a capital call, earliest first
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_installments')
+      .select('*')
+      .eq('capital_call_id', capitalCallId)
+      .order('installment_number', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding capital call installments: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Replace the installment schedule of a capital call.
+   * Existing per-allocation installments are removed with the old schedule (cascade).
+   * @param {string} capitalCallId - Capital call ID
+   * @param {Array} installments - [{ installmentNumber, dueDate, percentage, amount, description }]
+   * @returns {Promise<Array>} The new schedule
+   */
+  static async replaceSchedule(capitalCallId, installments) {
+    await this.deleteByCapitalCallId(capitalCallId);
+    if (installments.length === 0) return [];
+
+    const supabase = getSupabase();
+    const rows = installments.map(i => this._toDbFields({ ...i, capitalCallId }));
+
+    const { data, error } = await supabase
+      .from('capital_call_installments')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating capital call installments: ${error.message}`);
+    }
+
+    return data
+      .map(item => this._toModel(item))
+      .sort((a, b) => a.installmentNumber - b.installmentNumber);
+  }
+
+  /**
+   * Delete the installment schedule of a capital call
+   * @param {string} capitalCallId - Capital call ID
+   */
+  static async deleteByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('capital_call_installments')
+      .delete()
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error deleting capital call installments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get per-allocation installments for a capital call
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findAllocationInstallmentsByCall(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocation_installments')
+      .select('*')
+      .eq('capital_call_id', capitalCallId)
+      .order('installment_number', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding allocation installments: ${error.message}`);
+    }
+
+    return data.map(item => this._toAllocationInstallmentModel(item));
+  }
+
+  /**
+   * Get the installments of a single allocation, earliest first
+   * @param {string} allocationId - capital_call_allocations ID
+   * @returns {Promise<Array>}
+   */
+  static async findAllocationInstallments(allocationId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocation_installments')
+      .select('*')
+      .eq('allocation_id', allocationId)
+      .order('installment_number', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding allocation installments: ${error.message}`);
+    }
+
+    return data.map(item => this._toAllocationInstallmentModel(item));
+  }
+
+  /**
+   * Insert per-allocation installment rows
+   * @param {Array} rows - capital_call_allocation_installments rows (snake_case)
+   * @returns {Promise<Array>}
+   */
+  static async insertAllocationInstallments(rows) {
+    if (rows.length === 0) return [];
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocation_installments')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating allocation installments: ${error.message}`);
+    }
+
+    return data.map(item => this._toAllocationInstallmentModel(item));
+  }
+
+  /**
+   * Delete the per-allocation installments of a capital call
+   * @param {string} capitalCallId - Capital call ID
+   */
+  static async deleteAllocationInstallmentsByCall(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('capital_call_allocation_installments')
+      .delete()
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error deleting allocation installments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a per-allocation installment row
+   * @param {string} id - capital_call_allocation_installments ID
+   * @param {Object} updateFields - Fields to update (snake_case)
+   * @returns {Promise<Object>}
+   */
+  static async updateAllocationInstallment(id, updateFields) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocation_installments')
+      .update({ ...updateFields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating allocation installment: ${error.message}`);
+    }
+
+    return this._toAllocationInstallmentModel(data);
+  }
+
+  /**
+   * Find unpaid allocation installments due on a date, for calls that have been sent
+   * @param {string} dueDate - YYYY-MM-DD
+   * @returns {Promise<Array>} Installments with user, capital call and structure
+   */
+  static async findUnpaidDueOn(dueDate) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocation_installments')
+      .select(`
+        *,
+        users:user_id (
+          id,
+          email,
+          first_name,
+          last_name
+        ),
+        capital_calls!inner (
+          id,
+          call_number,
+          status,
+          installment_count,
+          structures:structure_id (
+            id,
+            name,
+            base_currency
+          )
+        )
+      `)
+      .eq('due_date', dueDate)
+      .neq('status', 'Paid')
+      .in('capital_calls.status', ['Sent', 'Partially Paid']);
+
+    if (error) {
+      throw new Error(`Error finding installments due: ${error.message}`);
+    }
+
+    return data.map(item => ({
+      ...this._toAllocationInstallmentModel(item),
+      user: item.users ? {
+        id: item.users.id,
+        email: item.users.email,
+        firstName: item.users.first_name,
+        lastName: item.users.last_name
+      } : null,
+      capitalCall: item.capital_calls ? {
+        id: item.capital_calls.id,
+        callNumber: item.capital_calls.call_number,
+        status: item.capital_calls.status,
+        installmentCount: item.capital_calls.installment_count
+      } : null,
+      structure: item.capital_calls?.structures ? {
+        id: item.capital_calls.structures.id,
+        name: item.capital_calls.structures.name,
+        baseCurrency: item.capital_calls.structures.base_currency
+      } : null
+    }));
+  }
+}
+
+module.exports = CapitalCallInstallment;
@@ -0,0 +1,282 @@
+/**
+ * CapitalCallLineItem Supabase Model
+ * Purposes a capital call is composed of (portfolio investments, fund expenses,
+ * reserves), and each LP allocation's share of them for deal-level attribution.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class CapitalCallLineItem {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      capitalCallId: 'capital_call_id',
+      lineNumber: 'line_number',
+      category: 'category',              // 'investment', 'fund_expense', 'reserve'
+      investmentId: 'investment_id',
+      description: 'description',
+      amount: 'amount',
+      vatAmount: 'vat_amount',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      lineNumber: dbData.line_number,
+      category: dbData.category,
+      investmentId: dbData.investment_id,
+      description: dbData.description,
+      amount: parseFloat(dbData.amount) || 0,
+      vatAmount: parseFloat(dbData.vat_amount) || 0,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Convert a capital_call_allocation_line_items row to camelCase
+   */
+  static _toAllocationLineItemModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      allocationId: dbData.allocation_id,
+      lineItemId: dbData.line_item_id,
+      userId: dbData.user_id,
+      category: dbData.category,
+      investmentId: dbData.investment_id,
+      amount: parseFloat(dbData.amount) || 0,
+      vatAmount: parseFloat(dbData.vat_amount) || 0,
+      createdAt: dbData.created_at
+    };
+  }
+
+  /**
+   * Get the line items of a capital call in order
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_line_items')
+      .select('*')
+      .eq('capital_call_id', capitalCallId)
+      .order('line_number', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding capital call line items: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Replace the line items of a capital call.
+   * Existing per-allocation line items are removed with the old ones (cascade).
+   * @param {string} capitalCallId - Capital call ID
+   * @param {Array} lineItems - [{ lineNumber, category, investmentId, description, amount, vatAmount }]
+   * @returns {Promise<Array>} The new line items
+   */
+  static async replaceForCapitalCall(capitalCallId, lineItems) {
+    await this.deleteByCapitalCallId(capitalCallId);
+    if (lineItems.length === 0) return [];
+
+    const supabase = getSupabase();
+    const rows = lineItems.map(item => this._toDbFields({ ...item, capitalCallId }));
+
+    const { data, error } = await supabase
+      .from('capital_call_line_items')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating capital call line items: ${error.message}`);
+    }
+
+    return data
+      .map(item => this._toModel(item))
+      .sort((a, b) => a.lineNumber - b.lineNumber);
+  }
+
+  /**
+   * Delete the line items of a capital call
+   * @param {string} capitalCallId - Capital call ID
+   */
+  static async deleteByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('capital_call_line_items')
+      .delete()
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error deleting capital call line items: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get per-allocation line items for a capital call
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findAllocationLineItemsByCall(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocation_line_items')
+      .select('*')
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error finding allocation line items: ${error.message}`);
+    }
+
+    return data.map(item => this._toAllocationLineItemModel(item));
+  }
+
+  /**
+   * Get the per-allocation line items of several capital calls
+   * @param {Array<string>} capitalCallIds - Capital call IDs
+   * @returns {Promise<Array>}
+   */
+  static async findAllocationLineItemsByCalls(capitalCallIds) {
+    if (capitalCallIds.length === 0) return [];
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocation_line_items')
+      .select('*')
+      .in('capital_call_id', capitalCallIds);
+
+    if (error) {
+      throw new Error(`Error finding allocation line items: ${error.message}`);
+    }
+
+    return data.map(item => this._toAllocationLineItemModel(item));
+  }
+
+  /**
+   * Get the per-allocation line items of a structure's called capital calls,
+   * with the allocation paid columns needed to attribute contributed capital
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { investmentId, userId }
+   * @returns {Promise<Array>} Allocation line items with capitalCall and allocation summaries
+   */
+  static async findAllocationLineItemsByStructure(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('capital_call_allocation_line_items')
+      .select(`
+        *,
+        capital_calls!inner (
+          id,
+          structure_id,
+          call_number,
+          call_date,
+          status
+        ),
+        capital_call_allocations (
+          principal_amount,
+          capital_paid,
+          status
+        )
+      `)
+      .eq('capital_calls.structure_id', structureId)
+      .in('capital_calls.status', ['Sent', 'Paid', 'Fully Paid', 'Partially Paid']);
+
+    if (filter.investmentId) {
+      query = query.eq('investment_id', filter.investmentId);
+    }
+    if (filter.userId) {
+      query = query.eq('user_id', filter.userId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Error finding structure allocation line items: ${error.message}`);
+    }
+
+    return data.map(item => ({
+      ...this._toAllocationLineItemModel(item),
+      capitalCall: {
+        id: item.capital_calls?.id,
+        callNumber: item.capital_calls?.call_number,
+        callDate: item.capital_calls?.call_date,
+        status: item.capital_calls?.status
+      },
+      allocation: {
+        principalAmount: parseFloat(item.capital_call_allocations?.principal_amount) || 0,
+        capitalPaid: parseFloat(item.capital_call_allocations?.capital_paid) || 0,
+        status: item.capital_call_allocations?.status
+      }
+    }));
+  }
+
+  /**
+   * Insert per-allocation line item rows
+   * @param {Array} rows - capital_call_allocation_line_items rows (snake_case)
+   * @returns {Promise<Array>}
+   */
+  static async insertAllocationLineItems(rows) {
+    if (rows.length === 0) return [];
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_allocation_line_items')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating allocation line items: ${error.message}`);
+    }
+
+    return data.map(item => this._toAllocationLineItemModel(item));
+  }
+
+  /**
+   * Delete the per-allocation line items of a capital call
+   * @param {string} capitalCallId - Capital call ID
+   */
+  static async deleteAllocationLineItemsByCall(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { error } = await supabase
+      .from('capital_call_allocation_line_items')
+      .delete()
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error deleting allocation line items: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CapitalCallLineItem;
@@ -0,0 +1,194 @@
+/**
+ * CapitalCallPayment Supabase Model
+ * Individual LP payments against a capital call allocation, with the breakdown
+ * (capital, fees, VAT, late interest) each payment was applied with.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class CapitalCallPayment {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      capitalCallId: 'capital_call_id',
+      allocationId: 'allocation_id',
+      userId: 'user_id',
+      amount: 'amount',
+      paymentMethod: 'payment_method',
+      paymentReference: 'payment_reference',
+      paymentDate: 'payment_date',
+      applicationPolicy: 'application_policy',   // 'pro_rata', 'fees_first', 'capital_first', 'custom'
+      applicationOrder: 'application_order',     // e.g. ['late_interest', 'fees', 'vat', 'capital']
+      breakdown: 'breakdown',                    // { capital, fees, vat, lateInterest, unapplied }
+      approvalStatus: 'approval_status',         // 'pending', 'approved', 'rejected', 'reversed'
+      reviewedBy: 'reviewed_by',
+      reviewedAt: 'reviewed_at',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      allocationId: dbData.allocation_id,
+      userId: dbData.user_id,
+      amount: parseFloat(dbData.amount) || 0,
+      paymentMethod: dbData.payment_method,
+      paymentReference: dbData.payment_reference,
+      paymentDate: dbData.payment_date,
+      applicationPolicy: dbData.application_policy,
+      applicationOrder: dbData.application_order,
+      breakdown: dbData.breakdown || {},
+      approvalStatus: dbData.approval_status,
+      reviewedBy: dbData.reviewed_by,
+      reviewedAt: dbData.reviewed_at,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Record a payment
+   * @param {Object} paymentData - Payment fields (camelCase)
+   * @returns {Promise<Object>} Created payment
+   */
+  static async create(paymentData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(paymentData);
+
+    const { data, error } = await supabase
+      .from('capital_call_payments')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating capital call payment: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the payments of an allocation, oldest first
+   * @param {string} allocationId - capital_call_allocations ID
+   * @param {string} [approvalStatus] - Optional status filter
+   * @returns {Promise<Array>}
+   */
+  static async findByAllocationId(allocationId, approvalStatus) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('capital_call_payments')
+      .select('*')
+      .eq('allocation_id', allocationId);
+
+    if (approvalStatus) {
+      query = query.eq('approval_status', approvalStatus);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding capital call payments: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Get the payments of a capital call, oldest first
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_payments')
+      .select('*')
+      .eq('capital_call_id', capitalCallId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding capital call payments: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Update a payment
+   * @param {string} id - Payment ID
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object>} Updated payment
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields({ ...updateData, updatedAt: new Date().toISOString() });
+
+    const { data, error } = await supabase
+      .from('capital_call_payments')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating capital call payment: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Mark the pending payments of an allocation as reviewed
+   * @param {string} allocationId - capital_call_allocations ID
+   * @param {string} approvalStatus - 'approved' or 'rejected'
+   * @param {string} reviewedBy - Reviewer user ID
+   * @returns {Promise<Array>} Updated payments
+   */
+  static async reviewPendingByAllocationId(allocationId, approvalStatus, reviewedBy) {
+    const supabase = getSupabase();
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('capital_call_payments')
+      .update({
+        approval_status: approvalStatus,
+        reviewed_by: reviewedBy || null,
+        reviewed_at: now,
+        updated_at: now
+      })
+      .eq('allocation_id', allocationId)
+      .eq('approval_status', 'pending')
+      .select();
+
+    if (error) {
+      throw new Error(`Error reviewing capital call payments: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+}
+
+module.exports = CapitalCallPayment;
@@ -0,0 +1,149 @@
+/**
+ * CapitalCallRefund Supabase Model
+ * Refund obligations to LPs for amounts received on a cancelled capital call.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class CapitalCallRefund {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      capitalCallId: 'capital_call_id',
+      allocationId: 'allocation_id',
+      userId: 'user_id',
+      amount: 'amount',
+      status: 'status',                  // 'Pending', 'Paid', 'Waived'
+      paymentReference: 'payment_reference',
+      paidAt: 'paid_at',
+      notes: 'notes',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      capitalCallId: dbData.capital_call_id,
+      allocationId: dbData.allocation_id,
+      userId: dbData.user_id,
+      amount: parseFloat(dbData.amount) || 0,
+      status: dbData.status,
+      paymentReference: dbData.payment_reference,
+      paidAt: dbData.paid_at,
+      notes: dbData.notes,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create refund obligations
+   * @param {Array} refunds - Refunds (camelCase)
+   * @returns {Promise<Array>} Created refunds
+   */
+  static async createMany(refunds) {
+    if (refunds.length === 0) return [];
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_refunds')
+      .insert(refunds.map(r => this._toDbFields(r)))
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating capital call refunds: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Find a refund by ID
+   * @param {string} id - Refund ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_refunds')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding capital call refund: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the refunds of a capital call
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('capital_call_refunds')
+      .select('*')
+      .eq('capital_call_id', capitalCallId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding capital call refunds: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Update a refund
+   * @param {string} id - Refund ID
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object>} Updated refund
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields({ ...updateData, updatedAt: new Date().toISOString() });
+
+    const { data, error } = await supabase
+      .from('capital_call_refunds')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating capital call refund: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = CapitalCallRefund;
@@ -0,0 +1,132 @@
+/**
+ * ClawbackAssessment Supabase Model
+ * Recorded GP clawback calculations (see services/clawbackService), kept so the
+ * figures given to LPs at a date can be reproduced for audit requests.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class ClawbackAssessment {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      asOfDate: 'as_of_date',
+      windDown: 'wind_down',
+      status: 'status',                 // 'Interim', 'Final'
+      carryPaid: 'carry_paid',
+      carryEntitled: 'carry_entitled',
+      excessCarry: 'excess_carry',
+      taxOffset: 'tax_offset',
+      clawbackLiability: 'clawback_liability',
+      details: 'details',
+      notes: 'notes',
+      createdBy: 'created_by',
+      createdAt: 'created_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      asOfDate: dbData.as_of_date,
+      windDown: dbData.wind_down,
+      status: dbData.status,
+      carryPaid: parseFloat(dbData.carry_paid) || 0,
+      carryEntitled: parseFloat(dbData.carry_entitled) || 0,
+      excessCarry: parseFloat(dbData.excess_carry) || 0,
+      taxOffset: parseFloat(dbData.tax_offset) || 0,
+      clawbackLiability: parseFloat(dbData.clawback_liability) || 0,
+      details: dbData.details,
+      notes: dbData.notes,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at
+    };
+  }
+
+  /**
+   * Record a clawback assessment
+   * @param {Object} assessmentData - Assessment fields (camelCase)
+   * @returns {Promise<Object>} Created assessment
+   */
+  static async create(assessmentData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(assessmentData);
+
+    const { data, error } = await supabase
+      .from('gp_clawback_assessments')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating clawback assessment: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find an assessment by ID
+   * @param {string} id - Assessment ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('gp_clawback_assessments')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding clawback assessment: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the assessments of a structure, most recent first
+   * @param {string} structureId - Structure ID
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('gp_clawback_assessments')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('as_of_date', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding clawback assessments: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+}
+
+module.exports = ClawbackAssessment;
@@ -4,6 +4,14 @@
  */
 
 const { getSupabase } = require('../../config/database');
+const { applyExcusals } = require('../../utils/capitalCallAllocationCalculator');
+const { runWaterfall } = require('../../utils/waterfallEngine');
+const { calculateWithholding } = require('../../utils/withholdingTax');
+const { allocateInKindUnits } = require('../../utils/inKindDistribution');
+const { getActiveElection, calculateReinvestment } = require('../../utils/reinvestment');
+
+// Calls in these states count as contributed capital for the waterfall
+const CALLED_STATUSES = ['Sent', 'Paid', 'Fully Paid', 'Partially Paid'];
 
 class Distribution {
   /**
@@ -46,15 +54,28 @@ class Distribution {
       tier2Amount: 'tier2_amount',
       tier3Amount: 'tier3_amount',
       tier4Amount: 'tier4_amount',
+      waterfallTrace: 'waterfall_trace',
+      waterfallEngineVersion: 'waterfall_engine_version',
+      waterfallType: 'waterfall_type',
       // LP/GP splits
       lpTotalAmount: 'lp_total_amount',
       gpTotalAmount: 'gp_total_amount',
       managementFeeAmount: 'management_fee_amount',
       // Approval workflow
       approvalStatus: 'approval_status',
+      approvalProgress: 'approval_progress',
+      approvalVersion: 'approval_version',
       // Spec V2: Source classifications and recallable flag
       sourceClassifications: 'source_classifications',
       recallable: 'recallable',
+      // In-kind part of the distribution (investment shares or smart contract tokens)
+      inKindAssetType: 'in_kind_asset_type',
+      inKindInvestmentId: 'in_kind_investment_id',
+      inKindSmartContractId: 'in_kind_smart_contract_id',
+      inKindUnitValue: 'in_kind_unit_value',
+      inKindTotalUnits: 'in_kind_total_units',
+      inKindUnitDecimals: 'in_kind_unit_decimals',
+      inKindRounding: 'in_kind_rounding',
       createdBy: 'created_by',
       createdAt: 'created_at',
       updatedAt: 'updated_at'
@@ -110,15 +131,28 @@ class Distribution {
       tier2Amount: dbData.tier2_amount,
       tier3Amount: dbData.tier3_amount,
       tier4Amount: dbData.tier4_amount,
+      waterfallTrace: dbData.waterfall_trace,
+      waterfallEngineVersion: dbData.waterfall_engine_version,
+      waterfallType: dbData.waterfall_type,
       // LP/GP splits
       lpTotalAmount: dbData.lp_total_amount,
       gpTotalAmount: dbData.gp_total_amount,
       managementFeeAmount: dbData.management_fee_amount,
       // Approval workflow
       approvalStatus: dbData.approval_status,
+      approvalProgress: dbData.approval_progress,
+      approvalVersion: dbData.approval_version || 0,
       // Spec V2: Source classifications and recallable flag
       sourceClassifications: dbData.source_classifications,
       recallable: dbData.recallable,
+      // In-kind part of the distribution (investment shares or smart contract tokens)
+      inKindAssetType: dbData.in_kind_asset_type || null,
+      inKindInvestmentId: dbData.in_kind_investment_id,
+      inKindSmartContractId: dbData.in_kind_smart_contract_id,
+      inKindUnitValue: dbData.in_kind_unit_value === null || dbData.in_kind_unit_value === undefined ? null : parseFloat(dbData.in_kind_unit_value),
+      inKindTotalUnits: dbData.in_kind_total_units === null || dbData.in_kind_total_units === undefined ? null : parseFloat(dbData.in_kind_total_units),
+      inKindUnitDecimals: dbData.in_kind_unit_decimals || 0,
+      inKindRounding: dbData.in_kind_rounding || 'round_down',
       createdBy: dbData.created_by,
       createdAt: dbData.created_at,
       updatedAt: dbData.updated_at
@@ -317,6 +351,35 @@ class Distribution {
     return this._toModel(data);
   }
 
+  /**
+   * Update the approval chain only if it is unchanged since it was read
+   * Matches the approval status and version read and bumps the version, so concurrent
+   * approvals cannot overwrite each other's approvalProgress.
+   * @param {string} id - Distribution ID
+   * @param {Object} expected - { approvalStatus, approvalVersion } as read
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object|null>} Updated distribution, or null when the chain changed in the meantime
+   */
+  static async updateIfApprovalUnchanged(id, expected, updateData) {
+    const supabase = getSupabase();
+    const version = expected.approvalVersion || 0;
+
+    const { data, error } = await supabase
+      .from('distributions')
+      .update({ ...this._toDbFields(updateData), approval_version: version + 1 })
+      .eq('id', id)
+      .eq('approval_status', expected.approvalStatus)
+      .eq('approval_version', version)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error updating distribution: ${error.message}`);
+    }
+
+    return data ? this._toModel(data) : null;
+  }
+
   /**
    * Delete distribution by ID
    */
@@ -391,19 +454,307 @@ class Distribution {
 
   /**
    * Apply waterfall calculation
+   * Runs the waterfall engine and stores tier totals, LP/GP split and the step-by-step trace
+   * @param {string} distributionId - Distribution ID
+   * @returns {Promise<Object>} Updated distribution with the engine result as `waterfall`
    */
   static async applyWaterfall(distributionId) {
-    const supabase = getSupabase();
+    const distribution = await this.findById(distributionId);
 
-    const { data, error } = await supabase.rpc('apply_waterfall_distribution', {
-      distribution_id: distributionId
+    if (!distribution) {
+      throw new Error('Distribution not found');
+    }
+
+    const waterfall = await this.calculateWaterfall(distribution);
+    // Only the first four tiers have dedicated columns; the trace keeps all of them
+    const [tier1, tier2, tier3, tier4] = waterfall.tiers;
+
+    const updated = await this.findByIdAndUpdate(distributionId, {
+      waterfallApplied: true,
+      tier1Amount: tier1?.amount || 0,
+      tier2Amount: tier2?.amount || 0,
+      tier3Amount: tier3?.amount || 0,
+      tier4Amount: tier4?.amount || 0,
+      lpTotalAmount: waterfall.lpTotal,
+      gpTotalAmount: waterfall.gpTotal,
+      waterfallTrace: waterfall,
+      waterfallEngineVersion: waterfall.version,
+      waterfallType: waterfall.waterfallType
     });
 
-    if (error) {
-      throw new Error(`Error applying waterfall: ${error.message}`);
+    return { ...updated, waterfall };
+  }
+
+  /**
+   * Run the waterfall engine for a distribution (nothing is stored)
+   * @param {Object} distribution - Distribution (camelCase)
+   * @param {Array} [ownership] - Output of getInvestorOwnership, when already loaded
+   * @returns {Promise<Object>} Engine result (see utils/waterfallEngine)
+   */
+  static async calculateWaterfall(distribution, ownership = null) {
+    const inputs = await this.getWaterfallInputs(distribution, ownership);
+    return runWaterfall(inputs);
+  }
+
+  /**
+   * Load everything the waterfall engine needs for a distribution: the structure's
+   * terms and active tiers, each LP's paid-in capital by date, and the structure's
+   * earlier distributions (with the LPs excluded from their investment).
+   * LPs assigned to an investor class carry its ID, and classes lists each class's
+   * tiers and term overrides.
+   * Deal-by-deal (American) structures also get contributions split by investment
+   * (from capital call line items), fees paid and the fund's investments.
+   * @param {Object} distribution - Distribution (camelCase)
+   * @param {Array} [ownership] - Output of getInvestorOwnership, when already loaded
+   * @returns {Promise<Object>} Input for calculateWaterfall
+   */
+  static async getWaterfallInputs(distribution, ownership = null) {
+    const supabase = getSupabase();
+    const structureId = distribution.structureId;
+
+    const { data: structure, error: structureError } = await supabase
+      .from('structures')
+      .select('hurdle_rate, carried_interest, gp_catch_up_rate, pref_return_compounding, waterfall_type, return_fees_with_capital')
+      .eq('id', structureId)
+      .single();
+
+    if (structureError && structureError.code !== 'PGRST116') {
+      throw new Error(`Error fetching structure waterfall terms: ${structureError.message}`);
     }
 
-    return data;
+    const dealByDeal = structure?.waterfall_type === 'American';
+
+    const { data: tiers, error: tierError } = await supabase
+      .from('waterfall_tiers')
+      .select('*')
+      .eq('structure_id', structureId)
+      .eq('is_active', true)
+      .order('tier_number', { ascending: true });
+
+    if (tierError) {
+      throw new Error(`Error fetching waterfall tiers: ${tierError.message}`);
+    }
+
+    // Investor classes (side-letter economics) and the LPs assigned to them
+    const { data: classRows, error: classError } = await supabase
+      .from('investor_classes')
+      .select('id, name, hurdle_rate, carried_interest, gp_catch_up_rate')
+      .eq('structure_id', structureId);
+
+    if (classError) {
+      throw new Error(`Error fetching investor classes: ${classError.message}`);
+    }
+
+    const classByUser = new Map();
+    if (classRows?.length > 0) {
+      const { data: assignments, error: assignmentError } = await supabase
+        .from('structure_investors')
+        .select('user_id, investor_class_id')
+        .eq('structure_id', structureId);
+
+      if (assignmentError) {
+        throw new Error(`Error fetching investor class assignments: ${assignmentError.message}`);
+      }
+
+      (assignments || []).forEach(a => {
+        if (a.investor_class_id) classByUser.set(a.user_id, a.investor_class_id);
+      });
+    }
+
+    // Paid-in capital per LP, dated at the call deadline
+    const { data: contributions, error: contributionError } = await supabase
+      .from('capital_call_allocations')
+      .select(`
+        id,
+        user_id,
+        principal_amount,
+        capital_paid,
+        fees_paid,
+        management_fee_net,
+        status,
+        capital_calls!inner (
+          structure_id,
+          investment_id,
+          line_item_count,
+          call_date,
+          deadline_date,
+          status
+        )
+      `)
+      .eq('capital_calls.structure_id', structureId)
+      .in('capital_calls.status', CALLED_STATUSES);
+
+    if (contributionError) {
+      throw new Error(`Error fetching capital contributions: ${contributionError.message}`);
+    }
+
+    const allocationRows = (contributions || []).filter(a => a.status !== 'Voided');
+
+    // Deal attribution of calls split into line items
+    const lineItemsByAllocation = new Map();
+    const itemizedIds = allocationRows.filter(a => a.capital_calls?.line_item_count > 0).map(a => a.id);
+    if (dealByDeal && itemizedIds.length > 0) {
+      const { data: lineItems, error: lineItemError } = await supabase
+        .from('capital_call_allocation_line_items')
+        .select('allocation_id, category, investment_id, amount')
+        .in('allocation_id', itemizedIds);
+
+      if (lineItemError) {
+        throw new Error(`Error fetching capital call line items: ${lineItemError.message}`);
+      }
+
+      (lineItems || []).forEach(item => {
+        lineItemsByAllocation.set(item.allocation_id, [...(lineItemsByAllocation.get(item.allocation_id) || []), item]);
+      });
+    }
+
+    let investments = [];
+    if (dealByDeal) {
+      const { data: investmentRows, error: investmentError } = await supabase
+        .from('investments')
+        .select('id, investment_name, name, status, total_invested, equity_invested, current_value, current_equity_value')
+        .eq('structure_id', structureId);
+
+      if (investmentError) {
+        throw new Error(`Error fetching investments: ${investmentError.message}`);
+      }
+
+      investments = (investmentRows || []).map(inv => ({
+        id: inv.id,
+        name: inv.investment_name || inv.name || null,
+        cost: parseFloat(inv.total_invested ?? inv.equity_invested) || 0,
+        fairValue: inv.current_value ?? inv.current_equity_value ?? null,
+        realized: inv.status === 'Exited'
+      }));
+    }
+    let priorQuery = supabase
+      .from('distributions')
+      .select('id, distribution_number, distribution_date, total_amount, investment_id, gp_total_amount')
+      .eq('structure_id', structureId)
+      .not('status', 'in', '("Draft","Cancelled")')
+      .order('distribution_date', { ascending: true });
+
+    if (distribution.id) {
+      priorQuery = priorQuery.neq('id', distribution.id);
+    }
+
+    const { data: priorDistributions, error: priorError } = await priorQuery;
+
+    if (priorError) {
+      throw new Error(`Error fetching prior distributions: ${priorError.message}`);
+    }
+
+    const priorRows = Array.isArray(priorDistributions) ? priorDistributions : [];
+    const investmentIds = [...new Set([distribution.investmentId, ...priorRows.map(d => d.investment_id)].filter(Boolean))];
+    const exclusionsByInvestment = new Map();
+
+    if (investmentIds.length > 0) {
+      const { data: exclusions, error: exclusionError } = await supabase
+        .from('investment_exclusions')
+        .select('investment_id, user_id')
+        .in('investment_id', investmentIds);
+
+      if (exclusionError) {
+        throw new Error(`Error fetching investment exclusions: ${exclusionError.message}`);
+      }
+
+      (exclusions || []).forEach(e => {
+        exclusionsByInvestment.set(e.investment_id, [...(exclusionsByInvestment.get(e.investment_id) || []), e.user_id]);
+      });
+    }
+
+    const contributionsByUser = new Map();
+    const addContribution = (userId, contribution) => {
+      if (contribution.amount <= 0 || !contribution.date) return;
+      contributionsByUser.set(userId, [...(contributionsByUser.get(userId) || []), contribution]);
+    };
+
+    allocationRows.forEach(a => {
+      const call = a.capital_calls || {};
+      const date = call.deadline_date || call.call_date;
+      const principal = parseFloat(a.principal_amount) || 0;
+      // Legacy paid allocations have no capital_paid; they were paid in full
+      const capitalPaid = parseFloat(a.capital_paid) || (a.status === 'Paid' ? principal : 0);
+      const feesPaid = parseFloat(a.fees_paid) || (a.status === 'Paid' ? parseFloat(a.management_fee_net) || 0 : 0);
+      const lineItems = lineItemsByAllocation.get(a.id);
+
+      if (lineItems) {
+        const paidRatio = principal > 0 ? Math.min(1, capitalPaid / principal) : 0;
+        lineItems.forEach(item => addContribution(a.user_id, {
+          date,
+          amount: (parseFloat(item.amount) || 0) * paidRatio,
+          category: item.category,
+          investmentId: item.investment_id || null
+        }));
+      } else {
+        addContribution(a.user_id, {
+          date,
+          amount: capitalPaid,
+          category: call.investment_id ? 'investment' : 'fund_expense',
+          investmentId: call.investment_id || null
+        });
+      }
+      addContribution(a.user_id, { date, amount: feesPaid, category: 'fees', investmentId: null });
+    });
+
+    const investors = (ownership || await this.getInvestorOwnership(structureId)).map(si => ({
+      userId: si.user_id,
+      ownershipPercent: si.ownership_percent,
+      investorClassId: classByUser.get(si.user_id) || null,
+      contributions: contributionsByUser.get(si.user_id) || []
+    }));
+
+    const toTier = (t) => ({
+      tierNumber: t.tier_number,
+      tierName: t.tier_name,
+      lpSharePercent: t.lp_share_percent,
+      gpSharePercent: t.gp_share_percent,
+      thresholdAmount: t.threshold_amount,
+      thresholdIrr: t.threshold_irr,
+      thresholdType: t.threshold_type,
+      thresholdMultiple: t.threshold_multiple
+    });
+    const toNumberOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+      tiers: (tiers || []).filter(t => !t.investor_class_id).map(toTier),
+      classes: (classRows || []).map(c => ({
+        id: c.id,
+        name: c.name,
+        hurdleRate: toNumberOrNull(c.hurdle_rate),
+        carriedInterest: toNumberOrNull(c.carried_interest),
+        gpCatchUpRate: toNumberOrNull(c.gp_catch_up_rate),
+        tiers: (tiers || []).filter(t => t.investor_class_id === c.id).map(toTier)
+      })),
+      terms: {
+        hurdleRate: structure?.hurdle_rate ?? undefined,
+        carriedInterest: structure?.carried_interest ?? undefined,
+        gpCatchUpRate: structure?.gp_catch_up_rate ?? null,
+        prefReturnCompounding: structure?.pref_return_compounding || 'compound',
+        waterfallType: structure?.waterfall_type || 'European',
+        returnFeesWithCapital: structure?.return_fees_with_capital !== false
+      },
+      investors,
+      investments,
+      priorDistributions: priorRows
+        .filter(d => d.distribution_date)
+        .map(d => ({
+          id: d.id,
+          distributionNumber: d.distribution_number,
+          date: d.distribution_date,
+          amount: d.total_amount,
+          investmentId: d.investment_id || null,
+          gpPaid: parseFloat(d.gp_total_amount) || 0,
+          excludedUserIds: exclusionsByInvestment.get(d.investment_id) || []
+        })),
+      distribution: {
+        id: distribution.id || null,
+        date: distribution.distributionDate || new Date().toISOString().split('T')[0],
+        amount: distribution.totalAmount,
+        investmentId: distribution.investmentId || null,
+        excludedUserIds: exclusionsByInvestment.get(distribution.investmentId) || []
+      }
+    };
   }
 
   /**
@@ -415,6 +766,78 @@ class Distribution {
     });
   }
 
+  /**
+   * Update a distribution allocation
+   * @param {string} allocationId - Allocation ID
+   * @param {Object} updateFields - snake_case allocation fields
+   * @returns {Promise<Object>} Updated allocation row
+   */
+  static async updateAllocation(allocationId, updateFields) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_allocations')
+      .update({ ...updateFields, updated_at: new Date().toISOString() })
+      .eq('id', allocationId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating distribution allocation: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Claim an allocation's payout: mark it 'processing' only if its payout status is still the
+   * one read, so overlapping payout runs cannot both pay it
+   * @param {string} allocationId - Allocation ID
+   * @param {string|null} currentStatus - Payout status the allocation was read with
+   * @param {Object} [fields] - Extra snake_case fields (e.g. payout_attempts)
+   * @returns {Promise<Object|null>} Claimed allocation row, or null if another run claimed it
+   */
+  static async claimAllocationPayout(allocationId, currentStatus, fields = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('distribution_allocations')
+      .update({ ...fields, payout_status: 'processing', updated_at: new Date().toISOString() })
+      .eq('id', allocationId);
+
+    query = currentStatus ? query.eq('payout_status', currentStatus) : query.is('payout_status', null);
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+      throw new Error(`Error claiming distribution allocation payout: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find the allocation paid out under a payout reference (Stripe transfer ID)
+   * @param {string} reference - Payout reference
+   * @returns {Promise<Object|null>} Allocation row
+   */
+  static async findAllocationByPayoutReference(reference) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_allocations')
+      .select('*')
+      .eq('payout_reference', reference)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding distribution allocation: ${error.message}`);
+    }
+
+    return data;
+  }
+
   /**
    * Get distribution summary for structure
    */
@@ -439,34 +862,7 @@ class Distribution {
     const supabase = getSupabase();
 
     // Get all investors for this structure (from investments table)
-    const { data: investments, error: invError } = await supabase
-      .from('investments')
-      .select('user_id, ownership_percentage, equity_ownership_percent')
-      .eq('structure_id', structureId);
-
-    if (invError) {
-      throw new Error(`Error fetching structure investors: ${invError.message}`);
-    }
-
-    // Get unique investors with their ownership percentages
-    const investorMap = new Map();
-    investments?.forEach(inv => {
-      const userId = inv.user_id;
-      const ownershipPercent = inv.ownership_percentage || inv.equity_ownership_percent || 0;
-
-      if (!investorMap.has(userId)) {
-        investorMap.set(userId, ownershipPercent);
-      } else {
-        // Sum up ownership if multiple investments
-        investorMap.set(userId, investorMap.get(userId) + ownershipPercent);
-      }
-    });
-
-    const structureInvestors = Array.from(investorMap.entries()).map(([userId, ownershipPercent]) => ({
-      user_id: userId,
-      structure_id: structureId,
-      ownership_percent: ownershipPercent
-    }));
+    const ownership = await this.getInvestorOwnership(structureId);
 
     // Get distribution details
     const distribution = await this.findById(distributionId);
@@ -480,20 +876,26 @@ class Distribution {
     let allocations;
 
     if (distribution.waterfallApplied) {
-      // Get waterfall calculation results
-      const { data: waterfallData, error: wfError } = await supabase.rpc(
-        'calculate_waterfall_allocations',
-        {
-          p_distribution_id: distributionId,
-          p_structure_id: structureId
-        }
-      );
-
-      if (wfError) {
-        throw new Error(`Error calculating waterfall allocations: ${wfError.message}`);
-      }
-
-      allocations = waterfallData;
+      // LPs excluded from the investment are left out by the engine itself
+      const waterfall = await this.calculateWaterfall(distribution, ownership);
+
+      allocations = waterfall.allocations.map(a => ({
+        distribution_id: distributionId,
+        user_id: a.userId,
+        investor_class_id: a.investorClassId || null,
+        allocated_amount: a.lpAmount,
+        ownership_percent: a.ownershipPercent,
+        roc_portion: a.returnOfCapital,
+        income_portion: Math.round((a.lpAmount - a.returnOfCapital) * 100) / 100,
+        preferred_return_amount: a.preferredReturn,
+        carried_interest_amount: a.gpAmount,
+        paid_amount: 0,
+        status: 'Pending',
+        payment_date: distribution.distributionDate
+      }));
+      allocations = this.applyInKind(allocations, distribution);
+      allocations = await this.applyWithholding(allocations, distribution, structureId);
+      allocations = await this.applyReinvestment(allocations, distribution, structureId);
 
       // Insert waterfall-calculated allocations
       const { data, error } = await supabase
@@ -507,6 +909,10 @@ class Distribution {
 
       return data;
     } else {
+      // LPs excused from the investment being distributed don't participate in its proceeds
+      const excludedUserIds = await this.getExcludedUserIds(distribution.investmentId);
+      const structureInvestors = applyExcusals(ownership, excludedUserIds);
+
       // Simple pro-rata distribution based on ownership
       allocations = structureInvestors.map(si => {
         const allocationAmount = distribution.lpTotalAmount * (si.ownership_percent / 100);
@@ -520,6 +926,9 @@ class Distribution {
           payment_date: distribution.distributionDate
         };
       });
+      allocations = this.applyInKind(allocations, distribution);
+      allocations = await this.applyWithholding(allocations, distribution, structureId);
+      allocations = await this.applyReinvestment(allocations, distribution, structureId);
 
       // Insert allocations
       const { data, error } = await supabase
@@ -535,6 +944,251 @@ class Distribution {
     }
   }
 
+  /**
+   * Get each LP's ownership of a structure (from the investments table)
+   * Ownership is summed when a user holds several investments.
+   * @param {string} structureId - Structure ID
+   * @returns {Promise<Array>} [{ user_id, structure_id, ownership_percent }]
+   */
+  static async getInvestorOwnership(structureId) {
+    const supabase = getSupabase();
+
+    const { data: investments, error: invError } = await supabase
+      .from('investments')
+      .select('user_id, ownership_percentage, equity_ownership_percent')
+      .eq('structure_id', structureId);
+
+    if (invError) {
+      throw new Error(`Error fetching structure investors: ${invError.message}`);
+    }
+
+    // Get unique investors with their ownership percentages
+    const investorMap = new Map();
+    investments?.forEach(inv => {
+      const userId = inv.user_id;
+      const ownershipPercent = inv.ownership_percentage || inv.equity_ownership_percent || 0;
+
+      if (!investorMap.has(userId)) {
+        investorMap.set(userId, ownershipPercent);
+      } else {
+        // Sum up ownership if multiple investments
+        investorMap.set(userId, investorMap.get(userId) + ownershipPercent);
+      }
+    });
+
+    return Array.from(investorMap.entries()).map(([userId, ownershipPercent]) => ({
+      user_id: userId,
+      structure_id: structureId,
+      ownership_percent: ownershipPercent
+    }));
+  }
+
+  /**
+   * Add each LP's in-kind units, cash in lieu of fractions and cash amount to allocation rows
+   * (see utils/inKindDistribution). Cash-only distributions are returned unchanged.
+   * @param {Array} allocations - distribution_allocations rows (snake_case)
+   * @param {Object} distribution - Distribution (camelCase) with its in-kind fields
+   * @returns {Array} Rows with in_kind_units, in_kind_value, cash_in_lieu and cash_amount
+   */
+  static applyInKind(allocations, distribution) {
+    if (!distribution.inKindAssetType || allocations.length === 0) return allocations;
+
+    const { allocations: units } = allocateInKindUnits({
+      allocations: allocations.map(a => ({ userId: a.user_id, allocatedAmount: a.allocated_amount })),
+      totalAmount: distribution.totalAmount,
+      inKind: {
+        unitValue: distribution.inKindUnitValue,
+        totalUnits: distribution.inKindTotalUnits,
+        unitDecimals: distribution.inKindUnitDecimals,
+        rounding: distribution.inKindRounding
+      }
+    });
+
+    return allocations.map((a, index) => ({
+      ...a,
+      in_kind_units: units[index].units,
+      in_kind_value: units[index].inKindValue,
+      cash_in_lieu: units[index].cashInLieu,
+      cash_amount: units[index].cashAmount
+    }));
+  }
+
+  /**
+   * Add each LP's withholding tax to allocation rows (gross is allocated_amount)
+   * @param {Array} allocations - distribution_allocations rows (snake_case)
+   * @param {Object} distribution - Distribution (camelCase) with its source breakdown
+   * @param {string} structureId - Structure ID
+   * @returns {Promise<Array>} Rows with withholding_tax_amount, net_to_investor and the breakdown by income source
+   */
+  static async applyWithholding(allocations, distribution, structureId) {
+    if (allocations.length === 0) return allocations;
+
+    const { structure, investors, elections } = await this.getWithholdingInputs(
+      structureId,
+      allocations.map(a => a.user_id)
+    );
+
+    return allocations.map(a => {
+      const withholding = calculateWithholding({
+        amount: a.allocated_amount,
+        returnOfCapital: a.roc_portion || 0,
+        distribution,
+        structure,
+        investor: investors.get(a.user_id),
+        elections: elections.filter(e => e.userId === a.user_id)
+      });
+
+      return {
+        ...a,
+        withholding_tax_amount: withholding.withheldAmount,
+        net_to_investor: withholding.netAmount,
+        withholding_rate: withholding.effectiveRate,
+        withholding_category: withholding.category,
+        withholding_breakdown: withholding.sources
+      };
+    });
+  }
+
+  /**
+   * Add the amount each LP reinvests under its reinvestment election to allocation rows
+   * (taken from the cash payable after withholding and in-kind units; see utils/reinvestment)
+   * @param {Array} allocations - distribution_allocations rows (snake_case)
+   * @param {Object} distribution - Distribution (camelCase)
+   * @param {string} structureId - Structure ID
+   * @returns {Promise<Array>} Rows with reinvestment_amount, reinvestment_method and reinvestment_election_id
+   */
+  static async applyReinvestment(allocations, distribution, structureId) {
+    if (allocations.length === 0) return allocations;
+
+    const supabase = getSupabase();
+
+    const { data: elections, error } = await supabase
+      .from('reinvestment_elections')
+      .select('*')
+      .eq('structure_id', structureId)
+      .eq('status', 'Active');
+
+    if (error) {
+      throw new Error(`Error fetching reinvestment elections: ${error.message}`);
+    }
+
+    const activeElections = (Array.isArray(elections) ? elections : []).map(e => ({
+      id: e.id,
+      userId: e.user_id,
+      reinvestmentPercentage: e.reinvestment_percentage,
+      method: e.method,
+      effectiveDate: e.effective_date,
+      status: e.status
+    }));
+
+    return allocations.map(a => {
+      const election = getActiveElection(
+        activeElections.filter(e => e.userId === a.user_id),
+        distribution.distributionDate
+      );
+      const { reinvestmentAmount, method } = calculateReinvestment(a, election);
+
+      return {
+        ...a,
+        reinvestment_amount: reinvestmentAmount,
+        reinvestment_method: method,
+        reinvestment_election_id: reinvestmentAmount > 0 ? election.id : null
+      };
+    });
+  }
+
+  /**
+   * Load the structure's withholding rates, the LPs' tax profiles and their active
+   * treaty / exemption elections
+   * @param {string} structureId - Structure ID
+   * @param {Array<string>} userIds - LP user IDs
+   * @returns {Promise<Object>} { structure, investors: Map<userId, { investorType, country }>, elections }
+   */
+  static async getWithholdingInputs(structureId, userIds) {
+    const supabase = getSupabase();
+
+    const { data: structure, error: structureError } = await supabase
+      .from('structures')
+      .select(`
+        tax_jurisdiction,
+        withholding_tax_on_distributions,
+        withholding_tax_natural_residents,
+        withholding_tax_natural_non_residents,
+        withholding_tax_legal_residents,
+        withholding_tax_legal_non_residents,
+        same_tax_treatment
+      `)
+      .eq('id', structureId)
+      .single();
+
+    if (structureError && structureError.code !== 'PGRST116') {
+      throw new Error(`Error fetching structure withholding rates: ${structureError.message}`);
+    }
+
+    const { data: users, error: userError } = await supabase
+      .from('users')
+      .select('id, investor_type, country')
+      .in('id', userIds);
+
+    if (userError) {
+      throw new Error(`Error fetching investor tax profiles: ${userError.message}`);
+    }
+
+    const { data: elections, error: electionError } = await supabase
+      .from('withholding_tax_elections')
+      .select('*')
+      .eq('structure_id', structureId)
+      .eq('status', 'Active');
+
+    if (electionError) {
+      throw new Error(`Error fetching withholding tax elections: ${electionError.message}`);
+    }
+
+    return {
+      structure: {
+        taxJurisdiction: structure?.tax_jurisdiction || null,
+        withholdingTaxOnDistributions: structure?.withholding_tax_on_distributions ?? null,
+        withholdingTaxNaturalResidents: structure?.withholding_tax_natural_residents ?? null,
+        withholdingTaxNaturalNonResidents: structure?.withholding_tax_natural_non_residents ?? null,
+        withholdingTaxLegalResidents: structure?.withholding_tax_legal_residents ?? null,
+        withholdingTaxLegalNonResidents: structure?.withholding_tax_legal_non_residents ?? null,
+        sameTaxTreatment: structure?.same_tax_treatment === true
+      },
+      investors: new Map((Array.isArray(users) ? users : []).map(u => [u.id, { investorType: u.investor_type, country: u.country }])),
+      elections: (Array.isArray(elections) ? elections : []).map(e => ({
+        id: e.id,
+        userId: e.user_id,
+        electionType: e.election_type,
+        rate: e.rate,
+        incomeSources: e.income_sources,
+        effectiveDate: e.effective_date,
+        expiryDate: e.expiry_date,
+        status: e.status
+      }))
+    };
+  }
+
+  /**
+   * Get the LPs excluded from an investment (excused from the capital calls that funded it)
+   * @param {string|null} investmentId - Investment ID
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  static async getExcludedUserIds(investmentId) {
+    if (!investmentId) return [];
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('investment_exclusions')
+      .select('user_id')
+      .eq('investment_id', investmentId);
+
+    if (error) {
+      throw new Error(`Error fetching investment exclusions: ${error.message}`);
+    }
+
+    return (data || []).map(e => e.user_id);
+  }
+
   /**
    * Calculate total distributions for investors
    */
@@ -556,8 +1210,9 @@ class Distribution {
   /**
    * Get cumulative distributed amounts per investor for a structure
    * Excludes a specific distribution (useful for calculating "previously distributed")
+   * and, when asOfDate is given, distributions dated after it
    */
-  static async getCumulativeDistributedByStructure(structureId, excludeDistId = null) {
+  static async getCumulativeDistributedByStructure(structureId, excludeDistId = null, asOfDate = null) {
     const supabase = getSupabase();
 
     // Get all non-draft/cancelled distributions for this structure
@@ -570,6 +1225,9 @@ class Distribution {
     if (excludeDistId) {
       query = query.neq('id', excludeDistId);
     }
+    if (asOfDate) {
+      query = query.lte('distribution_date', asOfDate);
+    }
 
     const { data: distributions, error: distError } = await query;
 
@@ -0,0 +1,157 @@
+/**
+ * DistributionPayoutBatch Supabase Model
+ * Bank payment batch files (NACHA, SEPA pain.001, SPEI CSV) generated to pay a distribution's
+ * allocations to LPs without a Stripe Connect account (see services/distributionPayoutService).
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class DistributionPayoutBatch {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      distributionId: 'distribution_id',
+      structureId: 'structure_id',
+      format: 'format',                // 'nacha', 'sepa', 'spei'
+      fileName: 'file_name',
+      fileContent: 'file_content',
+      currency: 'currency',
+      totalAmount: 'total_amount',
+      itemCount: 'item_count',
+      status: 'status',                // 'generated', 'settled', 'failed'
+      settledAt: 'settled_at',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      distributionId: dbData.distribution_id,
+      structureId: dbData.structure_id,
+      format: dbData.format,
+      fileName: dbData.file_name,
+      fileContent: dbData.file_content,
+      currency: dbData.currency,
+      totalAmount: parseFloat(dbData.total_amount) || 0,
+      itemCount: dbData.item_count || 0,
+      status: dbData.status,
+      settledAt: dbData.settled_at,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create a payout batch
+   * @param {Object} batchData - Batch fields (camelCase)
+   * @returns {Promise<Object>} Created batch
+   */
+  static async create(batchData) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_payout_batches')
+      .insert([this._toDbFields(batchData)])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating distribution payout batch: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find a payout batch by ID
+   * @param {string} id - Batch ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_payout_batches')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding distribution payout batch: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the payout batches of a distribution, oldest first
+   * @param {string} distributionId - Distribution ID
+   * @returns {Promise<Array>}
+   */
+  static async findByDistributionId(distributionId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_payout_batches')
+      .select('*')
+      .eq('distribution_id', distributionId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding distribution payout batches: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Update a payout batch by ID
+   * @param {string} id - Batch ID
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object>}
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+
+    const dbData = this._toDbFields(updateData);
+    ['id', 'distribution_id', 'structure_id', 'created_by', 'created_at'].forEach(field => delete dbData[field]);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('distribution_payout_batches')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating distribution payout batch: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = DistributionPayoutBatch;
@@ -0,0 +1,147 @@
+/**
+ * DistributionReinvestment Supabase Model
+ * Amounts LPs reinvested from approved distributions under their reinvestment elections:
+ * credits pending against their next capital calls, or subscriptions raising their
+ * commitment (see services/reinvestmentService).
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class DistributionReinvestment {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      distributionId: 'distribution_id',
+      userId: 'user_id',
+      electionId: 'election_id',
+      method: 'method',                // 'net_against_call', 'subscription'
+      amount: 'amount',
+      appliedAmount: 'applied_amount',
+      applications: 'applications',    // [{ capitalCallId, allocationId, paymentId, amount, date }]
+      subscriptionId: 'subscription_id',
+      status: 'status',                // 'pending', 'applied'
+      reinvestmentDate: 'reinvestment_date',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      distributionId: dbData.distribution_id,
+      userId: dbData.user_id,
+      electionId: dbData.election_id,
+      method: dbData.method,
+      amount: parseFloat(dbData.amount) || 0,
+      appliedAmount: parseFloat(dbData.applied_amount) || 0,
+      applications: dbData.applications || [],
+      subscriptionId: dbData.subscription_id,
+      status: dbData.status,
+      reinvestmentDate: dbData.reinvestment_date,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Record reinvestments
+   * @param {Array} reinvestments - Reinvestment fields (camelCase)
+   * @returns {Promise<Array>} Created reinvestments
+   */
+  static async createMany(reinvestments) {
+    if (!reinvestments || reinvestments.length === 0) return [];
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('distribution_reinvestments')
+      .insert(reinvestments.map(item => this._toDbFields(item)))
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating distribution reinvestments: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Get the reinvestments of a structure in date order
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { userId, distributionId, status }
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('distribution_reinvestments')
+      .select('*')
+      .eq('structure_id', structureId);
+
+    if (filter.userId) query = query.eq('user_id', filter.userId);
+    if (filter.distributionId) query = query.eq('distribution_id', filter.distributionId);
+    if (filter.status) query = query.eq('status', filter.status);
+
+    const { data, error } = await query
+      .order('reinvestment_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding distribution reinvestments: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Update a reinvestment by ID
+   * @param {string} id - Reinvestment ID
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object>}
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+
+    const dbData = this._toDbFields(updateData);
+    ['id', 'structure_id', 'distribution_id', 'user_id', 'created_by', 'created_at'].forEach(field => delete dbData[field]);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('distribution_reinvestments')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating distribution reinvestment: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = DistributionReinvestment;
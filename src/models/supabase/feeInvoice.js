@@ -0,0 +1,250 @@
+/**
+ * FeeInvoice Supabase Model
+ * Management fee invoices and credit notes issued to LPs, numbered per structure and series
+ * without gaps (see services/feeInvoiceService).
+ */
+
+const { getSupabase } = require('../../config/database');
+
+const MAX_FOLIO_ATTEMPTS = 5;
+
+// Partial unique index allowing one open (not fully credited) invoice per fee billing
+const OPEN_INVOICE_INDEX = 'idx_fee_invoices_open_allocation';
+
+class FeeInvoice {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      invoiceType: 'invoice_type',     // 'invoice', 'credit_note'
+      series: 'series',
+      folio: 'folio',
+      issueDate: 'issue_date',
+      capitalCallId: 'capital_call_id',
+      capitalCallAllocationId: 'capital_call_allocation_id',
+      originalInvoiceId: 'original_invoice_id',
+      currency: 'currency',
+      lineItems: 'line_items',
+      subtotal: 'subtotal',
+      vatRate: 'vat_rate',
+      vatAmount: 'vat_amount',
+      total: 'total',
+      creditedAmount: 'credited_amount',
+      status: 'status',                // 'issued', 'partially_credited', 'credited'
+      issuer: 'issuer',
+      recipient: 'recipient',
+      reason: 'reason',
+      documentId: 'document_id',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      invoiceType: dbData.invoice_type,
+      series: dbData.series,
+      folio: dbData.folio,
+      invoiceNumber: `${dbData.series}-${String(dbData.folio).padStart(6, '0')}`,
+      issueDate: dbData.issue_date,
+      capitalCallId: dbData.capital_call_id,
+      capitalCallAllocationId: dbData.capital_call_allocation_id,
+      originalInvoiceId: dbData.original_invoice_id,
+      currency: dbData.currency,
+      lineItems: dbData.line_items || [],
+      subtotal: parseFloat(dbData.subtotal) || 0,
+      vatRate: parseFloat(dbData.vat_rate) || 0,
+      vatAmount: parseFloat(dbData.vat_amount) || 0,
+      total: parseFloat(dbData.total) || 0,
+      creditedAmount: parseFloat(dbData.credited_amount) || 0,
+      status: dbData.status,
+      issuer: dbData.issuer || {},
+      recipient: dbData.recipient || {},
+      reason: dbData.reason,
+      documentId: dbData.document_id,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Get the last folio used in a structure's series
+   * @param {string} structureId - Structure ID
+   * @param {string} series - Invoice series
+   * @returns {Promise<number>} Last folio (0 when the series is unused)
+   */
+  static async getLastFolio(structureId, series) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fee_invoices')
+      .select('folio')
+      .eq('structure_id', structureId)
+      .eq('series', series)
+      .order('folio', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error getting last invoice folio: ${error.message}`);
+    }
+
+    return data?.folio || 0;
+  }
+
+  /**
+   * Create an invoice with the next folio of its series
+   * The folio is the last one used + 1; when another invoice takes it first the unique
+   * constraint rejects the insert and the next one is tried, so the series has no gaps.
+   * @param {Object} invoiceData - Invoice fields (camelCase) including structureId and series
+   * @returns {Promise<Object|null>} Created invoice, or null when the fee billing already has an
+   *   open invoice (issued concurrently)
+   */
+  static async createWithNextFolio(invoiceData) {
+    const supabase = getSupabase();
+
+    for (let attempt = 0; attempt < MAX_FOLIO_ATTEMPTS; attempt++) {
+      const folio = await this.getLastFolio(invoiceData.structureId, invoiceData.series) + 1;
+
+      const { data, error } = await supabase
+        .from('fee_invoices')
+        .insert([this._toDbFields({ ...invoiceData, folio })])
+        .select()
+        .single();
+
+      if (!error) return this._toModel(data);
+      if (error.code === '23505' && error.message?.includes(OPEN_INVOICE_INDEX)) return null;
+      if (error.code !== '23505') {
+        throw new Error(`Error creating fee invoice: ${error.message}`);
+      }
+    }
+
+    throw new Error(`Error creating fee invoice: could not assign a folio in series ${invoiceData.series}`);
+  }
+
+  /**
+   * Find an invoice by ID
+   * @param {string} id - Invoice ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fee_invoices')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding fee invoice: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the invoices of a structure in series and folio order
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { userId, capitalCallId, invoiceType, originalInvoiceId }
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('fee_invoices')
+      .select('*')
+      .eq('structure_id', structureId);
+
+    if (filter.userId) query = query.eq('user_id', filter.userId);
+    if (filter.capitalCallId) query = query.eq('capital_call_id', filter.capitalCallId);
+    if (filter.invoiceType) query = query.eq('invoice_type', filter.invoiceType);
+    if (filter.originalInvoiceId) query = query.eq('original_invoice_id', filter.originalInvoiceId);
+
+    const { data, error } = await query
+      .order('series', { ascending: true })
+      .order('folio', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding fee invoices: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Update an invoice by ID
+   * @param {string} id - Invoice ID
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object>} Updated invoice
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fee_invoices')
+      .update({ ...this._toDbFields(updateData), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating fee invoice: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Update an invoice only if its credited amount is still the one read
+   * Guards the read-modify-write of creditedAmount when credit notes are issued concurrently.
+   * @param {string} id - Invoice ID
+   * @param {number} expectedCreditedAmount - Credited amount the update was computed from
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object|null>} Updated invoice, or null when it changed in the meantime
+   */
+  static async updateIfCreditedAmount(id, expectedCreditedAmount, updateData) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fee_invoices')
+      .update({ ...this._toDbFields(updateData), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('credited_amount', expectedCreditedAmount)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error updating fee invoice: ${error.message}`);
+    }
+
+    return data ? this._toModel(data) : null;
+  }
+}
+
+module.exports = FeeInvoice;
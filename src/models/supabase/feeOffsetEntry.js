@@ -0,0 +1,135 @@
+/**
+ * FeeOffsetEntry Supabase Model
+ * Per-LP ledger of management fee offsets: credits from GP fee income, applications against
+ * capital call fees and reversals of applications when a call is cancelled; the balance
+ * carries forward (see services/feeOffsetService). Entries are never deleted.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class FeeOffsetEntry {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      entryType: 'entry_type',         // 'credit', 'applied', 'reversal'
+      amount: 'amount',
+      feeIncomeId: 'fee_income_id',
+      capitalCallId: 'capital_call_id',
+      capitalCallAllocationId: 'capital_call_allocation_id',
+      reversedEntryId: 'reversed_entry_id',
+      entryDate: 'entry_date',
+      description: 'description',
+      createdBy: 'created_by',
+      createdAt: 'created_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      entryType: dbData.entry_type,
+      amount: parseFloat(dbData.amount) || 0,
+      feeIncomeId: dbData.fee_income_id,
+      capitalCallId: dbData.capital_call_id,
+      capitalCallAllocationId: dbData.capital_call_allocation_id,
+      reversedEntryId: dbData.reversed_entry_id || null,
+      entryDate: dbData.entry_date,
+      description: dbData.description,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at
+    };
+  }
+
+  /**
+   * Record ledger entries
+   * @param {Array} entries - Entry fields (camelCase)
+   * @returns {Promise<Array>} Created entries
+   */
+  static async createMany(entries) {
+    if (!entries || entries.length === 0) return [];
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fee_offset_entries')
+      .insert(entries.map(entry => this._toDbFields(entry)))
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating fee offset entries: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Get the ledger entries of a structure in date order, optionally for one LP
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { userId }
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('fee_offset_entries')
+      .select('*')
+      .eq('structure_id', structureId);
+
+    if (filter.userId) query = query.eq('user_id', filter.userId);
+
+    const { data, error } = await query
+      .order('entry_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding fee offset entries: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Get the ledger entries recorded against a capital call (applications and their reversals)
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('fee_offset_entries')
+      .select('*')
+      .eq('capital_call_id', capitalCallId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding fee offset entries: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+}
+
+module.exports = FeeOffsetEntry;
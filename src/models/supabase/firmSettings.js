@@ -26,6 +26,8 @@ class FirmSettings {
       companyName: 'company_name',
       legalRepresentativeName: 'legal_representative_name',
       legalRepresentativeSignature: 'legal_representative_signature',
+      taxId: 'tax_id',
+      taxRegime: 'tax_regime',
       userId: 'user_id',
       createdAt: 'created_at',
       updatedAt: 'updated_at'
@@ -61,6 +63,8 @@ class FirmSettings {
       companyName: dbData.company_name,
       legalRepresentativeName: dbData.legal_representative_name,
       legalRepresentativeSignature: dbData.legal_representative_signature,
+      taxId: dbData.tax_id,
+      taxRegime: dbData.tax_regime,
       userId: dbData.user_id,
       createdAt: dbData.created_at,
       updatedAt: dbData.updated_at
@@ -0,0 +1,159 @@
+/**
+ * GpFeeIncome Supabase Model
+ * Register of transaction, monitoring, director and break-up fees the GP receives from
+ * portfolio investments, with the management fee offset credit each one produced for the LPs
+ * (see services/feeOffsetService).
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class GpFeeIncome {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      investmentId: 'investment_id',
+      feeType: 'fee_type',              // 'transaction', 'monitoring', 'director', 'break_up', 'other'
+      description: 'description',
+      amount: 'amount',
+      receivedDate: 'received_date',
+      offsetRate: 'offset_rate',        // % of the fee credited to the LPs
+      offsetAmount: 'offset_amount',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      investmentId: dbData.investment_id,
+      investment: dbData.investment || null,
+      feeType: dbData.fee_type,
+      description: dbData.description,
+      amount: parseFloat(dbData.amount) || 0,
+      receivedDate: dbData.received_date,
+      offsetRate: parseFloat(dbData.offset_rate) || 0,
+      offsetAmount: parseFloat(dbData.offset_amount) || 0,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Record GP fee income
+   * @param {Object} incomeData - Fee income fields (camelCase)
+   * @returns {Promise<Object>} Created record
+   */
+  static async create(incomeData) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('gp_fee_income')
+      .insert([this._toDbFields(incomeData)])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating GP fee income: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find GP fee income by ID
+   * @param {string} id - Fee income ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('gp_fee_income')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding GP fee income: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the GP fee income of a structure in date order
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { investmentId, feeType, startDate, endDate } (received dates)
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('gp_fee_income')
+      .select('*, investment:investments(id, investment_name)')
+      .eq('structure_id', structureId);
+
+    if (filter.investmentId) query = query.eq('investment_id', filter.investmentId);
+    if (filter.feeType) query = query.eq('fee_type', filter.feeType);
+    if (filter.startDate) query = query.gte('received_date', filter.startDate);
+    if (filter.endDate) query = query.lte('received_date', filter.endDate);
+
+    const { data, error } = await query
+      .order('received_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding GP fee income: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Delete GP fee income by ID (its LP credits are deleted with it)
+   * @param {string} id - Fee income ID
+   * @returns {Promise<Object>} Deleted record
+   */
+  static async findByIdAndDelete(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('gp_fee_income')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error deleting GP fee income: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = GpFeeIncome;
@@ -15,11 +15,29 @@ const StructureInvestor = require('./structureInvestor');
 const Investor = require('./investor'); // Deprecated - use StructureInvestor
 const Investment = require('./investment');
 const CapitalCall = require('./capitalCall');
+const CapitalCallInstallment = require('./capitalCallInstallment');
+const CapitalCallPayment = require('./capitalCallPayment');
+const CapitalCallRefund = require('./capitalCallRefund');
+const CapitalCallLineItem = require('./capitalCallLineItem');
+const CapitalCallExcusal = require('./capitalCallExcusal');
 const Distribution = require('./distribution');
 const WaterfallTier = require('./waterfallTier');
+const ClawbackAssessment = require('./clawbackAssessment');
+const InvestorClass = require('./investorClass');
+const WithholdingTaxElection = require('./withholdingTaxElection');
+const RecallableLedgerEntry = require('./recallableLedgerEntry');
+const ReinvestmentElection = require('./reinvestmentElection');
+const DistributionReinvestment = require('./distributionReinvestment');
+const DistributionPayoutBatch = require('./distributionPayoutBatch');
+const ManagementFeeAccrual = require('./managementFeeAccrual');
+const GpFeeIncome = require('./gpFeeIncome');
+const FeeOffsetEntry = require('./feeOffsetEntry');
+const PartnershipExpense = require('./partnershipExpense');
+const FeeInvoice = require('./feeInvoice');
 const Document = require('./document');
 const DrawdownNoticeTemplate = require('./drawdownNoticeTemplate');
 const DistributionNoticeTemplate = require('./distributionNoticeTemplate');
+const ApprovalPolicy = require('./approvalPolicy');
 
 // Chat System models
 const Conversation = require('./conversation');
@@ -77,11 +95,29 @@ module.exports = {
   Investor, // Deprecated - use StructureInvestor
   Investment,
   CapitalCall,
+  CapitalCallInstallment,
+  CapitalCallPayment,
+  CapitalCallRefund,
+  CapitalCallLineItem,
+  CapitalCallExcusal,
   Distribution,
   WaterfallTier,
+  ClawbackAssessment,
+  InvestorClass,
+  WithholdingTaxElection,
+  RecallableLedgerEntry,
+  ReinvestmentElection,
+  DistributionReinvestment,
+  DistributionPayoutBatch,
+  ManagementFeeAccrual,
+  GpFeeIncome,
+  FeeOffsetEntry,
+  PartnershipExpense,
+  FeeInvoice,
   Document,
   DrawdownNoticeTemplate,
   DistributionNoticeTemplate,
+  ApprovalPolicy,
 
   // Chat System models
   Conversation,
@@ -0,0 +1,177 @@
+/**
+ * InvestorClass Supabase Model
+ * Classes of LPs within a structure (e.g., Class A, Founders, GP commit) with their own
+ * waterfall tiers or overrides of the structure's hurdle, carry and catch-up.
+ * LPs are assigned through structure_investors.investor_class_id.
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class InvestorClass {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      name: 'name',
+      description: 'description',
+      hurdleRate: 'hurdle_rate',          // Overrides the preferred return tier's IRR
+      carriedInterest: 'carried_interest', // Overrides the last tier's GP share
+      gpCatchUpRate: 'gp_catch_up_rate',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    const toNumberOrNull = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      name: dbData.name,
+      description: dbData.description,
+      hurdleRate: toNumberOrNull(dbData.hurdle_rate),
+      carriedInterest: toNumberOrNull(dbData.carried_interest),
+      gpCatchUpRate: toNumberOrNull(dbData.gp_catch_up_rate),
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Create an investor class
+   * @param {Object} classData - Class fields (camelCase)
+   * @returns {Promise<Object>} Created class
+   */
+  static async create(classData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(classData);
+
+    const { data, error } = await supabase
+      .from('investor_classes')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating investor class: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find an investor class by ID
+   * @param {string} id - Class ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('investor_classes')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding investor class: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the investor classes of a structure
+   * @param {string} structureId - Structure ID
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('investor_classes')
+      .select('*')
+      .eq('structure_id', structureId)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding investor classes: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Update an investor class by ID
+   * @param {string} id - Class ID
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object>}
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+
+    const dbData = this._toDbFields(updateData);
+    // Remove fields that shouldn't be updated
+    ['id', 'structure_id', 'created_by', 'created_at'].forEach(field => delete dbData[field]);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('investor_classes')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating investor class: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Delete an investor class by ID
+   * Its tiers go with it and its LPs fall back to the structure's tiers.
+   * @param {string} id - Class ID
+   * @returns {Promise<Object>}
+   */
+  static async findByIdAndDelete(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('investor_classes')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error deleting investor class: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = InvestorClass;
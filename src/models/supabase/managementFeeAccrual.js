@@ -0,0 +1,227 @@
+/**
+ * ManagementFeeAccrual Supabase Model
+ * Ledger of management fees accrued per LP and period, independently of capital calls;
+ * calls flagged to bill accrued fees charge the unbilled entries (see services/feeAccrualService).
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class ManagementFeeAccrual {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      periodStart: 'period_start',
+      periodEnd: 'period_end',
+      feeBase: 'fee_base',                        // 'committed', 'nic', 'nic_plus_unfunded'
+      dayCountConvention: 'day_count_convention',
+      commitment: 'commitment',
+      nicAmount: 'nic_amount',
+      unfundedAmount: 'unfunded_amount',
+      segments: 'segments',                       // [{ from, to, days, phase, components, grossFee, netFee }]
+      grossFee: 'gross_fee',
+      discountAmount: 'discount_amount',
+      netFee: 'net_fee',
+      vatAmount: 'vat_amount',
+      totalFee: 'total_fee',
+      status: 'status',                           // 'accrued', 'billed'
+      capitalCallId: 'capital_call_id',
+      capitalCallAllocationId: 'capital_call_allocation_id',
+      billedAt: 'billed_at',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      periodStart: dbData.period_start,
+      periodEnd: dbData.period_end,
+      feeBase: dbData.fee_base,
+      dayCountConvention: dbData.day_count_convention,
+      commitment: parseFloat(dbData.commitment) || 0,
+      nicAmount: parseFloat(dbData.nic_amount) || 0,
+      unfundedAmount: parseFloat(dbData.unfunded_amount) || 0,
+      segments: dbData.segments || [],
+      grossFee: parseFloat(dbData.gross_fee) || 0,
+      discountAmount: parseFloat(dbData.discount_amount) || 0,
+      netFee: parseFloat(dbData.net_fee) || 0,
+      vatAmount: parseFloat(dbData.vat_amount) || 0,
+      totalFee: parseFloat(dbData.total_fee) || 0,
+      status: dbData.status,
+      capitalCallId: dbData.capital_call_id,
+      capitalCallAllocationId: dbData.capital_call_allocation_id,
+      billedAt: dbData.billed_at,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Record accruals
+   * @param {Array} accruals - Accrual fields (camelCase)
+   * @returns {Promise<Array>} Created accruals
+   */
+  static async createMany(accruals) {
+    if (!accruals || accruals.length === 0) return [];
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('management_fee_accruals')
+      .insert(accruals.map(item => this._toDbFields(item)))
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating management fee accruals: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Find an accrual by ID
+   * @param {string} id - Accrual ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('management_fee_accruals')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding management fee accrual: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the accruals of a structure in period order
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { userId, status, startDate, endDate } (periods overlapping the dates)
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('management_fee_accruals')
+      .select('*')
+      .eq('structure_id', structureId);
+
+    if (filter.userId) query = query.eq('user_id', filter.userId);
+    if (filter.status) query = query.eq('status', filter.status);
+    if (filter.startDate) query = query.gte('period_end', filter.startDate);
+    if (filter.endDate) query = query.lte('period_start', filter.endDate);
+
+    const { data, error } = await query
+      .order('period_start', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding management fee accruals: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Get the accruals billed by a capital call
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>}
+   */
+  static async findByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('management_fee_accruals')
+      .select('*')
+      .eq('capital_call_id', capitalCallId);
+
+    if (error) {
+      throw new Error(`Error finding management fee accruals: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Update an accrual by ID
+   * @param {string} id - Accrual ID
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object>}
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+
+    const dbData = this._toDbFields(updateData);
+    ['id', 'structure_id', 'user_id', 'created_by', 'created_at'].forEach(field => delete dbData[field]);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('management_fee_accruals')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating management fee accrual: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Delete an accrual by ID
+   * @param {string} id - Accrual ID
+   * @returns {Promise<Object>} Deleted accrual
+   */
+  static async findByIdAndDelete(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('management_fee_accruals')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error deleting management fee accrual: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = ManagementFeeAccrual;
@@ -0,0 +1,230 @@
+/**
+ * PartnershipExpense Supabase Model
+ * Partnership expense ledger: fund expenses by category and their allocation to LPs
+ * (see services/partnershipExpenseService).
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class PartnershipExpense {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      category: 'category',                   // 'legal', 'audit', 'organizational', 'broken_deal', 'administration', 'tax', 'other'
+      description: 'description',
+      vendor: 'vendor',
+      amount: 'amount',
+      expenseDate: 'expense_date',
+      investmentId: 'investment_id',
+      isOrganizational: 'is_organizational',  // Counts toward the organizational expense cap
+      allocationMethod: 'allocation_method',  // 'pro_rata', 'custom'
+      allocationKeys: 'allocation_keys',      // { userId: percentage } for custom allocations
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      category: dbData.category,
+      description: dbData.description,
+      vendor: dbData.vendor,
+      amount: parseFloat(dbData.amount) || 0,
+      expenseDate: dbData.expense_date,
+      investmentId: dbData.investment_id,
+      isOrganizational: dbData.is_organizational === true,
+      allocationMethod: dbData.allocation_method,
+      allocationKeys: dbData.allocation_keys || null,
+      allocations: (dbData.allocations || []).map(a => this._toAllocationModel(a)),
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Convert a snake_case allocation row to camelCase
+   */
+  static _toAllocationModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      expenseId: dbData.expense_id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      percentage: parseFloat(dbData.percentage) || 0,
+      amount: parseFloat(dbData.amount) || 0,
+      expense: dbData.expense ? this._toModel(dbData.expense) : undefined,
+      createdAt: dbData.created_at
+    };
+  }
+
+  /**
+   * Record an expense
+   * @param {Object} expenseData - Expense fields (camelCase)
+   * @returns {Promise<Object>} Created expense
+   */
+  static async create(expenseData) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('partnership_expenses')
+      .insert([this._toDbFields(expenseData)])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating partnership expense: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find an expense by ID with its LP allocations
+   * @param {string} id - Expense ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('partnership_expenses')
+      .select('*, allocations:partnership_expense_allocations(*)')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding partnership expense: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the expenses of a structure in date order with their LP allocations
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { category, startDate, endDate }
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('partnership_expenses')
+      .select('*, allocations:partnership_expense_allocations(*)')
+      .eq('structure_id', structureId);
+
+    if (filter.category) query = query.eq('category', filter.category);
+    if (filter.startDate) query = query.gte('expense_date', filter.startDate);
+    if (filter.endDate) query = query.lte('expense_date', filter.endDate);
+
+    const { data, error } = await query
+      .order('expense_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding partnership expenses: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Record the LP allocations of an expense
+   * @param {Array} allocations - [{ expenseId, structureId, userId, percentage, amount }]
+   * @returns {Promise<Array>} Created allocations
+   */
+  static async createAllocations(allocations) {
+    if (!allocations || allocations.length === 0) return [];
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('partnership_expense_allocations')
+      .insert(allocations.map(a => ({
+        expense_id: a.expenseId,
+        structure_id: a.structureId,
+        user_id: a.userId,
+        percentage: a.percentage,
+        amount: a.amount
+      })))
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating partnership expense allocations: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toAllocationModel(item));
+  }
+
+  /**
+   * Get an LP's expense allocations in a structure, with the expense they belong to
+   * @param {string} structureId - Structure ID
+   * @param {string} userId - LP user ID
+   * @returns {Promise<Array>}
+   */
+  static async findAllocationsByInvestor(structureId, userId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('partnership_expense_allocations')
+      .select('*, expense:partnership_expenses(*)')
+      .eq('structure_id', structureId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding partnership expense allocations: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toAllocationModel(item));
+  }
+
+  /**
+   * Delete an expense by ID (its allocations are deleted with it)
+   * @param {string} id - Expense ID
+   * @returns {Promise<Object>} Deleted expense
+   */
+  static async findByIdAndDelete(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('partnership_expenses')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error deleting partnership expense: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = PartnershipExpense;
@@ -0,0 +1,130 @@
+/**
+ * RecallableLedgerEntry Supabase Model
+ * Per-LP ledger of recallable distributions: credits from approved recallable distributions,
+ * debits from approved capital calls that recycle capital (see services/recallableLedgerService).
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class RecallableLedgerEntry {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      entryType: 'entry_type',         // 'credit', 'debit'
+      amount: 'amount',
+      distributionId: 'distribution_id',
+      capitalCallId: 'capital_call_id',
+      entryDate: 'entry_date',
+      description: 'description',
+      createdBy: 'created_by',
+      createdAt: 'created_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      entryType: dbData.entry_type,
+      amount: parseFloat(dbData.amount) || 0,
+      distributionId: dbData.distribution_id,
+      capitalCallId: dbData.capital_call_id,
+      entryDate: dbData.entry_date,
+      description: dbData.description,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at
+    };
+  }
+
+  /**
+   * Record ledger entries
+   * @param {Array} entries - Entry fields (camelCase)
+   * @returns {Promise<Array>} Created entries
+   */
+  static async createMany(entries) {
+    if (!entries || entries.length === 0) return [];
+
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('recallable_ledger_entries')
+      .insert(entries.map(entry => this._toDbFields(entry)))
+      .select();
+
+    if (error) {
+      throw new Error(`Error creating recallable ledger entries: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Get the ledger entries of a structure in date order, optionally for one LP
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { userId }
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('recallable_ledger_entries')
+      .select('*')
+      .eq('structure_id', structureId);
+
+    if (filter.userId) query = query.eq('user_id', filter.userId);
+
+    const { data, error } = await query
+      .order('entry_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error finding recallable ledger entries: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+
+  /**
+   * Delete the debits a capital call made (returning them to the LPs' recallable balances)
+   * @param {string} capitalCallId - Capital call ID
+   * @returns {Promise<Array>} Deleted entries
+   */
+  static async deleteByCapitalCallId(capitalCallId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('recallable_ledger_entries')
+      .delete()
+      .eq('capital_call_id', capitalCallId)
+      .select();
+
+    if (error) {
+      throw new Error(`Error deleting recallable ledger entries: ${error.message}`);
+    }
+
+    return (data || []).map(item => this._toModel(item));
+  }
+}
+
+module.exports = RecallableLedgerEntry;
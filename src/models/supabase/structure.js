@@ -136,6 +136,7 @@ class Structure {
       managementFeeOffset: 'management_fee_offset',
       feeOffsetRate: 'fee_offset_rate',
       prefReturnCompounding: 'pref_return_compounding',
+      returnFeesWithCapital: 'return_fees_with_capital',
       payWithPolibitEnabled: 'pay_with_polibit_enabled',
       payWithPolibitSettlement: 'pay_with_polibit_settlement',
       paymentCardEnabled: 'payment_card_enabled',
@@ -156,6 +157,19 @@ class Structure {
       // Spec V2: Bank Transfer toggles (Step 7)
       bankTransferLocalEnabled: 'bank_transfer_local_enabled',
       bankTransferInternationalEnabled: 'bank_transfer_international_enabled',
+      // Investor default terms (LPA)
+      defaultGracePeriodDays: 'default_grace_period_days',
+      defaultInterestRate: 'default_interest_rate',
+      defaultForfeiturePercent: 'default_forfeiture_percent',
+      overcallLimitPercent: 'overcall_limit_percent',
+      // Payment application policy for LP capital call payments
+      paymentApplicationPolicy: 'payment_application_policy',
+      paymentApplicationOrder: 'payment_application_order',
+      // GP clawback
+      clawbackNetOfTaxes: 'clawback_net_of_taxes',
+      clawbackTaxRate: 'clawback_tax_rate',
+      // Organizational expense cap (LPA)
+      organizationalExpenseCap: 'organizational_expense_cap',
       createdBy: 'created_by',
       createdAt: 'created_at',
       updatedAt: 'updated_at'
@@ -301,6 +315,7 @@ class Structure {
       managementFeeOffset: dbData.management_fee_offset,
       feeOffsetRate: dbData.fee_offset_rate,
       prefReturnCompounding: dbData.pref_return_compounding,
+      returnFeesWithCapital: dbData.return_fees_with_capital !== false,
       payWithPolibitEnabled: dbData.pay_with_polibit_enabled,
       payWithPolibitSettlement: dbData.pay_with_polibit_settlement,
       paymentCardEnabled: dbData.payment_card_enabled,
@@ -321,6 +336,19 @@ class Structure {
       // Spec V2: Bank Transfer toggles (Step 7)
       bankTransferLocalEnabled: dbData.bank_transfer_local_enabled,
       bankTransferInternationalEnabled: dbData.bank_transfer_international_enabled,
+      // Investor default terms (LPA)
+      defaultGracePeriodDays: dbData.default_grace_period_days,
+      defaultInterestRate: dbData.default_interest_rate,
+      defaultForfeiturePercent: dbData.default_forfeiture_percent,
+      overcallLimitPercent: dbData.overcall_limit_percent,
+      // Payment application policy for LP capital call payments
+      paymentApplicationPolicy: dbData.payment_application_policy || 'pro_rata',
+      paymentApplicationOrder: dbData.payment_application_order,
+      // GP clawback
+      clawbackNetOfTaxes: dbData.clawback_net_of_taxes || false,
+      clawbackTaxRate: dbData.clawback_tax_rate,
+      // Organizational expense cap (LPA)
+      organizationalExpenseCap: dbData.organizational_expense_cap,
       createdBy: dbData.created_by,
       createdAt: dbData.created_at,
       updatedAt: dbData.updated_at
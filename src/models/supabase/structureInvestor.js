@@ -22,6 +22,7 @@ class StructureInvestor {
       feeDiscount: 'fee_discount',
       vatExempt: 'vat_exempt',
       customTerms: 'custom_terms',
+      investorClassId: 'investor_class_id',
       status: 'status',
       createdAt: 'created_at',
       updatedAt: 'updated_at'
@@ -51,6 +52,7 @@ class StructureInvestor {
       feeDiscount: dbData.fee_discount,
       vatExempt: dbData.vat_exempt,
       customTerms: dbData.custom_terms,
+      investorClassId: dbData.investor_class_id || null,
       status: dbData.status,
       createdAt: dbData.created_at,
       updatedAt: dbData.updated_at,
@@ -259,6 +261,30 @@ class StructureInvestor {
     return this._toModel(data);
   }
 
+  /**
+   * Assign investors of a structure to an investor class (null removes them from their class)
+   * @param {string} structureId - Structure ID
+   * @param {Array<string>} userIds - Investor user IDs
+   * @param {string|null} investorClassId - Investor class ID
+   * @returns {Promise<Array>} Updated structure investors
+   */
+  static async assignInvestorClass(structureId, userIds, investorClassId) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('structure_investors')
+      .update({ investor_class_id: investorClassId, updated_at: new Date().toISOString() })
+      .eq('structure_id', structureId)
+      .in('user_id', userIds)
+      .select();
+
+    if (error) {
+      throw new Error(`Error assigning investor class: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
   /**
    * Calculate total commitment for a structure
    */
@@ -139,6 +139,9 @@ class User {
       bank_name: userData.bankName || null,
       bank_account_number: userData.bankAccountNumber || null,
       bank_routing_number: userData.bankRoutingNumber || null,
+      bank_iban: userData.bankIban || null,
+      bank_swift_code: userData.bankSwiftCode || null,
+      bank_account_type: userData.bankAccountType || null,
     };
 
     // Include ID if provided (for Supabase Auth integration)
@@ -769,8 +772,10 @@ class User {
       });
 
     // Filter to only approved/sent/paid CCs for financial summaries (pending CCs can be rejected)
+    // Cancelled calls (voided allocations) are excluded
     const approvedCapitalCalls = capitalCalls.filter(call =>
-      call.approvalStatus === 'approved' || ['Sent', 'Paid', 'sent', 'paid'].includes(call.status)
+      !['Cancelled', 'Voided'].includes(call.status) &&
+      (call.approvalStatus === 'approved' || ['Sent', 'Paid', 'sent', 'paid'].includes(call.status))
     );
 
     // Calculate summary - use capital amounts for commitment tracking (approved CCs only)
@@ -896,6 +901,9 @@ class User {
       bankName: dbUser.bank_name,
       bankAccountNumber: dbUser.bank_account_number,
       bankRoutingNumber: dbUser.bank_routing_number,
+      bankIban: dbUser.bank_iban,
+      bankSwiftCode: dbUser.bank_swift_code,
+      bankAccountType: dbUser.bank_account_type,
       termsAcceptedAt: dbUser.terms_accepted_at,
       createdAt: dbUser.created_at,
       updatedAt: dbUser.updated_at,
@@ -1006,6 +1014,9 @@ class User {
       bankName: 'bank_name',
       bankAccountNumber: 'bank_account_number',
       bankRoutingNumber: 'bank_routing_number',
+      bankIban: 'bank_iban',
+      bankSwiftCode: 'bank_swift_code',
+      bankAccountType: 'bank_account_type',         // 'checking', 'savings' (ACH)
       // Terms acceptance
       termsAcceptedAt: 'terms_accepted_at',
     };
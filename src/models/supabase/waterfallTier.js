@@ -4,6 +4,14 @@
  */
 
 const { getSupabase } = require('../../config/database');
+const { THRESHOLD_TYPES, getThresholdType } = require('../../utils/waterfallEngine');
+
+const THRESHOLD_LABELS = {
+  irr: 'IRR',
+  moic: 'MOIC',
+  amount: 'amount',
+  multiple: 'multiple of contributed capital'
+};
 
 class WaterfallTier {
   /**
@@ -14,12 +22,15 @@ class WaterfallTier {
     const fieldMap = {
       id: 'id',
       structureId: 'structure_id',
+      investorClassId: 'investor_class_id',    // Tiers of an investor class; null for the structure's tiers
       tierNumber: 'tier_number',
       tierName: 'tier_name',
       lpSharePercent: 'lp_share_percent',
       gpSharePercent: 'gp_share_percent',
       thresholdAmount: 'threshold_amount',
       thresholdIrr: 'threshold_irr',
+      thresholdType: 'threshold_type',         // 'irr', 'moic', 'amount', 'multiple'
+      thresholdMultiple: 'threshold_multiple', // MOIC or multiple of contributed capital
       description: 'description',
       isActive: 'is_active',
       userId: 'user_id',
@@ -45,12 +56,15 @@ class WaterfallTier {
     return {
       id: dbData.id,
       structureId: dbData.structure_id,
+      investorClassId: dbData.investor_class_id || null,
       tierNumber: dbData.tier_number,
       tierName: dbData.tier_name,
       lpSharePercent: dbData.lp_share_percent,
       gpSharePercent: dbData.gp_share_percent,
       thresholdAmount: dbData.threshold_amount,
       thresholdIrr: dbData.threshold_irr,
+      thresholdType: dbData.threshold_type,
+      thresholdMultiple: dbData.threshold_multiple,
       description: dbData.description,
       isActive: dbData.is_active,
       userId: dbData.user_id,
@@ -134,10 +148,18 @@ class WaterfallTier {
   }
 
   /**
-   * Find active waterfall tiers by structure ID
+   * Find the structure's active waterfall tiers (investor class tiers excluded)
    */
   static async findActiveByStructureId(structureId) {
-    return this.find({ structureId, isActive: true });
+    const tiers = await this.find({ structureId, isActive: true });
+    return tiers.filter(tier => !tier.investorClassId);
+  }
+
+  /**
+   * Find the active waterfall tiers of an investor class
+   */
+  static async findActiveByInvestorClassId(investorClassId) {
+    return this.find({ investorClassId, isActive: true });
   }
 
   /**
@@ -156,6 +178,7 @@ class WaterfallTier {
     // Remove fields that shouldn't be updated
     const { id: _id, structureId, userId, createdAt, ...cleanUpdateData } = updateData;
     const dbData = this._toDbFields(cleanUpdateData);
+    delete dbData.investor_class_id; // A tier stays in its tier set
 
     // Check if tier exists first
     const existing = await this.findById(id);
@@ -206,7 +229,7 @@ class WaterfallTier {
    */
   static async createDefaultTiers(structureId, hurdleRate = 8, carriedInterest = 20, userId) {
     // Check if tiers already exist for this structure
-    const existingTiers = await this.findByStructureId(structureId);
+    const existingTiers = (await this.findByStructureId(structureId)).filter(tier => !tier.investorClassId);
 
     if (existingTiers.length > 0) {
       throw new Error('Waterfall tiers already exist for this structure. Please delete existing tiers first or update them individually.');
@@ -279,8 +302,8 @@ class WaterfallTier {
     const errors = [];
 
     // Validate tier number
-    if (tier.tierNumber < 1 || tier.tierNumber > 4) {
-      errors.push('Tier number must be between 1 and 4');
+    if (!Number.isInteger(Number(tier.tierNumber)) || Number(tier.tierNumber) < 1) {
+      errors.push('Tier number must be a positive integer');
     }
 
     // Validate percentages
@@ -306,6 +329,102 @@ class WaterfallTier {
       errors.push('Threshold amount must be positive');
     }
 
+    if (tier.thresholdMultiple !== null && tier.thresholdMultiple !== undefined && !(tier.thresholdMultiple > 0)) {
+      errors.push('Threshold multiple must be greater than 0');
+    }
+
+    if (tier.thresholdType !== null && tier.thresholdType !== undefined) {
+      const thresholdValues = {
+        irr: tier.thresholdIrr,
+        amount: tier.thresholdAmount,
+        moic: tier.thresholdMultiple,
+        multiple: tier.thresholdMultiple
+      };
+
+      if (!THRESHOLD_TYPES.includes(tier.thresholdType)) {
+        errors.push(`Threshold type must be one of: ${THRESHOLD_TYPES.join(', ')}`);
+      } else if (thresholdValues[tier.thresholdType] === null || thresholdValues[tier.thresholdType] === undefined) {
+        const field = { irr: 'thresholdIrr', amount: 'thresholdAmount' }[tier.thresholdType] || 'thresholdMultiple';
+        errors.push(`${field} is required for ${THRESHOLD_LABELS[tier.thresholdType]} thresholds`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate that an ordered list of tiers makes a coherent waterfall:
+   * - tier numbers are unique
+   * - return of capital comes before any profit tier
+   * - only the last tier is uncapped: every split tier before it needs a threshold,
+   *   and (once the list is complete) the last tier can't have one
+   * - thresholds of the same type rise from tier to tier
+   * @param {Array} tiers - Active tiers (camelCase), in any order
+   * @param {Object} [options] - { complete: false while tiers are still being added one by one }
+   * @returns {{ isValid: boolean, errors: Array<string> }}
+   */
+  static validateTierSequence(tiers, { complete = true } = {}) {
+    const errors = [];
+    const sorted = [...tiers].sort((a, b) => a.tierNumber - b.tierNumber);
+
+    if (sorted.length === 0) {
+      errors.push('At least one active tier is required');
+    }
+
+    const seen = new Set();
+    sorted.forEach(tier => {
+      if (seen.has(tier.tierNumber)) {
+        errors.push(`Tier number ${tier.tierNumber} is used more than once`);
+      }
+      seen.add(tier.tierNumber);
+    });
+
+    const lastThresholds = {};
+    let profitTier = null;
+
+    sorted.forEach((tier, index) => {
+      const label = `Tier ${tier.tierNumber}`;
+      const thresholdType = getThresholdType(tier);
+      const isLast = index === sorted.length - 1;
+      const lpShare = Number(tier.lpSharePercent) || 0;
+      const gpShare = Number(tier.gpSharePercent) || 0;
+
+      if (isLast) {
+        if (thresholdType && complete && sorted.length > 1) {
+          errors.push(`${label} is the last tier and must not have a threshold; it takes the remaining proceeds`);
+        }
+        // While tiers are still being added, a capped last tier is checked like the others
+        if (complete || !thresholdType) return;
+      }
+
+      if (!thresholdType) {
+        if (gpShare > lpShare) return; // catch-up
+        if (gpShare > 0) {
+          errors.push(`${label} splits proceeds without a threshold, so later tiers would never be reached`);
+          return;
+        }
+        // Return of capital
+        if (profitTier) {
+          errors.push(`${label} returns capital after profit tier ${profitTier.tierNumber}`);
+        }
+        return;
+      }
+
+      profitTier = profitTier || tier;
+
+      const value = Number(thresholdType === 'irr' ? tier.thresholdIrr
+        : thresholdType === 'amount' ? tier.thresholdAmount
+          : tier.thresholdMultiple);
+      const previous = lastThresholds[thresholdType];
+      if (previous && !(value > previous.value)) {
+        errors.push(`${label} ${THRESHOLD_LABELS[thresholdType]} threshold must be above tier ${previous.tierNumber}'s`);
+      }
+      lastThresholds[thresholdType] = { value, tierNumber: tier.tierNumber };
+    });
+
     return {
       isValid: errors.length === 0,
       errors
@@ -326,11 +445,24 @@ class WaterfallTier {
         tierName: tier.tierName,
         lpShare: tier.lpSharePercent,
         gpShare: tier.gpSharePercent,
-        threshold: tier.thresholdIrr ? `${tier.thresholdIrr}% IRR` : tier.thresholdAmount ? `$${tier.thresholdAmount}` : 'None'
+        threshold: this.formatThreshold(tier)
       }))
     };
   }
 
+  /**
+   * Human-readable threshold of a tier
+   */
+  static formatThreshold(tier) {
+    switch (getThresholdType(tier)) {
+      case 'irr': return `${tier.thresholdIrr}% IRR`;
+      case 'moic': return `${tier.thresholdMultiple}x MOIC`;
+      case 'multiple': return `${tier.thresholdMultiple}x contributed capital`;
+      case 'amount': return `$${tier.thresholdAmount}`;
+      default: return 'None';
+    }
+  }
+
   /**
    * Deactivate all tiers for a structure
    */
@@ -0,0 +1,166 @@
+/**
+ * WithholdingTaxElection Supabase Model
+ * Treaty-reduced rates and exemptions from distribution withholding tax, recorded per LP
+ * of a structure with the document that supports them (see utils/withholdingTax).
+ */
+
+const { getSupabase } = require('../../config/database');
+
+class WithholdingTaxElection {
+  /**
+   * Convert camelCase fields to snake_case for database
+   */
+  static _toDbFields(data) {
+    const dbData = {};
+    const fieldMap = {
+      id: 'id',
+      structureId: 'structure_id',
+      userId: 'user_id',
+      electionType: 'election_type',   // 'treaty', 'exemption'
+      treatyCountry: 'treaty_country',
+      rate: 'rate',                    // Treaty rate (%)
+      incomeSources: 'income_sources', // null = every income source
+      documentId: 'document_id',
+      effectiveDate: 'effective_date',
+      expiryDate: 'expiry_date',
+      status: 'status',                // 'Active', 'Revoked'
+      notes: 'notes',
+      createdBy: 'created_by',
+      createdAt: 'created_at',
+      updatedAt: 'updated_at'
+    };
+
+    for (const [camelKey, snakeKey] of Object.entries(fieldMap)) {
+      if (data[camelKey] !== undefined) {
+        dbData[snakeKey] = data[camelKey];
+      }
+    }
+
+    return dbData;
+  }
+
+  /**
+   * Convert snake_case database fields to camelCase for model
+   */
+  static _toModel(dbData) {
+    if (!dbData) return null;
+
+    return {
+      id: dbData.id,
+      structureId: dbData.structure_id,
+      userId: dbData.user_id,
+      electionType: dbData.election_type,
+      treatyCountry: dbData.treaty_country,
+      rate: dbData.rate === null || dbData.rate === undefined ? null : parseFloat(dbData.rate),
+      incomeSources: dbData.income_sources || null,
+      documentId: dbData.document_id,
+      effectiveDate: dbData.effective_date,
+      expiryDate: dbData.expiry_date,
+      status: dbData.status,
+      notes: dbData.notes,
+      createdBy: dbData.created_by,
+      createdAt: dbData.created_at,
+      updatedAt: dbData.updated_at
+    };
+  }
+
+  /**
+   * Record an election
+   * @param {Object} electionData - Election fields (camelCase)
+   * @returns {Promise<Object>} Created election
+   */
+  static async create(electionData) {
+    const supabase = getSupabase();
+    const dbData = this._toDbFields(electionData);
+
+    const { data, error } = await supabase
+      .from('withholding_tax_elections')
+      .insert([dbData])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating withholding tax election: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Find an election by ID
+   * @param {string} id - Election ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const supabase = getSupabase();
+
+    const { data, error } = await supabase
+      .from('withholding_tax_elections')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw new Error(`Error finding withholding tax election: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+
+  /**
+   * Get the elections of a structure, optionally for one LP
+   * @param {string} structureId - Structure ID
+   * @param {Object} [filter] - { userId, status }
+   * @returns {Promise<Array>}
+   */
+  static async findByStructureId(structureId, filter = {}) {
+    const supabase = getSupabase();
+
+    let query = supabase
+      .from('withholding_tax_elections')
+      .select('*')
+      .eq('structure_id', structureId);
+
+    if (filter.userId) query = query.eq('user_id', filter.userId);
+    if (filter.status) query = query.eq('status', filter.status);
+
+    const { data, error } = await query.order('effective_date', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error finding withholding tax elections: ${error.message}`);
+    }
+
+    return data.map(item => this._toModel(item));
+  }
+
+  /**
+   * Update an election by ID
+   * @param {string} id - Election ID
+   * @param {Object} updateData - Fields to update (camelCase)
+   * @returns {Promise<Object>}
+   */
+  static async findByIdAndUpdate(id, updateData) {
+    const supabase = getSupabase();
+
+    const dbData = this._toDbFields(updateData);
+    // Remove fields that shouldn't be updated
+    ['id', 'structure_id', 'user_id', 'created_by', 'created_at'].forEach(field => delete dbData[field]);
+    dbData.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('withholding_tax_elections')
+      .update(dbData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating withholding tax election: ${error.message}`);
+    }
+
+    return this._toModel(data);
+  }
+}
+
+module.exports = WithholdingTaxElection;
@@ -0,0 +1,115 @@
+/**
+ * Approval Policy API Routes
+ * Endpoints for managing per-structure approval chains for capital calls and distributions.
+ * Structures without a policy use the default single Admin approval stage.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { canCreate, getUserContext } = require('../middleware/rbac');
+const { ApprovalPolicy, StructureAdmin } = require('../models/supabase');
+const {
+  ENTITY_TYPES,
+  validatePolicy,
+  getApprovalPolicy
+} = require('../services/approvalPolicyService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/structures/:structureId/approval-policies
+ * @desc    Get the effective approval policy for each entity type of a structure
+ * @access  Private (Root, Admin)
+ */
+router.get('/:structureId/approval-policies', authenticate, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+
+  const policies = await Promise.all(ENTITY_TYPES.map(entityType => getApprovalPolicy(structureId, entityType)));
+
+  res.status(200).json({
+    success: true,
+    data: policies, // isDefault: true when no policy is configured
+  });
+}));
+
+/**
+ * @route   PUT /api/structures/:structureId/approval-policies/:entityType
+ * @desc    Create or update the approval policy for capital calls or distributions of a structure
+ * @access  Private (Root, Admin only)
+ */
+router.put('/:structureId/approval-policies/:entityType', authenticate, catchAsync(async (req, res) => {
+  const { userRole } = getUserContext(req);
+
+  if (!canCreate(userRole)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Only Root and Admin users can manage approval policies.',
+    });
+  }
+
+  const { structureId, entityType } = req.params;
+  const userId = req.auth.userId || req.user.id;
+  const { stages, segregationOfDuties } = req.body;
+
+  validate(ENTITY_TYPES.includes(entityType), `Entity type must be one of: ${ENTITY_TYPES.join(', ')}`);
+
+  // Named approvers must be admins of the structure
+  const admins = await StructureAdmin.findByStructureId(structureId);
+  const result = validatePolicy({ stages }, admins.map(a => a.userId));
+
+  if (!result.valid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid approval policy',
+      errors: result.errors,
+    });
+  }
+
+  const policy = await ApprovalPolicy.upsertByStructureAndEntity(structureId, entityType, {
+    stages: result.stages,
+    segregationOfDuties: segregationOfDuties !== undefined ? !!segregationOfDuties : true,
+    createdBy: userId,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Approval policy saved successfully',
+    data: policy,
+  });
+}));
+
+/**
+ * @route   DELETE /api/structures/:structureId/approval-policies/:entityType
+ * @desc    Delete an approval policy (the structure reverts to the default Admin approval)
+ * @access  Private (Root, Admin only)
+ */
+router.delete('/:structureId/approval-policies/:entityType', authenticate, catchAsync(async (req, res) => {
+  const { userRole } = getUserContext(req);
+
+  if (!canCreate(userRole)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Only Root and Admin users can delete approval policies.',
+    });
+  }
+
+  const { structureId, entityType } = req.params;
+
+  validate(ENTITY_TYPES.includes(entityType), `Entity type must be one of: ${ENTITY_TYPES.join(', ')}`);
+
+  const deleted = await ApprovalPolicy.deleteByStructureAndEntity(structureId, entityType);
+
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'No approval policy found for this structure.',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Approval policy deleted successfully',
+  });
+}));
+
+module.exports = router;
@@ -5,9 +5,12 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { Structure, User, FirmSettings } = require('../models/supabase');
+const { Structure, User, FirmSettings, DistributionReinvestment } = require('../models/supabase');
 const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
 const { generateCapitalAccountStatementPDF } = require('../services/capitalAccountGenerator');
+const { getRecallableLedger } = require('../services/recallableLedgerService');
+const { summarizeReinvestments } = require('../services/reinvestmentService');
+const { getExpenseSummary } = require('../services/partnershipExpenseService');
 const { getSupabase } = require('../config/database');
 
 async function getFirmNameForUser(userId) {
@@ -20,6 +23,28 @@ async function getFirmNameForUser(userId) {
   }
 }
 
+/**
+ * Helper to get an LP's recallable balance and ledger entries
+ * Returns null when the structure does not allow recallable distributions.
+ */
+async function getInvestorRecallable(structure, investorId) {
+  if (!structure.recallableDistributionsEnabled) return null;
+
+  const ledger = await getRecallableLedger(structure, { userId: investorId });
+  const balance = ledger.investors[0] || { credited: 0, debited: 0, balance: 0, limit: null, remainingCapacity: null };
+
+  return {
+    limitType: ledger.limitType,
+    limitValue: ledger.limitValue,
+    credited: balance.credited,
+    debited: balance.debited,
+    balance: balance.balance,
+    limit: balance.limit,
+    remainingCapacity: balance.remainingCapacity,
+    entries: ledger.entries
+  };
+}
+
 const router = express.Router();
 
 /**
@@ -79,6 +104,8 @@ router.get('/:investorId/statement', authenticate, catchAsync(async (req, res) =
     .order('created_at', { ascending: true });
 
   const firmName = await getFirmNameForUser(userId);
+  const recallable = await getInvestorRecallable(structure, investorId);
+  const expenses = await getExpenseSummary(structure, { userId: investorId, startDate, endDate });
 
   // Generate PDF
   const pdfBuffer = await generateCapitalAccountStatementPDF(
@@ -87,7 +114,7 @@ router.get('/:investorId/statement', authenticate, catchAsync(async (req, res) =
     callAllocations || [],
     distAllocations || [],
     { startDate, endDate },
-    { firmName, currency: structure.currency }
+    { firmName, currency: structure.currency, recallable, expenses }
   );
 
   const investorNameClean = (investor.name || 'Investor').replace(/\s+/g, '_');
@@ -153,7 +180,7 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
   // Filter to only approved/sent/paid CCs for financial summaries (pending CCs can be rejected)
   const approvedCalls = allCalls.filter(a => {
     const cc = a.capital_call;
-    if (!cc) return false;
+    if (!cc || cc.status === 'Cancelled') return false;
     return cc.approval_status === 'approved' || ['Sent', 'Paid', 'sent', 'paid'].includes(cc.status);
   });
 
@@ -183,10 +210,25 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
   const totalFees = approvedCalls.reduce((sum, a) => sum + (a.management_fee_net || 0), 0);
   const totalVAT = approvedCalls.reduce((sum, a) => sum + (a.vat_amount || 0), 0);
   const totalPaidIn = approvedCalls.reduce((sum, a) => sum + (parseFloat(a.paid_amount) || 0), 0);
+  const totalDefaultInterest = approvedCalls.reduce((sum, a) => sum + (parseFloat(a.default_interest_amount) || 0), 0);
+  const totalForfeited = approvedCalls.reduce((sum, a) => sum + (parseFloat(a.forfeited_amount) || 0), 0);
 
   const priorCalledTotal = priorCalls.reduce((sum, a) => sum + (a.total_due || 0), 0);
   const priorDistTotal = priorDists.reduce((sum, a) => sum + (a.allocated_amount || 0), 0);
 
+  const recallable = await getInvestorRecallable(structure, investorId);
+
+  // Reinvested distributions: subscriptions are contributed outright, credits are paid in
+  // through the capital calls they were netted against
+  const reinvestments = await DistributionReinvestment.findByStructureId(structureId, { userId: investorId });
+  const reinvested = summarizeReinvestments(reinvestments);
+
+  // Subscribed reinvestments raise the commitment already funded, so they are not unfunded
+  const unfunded = commitment - totalCalled - reinvested.subscribed;
+
+  // LP's share of partnership expenses per category
+  const expenses = await getExpenseSummary(structure, { userId: investorId, startDate, endDate });
+
   res.status(200).json({
     success: true,
     data: {
@@ -209,12 +251,25 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
         totalVAT,
         paidIn: totalPaidIn,
         outstanding: totalCalled - totalPaidIn,
-        unfunded: commitment - totalCalled,
-        uncalled: commitment - totalCalled, // backwards compat alias
-        netAccountValue: totalCalled - totalDistributed,
+        unfunded,
+        uncalled: unfunded, // backwards compat alias
+        netAccountValue: totalCalled + reinvested.subscribed - totalDistributed,
         openingBalance: priorCalledTotal - priorDistTotal,
-        closingBalance: totalCalled - totalDistributed,
+        closingBalance: totalCalled + reinvested.subscribed - totalDistributed,
+        inDefault: approvedCalls.some(a => a.status === 'Defaulted'),
+        defaultInterest: totalDefaultInterest,
+        forfeited: totalForfeited,
+        recallableBalance: recallable?.balance || 0,
+        reinvested: reinvested.total,
+        reinvestedSubscriptions: reinvested.subscribed,
+        reinvestedAgainstCalls: reinvested.nettedAgainstCalls,
+        pendingReinvestment: reinvested.pending,
+        partnershipExpenses: expenses.toDate.total,
       },
+      recallable: recallable ? {
+        ...recallable,
+        entries: filterByPeriod(recallable.entries, 'entryDate')
+      } : null,
       capitalCalls: periodCalls.map(a => ({
         date: a.capital_call?.callDate || a.callDate,
         callNumber: a.capital_call?.callNumber || a.callNumber,
@@ -222,6 +277,8 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
         managementFee: a.management_fee_net || 0,
         vat: a.vat_amount || 0,
         total: a.total_due || 0,
+        status: a.status,
+        defaultInterest: parseFloat(a.default_interest_amount) || 0,
       })),
       distributions: periodDists.map(a => ({
         date: a.distribution?.distributionDate || a.distributionDate,
@@ -230,7 +287,13 @@ router.get('/:investorId/data', authenticate, catchAsync(async (req, res) => {
         income: a.income_amount || 0,
         capitalGain: a.capital_gain || 0,
         total: a.allocated_amount || 0,
+        reinvested: parseFloat(a.reinvestment_amount) || 0,
       })),
+      reinvestments: filterByPeriod(reinvestments, 'reinvestmentDate'),
+      expenses: {
+        period: expenses.period,
+        toDate: expenses.toDate
+      },
     }
   });
 }));
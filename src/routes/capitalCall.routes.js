@@ -5,13 +5,72 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { CapitalCall, Structure, StructureAdmin, User, FirmSettings, StructureInvestor } = require('../models/supabase');
+const { CapitalCall, CapitalCallInstallment, CapitalCallPayment, CapitalCallRefund, CapitalCallLineItem, CapitalCallExcusal, Structure, StructureAdmin, User, FirmSettings, StructureInvestor } = require('../models/supabase');
 const ApprovalHistory = require('../models/supabase/approvalHistory');
 const { requireInvestmentManagerAccess, getUserContext, ROLES, canEditStructure } = require('../middleware/rbac');
-const { generateCapitalCallNoticePDF, generateIndividualLPNoticePDF } = require('../services/documentGenerator');
+const {
+  generateCapitalCallNoticePDF,
+  generateIndividualLPNoticePDF,
+  generateCapitalCallCancellationNoticePDF
+} = require('../services/documentGenerator');
 const { sendEmail } = require('../utils/emailSender');
 const { sendCapitalCallNotice } = require('../utils/notificationHelper');
 const Notification = require('../models/supabase/notification');
+const { previewOvercall, createOvercall } = require('../services/capitalCallOvercallService');
+const { evaluateCallLimits, checkCapitalCallLimits, canSubmitWithLimits, overrideCapitalCallLimits, clearCapitalCallLimitOverride } = require('../services/capitalCallLimitService');
+const {
+  calculateAllocations,
+  summarizeAllocations,
+  getAllocationWarnings,
+  isDualRateMode
+} = require('../utils/capitalCallAllocationCalculator');
+const {
+  DEFAULT_STATUS,
+  REMEDIES,
+  isPastGracePeriod,
+  getOverdueSince,
+  markAllocationDefaulted,
+  applyDefaultRemedy,
+  cureDefault,
+  cureDefaultOnPayment
+} = require('../services/capitalCallDefaultService');
+const {
+  getApprovalPolicy,
+  getEntityAmount,
+  buildApprovalProgress,
+  getApprovalProgress,
+  getCurrentStage,
+  getStageMetadata,
+  evaluateApprover,
+  recordStageApproval,
+  getStageApprovers
+} = require('../services/approvalPolicyService');
+const {
+  normalizeSchedule,
+  setInstallmentSchedule,
+  clearInstallmentSchedule,
+  syncAllocationInstallments,
+  syncInstallmentPayments,
+  attachAllocationInstallments
+} = require('../services/capitalCallInstallmentService');
+const { getPaymentApplicationPolicy, reapplyPendingPayments } = require('../services/paymentApplicationService');
+const { canCancel, canAcceptPayment, cancelCapitalCall, settleRefund } = require('../services/capitalCallCancellationService');
+const {
+  normalizeLineItems,
+  getHeaderTotals,
+  validateLineItemInvestments,
+  saveLineItems,
+  setLineItems,
+  syncAllocationLineItems,
+  attachAllocationLineItems,
+  getDealContributions
+} = require('../services/capitalCallLineItemService');
+const { excuseInvestor, reinstateInvestor } = require('../services/capitalCallExcusalService');
+const { checkRecyclingCall, debitCapitalCall, releaseCapitalCallDebits } = require('../services/recallableLedgerService');
+const { applyReinvestmentCredits, releaseReinvestmentCredits } = require('../services/reinvestmentService');
+const { billFeeAccruals, releaseFeeAccruals } = require('../services/feeAccrualService');
+const { applyFeeOffsets, releaseFeeOffsets } = require('../services/feeOffsetService');
+const { creditCancelledCallInvoices } = require('../services/feeInvoiceService');
 
 /**
  * Helper to get firm name for whitelabeling
@@ -53,6 +112,8 @@ function getCurrencySymbol(structure) {
  * Enrich allocations with cumulative commitment data for PDF Balance Summary.
  * Adds commitment, calledCapitalToDate, and uncalledCapital to each allocation
  * so addLPSectionD renders correct "Previously Called" and "Remaining Unfunded".
+ * Installment calls also get each allocation's installment schedule, and calls with
+ * line items each allocation's share of them.
  */
 async function enrichAllocationsForPDF(allocations, structureId, capitalCallId) {
   const [structureInvestors, cumulativeCalledMap] = await Promise.all([
@@ -67,7 +128,10 @@ async function enrichAllocationsForPDF(allocations, structureId, capitalCallId)
     feeDiscountMap[si.userId] = si.feeDiscount || 0;
   });
 
-  return allocations.map(alloc => {
+  const withInstallments = await attachAllocationInstallments(capitalCallId, allocations);
+  const withLineItems = await attachAllocationLineItems(capitalCallId, withInstallments);
+
+  return withLineItems.map(alloc => {
     const userId = alloc.user_id;
     const commitment = commitmentMap[userId] || 0;
     const previouslyCalled = cumulativeCalledMap[userId] || 0;
@@ -83,6 +147,286 @@ async function enrichAllocationsForPDF(allocations, structureId, capitalCallId)
   });
 }
 
+/**
+ * Helper to attach the original call number to supplementary calls (overcalls)
+ * so notices can reference the call whose shortfall they cover
+ */
+async function withParentCallNumber(capitalCall) {
+  if (!capitalCall?.parentCapitalCallId) return capitalCall;
+  const parentCall = await CapitalCall.findById(capitalCall.parentCapitalCallId);
+  return { ...capitalCall, parentCallNumber: parentCall?.callNumber || null };
+}
+
+/**
+ * Helper to attach the investors excused from a call (with display names) for notices
+ */
+async function withExcusals(capitalCall) {
+  if (!capitalCall) return capitalCall;
+  const excusals = await CapitalCallExcusal.findByCapitalCallId(capitalCall.id);
+  if (excusals.length === 0) return capitalCall;
+
+  const structureInvestors = await StructureInvestor.findByStructureId(capitalCall.structureId);
+  const userMap = {};
+  structureInvestors.forEach(si => { userMap[si.userId] = si.user; });
+
+  return {
+    ...capitalCall,
+    excusals: excusals.map(e => ({
+      ...e,
+      investorName: userMap[e.userId] ? getUserDisplayName(userMap[e.userId]) : null
+    }))
+  };
+}
+
+/**
+ * Helper to generate individual LP notices and email them to each investor
+ * @returns {Promise<{ results: Array, errors: Array }>}
+ */
+async function sendLPNotices(capitalCall, structure, allocations, options = {}) {
+  const { userId, firmName, subject, bodyText, bodyHtml } = options;
+  const results = [];
+  const errors = [];
+
+  // Generate and send individual notices
+  for (const allocation of allocations) {
+    try {
+      const investorId = allocation.user_id;
+      const investor = allocation.user || await User.findById(investorId);
+      const investorName = getUserDisplayName(investor);
+
+      if (!investor?.email) {
+        errors.push({
+          investorId,
+          investorName,
+          error: 'No email address found'
+        });
+        continue;
+      }
+
+      // Generate individual LP PDF
+      const enrichedCCNotice = { ...capitalCall, currency: structure.baseCurrency || 'USD' };
+      const pdfBuffer = await generateIndividualLPNoticePDF(
+        enrichedCCNotice,
+        allocation,
+        { ...structure, currency: structure.baseCurrency || 'USD' },
+        investor,
+        { firmName: firmName || 'Investment Manager', bankDetails: structure.bankAccounts || {} }
+      );
+
+      // Prepare email content
+      const supplementaryLine = capitalCall.parentCallNumber
+        ? ` This is a supplementary call reallocating the unfunded shortfall of Capital Call #${capitalCall.parentCallNumber}.`
+        : '';
+      const currencySymbol = getCurrencySymbol(structure);
+      const installmentLines = (allocation.installments || []).map(i =>
+        `Installment ${i.installmentNumber}: ${currencySymbol}${i.amountDue.toLocaleString()} due ${new Date(i.dueDate).toLocaleDateString()}`
+      );
+      const dueText = installmentLines.length > 0
+        ? `Payment Schedule:\n${installmentLines.join('\n')}`
+        : `Payment Due Date: ${new Date(capitalCall.dueDate).toLocaleDateString()}`;
+      const dueHtml = installmentLines.length > 0
+        ? `<p><strong>Payment Schedule:</strong><br/>${installmentLines.join('<br/>')}</p>`
+        : `<p><strong>Payment Due Date:</strong> ${new Date(capitalCall.dueDate).toLocaleDateString()}</p>`;
+      const defaultSubject = `Capital Call Notice #${capitalCall.callNumber} - ${structure.name}`;
+      const defaultBodyText = `Dear ${investorName},\n\nPlease find attached your Capital Call Notice #${capitalCall.callNumber} for ${structure.name}.${supplementaryLine}\n\n${dueText}\n\nPlease review the attached notice for payment instructions.\n\nBest regards,\n${firmName}`;
+      const defaultBodyHtml = `
+        <p>Dear ${investorName},</p>
+        <p>Please find attached your Capital Call Notice #${capitalCall.callNumber} for <strong>${structure.name}</strong>.${supplementaryLine}</p>
+        ${dueHtml}
+        <p>Please review the attached notice for payment instructions.</p>
+        <p>Best regards,<br/>${firmName}</p>
+      `;
+
+      // Send email with PDF attachment
+      await sendEmail(userId, {
+        to: [investor.email],
+        subject: subject || defaultSubject,
+        bodyText: bodyText || defaultBodyText,
+        bodyHtml: bodyHtml || defaultBodyHtml,
+        attachments: [{
+          filename: `Capital_Call_${capitalCall.callNumber}_${investorName.replace(/\s+/g, '_')}.pdf`,
+          content: pdfBuffer.toString('base64'),
+          encoding: 'base64',
+          contentType: 'application/pdf'
+        }]
+      });
+
+      results.push({
+        investorId,
+        investorName,
+        email: investor.email,
+        status: 'sent'
+      });
+    } catch (error) {
+      errors.push({
+        investorId: allocation.user_id,
+        investorName: getUserDisplayName(allocation.user),
+        error: error.message
+      });
+    }
+  }
+
+  return { results, errors };
+}
+
+/**
+ * Helper to send cancellation notices (with refund details) to each LP of a cancelled call
+ */
+async function sendCancellationNotices(capitalCall, structure, allocations, refunds, options = {}) {
+  const { userId, firmName } = options;
+  const results = [];
+  const errors = [];
+  const currency = structure?.baseCurrency || 'USD';
+  const currencySymbol = getCurrencySymbol(structure);
+
+  for (const allocation of allocations) {
+    try {
+      const investorId = allocation.user_id;
+      const investor = await User.findById(investorId);
+      const investorName = getUserDisplayName(investor);
+
+      if (!investor?.email) {
+        errors.push({ investorId, investorName, error: 'No email address found' });
+        continue;
+      }
+
+      const refund = refunds.find(r => r.allocationId === allocation.id) || null;
+      const pdfBuffer = await generateCapitalCallCancellationNoticePDF(
+        { ...capitalCall, currency },
+        allocation,
+        { ...structure, currency },
+        { ...investor, name: investorName },
+        { firmName, refund }
+      );
+
+      const refundLine = refund
+        ? `The ${currencySymbol}${refund.amount.toLocaleString()} received from you will be refunded.`
+        : 'No payment was received from you, so no refund is due.';
+
+      await sendEmail(userId, {
+        to: [investor.email],
+        subject: `Cancellation of Capital Call #${capitalCall.callNumber} - ${structure?.name || 'Fund'}`,
+        bodyText: `Dear ${investorName},\n\nCapital Call #${capitalCall.callNumber} for ${structure?.name || 'the fund'} has been cancelled and no further payment is due.\n\n${refundLine}\n\nPlease find the cancellation notice attached.\n\nBest regards,\n${firmName}`,
+        bodyHtml: `
+          <p>Dear ${investorName},</p>
+          <p>Capital Call #${capitalCall.callNumber} for <strong>${structure?.name || 'the fund'}</strong> has been cancelled and no further payment is due.</p>
+          <p>${refundLine}</p>
+          <p>Please find the cancellation notice attached.</p>
+          <p>Best regards,<br/>${firmName}</p>
+        `,
+        attachments: [{
+          filename: `Capital_Call_${capitalCall.callNumber}_Cancellation_${investorName.replace(/\s+/g, '_')}.pdf`,
+          content: pdfBuffer.toString('base64'),
+          encoding: 'base64',
+          contentType: 'application/pdf'
+        }]
+      });
+
+      results.push({ investorId, investorName, email: investor.email, status: 'sent' });
+    } catch (error) {
+      errors.push({
+        investorId: allocation.user_id,
+        investorName: getUserDisplayName(allocation.users),
+        error: error.message
+      });
+    }
+  }
+
+  return { results, errors };
+}
+
+/**
+ * Helper to notify the approvers of an approval stage (email + portal notification)
+ */
+async function notifyStageApprovers(capitalCall, stage, options = {}) {
+  const { userId, user } = options;
+  if (!stage) return;
+
+  try {
+    const approvers = await getStageApprovers(capitalCall.structureId, stage, {
+      excludeUserIds: [userId, ...(capitalCall.approvalProgress?.segregationOfDuties ? [capitalCall.createdBy] : [])]
+    });
+    const structure = await Structure.findById(capitalCall.structureId);
+    const firmName = await getFirmNameForUser(userId, structure?.name);
+    const currencySymbol = getCurrencySymbol(structure);
+    const actorName = getUserDisplayName(user);
+    const displayAmount = (capitalCall.totalDrawdown || capitalCall.totalCallAmount).toLocaleString();
+
+    for (const approver of approvers) {
+      if (approver?.email) {
+        const approverName = getUserDisplayName(approver);
+        await sendEmail(userId, {
+          to: [approver.email],
+          subject: `${stage.name} Required: Capital Call #${capitalCall.callNumber} - ${structure?.name || 'Fund'}`,
+          bodyText: `Dear ${approverName},\n\nA capital call is awaiting your approval.\n\nCapital Call #${capitalCall.callNumber}\nApproval Stage: ${stage.name}\nFund: ${structure?.name || 'N/A'}\nAmount: ${currencySymbol}${displayAmount}\nRequested by: ${actorName}\n\nPlease log in to review and approve.\n\nBest regards,\n${firmName}`,
+          bodyHtml: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px;">
+              <div style="background-color: #d1ecf1; padding: 15px; border-left: 4px solid #17a2b8; margin-bottom: 20px;">
+                <h2 style="margin: 0; color: #0c5460;">${stage.name} Required</h2>
+              </div>
+              <p>Dear ${approverName},</p>
+              <p>A capital call is awaiting your review and approval.</p>
+              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 20px 0;">
+                <p style="margin: 5px 0;"><strong>Capital Call:</strong> #${capitalCall.callNumber}</p>
+                <p style="margin: 5px 0;"><strong>Approval Stage:</strong> ${stage.name}</p>
+                <p style="margin: 5px 0;"><strong>Fund:</strong> ${structure?.name || 'N/A'}</p>
+                <p style="margin: 5px 0;"><strong>Amount:</strong> ${currencySymbol}${displayAmount}</p>
+                <p style="margin: 5px 0;"><strong>Requested by:</strong> ${actorName}</p>
+              </div>
+              <p>Please log in to the portal to review and approve this capital call.</p>
+              <p>Best regards,<br/>${firmName}</p>
+            </div>
+          `
+        });
+
+        // Create portal notification for approver
+        await Notification.create({
+          userId: approver.id,
+          notificationType: 'approval_required',
+          channel: 'portal',
+          title: `Approval Required: Capital Call #${capitalCall.callNumber}`,
+          message: `Capital Call #${capitalCall.callNumber} for ${structure?.name || 'Fund'} (${currencySymbol}${displayAmount}) is awaiting your approval (${stage.name}), requested by ${actorName}.`,
+          priority: 'high',
+          relatedEntityType: 'CapitalCall',
+          relatedEntityId: capitalCall.id,
+          actionUrl: `/investment-manager/operations/capital-calls/${capitalCall.id}`,
+          senderId: userId,
+          senderName: actorName,
+          metadata: {
+            structureId: capitalCall.structureId,
+            structureName: structure?.name,
+            callNumber: capitalCall.callNumber,
+            totalAmount: capitalCall.totalDrawdown || capitalCall.totalCallAmount,
+            stageKey: stage.key
+          }
+        });
+      }
+    }
+  } catch (emailError) {
+    console.warn('Failed to send approval notification:', emailError.message);
+  }
+}
+
+/**
+ * Helper to debit the LPs' recallable balances once a call recycling capital is fully approved
+ */
+async function debitRecallableLedger(capitalCall, userId) {
+  if (!capitalCall.recyclesCapital) return [];
+
+  const structure = await Structure.findById(capitalCall.structureId);
+  const withAllocations = await CapitalCall.findWithAllocations(capitalCall.id);
+  return debitCapitalCall(structure, withAllocations, { userId });
+}
+
+/**
+ * Helper to net the LPs' pending reinvestment credits once a capital call is fully approved
+ */
+async function applyReinvestments(capitalCall, userId) {
+  const structure = await Structure.findById(capitalCall.structureId);
+  if (!structure) return null;
+  return applyReinvestmentCredits(structure, capitalCall, { userId });
+}
+
 const router = express.Router();
 
 /**
@@ -122,19 +466,54 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     // ProximityParks Use of Proceeds Breakdown (header totals)
     totalInvestments,
     totalFundExpenses,
-    totalReserves
+    totalReserves,
+    // Installment schedule: [{ dueDate, percentage | amount, description }]
+    installments,
+    // Line items: [{ category, investmentId, description, amount, vatAmount }] (header totals are derived)
+    lineItems,
+    // Draw recallable distributions back (debits the recallable ledger on approval)
+    recyclesCapital,
+    // Bill the LPs' accrued management fees instead of computing a fee at call time
+    billAccruedFees
   } = req.body;
 
   // Validate required fields
   validate(structureId, 'Structure ID is required');
   validate(callNumber, 'Call number is required');
-  validate(totalCallAmount !== undefined && totalCallAmount > 0, 'Total call amount must be positive');
+
+  let normalizedLineItems = null;
+  if (lineItems !== undefined) {
+    const lineItemCheck = normalizeLineItems(lineItems, totalCallAmount);
+    validate(lineItemCheck.valid, lineItemCheck.errors.join('; '));
+    normalizedLineItems = lineItemCheck.lineItems;
+  }
+
+  const lineItemTotals = normalizedLineItems ? getHeaderTotals(normalizedLineItems) : null;
+  const callAmount = lineItemTotals ? lineItemTotals.totalCallAmount : totalCallAmount;
+  validate(callAmount !== undefined && callAmount > 0, 'Total call amount must be positive');
+
+  if (installments !== undefined) {
+    const scheduleCheck = normalizeSchedule(installments, callAmount);
+    validate(scheduleCheck.valid, scheduleCheck.errors.join('; '));
+  }
 
   // Validate structure exists and user has access (Root and Admin can create capital calls for any structure)
   const structure = await Structure.findById(structureId);
   validate(structure, 'Structure not found');
   validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT, 'Unauthorized: Only Root, Admin, and Operations roles can create capital calls');
 
+  if (normalizedLineItems) {
+    const investmentErrors = await validateLineItemInvestments(structureId, normalizedLineItems);
+    validate(investmentErrors.length === 0, investmentErrors.join('; '));
+  }
+
+  // Recycled capital can only be called up to the structure's recallable balance
+  const isRecyclingCall = recyclesCapital === true || recyclesCapital === 'true';
+  if (isRecyclingCall) {
+    const recyclingCheck = await checkRecyclingCall(structure, callAmount);
+    validate(recyclingCheck.valid, recyclingCheck.errors.join('; '));
+  }
+
   // Create capital call
   const capitalCallData = {
     structureId,
@@ -143,9 +522,9 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     dueDate: dueDate || deadlineDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days default
     noticeDate: noticeDate || null, // Date when email notification will be sent
     deadlineDate: deadlineDate || dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-    totalCallAmount,
+    totalCallAmount: callAmount,
     totalPaidAmount: 0,
-    totalUnpaidAmount: totalCallAmount,
+    totalUnpaidAmount: callAmount,
     status: 'Draft',
     purpose: purpose?.trim() || '',
     notes: notes?.trim() || '',
@@ -168,15 +547,43 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     totalInvestments: totalInvestments || 0,
     totalFundExpenses: totalFundExpenses || 0,
     totalReserves: totalReserves || 0,
+    // Line items override the header totals they are summed into
+    ...(lineItemTotals || {}),
+    recyclesCapital: isRecyclingCall,
+    billAccruedFees: billAccruedFees === true || billAccruedFees === 'true',
     createdBy: userId
   };
 
-  const capitalCall = await CapitalCall.create(capitalCallData);
+  let capitalCall = await CapitalCall.create(capitalCallData);
+
+  // Save line items first so the allocations created below are split across them
+  let savedLineItems = [];
+  if (normalizedLineItems) {
+    const result = await saveLineItems(capitalCall, normalizedLineItems);
+    capitalCall = result.capitalCall;
+    savedLineItems = result.lineItems;
+  }
 
   // Optionally create allocations for all investors in structure
   let allocations = null;
   if (createAllocations === true) {
     allocations = await CapitalCall.createAllocationsForStructure(capitalCall.id, structureId);
+    if (capitalCall.billAccruedFees) {
+      allocations = (await billFeeAccruals(capitalCall, allocations)).allocations;
+    }
+    // Apply the LPs' GP fee income offset balances against the fees just billed
+    allocations = (await applyFeeOffsets(capitalCall, allocations, { userId })).allocations;
+    if (savedLineItems.length > 0) {
+      await syncAllocationLineItems(capitalCall.id);
+    }
+  }
+
+  // Split into installments (after allocations so each LP's share is scheduled too)
+  let schedule = [];
+  if (installments !== undefined) {
+    const result = await setInstallmentSchedule(capitalCall, installments);
+    capitalCall = result.capitalCall;
+    schedule = result.schedule;
   }
 
   res.status(201).json({
@@ -184,7 +591,126 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     message: 'Capital call created successfully',
     data: {
       capitalCall,
-      allocations: allocations || []
+      allocations: allocations || [],
+      installments: schedule,
+      lineItems: savedLineItems
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/simulate
+ * @desc    Preview per-LP allocations for a capital call without persisting anything
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { capitalCallId?: string } to simulate an existing call, or the same fields as POST /api/capital-calls
+ */
+router.post('/simulate', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const {
+    capitalCallId,
+    structureId,
+    dueDate,
+    totalCallAmount,
+    managementFeeBase,
+    managementFeeRate,
+    vatRate,
+    vatApplicable,
+    feePeriod,
+    feeRateOnNic,
+    feeRateOnUnfunded,
+    feeOffsetAmount,
+    vatOnInvestments,
+    vatOnFundExpenses,
+    totalInvestments,
+    totalFundExpenses,
+    totalReserves
+  } = req.body;
+
+  let capitalCall;
+  let structure;
+
+  if (capitalCallId) {
+    capitalCall = await CapitalCall.findById(capitalCallId);
+    validate(capitalCall, 'Capital call not found');
+    structure = await Structure.findById(capitalCall.structureId);
+    validate(structure, 'Structure not found');
+  } else {
+    validate(structureId, 'Structure ID is required');
+    validate(totalCallAmount !== undefined && totalCallAmount > 0, 'Total call amount must be positive');
+
+    structure = await Structure.findById(structureId);
+    validate(structure, 'Structure not found');
+
+    // Same defaults as POST /api/capital-calls
+    capitalCall = {
+      id: null,
+      structureId,
+      dueDate: dueDate || null,
+      totalCallAmount,
+      managementFeeBase: managementFeeBase || structure.managementFeeBase || 'committed',
+      managementFeeRate: managementFeeRate !== undefined ? managementFeeRate : structure.managementFee || 2.0,
+      vatRate: vatRate !== undefined ? vatRate : parseFloat(structure.vatRate) || 0,
+      vatApplicable: vatApplicable !== undefined ? vatApplicable : true,
+      feePeriod: feePeriod || 'quarterly',
+      feeRateOnNic: feeRateOnNic !== undefined ? feeRateOnNic : structure.feeRateOnNic || null,
+      feeRateOnUnfunded: feeRateOnUnfunded !== undefined ? feeRateOnUnfunded : structure.feeRateOnUnfunded || null,
+      feeOffsetAmount: feeOffsetAmount || 0,
+      vatOnInvestments: vatOnInvestments || 0,
+      vatOnFundExpenses: vatOnFundExpenses || 0,
+      totalInvestments: totalInvestments || 0,
+      totalFundExpenses: totalFundExpenses || 0,
+      totalReserves: totalReserves || 0
+    };
+  }
+
+  const inputs = await CapitalCall.getAllocationInputs(capitalCall.structureId, capitalCall.id);
+  const allocations = calculateAllocations({ capitalCall, ...inputs });
+  const warnings = getAllocationWarnings(
+    allocations,
+    inputs.structureInvestors,
+    inputs.cumulativeCalledMap,
+    inputs.cumulativeRecallableMap
+  );
+
+  // Investor names for display
+  const investorRecords = await StructureInvestor.findByStructureId(capitalCall.structureId);
+  const userMap = {};
+  investorRecords.forEach(si => { userMap[si.userId] = si.user; });
+  const investorByUser = new Map(inputs.structureInvestors.map(si => [si.user_id, si]));
+
+  const investors = allocations.map(a => {
+    const si = investorByUser.get(a.user_id) || {};
+    const previouslyCalled = inputs.cumulativeCalledMap[a.user_id] || 0;
+    return {
+      userId: a.user_id,
+      investorName: userMap[a.user_id] ? getUserDisplayName(userMap[a.user_id]) : null,
+      ownershipPercent: si.ownership_percent || 0,
+      commitment: si.commitment || 0,
+      previouslyCalled,
+      principal: a.principal_amount,
+      managementFeeGross: a.management_fee_gross,
+      managementFeeDiscount: a.management_fee_discount,
+      managementFeeNet: a.management_fee_net,
+      nicFee: a.nic_fee_amount,
+      unfundedFee: a.unfunded_fee_amount,
+      feeOffset: a.fee_offset_amount || 0,
+      vat: a.vat_amount + (a.vat_on_investments_amount || 0) + (a.vat_on_fund_expenses_amount || 0),
+      totalDue: a.total_due,
+      totalDrawdown: a.total_drawdown,
+      excusalRedistribution: a.excusal_redistribution_amount || 0,
+      remainingCommitment: (si.commitment || 0) - previouslyCalled - a.total_drawdown
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      feeMode: isDualRateMode(capitalCall) ? 'dual_rate' : 'single_rate',
+      investors,
+      excusedUserIds: inputs.excusedUserIds || [],
+      totals: summarizeAllocations(allocations),
+      warnings,
+      // Violations that would block submission for review
+      limitViolations: evaluateCallLimits({ capitalCall, structure, allocations, ...inputs }).violations
     }
   });
 }));
@@ -308,6 +834,7 @@ router.get('/payments', authenticate, requireInvestmentManagerAccess, catchAsync
       capitalPaid: parseFloat(alloc.capital_paid) || 0,
       feesPaid: parseFloat(alloc.fees_paid) || 0,
       vatPaid: parseFloat(alloc.vat_paid) || 0,
+      lateInterestPaid: parseFloat(alloc.default_interest_paid) || 0,
       outstanding: (parseFloat(alloc.total_due) || 0) - (parseFloat(alloc.paid_amount) || 0),
       status: alloc.status,
       paymentApprovalStatus: alloc.payment_approval_status || (alloc.status === 'Paid' || alloc.status === 'Partially Paid' ? 'approved' : null),
@@ -338,6 +865,23 @@ router.get('/payments', authenticate, requireInvestmentManagerAccess, catchAsync
   });
 }));
 
+/**
+ * @route   GET /api/capital-calls/payments/:allocationId/history
+ * @desc    Get the payments recorded against an allocation with the breakdown each was applied with
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/payments/:allocationId/history', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { allocationId } = req.params;
+
+  const payments = await CapitalCallPayment.findByAllocationId(allocationId);
+
+  res.status(200).json({
+    success: true,
+    count: payments.length,
+    data: payments
+  });
+}));
+
 /**
  * @route   PATCH /api/capital-calls/payments/:allocationId/approve
  * @desc    Approve an investor's capital call payment (confirm payment was received)
@@ -364,22 +908,41 @@ router.patch('/payments/:allocationId/approve', authenticate, requireInvestmentM
     return res.status(400).json({ success: false, message: `Payment is already ${allocation.payment_approval_status || 'not pending'}` });
   }
 
-  // Determine the allocation status based on paid amounts
-  const totalDue = parseFloat(allocation.total_due) || 0;
-  const paidAmount = parseFloat(allocation.paid_amount) || 0;
+  const paymentCheck = canAcceptPayment(allocation.capital_calls?.status, allocation);
+  validate(paymentCheck.allowed, paymentCheck.reason);
+
+  const { userId } = getUserContext(req);
+
+  // Re-apply the pending payments under the structure's current payment application policy
+  const structure = await Structure.findById(allocation.capital_calls?.structure_id);
+  const applicationPolicy = getPaymentApplicationPolicy(structure);
+  const pendingPayments = await CapitalCallPayment.findByAllocationId(allocationId, 'pending');
+  const reapplied = pendingPayments.length > 0
+    ? reapplyPendingPayments(allocation, pendingPayments, applicationPolicy)
+    : null;
+  const paidFields = reapplied?.changed ? reapplied.paidFields : {};
+
+  // Determine the allocation status based on paid amounts
+  const totalDue = parseFloat(allocation.total_due) || 0;
+  const paidAmount = paidFields.paid_amount ?? (parseFloat(allocation.paid_amount) || 0);
   const outstanding = totalDue - paidAmount;
 
+  // Defaulted allocations stay in default until cured below
+  const isDefaulted = allocation.status === DEFAULT_STATUS;
   let newStatus = allocation.status;
-  if (outstanding <= 0.01) {
-    newStatus = 'Paid';
-  } else if (paidAmount > 0) {
-    newStatus = 'Partially Paid';
+  if (!isDefaulted) {
+    if (outstanding <= 0.01) {
+      newStatus = 'Paid';
+    } else if (paidAmount > 0) {
+      newStatus = 'Partially Paid';
+    }
   }
 
   // Update allocation: approve payment and set proper status
   const { error: updateError } = await supabase
     .from('capital_call_allocations')
     .update({
+      ...paidFields,
       payment_approval_status: 'approved',
       status: newStatus,
       updated_at: new Date().toISOString()
@@ -390,6 +953,20 @@ router.patch('/payments/:allocationId/approve', authenticate, requireInvestmentM
     throw new Error(`Error approving payment: ${updateError.message}`);
   }
 
+  // Record the breakdown each payment was finally applied with
+  for (const payment of (reapplied?.payments || []).filter(p => p.changed)) {
+    await CapitalCallPayment.findByIdAndUpdate(payment.id, {
+      breakdown: payment.breakdown,
+      applicationPolicy: applicationPolicy.policy,
+      applicationOrder: applicationPolicy.order
+    });
+  }
+  const approvedPayments = await CapitalCallPayment.reviewPendingByAllocationId(allocationId, 'approved', userId);
+
+  if (reapplied?.changed && allocation.capital_calls?.installment_count > 0) {
+    await syncInstallmentPayments({ id: allocationId, paid_amount: paidAmount });
+  }
+
   // Now update capital call totals since payment is confirmed
   const capitalCallId = allocation.capital_call_id;
   const { data: allAllocations } = await supabase
@@ -419,12 +996,30 @@ router.patch('/payments/:allocationId/approve', authenticate, requireInvestmentM
     })
     .eq('id', capitalCallId);
 
+  // A default is cured only once the outstanding amount and the late interest are both paid
+  if (isDefaulted) {
+    const user = await User.findById(userId);
+    const cure = await cureDefaultOnPayment(allocationId, {
+      userId,
+      userName: getUserDisplayName(user)
+    }, notes);
+    if (cure.cured) {
+      newStatus = cure.allocation.status;
+    }
+  }
+
   console.log(`[Payment Approval] Allocation ${allocationId} approved. Status: ${newStatus}`);
 
   res.status(200).json({
     success: true,
     message: 'Payment approved successfully',
-    data: { allocationId, status: newStatus, paymentApprovalStatus: 'approved' }
+    data: {
+      allocationId,
+      status: newStatus,
+      paymentApprovalStatus: 'approved',
+      applicationPolicy: applicationPolicy.policy,
+      payments: approvedPayments
+    }
   });
 }));
 
@@ -463,6 +1058,7 @@ router.patch('/payments/:allocationId/reject', authenticate, requireInvestmentMa
       capital_paid: 0,
       fees_paid: 0,
       vat_paid: 0,
+      default_interest_paid: 0,
       // Keep payment_method/reference/date for audit trail
       updated_at: new Date().toISOString()
     })
@@ -472,6 +1068,9 @@ router.patch('/payments/:allocationId/reject', authenticate, requireInvestmentMa
     throw new Error(`Error rejecting payment: ${updateError.message}`);
   }
 
+  await syncInstallmentPayments({ id: allocationId, paid_amount: 0 });
+  await CapitalCallPayment.reviewPendingByAllocationId(allocationId, 'rejected', getUserContext(req).userId);
+
   console.log(`[Payment Rejection] Allocation ${allocationId} rejected. Reason: ${reason || 'none'}`);
 
   res.status(200).json({
@@ -481,6 +1080,142 @@ router.patch('/payments/:allocationId/reject', authenticate, requireInvestmentMa
   });
 }));
 
+/**
+ * @route   GET /api/capital-calls/defaults
+ * @desc    List defaulted allocations (optionally for one structure)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   structureId?: string, includeResolved?: boolean
+ */
+router.get('/defaults', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { structureId, includeResolved } = req.query;
+
+  const allocations = await CapitalCall.findDefaultedAllocations({
+    structureId,
+    includeResolved: includeResolved === 'true'
+  });
+
+  const totals = allocations.reduce((acc, a) => {
+    acc.outstanding += a.defaultOutstandingAmount;
+    acc.defaultInterest += a.defaultInterestAmount;
+    acc.forfeited += a.forfeitedAmount;
+    return acc;
+  }, { outstanding: 0, defaultInterest: 0, forfeited: 0 });
+
+  res.status(200).json({
+    success: true,
+    count: allocations.length,
+    data: allocations,
+    totals
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/allocations/:allocationId/default
+ * @desc    Declare an allocation in default once its grace period has elapsed
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { notes?: string, force?: boolean }
+ */
+router.post('/allocations/:allocationId/default', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { allocationId } = req.params;
+  const { notes, force } = req.body;
+
+  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can declare investor defaults');
+
+  const allocation = await CapitalCall.findAllocationById(allocationId);
+  validate(allocation, 'Allocation not found');
+  validate(allocation.status !== DEFAULT_STATUS, 'Allocation is already in default');
+  validate(allocation.outstanding > 0, 'Allocation has no outstanding amount');
+  validate(
+    force === true || isPastGracePeriod(getOverdueSince(allocation), allocation.structure?.defaultGracePeriodDays),
+    'Grace period has not elapsed for this allocation'
+  );
+
+  const user = await User.findById(userId);
+  const updated = await markAllocationDefaulted(allocation, {
+    userId,
+    userName: getUserDisplayName(user)
+  }, { notes });
+
+  res.status(200).json({
+    success: true,
+    message: 'Allocation marked as defaulted',
+    data: updated
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/allocations/:allocationId/remedy
+ * @desc    Apply an LPA remedy (forfeiture, forced_sale, reallocation) to a defaulted allocation
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { remedy: string, forfeiturePercent?: number, buyerUserId?: string, salePrice?: number, notes?: string }
+ */
+router.post('/allocations/:allocationId/remedy', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { allocationId } = req.params;
+  const { remedy, forfeiturePercent, buyerUserId, salePrice, notes } = req.body;
+
+  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can apply default remedies');
+  validate(REMEDIES.includes(remedy), `remedy must be one of: ${REMEDIES.join(', ')}`);
+  if (forfeiturePercent !== undefined) {
+    validate(!isNaN(forfeiturePercent) && forfeiturePercent >= 0 && forfeiturePercent <= 100, 'forfeiturePercent must be between 0 and 100');
+  }
+  if (remedy === 'forced_sale') {
+    validate(buyerUserId, 'buyerUserId is required for a forced sale');
+  }
+
+  const allocation = await CapitalCall.findAllocationById(allocationId);
+  validate(allocation, 'Allocation not found');
+  validate(allocation.status === DEFAULT_STATUS, 'Remedies can only be applied to defaulted allocations');
+
+  const user = await User.findById(userId);
+  const result = await applyDefaultRemedy(allocationId, remedy, {
+    forfeiturePercent,
+    buyerUserId,
+    salePrice,
+    notes
+  }, {
+    userId,
+    userName: getUserDisplayName(user)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Remedy '${remedy}' applied`,
+    data: result
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/allocations/:allocationId/cure
+ * @desc    Lift a default (after payment or waiver by the GP)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { notes?: string }
+ */
+router.post('/allocations/:allocationId/cure', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { allocationId } = req.params;
+  const { notes } = req.body;
+
+  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can cure investor defaults');
+
+  const allocation = await CapitalCall.findAllocationById(allocationId);
+  validate(allocation, 'Allocation not found');
+  validate(allocation.status === DEFAULT_STATUS, 'Allocation is not in default');
+
+  const user = await User.findById(userId);
+  const updated = await cureDefault(allocationId, {
+    userId,
+    userName: getUserDisplayName(user)
+  }, notes);
+
+  res.status(200).json({
+    success: true,
+    message: 'Default cured',
+    data: updated
+  });
+}));
+
 /**
  * @route   GET /api/capital-calls/pending/approval
  * @desc    Get all capital calls pending approval
@@ -668,6 +1403,28 @@ router.get('/structure/:structureId/history', authenticate, requireInvestmentMan
   });
 }));
 
+/**
+ * @route   GET /api/capital-calls/structure/:structureId/deal-attribution
+ * @desc    Capital called and contributed per portfolio investment and LP (from call line items)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   investmentId?: limit to one investment, userId?: limit to one LP
+ */
+router.get('/structure/:structureId/deal-attribution', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+  const { investmentId, userId } = req.query;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const deals = await getDealContributions(structureId, { investmentId, userId });
+
+  res.status(200).json({
+    success: true,
+    count: deals.length,
+    data: deals
+  });
+}));
+
 /**
  * @route   GET /api/capital-calls/investor/:investorId
  * @desc    Get all capital calls for a specific investor
@@ -705,7 +1462,7 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(asyn
 
   const capitalCall = await CapitalCall.findById(id);
   validate(capitalCall, 'Capital call not found');
-
+  validate(capitalCall.status !== 'Cancelled', 'Cancelled capital calls cannot be modified');
 
   const updateData = {};
   const allowedFields = [
@@ -724,6 +1481,14 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(asyn
 
   validate(Object.keys(updateData).length > 0, 'No valid fields provided for update');
 
+  // Amount or fee changes invalidate any recorded limit override
+  const limitFields = ['callDate', 'totalCallAmount', 'managementFeeBase', 'managementFeeRate', 'vatRate', 'vatApplicable', 'feePeriod', 'feeRateOnNic', 'feeRateOnUnfunded'];
+  if (capitalCall.limitOverrideAt && limitFields.some(field => updateData[field] !== undefined)) {
+    updateData.limitOverrideJustification = null;
+    updateData.limitOverrideBy = null;
+    updateData.limitOverrideAt = null;
+  }
+
   const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(id, updateData);
 
   res.status(200).json({
@@ -834,7 +1599,11 @@ router.post('/:id/create-allocations', authenticate, requireInvestmentManagerAcc
 
   let allocations;
 
-  if (source === 'frontend' && Array.isArray(frontendAllocations) && frontendAllocations.length > 0) {
+  // Frontend-computed allocations don't apply excusals; the backend computes them for calls
+  // with excused investors
+  const excusals = await CapitalCallExcusal.findByCapitalCallId(id);
+
+  if (source === 'frontend' && Array.isArray(frontendAllocations) && frontendAllocations.length > 0 && excusals.length === 0) {
     // Frontend-computed allocations — store directly, no recalculation
     const { getSupabase } = require('../config/database');
     const supabase = getSupabase();
@@ -873,40 +1642,509 @@ router.post('/:id/create-allocations', authenticate, requireInvestmentManagerAcc
       .insert(dbAllocations)
       .select();
 
-    if (error) {
-      throw new Error(`Failed to insert frontend allocations: ${error.message}`);
-    }
-    allocations = data;
-  } else {
-    // FALLBACK: backend computes (existing logic, unchanged)
-    allocations = await CapitalCall.createAllocationsForStructure(id, capitalCall.structureId);
+    if (error) {
+      throw new Error(`Failed to insert frontend allocations: ${error.message}`);
+    }
+    allocations = data;
+  } else {
+    // FALLBACK: backend computes (existing logic, unchanged)
+    allocations = await CapitalCall.createAllocationsForStructure(id, capitalCall.structureId);
+  }
+
+  // Charge the LPs' accrued management fees instead of the fee computed for the call
+  if (capitalCall.billAccruedFees) {
+    allocations = (await billFeeAccruals(capitalCall, allocations)).allocations;
+  }
+
+  // Apply the LPs' GP fee income offset balances against the fees just billed
+  allocations = (await applyFeeOffsets(capitalCall, allocations, { userId })).allocations;
+
+  // Split the new allocations across the call's installment schedule
+  if (capitalCall.installmentCount > 0) {
+    await syncAllocationInstallments(id);
+  }
+
+  // Attribute the new allocations to the call's line items
+  if (capitalCall.lineItemCount > 0) {
+    await syncAllocationLineItems(id);
+  }
+
+  // An override was recorded against the previous allocations
+  await clearCapitalCallLimitOverride(capitalCall);
+
+  res.status(201).json({
+    success: true,
+    message: 'Allocations created successfully',
+    data: allocations
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/:id/installments
+ * @desc    Get the installment schedule of a capital call and each allocation's installments
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/installments', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  const [schedule, allocationInstallments] = await Promise.all([
+    CapitalCallInstallment.findByCapitalCallId(id),
+    CapitalCallInstallment.findAllocationInstallmentsByCall(id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      installments: schedule.map(installment => {
+        const rows = allocationInstallments.filter(a => a.installmentId === installment.id);
+        return {
+          ...installment,
+          amountDue: rows.reduce((sum, r) => sum + r.amountDue, 0),
+          paidAmount: rows.reduce((sum, r) => sum + r.paidAmount, 0),
+          allocations: rows
+        };
+      })
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/capital-calls/:id/installments
+ * @desc    Set the installment schedule of a draft capital call
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { installments: [{ dueDate, percentage | amount, description }] }
+ */
+router.put('/:id/installments', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { installments } = req.body;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+  validate(capitalCall.status === 'Draft', 'Installments can only be changed before the capital call is sent');
+
+  const result = await setInstallmentSchedule(capitalCall, installments);
+  validate(result.valid, result.errors.join('; '));
+
+  res.status(200).json({
+    success: true,
+    message: `Installment schedule saved (${result.schedule.length} installments)`,
+    data: {
+      capitalCall: result.capitalCall,
+      installments: result.schedule,
+      allocationInstallments: result.allocationInstallments
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/capital-calls/:id/installments
+ * @desc    Remove the installment schedule of a draft capital call (single deadline)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:id/installments', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+  validate(capitalCall.status === 'Draft', 'Installments can only be changed before the capital call is sent');
+
+  const updatedCapitalCall = await clearInstallmentSchedule(capitalCall);
+
+  res.status(200).json({
+    success: true,
+    message: 'Installment schedule removed',
+    data: updatedCapitalCall
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/:id/line-items
+ * @desc    Get the line items of a capital call and each allocation's share of them
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/line-items', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  const [lineItems, allocationLineItems] = await Promise.all([
+    CapitalCallLineItem.findByCapitalCallId(id),
+    CapitalCallLineItem.findAllocationLineItemsByCall(id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      lineItems: lineItems.map(lineItem => ({
+        ...lineItem,
+        allocations: allocationLineItems.filter(a => a.lineItemId === lineItem.id)
+      }))
+    }
+  });
+}));
+
+/**
+ * @route   PUT /api/capital-calls/:id/line-items
+ * @desc    Set the line items of a draft capital call (header totals are derived from them)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { lineItems: [{ category: 'investment'|'fund_expense'|'reserve', investmentId, description, amount, vatAmount }] }
+ */
+router.put('/:id/line-items', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { lineItems } = req.body;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+  validate(capitalCall.status === 'Draft', 'Line items can only be changed before the capital call is sent');
+
+  const withAllocations = await CapitalCall.findWithAllocations(id);
+  const result = await setLineItems(capitalCall, lineItems, {
+    hasAllocations: (withAllocations?.capital_call_allocations || []).length > 0
+  });
+  validate(result.valid, result.errors.join('; '));
+
+  res.status(200).json({
+    success: true,
+    message: `Line items saved (${result.lineItems.length} items)`,
+    data: {
+      capitalCall: result.capitalCall,
+      lineItems: result.lineItems,
+      allocationLineItems: result.allocationLineItems
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/:id/excusals
+ * @desc    Get the investors excused from a capital call
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/excusals', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  const excusals = await CapitalCallExcusal.findByCapitalCallId(id);
+
+  res.status(200).json({
+    success: true,
+    count: excusals.length,
+    data: excusals
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/:id/excusals
+ * @desc    Excuse an investor from a draft capital call; their share is redistributed among the
+ *          remaining investors and distributions from the call's investments exclude them
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { userId: string, reasonType: 'esg'|'sanctions'|'side_letter'|'regulatory'|'other', reason?: string }
+ */
+router.post('/:id/excusals', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { id } = req.params;
+  const { userId: investorId, reasonType, reason } = req.body;
+
+  validate(investorId, 'Investor user ID is required');
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+  validate(capitalCall.status === 'Draft', 'Investors can only be excused before the capital call is sent');
+
+  const user = await User.findById(userId);
+  const result = await excuseInvestor(capitalCall, { userId: investorId, reasonType, reason }, {
+    userId,
+    userName: getUserDisplayName(user)
+  });
+  validate(result.valid, result.errors.join('; '));
+
+  res.status(201).json({
+    success: true,
+    message: result.allocations
+      ? 'Investor excused and allocations recalculated'
+      : 'Investor excused',
+    data: {
+      excusal: result.excusal,
+      investmentExclusions: result.exclusions,
+      allocations: result.allocations || []
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/capital-calls/:id/excusals/:userId
+ * @desc    Reinstate an excused investor on a draft capital call
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:id/excusals/:userId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { id, userId: investorId } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+  validate(capitalCall.status === 'Draft', 'Investors can only be reinstated before the capital call is sent');
+
+  const user = await User.findById(userId);
+  const result = await reinstateInvestor(capitalCall, investorId, {
+    userId,
+    userName: getUserDisplayName(user)
+  });
+  validate(result.excusal, 'Investor is not excused from this capital call');
+
+  res.status(200).json({
+    success: true,
+    message: 'Investor reinstated',
+    data: {
+      excusal: result.excusal,
+      allocations: result.allocations || []
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/capital-calls/:id/overcall/preview
+ * @desc    Preview the reallocation of a capital call's unfunded shortfall to the remaining LPs
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   shortfallUserIds?: comma-separated user IDs (defaults to defaulted allocations)
+ */
+router.get('/:id/overcall/preview', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const shortfallUserIds = req.query.shortfallUserIds
+    ? String(req.query.shortfallUserIds).split(',').map(v => v.trim()).filter(Boolean)
+    : null;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  const { overcall, priorOvercalls } = await previewOvercall(id, { shortfallUserIds });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      capitalCallId: id,
+      callNumber: capitalCall.callNumber,
+      priorSupplementaryCalls: priorOvercalls.map(c => ({ id: c.id, callNumber: c.callNumber, callType: c.callType })),
+      ...overcall
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/:id/overcall
+ * @desc    Re-issue a capital call's unfunded shortfall as a supplementary call to the remaining LPs
+ *          and email each of them their notice for it
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { shortfallUserIds?: string[], deadlineDate?: string, notes?: string, notifyInvestors?: boolean, firmName?: string }
+ */
+router.post('/:id/overcall', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+  const { shortfallUserIds, deadlineDate, notes, notifyInvestors, firmName } = req.body;
+
+  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can issue overcalls');
+  if (shortfallUserIds !== undefined) {
+    validate(Array.isArray(shortfallUserIds), 'shortfallUserIds must be an array');
+  }
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+  validate(capitalCall.status !== 'Draft', 'Overcalls can only be issued for capital calls that have been sent');
+
+  // The supplementary call is created from the same numbers that were checked here
+  const preview = await previewOvercall(id, { shortfallUserIds });
+  validate(preview.overcall.shortfall > 0, 'No unfunded shortfall to reallocate');
+  validate(preview.overcall.allocations.length > 0, 'No non-defaulting investors with capacity to absorb the shortfall');
+
+  const user = await User.findById(userId);
+  const { capitalCall: supplementaryCall, allocations, overcall } = await createOvercall(id, {
+    shortfallUserIds,
+    deadlineDate,
+    notes,
+    preview
+  }, {
+    userId,
+    userName: getUserDisplayName(user)
+  });
+
+  // Updated LP notices for the supplementary call
+  let notices = { results: [], errors: [] };
+  if (notifyInvestors !== false && preview.structure) {
+    const enrichedAllocations = await enrichAllocationsForPDF(allocations || [], supplementaryCall.structureId, supplementaryCall.id);
+    notices = await sendLPNotices({ ...supplementaryCall, parentCallNumber: capitalCall.callNumber }, preview.structure, enrichedAllocations, {
+      userId,
+      firmName: firmName || await getFirmNameForUser(userId, preview.structure.name)
+    });
+  }
+
+  // Update capital call status if all notices were sent
+  const allSent = notices.errors.length === 0 && notices.results.length > 0;
+  if (allSent) {
+    await CapitalCall.markAsSent(supplementaryCall.id);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Supplementary capital call #${supplementaryCall.callNumber} created${notices.results.length > 0 ? `, notices sent to ${notices.results.length} investor(s)` : ''}`,
+    data: {
+      capitalCall: supplementaryCall,
+      overcall,
+      notices: {
+        sent: notices.results,
+        failed: notices.errors
+      },
+      capitalCallStatus: allSent ? 'Sent' : supplementaryCall.status
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/capital-calls/:id
+ * @desc    Delete a draft capital call (sent calls must be cancelled instead)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+  validate(capitalCall.status === 'Draft', 'Only draft capital calls can be deleted. Use POST /api/capital-calls/:id/cancel to cancel a sent capital call');
+
+  if (capitalCall.billAccruedFees) {
+    await releaseFeeAccruals(id);
+  }
+  await releaseFeeOffsets(id, { userId });
+  await CapitalCall.findByIdAndDelete(id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Capital call deleted successfully'
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/:id/cancel
+ * @desc    Cancel a sent capital call: void allocations, create refunds for amounts received,
+ *          roll back the structure's called capital and send LPs a cancellation notice
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { reason: string, notifyInvestors?: boolean }
+ */
+router.post('/:id/cancel', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { id } = req.params;
+  const { reason, notifyInvestors } = req.body;
+
+  validate(reason && reason.trim(), 'A cancellation reason is required');
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  const check = canCancel(capitalCall);
+  validate(check.allowed, check.reason);
+
+  const user = await User.findById(userId);
+  const result = await cancelCapitalCall(capitalCall, { reason: reason.trim() }, {
+    userId,
+    userName: getUserDisplayName(user)
+  });
+
+  // Fees the call billed from the accrual ledger become billable again, and the fee
+  // offsets it applied return to the LPs' balances
+  if (capitalCall.billAccruedFees) {
+    await releaseFeeAccruals(id);
+  }
+  await releaseFeeOffsets(id, { userId });
+
+  // Recallable capital the call recycled returns to the LPs' recallable balances
+  if (capitalCall.recyclesCapital) {
+    await releaseCapitalCallDebits(id);
+  }
+
+  // Reinvestment credits netted against the call become available for the next call
+  await releaseReinvestmentCredits(capitalCall, { userId });
+
+  // Fee invoices issued for the call are credited in full
+  const structure = await Structure.findById(capitalCall.structureId);
+  const creditNotes = await creditCancelledCallInvoices(capitalCall, structure, reason.trim(), { userId });
+
+  // LP cancellation notices (with refund details)
+  let notices = { results: [], errors: [] };
+  if (notifyInvestors !== false && result.allocations.length > 0) {
+    const firmName = await getFirmNameForUser(userId, structure?.name);
+    notices = await sendCancellationNotices(result.capitalCall, structure, result.allocations, result.refunds, {
+      userId,
+      firmName
+    });
   }
 
-  res.status(201).json({
+  res.status(200).json({
     success: true,
-    message: 'Allocations created successfully',
-    data: allocations
+    message: `Capital call cancelled${result.refunds.length > 0 ? ` (${result.refunds.length} refunds created)` : ''}`,
+    data: {
+      capitalCall: result.capitalCall,
+      voidedAllocations: result.allocations.length,
+      refunds: result.refunds,
+      totalRefund: result.refunds.reduce((sum, r) => sum + r.amount, 0),
+      totalCalledRolledBack: result.totalCalledRolledBack,
+      creditNotes,
+      notices
+    }
   });
 }));
 
 /**
- * @route   DELETE /api/capital-calls/:id
- * @desc    Delete a capital call
+ * @route   GET /api/capital-calls/:id/refunds
+ * @desc    Get the refund obligations of a cancelled capital call
  * @access  Private (requires authentication, Root/Admin only)
  */
-router.delete('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
-  const { userId, userRole } = getUserContext(req);
+router.get('/:id/refunds', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
   const { id } = req.params;
 
-  const capitalCall = await CapitalCall.findById(id);
-  validate(capitalCall, 'Capital call not found');
+  const refunds = await CapitalCallRefund.findByCapitalCallId(id);
+
+  res.status(200).json({
+    success: true,
+    count: refunds.length,
+    data: refunds,
+    totals: {
+      pending: refunds.filter(r => r.status === 'Pending').reduce((sum, r) => sum + r.amount, 0),
+      paid: refunds.filter(r => r.status === 'Paid').reduce((sum, r) => sum + r.amount, 0)
+    }
+  });
+}));
+
+/**
+ * @route   PATCH /api/capital-calls/:id/refunds/:refundId
+ * @desc    Mark a refund as paid (or waived)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { status: 'Paid' | 'Waived', paymentReference?: string, notes?: string }
+ */
+router.patch('/:id/refunds/:refundId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { id, refundId } = req.params;
+  const { status, paymentReference, notes } = req.body;
 
+  validate(['Paid', 'Waived'].includes(status), 'Status must be Paid or Waived');
 
-  await CapitalCall.findByIdAndDelete(id);
+  const refund = await CapitalCallRefund.findById(refundId);
+  validate(refund && refund.capitalCallId === id, 'Refund not found');
+  validate(refund.status === 'Pending', `Refund is already ${refund.status}`);
+
+  const user = await User.findById(userId);
+  const updated = await settleRefund(refund, { status, paymentReference, notes }, {
+    userId,
+    userName: getUserDisplayName(user)
+  });
 
   res.status(200).json({
     success: true,
-    message: 'Capital call deleted successfully'
+    message: `Refund marked as ${status}`,
+    data: updated
   });
 }));
 
@@ -921,7 +2159,7 @@ router.get('/:id/generate-notice', authenticate, requireInvestmentManagerAccess,
   const defaultFirmName = await getFirmNameForUser(userId);
   const { firmName = defaultFirmName } = req.query;
 
-  const capitalCall = await CapitalCall.findById(id);
+  const capitalCall = await withExcusals(await withParentCallNumber(await CapitalCall.findById(id)));
   validate(capitalCall, 'Capital call not found');
 
 
@@ -938,6 +2176,8 @@ router.get('/:id/generate-notice', authenticate, requireInvestmentManagerAccess,
     ...capitalCall,
     currency: structure.baseCurrency || 'USD',
     allocations: enrichedAllocations,
+    installments: capitalCall.installmentCount > 0 ? await CapitalCallInstallment.findByCapitalCallId(id) : [],
+    lineItems: capitalCall.lineItemCount > 0 ? await CapitalCallLineItem.findByCapitalCallId(id) : [],
   };
 
   // Generate PDF
@@ -966,7 +2206,7 @@ router.get('/:id/generate-lp-notice/:investorId', authenticate, requireInvestmen
   const defaultFirmName = await getFirmNameForUser(userId);
   const { firmName = defaultFirmName } = req.query;
 
-  const capitalCall = await CapitalCall.findById(id);
+  const capitalCall = await withExcusals(await withParentCallNumber(await CapitalCall.findById(id)));
   validate(capitalCall, 'Capital call not found');
 
 
@@ -1016,9 +2256,9 @@ router.post('/:id/send-notices', authenticate, requireInvestmentManagerAccess, c
   const defaultFirmName = await getFirmNameForUser(userId);
   const { firmName = defaultFirmName, subject, bodyText, bodyHtml } = req.body;
 
-  const capitalCall = await CapitalCall.findById(id);
+  const capitalCall = await withExcusals(await withParentCallNumber(await CapitalCall.findById(id)));
   validate(capitalCall, 'Capital call not found');
-
+  validate(capitalCall.status !== 'Cancelled', 'Notices cannot be sent for a cancelled capital call');
 
   const structure = await Structure.findById(capitalCall.structureId);
   validate(structure, 'Structure not found');
@@ -1030,74 +2270,13 @@ router.post('/:id/send-notices', authenticate, requireInvestmentManagerAccess, c
 
   validate(allocations.length > 0, 'No investor allocations found');
 
-  const results = [];
-  const errors = [];
-
-  // Generate and send individual notices
-  for (const allocation of allocations) {
-    try {
-      const investorId = allocation.user_id;
-      const investor = allocation.user || await User.findById(investorId);
-      const investorName = getUserDisplayName(investor);
-
-      if (!investor?.email) {
-        errors.push({
-          investorId,
-          investorName,
-          error: 'No email address found'
-        });
-        continue;
-      }
-
-      // Generate individual LP PDF
-      const enrichedCCNotice = { ...capitalCall, currency: structure.baseCurrency || 'USD' };
-      const pdfBuffer = await generateIndividualLPNoticePDF(
-        enrichedCCNotice,
-        allocation,
-        { ...structure, currency: structure.baseCurrency || 'USD' },
-        investor,
-        { firmName: firmName || 'Investment Manager', bankDetails: structure.bankAccounts || {} }
-      );
-
-      // Prepare email content
-      const defaultSubject = `Capital Call Notice #${capitalCall.callNumber} - ${structure.name}`;
-      const defaultBodyText = `Dear ${investorName},\n\nPlease find attached your Capital Call Notice #${capitalCall.callNumber} for ${structure.name}.\n\nPayment Due Date: ${new Date(capitalCall.dueDate).toLocaleDateString()}\n\nPlease review the attached notice for payment instructions.\n\nBest regards,\n${firmName}`;
-      const defaultBodyHtml = `
-        <p>Dear ${investorName},</p>
-        <p>Please find attached your Capital Call Notice #${capitalCall.callNumber} for <strong>${structure.name}</strong>.</p>
-        <p><strong>Payment Due Date:</strong> ${new Date(capitalCall.dueDate).toLocaleDateString()}</p>
-        <p>Please review the attached notice for payment instructions.</p>
-        <p>Best regards,<br/>${firmName}</p>
-      `;
-
-      // Send email with PDF attachment
-      await sendEmail(userId, {
-        to: [investor.email],
-        subject: subject || defaultSubject,
-        bodyText: bodyText || defaultBodyText,
-        bodyHtml: bodyHtml || defaultBodyHtml,
-        attachments: [{
-          filename: `Capital_Call_${capitalCall.callNumber}_${investorName.replace(/\s+/g, '_')}.pdf`,
-          content: pdfBuffer.toString('base64'),
-          encoding: 'base64',
-          contentType: 'application/pdf'
-        }]
-      });
-
-      results.push({
-        investorId,
-        investorName,
-        email: investor.email,
-        status: 'sent'
-      });
-    } catch (error) {
-      errors.push({
-        investorId: allocation.user_id,
-        investorName: getUserDisplayName(allocation.user),
-        error: error.message
-      });
-    }
-  }
+  const { results, errors } = await sendLPNotices(capitalCall, structure, allocations, {
+    userId,
+    firmName,
+    subject,
+    bodyText,
+    bodyHtml
+  });
 
   // Update capital call status if all notices were sent
   if (errors.length === 0 && results.length > 0) {
@@ -1140,13 +2319,76 @@ router.get('/:id/approval-history', authenticate, requireInvestmentManagerAccess
   });
 }));
 
+/**
+ * @route   GET /api/capital-calls/:id/limit-check
+ * @desc    Check a capital call against commitment and call limits
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/limit-check', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  const structure = await Structure.findById(capitalCall.structureId);
+  validate(structure, 'Structure not found');
+
+  const result = await checkCapitalCallLimits(capitalCall, structure);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route   POST /api/capital-calls/:id/override-limits
+ * @desc    Approver override of commitment / call-limit violations with a recorded justification;
+ *          the call can then be submitted for review by anyone other than the approver who overrode
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { justification: string }
+ */
+router.post('/:id/override-limits', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { id } = req.params;
+  const { justification } = req.body;
+
+  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can override capital call limits');
+  validate(justification && justification.trim(), 'Justification is required');
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+  validate(capitalCall.approvalStatus === 'draft', 'Limits can only be overridden while the capital call is in draft');
+
+  const structure = await Structure.findById(capitalCall.structureId);
+  validate(structure, 'Structure not found');
+
+  const { valid, violations } = await checkCapitalCallLimits(capitalCall, structure);
+  validate(!valid, 'Capital call has no limit violations to override');
+
+  const user = await User.findById(userId);
+  const updatedCapitalCall = await overrideCapitalCallLimits(capitalCall, violations, justification.trim(), {
+    userId,
+    userName: getUserDisplayName(user)
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Capital call limits overridden',
+    data: {
+      capitalCall: updatedCapitalCall,
+      violations
+    }
+  });
+}));
+
 /**
  * @route   PATCH /api/capital-calls/:id/submit-for-review
  * @desc    Submit capital call for Admin approval (draft -> pending_cfo)
  * @access  Private (requires authentication, Root/Admin only)
  */
 router.patch('/:id/submit-for-review', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
-  const { userId, userRole } = getUserContext(req);
+  const { userId } = getUserContext(req);
   const { id } = req.params;
   const { notes } = req.body;
 
@@ -1158,9 +2400,31 @@ router.patch('/:id/submit-for-review', authenticate, requireInvestmentManagerAcc
   // Get user details for history
   const user = await User.findById(userId);
 
-  // Update approval status - go directly to pending_cfo (simplified workflow)
+  // Commitment and call-limit guardrails: violations stand until another approver overrides them
+  // through POST /:id/override-limits
+  const structureForLimits = await Structure.findById(capitalCall.structureId);
+  const limitCheck = await checkCapitalCallLimits(capitalCall, structureForLimits);
+  const submitCheck = canSubmitWithLimits(limitCheck, userId);
+  if (!submitCheck.allowed) {
+    await CapitalCall.findByIdAndUpdate(id, { limitViolations: limitCheck.violations });
+    return res.status(400).json({
+      success: false,
+      message: submitCheck.reason,
+      violations: limitCheck.violations
+    });
+  }
+
+  // Snapshot the structure's approval chain for this call's amount
+  const approvalPolicy = await getApprovalPolicy(capitalCall.structureId, 'capital_call');
+  const approvalProgress = buildApprovalProgress(approvalPolicy, getEntityAmount('capital_call', capitalCall), {
+    submittedBy: userId
+  });
+  const firstStage = getCurrentStage(approvalProgress);
+
   const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(id, {
-    approvalStatus: 'pending_cfo'
+    approvalStatus: 'pending_cfo',
+    approvalProgress,
+    approvalVersion: (capitalCall.approvalVersion || 0) + 1
   });
 
   // Log approval action
@@ -1173,69 +2437,15 @@ router.patch('/:id/submit-for-review', authenticate, requireInvestmentManagerAcc
     userId,
     userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
     notes,
-    metadata: { callNumber: capitalCall.callNumber }
+    metadata: {
+      callNumber: capitalCall.callNumber,
+      policyId: approvalPolicy.id,
+      stages: approvalProgress.stages.map(stage => stage.name),
+      ...getStageMetadata(approvalProgress)
+    }
   });
 
-  // Send email notification to Admin/approvers (Root users)
-  try {
-    const rootUsers = await User.findByRole(0); // Root users are Admin/approvers
-    const structure = await Structure.findById(capitalCall.structureId);
-    const firmName = await getFirmNameForUser(userId, structure?.name);
-    const currencySymbol = getCurrencySymbol(structure);
-    const submitterName = getUserDisplayName(user);
-    const displayAmount = (capitalCall.totalDrawdown || capitalCall.totalCallAmount).toLocaleString();
-
-    for (const approver of rootUsers) {
-      if (approver?.email && approver.id !== userId) {
-        const approverName = getUserDisplayName(approver);
-        await sendEmail(userId, {
-          to: [approver.email],
-          subject: `Admin Approval Required: Capital Call #${capitalCall.callNumber} - ${structure?.name || 'Fund'}`,
-          bodyText: `Dear ${approverName},\n\nA capital call has been submitted for your approval.\n\nCapital Call #${capitalCall.callNumber}\nFund: ${structure?.name || 'N/A'}\nAmount: ${currencySymbol}${displayAmount}\nSubmitted by: ${submitterName}\n\nPlease log in to review and approve.\n\nBest regards,\n${firmName}`,
-          bodyHtml: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px;">
-              <div style="background-color: #d1ecf1; padding: 15px; border-left: 4px solid #17a2b8; margin-bottom: 20px;">
-                <h2 style="margin: 0; color: #0c5460;">Admin Approval Required</h2>
-              </div>
-              <p>Dear ${approverName},</p>
-              <p>A capital call has been submitted for your review and approval.</p>
-              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 20px 0;">
-                <p style="margin: 5px 0;"><strong>Capital Call:</strong> #${capitalCall.callNumber}</p>
-                <p style="margin: 5px 0;"><strong>Fund:</strong> ${structure?.name || 'N/A'}</p>
-                <p style="margin: 5px 0;"><strong>Amount:</strong> ${currencySymbol}${displayAmount}</p>
-                <p style="margin: 5px 0;"><strong>Submitted by:</strong> ${submitterName}</p>
-              </div>
-              <p>Please log in to the portal to review and approve this capital call.</p>
-              <p>Best regards,<br/>${firmName}</p>
-            </div>
-          `
-        });
-
-        // Create portal notification for approver
-        await Notification.create({
-          userId: approver.id,
-          notificationType: 'approval_required',
-          channel: 'portal',
-          title: `Approval Required: Capital Call #${capitalCall.callNumber}`,
-          message: `Capital Call #${capitalCall.callNumber} for ${structure?.name || 'Fund'} (${currencySymbol}${displayAmount}) has been submitted for your approval by ${submitterName}.`,
-          priority: 'high',
-          relatedEntityType: 'CapitalCall',
-          relatedEntityId: id,
-          actionUrl: `/investment-manager/operations/capital-calls/${id}`,
-          senderId: userId,
-          senderName: submitterName,
-          metadata: {
-            structureId: capitalCall.structureId,
-            structureName: structure?.name,
-            callNumber: capitalCall.callNumber,
-            totalAmount: capitalCall.totalDrawdown || capitalCall.totalCallAmount
-          }
-        });
-      }
-    }
-  } catch (emailError) {
-    console.warn('Failed to send approval notification:', emailError.message);
-  }
+  await notifyStageApprovers(updatedCapitalCall, firstStage, { userId, user });
 
   res.status(200).json({
     success: true,
@@ -1265,29 +2475,37 @@ router.patch('/:id/approve', authenticate, requireInvestmentManagerAccess, catch
     'Capital call must be pending Admin approval'
   );
 
-  // Root (Admin) or Admin can approve
-  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can approve capital calls');
-
   // Get user details for history
   const user = await User.findById(userId);
 
-  // Update approval status directly to approved
-  const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(id, {
-    approvalStatus: 'approved'
-  });
-
-  // Log approval action
-  await ApprovalHistory.logAction({
-    entityType: 'capital_call',
-    entityId: id,
-    action: 'cfo_approved',
-    fromStatus: 'pending_cfo',
-    toStatus: 'approved',
+  // Record the approval against the current stage of the approval chain
+  const approval = await recordStageApproval('capital_call', capitalCall, {
     userId,
-    userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
-    notes,
-    metadata: { callNumber: capitalCall.callNumber }
-  });
+    userRole,
+    userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown'
+  }, { notes, metadata: { callNumber: capitalCall.callNumber } });
+  validate(approval.allowed, approval.reason);
+
+  const updatedCapitalCall = approval.entity;
+
+  if (!approval.complete) {
+    if (approval.stageComplete) {
+      await notifyStageApprovers(updatedCapitalCall, approval.nextStage, { userId, user });
+    }
+    return res.status(200).json({
+      success: true,
+      message: approval.stageComplete
+        ? `${approval.stage.name} complete; awaiting ${approval.nextStage.name}`
+        : `Approval recorded for ${approval.stage.name} (${approval.stage.approvals.length} of ${approval.stage.quorum})`,
+      data: updatedCapitalCall
+    });
+  }
+
+  // Debit the LPs' recallable balances for recycled capital
+  await debitRecallableLedger(capitalCall, userId);
+
+  // Net the LPs' distribution reinvestment credits against the call
+  await applyReinvestments(capitalCall, userId);
 
   // Send email notification to submitter
   try {
@@ -1368,9 +2586,6 @@ router.patch('/:id/cfo-approve', authenticate, requireInvestmentManagerAccess, c
   const { id } = req.params;
   const { notes } = req.body;
 
-  // Root (Admin) or Admin can do final approval
-  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can provide final approval');
-
   const capitalCall = await CapitalCall.findById(id);
   validate(capitalCall, 'Capital call not found');
   validate(
@@ -1381,23 +2596,34 @@ router.patch('/:id/cfo-approve', authenticate, requireInvestmentManagerAccess, c
   // Get user details for history
   const user = await User.findById(userId);
 
-  // Update approval status
-  const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(id, {
-    approvalStatus: 'approved'
-  });
-
-  // Log approval action
-  await ApprovalHistory.logAction({
-    entityType: 'capital_call',
-    entityId: id,
-    action: 'cfo_approved',
-    fromStatus: 'pending_cfo',
-    toStatus: 'approved',
+  // Record the approval against the current stage of the approval chain
+  const approval = await recordStageApproval('capital_call', capitalCall, {
     userId,
-    userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
-    notes,
-    metadata: { callNumber: capitalCall.callNumber }
-  });
+    userRole,
+    userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown'
+  }, { notes, metadata: { callNumber: capitalCall.callNumber } });
+  validate(approval.allowed, approval.reason);
+
+  const updatedCapitalCall = approval.entity;
+
+  if (!approval.complete) {
+    if (approval.stageComplete) {
+      await notifyStageApprovers(updatedCapitalCall, approval.nextStage, { userId, user });
+    }
+    return res.status(200).json({
+      success: true,
+      message: approval.stageComplete
+        ? `${approval.stage.name} complete; awaiting ${approval.nextStage.name}`
+        : `Approval recorded for ${approval.stage.name} (${approval.stage.approvals.length} of ${approval.stage.quorum})`,
+      data: updatedCapitalCall
+    });
+  }
+
+  // Debit the LPs' recallable balances for recycled capital
+  await debitRecallableLedger(capitalCall, userId);
+
+  // Net the LPs' distribution reinvestment credits against the call
+  await applyReinvestments(capitalCall, userId);
 
   // Send email notification to submitter
   try {
@@ -1488,8 +2714,9 @@ router.patch('/:id/reject', authenticate, requireInvestmentManagerAccess, catchA
     'Capital call must be pending Admin approval to reject'
   );
 
-  // Root (Admin) or Admin can reject
-  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can reject capital calls');
+  // Approvers of the current stage can reject
+  const review = await evaluateApprover('capital_call', capitalCall, { userId, userRole }, { forApproval: false });
+  validate(review.allowed, review.reason);
 
   // Get user details for history
   const user = await User.findById(userId);
@@ -1504,7 +2731,7 @@ router.patch('/:id/reject', authenticate, requireInvestmentManagerAccess, catchA
     userId,
     userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
     notes: reason,
-    metadata: { callNumber: capitalCall.callNumber }
+    metadata: { callNumber: capitalCall.callNumber, ...getStageMetadata(review.progress) }
   });
 
   // Send email notification to submitter before deleting
@@ -1607,15 +2834,17 @@ router.patch('/:id/request-changes', authenticate, requireInvestmentManagerAcces
     'Capital call must be pending Admin approval to request changes'
   );
 
-  // Root (Admin) or Admin can request changes
-  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can request changes on capital calls');
+  // Approvers of the current stage can request changes
+  const review = await evaluateApprover('capital_call', capitalCall, { userId, userRole }, { forApproval: false });
+  validate(review.allowed, review.reason);
 
   // Get user details for history
   const user = await User.findById(userId);
 
-  // Update approval status back to draft
+  // Update approval status back to draft; the chain restarts on resubmission
   const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(id, {
-    approvalStatus: 'draft'
+    approvalStatus: 'draft',
+    approvalProgress: null
   });
 
   // Log approval action
@@ -1628,7 +2857,7 @@ router.patch('/:id/request-changes', authenticate, requireInvestmentManagerAcces
     userId,
     userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
     notes,
-    metadata: { callNumber: capitalCall.callNumber }
+    metadata: { callNumber: capitalCall.callNumber, ...getStageMetadata(review.progress) }
   });
 
   // Send email notification to creator about requested changes
@@ -1684,6 +2913,34 @@ router.patch('/:id/request-changes', authenticate, requireInvestmentManagerAcces
   });
 }));
 
+/**
+ * @route   GET /api/capital-calls/:id/approval-chain
+ * @desc    Get the approval chain for a capital call: stages, approvals and the stage awaiting sign-off.
+ *          Draft calls return the chain the structure's policy would apply if submitted now.
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/approval-chain', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const capitalCall = await CapitalCall.findById(id);
+  validate(capitalCall, 'Capital call not found');
+
+  const policy = await getApprovalPolicy(capitalCall.structureId, 'capital_call');
+  const progress = capitalCall.approvalStatus === 'draft'
+    ? buildApprovalProgress(policy, getEntityAmount('capital_call', capitalCall))
+    : getApprovalProgress('capital_call', capitalCall);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      approvalStatus: capitalCall.approvalStatus,
+      policy,
+      progress,
+      currentStage: capitalCall.approvalStatus === 'pending_cfo' ? getCurrentStage(progress) : null
+    }
+  });
+}));
+
 /**
  * @route   POST /api/capital-calls/trigger-reminders
  * @desc    Manually trigger capital call reminder job (for testing)
@@ -5,13 +5,34 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { Distribution, Structure, StructureAdmin, User, FirmSettings, StructureInvestor } = require('../models/supabase');
+const { Distribution, Structure, StructureAdmin, User, FirmSettings, StructureInvestor, ClawbackAssessment, DistributionPayoutBatch } = require('../models/supabase');
 const ApprovalHistory = require('../models/supabase/approvalHistory');
 const { requireInvestmentManagerAccess, getUserContext, ROLES, canEditStructure } = require('../middleware/rbac');
 const { generateDistributionNoticePDF, generateIndividualDistributionNoticePDF } = require('../services/documentGenerator');
 const { sendEmail } = require('../utils/emailSender');
 const { sendDistributionNotice } = require('../utils/notificationHelper');
 const Notification = require('../models/supabase/notification');
+const {
+  getApprovalPolicy,
+  getEntityAmount,
+  buildApprovalProgress,
+  getApprovalProgress,
+  getCurrentStage,
+  getStageMetadata,
+  evaluateApprover,
+  recordStageApproval,
+  getStageApprovers
+} = require('../services/approvalPolicyService');
+const { calculateClawback } = require('../services/clawbackService');
+const { checkRecallableDistribution, creditDistribution } = require('../services/recallableLedgerService');
+const { validateInKind, summarizeInKind, buildTokenTransferPlan } = require('../services/inKindDistributionService');
+const { recordDistributionReinvestments } = require('../services/reinvestmentService');
+const {
+  executePayouts,
+  settleBatch,
+  recordAllocationPayout,
+  getPayoutStatus
+} = require('../services/distributionPayoutService');
 
 /**
  * Helper to get firm name for whitelabeling
@@ -26,6 +47,125 @@ async function getFirmNameForUser(userId) {
   }
 }
 
+/**
+ * Helper to notify the approvers of an approval stage (email + portal notification)
+ */
+async function notifyStageApprovers(distribution, stage, options = {}) {
+  const { userId, user } = options;
+  if (!stage) return;
+
+  try {
+    const approvers = await getStageApprovers(distribution.structureId, stage, {
+      excludeUserIds: [userId, ...(distribution.approvalProgress?.segregationOfDuties ? [distribution.createdBy] : [])]
+    });
+    const firmName = await getFirmNameForUser(userId);
+    const structure = await Structure.findById(distribution.structureId);
+
+    for (const approver of approvers) {
+      if (approver?.email) {
+        await sendEmail(userId, {
+          to: [approver.email],
+          subject: `${stage.name} Required: Distribution #${distribution.distributionNumber} - ${structure?.name || 'Fund'}`,
+          bodyText: `Dear ${approver.name},\n\nA distribution is awaiting your approval.\n\nDistribution #${distribution.distributionNumber}\nApproval Stage: ${stage.name}\nFund: ${structure?.name || 'N/A'}\nAmount: $${distribution.totalAmount?.toLocaleString() || 'N/A'}\nRequested by: ${user?.name || 'Unknown'}\n\nPlease log in to review and approve.\n\nBest regards,\n${firmName}`,
+          bodyHtml: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px;">
+              <div style="background-color: #d1ecf1; padding: 15px; border-left: 4px solid #17a2b8; margin-bottom: 20px;">
+                <h2 style="margin: 0; color: #0c5460;">${stage.name} Required</h2>
+              </div>
+              <p>Dear ${approver.name},</p>
+              <p>A distribution is awaiting your review and approval.</p>
+              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 20px 0;">
+                <p style="margin: 5px 0;"><strong>Distribution:</strong> #${distribution.distributionNumber}</p>
+                <p style="margin: 5px 0;"><strong>Approval Stage:</strong> ${stage.name}</p>
+                <p style="margin: 5px 0;"><strong>Fund:</strong> ${structure?.name || 'N/A'}</p>
+                <p style="margin: 5px 0;"><strong>Amount:</strong> $${distribution.totalAmount?.toLocaleString() || 'N/A'}</p>
+                <p style="margin: 5px 0;"><strong>Requested by:</strong> ${user?.name || 'Unknown'}</p>
+              </div>
+              <p>Please log in to the portal to review and approve this distribution.</p>
+              <p>Best regards,<br/>${firmName}</p>
+            </div>
+          `
+        });
+
+        // Create portal notification for approver
+        await Notification.create({
+          userId: approver.id,
+          notificationType: 'approval_required',
+          channel: 'portal',
+          title: `Approval Required: Distribution #${distribution.distributionNumber}`,
+          message: `Distribution #${distribution.distributionNumber} for ${structure?.name || 'Fund'} ($${distribution.totalAmount?.toLocaleString() || 'N/A'}) is awaiting your approval (${stage.name}), requested by ${user?.name || 'Unknown'}.`,
+          priority: 'high',
+          relatedEntityType: 'Distribution',
+          relatedEntityId: distribution.id,
+          actionUrl: `/investment-manager/operations/distributions/${distribution.id}`,
+          senderId: userId,
+          senderName: user?.name || 'Unknown',
+          metadata: {
+            structureId: distribution.structureId,
+            structureName: structure?.name,
+            distributionNumber: distribution.distributionNumber,
+            totalAmount: distribution.totalAmount,
+            stageKey: stage.key
+          }
+        });
+      }
+    }
+  } catch (emailError) {
+    console.warn('Failed to send approval notification:', emailError.message);
+  }
+}
+
+/**
+ * Helper to credit the LPs' recallable balances once a recallable distribution is fully approved
+ */
+async function creditRecallableLedger(distribution, userId) {
+  if (!distribution.recallable) return [];
+
+  const structure = await Structure.findById(distribution.structureId);
+  const withAllocations = await Distribution.findWithAllocations(distribution.id);
+  return creditDistribution(structure, withAllocations, { userId });
+}
+
+/**
+ * Helper to record the LPs' reinvestments once a distribution is fully approved
+ */
+async function recordReinvestments(distribution, userId) {
+  const structure = await Structure.findById(distribution.structureId);
+  const withAllocations = await Distribution.findWithAllocations(distribution.id);
+  return recordDistributionReinvestments(structure, withAllocations, { userId });
+}
+
+/**
+ * Helper to notify investors once a distribution is paid
+ */
+function notifyDistributionPaid(distribution, structure, userId) {
+  sendDistributionNotice(distribution, structure, userId)
+    .then(notifications => {
+      console.log(`[Distribution] Sent ${notifications.length} notifications for distribution:`, distribution.id);
+    })
+    .catch(error => {
+      console.error('[Distribution] Error sending notifications:', error.message);
+    });
+}
+
+/**
+ * Helper to read clawback options from a query string or request body
+ */
+function getClawbackOptions(source) {
+  const { asOfDate, windDown, hypotheticalValue } = source;
+  validate(!asOfDate || !isNaN(new Date(asOfDate).getTime()), 'asOfDate must be a valid date');
+  validate(
+    hypotheticalValue === undefined || hypotheticalValue === '' || (!isNaN(Number(hypotheticalValue)) && Number(hypotheticalValue) >= 0),
+    'hypotheticalValue must be a non-negative number'
+  );
+
+  return {
+    asOfDate: asOfDate || undefined,
+    windDown: windDown === true || windDown === 'true',
+    hypotheticalValue: Number(hypotheticalValue) || 0
+  };
+}
+
 const router = express.Router();
 
 /**
@@ -71,7 +211,9 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     description,
     // Spec V2 fields
     sourceClassifications,
-    recallable
+    recallable,
+    // In-kind part: { assetType, investmentId, smartContractId, unitValue, totalUnits, unitDecimals, rounding }
+    inKind
   } = req.body;
 
   // Validate required fields
@@ -89,6 +231,20 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
   const existingDists = await Distribution.find({ structureId, distributionNumber: trimmedNumber });
   validate(!existingDists || existingDists.length === 0, `Distribution number "${trimmedNumber}" already exists for this structure`);
 
+  // Recallable distributions must fit within the structure's recallable limit
+  if (recallable === true || recallable === 'true') {
+    const recallableCheck = await checkRecallableDistribution(structure, Number(lpTotalAmount) || Number(totalAmount));
+    validate(recallableCheck.valid, recallableCheck.errors.join('; '));
+  }
+
+  // In-kind distributions deliver part of the total as securities or tokens of this structure
+  let inKindFields = {};
+  if (inKind) {
+    const inKindCheck = await validateInKind(inKind, { structureId, totalAmount: Number(totalAmount) });
+    validate(inKindCheck.valid, inKindCheck.errors.join('; '));
+    inKindFields = inKindCheck.fields;
+  }
+
   // Create distribution
   const distributionData = {
     structureId,
@@ -133,6 +289,7 @@ router.post('/', authenticate, requireInvestmentManagerAccess, catchAsync(async
     // Spec V2: Source classifications and recallable flag
     sourceClassifications: sourceClassifications || null,
     recallable: recallable === true || recallable === 'true',
+    ...inKindFields,
     createdBy: userId
   };
 
@@ -305,6 +462,216 @@ router.get('/:id/with-allocations', authenticate, requireInvestmentManagerAccess
   });
 }));
 
+/**
+ * @route   GET /api/distributions/:id/in-kind
+ * @desc    Get the in-kind units, cash in lieu and cash amount allocated to each LP
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/in-kind', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await Distribution.findById(id);
+  validate(existing, 'Distribution not found');
+
+  const distribution = await Distribution.findWithAllocations(id);
+  validate(distribution.inKindAssetType, 'Distribution has no in-kind part');
+
+  res.status(200).json({
+    success: true,
+    data: summarizeInKind(distribution)
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/:id/token-transfer-plan
+ * @desc    Get the batch token transfers delivering a token distribution's units to the LPs' wallets;
+ *          each batch is a request body for POST /api/blockchain/contract/batch-transfer-tokens
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   { batchSize?: number }
+ */
+router.get('/:id/token-transfer-plan', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await Distribution.findById(id);
+  validate(existing, 'Distribution not found');
+
+  const distribution = await Distribution.findWithAllocations(id);
+  validate(distribution.inKindAssetType === 'token', 'Distribution does not distribute tokens');
+  validate(
+    (distribution.distribution_allocations || []).length > 0,
+    'Distribution has no allocations; create them before planning token transfers'
+  );
+
+  const batchSize = req.query.batchSize !== undefined ? parseInt(req.query.batchSize, 10) : undefined;
+  validate(batchSize === undefined || batchSize > 0, 'Batch size must be a positive number');
+
+  const plan = await buildTokenTransferPlan(distribution, { batchSize });
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+}));
+
+/**
+ * @route   POST /api/distributions/:id/payouts
+ * @desc    Pay out an approved distribution: Stripe Connect transfers to onboarded LPs, bank batch
+ *          files (NACHA, SEPA, SPEI) for the rest; the distribution is marked paid once all settle
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { retryFailed?: boolean, effectiveDate?: 'YYYY-MM-DD' }
+ */
+router.post('/:id/payouts', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { id } = req.params;
+  const { retryFailed = false, effectiveDate } = req.body || {};
+
+  validate(!effectiveDate || !isNaN(new Date(effectiveDate).getTime()), 'Effective date must be a valid date');
+
+  const existing = await Distribution.findById(id);
+  validate(existing, 'Distribution not found');
+  validate(existing.approvalStatus === 'approved', 'Distribution must be approved before it is paid out');
+  validate(existing.status !== 'Paid', 'Distribution has already been paid');
+
+  const distribution = await Distribution.findWithAllocations(id);
+  validate(
+    (distribution.distribution_allocations || []).length > 0,
+    'Distribution has no allocations; create them before paying out'
+  );
+
+  const structure = await Structure.findById(distribution.structureId);
+  validate(structure, 'Structure not found');
+
+  const result = await executePayouts(structure, distribution, { userId }, {
+    retryFailed: retryFailed === true || retryFailed === 'true',
+    effectiveDate
+  });
+
+  if (result.markedPaid) {
+    notifyDistributionPaid({ ...distribution, status: result.distributionStatus }, structure, userId);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: result.complete
+      ? 'Distribution paid out and marked as paid'
+      : `Payouts initiated: ${result.counts.settled} settled, ${result.counts.processing} processing, ${result.counts.failed} failed`,
+    data: result
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/:id/payouts
+ * @desc    Get the payout status of each allocation and the distribution's bank batches
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/payouts', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await Distribution.findById(id);
+  validate(existing, 'Distribution not found');
+
+  const distribution = await Distribution.findWithAllocations(id);
+  const batches = await DistributionPayoutBatch.findByDistributionId(id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...getPayoutStatus(distribution),
+      distributionStatus: distribution.status,
+      batches: batches.map(({ fileContent: _fileContent, ...batch }) => batch)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/:id/payouts/batches/:batchId/file
+ * @desc    Download a payout batch file for upload to the bank
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/payouts/batches/:batchId/file', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id, batchId } = req.params;
+
+  const batch = await DistributionPayoutBatch.findById(batchId);
+  validate(batch && batch.distributionId === id, 'Payout batch not found');
+
+  const contentTypes = { nacha: 'text/plain', sepa: 'application/xml', spei: 'text/csv' };
+  res.setHeader('Content-Type', contentTypes[batch.format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${batch.fileName}"`);
+  res.status(200).send(batch.fileContent);
+}));
+
+/**
+ * @route   PATCH /api/distributions/:id/payouts/batches/:batchId
+ * @desc    Record the bank's confirmation of a payout batch
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { status: 'settled'|'failed', failedAllocationIds?: string[], error?: string }
+ */
+router.patch('/:id/payouts/batches/:batchId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { id, batchId } = req.params;
+  const { status, failedAllocationIds = [], error } = req.body || {};
+
+  validate(['settled', 'failed'].includes(status), 'Status must be one of: settled, failed');
+  validate(Array.isArray(failedAllocationIds), 'failedAllocationIds must be an array');
+
+  const batch = await DistributionPayoutBatch.findById(batchId);
+  validate(batch && batch.distributionId === id, 'Payout batch not found');
+  validate(batch.status === 'generated', `Payout batch is already ${batch.status}`);
+
+  const result = await settleBatch(batch, { status, failedAllocationIds, error: error?.trim() });
+
+  if (result.markedPaid) {
+    const distribution = await Distribution.findById(id);
+    const structure = await Structure.findById(distribution.structureId);
+    notifyDistributionPaid(distribution, structure, userId);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Payout batch marked as ${status}`,
+    data: result
+  });
+}));
+
+/**
+ * @route   PATCH /api/distributions/:id/payouts/allocations/:allocationId
+ * @desc    Record the outcome of one allocation's payout (e.g. paid by wire outside the batches)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { status: 'settled'|'failed', reference?: string, error?: string }
+ */
+router.patch('/:id/payouts/allocations/:allocationId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { id, allocationId } = req.params;
+  const { status, reference, error } = req.body || {};
+
+  validate(['settled', 'failed'].includes(status), 'Status must be one of: settled, failed');
+
+  const existing = await Distribution.findById(id);
+  validate(existing, 'Distribution not found');
+  validate(existing.approvalStatus === 'approved', 'Distribution must be approved before it is paid out');
+
+  const distribution = await Distribution.findWithAllocations(id);
+  const allocation = (distribution.distribution_allocations || []).find(a => a.id === allocationId);
+  validate(allocation, 'Allocation not found');
+
+  const result = await recordAllocationPayout(allocation, {
+    status,
+    reference: reference?.trim(),
+    error: error?.trim()
+  });
+
+  if (result.markedPaid) {
+    const structure = await Structure.findById(distribution.structureId);
+    notifyDistributionPaid({ ...distribution, status: result.distributionStatus }, structure, userId);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Allocation payout marked as ${status}`,
+    data: result
+  });
+}));
+
 /**
  * @route   GET /api/distributions/structure/:structureId/summary
  * @desc    Get distribution summary for a structure
@@ -349,6 +716,81 @@ router.get('/structure/:structureId/summary', authenticate, requireInvestmentMan
   });
 }));
 
+/**
+ * @route   GET /api/distributions/structure/:structureId/clawback
+ * @desc    GP clawback at a date: whole-fund waterfall vs carry actually paid to the GP
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   { asOfDate?, windDown?, hypotheticalValue? } - hypotheticalValue liquidates the remaining portfolio before wind-down
+ */
+router.get('/structure/:structureId/clawback', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+  const options = getClawbackOptions(req.query);
+
+  const clawback = await calculateClawback(structureId, options);
+  validate(clawback, 'Structure not found');
+
+  res.status(200).json({
+    success: true,
+    message: 'Clawback calculated successfully',
+    data: clawback
+  });
+}));
+
+/**
+ * @route   POST /api/distributions/structure/:structureId/clawback
+ * @desc    Record a GP clawback assessment (kept for LP audit requests)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { asOfDate?, windDown?, hypotheticalValue?, notes? }
+ */
+router.post('/structure/:structureId/clawback', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { structureId } = req.params;
+  const options = getClawbackOptions(req.body || {});
+
+  const clawback = await calculateClawback(structureId, options);
+  validate(clawback, 'Structure not found');
+
+  const assessment = await ClawbackAssessment.create({
+    structureId,
+    asOfDate: clawback.asOfDate,
+    windDown: clawback.windDown,
+    status: clawback.status,
+    carryPaid: clawback.carryPaid,
+    carryEntitled: clawback.carryEntitled,
+    excessCarry: clawback.excessCarry,
+    taxOffset: clawback.taxOffset,
+    clawbackLiability: clawback.clawbackLiability,
+    details: clawback,
+    notes: req.body?.notes?.trim() || null,
+    createdBy: userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Clawback assessment recorded successfully',
+    data: assessment
+  });
+}));
+
+/**
+ * @route   GET /api/distributions/structure/:structureId/clawback/assessments
+ * @desc    Recorded GP clawback assessments of a structure, most recent first
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/structure/:structureId/clawback/assessments', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const assessments = await ClawbackAssessment.findByStructureId(structureId);
+
+  res.status(200).json({
+    success: true,
+    data: assessments
+  });
+}));
+
 /**
  * @route   PUT /api/distributions/:id
  * @desc    Update a distribution
@@ -379,6 +821,20 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, catchAsync(asyn
 
   validate(Object.keys(updateData).length > 0, 'No valid fields provided for update');
 
+  // Recallable credits are posted on approval, so the flag is fixed once approved
+  if (updateData.recallable !== undefined) {
+    updateData.recallable = updateData.recallable === true || updateData.recallable === 'true';
+    if (updateData.recallable !== Boolean(distribution.recallable)) {
+      validate(distribution.approvalStatus !== 'approved', 'The recallable flag cannot be changed on an approved distribution');
+    }
+    if (updateData.recallable && !distribution.recallable) {
+      const structure = await Structure.findById(distribution.structureId);
+      const amount = Number(updateData.lpTotalAmount ?? distribution.lpTotalAmount) || Number(updateData.totalAmount ?? distribution.totalAmount);
+      const recallableCheck = await checkRecallableDistribution(structure, amount);
+      validate(recallableCheck.valid, recallableCheck.errors.join('; '));
+    }
+  }
+
   const updatedDistribution = await Distribution.findByIdAndUpdate(id, updateData);
 
   res.status(200).json({
@@ -414,6 +870,29 @@ router.post('/:id/apply-waterfall', authenticate, requireInvestmentManagerAccess
   });
 }));
 
+/**
+ * @route   GET /api/distributions/:id/waterfall
+ * @desc    Step-by-step waterfall of a distribution (stored trace once applied, otherwise a preview)
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/waterfall', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const distribution = await Distribution.findById(id);
+  validate(distribution, 'Distribution not found');
+
+  const applied = Boolean(distribution.waterfallApplied && distribution.waterfallTrace);
+  const waterfall = applied
+    ? distribution.waterfallTrace
+    : await Distribution.calculateWaterfall(distribution);
+
+  res.status(200).json({
+    success: true,
+    message: applied ? 'Applied waterfall retrieved successfully' : 'Waterfall preview calculated successfully',
+    data: { applied, ...waterfall }
+  });
+}));
+
 /**
  * @route   PATCH /api/distributions/:id/mark-paid
  * @desc    Mark distribution as paid and notify investors
@@ -426,6 +905,15 @@ router.patch('/:id/mark-paid', authenticate, requireInvestmentManagerAccess, cat
   const distribution = await Distribution.findById(id);
   validate(distribution, 'Distribution not found');
 
+  // The distribution is paid once every allocation's payout has settled, whether through
+  // the payout run or recorded as paid off-platform (PATCH /:id/payouts/allocations/:allocationId)
+  const withAllocations = await Distribution.findWithAllocations(id);
+  const payouts = getPayoutStatus(withAllocations || {});
+  validate(payouts.allocations.length > 0, 'Distribution has no allocations to pay');
+  validate(
+    payouts.complete,
+    `Distribution payouts have not all settled (${payouts.counts.processing} processing, ${payouts.counts.failed} failed, ${payouts.counts.pending} pending). Record payouts made off-platform as settled first.`
+  );
 
   const updatedDistribution = await Distribution.markAsPaid(id);
 
@@ -433,13 +921,7 @@ router.patch('/:id/mark-paid', authenticate, requireInvestmentManagerAccess, cat
   const structure = await Structure.findById(distribution.structureId);
 
   // Send notifications to all investors in the structure
-  sendDistributionNotice(updatedDistribution, structure, userId)
-    .then(notifications => {
-      console.log(`[Distribution] Sent ${notifications.length} notifications for distribution:`, id);
-    })
-    .catch(error => {
-      console.error('[Distribution] Error sending notifications:', error.message);
-    });
+  notifyDistributionPaid(updatedDistribution, structure, userId);
 
   res.status(200).json({
     success: true,
@@ -601,9 +1083,17 @@ router.patch('/:id/submit-for-review', authenticate, requireInvestmentManagerAcc
   // Get user details for history
   const user = await User.findById(userId);
 
-  // Update approval status - go directly to pending_cfo (simplified workflow)
+  // Snapshot the structure's approval chain for this distribution's amount
+  const approvalPolicy = await getApprovalPolicy(distribution.structureId, 'distribution');
+  const approvalProgress = buildApprovalProgress(approvalPolicy, getEntityAmount('distribution', distribution), {
+    submittedBy: userId
+  });
+  const firstStage = getCurrentStage(approvalProgress);
+
   const updatedDistribution = await Distribution.findByIdAndUpdate(id, {
-    approvalStatus: 'pending_cfo'
+    approvalStatus: 'pending_cfo',
+    approvalProgress,
+    approvalVersion: (distribution.approvalVersion || 0) + 1
   });
 
   // Log approval action
@@ -616,65 +1106,15 @@ router.patch('/:id/submit-for-review', authenticate, requireInvestmentManagerAcc
     userId,
     userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
     notes,
-    metadata: { distributionNumber: distribution.distributionNumber }
+    metadata: {
+      distributionNumber: distribution.distributionNumber,
+      policyId: approvalPolicy.id,
+      stages: approvalProgress.stages.map(stage => stage.name),
+      ...getStageMetadata(approvalProgress)
+    }
   });
 
-  // Send email notification to Admin/approvers (Root users)
-  try {
-    const rootUsers = await User.findByRole(0);
-    const firmName = await getFirmNameForUser(userId);
-    const structure = await Structure.findById(distribution.structureId);
-
-    for (const approver of rootUsers) {
-      if (approver?.email && approver.id !== userId) {
-        await sendEmail(userId, {
-          to: [approver.email],
-          subject: `Admin Approval Required: Distribution #${distribution.distributionNumber} - ${structure?.name || 'Fund'}`,
-          bodyText: `Dear ${approver.name},\n\nA distribution has been submitted for your approval.\n\nDistribution #${distribution.distributionNumber}\nFund: ${structure?.name || 'N/A'}\nAmount: $${distribution.totalAmount?.toLocaleString() || 'N/A'}\nSubmitted by: ${user?.name || 'Unknown'}\n\nPlease log in to review and approve.\n\nBest regards,\n${firmName}`,
-          bodyHtml: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px;">
-              <div style="background-color: #d1ecf1; padding: 15px; border-left: 4px solid #17a2b8; margin-bottom: 20px;">
-                <h2 style="margin: 0; color: #0c5460;">Admin Approval Required</h2>
-              </div>
-              <p>Dear ${approver.name},</p>
-              <p>A distribution has been submitted for your review and approval.</p>
-              <div style="background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 20px 0;">
-                <p style="margin: 5px 0;"><strong>Distribution:</strong> #${distribution.distributionNumber}</p>
-                <p style="margin: 5px 0;"><strong>Fund:</strong> ${structure?.name || 'N/A'}</p>
-                <p style="margin: 5px 0;"><strong>Amount:</strong> $${distribution.totalAmount?.toLocaleString() || 'N/A'}</p>
-                <p style="margin: 5px 0;"><strong>Submitted by:</strong> ${user?.name || 'Unknown'}</p>
-              </div>
-              <p>Please log in to the portal to review and approve this distribution.</p>
-              <p>Best regards,<br/>${firmName}</p>
-            </div>
-          `
-        });
-
-        // Create portal notification for approver
-        await Notification.create({
-          userId: approver.id,
-          notificationType: 'approval_required',
-          channel: 'portal',
-          title: `Approval Required: Distribution #${distribution.distributionNumber}`,
-          message: `Distribution #${distribution.distributionNumber} for ${structure?.name || 'Fund'} ($${distribution.totalAmount?.toLocaleString() || 'N/A'}) has been submitted for your approval by ${user?.name || 'Unknown'}.`,
-          priority: 'high',
-          relatedEntityType: 'Distribution',
-          relatedEntityId: id,
-          actionUrl: `/investment-manager/operations/distributions/${id}`,
-          senderId: userId,
-          senderName: user?.name || 'Unknown',
-          metadata: {
-            structureId: distribution.structureId,
-            structureName: structure?.name,
-            distributionNumber: distribution.distributionNumber,
-            totalAmount: distribution.totalAmount
-          }
-        });
-      }
-    }
-  } catch (emailError) {
-    console.warn('Failed to send approval notification:', emailError.message);
-  }
+  await notifyStageApprovers(updatedDistribution, firstStage, { userId, user });
 
   res.status(200).json({
     success: true,
@@ -704,17 +1144,35 @@ router.patch('/:id/approve', authenticate, requireInvestmentManagerAccess, catch
     'Distribution must be pending Admin approval'
   );
 
-  // Root (Admin) or Admin can approve
-  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can approve distributions');
-
   // Get user details for history
   const user = await User.findById(userId);
 
-  // Update approval status and distribution status
-  const updatedDistribution = await Distribution.findByIdAndUpdate(id, {
-    approvalStatus: 'approved',
-    status: 'Pending'
+  // Record the approval against the current stage of the approval chain
+  const approval = await recordStageApproval('distribution', distribution, {
+    userId,
+    userRole,
+    userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown'
+  }, {
+    notes,
+    metadata: { distributionNumber: distribution.distributionNumber },
+    completeFields: { status: 'Pending' }
   });
+  validate(approval.allowed, approval.reason);
+
+  const updatedDistribution = approval.entity;
+
+  if (!approval.complete) {
+    if (approval.stageComplete) {
+      await notifyStageApprovers(updatedDistribution, approval.nextStage, { userId, user });
+    }
+    return res.status(200).json({
+      success: true,
+      message: approval.stageComplete
+        ? `${approval.stage.name} complete; awaiting ${approval.nextStage.name}`
+        : `Approval recorded for ${approval.stage.name} (${approval.stage.approvals.length} of ${approval.stage.quorum})`,
+      data: updatedDistribution
+    });
+  }
 
   // Update all allocation statuses to Approved
   {
@@ -726,18 +1184,11 @@ router.patch('/:id/approve', authenticate, requireInvestmentManagerAccess, catch
       .eq('distribution_id', id);
   }
 
-  // Log approval action
-  await ApprovalHistory.logAction({
-    entityType: 'distribution',
-    entityId: id,
-    action: 'cfo_approved',
-    fromStatus: 'pending_cfo',
-    toStatus: 'approved',
-    userId,
-    userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
-    notes,
-    metadata: { distributionNumber: distribution.distributionNumber }
-  });
+  // Credit the LPs' recallable balances
+  await creditRecallableLedger(distribution, userId);
+
+  // Net or subscribe the amounts LPs elected to reinvest
+  await recordReinvestments(distribution, userId);
 
   // Send email notification to submitter
   try {
@@ -814,9 +1265,6 @@ router.patch('/:id/cfo-approve', authenticate, requireInvestmentManagerAccess, c
   const { id } = req.params;
   const { notes } = req.body;
 
-  // Root (Admin) or Admin can do final approval
-  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can provide final approval');
-
   const distribution = await Distribution.findById(id);
   validate(distribution, 'Distribution not found');
   validate(
@@ -827,11 +1275,32 @@ router.patch('/:id/cfo-approve', authenticate, requireInvestmentManagerAccess, c
   // Get user details for history
   const user = await User.findById(userId);
 
-  // Update approval status and distribution status
-  const updatedDistribution = await Distribution.findByIdAndUpdate(id, {
-    approvalStatus: 'approved',
-    status: 'Pending'
+  // Record the approval against the current stage of the approval chain
+  const approval = await recordStageApproval('distribution', distribution, {
+    userId,
+    userRole,
+    userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown'
+  }, {
+    notes,
+    metadata: { distributionNumber: distribution.distributionNumber },
+    completeFields: { status: 'Pending' }
   });
+  validate(approval.allowed, approval.reason);
+
+  const updatedDistribution = approval.entity;
+
+  if (!approval.complete) {
+    if (approval.stageComplete) {
+      await notifyStageApprovers(updatedDistribution, approval.nextStage, { userId, user });
+    }
+    return res.status(200).json({
+      success: true,
+      message: approval.stageComplete
+        ? `${approval.stage.name} complete; awaiting ${approval.nextStage.name}`
+        : `Approval recorded for ${approval.stage.name} (${approval.stage.approvals.length} of ${approval.stage.quorum})`,
+      data: updatedDistribution
+    });
+  }
 
   // Update all allocation statuses to Approved
   const { getSupabase } = require('../config/database');
@@ -841,18 +1310,11 @@ router.patch('/:id/cfo-approve', authenticate, requireInvestmentManagerAccess, c
     .update({ status: 'Approved' })
     .eq('distribution_id', id);
 
-  // Log approval action
-  await ApprovalHistory.logAction({
-    entityType: 'distribution',
-    entityId: id,
-    action: 'cfo_approved',
-    fromStatus: 'pending_cfo',
-    toStatus: 'approved',
-    userId,
-    userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
-    notes,
-    metadata: { distributionNumber: distribution.distributionNumber }
-  });
+  // Credit the LPs' recallable balances
+  await creditRecallableLedger(distribution, userId);
+
+  // Net or subscribe the amounts LPs elected to reinvest
+  await recordReinvestments(distribution, userId);
 
   // Send email notification to submitter
   try {
@@ -939,8 +1401,9 @@ router.patch('/:id/reject', authenticate, requireInvestmentManagerAccess, catchA
     'Distribution must be pending Admin approval to reject'
   );
 
-  // Root (Admin) or Admin can reject
-  validate(userRole === ROLES.ROOT || userRole === ROLES.ADMIN, 'Only Admin can reject distributions');
+  // Approvers of the current stage can reject
+  const review = await evaluateApprover('distribution', distribution, { userId, userRole }, { forApproval: false });
+  validate(review.allowed, review.reason);
 
   // Get user details for history
   const user = await User.findById(userId);
@@ -955,7 +1418,7 @@ router.patch('/:id/reject', authenticate, requireInvestmentManagerAccess, catchA
     userId,
     userName: user ? (`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.fullName || user.email) : 'Unknown',
     notes: reason,
-    metadata: { distributionNumber: distribution.distributionNumber }
+    metadata: { distributionNumber: distribution.distributionNumber, ...getStageMetadata(review.progress) }
   });
 
   // Send email notification to submitter before deleting
@@ -1034,6 +1497,34 @@ router.patch('/:id/reject', authenticate, requireInvestmentManagerAccess, catchA
   });
 }));
 
+/**
+ * @route   GET /api/distributions/:id/approval-chain
+ * @desc    Get the approval chain for a distribution: stages, approvals and the stage awaiting sign-off.
+ *          Draft distributions return the chain the structure's policy would apply if submitted now.
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/approval-chain', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const distribution = await Distribution.findById(id);
+  validate(distribution, 'Distribution not found');
+
+  const policy = await getApprovalPolicy(distribution.structureId, 'distribution');
+  const progress = distribution.approvalStatus === 'draft'
+    ? buildApprovalProgress(policy, getEntityAmount('distribution', distribution))
+    : getApprovalProgress('distribution', distribution);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      approvalStatus: distribution.approvalStatus,
+      policy,
+      progress,
+      currentStage: distribution.approvalStatus === 'pending_cfo' ? getCurrentStage(progress) : null
+    }
+  });
+}));
+
 
 /**
  * @route   GET /api/distributions/:id/generate-notice
@@ -0,0 +1,110 @@
+/**
+ * Management Fee Accrual API Routes
+ * Endpoints for the per-LP management fee accrual ledger of a structure: accruing periods,
+ * listing accruals with billed / unbilled totals and reversing unbilled accruals.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+const { ManagementFeeAccrual, Structure } = require('../models/supabase');
+const { FEE_BASES } = require('../utils/feeAccrual');
+const { accrueFees, summarizeAccruals } = require('../services/feeAccrualService');
+
+const router = express.Router();
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/**
+ * @route   GET /api/structures/:structureId/fee-accruals
+ * @desc    Get a structure's management fee accruals with totals; LPs only see their own
+ * @access  Private (requires authentication)
+ * @query   { userId?: string, status?: 'accrued'|'billed', startDate?: string, endDate?: string }
+ */
+router.get('/:structureId/fee-accruals', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { status, startDate, endDate } = req.query;
+
+  validate(!startDate || isValidDate(startDate), 'startDate must be a date (YYYY-MM-DD)');
+  validate(!endDate || isValidDate(endDate), 'endDate must be a date (YYYY-MM-DD)');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const isManager = userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT;
+  const accruals = await ManagementFeeAccrual.findByStructureId(structureId, {
+    userId: isManager ? req.query.userId : userId,
+    status,
+    startDate,
+    endDate
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      summary: summarizeAccruals(accruals),
+      accruals
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/fee-accruals
+ * @desc    Accrue the LPs' management fees for a period (LPs already accrued for part of it are skipped)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD', dryRun?: boolean }
+ */
+router.post('/:structureId/fee-accruals', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { structureId } = req.params;
+  const { startDate, endDate, dryRun } = req.body || {};
+
+  validate(isValidDate(startDate), 'startDate is required (YYYY-MM-DD)');
+  validate(isValidDate(endDate), 'endDate is required (YYYY-MM-DD)');
+  validate(endDate >= startDate, 'endDate must not be before startDate');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+  validate(
+    FEE_BASES.includes(structure.managementFeeBase || 'committed'),
+    `Structure management fee base must be one of: ${FEE_BASES.join(', ')}`
+  );
+
+  const isDryRun = dryRun === true || dryRun === 'true';
+  const result = await accrueFees(structure, { startDate, endDate }, { userId }, { dryRun: isDryRun });
+
+  res.status(isDryRun ? 200 : 201).json({
+    success: true,
+    message: isDryRun
+      ? 'Management fee accruals calculated'
+      : `Accrued management fees for ${result.accruals.length} investor(s)`,
+    data: {
+      summary: summarizeAccruals(result.accruals),
+      accruals: result.accruals,
+      skipped: result.skipped
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/structures/:structureId/fee-accruals/:accrualId
+ * @desc    Reverse an accrual that has not been billed
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:structureId/fee-accruals/:accrualId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { structureId, accrualId } = req.params;
+
+  const accrual = await ManagementFeeAccrual.findById(accrualId);
+  validate(accrual && accrual.structureId === structureId, 'Management fee accrual not found');
+  validate(accrual.status !== 'billed', 'Accrual has been billed by a capital call; cancel the call first');
+
+  await ManagementFeeAccrual.findByIdAndDelete(accrualId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Management fee accrual reversed successfully'
+  });
+}));
+
+module.exports = router;
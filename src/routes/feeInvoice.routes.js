@@ -0,0 +1,146 @@
+/**
+ * Fee Invoice API Routes
+ * Endpoints for the management fee invoices of a structure: issuing invoices for a capital
+ * call's fee billings, credit notes correcting them and their PDFs.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+const { FeeInvoice, Structure, CapitalCall } = require('../models/supabase');
+const { INVOICE_TYPES, validateCreditAmount } = require('../utils/feeInvoice');
+const { issueFeeInvoices, issueCreditNote, renderFeeInvoicePDF } = require('../services/feeInvoiceService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/structures/:structureId/fee-invoices
+ * @desc    Get a structure's fee invoices and credit notes; LPs see their own only
+ * @access  Private (requires authentication)
+ * @query   { capitalCallId?: string, invoiceType?: 'invoice'|'credit_note', userId?: string }
+ */
+router.get('/:structureId/fee-invoices', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { capitalCallId, invoiceType } = req.query;
+
+  validate(!invoiceType || INVOICE_TYPES.includes(invoiceType), `invoiceType must be one of: ${INVOICE_TYPES.join(', ')}`);
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const isManager = userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT;
+  const invoices = await FeeInvoice.findByStructureId(structureId, {
+    userId: isManager ? req.query.userId : userId,
+    capitalCallId,
+    invoiceType
+  });
+
+  res.status(200).json({
+    success: true,
+    count: invoices.length,
+    data: invoices
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/fee-invoices
+ * @desc    Issue invoices for the management fees billed by a capital call (one per LP with
+ *          a net fee that has no open invoice yet)
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    { capitalCallId: string }
+ */
+router.post('/:structureId/fee-invoices', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { structureId } = req.params;
+  const { capitalCallId } = req.body || {};
+
+  validate(capitalCallId, 'capitalCallId is required');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const capitalCall = await CapitalCall.findWithAllocations(capitalCallId);
+  validate(capitalCall && capitalCall.structureId === structureId, 'Capital call not found in this structure');
+  validate(
+    !['Draft', 'Cancelled'].includes(capitalCall.status),
+    'Only sent capital calls can be invoiced (draft calls can still change, cancelled calls bill no fees)'
+  );
+
+  const result = await issueFeeInvoices(capitalCall, structure, { userId });
+
+  res.status(201).json({
+    success: true,
+    message: result.invoices.length > 0
+      ? `${result.invoices.length} invoice(s) issued${result.warnings.length > 0 ? ` with warnings: ${result.warnings.join('; ')}` : ''}`
+      : 'No fee billings left to invoice for this capital call',
+    data: result
+  });
+}));
+
+/**
+ * @route   GET /api/structures/:structureId/fee-invoices/:invoiceId/pdf
+ * @desc    Download the PDF of an invoice or credit note
+ * @access  Private (requires authentication; LPs can only download their own)
+ */
+router.get('/:structureId/fee-invoices/:invoiceId/pdf', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId, invoiceId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const invoice = await FeeInvoice.findById(invoiceId);
+  validate(invoice && invoice.structureId === structureId, 'Invoice not found');
+
+  const isManager = userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT;
+  validate(isManager || invoice.userId === userId, 'Unauthorized access to invoice');
+
+  const pdfBuffer = await renderFeeInvoicePDF(invoice, structure);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+  res.setHeader('Content-Length', pdfBuffer.length);
+  res.send(pdfBuffer);
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/fee-invoices/:invoiceId/credit-notes
+ * @desc    Issue a credit note correcting all or part of an invoice
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    {
+ *   reason: string,
+ *   amount?: number - credit note total incl. VAT (defaults to what is left to credit)
+ * }
+ */
+router.post('/:structureId/fee-invoices/:invoiceId/credit-notes', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { structureId, invoiceId } = req.params;
+  const { reason, amount } = req.body || {};
+
+  validate(reason && reason.trim(), 'A reason for the credit note is required');
+  validate(amount === undefined || Number(amount) > 0, 'amount must be greater than 0');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const invoice = await FeeInvoice.findById(invoiceId);
+  validate(invoice && invoice.structureId === structureId, 'Invoice not found');
+
+  const creditAmount = amount === undefined ? invoice.total - invoice.creditedAmount : Number(amount);
+  const amountError = validateCreditAmount(invoice, creditAmount);
+  validate(!amountError, amountError);
+
+  const result = await issueCreditNote(invoice, structure, {
+    amount: amount === undefined ? null : Number(amount),
+    reason: reason.trim()
+  }, { userId });
+  validate(result, `Invoice ${invoice.invoiceNumber} was credited by another request; reload it and try again`);
+
+  res.status(201).json({
+    success: true,
+    message: `Credit note ${result.creditNote.invoiceNumber} issued against invoice ${invoice.invoiceNumber}`,
+    data: result
+  });
+}));
+
+module.exports = router;
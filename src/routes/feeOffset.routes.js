@@ -0,0 +1,147 @@
+/**
+ * GP Fee Income & Fee Offset API Routes
+ * Endpoints for the register of transaction, monitoring, director and break-up fees received
+ * by the GP, and for the LPs' management fee offset balances they produce.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+const { GpFeeIncome, Investment, Structure } = require('../models/supabase');
+const {
+  FEE_INCOME_TYPES,
+  getOffsetRate,
+  recordFeeIncome,
+  canDeleteFeeIncome,
+  getFeeOffsetSummary
+} = require('../services/feeOffsetService');
+
+const router = express.Router();
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/**
+ * @route   GET /api/structures/:structureId/fee-income
+ * @desc    Get the GP fee income register of a structure
+ * @access  Private (requires authentication, Root/Admin only)
+ * @query   { investmentId?: string, feeType?: string, startDate?: string, endDate?: string }
+ */
+router.get('/:structureId/fee-income', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+  const { investmentId, feeType, startDate, endDate } = req.query;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const income = await GpFeeIncome.findByStructureId(structureId, { investmentId, feeType, startDate, endDate });
+
+  res.status(200).json({
+    success: true,
+    count: income.length,
+    data: income
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/fee-income
+ * @desc    Record a fee received by the GP and credit the LPs' management fee offset
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    {
+ *   feeType: 'transaction'|'monitoring'|'director'|'break_up'|'other',
+ *   amount: number,
+ *   receivedDate?: 'YYYY-MM-DD',
+ *   investmentId?: string,
+ *   description?: string
+ * }
+ */
+router.post('/:structureId/fee-income', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { structureId } = req.params;
+  const { feeType, amount, receivedDate, investmentId, description } = req.body || {};
+
+  validate(FEE_INCOME_TYPES.includes(feeType), `feeType must be one of: ${FEE_INCOME_TYPES.join(', ')}`);
+  validate(Number(amount) > 0, 'amount must be greater than 0');
+  validate(!receivedDate || isValidDate(receivedDate), 'receivedDate must be a date (YYYY-MM-DD)');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  if (investmentId) {
+    const investment = await Investment.findById(investmentId);
+    validate(investment && investment.structureId === structureId, 'Investment not found in this structure');
+  }
+
+  const result = await recordFeeIncome(structure, {
+    feeType,
+    amount: Number(amount),
+    receivedDate,
+    investmentId,
+    description: description?.trim()
+  }, { userId });
+
+  res.status(201).json({
+    success: true,
+    message: result.credits.length > 0
+      ? `Fee income recorded; ${result.feeIncome.offsetRate}% credited to ${result.credits.length} investor(s)`
+      : 'Fee income recorded (the structure does not offset it against the management fee)',
+    data: result
+  });
+}));
+
+/**
+ * @route   DELETE /api/structures/:structureId/fee-income/:incomeId
+ * @desc    Delete GP fee income whose offset credits have not been applied
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:structureId/fee-income/:incomeId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { structureId, incomeId } = req.params;
+
+  const feeIncome = await GpFeeIncome.findById(incomeId);
+  validate(feeIncome && feeIncome.structureId === structureId, 'Fee income not found');
+
+  const check = await canDeleteFeeIncome(feeIncome);
+  validate(check.allowed, check.reason);
+
+  await GpFeeIncome.findByIdAndDelete(incomeId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Fee income deleted successfully'
+  });
+}));
+
+/**
+ * @route   GET /api/structures/:structureId/fee-offsets
+ * @desc    Get the LPs' management fee offset credits, applications and carried-forward
+ *          balances; LPs only see their own
+ * @access  Private (requires authentication)
+ * @query   { userId?: string, startDate?: string, endDate?: string }
+ */
+router.get('/:structureId/fee-offsets', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { startDate, endDate } = req.query;
+
+  validate(!startDate || isValidDate(startDate), 'startDate must be a date (YYYY-MM-DD)');
+  validate(!endDate || isValidDate(endDate), 'endDate must be a date (YYYY-MM-DD)');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const isManager = userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT;
+  const summary = await getFeeOffsetSummary(structureId, {
+    userId: isManager ? req.query.userId : userId,
+    startDate,
+    endDate
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      offsetRate: getOffsetRate(structure),
+      ...summary
+    }
+  });
+}));
+
+module.exports = router;
@@ -5,10 +5,14 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { Structure, User, FirmSettings } = require('../models/supabase');
+const { Structure, User, FirmSettings, ManagementFeeAccrual } = require('../models/supabase');
 const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
 const { generateFeeReportPDF, generateFeeReportExcel } = require('../services/feeReportGenerator');
 const { getSupabase } = require('../config/database');
+const { reconcileFees } = require('../services/feeAccrualService');
+const { getFeeOffsetSummary } = require('../services/feeOffsetService');
+const { buildIlpaTemplate } = require('../services/ilpaTemplateService');
+const { generateIlpaTemplateExcel } = require('../services/ilpaTemplateGenerator');
 
 async function getFirmNameForUser(userId) {
   try {
@@ -20,10 +24,91 @@ async function getFirmNameForUser(userId) {
   }
 }
 
+/**
+ * Aggregate tax withheld from distributions of a structure in a period
+ * (gross, withheld and net per investor and by income source)
+ */
+async function aggregateWithholdingData(structureId, startDate, endDate, investorId = null) {
+  const empty = { summary: { totalGross: 0, totalWithheld: 0, totalNet: 0, bySource: {} }, investors: [] };
+
+  let query = getSupabase()
+    .from('distributions')
+    .select('id, distribution_number, distribution_date, status')
+    .eq('structure_id', structureId);
+
+  if (startDate) query = query.gte('distribution_date', startDate);
+  if (endDate) query = query.lte('distribution_date', endDate);
+
+  const { data: distributions } = await query;
+  const counted = (distributions || []).filter(d => !['Draft', 'Cancelled'].includes(d.status));
+  if (counted.length === 0) return empty;
+
+  let allocationQuery = getSupabase()
+    .from('distribution_allocations')
+    .select('distribution_id, user_id, allocated_amount, withholding_tax_amount, net_to_investor, withholding_breakdown, user:users(id, name, email)')
+    .in('distribution_id', counted.map(d => d.id));
+
+  if (investorId) allocationQuery = allocationQuery.eq('user_id', investorId);
+
+  const { data: allocations } = await allocationQuery;
+  if (!allocations || allocations.length === 0) return empty;
+
+  const investorMap = {};
+  const bySource = {};
+
+  allocations.forEach(alloc => {
+    const gross = Number(alloc.allocated_amount) || 0;
+    const withheld = Number(alloc.withholding_tax_amount) || 0;
+    const net = withheld > 0 ? Number(alloc.net_to_investor) || gross - withheld : gross;
+
+    if (!investorMap[alloc.user_id]) {
+      investorMap[alloc.user_id] = {
+        investorId: alloc.user_id,
+        investorName: alloc.user?.name || 'Unknown',
+        gross: 0,
+        withheld: 0,
+        net: 0,
+        distributionCount: 0,
+      };
+    }
+
+    const inv = investorMap[alloc.user_id];
+    inv.gross += gross;
+    inv.withheld += withheld;
+    inv.net += net;
+    inv.distributionCount += 1;
+
+    (alloc.withholding_breakdown || []).forEach(s => {
+      bySource[s.source] = bySource[s.source] || { gross: 0, withheld: 0, net: 0 };
+      bySource[s.source].gross += s.gross || 0;
+      bySource[s.source].withheld += s.withheld || 0;
+      bySource[s.source].net += s.net || 0;
+    });
+  });
+
+  const investors = Object.values(investorMap);
+
+  return {
+    summary: {
+      totalGross: investors.reduce((sum, i) => sum + i.gross, 0),
+      totalWithheld: investors.reduce((sum, i) => sum + i.withheld, 0),
+      totalNet: investors.reduce((sum, i) => sum + i.net, 0),
+      bySource,
+    },
+    investors,
+  };
+}
+
 /**
  * Aggregate fee data from capital call allocations for a structure in a period
+ * (with the tax withheld from the period's distributions, the reconciliation to the
+ * management fee accrual ledger and the GP fee income offset against the fees)
  */
 async function aggregateFeeData(structureId, startDate, endDate) {
+  const withholding = await aggregateWithholdingData(structureId, startDate, endDate);
+  const accruals = await ManagementFeeAccrual.findByStructureId(structureId, { startDate, endDate });
+  const feeOffsets = await getFeeOffsetSummary(structureId, { startDate, endDate });
+
   // Get all capital calls for the structure in the period
   let query = getSupabase()
     .from('capital_calls')
@@ -37,9 +122,12 @@ async function aggregateFeeData(structureId, startDate, endDate) {
 
   if (!capitalCalls || capitalCalls.length === 0) {
     return {
-      summary: { totalFeesGross: 0, totalDiscounts: 0, totalFeesNet: 0, totalVAT: 0, totalFeesCollected: 0 },
+      summary: { totalFeesGross: 0, totalDiscounts: 0, totalFeesNet: 0, totalVAT: 0, totalFeesCollected: 0, totalFeeIncomeOffsets: 0 },
       investors: [],
-      isDualRate: false
+      isDualRate: false,
+      withholding,
+      accruals: reconcileFees(accruals, []),
+      feeOffsets
     };
   }
 
@@ -53,9 +141,12 @@ async function aggregateFeeData(structureId, startDate, endDate) {
 
   if (!allocations || allocations.length === 0) {
     return {
-      summary: { totalFeesGross: 0, totalDiscounts: 0, totalFeesNet: 0, totalVAT: 0, totalFeesCollected: 0 },
+      summary: { totalFeesGross: 0, totalDiscounts: 0, totalFeesNet: 0, totalVAT: 0, totalFeesCollected: 0, totalFeeIncomeOffsets: 0 },
       investors: [],
-      isDualRate: false
+      isDualRate: false,
+      withholding,
+      accruals: reconcileFees(accruals, []),
+      feeOffsets
     };
   }
 
@@ -77,6 +168,7 @@ async function aggregateFeeData(structureId, startDate, endDate) {
         nicFeeAmount: 0,
         unfundedFeeAmount: 0,
         feeOffsetAmount: 0,
+        feeIncomeOffsetAmount: 0,
         callCount: 0,
       };
     }
@@ -90,6 +182,7 @@ async function aggregateFeeData(structureId, startDate, endDate) {
     inv.nicFeeAmount += alloc.nic_fee_amount || 0;
     inv.unfundedFeeAmount += alloc.unfunded_fee_amount || 0;
     inv.feeOffsetAmount += alloc.fee_offset_amount || 0;
+    inv.feeIncomeOffsetAmount += alloc.fee_income_offset_amount || 0;
     inv.callCount += 1;
     // Take the max commitment (latest value)
     if ((alloc.commitment || 0) > inv.commitment) {
@@ -106,9 +199,17 @@ async function aggregateFeeData(structureId, startDate, endDate) {
     totalFeesNet: investors.reduce((sum, i) => sum + i.netFee, 0),
     totalVAT: investors.reduce((sum, i) => sum + i.vat, 0),
     totalFeesCollected: investors.reduce((sum, i) => sum + i.total, 0),
+    totalFeeIncomeOffsets: investors.reduce((sum, i) => sum + i.feeIncomeOffsetAmount, 0),
   };
 
-  return { summary, investors, isDualRate };
+  return {
+    summary,
+    investors,
+    isDualRate,
+    withholding,
+    accruals: reconcileFees(accruals, allocations),
+    feeOffsets
+  };
 }
 
 const router = express.Router();
@@ -215,10 +316,18 @@ router.get('/:structureId/investor/:investorId', authenticate, catchAsync(async
   const { data: capitalCalls } = await query;
   const callIds = (capitalCalls || []).map(cc => cc.id);
 
+  const withholding = await aggregateWithholdingData(structureId, startDate, endDate, investorId);
+  const feeOffsets = await getFeeOffsetSummary(structureId, { userId: investorId, startDate, endDate });
+
   if (callIds.length === 0) {
     return res.status(200).json({
       success: true,
-      data: { fees: [], summary: { totalGross: 0, totalDiscount: 0, totalNet: 0, totalVAT: 0, totalDue: 0 } }
+      data: {
+        fees: [],
+        summary: { totalGross: 0, totalDiscount: 0, totalNet: 0, totalVAT: 0, totalDue: 0, totalWithholdingTax: withholding.summary.totalWithheld },
+        withholding,
+        feeOffsets
+      }
     });
   }
 
@@ -240,6 +349,7 @@ router.get('/:structureId/investor/:investorId', authenticate, catchAsync(async
     nicFeeAmount: a.nic_fee_amount || 0,
     unfundedFeeAmount: a.unfunded_fee_amount || 0,
     feeOffsetAmount: a.fee_offset_amount || 0,
+    feeIncomeOffsetAmount: a.fee_income_offset_amount || 0,
     vatAmount: a.vat_amount || 0,
     totalDue: a.total_due || 0,
   }));
@@ -250,11 +360,67 @@ router.get('/:structureId/investor/:investorId', authenticate, catchAsync(async
     totalNet: fees.reduce((s, f) => s + f.managementFeeNet, 0),
     totalVAT: fees.reduce((s, f) => s + f.vatAmount, 0),
     totalDue: fees.reduce((s, f) => s + f.totalDue, 0),
+    totalWithholdingTax: withholding.summary.totalWithheld,
   };
 
   res.status(200).json({
     success: true,
-    data: { fees, summary }
+    data: { fees, summary, withholding, feeOffsets }
+  });
+}));
+
+/**
+ * @route   GET /api/fee-reports/:structureId/ilpa-template
+ * @desc    ILPA Reporting Template (fees, expenses & carried interest) for the fund or one LP,
+ *          with reconciliation checks against the capital account (JSON or Excel)
+ * @access  Private (requires authentication; LPs can only get their own template)
+ * @query   { format?: 'json'|'excel', startDate?: string, endDate?: string, investorId?: string }
+ */
+router.get('/:structureId/ilpa-template', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { format = 'json', startDate, endDate, investorId } = req.query;
+
+  validate(['json', 'excel'].includes(format), 'format must be json or excel');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  // Access control: Root/Admin see all, LPs can only see their own
+  if (userRole !== ROLES.ROOT && userRole !== ROLES.ADMIN) {
+    validate(investorId && investorId === userId, 'Unauthorized access to fee data');
+  }
+
+  let investor = null;
+  if (investorId) {
+    investor = await User.findById(investorId);
+    validate(investor, 'Investor not found');
+  }
+
+  const investorName = investor ? User.getDisplayName(investor) : null;
+  const template = await buildIlpaTemplate(structure, { startDate, endDate, userId: investorId });
+
+  if (format === 'excel') {
+    const firmName = await getFirmNameForUser(userId);
+    const buffer = await generateIlpaTemplateExcel(template, structure, { firmName, investorName });
+    const suffix = investorName ? `_${investorName.replace(/\s+/g, '_')}` : '';
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="ILPA_Template_${structure.name?.replace(/\s+/g, '_')}${suffix}.xlsx"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.send(buffer);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      structure: {
+        id: structure.id,
+        name: structure.name,
+        currency: structure.currency,
+      },
+      investor: investor ? { id: investor.id, name: investorName } : null,
+      ...template
+    }
   });
 }));
 
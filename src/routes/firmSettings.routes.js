@@ -98,6 +98,8 @@ router.get('/', authenticate, catchAsync(async (req, res) => {
       companyName: null,
       legalRepresentativeName: null,
       legalRepresentativeSignature: null,
+      taxId: null,
+      taxRegime: null,
     }
   });
 }));
@@ -254,7 +256,9 @@ router.put('/', authenticate, handleFirmLogoUpload, catchAsync(async (req, res)
     'themeConfig',
     'companyName',
     'legalRepresentativeName',
-    'legalRepresentativeSignature'
+    'legalRepresentativeSignature',
+    'taxId',
+    'taxRegime'
   ];
 
   // Handle file uploads if present (firmLogo, signInBackground, legalRepresentativeSignature)
@@ -388,7 +392,9 @@ router.put('/:id', authenticate, handleFirmLogoUpload, catchAsync(async (req, re
     'themeConfig',
     'companyName',
     'legalRepresentativeName',
-    'legalRepresentativeSignature'
+    'legalRepresentativeSignature',
+    'taxId',
+    'taxRegime'
   ];
 
   // Handle file uploads if present
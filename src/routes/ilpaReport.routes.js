@@ -10,6 +10,7 @@ const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../mi
 const { calculatePerformanceMetrics, calculateQuarterlyActivity, calculateCCDSummary } = require('../services/ilpaReportService');
 const { generatePerformanceReportPDF, generateQuarterlyReportPDF, generateCCDReportPDF } = require('../services/ilpaReportPdfGenerator');
 const { generatePerformanceReportExcel, generateQuarterlyReportExcel, generateCCDReportExcel } = require('../services/ilpaReportExcelGenerator');
+const { getExpenseSummary } = require('../services/partnershipExpenseService');
 
 async function getFirmNameForUser(userId) {
   try {
@@ -82,13 +83,14 @@ router.get('/:structureId/quarterly', authenticate, requireInvestmentManagerAcce
 
 
 
-  // Get performance metrics as of end date + quarterly activity
-  const [performanceData, quarterlyActivity] = await Promise.all([
+  // Get performance metrics as of end date + quarterly activity + partnership expenses
+  const [performanceData, quarterlyActivity, partnershipExpenses] = await Promise.all([
     calculatePerformanceMetrics(structureId, endDate),
-    calculateQuarterlyActivity(structureId, startDate, endDate)
+    calculateQuarterlyActivity(structureId, startDate, endDate),
+    getExpenseSummary(structure, { startDate, endDate })
   ]);
 
-  const reportData = { performance: performanceData, quarterlyActivity };
+  const reportData = { performance: performanceData, quarterlyActivity, partnershipExpenses };
   const firmName = await getFirmNameForUser(userId);
 
   if (format === 'pdf') {
@@ -176,7 +178,8 @@ router.get('/:structureId/all', authenticate, requireInvestmentManagerAccess, ca
   let quarterlyReport = null;
   if (startDate && endDate) {
     const quarterlyActivity = await calculateQuarterlyActivity(structureId, startDate, endDate);
-    quarterlyReport = { performance: performanceReport, quarterlyActivity };
+    const partnershipExpenses = await getExpenseSummary(structure, { startDate, endDate });
+    quarterlyReport = { performance: performanceReport, quarterlyActivity, partnershipExpenses };
   }
 
   res.status(200).json({
@@ -25,6 +25,33 @@ const drawdownNoticeTemplateRoutes = require('./drawdownNoticeTemplate.routes');
 // Distribution Notice Template routes
 const distributionNoticeTemplateRoutes = require('./distributionNoticeTemplate.routes');
 
+// Approval Policy routes
+const approvalPolicyRoutes = require('./approvalPolicy.routes');
+
+// Investor Class routes
+const investorClassRoutes = require('./investorClass.routes');
+
+// Withholding Tax routes
+const withholdingTaxRoutes = require('./withholdingTax.routes');
+
+// Recallable Ledger routes
+const recallableLedgerRoutes = require('./recallableLedger.routes');
+
+// Reinvestment routes
+const reinvestmentRoutes = require('./reinvestment.routes');
+
+// Management Fee Accrual routes
+const feeAccrualRoutes = require('./feeAccrual.routes');
+
+// GP Fee Income & Fee Offset routes
+const feeOffsetRoutes = require('./feeOffset.routes');
+
+// Partnership Expense routes
+const partnershipExpenseRoutes = require('./partnershipExpense.routes');
+
+// Fee Invoice routes
+const feeInvoiceRoutes = require('./feeInvoice.routes');
+
 // Chat System routes
 const conversationRoutes = require('./conversation.routes');
 const messageRoutes = require('./message.routes');
@@ -81,6 +108,15 @@ router.use('/users', userRoutes);
 router.use('/structures', structureRoutes);
 router.use('/structures', drawdownNoticeTemplateRoutes); // /api/structures/:structureId/drawdown-template
 router.use('/structures', distributionNoticeTemplateRoutes); // /api/structures/:structureId/distribution-template
+router.use('/structures', approvalPolicyRoutes); // /api/structures/:structureId/approval-policies
+router.use('/structures', investorClassRoutes); // /api/structures/:structureId/investor-classes
+router.use('/structures', withholdingTaxRoutes); // /api/structures/:structureId/withholding-elections
+router.use('/structures', recallableLedgerRoutes); // /api/structures/:structureId/recallable-ledger
+router.use('/structures', reinvestmentRoutes); // /api/structures/:structureId/reinvestment-elections
+router.use('/structures', feeAccrualRoutes); // /api/structures/:structureId/fee-accruals
+router.use('/structures', feeOffsetRoutes); // /api/structures/:structureId/fee-income, /fee-offsets
+router.use('/structures', partnershipExpenseRoutes); // /api/structures/:structureId/expenses
+router.use('/structures', feeInvoiceRoutes); // /api/structures/:structureId/fee-invoices
 router.use('/investors', investorRoutes);
 router.use('/investments', investmentRoutes);
 router.use('/capital-calls', capitalCallRoutes);
@@ -150,6 +186,15 @@ router.get('/', (_req, res) => {
       capitalCalls: '/api/capital-calls',
       drawdownNoticeTemplates: '/api/structures/:structureId/drawdown-template',
       distributionNoticeTemplates: '/api/structures/:structureId/distribution-template',
+      approvalPolicies: '/api/structures/:structureId/approval-policies',
+      investorClasses: '/api/structures/:structureId/investor-classes',
+      withholdingElections: '/api/structures/:structureId/withholding-elections',
+      recallableLedger: '/api/structures/:structureId/recallable-ledger',
+      reinvestmentElections: '/api/structures/:structureId/reinvestment-elections',
+      feeAccruals: '/api/structures/:structureId/fee-accruals',
+      feeOffsets: '/api/structures/:structureId/fee-offsets',
+      partnershipExpenses: '/api/structures/:structureId/expenses',
+      feeInvoices: '/api/structures/:structureId/fee-invoices',
       distributions: '/api/distributions',
       waterfallTiers: '/api/waterfall-tiers',
       documents: '/api/documents',
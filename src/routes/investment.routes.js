@@ -5,7 +5,8 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { Investment, Structure } = require('../models/supabase');
+const { Investment, Structure, CapitalCallExcusal } = require('../models/supabase');
+const { getDealContributions } = require('../services/capitalCallLineItemService');
 const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
 
 const router = express.Router();
@@ -246,6 +247,36 @@ router.get('/:id/with-structure', authenticate, catchAsync(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/investments/:id/participation
+ * @desc    LP participation in an investment: capital called/contributed per LP and the LPs excluded from it
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.get('/:id/participation', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const investment = await Investment.findById(id);
+  validate(investment, 'Investment not found');
+
+  const [deals, exclusions] = await Promise.all([
+    getDealContributions(investment.structureId, { investmentId: id }),
+    CapitalCallExcusal.findInvestmentExclusions(id)
+  ]);
+  const deal = deals[0];
+
+  res.status(200).json({
+    success: true,
+    data: {
+      investmentId: id,
+      investmentName: investment.investmentName,
+      called: deal?.called || 0,
+      contributed: deal?.contributed || 0,
+      participants: deal?.investors || [],
+      excluded: exclusions
+    }
+  });
+}));
+
 /**
  * @route   PUT /api/investments/:id
  * @desc    Update an investment
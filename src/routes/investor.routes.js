@@ -17,7 +17,12 @@ const { sendEmail } = require('../utils/emailSender');
 const { FirmSettings } = require('../models/supabase');
 const { handleDocumentUpload } = require('../middleware/upload');
 const { uploadToSupabase } = require('../utils/fileUpload');
-const { CapitalCall } = require('../models/supabase');
+const { CapitalCall, CapitalCallInstallment, CapitalCallPayment, CapitalCallExcusal } = require('../models/supabase');
+const { syncInstallmentPayments, attachAllocationInstallments } = require('../services/capitalCallInstallmentService');
+const { attachAllocationLineItems } = require('../services/capitalCallLineItemService');
+const { getPaymentApplicationPolicy, applyPaymentToAllocation } = require('../services/paymentApplicationService');
+const { canAcceptPayment } = require('../services/capitalCallCancellationService');
+const { DEFAULT_STATUS, cureDefaultOnPayment } = require('../services/capitalCallDefaultService');
 const Distribution = require('../models/supabase/distribution');
 const { generateIndividualLPNoticePDF, generateIndividualDistributionNoticePDF } = require('../services/documentGenerator');
 
@@ -1077,6 +1082,11 @@ router.get('/me/capital-calls/:capitalCallId', authenticate, catchAsync(async (r
     });
   }
 
+  // Installment calls: the investor's schedule, earliest first
+  const installments = capitalCall.installment_count > 0
+    ? await CapitalCallInstallment.findAllocationInstallments(allocation.id)
+    : [];
+
   // Build response with capital call details and investor's allocation
   const struct = capitalCall.structures;
   const response = {
@@ -1146,7 +1156,10 @@ router.get('/me/capital-calls/:capitalCallId', authenticate, catchAsync(async (r
       status: allocation.status,
       ownershipPercent: parseFloat(allocation.ownership_percent) || 0,
       feeDiscount: parseFloat(allocation.fee_discount) || 0,
-      vatExempt: allocation.vat_exempt || false
+      vatExempt: allocation.vat_exempt || false,
+      // Installment schedule (empty for single-deadline calls)
+      installments,
+      nextInstallment: installments.find(i => i.status !== 'Paid') || null
     },
     // Investor info
     investor: {
@@ -1219,54 +1232,35 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, handleDocument
     });
   }
 
+  const paymentCheck = canAcceptPayment(capitalCall.status, allocation);
+  validate(paymentCheck.allowed, paymentCheck.reason);
+
   // Get current amounts
   const principalAmount = parseFloat(allocation.principal_amount) || 0;
   const feesAmount = parseFloat(allocation.management_fee_net) || 0;
   const vatAmount = parseFloat(allocation.vat_amount) || 0;
   const totalDue = parseFloat(allocation.total_due) || 0;
 
-  // Current paid amounts
-  const currentPaid = parseFloat(allocation.paid_amount) || 0;
-  const currentCapitalPaid = parseFloat(allocation.capital_paid) || 0;
-  const currentFeesPaid = parseFloat(allocation.fees_paid) || 0;
-  const currentVatPaid = parseFloat(allocation.vat_paid) || 0;
-
-  // Calculate remaining amounts for each category
-  const capitalRemaining = principalAmount - currentCapitalPaid;
-  const feesRemaining = feesAmount - currentFeesPaid;
-  const vatRemaining = vatAmount - currentVatPaid;
-  const totalRemaining = capitalRemaining + feesRemaining + vatRemaining;
-
-  // Distribute payment proportionally across capital/fees/vat
+  // Apply the payment across capital/fees/VAT/late interest per the structure's policy
   const paymentAmount = parseFloat(amount);
-  let newCapitalPaid = currentCapitalPaid;
-  let newFeesPaid = currentFeesPaid;
-  let newVatPaid = currentVatPaid;
-
-  if (totalRemaining > 0 && paymentAmount > 0) {
-    // Calculate proportional distribution based on remaining amounts
-    const paymentRatio = Math.min(paymentAmount / totalRemaining, 1);
-
-    newCapitalPaid = currentCapitalPaid + (capitalRemaining * paymentRatio);
-    newFeesPaid = currentFeesPaid + (feesRemaining * paymentRatio);
-    newVatPaid = currentVatPaid + (vatRemaining * paymentRatio);
-
-    // Round to 2 decimal places
-    newCapitalPaid = Math.round(newCapitalPaid * 100) / 100;
-    newFeesPaid = Math.round(newFeesPaid * 100) / 100;
-    newVatPaid = Math.round(newVatPaid * 100) / 100;
-  }
-
-  const newPaidAmount = newCapitalPaid + newFeesPaid + newVatPaid;
+  const structure = await Structure.findById(capitalCall.structure_id);
+  const applicationPolicy = getPaymentApplicationPolicy(structure);
+  const { breakdown, paidFields } = applyPaymentToAllocation(allocation, paymentAmount, applicationPolicy);
+
+  const newCapitalPaid = paidFields.capital_paid;
+  const newFeesPaid = paidFields.fees_paid;
+  const newVatPaid = paidFields.vat_paid;
+  const newPaidAmount = paidFields.paid_amount;
   const newOutstanding = totalDue - newPaidAmount;
 
   // Capital-commitment payments are auto-approved; all others require manager approval
   const isAutoApproved = paymentMethod === 'capital-commitment';
   const approvalStatus = isAutoApproved ? 'approved' : 'pending';
 
-  // Determine allocation status
+  // Determine allocation status; defaulted allocations stay in default until cured below
+  const isDefaulted = allocation.status === DEFAULT_STATUS;
   let newStatus = allocation.status;
-  if (isAutoApproved) {
+  if (isAutoApproved && !isDefaulted) {
     if (newOutstanding <= 0.01) {
       newStatus = 'Paid';
     } else if (newPaidAmount > 0) {
@@ -1292,10 +1286,7 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, handleDocument
 
   // Update the allocation with payment breakdown
   const updateFields = {
-    paid_amount: newPaidAmount,
-    capital_paid: newCapitalPaid,
-    fees_paid: newFeesPaid,
-    vat_paid: newVatPaid,
+    ...paidFields,
     status: newStatus,
     payment_approval_status: approvalStatus,
     payment_method: paymentMethod || null,
@@ -1319,8 +1310,39 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, handleDocument
     throw new Error(`Error recording payment: ${updateError.message}`);
   }
 
+  // Record the payment with the breakdown it was applied with
+  const payment = await CapitalCallPayment.create({
+    capitalCallId,
+    allocationId: allocation.id,
+    userId,
+    amount: paymentAmount,
+    paymentMethod,
+    paymentReference: paymentReference || null,
+    paymentDate: updateFields.payment_date,
+    applicationPolicy: applicationPolicy.policy,
+    applicationOrder: applicationPolicy.order,
+    breakdown,
+    approvalStatus
+  });
+
+  // Installment calls: the payment fills the earliest unpaid installment first
+  const installments = capitalCall.installment_count > 0
+    ? await syncInstallmentPayments(updatedAllocation)
+    : [];
+
   // Log payment details for audit
-  console.log(`[Payment] Allocation ${allocation.id} payment submitted (${approvalStatus}): capital=${newCapitalPaid}, fees=${newFeesPaid}, vat=${newVatPaid}, method=${paymentMethod}, reference=${paymentReference}`);
+  console.log(`[Payment] Allocation ${allocation.id} payment submitted (${approvalStatus}, ${applicationPolicy.policy}): capital=${breakdown.capital}, fees=${breakdown.fees}, vat=${breakdown.vat}, lateInterest=${breakdown.lateInterest}, method=${paymentMethod}, reference=${paymentReference}`);
+
+  // An approved payment cures a default once the outstanding amount and late interest are paid
+  if (isAutoApproved && isDefaulted) {
+    const cure = await cureDefaultOnPayment(allocation.id, {
+      userId,
+      userName: User.getDisplayName(user)
+    });
+    if (cure.cured) {
+      newStatus = cure.allocation.status;
+    }
+  }
 
   // For auto-approved payments (capital-commitment), update capital call totals immediately
   if (isAutoApproved) {
@@ -1357,6 +1379,7 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, handleDocument
     message: isAutoApproved ? 'Payment approved automatically' : 'Payment recorded successfully',
     data: {
       allocationId: updatedAllocation.id,
+      status: newStatus,
       // Total amounts
       paidAmount: newPaidAmount,
       outstanding: newOutstanding,
@@ -1365,13 +1388,20 @@ router.post('/me/capital-calls/:capitalCallId/pay', authenticate, handleDocument
       capitalPaid: newCapitalPaid,
       feesPaid: newFeesPaid,
       vatPaid: newVatPaid,
+      lateInterestPaid: paidFields.default_interest_paid,
+      // How this payment was applied
+      paymentId: payment.id,
+      applicationPolicy: applicationPolicy.policy,
+      breakdown,
       // Original amounts for reference
       principalAmount,
       feesAmount,
       vatAmount: vatAmount,
       // Payment info
       paymentMethod,
-      paymentReference: paymentReference || null
+      paymentReference: paymentReference || null,
+      // Installment breakdown (empty for single-deadline calls)
+      installments
     }
   });
 }));
@@ -2073,8 +2103,16 @@ router.get('/me/capital-calls/:id/notice', authenticate, catchAsync(async (req,
   const capitalCallWithAllocations = await CapitalCall.findWithAllocations(id);
   const allocations = capitalCallWithAllocations?.capital_call_allocations || [];
 
-  const allocation = allocations.find(a => a.user_id === userId);
-  validate(allocation, 'You do not have an allocation in this capital call');
+  const ownAllocation = allocations.find(a => a.user_id === userId);
+  validate(ownAllocation, 'You do not have an allocation in this capital call');
+
+  const [withInstallments] = capitalCall.installmentCount > 0
+    ? await attachAllocationInstallments(id, [ownAllocation])
+    : [ownAllocation];
+  const [allocation] = capitalCall.lineItemCount > 0
+    ? await attachAllocationLineItems(id, [withInstallments])
+    : [withInstallments];
+  const excusals = await CapitalCallExcusal.findByCapitalCallId(id);
 
   const investor = await User.findById(userId);
 
@@ -2085,7 +2123,7 @@ router.get('/me/capital-calls/:id/notice', authenticate, catchAsync(async (req,
     firmName = firmSettings?.firmName || 'Investment Manager';
   } catch (_e) { /* ignore */ }
 
-  const enrichedCC = { ...capitalCall, currency: structure.baseCurrency || 'USD' };
+  const enrichedCC = { ...capitalCall, currency: structure.baseCurrency || 'USD', excusals };
   const pdfBuffer = await generateIndividualLPNoticePDF(
     enrichedCC,
     allocation,
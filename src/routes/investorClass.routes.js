@@ -0,0 +1,217 @@
+/**
+ * Investor Class API Routes
+ * Endpoints for managing a structure's investor classes (side-letter economics) and
+ * assigning LPs to them. A class's own tiers are managed through /api/waterfall-tiers
+ * with investorClassId.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { canCreate, getUserContext } = require('../middleware/rbac');
+const { InvestorClass, Structure, StructureInvestor, WaterfallTier } = require('../models/supabase');
+const { validateInvestorClass } = require('../services/investorClassService');
+
+const router = express.Router();
+
+/**
+ * Helper to reject writes from users who cannot manage structures
+ */
+function denyUnlessManager(req, res) {
+  const { userRole } = getUserContext(req);
+  if (canCreate(userRole)) return false;
+
+  res.status(403).json({
+    success: false,
+    message: 'Access denied. Only Root and Admin users can manage investor classes.',
+  });
+  return true;
+}
+
+/**
+ * Helper to load an investor class of a structure (400 when it belongs elsewhere)
+ */
+async function findStructureClass(structureId, classId) {
+  const investorClass = await InvestorClass.findById(classId);
+  validate(investorClass && investorClass.structureId === structureId, 'Investor class not found');
+  return investorClass;
+}
+
+/**
+ * Helper to check no other class of the structure has the name
+ */
+async function validateUniqueName(structureId, name, classId = null) {
+  if (name === undefined) return;
+
+  const classes = await InvestorClass.findByStructureId(structureId);
+  const taken = classes.some(c => c.id !== classId && c.name.toLowerCase() === name.toLowerCase());
+  validate(!taken, `An investor class named "${name}" already exists for this structure`);
+}
+
+/**
+ * @route   GET /api/structures/:structureId/investor-classes
+ * @desc    Get a structure's investor classes with their active tiers and assigned LPs
+ * @access  Private (requires authentication)
+ */
+router.get('/:structureId/investor-classes', authenticate, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const classes = await InvestorClass.findByStructureId(structureId);
+  const investors = classes.length > 0 ? await StructureInvestor.findByStructureId(structureId) : [];
+
+  const data = await Promise.all(classes.map(async investorClass => ({
+    ...investorClass,
+    // Classes without tiers apply their overrides to the structure's tiers
+    tiers: await WaterfallTier.findActiveByInvestorClassId(investorClass.id),
+    userIds: investors.filter(i => i.investorClassId === investorClass.id).map(i => i.userId)
+  })));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/investor-classes
+ * @desc    Create an investor class
+ * @access  Private (Root, Admin only)
+ * @body    { name: string, description?: string, hurdleRate?: number, carriedInterest?: number, gpCatchUpRate?: number }
+ */
+router.post('/:structureId/investor-classes', authenticate, catchAsync(async (req, res) => {
+  if (denyUnlessManager(req, res)) return;
+
+  const { userId } = getUserContext(req);
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const result = validateInvestorClass(req.body || {});
+  if (!result.valid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid investor class',
+      errors: result.errors,
+    });
+  }
+  await validateUniqueName(structureId, result.investorClass.name);
+
+  const investorClass = await InvestorClass.create({
+    ...result.investorClass,
+    structureId,
+    createdBy: userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Investor class created successfully',
+    data: investorClass
+  });
+}));
+
+/**
+ * @route   PUT /api/structures/:structureId/investor-classes/:classId
+ * @desc    Update an investor class's name, description or term overrides
+ * @access  Private (Root, Admin only)
+ */
+router.put('/:structureId/investor-classes/:classId', authenticate, catchAsync(async (req, res) => {
+  if (denyUnlessManager(req, res)) return;
+
+  const { structureId, classId } = req.params;
+  await findStructureClass(structureId, classId);
+
+  const result = validateInvestorClass(req.body || {}, { partial: true });
+  if (!result.valid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid investor class',
+      errors: result.errors,
+    });
+  }
+  validate(Object.keys(result.investorClass).length > 0, 'No valid fields provided for update');
+  await validateUniqueName(structureId, result.investorClass.name, classId);
+
+  const investorClass = await InvestorClass.findByIdAndUpdate(classId, result.investorClass);
+
+  res.status(200).json({
+    success: true,
+    message: 'Investor class updated successfully',
+    data: investorClass
+  });
+}));
+
+/**
+ * @route   DELETE /api/structures/:structureId/investor-classes/:classId
+ * @desc    Delete an investor class; its tiers are deleted and its LPs go back to the structure's tiers
+ * @access  Private (Root, Admin only)
+ */
+router.delete('/:structureId/investor-classes/:classId', authenticate, catchAsync(async (req, res) => {
+  if (denyUnlessManager(req, res)) return;
+
+  const { structureId, classId } = req.params;
+  await findStructureClass(structureId, classId);
+
+  await InvestorClass.findByIdAndDelete(classId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Investor class deleted successfully'
+  });
+}));
+
+/**
+ * @route   PUT /api/structures/:structureId/investor-classes/:classId/investors
+ * @desc    Assign LPs of the structure to an investor class (moving them from any other class)
+ * @access  Private (Root, Admin only)
+ * @body    { userIds: Array<string> }
+ */
+router.put('/:structureId/investor-classes/:classId/investors', authenticate, catchAsync(async (req, res) => {
+  if (denyUnlessManager(req, res)) return;
+
+  const { structureId, classId } = req.params;
+  const { userIds } = req.body || {};
+
+  validate(Array.isArray(userIds) && userIds.length > 0, 'userIds must be a non-empty array');
+  await findStructureClass(structureId, classId);
+
+  const investors = await StructureInvestor.findByStructureId(structureId);
+  const investorIds = new Set(investors.map(i => i.userId));
+  const unknown = userIds.filter(id => !investorIds.has(id));
+  validate(unknown.length === 0, `Users are not investors of this structure: ${unknown.join(', ')}`);
+
+  const assigned = await StructureInvestor.assignInvestorClass(structureId, [...new Set(userIds)], classId);
+
+  res.status(200).json({
+    success: true,
+    message: `${assigned.length} investor(s) assigned to the investor class`,
+    data: assigned
+  });
+}));
+
+/**
+ * @route   DELETE /api/structures/:structureId/investor-classes/:classId/investors/:userId
+ * @desc    Remove an LP from an investor class (back to the structure's tiers)
+ * @access  Private (Root, Admin only)
+ */
+router.delete('/:structureId/investor-classes/:classId/investors/:userId', authenticate, catchAsync(async (req, res) => {
+  if (denyUnlessManager(req, res)) return;
+
+  const { structureId, classId, userId } = req.params;
+  await findStructureClass(structureId, classId);
+
+  const investor = await StructureInvestor.findByUserAndStructure(userId, structureId);
+  validate(investor && investor.investorClassId === classId, 'Investor is not assigned to this investor class');
+
+  await StructureInvestor.assignInvestorClass(structureId, [userId], null);
+
+  res.status(200).json({
+    success: true,
+    message: 'Investor removed from the investor class'
+  });
+}));
+
+module.exports = router;
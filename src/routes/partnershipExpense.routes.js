@@ -0,0 +1,159 @@
+/**
+ * Partnership Expense API Routes
+ * Endpoints for the partnership expense ledger of a structure: recording expenses by
+ * category, their allocation to LPs and the organizational expense cap.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { requireInvestmentManagerAccess, getUserContext, ROLES } = require('../middleware/rbac');
+const { PartnershipExpense, Structure, StructureInvestor, Investment } = require('../models/supabase');
+const { EXPENSE_CATEGORIES, ALLOCATION_METHODS, validateAllocationKeys } = require('../utils/expenseAllocation');
+const { recordExpense, getExpenseSummary, getOrganizationalCapStatus } = require('../services/partnershipExpenseService');
+
+const router = express.Router();
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+
+/**
+ * @route   GET /api/structures/:structureId/expenses
+ * @desc    Get a structure's partnership expenses with totals per category; LPs see their
+ *          allocated share only
+ * @access  Private (requires authentication)
+ * @query   { category?: string, startDate?: string, endDate?: string, userId?: string }
+ */
+router.get('/:structureId/expenses', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { category, startDate, endDate } = req.query;
+
+  validate(!startDate || isValidDate(startDate), 'startDate must be a date (YYYY-MM-DD)');
+  validate(!endDate || isValidDate(endDate), 'endDate must be a date (YYYY-MM-DD)');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const isManager = userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT;
+  const investorId = isManager ? req.query.userId : userId;
+
+  let expenses = await PartnershipExpense.findByStructureId(structureId, { category, startDate, endDate });
+  if (investorId) {
+    expenses = expenses
+      .map(expense => {
+        const share = expense.allocations.find(a => a.userId === investorId);
+        return share ? { ...expense, allocations: [share], investorShare: share.amount } : null;
+      })
+      .filter(Boolean);
+  }
+
+  res.status(200).json({
+    success: true,
+    count: expenses.length,
+    data: {
+      summary: await getExpenseSummary(structure, { userId: investorId, startDate, endDate }),
+      expenses
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/expenses
+ * @desc    Record a partnership expense and allocate it to the LPs
+ * @access  Private (requires authentication, Root/Admin only)
+ * @body    {
+ *   category: 'legal'|'audit'|'organizational'|'broken_deal'|'administration'|'tax'|'other',
+ *   amount: number,
+ *   expenseDate?: 'YYYY-MM-DD',
+ *   description?: string,
+ *   vendor?: string,
+ *   investmentId?: string,
+ *   isOrganizational?: boolean - counts toward the organizational expense cap
+ *                                (defaults to true for the organizational category),
+ *   allocationMethod?: 'pro_rata'|'custom',
+ *   allocationKeys?: { [userId]: percentage } - required for custom allocations
+ * }
+ */
+router.post('/:structureId/expenses', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { userId } = getUserContext(req);
+  const { structureId } = req.params;
+  const {
+    category,
+    amount,
+    expenseDate,
+    description,
+    vendor,
+    investmentId,
+    isOrganizational,
+    allocationMethod = 'pro_rata',
+    allocationKeys
+  } = req.body || {};
+
+  validate(EXPENSE_CATEGORIES.includes(category), `category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`);
+  validate(Number(amount) > 0, 'amount must be greater than 0');
+  validate(!expenseDate || isValidDate(expenseDate), 'expenseDate must be a date (YYYY-MM-DD)');
+  validate(ALLOCATION_METHODS.includes(allocationMethod), `allocationMethod must be one of: ${ALLOCATION_METHODS.join(', ')}`);
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  if (investmentId) {
+    const investment = await Investment.findById(investmentId);
+    validate(investment && investment.structureId === structureId, 'Investment not found in this structure');
+  }
+
+  const investors = await StructureInvestor.findByStructureId(structureId);
+  validate(investors.length > 0, 'Structure has no investors to allocate the expense to');
+  if (allocationMethod === 'custom') {
+    const keysError = validateAllocationKeys(allocationKeys, investors);
+    validate(!keysError, keysError);
+  }
+
+  const result = await recordExpense(structure, {
+    category,
+    amount: Number(amount),
+    expenseDate,
+    description: description?.trim(),
+    vendor: vendor?.trim(),
+    investmentId,
+    isOrganizational: isOrganizational === undefined
+      ? category === 'organizational'
+      : isOrganizational === true || isOrganizational === 'true',
+    allocationMethod,
+    allocationKeys
+  }, investors, { userId });
+
+  res.status(201).json({
+    success: true,
+    message: result.warnings.length > 0
+      ? `Expense recorded with warnings: ${result.warnings.join('; ')}`
+      : 'Expense recorded successfully',
+    data: result
+  });
+}));
+
+/**
+ * @route   DELETE /api/structures/:structureId/expenses/:expenseId
+ * @desc    Delete a partnership expense and its LP allocations
+ * @access  Private (requires authentication, Root/Admin only)
+ */
+router.delete('/:structureId/expenses/:expenseId', authenticate, requireInvestmentManagerAccess, catchAsync(async (req, res) => {
+  const { structureId, expenseId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const expense = await PartnershipExpense.findById(expenseId);
+  validate(expense && expense.structureId === structureId, 'Expense not found');
+
+  await PartnershipExpense.findByIdAndDelete(expenseId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Expense deleted successfully',
+    data: {
+      organizationalCap: await getOrganizationalCapStatus(structure)
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Recallable Ledger API Routes
+ * Endpoint for the per-LP ledger of recallable distributions (credits) and the capital
+ * calls that recycled them (debits), with balances against the structure's recallable limit.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { getUserContext, ROLES } = require('../middleware/rbac');
+const { Structure } = require('../models/supabase');
+const { getRecallableLedger } = require('../services/recallableLedgerService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/structures/:structureId/recallable-ledger
+ * @desc    Get the recallable ledger of a structure (or of one LP); LPs only see their own
+ * @access  Private (requires authentication)
+ * @query   { userId?: string }
+ */
+router.get('/:structureId/recallable-ledger', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const isManager = userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT;
+  const investorId = isManager ? req.query.userId : userId;
+
+  const ledger = await getRecallableLedger(structure, { userId: investorId });
+
+  res.status(200).json({
+    success: true,
+    data: ledger
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,151 @@
+/**
+ * Reinvestment API Routes
+ * Endpoints for LP distribution reinvestment (DRIP) elections and the reinvestments
+ * recorded under them. LPs manage their own elections; managers can manage any LP's.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { getUserContext, ROLES } = require('../middleware/rbac');
+const { ReinvestmentElection, DistributionReinvestment, Structure, StructureInvestor } = require('../models/supabase');
+const { REINVESTMENT_METHODS } = require('../utils/reinvestment');
+const { summarizeReinvestments } = require('../services/reinvestmentService');
+
+const router = express.Router();
+
+/**
+ * Helper to resolve the LP a request acts on: managers may name any LP, others only themselves
+ */
+function getTargetUserId(req, requestedUserId) {
+  const { userId, userRole } = getUserContext(req);
+  const isManager = userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT;
+  return { userId, isManager, targetUserId: isManager ? requestedUserId : userId };
+}
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+/**
+ * @route   GET /api/structures/:structureId/reinvestment-elections
+ * @desc    Get a structure's reinvestment elections; LPs only see their own
+ * @access  Private (requires authentication)
+ * @query   { userId?: string, status?: 'Active'|'Revoked' }
+ */
+router.get('/:structureId/reinvestment-elections', authenticate, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+  const { targetUserId } = getTargetUserId(req, req.query.userId);
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const elections = await ReinvestmentElection.findByStructureId(structureId, {
+    userId: targetUserId,
+    status: req.query.status
+  });
+
+  res.status(200).json({
+    success: true,
+    count: elections.length,
+    data: elections
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/reinvestment-elections
+ * @desc    Elect to reinvest a percentage of future distributions; replaces the LP's active election
+ * @access  Private (LPs for themselves; Root/Admin/Operations for any LP)
+ * @body    { userId?, reinvestmentPercentage: number, method: 'net_against_call'|'subscription', effectiveDate?, notes? }
+ */
+router.post('/:structureId/reinvestment-elections', authenticate, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+  const { reinvestmentPercentage, method = 'net_against_call', effectiveDate, notes } = req.body || {};
+  const { userId: createdBy, targetUserId } = getTargetUserId(req, req.body?.userId);
+
+  validate(targetUserId, 'userId is required');
+  validate(
+    Number(reinvestmentPercentage) > 0 && Number(reinvestmentPercentage) <= 100,
+    'Reinvestment percentage must be greater than 0 and at most 100'
+  );
+  validate(REINVESTMENT_METHODS.includes(method), `Reinvestment method must be one of: ${REINVESTMENT_METHODS.join(', ')}`);
+  validate(!effectiveDate || isValidDate(effectiveDate), 'Effective date must be a valid date');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const investor = await StructureInvestor.findByUserAndStructure(targetUserId, structureId);
+  validate(investor, 'User is not an investor of this structure');
+
+  // The new election supersedes the LP's active one
+  const active = await ReinvestmentElection.findByStructureId(structureId, { userId: targetUserId, status: 'Active' });
+  for (const election of active) {
+    await ReinvestmentElection.findByIdAndUpdate(election.id, { status: 'Revoked' });
+  }
+
+  const election = await ReinvestmentElection.create({
+    structureId,
+    userId: targetUserId,
+    reinvestmentPercentage: Number(reinvestmentPercentage),
+    method,
+    effectiveDate: effectiveDate || new Date().toISOString().split('T')[0],
+    status: 'Active',
+    notes: notes?.trim() || null,
+    createdBy
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reinvestment election recorded successfully',
+    data: election
+  });
+}));
+
+/**
+ * @route   PATCH /api/structures/:structureId/reinvestment-elections/:electionId/revoke
+ * @desc    Revoke an election; distributions already approved keep their reinvestments
+ * @access  Private (LPs for their own elections; Root/Admin/Operations for any)
+ */
+router.patch('/:structureId/reinvestment-elections/:electionId/revoke', authenticate, catchAsync(async (req, res) => {
+  const { structureId, electionId } = req.params;
+  const { userId, isManager } = getTargetUserId(req);
+
+  const election = await ReinvestmentElection.findById(electionId);
+  validate(election && election.structureId === structureId, 'Reinvestment election not found');
+  validate(isManager || election.userId === userId, 'Unauthorized: LPs can only revoke their own elections');
+  validate(election.status === 'Active', 'Reinvestment election is already revoked');
+
+  const revoked = await ReinvestmentElection.findByIdAndUpdate(electionId, { status: 'Revoked' });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reinvestment election revoked successfully',
+    data: revoked
+  });
+}));
+
+/**
+ * @route   GET /api/structures/:structureId/reinvestments
+ * @desc    Get the amounts reinvested from a structure's distributions with totals; LPs only see their own
+ * @access  Private (requires authentication)
+ * @query   { userId?: string, status?: 'pending'|'applied' }
+ */
+router.get('/:structureId/reinvestments', authenticate, catchAsync(async (req, res) => {
+  const { structureId } = req.params;
+  const { targetUserId } = getTargetUserId(req, req.query.userId);
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const reinvestments = await DistributionReinvestment.findByStructureId(structureId, {
+    userId: targetUserId,
+    status: req.query.status
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      summary: summarizeReinvestments(reinvestments),
+      reinvestments
+    }
+  });
+}));
+
+module.exports = router;
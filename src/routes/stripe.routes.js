@@ -9,6 +9,7 @@ const { authenticate } = require('../middleware/auth');
 const { catchAsync } = require('../middleware/errorHandler');
 const stripeService = require('../services/stripe.service');
 const { User } = require('../models/supabase');
+const { handleTransferFailure } = require('../services/distributionPayoutService');
 
 // Price IDs from environment
 const PRICE_IDS = {
@@ -842,13 +843,23 @@ router.post('/webhook-connect', catchAsync(async (req, res) => {
       case 'transfer.failed': {
         const transfer = event.data.object;
         console.error(`[Stripe Connect Webhook] Transfer failed: ${transfer.id}`);
-        // TODO: Handle failed transfer - notify admin, retry, etc.
+
+        // Distribution payouts go back to failed so they can be retried
+        const allocation = await handleTransferFailure(transfer.id, 'Stripe transfer failed');
+        if (allocation) {
+          console.log(`[Stripe Connect Webhook] Marked payout of distribution allocation ${allocation.id} as failed`);
+        }
         break;
       }
 
       case 'transfer.reversed': {
         const transfer = event.data.object;
         console.warn(`[Stripe Connect Webhook] Transfer reversed: ${transfer.id}`);
+
+        const allocation = await handleTransferFailure(transfer.id, 'Stripe transfer reversed');
+        if (allocation) {
+          console.log(`[Stripe Connect Webhook] Marked payout of distribution allocation ${allocation.id} as failed`);
+        }
         break;
       }
 
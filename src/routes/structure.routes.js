@@ -17,6 +17,8 @@ const {
 } = require('../middleware/rbac');
 const { handleStructureBannerUpload } = require('../middleware/upload');
 const { uploadToSupabase } = require('../utils/fileUpload');
+const { validatePaymentApplicationPolicy } = require('../services/paymentApplicationService');
+const { RECALLABLE_LIMIT_TYPES } = require('../services/recallableLedgerService');
 
 const router = express.Router();
 
@@ -70,7 +72,8 @@ async function enrichStructureWithCapitalCallSummary(structure) {
 
     // Filter to only approved/sent/paid CCs for financial summaries (pending CCs can be rejected)
     const approvedCalls = capitalCalls.filter(cc =>
-      cc.approvalStatus === 'approved' || ['Sent', 'Paid', 'sent', 'paid'].includes(cc.status)
+      cc.status !== 'Cancelled' &&
+      (cc.approvalStatus === 'approved' || ['Sent', 'Paid', 'sent', 'paid'].includes(cc.status))
     );
 
     // Calculate summary metrics using total_drawdown from allocations (includes fees + VAT for ProximityParks methodology)
@@ -254,6 +257,7 @@ router.post('/', authenticate, requireInvestmentManagerAccess, handleStructureBa
     managementFeeOffset,
     feeOffsetRate,
     prefReturnCompounding,
+    returnFeesWithCapital,
     payWithPolibitEnabled,
     payWithPolibitSettlement,
     paymentCardEnabled,
@@ -270,12 +274,32 @@ router.post('/', authenticate, requireInvestmentManagerAccess, handleStructureBa
     withholdingTaxLegalNonResidents,
     sameTaxTreatment,
     bankTransferLocalEnabled,
-    bankTransferInternationalEnabled
+    bankTransferInternationalEnabled,
+    // Investor default terms (LPA)
+    defaultGracePeriodDays,
+    defaultInterestRate,
+    defaultForfeiturePercent,
+    overcallLimitPercent,
+    // Payment application policy
+    paymentApplicationPolicy,
+    paymentApplicationOrder,
+    // GP clawback
+    clawbackNetOfTaxes,
+    clawbackTaxRate,
+    // Organizational expense cap (LPA)
+    organizationalExpenseCap
   } = req.body;
 
   // Validate required fields
   validate(name, 'Structure name is required');
   validate(type, 'Structure type is required');
+
+  const paymentPolicy = validatePaymentApplicationPolicy(paymentApplicationPolicy, paymentApplicationOrder);
+  validate(paymentPolicy.valid, paymentPolicy.errors.join('; '));
+  validate(
+    !recallableLimitType?.trim() || RECALLABLE_LIMIT_TYPES.includes(recallableLimitType.trim()),
+    `Recallable limit type must be one of: ${RECALLABLE_LIMIT_TYPES.join(', ')}`
+  );
   // validate(['Fund', 'SA/LLC', 'Fideicomiso', 'Private Debt'].includes(type), 'Invalid structure type');
 
   // Validate parent structure if provided
@@ -439,6 +463,7 @@ router.post('/', authenticate, requireInvestmentManagerAccess, handleStructureBa
     managementFeeOffset: managementFeeOffset === true || managementFeeOffset === 'true',
     feeOffsetRate: feeOffsetRate?.trim() || null,
     prefReturnCompounding: prefReturnCompounding?.trim() || 'compound',
+    returnFeesWithCapital: returnFeesWithCapital !== false && returnFeesWithCapital !== 'false',
     payWithPolibitEnabled: payWithPolibitEnabled === true || payWithPolibitEnabled === 'true',
     payWithPolibitSettlement: payWithPolibitSettlement?.trim() || 'standard',
     paymentCardEnabled: paymentCardEnabled === true || paymentCardEnabled === 'true',
@@ -456,6 +481,17 @@ router.post('/', authenticate, requireInvestmentManagerAccess, handleStructureBa
     sameTaxTreatment: sameTaxTreatment === true || sameTaxTreatment === 'true',
     bankTransferLocalEnabled: bankTransferLocalEnabled === true || bankTransferLocalEnabled === 'true',
     bankTransferInternationalEnabled: bankTransferInternationalEnabled === true || bankTransferInternationalEnabled === 'true',
+    // Investor default terms (LPA)
+    defaultGracePeriodDays: sanitizeNumber(defaultGracePeriodDays, 10),
+    defaultInterestRate: sanitizeNumber(defaultInterestRate, 0),
+    defaultForfeiturePercent: sanitizeNumber(defaultForfeiturePercent, 50),
+    overcallLimitPercent: sanitizeNumber(overcallLimitPercent),
+    paymentApplicationPolicy: paymentPolicy.policy,
+    paymentApplicationOrder: paymentPolicy.order,
+    // GP clawback
+    clawbackNetOfTaxes: clawbackNetOfTaxes === true || clawbackNetOfTaxes === 'true',
+    clawbackTaxRate: sanitizeNumber(clawbackTaxRate, null),
+    organizationalExpenseCap: sanitizeNumber(organizationalExpenseCap, null),
     createdBy: userId
   };
 
@@ -716,7 +752,7 @@ router.get('/:id/investors', authenticate, catchAsync(async (req, res) => {
         // Include CC if approved (any status) or sent/paid (lifecycle progressed)
         const isApproved = call.approvalStatus === 'approved';
         const isSentOrPaid = ['Sent', 'Paid', 'sent', 'paid'].includes(call.status);
-        if (!isApproved && !isSentOrPaid) return;
+        if (call.status === 'Cancelled' || (!isApproved && !isSentOrPaid)) return;
 
         const allocs = call.investorAllocations || call.allocations;
         if (allocs) {
@@ -849,7 +885,7 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, handleStructure
     'maxInvestorRestriction',
     // ILPA Phase 3-5: Fee structure + Payment methods
     'postCommitmentFeeRate', 'flatManagementFeeRate', 'managementFeeOffset',
-    'feeOffsetRate', 'prefReturnCompounding',
+    'feeOffsetRate', 'prefReturnCompounding', 'returnFeesWithCapital',
     'payWithPolibitEnabled', 'payWithPolibitSettlement', 'paymentCardEnabled',
     // Spec V2 fields
     'recallableDistributionsEnabled', 'recallableLimitType', 'recallableLimitValue',
@@ -857,7 +893,14 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, handleStructure
     'withholdingTaxOnDistributions', 'withholdingTaxNaturalResidents',
     'withholdingTaxNaturalNonResidents', 'withholdingTaxLegalResidents',
     'withholdingTaxLegalNonResidents', 'sameTaxTreatment',
-    'bankTransferLocalEnabled', 'bankTransferInternationalEnabled'
+    'bankTransferLocalEnabled', 'bankTransferInternationalEnabled',
+    // Investor default terms (LPA)
+    'defaultGracePeriodDays', 'defaultInterestRate', 'defaultForfeiturePercent',
+    'overcallLimitPercent',
+    // GP clawback
+    'clawbackNetOfTaxes', 'clawbackTaxRate',
+    // Organizational expense cap (LPA)
+    'organizationalExpenseCap'
   ];
 
   // Fields that are numeric in the database and must not receive empty strings
@@ -880,7 +923,9 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, handleStructure
     'recallableLimitValue', 'commitmentPeriodYears',
     'withholdingTaxOnDistributions', 'withholdingTaxNaturalResidents',
     'withholdingTaxNaturalNonResidents', 'withholdingTaxLegalResidents',
-    'withholdingTaxLegalNonResidents'
+    'withholdingTaxLegalNonResidents',
+    'defaultGracePeriodDays', 'defaultInterestRate', 'defaultForfeiturePercent',
+    'overcallLimitPercent', 'clawbackTaxRate', 'organizationalExpenseCap'
   ]);
 
   const sanitizeUpdateNumber = (value) => {
@@ -899,6 +944,24 @@ router.put('/:id', authenticate, requireInvestmentManagerAccess, handleStructure
     }
   }
 
+  if (updateData.recallableLimitType !== undefined) {
+    validate(
+      RECALLABLE_LIMIT_TYPES.includes(updateData.recallableLimitType),
+      `Recallable limit type must be one of: ${RECALLABLE_LIMIT_TYPES.join(', ')}`
+    );
+  }
+
+  // Payment application policy: validate the policy and custom order together
+  if (req.body.paymentApplicationPolicy !== undefined || req.body.paymentApplicationOrder !== undefined) {
+    const paymentPolicy = validatePaymentApplicationPolicy(
+      req.body.paymentApplicationPolicy ?? structure.paymentApplicationPolicy,
+      req.body.paymentApplicationOrder ?? structure.paymentApplicationOrder
+    );
+    validate(paymentPolicy.valid, paymentPolicy.errors.join('; '));
+    updateData.paymentApplicationPolicy = paymentPolicy.policy;
+    updateData.paymentApplicationOrder = paymentPolicy.order;
+  }
+
   // If a new banner image was uploaded, override the bannerImage field
   if (bannerImageUrl) {
     updateData.bannerImage = bannerImageUrl;
@@ -332,6 +332,9 @@ router.get('/profile', authenticate, catchAsync(async (req, res) => {
       bankName: user.bankName,
       bankAccountNumber: user.bankAccountNumber,
       bankRoutingNumber: user.bankRoutingNumber,
+      bankIban: user.bankIban,
+      bankSwiftCode: user.bankSwiftCode,
+      bankAccountType: user.bankAccountType,
     }
   });
 }));
@@ -388,7 +391,10 @@ router.put('/profile', authenticate, catchAsync(async (req, res) => {
     // Bank Account Details (for distributions)
     bankName,
     bankAccountNumber,
-    bankRoutingNumber
+    bankRoutingNumber,
+    bankIban,
+    bankSwiftCode,
+    bankAccountType
   } = req.body;
 
   // Get user ID from authenticated token
@@ -651,6 +657,18 @@ router.put('/profile', authenticate, catchAsync(async (req, res) => {
   if (bankRoutingNumber !== undefined && bankRoutingNumber !== null) {
     updateData.bankRoutingNumber = bankRoutingNumber;
   }
+
+  if (bankIban !== undefined && bankIban !== null) {
+    updateData.bankIban = bankIban;
+  }
+
+  if (bankSwiftCode !== undefined && bankSwiftCode !== null) {
+    updateData.bankSwiftCode = bankSwiftCode;
+  }
+
+  if (bankAccountType !== undefined && bankAccountType !== null) {
+    updateData.bankAccountType = bankAccountType;
+  }
   // Check if password was changed for notification
   const passwordChanged = updateData._passwordChanged;
   delete updateData._passwordChanged; // Remove flag before saving
@@ -728,6 +746,9 @@ router.put('/profile', authenticate, catchAsync(async (req, res) => {
       bankName: updatedUser.bankName,
       bankAccountNumber: updatedUser.bankAccountNumber,
       bankRoutingNumber: updatedUser.bankRoutingNumber,
+      bankIban: updatedUser.bankIban,
+      bankSwiftCode: updatedUser.bankSwiftCode,
+      bankAccountType: updatedUser.bankAccountType,
     }
   });
 }));
@@ -1212,6 +1233,9 @@ router.get('/:id', authenticate, catchAsync(async (req, res) => {
       bankName: user.bankName,
       bankAccountNumber: user.bankAccountNumber,
       bankRoutingNumber: user.bankRoutingNumber,
+      bankIban: user.bankIban,
+      bankSwiftCode: user.bankSwiftCode,
+      bankAccountType: user.bankAccountType,
       // Timestamps
       lastLogin: user.lastLogin,
       createdAt: user.createdAt,
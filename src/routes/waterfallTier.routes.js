@@ -5,14 +5,71 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
 const { catchAsync, validate } = require('../middleware/errorHandler');
-const { WaterfallTier, Structure, StructureAdmin } = require('../models/supabase');
+const { WaterfallTier, Structure, StructureAdmin, Distribution, InvestorClass } = require('../models/supabase');
 const { getUserContext, ROLES, canEditStructure } = require('../middleware/rbac');
+const { runWaterfall } = require('../utils/waterfallEngine');
 
 const router = express.Router();
 
+/**
+ * Helper to check a tier fits the other active tiers of its tier set (the structure's,
+ * or its investor class's); the list may still be incomplete, so the last tier can be capped
+ */
+async function validateAgainstActiveTiers(structureId, tier, tierId = null) {
+  if (tier.isActive === false) return;
+
+  const activeTiers = tier.investorClassId
+    ? await WaterfallTier.findActiveByInvestorClassId(tier.investorClassId)
+    : await WaterfallTier.findActiveByStructureId(structureId);
+  const sequence = WaterfallTier.validateTierSequence(
+    [...activeTiers.filter(t => t.id !== tierId), tier],
+    { complete: false }
+  );
+  validate(sequence.isValid, sequence.errors.join('; '));
+}
+
+/**
+ * Helper to check an investor class given for tiers belongs to the structure
+ */
+async function validateInvestorClass(structureId, investorClassId) {
+  if (!investorClassId) return;
+
+  const investorClass = await InvestorClass.findById(investorClassId);
+  validate(investorClass && investorClass.structureId === structureId, 'Investor class not found for this structure');
+}
+
+/**
+ * Helper to validate each tier set (the structure's and each investor class's) as a whole waterfall
+ */
+function validateTierSets(tiers) {
+  const sets = new Map();
+  tiers.forEach(tier => {
+    const key = tier.investorClassId || null;
+    sets.set(key, [...(sets.get(key) || []), tier]);
+  });
+
+  sets.forEach(setTiers => {
+    const sequence = WaterfallTier.validateTierSequence(setTiers);
+    validate(sequence.isValid, sequence.errors.join('; '));
+  });
+}
+
+/**
+ * Helper to read the threshold of a bulk-create tier
+ * (irrHurdle and thresholdAmount, or thresholdType with its value)
+ */
+function getBulkTierThreshold(tier) {
+  return {
+    thresholdType: tier.thresholdType || null,
+    thresholdAmount: tier.thresholdAmount || null,
+    thresholdIrr: tier.irrHurdle || tier.thresholdIrr || null,
+    thresholdMultiple: tier.thresholdMultiple || null
+  };
+}
+
 /**
  * @route   POST /api/waterfall-tiers
- * @desc    Create a new waterfall tier
+ * @desc    Create a new waterfall tier (of the structure, or of one of its investor classes)
  * @access  Private (requires authentication)
  */
 router.post('/', authenticate, catchAsync(async (req, res) => {
@@ -20,12 +77,15 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
 
   const {
     structureId,
+    investorClassId,
     tierNumber,
     tierName,
     lpSharePercent,
     gpSharePercent,
     thresholdAmount,
     thresholdIrr,
+    thresholdType,
+    thresholdMultiple,
     description,
     isActive
   } = req.body;
@@ -33,7 +93,7 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
   // Validate required fields
   validate(structureId, 'Structure ID is required');
   validate(tierNumber !== undefined, 'Tier number is required');
-  validate(tierNumber >= 1 && tierNumber <= 4, 'Tier number must be between 1 and 4');
+  validate(Number.isInteger(tierNumber) && tierNumber >= 1, 'Tier number must be a positive integer');
   validate(lpSharePercent !== undefined, 'LP share percent is required');
   validate(gpSharePercent !== undefined, 'GP share percent is required');
 
@@ -44,6 +104,7 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
     const canEdit = await canEditStructure(structure, userRole, userId, StructureAdmin);
     validate(canEdit, 'Unauthorized access to structure');
   }
+  await validateInvestorClass(structureId, investorClassId);
 
   // Validate percentages
   validate(lpSharePercent + gpSharePercent === 100, 'LP and GP shares must sum to 100%');
@@ -53,12 +114,15 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
   // Create waterfall tier
   const tierData = {
     structureId,
+    investorClassId: investorClassId || null,
     tierNumber,
     tierName: tierName?.trim() || `Tier ${tierNumber}`,
     lpSharePercent,
     gpSharePercent,
     thresholdAmount: thresholdAmount || null,
     thresholdIrr: thresholdIrr || null,
+    thresholdType: thresholdType || null,
+    thresholdMultiple: thresholdMultiple || null,
     description: description?.trim() || '',
     isActive: isActive !== undefined ? isActive : true,
     userId
@@ -67,6 +131,7 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
   // Validate tier configuration
   const validation = WaterfallTier.validateTier(tierData);
   validate(validation.isValid, validation.errors.join(', '));
+  await validateAgainstActiveTiers(structureId, tierData);
 
   const tier = await WaterfallTier.create(tierData);
 
@@ -81,17 +146,25 @@ router.post('/', authenticate, catchAsync(async (req, res) => {
  * @route   POST /api/waterfall-tiers/bulk-create
  * @desc    Create multiple waterfall tiers from an array
  * @access  Private (requires authentication)
- * @body    { structureId: string, tiers: Array<{ name, managementFee, gpSplit, irrHurdle, preferredReturn }> }
+ * @body    { structureId: string, investorClassId?: string, tiers: Array<{ name, managementFee, gpSplit, irrHurdle, preferredReturn, thresholdType, thresholdAmount, thresholdMultiple }> }
  */
 router.post('/bulk-create', authenticate, catchAsync(async (req, res) => {
   const { userId, userRole } = getUserContext(req);
-  const { structureId, tiers } = req.body;
+  const { structureId, investorClassId, tiers } = req.body;
 
   // Validate required fields
   validate(structureId, 'Structure ID is required');
   validate(Array.isArray(tiers), 'Tiers must be an array');
   validate(tiers.length > 0, 'At least one tier must be provided');
-  validate(tiers.length <= 4, 'Maximum 4 tiers allowed');
+
+  // Tiers are numbered in the order given; check they make a coherent waterfall
+  const sequence = WaterfallTier.validateTierSequence(tiers.map((tier, i) => ({
+    tierNumber: i + 1,
+    lpSharePercent: 100 - (tier.gpSplit || 0),
+    gpSharePercent: tier.gpSplit || 0,
+    ...getBulkTierThreshold(tier)
+  })));
+  validate(sequence.isValid, sequence.errors.join('; '));
 
   // Validate structure exists and user has edit access
   const structure = await Structure.findById(structureId);
@@ -100,6 +173,7 @@ router.post('/bulk-create', authenticate, catchAsync(async (req, res) => {
     const canEdit = await canEditStructure(structure, userRole, userId, StructureAdmin);
     validate(canEdit, 'Unauthorized access to structure');
   }
+  await validateInvestorClass(structureId, investorClassId);
 
   const createdTiers = [];
   const errors = [];
@@ -131,12 +205,12 @@ router.post('/bulk-create', authenticate, catchAsync(async (req, res) => {
       // Create tier data
       const tierData = {
         structureId,
+        investorClassId: investorClassId || null,
         tierNumber,
         tierName: tier.name.trim(),
         lpSharePercent,
         gpSharePercent,
-        thresholdAmount: tier.thresholdAmount || null,
-        thresholdIrr: tier.irrHurdle || null,
+        ...getBulkTierThreshold(tier),
         description: descriptionParts.join(' | '),
         isActive: tier.isActive !== undefined ? tier.isActive : true,
         userId
@@ -195,9 +269,9 @@ router.post('/structure/:structureId/create-default', authenticate, catchAsync(a
     validate(canEdit, 'Unauthorized access to structure');
   }
 
-  // If replace is true, delete existing tiers first
+  // If replace is true, delete the structure's existing tiers first (investor class tiers are kept)
   if (replace === true) {
-    const existingTiers = await WaterfallTier.findByStructureId(structureId);
+    const existingTiers = (await WaterfallTier.findByStructureId(structureId)).filter(tier => !tier.investorClassId);
     for (const tier of existingTiers) {
       await WaterfallTier.findByIdAndDelete(tier.id);
     }
@@ -301,6 +375,54 @@ router.get('/structure/:structureId/summary', authenticate, catchAsync(async (re
   });
 }));
 
+/**
+ * @route   POST /api/waterfall-tiers/structure/:structureId/preview
+ * @desc    Run a hypothetical distribution through the structure's waterfall (saved tiers, or proposed ones)
+ * @access  Private (requires authentication, structure edit access)
+ * @body    { amount: number, date?: string, investmentId?: string, tiers?: Array<tier> }
+ */
+router.post('/structure/:structureId/preview', authenticate, catchAsync(async (req, res) => {
+  const { userId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { amount, date, investmentId, tiers } = req.body;
+
+  validate(Number(amount) > 0, 'Amount must be greater than 0');
+  validate(!date || !isNaN(new Date(date).getTime()), 'Date must be a valid date');
+  validate(tiers === undefined || Array.isArray(tiers), 'Tiers must be an array');
+
+  // Validate structure exists and user has edit access (the preview shows every LP's allocations)
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+  if (userRole !== ROLES.ROOT) {
+    const canEdit = await canEditStructure(structure, userRole, userId, StructureAdmin);
+    validate(canEdit, 'Unauthorized access to structure');
+  }
+
+  if (tiers) {
+    tiers.forEach(tier => {
+      const validation = WaterfallTier.validateTier({ thresholdIrr: null, thresholdAmount: null, ...tier });
+      validate(validation.isValid, `Tier ${tier.tierNumber}: ${validation.errors.join(', ')}`);
+    });
+    const sequence = WaterfallTier.validateTierSequence(tiers);
+    validate(sequence.isValid, sequence.errors.join('; '));
+  }
+
+  const inputs = await Distribution.getWaterfallInputs({
+    id: null,
+    structureId,
+    distributionDate: date || new Date().toISOString().split('T')[0],
+    totalAmount: Number(amount),
+    investmentId: investmentId || null
+  });
+  const waterfall = runWaterfall(tiers ? { ...inputs, tiers } : inputs);
+
+  res.status(200).json({
+    success: true,
+    message: 'Waterfall preview calculated successfully',
+    data: { tierSource: tiers ? 'proposed' : 'saved', ...waterfall }
+  });
+}));
+
 /**
  * @route   GET /api/waterfall-tiers/:id
  * @desc    Get a single waterfall tier by ID
@@ -343,7 +465,7 @@ router.put('/:id', authenticate, catchAsync(async (req, res) => {
   const updateData = {};
   const allowedFields = [
     'tierName', 'lpSharePercent', 'gpSharePercent', 'thresholdAmount',
-    'thresholdIrr', 'description', 'isActive'
+    'thresholdIrr', 'thresholdType', 'thresholdMultiple', 'description', 'isActive'
   ];
 
   for (const field of allowedFields) {
@@ -361,6 +483,11 @@ router.put('/:id', authenticate, catchAsync(async (req, res) => {
     validate(lpShare + gpShare === 100, 'LP and GP shares must sum to 100%');
   }
 
+  const updatedFields = { ...tier, ...updateData };
+  const validation = WaterfallTier.validateTier(updatedFields);
+  validate(validation.isValid, validation.errors.join(', '));
+  await validateAgainstActiveTiers(tier.structureId, updatedFields, id);
+
   const updatedTier = await WaterfallTier.findByIdAndUpdate(id, updateData);
 
   res.status(200).json({
@@ -390,6 +517,22 @@ router.put('/structure/:structureId/bulk-update', authenticate, catchAsync(async
     validate(canEdit, 'Unauthorized access to structure');
   }
 
+  for (const investorClassId of new Set(tiers.filter(t => !t.id).map(t => t.investorClassId))) {
+    await validateInvestorClass(structureId, investorClassId);
+  }
+
+  // Check the tiers the structure and each investor class will end up with
+  const existingTiers = await WaterfallTier.findByStructureId(structureId);
+  const resultingTiers = [
+    ...existingTiers.map(existing => ({
+      ...existing,
+      ...tiers.find(t => t.id === existing.id),
+      investorClassId: existing.investorClassId
+    })),
+    ...tiers.filter(t => !t.id)
+  ].filter(t => t.isActive !== false);
+  validateTierSets(resultingTiers);
+
   const updatedTiers = await WaterfallTier.bulkUpdateTiers(structureId, tiers, userId);
 
   res.status(200).json({
@@ -0,0 +1,200 @@
+/**
+ * Withholding Tax API Routes
+ * Endpoints for LP treaty-rate and exemption elections on distribution withholding tax,
+ * and for previewing the withholding an LP would bear on a distribution.
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, validate } = require('../middleware/errorHandler');
+const { canCreate, getUserContext, ROLES } = require('../middleware/rbac');
+const { WithholdingTaxElection, Structure, StructureInvestor, Document, Distribution } = require('../models/supabase');
+const { INCOME_SOURCES, ELECTION_TYPES, calculateWithholding } = require('../utils/withholdingTax');
+
+const router = express.Router();
+
+/**
+ * Helper to reject writes from users who cannot manage structures
+ */
+function denyUnlessManager(req, res) {
+  const { userRole } = getUserContext(req);
+  if (canCreate(userRole)) return false;
+
+  res.status(403).json({
+    success: false,
+    message: 'Access denied. Only Root and Admin users can manage withholding tax elections.',
+  });
+  return true;
+}
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+/**
+ * Helper to check whether the user can see every LP's elections (others see only their own)
+ */
+function isManager(userRole) {
+  return userRole === ROLES.ROOT || userRole === ROLES.ADMIN || userRole === ROLES.SUPPORT;
+}
+
+/**
+ * @route   GET /api/structures/:structureId/withholding-elections
+ * @desc    Get a structure's withholding tax elections (optionally one LP's); LPs see their own only
+ * @access  Private (requires authentication)
+ * @query   { userId?: string, status?: 'Active'|'Revoked' }
+ */
+router.get('/:structureId/withholding-elections', authenticate, catchAsync(async (req, res) => {
+  const { userId: currentUserId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { status } = req.query;
+  const userId = isManager(userRole) ? req.query.userId : currentUserId;
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const elections = await WithholdingTaxElection.findByStructureId(structureId, { userId, status });
+
+  res.status(200).json({
+    success: true,
+    count: elections.length,
+    data: elections
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/withholding-elections
+ * @desc    Record a treaty-reduced rate or an exemption for an LP, backed by a supporting document
+ * @access  Private (Root, Admin only)
+ * @body    { userId, electionType: 'treaty'|'exemption', rate?, treatyCountry?, incomeSources?, documentId, effectiveDate, expiryDate?, notes? }
+ */
+router.post('/:structureId/withholding-elections', authenticate, catchAsync(async (req, res) => {
+  if (denyUnlessManager(req, res)) return;
+
+  const { userId: createdBy } = getUserContext(req);
+  const { structureId } = req.params;
+  const {
+    userId,
+    electionType,
+    rate,
+    treatyCountry,
+    incomeSources,
+    documentId,
+    effectiveDate,
+    expiryDate,
+    notes
+  } = req.body || {};
+
+  validate(userId, 'userId is required');
+  validate(ELECTION_TYPES.includes(electionType), `Election type must be one of: ${ELECTION_TYPES.join(', ')}`);
+  if (electionType === 'treaty') {
+    validate(rate !== undefined && rate !== null && rate !== '', 'Treaty rate is required');
+    validate(Number(rate) >= 0 && Number(rate) <= 100, 'Treaty rate must be between 0 and 100');
+  }
+  validate(
+    incomeSources === undefined || incomeSources === null
+      || (Array.isArray(incomeSources) && incomeSources.every(s => INCOME_SOURCES.includes(s))),
+    `Income sources must be a list of: ${INCOME_SOURCES.join(', ')}`
+  );
+  validate(documentId, 'A supporting document is required');
+  validate(effectiveDate && isValidDate(effectiveDate), 'A valid effective date is required');
+  validate(!expiryDate || (isValidDate(expiryDate) && new Date(expiryDate) >= new Date(effectiveDate)),
+    'Expiry date must be a valid date on or after the effective date');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const investor = await StructureInvestor.findByUserAndStructure(userId, structureId);
+  validate(investor, 'User is not an investor of this structure');
+
+  const document = await Document.findById(documentId);
+  validate(document, 'Supporting document not found');
+
+  const election = await WithholdingTaxElection.create({
+    structureId,
+    userId,
+    electionType,
+    rate: electionType === 'treaty' ? Number(rate) : null,
+    treatyCountry: treatyCountry?.trim() || null,
+    incomeSources: incomeSources?.length ? [...new Set(incomeSources)] : null,
+    documentId,
+    effectiveDate,
+    expiryDate: expiryDate || null,
+    status: 'Active',
+    notes: notes?.trim() || null,
+    createdBy
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Withholding tax election recorded successfully',
+    data: election
+  });
+}));
+
+/**
+ * @route   PATCH /api/structures/:structureId/withholding-elections/:electionId/revoke
+ * @desc    Revoke an election; allocations already created keep the withholding they were given
+ * @access  Private (Root, Admin only)
+ */
+router.patch('/:structureId/withholding-elections/:electionId/revoke', authenticate, catchAsync(async (req, res) => {
+  if (denyUnlessManager(req, res)) return;
+
+  const { structureId, electionId } = req.params;
+
+  const election = await WithholdingTaxElection.findById(electionId);
+  validate(election && election.structureId === structureId, 'Withholding tax election not found');
+  validate(election.status === 'Active', 'Withholding tax election is already revoked');
+
+  const revoked = await WithholdingTaxElection.findByIdAndUpdate(electionId, {
+    status: 'Revoked',
+    notes: req.body?.reason ? [election.notes, `Revoked: ${req.body.reason}`].filter(Boolean).join('\n') : election.notes
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Withholding tax election revoked successfully',
+    data: revoked
+  });
+}));
+
+/**
+ * @route   POST /api/structures/:structureId/withholding-preview
+ * @desc    Preview the withholding on an LP's gross amount (by income source, with the LP's elections);
+ *          LPs can only preview their own
+ * @access  Private (requires authentication)
+ * @body    { userId: string, amount: number, returnOfCapital?: number, date?: string, sourceEquityGain?, sourceDebtInterest?, sourceDebtPrincipal?, sourceOther? }
+ */
+router.post('/:structureId/withholding-preview', authenticate, catchAsync(async (req, res) => {
+  const { userId: currentUserId, userRole } = getUserContext(req);
+  const { structureId } = req.params;
+  const { userId: requestedUserId, amount, returnOfCapital, date, ...sources } = req.body || {};
+  const userId = isManager(userRole) ? requestedUserId : currentUserId;
+
+  validate(userId, 'userId is required');
+  validate(Number(amount) > 0, 'Amount must be greater than 0');
+  validate(!date || isValidDate(date), 'Date must be a valid date');
+
+  const structure = await Structure.findById(structureId);
+  validate(structure, 'Structure not found');
+
+  const inputs = await Distribution.getWithholdingInputs(structureId, [userId]);
+  const withholding = calculateWithholding({
+    amount: Number(amount),
+    returnOfCapital: Number(returnOfCapital) || 0,
+    distribution: {
+      distributionDate: date || new Date().toISOString().split('T')[0],
+      sourceEquityGain: sources.sourceEquityGain,
+      sourceDebtInterest: sources.sourceDebtInterest,
+      sourceDebtPrincipal: sources.sourceDebtPrincipal,
+      sourceOther: sources.sourceOther
+    },
+    structure: inputs.structure,
+    investor: inputs.investors.get(userId),
+    elections: inputs.elections.filter(e => e.userId === userId)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { userId, ...withholding }
+  });
+}));
+
+module.exports = router;
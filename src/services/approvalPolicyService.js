@@ -0,0 +1,431 @@
+/**
+ * Approval Policy Service
+ *
+ * Evaluates per-structure approval chains for capital calls and distributions:
+ * - Ordered stages, each naming the approver roles and/or structure admins allowed to sign off
+ * - Quorum per stage (e.g. 2 of 3 named approvers)
+ * - Amount thresholds (minAmount) that add a stage only for larger transactions
+ * - Segregation of duties: the creator/submitter cannot approve, and nobody signs off on two stages
+ *
+ * The applicable stages are snapshotted into the entity's approvalProgress when it is
+ * submitted for review, so editing a policy does not change chains already in flight.
+ * Each submission and approval bumps the entity's approvalVersion; approvals are only
+ * written against the version they were computed from.
+ * Structures without a policy fall back to a single Root/Admin stage (the legacy workflow).
+ */
+
+const { CapitalCall, Distribution, StructureAdmin, User, ApprovalPolicy } = require('../models/supabase');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const { ROLES } = require('../middleware/rbac');
+
+const ENTITY_TYPES = ['capital_call', 'distribution'];
+const APPROVER_ROLES = [ROLES.ROOT, ROLES.ADMIN, ROLES.SUPPORT];
+
+const DEFAULT_STAGES = [{
+  key: 'admin',
+  name: 'Admin Approval',
+  roles: [ROLES.ROOT, ROLES.ADMIN],
+  userIds: [],
+  quorum: 1,
+  minAmount: null
+}];
+
+const ENTITY_MODELS = {
+  capital_call: CapitalCall,
+  distribution: Distribution
+};
+
+/**
+ * Normalize a stage definition from user input
+ * @param {Object} stage - Raw stage
+ * @param {number} index - Position in the chain
+ * @returns {Object} { key, name, roles, userIds, quorum, minAmount }
+ */
+function normalizeStage(stage, index) {
+  const minAmount = stage.minAmount !== undefined && stage.minAmount !== null && stage.minAmount !== ''
+    ? Number(stage.minAmount)
+    : null;
+
+  return {
+    key: (stage.key || `stage_${index + 1}`).toString().trim(),
+    name: (stage.name || '').toString().trim(),
+    roles: Array.isArray(stage.roles) ? stage.roles.map(Number) : [],
+    userIds: Array.isArray(stage.userIds) ? [...new Set(stage.userIds)] : [],
+    quorum: Math.max(1, parseInt(stage.quorum, 10) || 1),
+    minAmount
+  };
+}
+
+/**
+ * Validate a policy definition
+ * @param {Object} policy - { stages }
+ * @param {Array<string>} structureAdminUserIds - Users listed in structure_admins for the structure
+ * @returns {{ valid: boolean, errors: Array<string>, stages: Array }}
+ */
+function validatePolicy(policy, structureAdminUserIds = []) {
+  const errors = [];
+
+  if (!Array.isArray(policy?.stages) || policy.stages.length === 0) {
+    return { valid: false, errors: ['At least one approval stage is required'], stages: [] };
+  }
+
+  const stages = policy.stages.map(normalizeStage);
+  const adminIds = new Set(structureAdminUserIds);
+  const seenKeys = new Set();
+
+  stages.forEach((stage, index) => {
+    const label = stage.name || `Stage ${index + 1}`;
+
+    if (!stage.name) errors.push(`Stage ${index + 1}: name is required`);
+    if (seenKeys.has(stage.key)) errors.push(`${label}: duplicate stage key "${stage.key}"`);
+    seenKeys.add(stage.key);
+
+    if (stage.roles.length === 0 && stage.userIds.length === 0) {
+      errors.push(`${label}: specify approver roles or named approvers`);
+    }
+    const invalidRoles = stage.roles.filter(r => !APPROVER_ROLES.includes(r));
+    if (invalidRoles.length > 0) {
+      errors.push(`${label}: invalid approver roles ${invalidRoles.join(', ')}`);
+    }
+    const unknownUsers = stage.userIds.filter(id => !adminIds.has(id));
+    if (unknownUsers.length > 0) {
+      errors.push(`${label}: named approvers must be admins of the structure (${unknownUsers.join(', ')})`);
+    }
+    if (stage.roles.length === 0 && stage.quorum > stage.userIds.length) {
+      errors.push(`${label}: quorum of ${stage.quorum} exceeds the ${stage.userIds.length} named approvers`);
+    }
+    if (stage.minAmount !== null && (isNaN(stage.minAmount) || stage.minAmount < 0)) {
+      errors.push(`${label}: minAmount must be a non-negative number`);
+    }
+  });
+
+  if (!stages.some(s => s.minAmount === null || s.minAmount === 0)) {
+    errors.push('At least one stage must apply regardless of amount');
+  }
+
+  return { valid: errors.length === 0, errors, stages };
+}
+
+/**
+ * Policy used when a structure has none configured
+ * @param {string} entityType - 'capital_call' or 'distribution'
+ * @returns {Object}
+ */
+function getDefaultPolicy(entityType) {
+  return {
+    id: null,
+    structureId: null,
+    entityType,
+    stages: DEFAULT_STAGES,
+    segregationOfDuties: false,
+    isDefault: true
+  };
+}
+
+/**
+ * Load the effective policy for a structure
+ * @param {string} structureId - Structure ID
+ * @param {string} entityType - 'capital_call' or 'distribution'
+ * @returns {Promise<Object>}
+ */
+async function getApprovalPolicy(structureId, entityType) {
+  const policy = structureId
+    ? await ApprovalPolicy.findByStructureAndEntity(structureId, entityType)
+    : null;
+  return policy ? { ...policy, isDefault: false } : getDefaultPolicy(entityType);
+}
+
+/**
+ * Amount a policy's thresholds are compared against
+ * @param {string} entityType - 'capital_call' or 'distribution'
+ * @param {Object} entity - Capital call or distribution (camelCase)
+ * @returns {number}
+ */
+function getEntityAmount(entityType, entity) {
+  if (entityType === 'distribution') return Number(entity.totalAmount) || 0;
+  return Number(entity.totalDrawdown || entity.totalCallAmount) || 0;
+}
+
+/**
+ * Stages of a policy that apply to a given amount, in order
+ * @param {Object} policy - Approval policy
+ * @param {number} amount - Transaction amount
+ * @returns {Array}
+ */
+function getApplicableStages(policy, amount) {
+  return (policy.stages || [])
+    .map(normalizeStage)
+    .filter(stage => stage.minAmount === null || amount >= stage.minAmount);
+}
+
+/**
+ * Snapshot the chain for an entity being submitted for review
+ * @param {Object} policy - Approval policy
+ * @param {number} amount - Transaction amount
+ * @param {Object} options - { submittedBy }
+ * @returns {Object} approvalProgress
+ */
+function buildApprovalProgress(policy, amount, options = {}) {
+  return {
+    policyId: policy.id || null,
+    segregationOfDuties: !!policy.segregationOfDuties,
+    amount,
+    submittedBy: options.submittedBy || null,
+    submittedAt: new Date().toISOString(),
+    currentStageIndex: 0,
+    stages: getApplicableStages(policy, amount).map(stage => ({ ...stage, approvals: [] }))
+  };
+}
+
+/**
+ * Progress for an entity pending approval. Entities submitted before policies
+ * existed have none stored and are evaluated against the default chain.
+ * @param {string} entityType - 'capital_call' or 'distribution'
+ * @param {Object} entity - Capital call or distribution (camelCase)
+ * @returns {Object} approvalProgress
+ */
+function getApprovalProgress(entityType, entity) {
+  if (entity.approvalProgress?.stages?.length) return entity.approvalProgress;
+  return buildApprovalProgress(getDefaultPolicy(entityType), getEntityAmount(entityType, entity));
+}
+
+/**
+ * Stage awaiting sign-off, or null when the chain is complete
+ * @param {Object} progress - approvalProgress
+ * @returns {Object|null}
+ */
+function getCurrentStage(progress) {
+  return progress?.stages?.[progress.currentStageIndex] || null;
+}
+
+/**
+ * History metadata describing a stage
+ * @param {Object} progress - approvalProgress
+ * @param {number} stageIndex - Stage position (defaults to the current stage)
+ * @returns {Object}
+ */
+function getStageMetadata(progress, stageIndex = progress?.currentStageIndex) {
+  const stage = progress?.stages?.[stageIndex];
+  if (!stage) return {};
+  return {
+    stageKey: stage.key,
+    stageName: stage.name,
+    stageIndex,
+    stageCount: progress.stages.length,
+    quorum: stage.quorum,
+    approvals: stage.approvals.length
+  };
+}
+
+/**
+ * Check whether a user may act on the current stage (no database access)
+ * @param {Object} progress - approvalProgress
+ * @param {Object} actor - { userId, userRole }
+ * @param {Object} options
+ * @param {string} options.createdBy - Entity creator
+ * @param {Array<string>} options.structureAdminUserIds - Current structure admins (named approvers must still be one)
+ * @param {boolean} options.forApproval - Apply segregation-of-duties and duplicate-approval checks
+ * @returns {{ allowed: boolean, reason: string|null, stage: Object|null }}
+ */
+function checkApprover(progress, actor, options = {}) {
+  const { createdBy = null, structureAdminUserIds = null, forApproval = true } = options;
+  const stage = getCurrentStage(progress);
+
+  if (!stage) {
+    return { allowed: false, reason: 'No approval stage is pending', stage: null };
+  }
+
+  const byRole = stage.roles.includes(actor.userRole);
+  const byName = stage.userIds.includes(actor.userId)
+    && (!structureAdminUserIds || structureAdminUserIds.includes(actor.userId));
+
+  if (!byRole && !byName) {
+    return { allowed: false, reason: `You are not an approver for the "${stage.name}" stage`, stage };
+  }
+
+  if (!forApproval) {
+    return { allowed: true, reason: null, stage };
+  }
+
+  if (stage.approvals.some(a => a.userId === actor.userId)) {
+    return { allowed: false, reason: `You have already approved the "${stage.name}" stage`, stage };
+  }
+
+  if (progress.segregationOfDuties) {
+    if (actor.userId === createdBy || actor.userId === progress.submittedBy) {
+      return { allowed: false, reason: 'Segregation of duties: the creator or submitter cannot approve', stage };
+    }
+    const approvedEarlierStage = progress.stages
+      .slice(0, progress.currentStageIndex)
+      .some(s => s.approvals.some(a => a.userId === actor.userId));
+    if (approvedEarlierStage) {
+      return { allowed: false, reason: 'Segregation of duties: you already approved an earlier stage', stage };
+    }
+  }
+
+  return { allowed: true, reason: null, stage };
+}
+
+/**
+ * Add an approval to the current stage (no database access)
+ * @param {Object} progress - approvalProgress
+ * @param {Object} actor - { userId, userName }
+ * @returns {{ progress: Object, stageIndex: number, stageComplete: boolean, complete: boolean, nextStage: Object|null }}
+ */
+function applyApproval(progress, actor) {
+  const stageIndex = progress.currentStageIndex;
+  const stages = progress.stages.map((stage, index) => (index === stageIndex
+    ? {
+      ...stage,
+      approvals: [...stage.approvals, {
+        userId: actor.userId,
+        userName: actor.userName,
+        approvedAt: new Date().toISOString()
+      }]
+    }
+    : stage));
+
+  const stageComplete = stages[stageIndex].approvals.length >= stages[stageIndex].quorum;
+  const currentStageIndex = stageComplete ? stageIndex + 1 : stageIndex;
+  const complete = currentStageIndex >= stages.length;
+
+  return {
+    progress: { ...progress, stages, currentStageIndex },
+    stageIndex,
+    stageComplete,
+    complete,
+    nextStage: complete ? null : stages[currentStageIndex]
+  };
+}
+
+/**
+ * Check whether a user may act on an entity's current stage
+ * @param {string} entityType - 'capital_call' or 'distribution'
+ * @param {Object} entity - Capital call or distribution (camelCase)
+ * @param {Object} actor - { userId, userRole }
+ * @param {Object} options - { forApproval }
+ * @returns {Promise<{ allowed: boolean, reason: string|null, stage: Object|null, progress: Object }>}
+ */
+async function evaluateApprover(entityType, entity, actor, options = {}) {
+  const progress = getApprovalProgress(entityType, entity);
+  const stage = getCurrentStage(progress);
+
+  let structureAdminUserIds = null;
+  if (stage?.userIds.length > 0) {
+    const admins = await StructureAdmin.findByStructureId(entity.structureId);
+    structureAdminUserIds = admins.map(a => a.userId);
+  }
+
+  const result = checkApprover(progress, actor, {
+    createdBy: entity.createdBy,
+    structureAdminUserIds,
+    forApproval: options.forApproval !== false
+  });
+
+  return { ...result, progress };
+}
+
+/**
+ * Record an approval against an entity's current stage, advancing the chain.
+ * The entity moves to 'approved' once the final stage reaches quorum.
+ * @param {string} entityType - 'capital_call' or 'distribution'
+ * @param {Object} entity - Capital call or distribution (camelCase)
+ * @param {Object} actor - { userId, userRole, userName }
+ * @param {Object} options - { notes, metadata, completeFields } (completeFields are saved with the final approval)
+ * @returns {Promise<Object>} { allowed, reason } or { allowed, entity, stage, stageComplete, complete, nextStage, progress }
+ */
+async function recordStageApproval(entityType, entity, actor, options = {}) {
+  const evaluation = await evaluateApprover(entityType, entity, actor);
+  if (!evaluation.allowed) {
+    return { allowed: false, reason: evaluation.reason };
+  }
+
+  const result = applyApproval(evaluation.progress, actor);
+  const toStatus = result.complete ? 'approved' : entity.approvalStatus;
+
+  // Only written if no other approval, rejection or resubmission landed since the entity was read
+  const updated = await ENTITY_MODELS[entityType].updateIfApprovalUnchanged(entity.id, entity, {
+    ...(result.complete ? options.completeFields : {}),
+    approvalStatus: toStatus,
+    approvalProgress: result.progress
+  });
+  if (!updated) {
+    return { allowed: false, reason: 'The approval chain changed while this approval was being recorded; reload and try again' };
+  }
+
+  await ApprovalHistory.logAction({
+    entityType,
+    entityId: entity.id,
+    action: result.complete ? 'cfo_approved' : 'stage_approved',
+    fromStatus: entity.approvalStatus,
+    toStatus,
+    userId: actor.userId,
+    userName: actor.userName,
+    notes: options.notes,
+    metadata: {
+      ...options.metadata,
+      ...getStageMetadata(result.progress, result.stageIndex),
+      stageComplete: result.stageComplete
+    }
+  });
+
+  return {
+    allowed: true,
+    entity: updated,
+    stage: result.progress.stages[result.stageIndex],
+    stageComplete: result.stageComplete,
+    complete: result.complete,
+    nextStage: result.nextStage,
+    progress: result.progress
+  };
+}
+
+/**
+ * Users to notify for a stage: Root users for the Root role, structure admins
+ * holding any other listed role, and the stage's named approvers.
+ * @param {string} structureId - Structure ID
+ * @param {Object} stage - Approval stage
+ * @param {Object} options - { excludeUserIds }
+ * @returns {Promise<Array>} Users (camelCase)
+ */
+async function getStageApprovers(structureId, stage, options = {}) {
+  const exclude = new Set((options.excludeUserIds || []).filter(Boolean));
+  const approvers = new Map();
+
+  if (stage.roles.includes(ROLES.ROOT)) {
+    const rootUsers = await User.find({ role: ROLES.ROOT });
+    rootUsers.forEach(u => approvers.set(u.id, u));
+  }
+
+  const otherRoles = stage.roles.filter(r => r !== ROLES.ROOT);
+  if (structureId && (otherRoles.length > 0 || stage.userIds.length > 0)) {
+    const admins = await StructureAdmin.findByStructureId(structureId);
+    admins
+      .filter(a => a.user && (otherRoles.includes(a.user.role) || stage.userIds.includes(a.userId)))
+      .forEach(a => {
+        if (!approvers.has(a.user.id)) approvers.set(a.user.id, a.user);
+      });
+  }
+
+  return [...approvers.values()].filter(u => !exclude.has(u.id));
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  DEFAULT_STAGES,
+  normalizeStage,
+  validatePolicy,
+  getDefaultPolicy,
+  getApprovalPolicy,
+  getEntityAmount,
+  getApplicableStages,
+  buildApprovalProgress,
+  getApprovalProgress,
+  getCurrentStage,
+  getStageMetadata,
+  checkApprover,
+  applyApproval,
+  evaluateApprover,
+  recordStageApproval,
+  getStageApprovers
+};
@@ -3,10 +3,13 @@
  *
  * Generates ILPA-compliant Capital Account Statement PDFs.
  * Shows opening/closing balances, capital call activity,
- * distribution activity, fee summary, and balance continuity.
+ * distribution activity, fee summary, balance continuity,
+ * for structures with recallable distributions, the LP's recallable ledger
+ * and the LP's share of partnership expenses per category.
  */
 
 const PDFDocument = require('pdfkit');
+const { EXPENSE_CATEGORY_LABELS } = require('../utils/expenseAllocation');
 
 const COLORS = {
   primary: '#2D1B69',
@@ -26,7 +29,8 @@ const COLORS = {
  * @param {Array} callAllocations - Capital call allocations for this investor
  * @param {Array} distAllocations - Distribution allocations for this investor
  * @param {Object} period - { startDate, endDate }
- * @param {Object} options - { firmName, currency }
+ * @param {Object} options - { firmName, currency, recallable, expenses } (recallable: LP balance and
+ *   ledger entries; expenses: LP's share of partnership expenses for the period and to date)
  * @returns {Promise<Buffer>} PDF buffer
  */
 async function generateCapitalAccountStatementPDF(investor, structure, callAllocations, distAllocations, period, options = {}) {
@@ -126,6 +130,16 @@ async function generateCapitalAccountStatementPDF(investor, structure, callAlloc
         currency
       });
 
+      // Section F: Recallable Distributions
+      if (options.recallable) {
+        addRecallableLedger(doc, options.recallable, period, currency);
+      }
+
+      // Section G: Partnership Expenses
+      if (options.expenses?.toDate.total > 0) {
+        addPartnershipExpenses(doc, options.expenses, currency);
+      }
+
       // Footer
       addStatementFooter(doc, firmName);
 
@@ -516,6 +530,160 @@ function addBalanceContinuity(doc, data) {
   doc.y = currentY + 20;
 }
 
+function addRecallableLedger(doc, recallable, period, currency) {
+  if (doc.y > 500) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('SECTION F: RECALLABLE DISTRIBUTIONS', 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+
+  const summaryData = [
+    ['Recallable Distributions to Date', formatCurrency(recallable.credited, currency)],
+    ['Recycled by Capital Calls', `-${formatCurrency(recallable.debited, currency)}`],
+    ['Recallable Balance', formatCurrency(recallable.balance, currency)],
+  ];
+  if (recallable.limit !== null && recallable.limit !== undefined) {
+    summaryData.push(['Recallable Limit', formatCurrency(recallable.limit, currency)]);
+    summaryData.push(['Remaining Capacity', formatCurrency(recallable.remainingCapacity, currency)]);
+  }
+
+  let currentY = doc.y;
+  summaryData.forEach(([label, value]) => {
+    const isHighlight = label === 'Recallable Balance';
+
+    doc.fontSize(10)
+       .fillColor(isHighlight ? COLORS.primary : COLORS.muted)
+       .font(isHighlight ? 'Helvetica-Bold' : 'Helvetica')
+       .text(label, 60, currentY);
+
+    doc.fillColor(isHighlight ? COLORS.primary : COLORS.text)
+       .text(String(value), 250, currentY, { width: 150, align: 'right' })
+       .font('Helvetica');
+
+    currentY += 18;
+  });
+
+  const periodEntries = (recallable.entries || []).filter(e =>
+    e.entryDate >= period.startDate && e.entryDate <= period.endDate
+  );
+
+  if (periodEntries.length > 0) {
+    const headers = ['Date', 'Description', 'Credit', 'Debit'];
+    const colWidths = [80, 235, 90, 90];
+    let colX = 55;
+    currentY += 10;
+
+    doc.fontSize(8)
+       .font('Helvetica-Bold')
+       .fillColor(COLORS.primary);
+
+    headers.forEach((header, i) => {
+      doc.text(header, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    doc.moveTo(50, currentY + 12)
+       .lineTo(562, currentY + 12)
+       .stroke(COLORS.border);
+
+    currentY += 18;
+    doc.font('Helvetica')
+       .fillColor(COLORS.text);
+
+    periodEntries.forEach((entry) => {
+      if (currentY > 700) {
+        doc.addPage();
+        currentY = 50;
+      }
+
+      colX = 55;
+      const rowData = [
+        formatDateShort(entry.entryDate),
+        entry.description || '',
+        entry.entryType === 'credit' ? formatCurrency(entry.amount, currency) : '',
+        entry.entryType === 'debit' ? formatCurrency(entry.amount, currency) : ''
+      ];
+
+      doc.fontSize(8);
+      rowData.forEach((value, i) => {
+        doc.text(value, colX, currentY, { width: colWidths[i] });
+        colX += colWidths[i];
+      });
+
+      currentY += 14;
+    });
+  }
+
+  doc.y = currentY + 20;
+}
+
+function addPartnershipExpenses(doc, expenses, currency) {
+  if (doc.y > 550) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('SECTION G: PARTNERSHIP EXPENSES (YOUR SHARE)', 60, startY + 7);
+
+  doc.y = startY + 35;
+
+  const headers = ['Category', 'This Period', 'Inception to Date'];
+  const colWidths = [200, 130, 130];
+  let colX = 60;
+  let currentY = doc.y;
+
+  doc.fontSize(9)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, currentY, { width: colWidths[i], align: i === 0 ? 'left' : 'right' });
+    colX += colWidths[i];
+  });
+
+  doc.moveTo(60, currentY + 13)
+     .lineTo(520, currentY + 13)
+     .stroke(COLORS.border);
+
+  currentY += 20;
+  doc.fillColor(COLORS.text);
+
+  const rows = Object.keys(expenses.toDate.byCategory).map(category => [
+    EXPENSE_CATEGORY_LABELS[category] || category,
+    formatCurrency(expenses.period.byCategory[category] || 0, currency),
+    formatCurrency(expenses.toDate.byCategory[category], currency)
+  ]);
+  rows.push(['Total Partnership Expenses', formatCurrency(expenses.period.total, currency), formatCurrency(expenses.toDate.total, currency)]);
+
+  rows.forEach((row, rowIndex) => {
+    colX = 60;
+    doc.fontSize(9)
+       .font(rowIndex === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+    row.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i], align: i === 0 ? 'left' : 'right' });
+      colX += colWidths[i];
+    });
+    currentY += 15;
+  });
+
+  doc.font('Helvetica');
+  doc.y = currentY + 20;
+}
+
 function addStatementFooter(doc, firmName) {
   const pages = doc.bufferedPageRange();
 
@@ -0,0 +1,235 @@
+/**
+ * Capital Call Cancellation Service
+ *
+ * Unwinds a capital call that has already left draft:
+ * - Marks the call 'Cancelled' and voids every allocation (payments under review are rejected)
+ * - Creates a refund obligation for each amount already received from an LP in cash;
+ *   reinvestment credits netted against the call are restored to the LP instead
+ *   (see reinvestmentService.releaseReinvestmentCredits)
+ * - Rolls the call back out of the structure's total called capital
+ *
+ * Drafts are hard-deleted instead. Every step is logged to approval_history.
+ */
+
+const { CapitalCall, CapitalCallPayment, CapitalCallRefund, Structure } = require('../models/supabase');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+
+const CANCELLED_STATUS = 'Cancelled';
+const VOIDED_STATUS = 'Voided';
+const REFUND_STATUSES = ['Pending', 'Paid', 'Waived'];
+const SYSTEM_USER_NAME = 'System';
+
+// Calls in these states count toward the structure's called capital
+const CALLED_STATUSES = ['Sent', 'Paid', 'Fully Paid', 'Partially Paid'];
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Amount actually received on an allocation (approved payments only)
+ * @param {Object} allocation - capital_call_allocations row (snake_case)
+ * @param {number} [nonCashAmount] - Part of it settled without cash (netted reinvestment credits)
+ * @returns {number}
+ */
+function getReceivedAmount(allocation, nonCashAmount = 0) {
+  // Legacy rows without an approval status were approved when marked paid
+  const approved = allocation.payment_approval_status
+    ? allocation.payment_approval_status === 'approved'
+    : ['Paid', 'Partially Paid'].includes(allocation.status);
+  if (!approved) return 0;
+
+  const received = (parseFloat(allocation.paid_amount) || 0) + (parseFloat(allocation.default_interest_paid) || 0);
+  return round2(Math.max(0, received - nonCashAmount));
+}
+
+/**
+ * Amounts each allocation of a call settled with reinvestment credits
+ * @param {Array} payments - CapitalCallPayment records of the call
+ * @returns {Object} allocationId -> amount
+ */
+function getReinvestedByAllocation(payments) {
+  const reinvested = {};
+  payments
+    .filter(p => p.paymentMethod === 'reinvestment' && p.approvalStatus === 'approved')
+    .forEach(p => {
+      reinvested[p.allocationId] = round2((reinvested[p.allocationId] || 0) + p.amount);
+    });
+  return reinvested;
+}
+
+/**
+ * Whether a capital call can be cancelled (drafts are deleted instead)
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+function canCancel(capitalCall) {
+  if (capitalCall.status === CANCELLED_STATUS) {
+    return { allowed: false, reason: 'Capital call is already cancelled' };
+  }
+  if (capitalCall.status === 'Draft') {
+    return { allowed: false, reason: 'Draft capital calls are deleted, not cancelled' };
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Whether a payment can still be recorded against an allocation
+ * Cancelled calls are settled through refund obligations, not further payments.
+ * @param {string} capitalCallStatus - Status of the allocation's capital call
+ * @param {Object} allocation - capital_call_allocations row (snake_case)
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+function canAcceptPayment(capitalCallStatus, allocation) {
+  if (capitalCallStatus === CANCELLED_STATUS) {
+    return { allowed: false, reason: 'Capital call is cancelled; no further payments can be recorded' };
+  }
+  if (allocation?.status === VOIDED_STATUS) {
+    return { allowed: false, reason: 'Allocation is voided; no further payments can be recorded' };
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Cancel a capital call and unwind its allocations
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Object} options - { reason }
+ * @param {Object} actor - { userId, userName }
+ * @returns {Promise<{ capitalCall: Object, allocations: Array, refunds: Array, totalCalledRolledBack: number }>}
+ */
+async function cancelCapitalCall(capitalCall, options = {}, actor = {}) {
+  const check = canCancel(capitalCall);
+  if (!check.allowed) {
+    throw new Error(check.reason);
+  }
+
+  const now = new Date().toISOString();
+  const withAllocations = await CapitalCall.findWithAllocations(capitalCall.id);
+  const allocations = withAllocations?.capital_call_allocations || [];
+  const reinvestedByAllocation = getReinvestedByAllocation(await CapitalCallPayment.findByCapitalCallId(capitalCall.id));
+
+  // Void allocations; payments still under review are rejected rather than refunded
+  for (const allocation of allocations) {
+    const pendingPayment = allocation.payment_approval_status === 'pending';
+    if (pendingPayment) {
+      await CapitalCallPayment.reviewPendingByAllocationId(allocation.id, 'rejected', actor.userId);
+    }
+
+    await CapitalCall.updateAllocation(allocation.id, {
+      status: VOIDED_STATUS,
+      status_before_void: allocation.status,
+      voided_at: now,
+      ...(pendingPayment ? { payment_approval_status: 'rejected' } : {})
+    });
+  }
+
+  const refunds = await CapitalCallRefund.createMany(
+    allocations
+      .map(allocation => ({ allocation, amount: getReceivedAmount(allocation, reinvestedByAllocation[allocation.id]) }))
+      .filter(({ amount }) => amount > 0)
+      .map(({ allocation, amount }) => ({
+        capitalCallId: capitalCall.id,
+        allocationId: allocation.id,
+        userId: allocation.user_id,
+        amount,
+        status: 'Pending',
+        notes: `Refund for cancelled Capital Call #${capitalCall.callNumber}`,
+        createdBy: actor.userId || null
+      }))
+  );
+
+  const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(capitalCall.id, {
+    status: CANCELLED_STATUS,
+    totalUnpaidAmount: 0,
+    cancelledAt: now,
+    cancelledBy: actor.userId || null,
+    cancellationReason: options.reason || null
+  });
+
+  // Roll the call back out of the structure's called capital
+  let totalCalledRolledBack = 0;
+  const wasCalled = capitalCall.approvalStatus === 'approved' || CALLED_STATUSES.includes(capitalCall.status);
+  if (wasCalled) {
+    const structure = await Structure.findById(capitalCall.structureId);
+    const currentTotalCalled = parseFloat(structure?.totalCalled) || 0;
+    if (currentTotalCalled > 0) {
+      const callTotal = allocations.reduce((sum, a) => sum + (parseFloat(a.total_drawdown || a.total_due || a.principal_amount) || 0), 0)
+        || parseFloat(capitalCall.totalDrawdown || capitalCall.totalCallAmount) || 0;
+      totalCalledRolledBack = round2(Math.min(callTotal, currentTotalCalled));
+      await Structure.updateFinancials(capitalCall.structureId, {
+        totalCalled: round2(currentTotalCalled - totalCalledRolledBack)
+      });
+    }
+  }
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: capitalCall.id,
+    action: 'cancelled',
+    fromStatus: capitalCall.status,
+    toStatus: CANCELLED_STATUS,
+    userId: actor.userId || null,
+    userName: actor.userName || SYSTEM_USER_NAME,
+    notes: options.reason || null,
+    metadata: {
+      voidedAllocations: allocations.length,
+      refunds: refunds.map(r => ({ refundId: r.id, userId: r.userId, amount: r.amount })),
+      totalRefund: round2(refunds.reduce((sum, r) => sum + r.amount, 0)),
+      totalCalledRolledBack
+    }
+  });
+
+  return { capitalCall: updatedCapitalCall, allocations, refunds, totalCalledRolledBack };
+}
+
+/**
+ * Settle a refund obligation (paid out or waived by the LP)
+ * @param {Object} refund - Refund (camelCase)
+ * @param {Object} data - { status, paymentReference, notes }
+ * @param {Object} actor - { userId, userName }
+ * @returns {Promise<Object>} Updated refund
+ */
+async function settleRefund(refund, data, actor = {}) {
+  if (!REFUND_STATUSES.includes(data.status) || data.status === 'Pending') {
+    throw new Error('Refund status must be Paid or Waived');
+  }
+  if (refund.status !== 'Pending') {
+    throw new Error(`Refund is already ${refund.status}`);
+  }
+
+  const updated = await CapitalCallRefund.findByIdAndUpdate(refund.id, {
+    status: data.status,
+    paymentReference: data.paymentReference || null,
+    paidAt: data.status === 'Paid' ? new Date().toISOString() : null,
+    notes: data.notes || refund.notes
+  });
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: refund.capitalCallId,
+    action: data.status === 'Paid' ? 'refund_paid' : 'refund_waived',
+    fromStatus: refund.status,
+    toStatus: data.status,
+    userId: actor.userId || null,
+    userName: actor.userName || SYSTEM_USER_NAME,
+    notes: data.notes || null,
+    metadata: {
+      refundId: refund.id,
+      allocationId: refund.allocationId,
+      userId: refund.userId,
+      amount: refund.amount,
+      paymentReference: data.paymentReference || null
+    }
+  });
+
+  return updated;
+}
+
+module.exports = {
+  CANCELLED_STATUS,
+  VOIDED_STATUS,
+  REFUND_STATUSES,
+  getReceivedAmount,
+  canCancel,
+  canAcceptPayment,
+  cancelCapitalCall,
+  settleRefund
+};
@@ -0,0 +1,499 @@
+/**
+ * Capital Call Default Service
+ *
+ * Handles investors who fail to fund a capital call:
+ * - Moves allocations still unpaid after the structure's grace period to 'Defaulted'. The
+ *   period runs from the call deadline, or for installment calls from the earliest unpaid
+ *   installment, so a missed first or middle installment defaults without waiting for the last
+ * - Accrues late interest on the outstanding amount (structure day count convention); on
+ *   installment calls each unpaid installment accrues from its own due date
+ * - Applies LPA remedies: forfeiture, forced sale of the interest, or reallocation
+ *   of the shortfall to the non-defaulting LPs through a supplementary capital call
+ * - Cures a default once the investor's approved payments cover both the outstanding amount
+ *   and the late interest (or when the GP waives it)
+ *
+ * Every transition is logged to approval_history against the parent capital call.
+ */
+
+const { CapitalCall, StructureInvestor } = require('../models/supabase');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const { calculateInterest, actualDaysBetween } = require('../utils/interest-calculator');
+const { createOvercall } = require('./capitalCallOvercallService');
+
+const DEFAULT_STATUS = 'Defaulted';
+const REMEDIES = ['forfeiture', 'forced_sale', 'reallocation'];
+const DEFAULT_GRACE_PERIOD_DAYS = 10;
+const SETTLEMENT_TOLERANCE = 0.01;
+const SYSTEM_USER_NAME = 'System';
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Amount still owed on an allocation
+ * @param {Object} allocation - Allocation in default workflow format
+ * @returns {number}
+ */
+function getOutstandingAmount(allocation) {
+  return round2(Math.max(0, (allocation.totalDue || 0) - (allocation.paidAmount || 0)));
+}
+
+/**
+ * Late interest still owed on a defaulted allocation
+ * @param {Object} allocation - Allocation in default workflow format
+ * @returns {number}
+ */
+function getOutstandingDefaultInterest(allocation) {
+  return round2(Math.max(0, (allocation.defaultInterestAmount || 0) - (allocation.defaultInterestPaid || 0)));
+}
+
+/**
+ * Check whether the investor has paid everything a default requires to be cured
+ * @param {Object} allocation - Allocation in default workflow format
+ * @returns {{ settled: boolean, outstanding: number, defaultInterest: number }}
+ */
+function getDefaultSettlement(allocation) {
+  const outstanding = getOutstandingAmount(allocation);
+  const defaultInterest = getOutstandingDefaultInterest(allocation);
+  return {
+    settled: outstanding <= SETTLEMENT_TOLERANCE && defaultInterest <= SETTLEMENT_TOLERANCE,
+    outstanding,
+    defaultInterest
+  };
+}
+
+/**
+ * Check whether the grace period after the call deadline has elapsed
+ * @param {string} deadlineDate - Capital call deadline
+ * @param {number} gracePeriodDays - Days of grace granted by the LPA
+ * @param {Date|string} asOfDate - Evaluation date
+ * @returns {boolean}
+ */
+function isPastGracePeriod(deadlineDate, gracePeriodDays, asOfDate = new Date()) {
+  if (!deadlineDate) return false;
+  const graceDays = gracePeriodDays != null ? Number(gracePeriodDays) : DEFAULT_GRACE_PERIOD_DAYS;
+  return actualDaysBetween(deadlineDate, asOfDate) > graceDays;
+}
+
+/**
+ * Late interest owed on a defaulted amount
+ * Interest runs from the due date, so recomputing it is idempotent.
+ * @param {number} outstanding - Unpaid amount
+ * @param {number} annualRate - Default interest rate as a percentage
+ * @param {string} deadlineDate - Capital call deadline (or installment due date)
+ * @param {Date|string} asOfDate - Accrual date
+ * @param {string} convention - Day count convention
+ * @returns {{ interest: number, dayCount: number, yearFraction: number }}
+ */
+function calculateDefaultInterest(outstanding, annualRate, deadlineDate, asOfDate, convention = 'actual_365') {
+  return calculateInterest(outstanding, annualRate, deadlineDate, asOfDate, convention || 'actual_365');
+}
+
+/**
+ * Date an allocation's unpaid amount first fell due: the earliest unpaid installment's due date,
+ * or the call deadline for single-deadline calls
+ * @param {Object} allocation - Allocation in default workflow format
+ * @returns {string|null}
+ */
+function getOverdueSince(allocation) {
+  return allocation.earliestUnpaidDueDate || allocation.capitalCall?.deadlineDate || null;
+}
+
+/**
+ * Late interest owed on an allocation's overdue amounts
+ * @param {Object} allocation - Allocation in default workflow format
+ * @param {Date|string} asOfDate - Accrual date
+ * @returns {number}
+ */
+function calculateAllocationDefaultInterest(allocation, asOfDate) {
+  const structure = allocation.structure || {};
+  const installments = allocation.installments || [];
+
+  if (installments.length === 0) {
+    return calculateDefaultInterest(
+      getOutstandingAmount(allocation),
+      structure.defaultInterestRate,
+      allocation.capitalCall?.deadlineDate,
+      asOfDate,
+      structure.dayCountConvention
+    ).interest;
+  }
+
+  const asOf = toDateString(asOfDate);
+  return round2(installments
+    .filter(i => i.status !== 'Paid' && i.dueDate < asOf)
+    .reduce((sum, i) => sum + calculateDefaultInterest(
+      Math.max(0, i.amountDue - i.paidAmount),
+      structure.defaultInterestRate,
+      i.dueDate,
+      asOfDate,
+      structure.dayCountConvention
+    ).interest, 0));
+}
+
+/**
+ * Amount forfeited from a defaulting investor's capital account
+ * @param {number} capitalAccountBalance - Capital contributed by the investor
+ * @param {number} forfeiturePercent - Percentage forfeited per the LPA
+ * @returns {number}
+ */
+function calculateForfeiture(capitalAccountBalance, forfeiturePercent) {
+  const pct = Math.min(100, Math.max(0, Number(forfeiturePercent) || 0));
+  return round2(Math.max(0, capitalAccountBalance || 0) * (pct / 100));
+}
+
+/**
+ * Capital contributed by an investor in a structure (sum of capital paid across calls)
+ * @param {string} structureId - Structure ID
+ * @param {string} userId - Investor user ID
+ * @returns {Promise<number>}
+ */
+async function getCapitalAccountBalance(structureId, userId) {
+  const calls = await CapitalCall.findByStructureId(structureId);
+  let total = 0;
+
+  for (const call of calls) {
+    if (call.status === 'Draft') continue;
+    for (const allocation of call.investorAllocations || []) {
+      if (allocation.investorId === userId) {
+        total += allocation.capitalPaid;
+      }
+    }
+  }
+
+  return round2(total);
+}
+
+/**
+ * Move an allocation to 'Defaulted' and accrue interest to date
+ * @param {Object} allocation - Allocation in default workflow format
+ * @param {Object} actor - { userId, userName }
+ * @param {Object} options - { asOfDate, notes }
+ * @returns {Promise<Object>} Updated allocation
+ */
+async function markAllocationDefaulted(allocation, actor = {}, options = {}) {
+  const asOfDate = options.asOfDate || new Date();
+  const outstanding = getOutstandingAmount(allocation);
+  const structure = allocation.structure || {};
+  const interest = calculateAllocationDefaultInterest(allocation, asOfDate);
+
+  const updated = await CapitalCall.updateAllocation(allocation.id, {
+    status: DEFAULT_STATUS,
+    defaulted_at: new Date().toISOString(),
+    default_outstanding_amount: outstanding,
+    default_interest_amount: interest,
+    default_interest_accrued_through: toDateString(asOfDate),
+    default_resolved_at: null
+  });
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: allocation.capitalCallId,
+    action: 'investor_defaulted',
+    fromStatus: allocation.status,
+    toStatus: DEFAULT_STATUS,
+    userId: actor.userId || null,
+    userName: actor.userName || SYSTEM_USER_NAME,
+    notes: options.notes || `Allocation unpaid after ${structure.defaultGracePeriodDays ?? DEFAULT_GRACE_PERIOD_DAYS}-day grace period`,
+    metadata: {
+      allocationId: allocation.id,
+      userId: allocation.userId,
+      outstandingAmount: outstanding,
+      defaultInterest: interest
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Recompute late interest on a defaulted allocation
+ * @param {Object} allocation - Defaulted allocation in default workflow format
+ * @param {Date|string} asOfDate - Accrual date
+ * @returns {Promise<Object>} Updated allocation
+ */
+async function accrueDefaultInterest(allocation, asOfDate = new Date()) {
+  const outstanding = getOutstandingAmount(allocation);
+  const interest = calculateAllocationDefaultInterest(allocation, asOfDate);
+
+  return CapitalCall.updateAllocation(allocation.id, {
+    default_outstanding_amount: outstanding,
+    default_interest_amount: interest,
+    default_interest_accrued_through: toDateString(asOfDate)
+  });
+}
+
+/**
+ * Daily pass: default allocations past their grace period and accrue interest on open defaults
+ * @param {Date|string} asOfDate - Evaluation date
+ * @returns {Promise<{ defaulted: Array, accrued: number }>}
+ */
+async function processCapitalCallDefaults(asOfDate = new Date()) {
+  const overdue = await CapitalCall.findOverdueAllocations(toDateString(asOfDate));
+  const defaulted = [];
+
+  for (const allocation of overdue) {
+    if (getOutstandingAmount(allocation) <= 0) continue;
+    // Payments under review are not treated as defaults
+    if (allocation.paymentApprovalStatus === 'pending') continue;
+    if (!isPastGracePeriod(getOverdueSince(allocation), allocation.structure?.defaultGracePeriodDays, asOfDate)) continue;
+
+    try {
+      const updated = await markAllocationDefaulted(allocation, {}, { asOfDate });
+      defaulted.push(updated);
+    } catch (err) {
+      console.error(`[CapitalCallDefaults] Error defaulting allocation ${allocation.id}:`, err);
+    }
+  }
+
+  const openDefaults = await CapitalCall.findDefaultedAllocations();
+  let accrued = 0;
+
+  for (const allocation of openDefaults) {
+    if (defaulted.some(d => d.id === allocation.id)) continue;
+    try {
+      await accrueDefaultInterest(allocation, asOfDate);
+      accrued++;
+    } catch (err) {
+      console.error(`[CapitalCallDefaults] Error accruing interest on allocation ${allocation.id}:`, err);
+    }
+  }
+
+  return { defaulted, accrued };
+}
+
+/**
+ * Forfeit a percentage of the defaulting investor's capital account
+ */
+async function applyForfeiture(allocation, options) {
+  const structureId = allocation.capitalCall.structureId;
+  const forfeiturePercent = options.forfeiturePercent != null
+    ? Number(options.forfeiturePercent)
+    : (allocation.structure?.defaultForfeiturePercent ?? 0);
+  const capitalAccountBalance = await getCapitalAccountBalance(structureId, allocation.userId);
+  const forfeitedAmount = calculateForfeiture(capitalAccountBalance, forfeiturePercent);
+
+  return {
+    fields: { forfeited_amount: forfeitedAmount },
+    details: { forfeiturePercent, capitalAccountBalance, forfeitedAmount }
+  };
+}
+
+/**
+ * Transfer the defaulting investor's commitment to a buyer
+ */
+async function applyForcedSale(allocation, options) {
+  const structureId = allocation.capitalCall.structureId;
+  if (!options.buyerUserId) {
+    throw new Error('buyerUserId is required for a forced sale');
+  }
+  if (options.buyerUserId === allocation.userId) {
+    throw new Error('Buyer must be a different investor');
+  }
+
+  const seller = await StructureInvestor.findByUserAndStructure(allocation.userId, structureId);
+  if (!seller) {
+    throw new Error('Defaulting investor is not linked to this structure');
+  }
+
+  const transferredCommitment = parseFloat(seller.commitment) || 0;
+  const buyer = await StructureInvestor.findByUserAndStructure(options.buyerUserId, structureId);
+
+  await StructureInvestor.upsert({
+    userId: options.buyerUserId,
+    structureId,
+    commitment: (parseFloat(buyer?.commitment) || 0) + transferredCommitment,
+    status: buyer?.status || 'active'
+  });
+  await StructureInvestor.findByIdAndUpdate(seller.id, { commitment: 0 });
+  await StructureInvestor.recalculateOwnership(structureId);
+
+  const salePrice = options.salePrice != null ? round2(Number(options.salePrice)) : null;
+  const capitalAccountBalance = await getCapitalAccountBalance(structureId, allocation.userId);
+
+  return {
+    fields: {
+      forfeited_amount: salePrice != null ? round2(Math.max(0, capitalAccountBalance - salePrice)) : 0
+    },
+    details: {
+      buyerUserId: options.buyerUserId,
+      transferredCommitment,
+      salePrice,
+      capitalAccountBalance
+    }
+  };
+}
+
+/**
+ * Reallocate the unfunded capital of a default to the non-defaulting LPs
+ * through a supplementary capital call linked to the original call
+ */
+async function applyReallocation(allocation, options, actor) {
+  const { capitalCall, overcall } = await createOvercall(allocation.capitalCallId, {
+    shortfallUserIds: [allocation.userId],
+    callType: 'reallocation',
+    notes: options.notes
+  }, actor);
+
+  return {
+    fields: {},
+    details: {
+      supplementaryCapitalCallId: capitalCall.id,
+      supplementaryCallNumber: capitalCall.callNumber,
+      shortfall: overcall.shortfall,
+      reallocatedAmount: overcall.reallocatedAmount,
+      unallocatedAmount: overcall.unallocatedAmount,
+      allocations: overcall.allocations
+    }
+  };
+}
+
+/**
+ * Apply an LPA remedy to a defaulted allocation
+ * @param {string} allocationId - Allocation ID
+ * @param {string} remedy - One of REMEDIES
+ * @param {Object} options - { forfeiturePercent, buyerUserId, salePrice, notes }
+ * @param {Object} actor - { userId, userName }
+ * @returns {Promise<{ allocation: Object, remedy: string, details: Object }>}
+ */
+async function applyDefaultRemedy(allocationId, remedy, options = {}, actor = {}) {
+  if (!REMEDIES.includes(remedy)) {
+    throw new Error(`Invalid remedy. Must be one of: ${REMEDIES.join(', ')}`);
+  }
+
+  const allocation = await CapitalCall.findAllocationById(allocationId);
+  if (!allocation) {
+    throw new Error('Allocation not found');
+  }
+  if (allocation.status !== DEFAULT_STATUS) {
+    throw new Error('Remedies can only be applied to defaulted allocations');
+  }
+
+  let result;
+  switch (remedy) {
+    case 'forfeiture':
+      result = await applyForfeiture(allocation, options);
+      break;
+    case 'forced_sale':
+      result = await applyForcedSale(allocation, options);
+      break;
+    case 'reallocation':
+      result = await applyReallocation(allocation, options, actor);
+      break;
+  }
+
+  const updated = await CapitalCall.updateAllocation(allocationId, {
+    ...result.fields,
+    default_remedy: remedy,
+    default_remedy_applied_at: new Date().toISOString(),
+    default_remedy_details: result.details
+  });
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: allocation.capitalCallId,
+    action: 'default_remedy_applied',
+    fromStatus: DEFAULT_STATUS,
+    toStatus: DEFAULT_STATUS,
+    userId: actor.userId || null,
+    userName: actor.userName || SYSTEM_USER_NAME,
+    notes: options.notes || `Remedy applied: ${remedy}`,
+    metadata: {
+      allocationId,
+      userId: allocation.userId,
+      remedy,
+      ...result.details
+    }
+  });
+
+  return { allocation: updated, remedy, details: result.details };
+}
+
+/**
+ * Lift a default once the investor has paid (or the GP waives it)
+ * @param {string} allocationId - Allocation ID
+ * @param {Object} actor - { userId, userName }
+ * @param {string} notes - Reason for curing the default
+ * @returns {Promise<Object>} Updated allocation
+ */
+async function cureDefault(allocationId, actor = {}, notes = null) {
+  const allocation = await CapitalCall.findAllocationById(allocationId);
+  if (!allocation) {
+    throw new Error('Allocation not found');
+  }
+  if (allocation.status !== DEFAULT_STATUS) {
+    throw new Error('Allocation is not in default');
+  }
+
+  const outstanding = getOutstandingAmount(allocation);
+  const toStatus = outstanding <= SETTLEMENT_TOLERANCE ? 'Paid' : (allocation.paidAmount > 0 ? 'Partially Paid' : 'Pending');
+
+  const updated = await CapitalCall.updateAllocation(allocationId, {
+    status: toStatus,
+    default_resolved_at: new Date().toISOString()
+  });
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: allocation.capitalCallId,
+    action: 'default_cured',
+    fromStatus: DEFAULT_STATUS,
+    toStatus,
+    userId: actor.userId || null,
+    userName: actor.userName || SYSTEM_USER_NAME,
+    notes,
+    metadata: {
+      allocationId,
+      userId: allocation.userId,
+      outstandingAmount: outstanding,
+      defaultInterest: allocation.defaultInterestAmount,
+      defaultInterestPaid: allocation.defaultInterestPaid
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Cure a default through payment: only once the approved payments cover the outstanding
+ * amount and the late interest. Called after a payment on a defaulted allocation is approved.
+ * @param {string} allocationId - Allocation ID
+ * @param {Object} actor - { userId, userName }
+ * @param {string} notes - Notes for the approval history
+ * @returns {Promise<{ cured: boolean, allocation: Object, outstanding: number, defaultInterest: number }>}
+ */
+async function cureDefaultOnPayment(allocationId, actor = {}, notes = null) {
+  const allocation = await CapitalCall.findAllocationById(allocationId);
+  if (!allocation) {
+    throw new Error('Allocation not found');
+  }
+
+  const { settled, outstanding, defaultInterest } = getDefaultSettlement(allocation);
+  if (allocation.status !== DEFAULT_STATUS || !settled) {
+    return { cured: false, allocation, outstanding, defaultInterest };
+  }
+
+  const updated = await cureDefault(allocationId, actor, notes || 'Outstanding amount and late interest paid in full');
+  return { cured: true, allocation: updated, outstanding, defaultInterest };
+}
+
+module.exports = {
+  DEFAULT_STATUS,
+  REMEDIES,
+  getOutstandingAmount,
+  getOutstandingDefaultInterest,
+  getDefaultSettlement,
+  isPastGracePeriod,
+  getOverdueSince,
+  calculateDefaultInterest,
+  calculateAllocationDefaultInterest,
+  calculateForfeiture,
+  getCapitalAccountBalance,
+  markAllocationDefaulted,
+  accrueDefaultInterest,
+  processCapitalCallDefaults,
+  applyDefaultRemedy,
+  cureDefault,
+  cureDefaultOnPayment
+};
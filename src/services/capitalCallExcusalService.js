@@ -0,0 +1,182 @@
+/**
+ * Capital Call Excusal Service
+ *
+ * LPs excused from a capital call (ESG restrictions, sanctions, side letters):
+ * - Excused LPs fund none of the call's investments; their share of them is redistributed
+ *   pro-rata among the participating LPs when allocations are calculated, while their
+ *   management fee, fund expenses and reserves stay with them (see getInvestmentOwnership)
+ * - The excusal is recorded against every investment the call funds, so distributions
+ *   from that investment leave the LP out
+ * - Draft calls that already have allocations are recalculated on every change, releasing and
+ *   re-applying the fee accruals billed and fee offsets applied on them, and clearing any
+ *   recorded limit override
+ *
+ * Every change is logged to approval_history.
+ */
+
+const { CapitalCall, CapitalCallExcusal, CapitalCallLineItem, StructureInvestor } = require('../models/supabase');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const { syncAllocationInstallments } = require('./capitalCallInstallmentService');
+const { syncAllocationLineItems } = require('./capitalCallLineItemService');
+const { billFeeAccruals, releaseFeeAccruals } = require('./feeAccrualService');
+const { applyFeeOffsets, releaseFeeOffsets } = require('./feeOffsetService');
+const { clearCapitalCallLimitOverride } = require('./capitalCallLimitService');
+
+const EXCUSAL_REASONS = ['esg', 'sanctions', 'side_letter', 'regulatory', 'other'];
+const SYSTEM_USER_NAME = 'System';
+
+/**
+ * Investments a capital call funds (its investment line items, or its header investment)
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @returns {Promise<Array<string>>} Investment IDs
+ */
+async function getCallInvestmentIds(capitalCall) {
+  if (capitalCall.lineItemCount > 0) {
+    const lineItems = await CapitalCallLineItem.findByCapitalCallId(capitalCall.id);
+    return [...new Set(lineItems.map(item => item.investmentId).filter(Boolean))];
+  }
+  return capitalCall.investmentId ? [capitalCall.investmentId] : [];
+}
+
+/**
+ * Recalculate the allocations of a draft call after its participants changed
+ * The accruals and offsets applied to the old allocations are released and applied again to
+ * the new ones, as when allocations are first created.
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Object} [actor] - { userId }
+ * @returns {Promise<Array|null>} New allocations, or null when the call had none
+ */
+async function recalculateAllocations(capitalCall, actor = {}) {
+  const withAllocations = await CapitalCall.findWithAllocations(capitalCall.id);
+  if ((withAllocations?.capital_call_allocations || []).length === 0) return null;
+
+  if (capitalCall.billAccruedFees) {
+    await releaseFeeAccruals(capitalCall.id);
+  }
+  await releaseFeeOffsets(capitalCall.id, actor);
+
+  await CapitalCall.deleteAllocations(capitalCall.id);
+  let allocations = await CapitalCall.createAllocationsForStructure(capitalCall.id, capitalCall.structureId);
+
+  if (capitalCall.billAccruedFees) {
+    allocations = (await billFeeAccruals(capitalCall, allocations)).allocations;
+  }
+  allocations = (await applyFeeOffsets(capitalCall, allocations, actor)).allocations;
+
+  if (capitalCall.installmentCount > 0) {
+    await syncAllocationInstallments(capitalCall.id);
+  }
+  if (capitalCall.lineItemCount > 0) {
+    await syncAllocationLineItems(capitalCall.id);
+  }
+
+  await clearCapitalCallLimitOverride(capitalCall);
+
+  return allocations;
+}
+
+/**
+ * Excuse an LP from a draft capital call
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Object} data - { userId, reasonType, reason }
+ * @param {Object} actor - { userId, userName }
+ * @returns {Promise<{ valid: boolean, errors: Array, excusal?: Object, exclusions?: Array, allocations?: Array|null }>}
+ */
+async function excuseInvestor(capitalCall, data, actor = {}) {
+  const errors = [];
+  const reasonType = data.reasonType || 'other';
+
+  if (!EXCUSAL_REASONS.includes(reasonType)) {
+    errors.push(`Reason type must be one of: ${EXCUSAL_REASONS.join(', ')}`);
+  }
+  if (reasonType === 'other' && !data.reason?.trim()) {
+    errors.push('A reason is required for other excusals');
+  }
+
+  const [structureInvestors, excusals] = await Promise.all([
+    StructureInvestor.findByStructureId(capitalCall.structureId),
+    CapitalCallExcusal.findByCapitalCallId(capitalCall.id)
+  ]);
+  const investorIds = new Set(structureInvestors.map(si => si.userId));
+  const excusedIds = new Set(excusals.map(e => e.userId));
+
+  if (!investorIds.has(data.userId)) {
+    errors.push('Investor is not part of this structure');
+  } else if (excusedIds.has(data.userId)) {
+    errors.push('Investor is already excused from this capital call');
+  } else if ([...investorIds].every(id => id === data.userId || excusedIds.has(id))) {
+    errors.push('At least one investor must participate in the capital call');
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+
+  const excusal = await CapitalCallExcusal.create({
+    capitalCallId: capitalCall.id,
+    userId: data.userId,
+    reasonType,
+    reason: data.reason?.trim() || null,
+    createdBy: actor.userId || null
+  });
+
+  const investmentIds = await getCallInvestmentIds(capitalCall);
+  const exclusions = await CapitalCallExcusal.addInvestmentExclusions(investmentIds.map(investmentId => ({
+    investmentId,
+    userId: data.userId,
+    capitalCallId: capitalCall.id,
+    reasonType,
+    reason: excusal.reason
+  })));
+
+  const allocations = await recalculateAllocations(capitalCall, actor);
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: capitalCall.id,
+    action: 'investor_excused',
+    fromStatus: capitalCall.status,
+    toStatus: capitalCall.status,
+    userId: actor.userId || null,
+    userName: actor.userName || SYSTEM_USER_NAME,
+    notes: excusal.reason,
+    metadata: { excusedUserId: data.userId, reasonType, investmentIds }
+  });
+
+  return { valid: true, errors: [], excusal, exclusions, allocations };
+}
+
+/**
+ * Reinstate an excused LP on a draft capital call
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {string} userId - Excused LP user ID
+ * @param {Object} actor - { userId, userName }
+ * @returns {Promise<{ excusal: Object|null, allocations?: Array|null }>}
+ */
+async function reinstateInvestor(capitalCall, userId, actor = {}) {
+  const excusal = await CapitalCallExcusal.deleteByCapitalCallAndUser(capitalCall.id, userId);
+  if (!excusal) return { excusal: null };
+
+  await CapitalCallExcusal.deleteInvestmentExclusionsForCall(capitalCall.id, userId);
+  const allocations = await recalculateAllocations(capitalCall, actor);
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: capitalCall.id,
+    action: 'investor_reinstated',
+    fromStatus: capitalCall.status,
+    toStatus: capitalCall.status,
+    userId: actor.userId || null,
+    userName: actor.userName || SYSTEM_USER_NAME,
+    notes: null,
+    metadata: { reinstatedUserId: userId, reasonType: excusal.reasonType }
+  });
+
+  return { excusal, allocations };
+}
+
+module.exports = {
+  EXCUSAL_REASONS,
+  getCallInvestmentIds,
+  recalculateAllocations,
+  excuseInvestor,
+  reinstateInvestor
+};
@@ -0,0 +1,258 @@
+/**
+ * Capital Call Installment Service
+ *
+ * Capital calls funded in tranches (e.g. 50% in 10 days, 50% in 30 days):
+ * - A call-level schedule of due dates and percentages of the call
+ * - Each LP allocation's total due split across the schedule (last installment absorbs rounding)
+ * - Installment paid amounts derived from the allocation's paid amount, filling the
+ *   earliest installment first, so approvals and rejections only need a re-sync
+ *
+ * The call's dueDate/deadlineDate track the first/last installment so existing
+ * single-deadline logic (defaults, listings) keeps working.
+ */
+
+const { CapitalCall, CapitalCallInstallment } = require('../models/supabase');
+
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const toDateOnly = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+/**
+ * Validate and normalize an installment schedule
+ * @param {Array} installments - [{ dueDate, percentage?, amount?, description? }]
+ * @param {number} totalAmount - Total call amount (used when installments are given as amounts)
+ * @returns {{ valid: boolean, errors: Array<string>, schedule: Array }}
+ */
+function normalizeSchedule(installments, totalAmount) {
+  const errors = [];
+
+  if (!Array.isArray(installments) || installments.length === 0) {
+    return { valid: false, errors: ['At least one installment is required'], schedule: [] };
+  }
+
+  const schedule = installments.map((installment, index) => {
+    const dueDate = toDateOnly(installment.dueDate);
+    let percentage = installment.percentage !== undefined && installment.percentage !== null && installment.percentage !== ''
+      ? Number(installment.percentage)
+      : null;
+
+    if (percentage === null && installment.amount !== undefined && totalAmount > 0) {
+      percentage = (Number(installment.amount) / totalAmount) * 100;
+    }
+
+    if (!dueDate) errors.push(`Installment ${index + 1}: a valid due date is required`);
+    if (percentage === null || isNaN(percentage) || percentage <= 0) {
+      errors.push(`Installment ${index + 1}: percentage or amount must be positive`);
+    }
+
+    return {
+      installmentNumber: index + 1,
+      dueDate,
+      percentage: percentage !== null && !isNaN(percentage) ? Math.round(percentage * 1e6) / 1e6 : 0,
+      description: installment.description?.trim() || null
+    };
+  });
+
+  for (let i = 1; i < schedule.length; i++) {
+    if (schedule[i].dueDate && schedule[i - 1].dueDate && schedule[i].dueDate <= schedule[i - 1].dueDate) {
+      errors.push(`Installment ${i + 1}: due dates must be in ascending order`);
+    }
+  }
+
+  const totalPercentage = schedule.reduce((sum, i) => sum + i.percentage, 0);
+  if (Math.abs(totalPercentage - 100) > TOLERANCE) {
+    errors.push(`Installment percentages must total 100% (got ${round2(totalPercentage)}%)`);
+  }
+
+  return { valid: errors.length === 0, errors, schedule };
+}
+
+/**
+ * Split an amount across a schedule; the last installment absorbs rounding
+ * @param {number} amount - Amount to split
+ * @param {Array} schedule - [{ percentage }]
+ * @returns {Array<number>}
+ */
+function splitAmount(amount, schedule) {
+  let allocated = 0;
+  return schedule.map((installment, index) => {
+    if (index === schedule.length - 1) return round2(amount - allocated);
+    const share = round2(amount * (installment.percentage / 100));
+    allocated += share;
+    return share;
+  });
+}
+
+/**
+ * Status of an installment from its paid amount
+ * @param {number} amountDue
+ * @param {number} paidAmount
+ * @returns {string}
+ */
+function getInstallmentStatus(amountDue, paidAmount) {
+  if (paidAmount >= amountDue - TOLERANCE) return 'Paid';
+  if (paidAmount > 0) return 'Partially Paid';
+  return 'Pending';
+}
+
+/**
+ * Spread an allocation's total paid amount over its installments, earliest first
+ * @param {Array} installments - [{ installmentNumber, amountDue }]
+ * @param {number} totalPaid - Allocation paid amount
+ * @returns {Array} Installments with paidAmount and status
+ */
+function applyPaidAmount(installments, totalPaid) {
+  let remaining = round2(totalPaid);
+
+  return [...installments]
+    .sort((a, b) => a.installmentNumber - b.installmentNumber)
+    .map(installment => {
+      const paidAmount = round2(Math.min(installment.amountDue, Math.max(0, remaining)));
+      remaining = round2(remaining - paidAmount);
+      return { ...installment, paidAmount, status: getInstallmentStatus(installment.amountDue, paidAmount) };
+    });
+}
+
+/**
+ * Build per-allocation installment rows for a capital call's allocations
+ * @param {Array} schedule - Saved schedule [{ id, installmentNumber, dueDate, percentage }]
+ * @param {Array} allocations - capital_call_allocations rows (snake_case)
+ * @returns {Array} capital_call_allocation_installments rows (snake_case)
+ */
+function buildAllocationInstallmentRows(schedule, allocations) {
+  return allocations.flatMap(allocation => {
+    const totalDue = parseFloat(allocation.total_due) || 0;
+    const amounts = splitAmount(totalDue, schedule);
+    const installments = applyPaidAmount(
+      schedule.map((s, index) => ({ ...s, amountDue: amounts[index] })),
+      parseFloat(allocation.paid_amount) || 0
+    );
+
+    return installments.map(installment => ({
+      capital_call_id: allocation.capital_call_id,
+      allocation_id: allocation.id,
+      installment_id: installment.id,
+      user_id: allocation.user_id,
+      installment_number: installment.installmentNumber,
+      due_date: installment.dueDate,
+      amount_due: installment.amountDue,
+      paid_amount: installment.paidAmount,
+      status: installment.status
+    }));
+  });
+}
+
+/**
+ * Rebuild the per-allocation installments of a capital call from its schedule
+ * @param {string} capitalCallId - Capital call ID
+ * @returns {Promise<Array>} Allocation installments
+ */
+async function syncAllocationInstallments(capitalCallId) {
+  const [schedule, withAllocations] = await Promise.all([
+    CapitalCallInstallment.findByCapitalCallId(capitalCallId),
+    CapitalCall.findWithAllocations(capitalCallId)
+  ]);
+
+  await CapitalCallInstallment.deleteAllocationInstallmentsByCall(capitalCallId);
+  if (schedule.length === 0) return [];
+
+  const allocations = (withAllocations?.capital_call_allocations || [])
+    .map(a => ({ ...a, capital_call_id: a.capital_call_id || capitalCallId }));
+
+  return CapitalCallInstallment.insertAllocationInstallments(buildAllocationInstallmentRows(schedule, allocations));
+}
+
+/**
+ * Set (or replace) the installment schedule of a capital call
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Array} installments - [{ dueDate, percentage?, amount?, description? }]
+ * @returns {Promise<{ valid: boolean, errors: Array, capitalCall?: Object, schedule?: Array, allocationInstallments?: Array }>}
+ */
+async function setInstallmentSchedule(capitalCall, installments) {
+  const totalAmount = parseFloat(capitalCall.totalDrawdown || capitalCall.totalCallAmount) || 0;
+  const { valid, errors, schedule } = normalizeSchedule(installments, totalAmount);
+  if (!valid) return { valid, errors };
+
+  const amounts = splitAmount(totalAmount, schedule);
+  const saved = await CapitalCallInstallment.replaceSchedule(
+    capitalCall.id,
+    schedule.map((installment, index) => ({ ...installment, amount: amounts[index] }))
+  );
+
+  const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(capitalCall.id, {
+    dueDate: saved[0].dueDate,
+    deadlineDate: saved[saved.length - 1].dueDate,
+    installmentCount: saved.length
+  });
+
+  const allocationInstallments = await syncAllocationInstallments(capitalCall.id);
+
+  return { valid: true, errors: [], capitalCall: updatedCapitalCall, schedule: saved, allocationInstallments };
+}
+
+/**
+ * Remove the installment schedule, reverting to a single deadline
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @returns {Promise<Object>} Updated capital call
+ */
+async function clearInstallmentSchedule(capitalCall) {
+  await CapitalCallInstallment.deleteByCapitalCallId(capitalCall.id);
+  return CapitalCall.findByIdAndUpdate(capitalCall.id, { installmentCount: 0 });
+}
+
+/**
+ * Re-apply an allocation's paid amount to its installments (earliest first)
+ * @param {Object} allocation - capital_call_allocations row (snake_case)
+ * @returns {Promise<Array>} Updated allocation installments
+ */
+async function syncInstallmentPayments(allocation) {
+  const installments = await CapitalCallInstallment.findAllocationInstallments(allocation.id);
+  if (installments.length === 0) return [];
+
+  const applied = applyPaidAmount(installments, parseFloat(allocation.paid_amount) || 0);
+
+  return Promise.all(applied.map(installment => {
+    const original = installments.find(i => i.id === installment.id);
+    if (original.paidAmount === installment.paidAmount && original.status === installment.status) {
+      return original;
+    }
+    return CapitalCallInstallment.updateAllocationInstallment(installment.id, {
+      paid_amount: installment.paidAmount,
+      status: installment.status
+    });
+  }));
+}
+
+/**
+ * Attach each allocation's installments (for notices and LP views)
+ * @param {string} capitalCallId - Capital call ID
+ * @param {Array} allocations - capital_call_allocations rows (snake_case)
+ * @returns {Promise<Array>} Allocations with an installments array
+ */
+async function attachAllocationInstallments(capitalCallId, allocations) {
+  const installments = await CapitalCallInstallment.findAllocationInstallmentsByCall(capitalCallId);
+  if (installments.length === 0) return allocations;
+
+  return allocations.map(allocation => ({
+    ...allocation,
+    installments: installments.filter(i => i.allocationId === allocation.id)
+  }));
+}
+
+module.exports = {
+  normalizeSchedule,
+  splitAmount,
+  getInstallmentStatus,
+  applyPaidAmount,
+  buildAllocationInstallmentRows,
+  syncAllocationInstallments,
+  setInstallmentSchedule,
+  clearInstallmentSchedule,
+  syncInstallmentPayments,
+  attachAllocationInstallments
+};
@@ -0,0 +1,240 @@
+/**
+ * Capital Call Limit Service
+ *
+ * Guardrails checked before a capital call can be submitted for review:
+ * - No LP is called above commitment (prior cumulative calls + recallable balance)
+ * - The fund as a whole is not called above total commitments
+ * - A single call does not exceed the structure's capitalCallDefaultPercentage of commitments
+ * - Calls are not issued after the investment period (inception + commitmentPeriodYears)
+ *
+ * Violations block submission until an approver other than the submitter records an override
+ * with a justification (segregation of duties). The override covers the allocations it was
+ * recorded against: rebuilding them clears it.
+ */
+
+const { CapitalCall } = require('../models/supabase');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+const { calculateAllocations } = require('../utils/capitalCallAllocationCalculator');
+
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * End of the investment (commitment) period for a structure
+ * @param {Object} structure - Structure (camelCase)
+ * @returns {Date|null}
+ */
+function getInvestmentPeriodEnd(structure) {
+  if (!structure?.inceptionDate || !structure?.commitmentPeriodYears) return null;
+  const end = new Date(structure.inceptionDate);
+  if (isNaN(end.getTime())) return null;
+  end.setMonth(end.getMonth() + Math.round(Number(structure.commitmentPeriodYears) * 12));
+  return end;
+}
+
+/**
+ * Check a capital call's allocations against commitment and call limits (no database access)
+ * @param {Object} params
+ * @param {Object} params.capitalCall - Capital call (camelCase)
+ * @param {Object} params.structure - Structure (camelCase)
+ * @param {Array} params.allocations - capital_call_allocations rows (snake_case)
+ * @param {Array} params.structureInvestors - Aggregated investor rows (snake_case)
+ * @param {Object} params.cumulativeCalledMap - userId -> amount called by earlier calls
+ * @param {Object} params.cumulativeRecallableMap - userId -> recallable distributions
+ * @returns {{ valid: boolean, violations: Array }}
+ */
+function evaluateCallLimits({
+  capitalCall,
+  structure,
+  allocations,
+  structureInvestors,
+  cumulativeCalledMap = {},
+  cumulativeRecallableMap = {}
+}) {
+  const violations = [];
+  const investorByUser = new Map(structureInvestors.map(si => [si.user_id, si]));
+
+  // 1. Per-LP commitment
+  allocations.forEach(a => {
+    const commitment = investorByUser.get(a.user_id)?.commitment || 0;
+    const previouslyCalled = cumulativeCalledMap[a.user_id] || 0;
+    const recallable = cumulativeRecallableMap[a.user_id] || 0;
+    const callAmount = a.total_drawdown || a.total_due || 0;
+    const available = commitment - previouslyCalled + recallable;
+
+    if (callAmount > available + TOLERANCE) {
+      violations.push({
+        code: 'lp_over_commitment',
+        userId: a.user_id,
+        message: 'Call exceeds the investor\'s remaining unfunded commitment',
+        commitment,
+        previouslyCalled: round2(previouslyCalled),
+        recallable: round2(recallable),
+        limit: round2(Math.max(0, available)),
+        actual: round2(callAmount),
+        excess: round2(callAmount - available)
+      });
+    }
+  });
+
+  // 2. Fund-level commitment
+  const totalCommitment = structureInvestors.reduce((sum, si) => sum + (si.commitment || 0), 0);
+  const totalPreviouslyCalled = Object.values(cumulativeCalledMap).reduce((sum, v) => sum + (v || 0), 0);
+  const totalRecallable = Object.values(cumulativeRecallableMap).reduce((sum, v) => sum + (v || 0), 0);
+  const callTotal = allocations.reduce((sum, a) => sum + (a.total_drawdown || a.total_due || 0), 0);
+  const fundAvailable = totalCommitment - totalPreviouslyCalled + totalRecallable;
+
+  if (totalCommitment > 0 && callTotal > fundAvailable + TOLERANCE) {
+    violations.push({
+      code: 'fund_over_commitment',
+      message: 'Call exceeds the fund\'s remaining unfunded commitments',
+      limit: round2(Math.max(0, fundAvailable)),
+      actual: round2(callTotal),
+      excess: round2(callTotal - fundAvailable)
+    });
+  }
+
+  // 3. Single-call limit (% of total commitments)
+  const callLimitPercent = structure?.capitalCallDefaultPercentage != null
+    ? Number(structure.capitalCallDefaultPercentage)
+    : null;
+  if (callLimitPercent && totalCommitment > 0) {
+    const callLimit = totalCommitment * (callLimitPercent / 100);
+    const callAmount = capitalCall.totalCallAmount || 0;
+    if (callAmount > callLimit + TOLERANCE) {
+      violations.push({
+        code: 'call_limit_exceeded',
+        message: `Call exceeds ${callLimitPercent}% of total commitments`,
+        limitPercent: callLimitPercent,
+        limit: round2(callLimit),
+        actual: round2(callAmount),
+        excess: round2(callAmount - callLimit)
+      });
+    }
+  }
+
+  // 4. Investment period
+  const periodEnd = getInvestmentPeriodEnd(structure);
+  const callDate = new Date(capitalCall.callDate || Date.now());
+  if (periodEnd && callDate > periodEnd) {
+    violations.push({
+      code: 'investment_period_ended',
+      message: 'Call date is after the end of the investment period',
+      investmentPeriodEnd: periodEnd.toISOString().split('T')[0],
+      callDate: callDate.toISOString().split('T')[0]
+    });
+  }
+
+  return { valid: violations.length === 0, violations };
+}
+
+/**
+ * Run the limit checks for a capital call, using its stored allocations when present
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Object} structure - Structure (camelCase)
+ * @returns {Promise<{ valid: boolean, violations: Array, override: Object|null }>}
+ */
+async function checkCapitalCallLimits(capitalCall, structure) {
+  const inputs = await CapitalCall.getAllocationInputs(capitalCall.structureId, capitalCall.id);
+
+  const withAllocations = await CapitalCall.findWithAllocations(capitalCall.id);
+  const storedAllocations = withAllocations?.capital_call_allocations || [];
+  const allocations = storedAllocations.length > 0
+    ? storedAllocations
+    : calculateAllocations({ capitalCall, ...inputs });
+
+  const result = evaluateCallLimits({ capitalCall, structure, allocations, ...inputs });
+
+  return {
+    ...result,
+    override: capitalCall.limitOverrideAt ? {
+      justification: capitalCall.limitOverrideJustification,
+      overriddenBy: capitalCall.limitOverrideBy,
+      overriddenAt: capitalCall.limitOverrideAt
+    } : null
+  };
+}
+
+/**
+ * Check whether a capital call can be submitted for review given its limit check
+ * @param {{ valid: boolean, override: Object|null }} limitCheck - Result of checkCapitalCallLimits
+ * @param {string} submitterId - User submitting the call
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function canSubmitWithLimits(limitCheck, submitterId) {
+  if (limitCheck.valid) return { allowed: true };
+
+  if (!limitCheck.override) {
+    return {
+      allowed: false,
+      reason: 'Capital call exceeds commitment or call limits. Another approver must override them with a justification before it is submitted.'
+    };
+  }
+  if (limitCheck.override.overriddenBy === submitterId) {
+    return {
+      allowed: false,
+      reason: 'Segregation of duties: the limit override must be recorded by someone other than the submitter'
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Record an approver's override of limit violations on a capital call
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Array} violations - Violations being overridden
+ * @param {string} justification - Reason for the override
+ * @param {Object} actor - { userId, userName }
+ * @returns {Promise<Object>} Updated capital call
+ */
+async function overrideCapitalCallLimits(capitalCall, violations, justification, actor) {
+  const updated = await CapitalCall.findByIdAndUpdate(capitalCall.id, {
+    limitViolations: violations,
+    limitOverrideJustification: justification,
+    limitOverrideBy: actor.userId,
+    limitOverrideAt: new Date().toISOString()
+  });
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: capitalCall.id,
+    action: 'limits_overridden',
+    fromStatus: capitalCall.approvalStatus,
+    toStatus: capitalCall.approvalStatus,
+    userId: actor.userId,
+    userName: actor.userName,
+    notes: justification,
+    metadata: {
+      callNumber: capitalCall.callNumber,
+      violations
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Clear a recorded limit override after the call's allocations were rebuilt
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @returns {Promise<Object>} Updated capital call (unchanged when it had no override)
+ */
+async function clearCapitalCallLimitOverride(capitalCall) {
+  if (!capitalCall.limitOverrideAt) return capitalCall;
+
+  return CapitalCall.findByIdAndUpdate(capitalCall.id, {
+    limitOverrideJustification: null,
+    limitOverrideBy: null,
+    limitOverrideAt: null
+  });
+}
+
+module.exports = {
+  getInvestmentPeriodEnd,
+  evaluateCallLimits,
+  checkCapitalCallLimits,
+  canSubmitWithLimits,
+  overrideCapitalCallLimits,
+  clearCapitalCallLimitOverride
+};
@@ -0,0 +1,339 @@
+/**
+ * Capital Call Line Item Service
+ *
+ * Capital calls composed of several purposes (portfolio investments, fund expenses,
+ * reserves), each with its own amount and VAT:
+ * - The call's header totals (totalInvestments, totalFundExpenses, totalReserves,
+ *   vatOnInvestments, vatOnFundExpenses, totalCallAmount) are derived from the line items,
+ *   so the allocation calculator keeps working unchanged
+ * - Each LP allocation is split across the line items by its share of the call's amount for
+ *   the line item's category, so LPs excused from the call's investments get none of its
+ *   investment line items (last allocation absorbs rounding)
+ * - Contributed capital is attributed to individual deals from the allocation line items and
+ *   the capital each LP has paid, for deal-by-deal waterfalls and ILPA reporting
+ */
+
+const { CapitalCall, CapitalCallLineItem, Investment } = require('../models/supabase');
+
+const LINE_ITEM_CATEGORIES = ['investment', 'fund_expense', 'reserve'];
+// Allocation amount each category is split by
+const CATEGORY_ALLOCATION_FIELDS = {
+  investment: 'investments_amount',
+  fund_expense: 'fund_expenses_amount',
+  reserve: 'reserves_amount'
+};
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Validate and normalize line items
+ * @param {Array} lineItems - [{ category, investmentId?, description?, amount, vatAmount? }]
+ * @param {number} [totalCallAmount] - When given, line item amounts must add up to it
+ * @returns {{ valid: boolean, errors: Array<string>, lineItems: Array }}
+ */
+function normalizeLineItems(lineItems, totalCallAmount) {
+  const errors = [];
+
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return { valid: false, errors: ['At least one line item is required'], lineItems: [] };
+  }
+
+  const normalized = lineItems.map((item, index) => {
+    const label = `Line item ${index + 1}`;
+    const category = item.category || (item.investmentId ? 'investment' : null);
+    const amount = Number(item.amount);
+    const vatAmount = item.vatAmount !== undefined && item.vatAmount !== null && item.vatAmount !== ''
+      ? Number(item.vatAmount)
+      : 0;
+
+    if (!LINE_ITEM_CATEGORIES.includes(category)) {
+      errors.push(`${label}: category must be one of: ${LINE_ITEM_CATEGORIES.join(', ')}`);
+    }
+    if (category === 'investment' && !item.investmentId) {
+      errors.push(`${label}: an investment is required for investment line items`);
+    }
+    if (isNaN(amount) || amount <= 0) {
+      errors.push(`${label}: amount must be positive`);
+    }
+    if (isNaN(vatAmount) || vatAmount < 0) {
+      errors.push(`${label}: VAT amount cannot be negative`);
+    }
+
+    return {
+      lineNumber: index + 1,
+      category,
+      investmentId: category === 'investment' ? item.investmentId : (item.investmentId || null),
+      description: item.description?.trim() || null,
+      amount: isNaN(amount) ? 0 : round2(amount),
+      vatAmount: isNaN(vatAmount) ? 0 : round2(vatAmount)
+    };
+  });
+
+  if (totalCallAmount !== undefined && totalCallAmount !== null) {
+    const total = round2(normalized.reduce((sum, item) => sum + item.amount, 0));
+    if (Math.abs(total - Number(totalCallAmount)) > TOLERANCE) {
+      errors.push(`Line items must total the call amount of ${round2(totalCallAmount)} (got ${total})`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, lineItems: normalized };
+}
+
+/**
+ * Capital call header totals derived from line items.
+ * Reserves carry no VAT column on the call, so VAT on reserves is reported with fund expenses.
+ * @param {Array} lineItems - Normalized line items
+ * @returns {Object} Capital call fields (camelCase)
+ */
+function getHeaderTotals(lineItems) {
+  const sum = (predicate, field) => round2(lineItems.filter(predicate).reduce((total, item) => total + item[field], 0));
+  const isInvestment = item => item.category === 'investment';
+  const firstInvestment = lineItems.find(isInvestment);
+
+  return {
+    totalCallAmount: sum(() => true, 'amount'),
+    totalInvestments: sum(isInvestment, 'amount'),
+    totalFundExpenses: sum(item => item.category === 'fund_expense', 'amount'),
+    totalReserves: sum(item => item.category === 'reserve', 'amount'),
+    vatOnInvestments: sum(isInvestment, 'vatAmount'),
+    vatOnFundExpenses: sum(item => !isInvestment(item), 'vatAmount'),
+    investmentId: firstInvestment ? firstInvestment.investmentId : null
+  };
+}
+
+/**
+ * Check that the investments referenced by line items belong to the structure
+ * @param {string} structureId - Structure ID
+ * @param {Array} lineItems - Normalized line items
+ * @returns {Promise<Array<string>>} Errors
+ */
+async function validateLineItemInvestments(structureId, lineItems) {
+  const investmentIds = [...new Set(lineItems.map(item => item.investmentId).filter(Boolean))];
+  if (investmentIds.length === 0) return [];
+
+  const investments = await Investment.findByStructureId(structureId);
+  const known = new Set(investments.map(i => i.id));
+
+  return investmentIds
+    .filter(investmentId => !known.has(investmentId))
+    .map(investmentId => `Investment ${investmentId} does not belong to this structure`);
+}
+
+/**
+ * Split an amount across allocations by their share of principal (or of another amount);
+ * the last allocation absorbs rounding
+ * @param {number} amount - Amount to split
+ * @param {Array<number>} principals - Allocation principal amounts (or other weights)
+ * @returns {Array<number>}
+ */
+function splitByPrincipal(amount, principals) {
+  const totalPrincipal = principals.reduce((sum, p) => sum + p, 0);
+  if (totalPrincipal <= 0) return principals.map(() => 0);
+
+  let allocated = 0;
+  return principals.map((principal, index) => {
+    if (index === principals.length - 1) return round2(amount - allocated);
+    const share = round2(amount * (principal / totalPrincipal));
+    allocated += share;
+    return share;
+  });
+}
+
+/**
+ * Build per-allocation line item rows for a capital call's allocations
+ * Allocations without a breakdown for the line item's category are split by principal.
+ * @param {Array} lineItems - Saved line items [{ id, category, investmentId, amount, vatAmount }]
+ * @param {Array} allocations - capital_call_allocations rows (snake_case)
+ * @returns {Array} capital_call_allocation_line_items rows (snake_case)
+ */
+function buildAllocationLineItemRows(lineItems, allocations) {
+  const principals = allocations.map(a => parseFloat(a.principal_amount) || 0);
+
+  return lineItems.flatMap(item => {
+    const categoryAmounts = allocations.map(a => parseFloat(a[CATEGORY_ALLOCATION_FIELDS[item.category]]) || 0);
+    const weights = categoryAmounts.some(amount => amount > 0) ? categoryAmounts : principals;
+    const amounts = splitByPrincipal(item.amount, weights);
+    const vatAmounts = splitByPrincipal(item.vatAmount, weights);
+
+    return allocations.map((allocation, index) => ({
+      capital_call_id: allocation.capital_call_id,
+      allocation_id: allocation.id,
+      line_item_id: item.id,
+      user_id: allocation.user_id,
+      category: item.category,
+      investment_id: item.investmentId || null,
+      amount: amounts[index],
+      vat_amount: vatAmounts[index]
+    }));
+  });
+}
+
+/**
+ * Rebuild the per-allocation line items of a capital call
+ * @param {string} capitalCallId - Capital call ID
+ * @returns {Promise<Array>} Allocation line items
+ */
+async function syncAllocationLineItems(capitalCallId) {
+  const [lineItems, withAllocations] = await Promise.all([
+    CapitalCallLineItem.findByCapitalCallId(capitalCallId),
+    CapitalCall.findWithAllocations(capitalCallId)
+  ]);
+
+  await CapitalCallLineItem.deleteAllocationLineItemsByCall(capitalCallId);
+  if (lineItems.length === 0) return [];
+
+  const allocations = (withAllocations?.capital_call_allocations || [])
+    .map(a => ({ ...a, capital_call_id: a.capital_call_id || capitalCallId }));
+
+  return CapitalCallLineItem.insertAllocationLineItems(buildAllocationLineItemRows(lineItems, allocations));
+}
+
+/**
+ * Save already-validated line items and derive the call's header totals from them
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Array} lineItems - Normalized line items
+ * @returns {Promise<{ capitalCall: Object, lineItems: Array, allocationLineItems: Array }>}
+ */
+async function saveLineItems(capitalCall, lineItems) {
+  const saved = await CapitalCallLineItem.replaceForCapitalCall(capitalCall.id, lineItems);
+
+  const updatedCapitalCall = await CapitalCall.findByIdAndUpdate(capitalCall.id, {
+    ...getHeaderTotals(saved),
+    lineItemCount: saved.length
+  });
+
+  const allocationLineItems = await syncAllocationLineItems(capitalCall.id);
+
+  return { capitalCall: updatedCapitalCall, lineItems: saved, allocationLineItems };
+}
+
+/**
+ * Set (or replace) the line items of a capital call.
+ * Once allocations exist their amounts are fixed, so the line items may only re-attribute
+ * the same category and VAT totals across deals.
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Array} lineItems - [{ category, investmentId?, description?, amount, vatAmount? }]
+ * @param {Object} [options] - { hasAllocations }
+ * @returns {Promise<{ valid: boolean, errors: Array, capitalCall?: Object, lineItems?: Array, allocationLineItems?: Array }>}
+ */
+async function setLineItems(capitalCall, lineItems, options = {}) {
+  const { valid, errors, lineItems: normalized } = normalizeLineItems(lineItems, capitalCall.totalCallAmount);
+  if (!valid) return { valid, errors };
+
+  const investmentErrors = await validateLineItemInvestments(capitalCall.structureId, normalized);
+  if (investmentErrors.length > 0) return { valid: false, errors: investmentErrors };
+
+  if (options.hasAllocations) {
+    const totals = getHeaderTotals(normalized);
+    const changed = ['totalInvestments', 'totalFundExpenses', 'totalReserves', 'vatOnInvestments', 'vatOnFundExpenses']
+      .filter(field => Math.abs(totals[field] - round2(parseFloat(capitalCall[field]) || 0)) > TOLERANCE);
+    if (changed.length > 0) {
+      return {
+        valid: false,
+        errors: [`Allocations already exist; line items must keep the call's ${changed.join(', ')} unchanged`]
+      };
+    }
+  }
+
+  return { valid: true, errors: [], ...(await saveLineItems(capitalCall, normalized)) };
+}
+
+/**
+ * Attach each allocation's line items (for notices and LP views)
+ * @param {string} capitalCallId - Capital call ID
+ * @param {Array} allocations - capital_call_allocations rows (snake_case)
+ * @param {Array} [lineItems] - The call's line items, fetched when omitted
+ * @returns {Promise<Array>} Allocations with a lineItems array
+ */
+async function attachAllocationLineItems(capitalCallId, allocations, lineItems) {
+  const allocationLineItems = await CapitalCallLineItem.findAllocationLineItemsByCall(capitalCallId);
+  if (allocationLineItems.length === 0) return allocations;
+
+  const callLineItems = lineItems || await CapitalCallLineItem.findByCapitalCallId(capitalCallId);
+
+  const byId = new Map(callLineItems.map(item => [item.id, item]));
+
+  return allocations.map(allocation => ({
+    ...allocation,
+    lineItems: allocationLineItems
+      .filter(row => row.allocationId === allocation.id)
+      .map(row => ({
+        ...row,
+        lineNumber: byId.get(row.lineItemId)?.lineNumber,
+        description: byId.get(row.lineItemId)?.description || null
+      }))
+      .sort((a, b) => (a.lineNumber || 0) - (b.lineNumber || 0))
+  }));
+}
+
+/**
+ * Capital called and contributed per deal and LP across a structure's capital calls.
+ * Contributed capital follows the allocation's capital paid, spread pro-rata over its line items.
+ * @param {string} structureId - Structure ID
+ * @param {Object} [filter] - { investmentId, userId }
+ * @returns {Promise<Array>} [{ investmentId, investmentName, called, contributed, investors: [{ userId, called, contributed, calls }] }]
+ */
+async function getDealContributions(structureId, filter = {}) {
+  const [rows, investments] = await Promise.all([
+    CapitalCallLineItem.findAllocationLineItemsByStructure(structureId, filter),
+    Investment.findByStructureId(structureId)
+  ]);
+  const investmentNames = new Map(investments.map(i => [i.id, i.investmentName]));
+
+  const deals = new Map();
+  for (const row of rows) {
+    if (row.category !== 'investment' || !row.investmentId) continue;
+    if (row.allocation.status === 'Voided') continue;
+
+    const { principalAmount, capitalPaid } = row.allocation;
+    const paidRatio = principalAmount > 0 ? Math.min(1, capitalPaid / principalAmount) : 0;
+    const contributed = round2(row.amount * paidRatio);
+
+    if (!deals.has(row.investmentId)) {
+      deals.set(row.investmentId, {
+        investmentId: row.investmentId,
+        investmentName: investmentNames.get(row.investmentId) || null,
+        called: 0,
+        contributed: 0,
+        investors: new Map()
+      });
+    }
+    const deal = deals.get(row.investmentId);
+    deal.called = round2(deal.called + row.amount);
+    deal.contributed = round2(deal.contributed + contributed);
+
+    if (!deal.investors.has(row.userId)) {
+      deal.investors.set(row.userId, { userId: row.userId, called: 0, contributed: 0, calls: [] });
+    }
+    const investor = deal.investors.get(row.userId);
+    investor.called = round2(investor.called + row.amount);
+    investor.contributed = round2(investor.contributed + contributed);
+    investor.calls.push({
+      capitalCallId: row.capitalCallId,
+      callNumber: row.capitalCall.callNumber,
+      callDate: row.capitalCall.callDate,
+      called: row.amount,
+      contributed
+    });
+  }
+
+  return Array.from(deals.values()).map(deal => ({
+    ...deal,
+    investors: Array.from(deal.investors.values())
+  }));
+}
+
+module.exports = {
+  LINE_ITEM_CATEGORIES,
+  normalizeLineItems,
+  getHeaderTotals,
+  validateLineItemInvestments,
+  splitByPrincipal,
+  buildAllocationLineItemRows,
+  syncAllocationLineItems,
+  saveLineItems,
+  setLineItems,
+  attachAllocationLineItems,
+  getDealContributions
+};
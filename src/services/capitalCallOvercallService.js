@@ -0,0 +1,284 @@
+/**
+ * Capital Call Overcall Service
+ *
+ * Re-issues the unfunded gap of a capital call to the non-defaulting LPs:
+ * - Shortfall = unpaid capital of the shortfall LPs (defaulted allocations by default),
+ *   less whatever earlier supplementary calls already reallocated
+ * - Spread pro-rata by ownership, capped per LP by unfunded commitment and the
+ *   structure's LPA overcall limit (% of the LP's allocation in the original call)
+ * - Persisted as a supplementary capital call linked to the original call
+ */
+
+const { CapitalCall, Structure, StructureInvestor } = require('../models/supabase');
+const ApprovalHistory = require('../models/supabase/approvalHistory');
+
+const SUPPLEMENTARY_CALL_TYPES = ['overcall', 'reallocation'];
+const SYSTEM_USER_NAME = 'System';
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Spread a shortfall pro-rata across participants, capped by each one's capacity.
+ * Capacity freed by capped participants is redistributed to the others.
+ * @param {number} shortfall - Amount to reallocate
+ * @param {Array} participants - [{ userId, ownershipPercent, capacity }]
+ * @returns {{ allocations: Array, unallocated: number }}
+ */
+function calculateShortfallReallocation(shortfall, participants) {
+  const shares = {};
+  let remaining = round2(shortfall);
+  let open = participants.filter(p => (p.capacity || 0) > 0 && (p.ownershipPercent || 0) > 0);
+
+  while (remaining > 0.005 && open.length > 0) {
+    const totalOwnership = open.reduce((sum, p) => sum + p.ownershipPercent, 0);
+    let distributed = 0;
+    const stillOpen = [];
+
+    for (const p of open) {
+      const already = shares[p.userId] || 0;
+      const capacity = p.capacity - already;
+      const share = Math.min(capacity, remaining * (p.ownershipPercent / totalOwnership));
+      shares[p.userId] = already + share;
+      distributed += share;
+      if (capacity - share > 0.005) stillOpen.push(p);
+    }
+
+    remaining = round2(remaining - distributed);
+    if (distributed <= 0) break;
+    open = stillOpen;
+  }
+
+  const allocations = participants
+    .filter(p => shares[p.userId] > 0)
+    .map(p => ({ userId: p.userId, amount: round2(shares[p.userId]) }));
+
+  return { allocations, unallocated: Math.max(0, remaining) };
+}
+
+/**
+ * Compute an overcall for a capital call (no database access)
+ * @param {Object} input
+ * @param {Array} input.allocations - Original call allocations [{ userId, status, principalAmount, capitalPaid }]
+ * @param {Array} input.investors - Structure investors [{ userId, commitment, ownershipPercent }]
+ * @param {Object} input.cumulativeCalled - Map of userId -> amount called to date
+ * @param {Array} input.priorOvercalls - Earlier supplementary calls [{ overcallDetails }]
+ * @param {Array|null} input.shortfallUserIds - LPs whose gap is reallocated (default: defaulted allocations)
+ * @param {number|null} input.overcallLimitPercent - LPA overcall limit, % of the LP's original allocation
+ * @returns {Object} { shortfall, shortfallByUser, allocations, reallocatedAmount, unallocatedAmount, reallocatedByUser, participants }
+ */
+function calculateOvercall({
+  allocations,
+  investors,
+  cumulativeCalled = {},
+  priorOvercalls = [],
+  shortfallUserIds = null,
+  overcallLimitPercent = null
+}) {
+  const shortfallSet = new Set(
+    shortfallUserIds && shortfallUserIds.length > 0
+      ? shortfallUserIds
+      : allocations.filter(a => a.status === 'Defaulted').map(a => a.userId)
+  );
+
+  // Amounts earlier supplementary calls already reallocated, per shortfall LP,
+  // and amounts each participant was already overcalled for this call
+  const alreadyReallocated = {};
+  const alreadyOvercalled = {};
+  priorOvercalls.forEach(call => {
+    const details = call.overcallDetails || {};
+    Object.entries(details.reallocatedByUser || {}).forEach(([userId, amount]) => {
+      alreadyReallocated[userId] = (alreadyReallocated[userId] || 0) + amount;
+    });
+    (details.allocations || []).forEach(a => {
+      alreadyOvercalled[a.userId] = (alreadyOvercalled[a.userId] || 0) + a.amount;
+    });
+  });
+
+  const shortfallByUser = {};
+  allocations
+    .filter(a => shortfallSet.has(a.userId))
+    .forEach(a => {
+      const gap = (a.principalAmount || 0) - (a.capitalPaid || 0) - (alreadyReallocated[a.userId] || 0);
+      if (gap > 0.005) shortfallByUser[a.userId] = round2(gap);
+    });
+
+  const shortfall = round2(Object.values(shortfallByUser).reduce((sum, v) => sum + v, 0));
+
+  const originalPrincipal = {};
+  allocations.forEach(a => { originalPrincipal[a.userId] = a.principalAmount || 0; });
+
+  const limit = overcallLimitPercent != null && overcallLimitPercent !== '' ? Number(overcallLimitPercent) : null;
+
+  const participants = investors
+    .filter(si => !shortfallSet.has(si.userId) && originalPrincipal[si.userId] !== undefined)
+    .map(si => {
+      const unfundedCommitment = Math.max(0, (parseFloat(si.commitment) || 0) - (cumulativeCalled[si.userId] || 0));
+      const overcallCap = limit != null
+        ? Math.max(0, originalPrincipal[si.userId] * (limit / 100) - (alreadyOvercalled[si.userId] || 0))
+        : Infinity;
+      return {
+        userId: si.userId,
+        ownershipPercent: parseFloat(si.ownershipPercent) || 0,
+        unfundedCommitment: round2(unfundedCommitment),
+        overcallCap: overcallCap === Infinity ? null : round2(overcallCap),
+        capacity: Math.min(unfundedCommitment, overcallCap)
+      };
+    });
+
+  const { allocations: overcallAllocations, unallocated } = calculateShortfallReallocation(shortfall, participants);
+  const reallocatedAmount = round2(overcallAllocations.reduce((sum, a) => sum + a.amount, 0));
+
+  // Attribute what was actually reallocated back to each shortfall LP pro-rata
+  const reallocatedByUser = {};
+  Object.entries(shortfallByUser).forEach(([userId, gap]) => {
+    reallocatedByUser[userId] = shortfall > 0 ? round2(gap * (reallocatedAmount / shortfall)) : 0;
+  });
+
+  return {
+    shortfall,
+    shortfallByUser,
+    allocations: overcallAllocations,
+    reallocatedAmount,
+    unallocatedAmount: unallocated,
+    reallocatedByUser,
+    overcallLimitPercent: limit,
+    participants: participants.map(({ capacity: _capacity, ...p }) => p)
+  };
+}
+
+/**
+ * Load everything needed to compute an overcall for a capital call
+ * @param {string} capitalCallId - Original capital call ID
+ * @param {Object} options - { shortfallUserIds }
+ * @returns {Promise<{ originalCall: Object, structure: Object, priorOvercalls: Array, overcall: Object }>}
+ */
+async function previewOvercall(capitalCallId, options = {}) {
+  const originalCall = await CapitalCall.findWithAllocations(capitalCallId);
+  if (!originalCall) {
+    throw new Error('Capital call not found');
+  }
+
+  const structureId = originalCall.structureId;
+  const [structure, investors, cumulativeCalled, childCalls] = await Promise.all([
+    Structure.findById(structureId),
+    StructureInvestor.findByStructureId(structureId),
+    CapitalCall.getCumulativeCalledByStructure(structureId),
+    CapitalCall.find({ parentCapitalCallId: capitalCallId })
+  ]);
+
+  const priorOvercalls = childCalls.filter(c => SUPPLEMENTARY_CALL_TYPES.includes(c.callType));
+
+  const overcall = calculateOvercall({
+    allocations: (originalCall.capital_call_allocations || []).map(a => ({
+      userId: a.user_id,
+      status: a.status,
+      principalAmount: parseFloat(a.principal_amount) || 0,
+      capitalPaid: parseFloat(a.capital_paid) || 0
+    })),
+    investors,
+    cumulativeCalled,
+    priorOvercalls,
+    shortfallUserIds: options.shortfallUserIds,
+    overcallLimitPercent: structure?.overcallLimitPercent
+  });
+
+  return { originalCall, structure, priorOvercalls, overcall };
+}
+
+/**
+ * Create a supplementary capital call re-issuing the shortfall of a capital call
+ * Pass the previewOvercall result the caller already checked as options.preview so the call
+ * is created from exactly those numbers; it is computed otherwise.
+ * @param {string} capitalCallId - Original capital call ID
+ * @param {Object} options - { shortfallUserIds, callType, deadlineDate, notes, preview }
+ * @param {Object} actor - { userId, userName }
+ * @returns {Promise<{ capitalCall: Object, allocations: Array, overcall: Object }>}
+ */
+async function createOvercall(capitalCallId, options = {}, actor = {}) {
+  const callType = options.callType || 'overcall';
+  const { originalCall, priorOvercalls, overcall } = options.preview || await previewOvercall(capitalCallId, options);
+
+  if (overcall.shortfall <= 0) {
+    throw new Error('No unfunded shortfall to reallocate');
+  }
+  if (overcall.allocations.length === 0) {
+    throw new Error('No non-defaulting investors with capacity to absorb the shortfall');
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const deadlineDate = options.deadlineDate
+    || (originalCall.deadlineDate && originalCall.deadlineDate > today ? originalCall.deadlineDate : null);
+  const amount = overcall.reallocatedAmount;
+
+  const supplementaryCall = await CapitalCall.create({
+    structureId: originalCall.structureId,
+    callNumber: `${originalCall.callNumber}-R${priorOvercalls.length + 1}`,
+    callDate: today,
+    dueDate: deadlineDate,
+    deadlineDate,
+    totalCallAmount: amount,
+    totalPaidAmount: 0,
+    totalUnpaidAmount: amount,
+    totalInvestments: amount,
+    totalDrawdown: amount,
+    status: 'Draft',
+    approvalStatus: 'draft',
+    purpose: `${callType === 'reallocation' ? 'Reallocation' : 'Overcall'} of unfunded shortfall from capital call #${originalCall.callNumber}`,
+    notes: options.notes,
+    investmentId: originalCall.investmentId,
+    parentCapitalCallId: originalCall.id,
+    callType,
+    overcallDetails: {
+      shortfall: overcall.shortfall,
+      reallocatedAmount: overcall.reallocatedAmount,
+      unallocatedAmount: overcall.unallocatedAmount,
+      overcallLimitPercent: overcall.overcallLimitPercent,
+      shortfallByUser: overcall.shortfallByUser,
+      reallocatedByUser: overcall.reallocatedByUser,
+      allocations: overcall.allocations
+    },
+    createdBy: actor.userId || originalCall.createdBy
+  });
+
+  const allocations = await CapitalCall.insertAllocations(overcall.allocations.map(a => ({
+    capital_call_id: supplementaryCall.id,
+    user_id: a.userId,
+    principal_amount: a.amount,
+    management_fee_gross: 0,
+    management_fee_discount: 0,
+    management_fee_net: 0,
+    vat_amount: 0,
+    total_due: a.amount,
+    total_drawdown: a.amount,
+    paid_amount: 0,
+    remaining_amount: a.amount,
+    status: 'Pending'
+  })));
+
+  await ApprovalHistory.logAction({
+    entityType: 'capital_call',
+    entityId: originalCall.id,
+    action: 'overcall_created',
+    userId: actor.userId || null,
+    userName: actor.userName || SYSTEM_USER_NAME,
+    notes: options.notes || `Supplementary call #${supplementaryCall.callNumber} created`,
+    metadata: {
+      supplementaryCapitalCallId: supplementaryCall.id,
+      supplementaryCallNumber: supplementaryCall.callNumber,
+      callType,
+      shortfall: overcall.shortfall,
+      reallocatedAmount: overcall.reallocatedAmount,
+      unallocatedAmount: overcall.unallocatedAmount
+    }
+  });
+
+  return { capitalCall: supplementaryCall, allocations, overcall };
+}
+
+module.exports = {
+  SUPPLEMENTARY_CALL_TYPES,
+  calculateShortfallReallocation,
+  calculateOvercall,
+  previewOvercall,
+  createOvercall
+};
@@ -0,0 +1,160 @@
+/**
+ * GP Clawback Service
+ *
+ * Deal-by-deal (American) carry pays the GP on each realized deal, so early winners can
+ * leave the GP holding more carry than it earns on the fund as a whole. At any date, or
+ * at fund wind-down, the clawback is:
+ * - carry paid: distributions.gp_total_amount of every distribution up to the date
+ * - carry entitled: the GP share of the same distributions run through one whole-fund
+ *   (European) waterfall, plus, before wind-down, a hypothetical liquidation of the
+ *   remaining portfolio at the value given
+ * - liability: carry paid above the entitlement; when the structure limits the clawback
+ *   to after-tax carry, it is capped at carry paid less the GP's taxes on it
+ *
+ * The liability is shared among LPs by how far each fell short of what the whole-fund
+ * waterfall would have paid them.
+ */
+
+const { Structure, Distribution } = require('../models/supabase');
+const { calculateWholeFundWaterfall } = require('../utils/waterfallEngine');
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Clawback liability from carry paid and carry entitled
+ * @param {number} carryPaid - Carry actually paid to the GP
+ * @param {number} carryEntitled - Carry the whole-fund waterfall gives the GP
+ * @param {Object} [taxTerms] - { netOfTaxes, taxRate } (taxRate in %)
+ * @returns {{ excessCarry: number, taxOffset: number, clawbackLiability: number }}
+ */
+function calculateClawbackLiability(carryPaid, carryEntitled, taxTerms = {}) {
+  const excessCarry = round2(Math.max(0, carryPaid - carryEntitled));
+  const afterTaxCarry = carryPaid * (1 - (parseFloat(taxTerms.taxRate) || 0) / 100);
+  const clawbackLiability = taxTerms.netOfTaxes
+    ? round2(Math.max(0, Math.min(excessCarry, afterTaxCarry)))
+    : excessCarry;
+
+  return { excessCarry, taxOffset: round2(excessCarry - clawbackLiability), clawbackLiability };
+}
+
+/**
+ * Split the clawback among LPs by shortfall against the whole-fund waterfall
+ * (by whole-fund entitlement when no LP is short), rounded to the cent
+ * @param {number} liability - Clawback liability
+ * @param {Array} investors - [{ userId, entitled, received, shortfall }]
+ * @returns {Array} Investors with clawbackShare
+ */
+function allocateClawback(liability, investors) {
+  const totalShortfall = investors.reduce((sum, inv) => sum + inv.shortfall, 0);
+  const weightOf = (inv) => (totalShortfall > 0 ? inv.shortfall : inv.entitled);
+  const totalWeight = investors.reduce((sum, inv) => sum + weightOf(inv), 0);
+
+  let remaining = liability;
+  return investors.map((inv, index) => {
+    const isLast = index === investors.length - 1;
+    const share = totalWeight > 0
+      ? (isLast ? round2(remaining) : round2(liability * weightOf(inv) / totalWeight))
+      : 0;
+    remaining -= share;
+    return { ...inv, clawbackShare: share };
+  });
+}
+
+/**
+ * Calculate the GP clawback of a structure
+ * @param {string} structureId - Structure ID
+ * @param {Object} [options]
+ * @param {string} [options.asOfDate] - Date to test at (defaults to today)
+ * @param {boolean} [options.windDown] - Final assessment at fund wind-down (no remaining portfolio)
+ * @param {number} [options.hypotheticalValue] - Value the remaining portfolio would be liquidated at
+ * @returns {Promise<Object|null>} Clawback calculation, or null when the structure does not exist
+ */
+async function calculateClawback(structureId, options = {}) {
+  const structure = await Structure.findById(structureId);
+  if (!structure) return null;
+
+  const asOfDate = options.asOfDate || new Date().toISOString().split('T')[0];
+  const windDown = options.windDown === true;
+  const hypotheticalValue = windDown ? 0 : round2(Math.max(0, parseFloat(options.hypotheticalValue) || 0));
+
+  const inputs = await Distribution.getWaterfallInputs({
+    id: null,
+    structureId,
+    distributionDate: asOfDate,
+    totalAmount: 0
+  });
+
+  const paid = inputs.priorDistributions.filter(d => new Date(d.date) <= new Date(asOfDate));
+  const wholeFund = calculateWholeFundWaterfall({
+    tiers: inputs.tiers,
+    terms: inputs.terms,
+    investors: inputs.investors,
+    classes: inputs.classes,
+    distributions: hypotheticalValue > 0
+      ? [...paid, { id: null, date: asOfDate, amount: hypotheticalValue }]
+      : paid
+  });
+  // LP entitlements are compared with what LPs actually received, so leave the hypothetical out
+  const actualWholeFund = hypotheticalValue > 0
+    ? calculateWholeFundWaterfall({ tiers: inputs.tiers, terms: inputs.terms, investors: inputs.investors, classes: inputs.classes, distributions: paid })
+    : wholeFund;
+
+  const carryPaid = round2(paid.reduce((sum, d) => sum + d.gpPaid, 0));
+  const carryEntitled = wholeFund.gpTotal;
+  const taxTerms = {
+    netOfTaxes: structure.clawbackNetOfTaxes === true,
+    taxRate: parseFloat(structure.clawbackTaxRate) || 0
+  };
+  const { excessCarry, taxOffset, clawbackLiability } = calculateClawbackLiability(carryPaid, carryEntitled, taxTerms);
+
+  const entitledById = new Map(wholeFund.distributions.filter(d => d.id).map(d => [d.id, d.gpAmount]));
+  const distributions = paid.map(d => {
+    const gpEntitled = entitledById.get(d.id) || 0;
+    return {
+      id: d.id,
+      distributionNumber: d.distributionNumber ?? null,
+      date: d.date,
+      investmentId: d.investmentId,
+      amount: round2(d.amount),
+      gpPaid: round2(d.gpPaid),
+      gpEntitled,
+      excess: round2(d.gpPaid - gpEntitled)
+    };
+  });
+
+  const received = await Distribution.getCumulativeDistributedByStructure(structureId, null, asOfDate);
+  const investors = allocateClawback(clawbackLiability, actualWholeFund.investors.map(inv => {
+    const lpReceived = round2(received[inv.userId] || 0);
+    return {
+      userId: inv.userId,
+      entitled: inv.lpAmount,
+      received: lpReceived,
+      shortfall: round2(Math.max(0, inv.lpAmount - lpReceived))
+    };
+  }));
+
+  return {
+    structureId,
+    asOfDate,
+    windDown,
+    status: windDown ? 'Final' : 'Interim',
+    waterfallType: inputs.terms.waterfallType,
+    engineVersion: wholeFund.version,
+    carryPaid,
+    carryEntitled,
+    excessCarry,
+    netOfTaxes: taxTerms.netOfTaxes,
+    taxRate: taxTerms.netOfTaxes ? taxTerms.taxRate : null,
+    taxOffset,
+    clawbackLiability,
+    hypotheticalLiquidationValue: hypotheticalValue,
+    distributions,
+    investors
+  };
+}
+
+module.exports = {
+  calculateClawbackLiability,
+  allocateClawback,
+  calculateClawback
+};
@@ -0,0 +1,448 @@
+/**
+ * Distribution Payout Service
+ *
+ * Pays out an approved distribution's allocations. Each LP is paid its cash payable less the
+ * amount it reinvests, by the first method its profile and the structure's currency support:
+ * - 'stripe': transfer to the LP's onboarded Stripe Connect account; settled once created
+ * - 'spei':   CLABE, in the structure's SPEI CSV batch (MXN structures)
+ * - 'sepa':   IBAN, in the structure's SEPA pain.001 batch (EUR structures)
+ * - 'nacha':  US routing and account number, in the structure's NACHA batch (USD structures)
+ * Each allocation is claimed ('processing') before it is paid, so overlapping payout runs
+ * cannot pay an LP twice; Stripe transfers also carry an idempotency key per attempt.
+ * Bank batch items stay 'processing' until the batch (or the allocation) is confirmed settled
+ * or failed. LPs without payout details fail and can be retried once their profile is updated.
+ * An allocation is marked paid when its payout settles; the distribution once all have.
+ */
+
+const { Distribution, DistributionPayoutBatch, User } = require('../models/supabase');
+const { getCashPayable } = require('../utils/reinvestment');
+const {
+  isValidRoutingNumber,
+  isValidIban,
+  isValidClabe,
+  buildNachaFile,
+  buildSepaXml,
+  buildSpeiCsv
+} = require('../utils/payoutFiles');
+const { getCurrencyCode } = require('../utils/helpers');
+
+const PAYOUT_METHODS = ['stripe', 'spei', 'sepa', 'nacha'];
+
+const FILE_EXTENSIONS = { nacha: 'ach', sepa: 'xml', spei: 'csv' };
+
+// Currency each bank batch format pays in
+const BANK_CURRENCIES = { spei: 'MXN', sepa: 'EUR', nacha: 'USD' };
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Cash an allocation pays out: cash payable less the amount reinvested
+ * @param {Object} allocation - distribution_allocations row (snake_case)
+ * @returns {number}
+ */
+function getPayoutAmount(allocation) {
+  return round2(Math.max(0, getCashPayable(allocation) - (parseFloat(allocation.reinvestment_amount) || 0)));
+}
+
+/**
+ * ISO currency code of a structure's base currency
+ * @param {Object} structure - Structure (camelCase)
+ * @returns {string}
+ */
+function getPayoutCurrency(structure) {
+  return getCurrencyCode(structure);
+}
+
+/**
+ * Payout method an LP's profile supports in the distribution's currency
+ * @param {Object|null} user - User (camelCase)
+ * @param {string} currency - ISO currency code of the distribution
+ * @returns {{ method: string|null, error: string|null }}
+ */
+function selectPayoutMethod(user, currency) {
+  if (user?.stripeAccountId && user.stripeOnboardingComplete) return { method: 'stripe', error: null };
+
+  const available = [
+    isValidClabe(user?.clabe) ? 'spei' : null,
+    isValidIban(user?.bankIban) ? 'sepa' : null,
+    isValidRoutingNumber(user?.bankRoutingNumber) && user?.bankAccountNumber ? 'nacha' : null
+  ].filter(Boolean);
+
+  const method = available.find(m => BANK_CURRENCIES[m] === currency);
+  if (method) return { method, error: null };
+
+  if (available.length > 0) {
+    return {
+      method: null,
+      error: `LP's bank details (${available.map(m => m.toUpperCase()).join(', ')}) cannot be paid in ${currency}: SPEI pays MXN, SEPA pays EUR and NACHA pays USD`
+    };
+  }
+
+  return {
+    method: null,
+    error: 'LP has no onboarded Stripe Connect account or valid bank details (CLABE, IBAN or US routing and account number)'
+  };
+}
+
+/**
+ * Account a structure pays a bank batch from
+ * @param {Object} structure - Structure (camelCase)
+ * @param {string} format - 'nacha', 'sepa' or 'spei'
+ * @returns {{ originator: Object|null, error: string|null }}
+ */
+function getOriginator(structure, format) {
+  if (format === 'sepa') {
+    return isValidIban(structure.internationalAccountBank)
+      ? {
+        originator: {
+          name: structure.internationalHolderName || structure.name,
+          iban: structure.internationalAccountBank,
+          bic: structure.internationalSwift
+        },
+        error: null
+      }
+      : { originator: null, error: 'Structure has no valid international IBAN to pay SEPA transfers from' };
+  }
+
+  if (format === 'spei') {
+    return isValidClabe(structure.localAccountBank)
+      ? { originator: { clabe: structure.localAccountBank }, error: null }
+      : { originator: null, error: 'Structure has no valid local CLABE to pay SPEI transfers from' };
+  }
+
+  return isValidRoutingNumber(structure.localRoutingBank)
+    ? {
+      originator: {
+        name: structure.localAccountHolder || structure.name,
+        companyId: structure.localTaxId,
+        routingNumber: structure.localRoutingBank,
+        bankName: structure.localBankName
+      },
+      error: null
+    }
+    : { originator: null, error: 'Structure has no valid local routing number to pay ACH transfers from' };
+}
+
+/**
+ * Reference identifying an allocation in bank files
+ */
+const getBankReference = (allocation) => String(allocation.id).replace(/-/g, '').slice(0, 15).toUpperCase();
+
+/**
+ * Build the bank file of a batch
+ */
+function buildBatchFile(format, { distribution, originator, items, effectiveDate }) {
+  if (format === 'sepa') {
+    return buildSepaXml({
+      messageId: `DIST-${getBankReference(distribution)}-${Date.now()}`,
+      originator,
+      items,
+      executionDate: effectiveDate
+    });
+  }
+  if (format === 'spei') {
+    return buildSpeiCsv({ originator, items });
+  }
+  return buildNachaFile({ originator, items, effectiveDate });
+}
+
+/**
+ * Mark an allocation's payout settled and the allocation paid
+ * @param {Object} allocation - distribution_allocations row
+ * @param {Object} [fields] - Extra snake_case fields (e.g. payout_reference)
+ * @returns {Promise<Object>} Updated allocation row
+ */
+async function settleAllocation(allocation, fields = {}) {
+  const settledAt = new Date().toISOString();
+  return Distribution.updateAllocation(allocation.id, {
+    ...fields,
+    payout_status: 'settled',
+    payout_error: null,
+    payout_settled_at: settledAt,
+    status: 'Paid',
+    paid_amount: fields.payout_amount ?? allocation.payout_amount ?? 0,
+    payment_date: settledAt.split('T')[0]
+  });
+}
+
+/**
+ * Mark an allocation's payout failed
+ * @param {Object} allocation - distribution_allocations row
+ * @param {string} error - Failure reason
+ * @param {Object} [fields] - Extra snake_case fields
+ * @returns {Promise<Object>} Updated allocation row
+ */
+async function failAllocation(allocation, error, fields = {}) {
+  return Distribution.updateAllocation(allocation.id, {
+    ...fields,
+    payout_status: 'failed',
+    payout_error: error,
+    payout_settled_at: null,
+    paid_amount: 0
+  });
+}
+
+/**
+ * Pay out a distribution's allocations that have not been paid out yet
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} distribution - Distribution (camelCase) with distribution_allocations
+ * @param {Object} actor - { userId }
+ * @param {Object} [options] - { retryFailed: boolean, effectiveDate: 'YYYY-MM-DD' }
+ * @returns {Promise<Object>} Payout status (see getPayoutStatus) with the batches created
+ */
+async function executePayouts(structure, distribution, actor = {}, options = {}) {
+  const { retryFailed = false, effectiveDate } = options;
+  const currency = getPayoutCurrency(structure);
+  const initiatedAt = new Date().toISOString();
+
+  const due = (distribution.distribution_allocations || []).filter(a =>
+    !a.payout_status || a.payout_status === 'pending' || (retryFailed && a.payout_status === 'failed')
+  );
+  const bankItems = { nacha: [], sepa: [], spei: [] };
+
+  for (const allocation of due) {
+    const amount = getPayoutAmount(allocation);
+    const attempt = {
+      payout_amount: amount,
+      payout_attempts: (allocation.payout_attempts || 0) + 1,
+      payout_initiated_at: initiatedAt
+    };
+
+    // Another payout run claimed the allocation since it was read
+    const claimed = await Distribution.claimAllocationPayout(allocation.id, allocation.payout_status || null, attempt);
+    if (!claimed) continue;
+
+    // Nothing left to pay once withholding, in-kind units and reinvestment are taken out
+    if (amount <= 0) {
+      await settleAllocation(allocation, { ...attempt, payout_method: null });
+      continue;
+    }
+
+    const user = await User.findById(allocation.user_id);
+    const { method, error } = selectPayoutMethod(user, currency);
+    if (!method) {
+      await failAllocation(allocation, error, { ...attempt, payout_method: null });
+      continue;
+    }
+
+    if (method === 'stripe') {
+      try {
+        // Loaded on use: the Stripe clients need STRIPE_SECRET_KEY
+        const stripeService = require('./stripe.service');
+        const transfer = await stripeService.createTransferToConnectAccount(
+          user.stripeAccountId,
+          Math.round(amount * 100),
+          currency.toLowerCase(),
+          `Distribution #${distribution.distributionNumber} - ${structure.name}`,
+          { distributionId: distribution.id, allocationId: allocation.id, userId: allocation.user_id },
+          `distribution-payout-${allocation.id}-${attempt.payout_attempts}`
+        );
+        await settleAllocation(allocation, { ...attempt, payout_method: 'stripe', payout_reference: transfer.id });
+      } catch (transferError) {
+        await failAllocation(allocation, transferError.message, { ...attempt, payout_method: 'stripe' });
+      }
+      continue;
+    }
+
+    bankItems[method].push({ allocation, user, amount, attempt });
+  }
+
+  const batches = [];
+  for (const [format, entries] of Object.entries(bankItems)) {
+    if (entries.length === 0) continue;
+
+    const { originator, error } = getOriginator(structure, format);
+    if (!originator) {
+      for (const { allocation, attempt } of entries) {
+        await failAllocation(allocation, error, { ...attempt, payout_method: format });
+      }
+      continue;
+    }
+
+    const items = entries.map(({ allocation, user, amount }) => ({
+      reference: getBankReference(allocation),
+      name: allocation.investorName && allocation.investorName !== 'Unknown'
+        ? allocation.investorName
+        : `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email,
+      amount,
+      routingNumber: user.bankRoutingNumber,
+      accountNumber: user.bankAccountNumber,
+      accountType: user.bankAccountType,
+      iban: user.bankIban,
+      bic: user.bankSwiftCode,
+      clabe: user.clabe,
+      rfc: user.rfc,
+      email: user.email,
+      remittance: `Distribution ${distribution.distributionNumber} ${structure.name}`,
+      concept: `Distribucion ${distribution.distributionNumber}`
+    }));
+
+    const file = buildBatchFile(format, { distribution, originator, items, effectiveDate });
+    const batch = await DistributionPayoutBatch.create({
+      distributionId: distribution.id,
+      structureId: structure.id,
+      format,
+      fileName: `distribution-${distribution.distributionNumber}-${format}-${initiatedAt.slice(0, 10).replace(/-/g, '')}.${FILE_EXTENSIONS[format]}`,
+      fileContent: file.content,
+      currency,
+      totalAmount: file.totalAmount,
+      itemCount: file.itemCount,
+      status: 'generated',
+      createdBy: actor.userId || null
+    });
+
+    for (const [index, { allocation, attempt }] of entries.entries()) {
+      await Distribution.updateAllocation(allocation.id, {
+        ...attempt,
+        payout_method: format,
+        payout_status: 'processing',
+        payout_reference: items[index].reference,
+        payout_batch_id: batch.id,
+        payout_error: null
+      });
+    }
+
+    batches.push(batch);
+  }
+
+  const status = await completeIfSettled(distribution.id);
+  return { ...status, batches };
+}
+
+/**
+ * Record a bank's confirmation of a batch: every item settles except those listed as failed,
+ * or the whole batch fails
+ * @param {Object} batch - DistributionPayoutBatch
+ * @param {Object} result - { status: 'settled'|'failed', failedAllocationIds?: Array<string>, error?: string }
+ * @returns {Promise<Object>} Payout status (see getPayoutStatus)
+ */
+async function settleBatch(batch, { status, failedAllocationIds = [], error } = {}) {
+  const distribution = await Distribution.findWithAllocations(batch.distributionId);
+  const items = (distribution.distribution_allocations || [])
+    .filter(a => a.payout_batch_id === batch.id && a.payout_status === 'processing');
+
+  for (const allocation of items) {
+    if (status === 'failed' || failedAllocationIds.includes(allocation.id)) {
+      await failAllocation(allocation, error || 'Rejected by the bank');
+    } else {
+      await settleAllocation(allocation);
+    }
+  }
+
+  await DistributionPayoutBatch.findByIdAndUpdate(batch.id, {
+    status,
+    settledAt: status === 'settled' ? new Date().toISOString() : null
+  });
+
+  return completeIfSettled(batch.distributionId);
+}
+
+/**
+ * Record the outcome of a single allocation's payout (e.g. a wire sent outside the batches)
+ * @param {Object} allocation - distribution_allocations row
+ * @param {Object} result - { status: 'settled'|'failed', reference?: string, error?: string }
+ * @returns {Promise<Object>} Payout status (see getPayoutStatus)
+ */
+async function recordAllocationPayout(allocation, { status, reference, error }) {
+  const fields = {
+    payout_amount: allocation.payout_amount ?? getPayoutAmount(allocation),
+    ...(reference ? { payout_reference: reference } : {})
+  };
+
+  if (status === 'settled') {
+    await settleAllocation(allocation, fields);
+  } else {
+    await failAllocation(allocation, error || 'Payout failed', fields);
+  }
+
+  return completeIfSettled(allocation.distribution_id);
+}
+
+/**
+ * Fail the payout of a Stripe transfer that failed or was reversed after it was created
+ * @param {string} transferId - Stripe transfer ID
+ * @param {string} reason - Failure reason
+ * @returns {Promise<Object|null>} Updated allocation row, or null if no payout used the transfer
+ */
+async function handleTransferFailure(transferId, reason) {
+  const allocation = await Distribution.findAllocationByPayoutReference(transferId);
+  if (!allocation) return null;
+
+  const updated = await failAllocation(allocation, reason, { status: 'Approved' });
+
+  // The distribution is no longer fully paid
+  const distribution = await Distribution.findById(allocation.distribution_id);
+  if (distribution?.status === 'Paid') {
+    await Distribution.findByIdAndUpdate(distribution.id, { status: 'Pending' });
+  }
+
+  return updated;
+}
+
+/**
+ * Payout totals of a distribution's allocations
+ * @param {Object} distribution - Distribution (camelCase) with distribution_allocations
+ * @returns {Object} { distributionId, started, complete, counts, totals, allocations }
+ */
+function getPayoutStatus(distribution) {
+  const allocations = (distribution.distribution_allocations || []).map(a => ({
+    allocationId: a.id,
+    userId: a.user_id,
+    investorName: a.investorName,
+    amount: a.payout_amount ?? getPayoutAmount(a),
+    method: a.payout_method || null,
+    status: a.payout_status || 'pending',
+    reference: a.payout_reference || null,
+    batchId: a.payout_batch_id || null,
+    error: a.payout_error || null,
+    attempts: a.payout_attempts || 0,
+    initiatedAt: a.payout_initiated_at || null,
+    settledAt: a.payout_settled_at || null
+  }));
+
+  const totals = { pending: 0, processing: 0, settled: 0, failed: 0 };
+  const counts = { pending: 0, processing: 0, settled: 0, failed: 0 };
+  allocations.forEach(a => {
+    totals[a.status] = round2(totals[a.status] + a.amount);
+    counts[a.status] += 1;
+  });
+
+  return {
+    distributionId: distribution.id,
+    started: allocations.some(a => a.status !== 'pending'),
+    complete: allocations.length > 0 && counts.settled === allocations.length,
+    counts,
+    totals,
+    allocations
+  };
+}
+
+/**
+ * Mark the distribution paid once every allocation's payout has settled
+ * @param {string} distributionId - Distribution ID
+ * @returns {Promise<Object>} Payout status (see getPayoutStatus) with `distributionStatus` and
+ *   `markedPaid` (true when this call marked the distribution paid)
+ */
+async function completeIfSettled(distributionId) {
+  const distribution = await Distribution.findWithAllocations(distributionId);
+  const status = getPayoutStatus(distribution);
+
+  if (!status.complete || distribution.status === 'Paid') {
+    return { ...status, distributionStatus: distribution.status, markedPaid: false };
+  }
+
+  const paid = await Distribution.markAsPaid(distributionId);
+  return { ...status, distributionStatus: paid.status, markedPaid: true };
+}
+
+module.exports = {
+  PAYOUT_METHODS,
+  getPayoutAmount,
+  getPayoutCurrency,
+  selectPayoutMethod,
+  executePayouts,
+  settleBatch,
+  recordAllocationPayout,
+  handleTransferFailure,
+  getPayoutStatus
+};
@@ -22,6 +22,14 @@ const COLORS = {
   warning: '#D97706',      // Orange
 };
 
+// Income sources of distribution withholding (see utils/withholdingTax)
+const WITHHOLDING_SOURCE_LABELS = {
+  equity_gain: 'Equity Gain',
+  debt_interest: 'Debt Interest',
+  debt_principal: 'Debt Principal',
+  other: 'Other Income',
+};
+
 // ============================================================================
 // CAPITAL CALL NOTICE GENERATOR
 // ============================================================================
@@ -68,7 +76,7 @@ async function generateCapitalCallNoticePDF(capitalCall, structure, options = {}
       }
 
       // Section C: Payment Instructions
-      addSectionC(doc, capitalCall, bankDetails || structure.bankDetails, currency);
+      addSectionC(doc, capitalCall, bankDetails || structure.bankDetails, currency, capitalCall.installments);
 
       // Section D: Balance Summary
       if (capitalCall.allocations && capitalCall.allocations.length > 0) {
@@ -128,7 +136,7 @@ async function generateIndividualLPNoticePDF(capitalCall, allocation, structure,
       addLPSectionB(doc, capitalCall, allocation, structure, investor, currency);
 
       // Section C: Payment Instructions
-      addSectionC(doc, capitalCall, bankDetails || structure?.bankDetails, currency);
+      addSectionC(doc, capitalCall, bankDetails || structure?.bankDetails, currency, allocation.installments);
 
       // Section D: Balance Summary (LP-specific)
       addLPSectionD(doc, allocation, currency);
@@ -143,6 +151,55 @@ async function generateIndividualLPNoticePDF(capitalCall, allocation, structure,
   });
 }
 
+/**
+ * Generate Capital Call Cancellation Notice PDF (per LP)
+ * @param {Object} capitalCall - Cancelled capital call data
+ * @param {Object} allocation - Investor's voided allocation
+ * @param {Object} structure - Fund/structure data
+ * @param {Object} investor - Investor data
+ * @param {Object} options - Generation options ({ firmName, refund })
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateCapitalCallCancellationNoticePDF(capitalCall, allocation, structure, investor, options = {}) {
+  const { firmName = 'Investment Manager', refund = null } = options;
+  const currency = capitalCall.currency || structure?.currency || 'USD';
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true,
+        autoFirstPage: true
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Header with LP name
+      addNoticeHeader(doc, {
+        firmName,
+        title: `CANCELLATION OF CAPITAL CALL #${capitalCall.callNumber}`,
+        fundName: structure?.name || capitalCall.fundName,
+        date: capitalCall.cancelledAt || new Date().toISOString(),
+        recipientName: investor?.name || allocation.investorName
+      });
+
+      // Cancellation details and refund
+      addCancellationSection(doc, capitalCall, allocation, refund, currency);
+
+      // Footer
+      addNoticeFooter(doc, firmName);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
 // ============================================================================
 // DISTRIBUTION NOTICE GENERATOR
 // ============================================================================
@@ -310,6 +367,11 @@ function addLPSectionA(doc, capitalCall, allocation, structure, currency) {
     ['Purpose', capitalCall.purpose || 'Capital Deployment'],
   ];
 
+  // Supplementary calls (overcalls) reference the call whose shortfall they cover
+  if (capitalCall.parentCallNumber) {
+    summaryData.splice(1, 0, ['Supplementary To', `Capital Call #${capitalCall.parentCallNumber}`]);
+  }
+
   let currentY = doc.y;
   summaryData.forEach(([label, value]) => {
     doc.fontSize(10)
@@ -375,6 +437,14 @@ function addSectionB(doc, capitalCall, structure, currency) {
   });
 
   doc.y = currentY + 10;
+
+  if (capitalCall.lineItems && capitalCall.lineItems.length > 0) {
+    addLineItems(doc, capitalCall.lineItems, currency);
+  }
+
+  if (capitalCall.excusals && capitalCall.excusals.length > 0) {
+    addExcusals(doc, capitalCall.excusals, { showInvestors: true });
+  }
 }
 
 function addLPSectionB(doc, capitalCall, allocation, structure, investor, currency) {
@@ -402,6 +472,7 @@ function addLPSectionB(doc, capitalCall, allocation, structure, investor, curren
   const vatAmount = allocation.vat_amount || 0;
   const totalDue = allocation.total_due || allocation.allocatedAmount || 0;
   const feeOffset = allocation.fee_offset_amount || 0;
+  const feeIncomeOffset = allocation.fee_income_offset_amount || 0;
 
   // Rates and discount (percentage points)
   const nicRate = capitalCall.feeRateOnNic || 0;
@@ -414,6 +485,11 @@ function addLPSectionB(doc, capitalCall, allocation, structure, investor, curren
     ['Principal (Capital Call)', formatCurrency(principalAmount, currency)],
   ];
 
+  const excusalRedistribution = allocation.excusal_redistribution_amount || 0;
+  if (excusalRedistribution > 0) {
+    feeData.push(['Includes Share of Excused Investors', formatCurrency(excusalRedistribution, currency)]);
+  }
+
   if (managementFeeGross > 0) {
     // Rate decomposition for NIC component
     if (nicRate > 0) {
@@ -454,8 +530,12 @@ function addLPSectionB(doc, capitalCall, allocation, structure, investor, curren
       feeData.push(['Total Management Fees', formatCurrency(nicFeeNet + unfundedFeeNet, currency)]);
     }
 
-    if (feeOffset > 0) {
-      feeData.push(['Fee Offset', `-${formatCurrency(feeOffset, currency)}`]);
+    const callFeeOffset = Math.round((feeOffset - feeIncomeOffset) * 100) / 100;
+    if (callFeeOffset > 0) {
+      feeData.push(['Fee Offset', `-${formatCurrency(callFeeOffset, currency)}`]);
+    }
+    if (feeIncomeOffset > 0) {
+      feeData.push(['Less: GP Fee Income Offset (Transaction/Monitoring Fees)', `-${formatCurrency(feeIncomeOffset, currency)}`]);
     }
     feeData.push(['Net Management Fees', formatCurrency(managementFeeNet, currency)]);
   }
@@ -494,9 +574,118 @@ function addLPSectionB(doc, capitalCall, allocation, structure, investor, curren
   });
 
   doc.y = currentY + 10;
+
+  if (allocation.lineItems && allocation.lineItems.length > 0) {
+    addLineItems(doc, allocation.lineItems, currency);
+  }
+
+  // Other LPs are not named on individual notices
+  if (capitalCall.excusals && capitalCall.excusals.length > 0) {
+    addExcusals(doc, capitalCall.excusals, { showInvestors: false });
+  }
+}
+
+const EXCUSAL_REASON_LABELS = {
+  esg: 'ESG restrictions',
+  sanctions: 'Sanctions',
+  side_letter: 'Side letter',
+  regulatory: 'Regulatory',
+  other: 'Other'
+};
+
+/**
+ * Excused investors note: their share of the call was redistributed among the
+ * participating investors (fund notice lists the investors, LP notices only the count)
+ */
+function addExcusals(doc, excusals, { showInvestors }) {
+  if (doc.y > 650) doc.addPage();
+
+  doc.fontSize(11)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('Excused Investors', 60, doc.y);
+
+  doc.y += 18;
+
+  const reasons = [...new Set(excusals.map(e => EXCUSAL_REASON_LABELS[e.reasonType] || e.reasonType))];
+  doc.fontSize(9)
+     .font('Helvetica')
+     .fillColor(COLORS.text)
+     .text(
+       `${excusals.length} investor${excusals.length === 1 ? ' was' : 's were'} excused from this capital call ` +
+       `(${reasons.join(', ')}). Their share of its investments has been redistributed pro rata among the participating investors.`,
+       60, doc.y, { width: 480 }
+     );
+
+  if (showInvestors) {
+    doc.y += 6;
+    excusals.forEach(excusal => {
+      const reason = EXCUSAL_REASON_LABELS[excusal.reasonType] || excusal.reasonType;
+      doc.text(`${excusal.investorName || excusal.userId}: ${reason}${excusal.reason ? ` - ${excusal.reason}` : ''}`, 70, doc.y, { width: 470 });
+    });
+  }
+
+  doc.y += 10;
+}
+
+const LINE_ITEM_CATEGORY_LABELS = {
+  investment: 'Investment',
+  fund_expense: 'Fund Expense',
+  reserve: 'Reserve'
+};
+
+/**
+ * Use of proceeds table: the purposes (investments, expenses, reserves) a call is
+ * composed of, with their amount and VAT (call-level or the LP's share)
+ */
+function addLineItems(doc, lineItems, currency) {
+  if (doc.y > 620) doc.addPage();
+
+  doc.fontSize(11)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('Use of Proceeds', 60, doc.y);
+
+  doc.y += 18;
+
+  const headers = ['#', 'Purpose', 'Amount', 'VAT'];
+  const colWidths = [30, 230, 110, 110];
+  let colX = 60;
+
+  doc.fontSize(9)
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, doc.y, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  let currentY = doc.y + 14;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  lineItems.forEach((lineItem, index) => {
+    const category = LINE_ITEM_CATEGORY_LABELS[lineItem.category] || lineItem.category;
+    const rowData = [
+      String(lineItem.lineNumber || index + 1),
+      lineItem.description ? `${category}: ${lineItem.description}` : category,
+      formatCurrency(lineItem.amount, currency),
+      formatCurrency(lineItem.vatAmount || 0, currency)
+    ];
+
+    colX = 60;
+    rowData.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 16;
+  });
+
+  doc.y = currentY + 10;
 }
 
-function addSectionC(doc, capitalCall, bankDetails, currency) {
+function addSectionC(doc, capitalCall, bankDetails, currency, installments = []) {
   if (doc.y > 550) doc.addPage();
 
   const startY = doc.y + 10;
@@ -513,14 +702,18 @@ function addSectionC(doc, capitalCall, bankDetails, currency) {
   doc.y = startY + 35;
   doc.font('Helvetica');
 
-  // Payment due notice
-  doc.fontSize(11)
-     .fillColor(COLORS.warning)
-     .font('Helvetica-Bold')
-     .text(`Payment Due: ${formatDate(capitalCall.dueDate)}`, 60, doc.y)
-     .font('Helvetica');
+  // Payment due notice (or the installment schedule for calls funded in tranches)
+  if (installments && installments.length > 0) {
+    addInstallmentSchedule(doc, installments, currency);
+  } else {
+    doc.fontSize(11)
+       .fillColor(COLORS.warning)
+       .font('Helvetica-Bold')
+       .text(`Payment Due: ${formatDate(capitalCall.dueDate)}`, 60, doc.y)
+       .font('Helvetica');
 
-  doc.y += 20;
+    doc.y += 20;
+  }
 
   // Bank details
   const wireInstructions = bankDetails ? [
@@ -555,6 +748,55 @@ function addSectionC(doc, capitalCall, bankDetails, currency) {
   doc.y = currentY + 20;
 }
 
+/**
+ * Installment schedule table: call-level schedules carry percentage/amount,
+ * LP schedules carry amountDue/paidAmount
+ */
+function addInstallmentSchedule(doc, installments, currency) {
+  doc.fontSize(11)
+     .fillColor(COLORS.warning)
+     .font('Helvetica-Bold')
+     .text('Payment Schedule', 60, doc.y);
+
+  doc.y += 18;
+
+  const headers = ['#', 'Due Date', '% of Call', 'Amount Due'];
+  const colWidths = [30, 180, 100, 150];
+  let colX = 60;
+
+  doc.fontSize(9)
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, doc.y, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  let currentY = doc.y + 14;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  installments.forEach(installment => {
+    const amount = installment.amountDue !== undefined ? installment.amountDue : installment.amount;
+    const rowData = [
+      String(installment.installmentNumber),
+      formatDate(installment.dueDate),
+      installment.percentage !== undefined ? `${Number(installment.percentage).toFixed(2)}%` : '',
+      formatCurrency(amount, currency)
+    ];
+
+    colX = 60;
+    rowData.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 16;
+  });
+
+  doc.y = currentY + 10;
+}
+
 function addSectionD(doc, capitalCall, currency) {
   if (doc.y > 500) doc.addPage();
 
@@ -686,6 +928,75 @@ function addLPSectionD(doc, allocation, currency) {
   doc.y = currentY + 20;
 }
 
+function addCancellationSection(doc, capitalCall, allocation, refund, currency) {
+  const startY = doc.y + 10;
+
+  // Section header
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('CANCELLATION NOTICE', 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+
+  doc.fontSize(10)
+     .fillColor(COLORS.text)
+     .text(
+       `Capital Call #${capitalCall.callNumber} dated ${formatDate(capitalCall.callDate)} has been cancelled. ` +
+       'Your allocation under this call is void and no further payment is due.',
+       60,
+       doc.y,
+       { width: 490 }
+     );
+
+  const callAmount = allocation.total_due || allocation.allocatedAmount || 0;
+  const received = refund?.amount || 0;
+
+  const summaryData = [
+    ['Capital Call Number', `#${capitalCall.callNumber}`],
+    ['Cancellation Date', formatDate(capitalCall.cancelledAt || new Date().toISOString())],
+    ['Reason', capitalCall.cancellationReason || 'N/A'],
+    ['Cancelled Call Amount', formatCurrency(callAmount, currency)],
+    ['Amount Received', formatCurrency(received, currency)],
+    ['Amount to be Refunded', formatCurrency(received, currency)],
+  ];
+
+  let currentY = doc.y + 15;
+  summaryData.forEach(([label, value]) => {
+    const isHighlight = label.includes('Refunded');
+
+    doc.fontSize(10)
+       .fillColor(COLORS.muted)
+       .font(isHighlight ? 'Helvetica-Bold' : 'Helvetica')
+       .text(label, 60, currentY);
+
+    doc.fillColor(isHighlight ? COLORS.primary : COLORS.text)
+       .text(String(value), 250, currentY, { width: 300 })
+       .font('Helvetica');
+
+    currentY += 18;
+  });
+
+  if (received > 0) {
+    doc.fontSize(10)
+       .fillColor(COLORS.text)
+       .text(
+         'The amount received will be returned to the bank account on file. ' +
+         'Please contact the fund administrator if your payment details have changed.',
+         60,
+         currentY + 10,
+         { width: 490 }
+       );
+    currentY = doc.y;
+  }
+
+  doc.y = currentY + 20;
+}
+
 function addDistributionSummary(doc, distribution, structure, currency) {
   const startY = doc.y + 10;
 
@@ -702,11 +1013,16 @@ function addDistributionSummary(doc, distribution, structure, currency) {
   doc.font('Helvetica');
 
   const totalAmount = distribution.totalAmount || distribution.totalDistributionAmount || 0;
+  const withholding = getWithholdingTotals(distribution.allocations || []);
 
   const summaryData = [
     ['Distribution Number', `#${distribution.distributionNumber}`],
     ['Distribution Date', formatDate(distribution.distributionDate)],
     ['Total Distribution', formatCurrency(totalAmount, currency)],
+    ...(withholding.withheld > 0 ? [
+      ['Withholding Tax', `-${formatCurrency(withholding.withheld, currency)}`],
+      ['Net to LPs', formatCurrency(withholding.net, currency)],
+    ] : []),
     ['Source', distribution.source || 'Operating Income'],
     ['Status', distribution.status || 'Pending'],
   ];
@@ -803,6 +1119,71 @@ function addDistributionSourceBreakdown(doc, distribution, currency) {
   doc.y = currentY + 20;
 }
 
+const WATERFALL_TYPE_LABELS = {
+  European: 'European (whole fund)',
+  American: 'American (deal-by-deal)'
+};
+
+/**
+ * Waterfall mode line: whole-fund or deal-by-deal, and the investment a deal-by-deal
+ * distribution realizes
+ */
+function addWaterfallMode(doc, distribution) {
+  const trace = distribution.waterfallTrace;
+  const waterfallType = distribution.waterfallType || trace?.waterfallType;
+  if (!waterfallType) return;
+
+  let text = `Waterfall: ${WATERFALL_TYPE_LABELS[waterfallType] || waterfallType}`;
+  if (trace?.deal) {
+    text += ` - realized investment: ${trace.deal.investmentName || trace.deal.investmentId}`;
+  }
+  if (trace?.modeNote) {
+    text += ` (${trace.modeNote})`;
+  }
+
+  doc.fontSize(9)
+     .fillColor(COLORS.muted)
+     .font('Helvetica-Oblique')
+     .text(text, 60, doc.y, { width: 480 });
+
+  doc.font('Helvetica');
+  doc.y += 8;
+}
+
+/**
+ * Waterfall tier rows, from the engine trace when the distribution has one and from
+ * the tier columns otherwise (pro-rata by ownership for an LP)
+ */
+function getWaterfallTierRows(distribution, currency, { userId = null, ownershipFraction = 1 } = {}) {
+  const traceTiers = distribution.waterfallTrace?.tiers;
+
+  if (traceTiers && traceTiers.length > 0) {
+    // LPs in an investor class are shown the tiers of their class
+    const lpClass = userId && (distribution.waterfallTrace.classes || []).find(c => (c.userIds || []).includes(userId));
+    if (lpClass) {
+      return lpClass.tiers.map(tier => {
+        const traceTier = traceTiers.find(t => t.tierNumber === tier.tierNumber);
+        const amount = (traceTier?.steps || []).find(step => step.userId === userId)?.amount || 0;
+        return [`Tier ${tier.tierNumber}: ${tier.tierName}`, formatCurrency(amount, currency)];
+      });
+    }
+
+    return traceTiers.map(tier => {
+      const amount = userId
+        ? (tier.steps || []).find(step => step.userId === userId)?.amount || 0
+        : tier.amount;
+      return [`Tier ${tier.tierNumber}: ${tier.tierName}`, formatCurrency(amount, currency)];
+    });
+  }
+
+  return [
+    ['Tier 1: Return of Capital', formatCurrency((distribution.tier1Amount || 0) * ownershipFraction, currency)],
+    ['Tier 2: Preferred Return', formatCurrency((distribution.tier2Amount || 0) * ownershipFraction, currency)],
+    ['Tier 3: GP Catch-Up', formatCurrency((distribution.tier3Amount || 0) * ownershipFraction, currency)],
+    ['Tier 4: Carried Interest Split', formatCurrency((distribution.tier4Amount || 0) * ownershipFraction, currency)],
+  ];
+}
+
 function addDistributionWaterfallBreakdown(doc, distribution, currency) {
   if (doc.y > 500) doc.addPage();
 
@@ -819,11 +1200,10 @@ function addDistributionWaterfallBreakdown(doc, distribution, currency) {
   doc.y = startY + 35;
   doc.font('Helvetica');
 
+  addWaterfallMode(doc, distribution);
+
   const waterfallData = [
-    ['Tier 1: Return of Capital', formatCurrency(distribution.tier1Amount || 0, currency)],
-    ['Tier 2: Preferred Return', formatCurrency(distribution.tier2Amount || 0, currency)],
-    ['Tier 3: GP Catch-Up', formatCurrency(distribution.tier3Amount || 0, currency)],
-    ['Tier 4: Carried Interest Split', formatCurrency(distribution.tier4Amount || 0, currency)],
+    ...getWaterfallTierRows(distribution, currency),
     ['', ''],
     ['LP Total Proceeds', formatCurrency(distribution.lpTotalAmount || 0, currency)],
     ['GP Total Proceeds', formatCurrency(distribution.gpTotalAmount || 0, currency)],
@@ -860,6 +1240,22 @@ function addDistributionWaterfallBreakdown(doc, distribution, currency) {
   doc.y = currentY + 20;
 }
 
+/**
+ * Gross, withheld and net totals of distribution allocations
+ * (allocations without withholding count their gross as net)
+ */
+function getWithholdingTotals(allocations) {
+  return allocations.reduce((totals, allocation) => {
+    const gross = Number(allocation.allocated_amount || allocation.distributionAmount || 0);
+    const withheld = Number(allocation.withholding_tax_amount || 0);
+    return {
+      gross: totals.gross + gross,
+      withheld: totals.withheld + withheld,
+      net: totals.net + (withheld > 0 ? Number(allocation.net_to_investor || gross - withheld) : gross),
+    };
+  }, { gross: 0, withheld: 0, net: 0 });
+}
+
 function addDistributionAllocations(doc, distribution, currency) {
   if (doc.y > 450) doc.addPage();
 
@@ -877,8 +1273,8 @@ function addDistributionAllocations(doc, distribution, currency) {
   doc.font('Helvetica');
 
   // Table header
-  const headers = ['LP Name', 'Ownership %', 'Distribution Amount', 'Status'];
-  const colWidths = [180, 100, 140, 90];
+  const headers = ['LP Name', 'Ownership %', 'Gross Amount', 'Withholding', 'Net Amount', 'Status'];
+  const colWidths = [140, 65, 90, 75, 90, 52];
   let colX = 50;
 
   doc.fontSize(9)
@@ -910,12 +1306,15 @@ function addDistributionAllocations(doc, distribution, currency) {
     const investorName = allocation.investorName || allocation.investor_name || allocation.user?.name || 'Unknown';
     const ownershipPercent = allocation.ownership_percent || allocation.ownershipPercent || 0;
     const distributionAmount = allocation.allocated_amount || allocation.distributionAmount || 0;
+    const { withheld, net } = getWithholdingTotals([allocation]);
     const status = allocation.status || 'Pending';
 
     const rowData = [
-      investorName.substring(0, 30),
+      investorName.substring(0, 24),
       `${ownershipPercent.toFixed(2)}%`,
       formatCurrency(distributionAmount, currency),
+      withheld > 0 ? `-${formatCurrency(withheld, currency)}` : formatCurrency(0, currency),
+      formatCurrency(net, currency),
       status
     ];
 
@@ -1191,6 +1590,47 @@ function addDistLPSectionB(doc, distribution, allocation, currency) {
   sourceData.push(['', '']);
   sourceData.push(['YOUR TOTAL DISTRIBUTION', formatCurrency(distributionAmount, currency)]);
 
+  // Tax withheld by income source, and what is paid out
+  const withheldAmount = parseFloat(allocation.withholding_tax_amount) || 0;
+  if (withheldAmount > 0) {
+    (allocation.withholding_breakdown || [])
+      .filter(s => s.withheld > 0)
+      .forEach(s => {
+        const basis = s.basis === 'treaty' ? ' treaty' : '';
+        sourceData.push([
+          `Withholding - ${WITHHOLDING_SOURCE_LABELS[s.source] || s.source} (${s.rate}%${basis})`,
+          `-${formatCurrency(s.withheld, currency)}`
+        ]);
+      });
+    if (!allocation.withholding_breakdown?.length) {
+      sourceData.push(['Withholding Tax', `-${formatCurrency(withheldAmount, currency)}`]);
+    }
+    sourceData.push(['NET TOTAL PAYABLE TO YOU', formatCurrency(allocation.net_to_investor ?? distributionAmount - withheldAmount, currency)]);
+  }
+
+  // Part of the distribution delivered in securities or tokens or reinvested, the rest in cash
+  const inKindUnits = parseFloat(allocation.in_kind_units) || 0;
+  const inKindValue = parseFloat(allocation.in_kind_value) || 0;
+  const reinvestedAmount = parseFloat(allocation.reinvestment_amount) || 0;
+  if (inKindUnits > 0) {
+    const unitLabel = distribution.inKindAssetType === 'token' ? 'tokens' : 'shares';
+    const cashInLieu = parseFloat(allocation.cash_in_lieu) || 0;
+    sourceData.push([`Delivered in kind - ${inKindUnits.toLocaleString('en-US')} ${unitLabel}`, formatCurrency(inKindValue, currency)]);
+    if (cashInLieu !== 0) {
+      sourceData.push(['Cash in lieu of fractional units (included in cash)', formatCurrency(cashInLieu, currency)]);
+    }
+  }
+  if (reinvestedAmount > 0) {
+    const reinvestedLabel = allocation.reinvestment_method === 'subscription'
+      ? 'Reinvested - additional commitment'
+      : 'Reinvested - credited to your next capital call';
+    sourceData.push([reinvestedLabel, `-${formatCurrency(reinvestedAmount, currency)}`]);
+  }
+  if (inKindUnits > 0 || reinvestedAmount > 0) {
+    const net = withheldAmount > 0 ? parseFloat(allocation.net_to_investor ?? distributionAmount - withheldAmount) : parseFloat(distributionAmount);
+    sourceData.push(['CASH TOTAL PAYABLE TO YOU', formatCurrency(net - inKindValue - reinvestedAmount, currency)]);
+  }
+
   let currentY = doc.y;
   sourceData.forEach(([label, value]) => {
     if (label === '') {
@@ -1238,19 +1678,33 @@ function addDistLPSectionC(doc, distribution, allocation, currency) {
   const ownershipFraction = ownershipPercent / 100;
   const distributionAmount = allocation.allocated_amount || allocation.distributionAmount || allocation.finalAllocation || 0;
 
-  // Pro-rata waterfall tiers for this LP
+  addWaterfallMode(doc, distribution);
+
+  // This LP's waterfall tiers (from the engine trace, pro-rata for older distributions)
+  const userId = allocation.user_id || allocation.userId;
   const waterfallData = [
-    ['Tier 1: Return of Capital', formatCurrency((distribution.tier1Amount || 0) * ownershipFraction, currency)],
-    ['Tier 2: Preferred Return', formatCurrency((distribution.tier2Amount || 0) * ownershipFraction, currency)],
-    ['Tier 3: GP Catch-Up', formatCurrency((distribution.tier3Amount || 0) * ownershipFraction, currency)],
-    ['Tier 4: Carried Interest Split', formatCurrency((distribution.tier4Amount || 0) * ownershipFraction, currency)],
+    ...getWaterfallTierRows(distribution, currency, { userId, ownershipFraction }),
     ['', ''],
     ['Your LP Proceeds', formatCurrency(distributionAmount, currency)],
   ];
 
+  // Deal-by-deal: what this LP's deal ledger returns
+  const dealLedger = distribution.waterfallTrace?.deal
+    ? (distribution.waterfallTrace.allocations || []).find(a => a.userId === userId)
+    : null;
+  if (dealLedger) {
+    waterfallData.splice(waterfallData.length - 2, 0,
+      ['Deal Capital', formatCurrency(dealLedger.dealCapital, currency)],
+      ['Allocable Fees & Expenses', formatCurrency(dealLedger.allocableCosts, currency)],
+      ['Other Deals\' Write-downs', formatCurrency(dealLedger.writeDownRecovery, currency)]
+    );
+  }
+
   // Show carried interest deducted
   const gpTotal = distribution.gpTotalAmount || 0;
-  const carriedInterestLP = gpTotal * ownershipFraction;
+  const carriedInterestLP = distribution.waterfallTrace
+    ? parseFloat(allocation.carried_interest_amount) || 0
+    : gpTotal * ownershipFraction;
   if (carriedInterestLP > 0) {
     waterfallData.push(['Carried Interest Deducted', `-${formatCurrency(carriedInterestLP, currency)}`]);
   }
@@ -1346,6 +1800,7 @@ function addDistLPSectionD(doc, distribution, allocation, currency) {
 module.exports = {
   generateCapitalCallNoticePDF,
   generateIndividualLPNoticePDF,
+  generateCapitalCallCancellationNoticePDF,
   generateDistributionNoticePDF,
   generateIndividualDistributionNoticePDF
 };
@@ -0,0 +1,234 @@
+/**
+ * Fee Accrual Service
+ *
+ * Keeps the management fee accrual ledger of a structure:
+ * - Accruing a period records each LP's fee for it (see utils/feeAccrual) from the structure's
+ *   fee terms, the LP's commitment, side-letter discount and VAT exemption, and the capital
+ *   called from it so far. LPs already accrued for part of the period are skipped.
+ * - Capital calls flagged billAccruedFees charge each LP its unbilled accruals starting on or
+ *   before the call date instead of the fee computed at call time (the call's fee offset still
+ *   applies); cancelling or deleting the call releases them.
+ * - Fee reports reconcile the fees called to the ledger.
+ */
+
+const { ManagementFeeAccrual, StructureInvestor, CapitalCall } = require('../models/supabase');
+const { accrueInvestorFees } = require('../utils/feeAccrual');
+const { getInvestmentPeriodEnd } = require('./capitalCallLimitService');
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Fee terms of a structure
+ * @param {Object} structure - Structure (camelCase)
+ * @returns {Object} { feeBase, managementFee, feeRateOnNic, feeRateOnUnfunded, postCommitmentFeeRate }
+ */
+function getFeeTerms(structure) {
+  return {
+    feeBase: structure.managementFeeBase || 'committed',
+    managementFee: parseFloat(structure.managementFee) || 0,
+    feeRateOnNic: structure.feeRateOnNic ?? null,
+    feeRateOnUnfunded: structure.feeRateOnUnfunded ?? null,
+    postCommitmentFeeRate: structure.postCommitmentFeeRate ?? null
+  };
+}
+
+/**
+ * Accrue the management fees of a structure's LPs for a period
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} period - { startDate, endDate } (YYYY-MM-DD, inclusive)
+ * @param {Object} actor - { userId }
+ * @param {Object} [options] - { dryRun: boolean } to calculate without recording
+ * @returns {Promise<{ accruals: Array, skipped: Array<{ userId: string, reason: string }> }>}
+ */
+async function accrueFees(structure, { startDate, endDate }, actor = {}, options = {}) {
+  const investors = await StructureInvestor.findByStructureId(structure.id);
+  const callHistory = await CapitalCall.getCallHistoryByStructure(structure.id);
+  const existing = await ManagementFeeAccrual.findByStructureId(structure.id, { startDate, endDate });
+
+  const terms = getFeeTerms(structure);
+  const periodEnd = getInvestmentPeriodEnd(structure);
+  const convention = structure.dayCountConvention || 'actual_365';
+  const vatRate = parseFloat(structure.vatRate) || 0;
+
+  const accruals = [];
+  const skipped = [];
+  for (const investor of investors) {
+    if (existing.some(a => a.userId === investor.userId)) {
+      skipped.push({ userId: investor.userId, reason: 'Fees already accrued for part of the period' });
+      continue;
+    }
+
+    const result = accrueInvestorFees({
+      terms,
+      investor,
+      calls: callHistory.filter(c => c.userId === investor.userId && c.date),
+      startDate,
+      endDate,
+      commitmentPeriodEnd: periodEnd ? periodEnd.toISOString().split('T')[0] : null,
+      convention,
+      vatRate
+    });
+
+    if (result.totalFee <= 0) {
+      skipped.push({ userId: investor.userId, reason: 'No fee accrues for the period' });
+      continue;
+    }
+
+    accruals.push({
+      structureId: structure.id,
+      userId: investor.userId,
+      periodStart: startDate,
+      periodEnd: endDate,
+      feeBase: terms.feeBase,
+      dayCountConvention: convention,
+      ...result,
+      status: 'accrued',
+      createdBy: actor.userId || null
+    });
+  }
+
+  if (options.dryRun) return { accruals, skipped };
+
+  return { accruals: await ManagementFeeAccrual.createMany(accruals), skipped };
+}
+
+/**
+ * Bill the LPs' unbilled accruals on a capital call's allocations
+ * Each allocation's fee is replaced by the accruals (less the call's fee offset) and its
+ * amounts due adjusted by the difference.
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Array} allocations - capital_call_allocations rows (snake_case)
+ * @returns {Promise<{ allocations: Array, accruals: Array }>} Updated allocation rows and the accruals billed
+ */
+async function billFeeAccruals(capitalCall, allocations) {
+  const callDate = (capitalCall.callDate || new Date().toISOString()).split('T')[0];
+  const unbilled = (await ManagementFeeAccrual.findByStructureId(capitalCall.structureId, { status: 'accrued' }))
+    .filter(a => a.periodStart <= callDate);
+  const billedAt = new Date().toISOString();
+  const billed = [];
+  const updated = [];
+
+  for (const allocation of allocations || []) {
+    const accruals = unbilled.filter(a => a.userId === allocation.user_id);
+    const sum = (field) => round2(accruals.reduce((total, a) => total + a[field], 0));
+
+    const accruedNet = sum('netFee');
+    const feeOffset = parseFloat(allocation.fee_offset_amount) || 0;
+    const managementFeeNet = round2(Math.max(0, accruedNet - feeOffset));
+    const vatAmount = accruedNet > 0 ? round2(sum('vatAmount') * managementFeeNet / accruedNet) : 0;
+    const delta = round2(managementFeeNet + vatAmount -
+      (parseFloat(allocation.management_fee_net) || 0) - (parseFloat(allocation.vat_amount) || 0));
+    const adjust = (field) => round2((parseFloat(allocation[field]) || 0) + delta);
+
+    const fields = {
+      management_fee_gross: sum('grossFee'),
+      management_fee_discount: sum('discountAmount'),
+      management_fee_net: managementFeeNet,
+      vat_amount: vatAmount,
+      nic_fee_amount: 0,
+      unfunded_fee_amount: 0,
+      total_due: adjust('total_due'),
+      allocated_amount: adjust('allocated_amount'),
+      remaining_amount: adjust('remaining_amount'),
+      total_drawdown: adjust('total_drawdown')
+    };
+    await CapitalCall.updateAllocation(allocation.id, fields);
+    updated.push({ ...allocation, ...fields });
+
+    for (const accrual of accruals) {
+      billed.push(await ManagementFeeAccrual.findByIdAndUpdate(accrual.id, {
+        status: 'billed',
+        capitalCallId: capitalCall.id,
+        capitalCallAllocationId: allocation.id,
+        billedAt
+      }));
+    }
+  }
+
+  return { allocations: updated, accruals: billed };
+}
+
+/**
+ * Return the accruals billed by a cancelled or deleted capital call to the unbilled ledger
+ * @param {string} capitalCallId - Capital call ID
+ * @returns {Promise<Array>} Accruals released
+ */
+async function releaseFeeAccruals(capitalCallId) {
+  const accruals = await ManagementFeeAccrual.findByCapitalCallId(capitalCallId);
+
+  const released = [];
+  for (const accrual of accruals) {
+    released.push(await ManagementFeeAccrual.findByIdAndUpdate(accrual.id, {
+      status: 'accrued',
+      capitalCallId: null,
+      capitalCallAllocationId: null,
+      billedAt: null
+    }));
+  }
+  return released;
+}
+
+/**
+ * Totals of a set of accruals, overall and per LP
+ * @param {Array} accruals - ManagementFeeAccrual records
+ * @returns {Object} { grossFee, discountAmount, netFee, vatAmount, totalFee, billed, unbilled, investors }
+ */
+function summarizeAccruals(accruals) {
+  const sum = (items, field) => round2(items.reduce((total, a) => total + (a[field] || 0), 0));
+  const totals = (items) => ({
+    grossFee: sum(items, 'grossFee'),
+    discountAmount: sum(items, 'discountAmount'),
+    netFee: sum(items, 'netFee'),
+    vatAmount: sum(items, 'vatAmount'),
+    totalFee: sum(items, 'totalFee'),
+    billed: sum(items.filter(a => a.status === 'billed'), 'totalFee'),
+    unbilled: sum(items.filter(a => a.status !== 'billed'), 'totalFee')
+  });
+
+  const userIds = [...new Set(accruals.map(a => a.userId))];
+  return {
+    ...totals(accruals),
+    investors: userIds.map(userId => ({ userId, ...totals(accruals.filter(a => a.userId === userId)) }))
+  };
+}
+
+/**
+ * Reconcile the fees charged on capital call allocations to the accrual ledger
+ * @param {Array} accruals - ManagementFeeAccrual records of the period
+ * @param {Array} allocations - capital_call_allocations rows (snake_case) of the period's calls
+ * @returns {Object} Ledger totals, fees called from the ledger or computed at call time, and
+ *   the accrued fees not yet billed
+ */
+function reconcileFees(accruals, allocations) {
+  const ledgerAllocationIds = new Set(accruals.map(a => a.capitalCallAllocationId).filter(Boolean));
+  const calledFee = (items) => round2(items.reduce(
+    (total, a) => total + (parseFloat(a.management_fee_net) || 0) + (parseFloat(a.vat_amount) || 0), 0
+  ));
+  const summary = summarizeAccruals(accruals);
+
+  return {
+    accrued: {
+      grossFee: summary.grossFee,
+      discountAmount: summary.discountAmount,
+      netFee: summary.netFee,
+      vatAmount: summary.vatAmount,
+      totalFee: summary.totalFee
+    },
+    billed: summary.billed,
+    unbilled: summary.unbilled,
+    called: {
+      fromLedger: calledFee((allocations || []).filter(a => ledgerAllocationIds.has(a.id))),
+      computedAtCall: calledFee((allocations || []).filter(a => !ledgerAllocationIds.has(a.id)))
+    },
+    investors: summary.investors
+  };
+}
+
+module.exports = {
+  getFeeTerms,
+  accrueFees,
+  billFeeAccruals,
+  releaseFeeAccruals,
+  summarizeAccruals,
+  reconcileFees
+};
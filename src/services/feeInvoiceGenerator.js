@@ -0,0 +1,201 @@
+/**
+ * Fee Invoice Generator
+ *
+ * Generates management fee invoice and credit note PDFs branded with the firm settings
+ * (logo, legal name, primary color) and the issuer and recipient tax details kept on the
+ * invoice.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+  primary: '#2D1B69',
+  accent: '#EDE9FE',
+  text: '#1F2937',
+  muted: '#6B7280',
+  border: '#E5E7EB',
+};
+
+/**
+ * Generate a fee invoice or credit note PDF
+ * @param {Object} invoice - Fee invoice (camelCase)
+ * @param {Object} options - { structureName, callNumber, originalInvoiceNumber, firm, logo }
+ *   firm: firm settings (camelCase); logo: image buffer of the firm logo
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateFeeInvoicePDF(invoice, options = {}) {
+  const { firm = {}, logo = null } = options;
+  const primary = firm.themeConfig?.primaryColor || COLORS.primary;
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true,
+        autoFirstPage: true
+      });
+
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      addInvoiceHeader(doc, invoice, { ...options, primary, logo });
+      addParties(doc, invoice, options);
+      addInvoiceLines(doc, invoice, primary);
+      addInvoiceFooter(doc, firm.companyName || firm.firmName || 'Investment Manager');
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function addInvoiceHeader(doc, invoice, { primary, logo }) {
+  const issuer = invoice.issuer || {};
+  let y = 50;
+
+  if (logo) {
+    try {
+      doc.image(logo, 50, y, { fit: [140, 50] });
+      y += 60;
+    } catch (error) {
+      console.warn('Could not render firm logo on invoice:', error.message);
+    }
+  }
+
+  doc.fontSize(16).fillColor(primary).text(issuer.name || 'Investment Manager', 50, y, { width: 300 });
+  doc.fontSize(9).fillColor(COLORS.muted);
+  if (issuer.taxId) doc.text(`RFC / Tax ID: ${issuer.taxId}`, 50, doc.y + 2, { width: 300 });
+  if (issuer.taxRegime) doc.text(`Tax Regime: ${issuer.taxRegime}`, 50, doc.y, { width: 300 });
+  if (issuer.address) doc.text(issuer.address, 50, doc.y, { width: 300 });
+  if (issuer.email || issuer.phone) {
+    doc.text([issuer.email, issuer.phone].filter(Boolean).join(' | '), 50, doc.y, { width: 300 });
+  }
+  const leftBottom = doc.y;
+
+  const title = invoice.invoiceType === 'credit_note' ? 'CREDIT NOTE' : 'INVOICE';
+  doc.fontSize(18).fillColor(COLORS.text).text(title, 362, 50, { width: 200, align: 'right' });
+  doc.fontSize(10).fillColor(COLORS.text)
+     .text(`No. ${invoice.invoiceNumber}`, 362, 75, { width: 200, align: 'right' });
+  doc.fontSize(9).fillColor(COLORS.muted)
+     .text(`Series ${invoice.series} / Folio ${invoice.folio}`, 362, 90, { width: 200, align: 'right' })
+     .text(`Issue Date: ${formatDate(invoice.issueDate)}`, 362, 103, { width: 200, align: 'right' })
+     .text(`Currency: ${invoice.currency}`, 362, 116, { width: 200, align: 'right' });
+
+  const dividerY = Math.max(leftBottom, 130) + 10;
+  doc.moveTo(50, dividerY).lineTo(562, dividerY).stroke(COLORS.border);
+  doc.y = dividerY + 10;
+}
+
+function addParties(doc, invoice, { structureName, callNumber, originalInvoiceNumber }) {
+  const recipient = invoice.recipient || {};
+  const top = doc.y;
+
+  doc.fontSize(9).fillColor(COLORS.muted).text('BILL TO', 50, top);
+  doc.fontSize(11).fillColor(COLORS.text).text(recipient.name || 'N/A', 50, doc.y + 2, { width: 260 });
+  doc.fontSize(9).fillColor(COLORS.text);
+  doc.text(`RFC / Tax ID: ${recipient.taxId || 'Not provided'}`, 50, doc.y + 2, { width: 260 });
+  doc.text(`Fiscal Address: ${recipient.address || 'Not provided'}`, 50, doc.y, { width: 260 });
+  if (recipient.email) doc.text(recipient.email, 50, doc.y, { width: 260 });
+  const leftBottom = doc.y;
+
+  doc.fontSize(9).fillColor(COLORS.muted).text('DETAILS', 330, top);
+  doc.fontSize(9).fillColor(COLORS.text);
+  doc.text(`Fund: ${structureName || 'N/A'}`, 330, top + 13, { width: 232 });
+  if (callNumber) doc.text(`Capital Call: #${callNumber}`, 330, doc.y, { width: 232 });
+  if (originalInvoiceNumber) doc.text(`Corrects Invoice: ${originalInvoiceNumber}`, 330, doc.y, { width: 232 });
+  if (invoice.reason) doc.text(`Reason: ${invoice.reason}`, 330, doc.y, { width: 232 });
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+}
+
+function addInvoiceLines(doc, invoice, primary) {
+  const currency = invoice.currency;
+  let y = doc.y;
+
+  doc.rect(50, y, 512, 20).fill(COLORS.accent);
+  doc.fontSize(9).fillColor(primary)
+     .text('Description', 58, y + 6)
+     .text('Amount', 412, y + 6, { width: 142, align: 'right' });
+  y += 26;
+
+  doc.fillColor(COLORS.text);
+  (invoice.lineItems || []).forEach(line => {
+    doc.fontSize(9).text(line.description, 58, y, { width: 340 });
+    doc.text(formatCurrency(line.amount, currency), 412, y, { width: 142, align: 'right' });
+    y = Math.max(doc.y, y + 12) + 4;
+  });
+
+  doc.moveTo(50, y).lineTo(562, y).stroke(COLORS.border);
+  y += 8;
+
+  const totals = [
+    ['Subtotal', invoice.subtotal],
+    [`VAT (${invoice.vatRate}%)`, invoice.vatAmount],
+  ];
+  totals.forEach(([label, amount]) => {
+    doc.fontSize(9).fillColor(COLORS.text)
+       .text(label, 330, y, { width: 120 })
+       .text(formatCurrency(amount, currency), 412, y, { width: 142, align: 'right' });
+    y += 14;
+  });
+
+  doc.rect(330, y, 232, 22).fill(COLORS.accent);
+  doc.fontSize(11).fillColor(primary)
+     .text('Total', 338, y + 6, { width: 112 })
+     .text(formatCurrency(invoice.total, currency), 412, y + 6, { width: 142, align: 'right' });
+  doc.y = y + 32;
+}
+
+function addInvoiceFooter(doc, issuerName) {
+  const pages = doc.bufferedPageRange();
+
+  for (let i = 0; i < pages.count; i++) {
+    doc.switchToPage(i);
+
+    doc.moveTo(50, 730)
+       .lineTo(562, 730)
+       .stroke(COLORS.border);
+
+    doc.fontSize(8)
+       .fillColor(COLORS.muted)
+       .text(`Issued by ${issuerName}`, 50, 740);
+
+    doc.text(
+      `Page ${i + 1} of ${pages.count}`,
+      0,
+      740,
+      { align: 'center', width: 612 }
+    );
+  }
+}
+
+function formatCurrency(value, currency) {
+  const safeCurrency = currency || 'USD';
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: safeCurrency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    }).format(value || 0);
+  } catch {
+    return `${safeCurrency} ${(value || 0).toFixed(2)}`;
+  }
+}
+
+function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  return new Date(`${String(dateString).split('T')[0]}T00:00:00`).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+module.exports = {
+  generateFeeInvoicePDF
+};
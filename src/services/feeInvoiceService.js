@@ -0,0 +1,292 @@
+/**
+ * Fee Invoice Service
+ *
+ * Issues standalone management fee invoices to LPs:
+ * - One invoice per fee billing (capital call allocation with a net management fee) in the
+ *   structure's 'F' series; folios are sequential without gaps (see FeeInvoice model). A
+ *   unique index keeps concurrent runs from invoicing the same billing twice.
+ * - The issuer (firm settings: legal name, RFC / tax ID, tax regime, fiscal address) and
+ *   recipient (LP: name, RFC / tax ID, fiscal address) details are kept on the invoice as
+ *   issued, so later profile changes do not alter it.
+ * - Corrections are credit notes in the 'NC' series against an invoice; invoices are never
+ *   edited or deleted. Once an invoice is fully credited the billing can be invoiced again.
+ *   The invoice's credited amount is only updated if unchanged since it was read, so
+ *   concurrent credit notes cannot over-credit it.
+ * - Cancelling a capital call credits its open invoices in full.
+ * - Each invoice and credit note PDF is stored as a Document of the capital call owned by the LP.
+ */
+
+const axios = require('axios');
+const { FeeInvoice, FirmSettings, User, CapitalCall, Document } = require('../models/supabase');
+const { uploadToSupabase } = require('../utils/fileUpload');
+const { generateFeeInvoicePDF } = require('./feeInvoiceGenerator');
+const {
+  INVOICE_SERIES,
+  getInvoiceCurrency,
+  buildFeeInvoice,
+  buildCreditNote,
+  getRecipientDetails
+} = require('../utils/feeInvoice');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Issuer details of invoices from the firm settings
+ * @param {Object|null} firm - Firm settings (camelCase)
+ * @returns {Object} { name, taxId, taxRegime, address, email, phone }
+ */
+function getIssuerDetails(firm) {
+  return {
+    name: firm?.companyName || firm?.firmName || 'Investment Manager',
+    taxId: firm?.taxId || null,
+    taxRegime: firm?.taxRegime || null,
+    address: firm?.firmAddress || null,
+    email: firm?.firmEmail || null,
+    phone: firm?.firmPhone || null
+  };
+}
+
+/**
+ * Download the firm logo for the invoice header (null when unset or unreachable)
+ * @param {Object|null} firm - Firm settings (camelCase)
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadFirmLogo(firm) {
+  if (!firm?.firmLogo) return null;
+
+  try {
+    const response = await axios.get(firm.firmLogo, { responseType: 'arraybuffer', timeout: 5000 });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.warn('Could not load firm logo for invoice:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Render an invoice or credit note PDF and store it as a Document of the capital call
+ * A storage failure leaves the invoice without a document; its PDF can still be rendered
+ * on demand (renderFeeInvoicePDF).
+ * @param {Object} invoice - Fee invoice (camelCase)
+ * @param {Object} context - { structure, firm, logo, callNumber, originalInvoiceNumber }
+ * @param {Object} actor - { userId }
+ * @returns {Promise<Object>} Invoice (with documentId when stored)
+ */
+async function storeInvoiceDocument(invoice, context, actor = {}) {
+  const label = invoice.invoiceType === 'credit_note' ? 'Credit Note' : 'Management Fee Invoice';
+
+  try {
+    const pdf = await generateFeeInvoicePDF(invoice, {
+      structureName: context.structure?.name,
+      callNumber: context.callNumber,
+      originalInvoiceNumber: context.originalInvoiceNumber,
+      firm: context.firm || {},
+      logo: context.logo
+    });
+    const upload = await uploadToSupabase(pdf, `${invoice.invoiceNumber}.pdf`, 'application/pdf', `invoices/${invoice.structureId}`);
+
+    const document = await Document.create({
+      entityType: 'CapitalCall',
+      entityId: invoice.capitalCallId,
+      documentType: label,
+      documentName: `${label} ${invoice.invoiceNumber}`,
+      filePath: upload.publicUrl,
+      fileSize: upload.size,
+      mimeType: 'application/pdf',
+      uploadedBy: actor.userId || null,
+      version: 1,
+      isActive: true,
+      tags: ['fee-invoice'],
+      metadata: { invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber, invoiceType: invoice.invoiceType },
+      notes: '',
+      userId: invoice.userId
+    });
+
+    return await FeeInvoice.findByIdAndUpdate(invoice.id, { documentId: document.id });
+  } catch (error) {
+    console.warn(`Could not store PDF of ${label.toLowerCase()} ${invoice.invoiceNumber}:`, error.message);
+    return invoice;
+  }
+}
+
+/**
+ * Issue invoices for the management fees billed by a capital call
+ * Allocations without a net fee, and those with an invoice not fully credited, are skipped.
+ * @param {Object} capitalCall - Capital call with capital_call_allocations (findWithAllocations)
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} actor - { userId }
+ * @returns {Promise<{ invoices: Array, skipped: Array<string>, warnings: Array<string> }>}
+ */
+async function issueFeeInvoices(capitalCall, structure, actor = {}) {
+  const existing = await FeeInvoice.findByStructureId(structure.id, {
+    capitalCallId: capitalCall.id,
+    invoiceType: 'invoice'
+  });
+  const invoiced = new Set(existing.filter(i => i.status !== 'credited').map(i => i.capitalCallAllocationId));
+
+  const billings = (capitalCall.capital_call_allocations || [])
+    .filter(a => (parseFloat(a.management_fee_net) || 0) > 0);
+  const toInvoice = billings.filter(a => !invoiced.has(a.id));
+
+  const firm = await FirmSettings.get();
+  const issuer = getIssuerDetails(firm);
+  const logo = toInvoice.length > 0 ? await loadFirmLogo(firm) : null;
+  const context = { structure, firm, logo, callNumber: capitalCall.callNumber };
+
+  const invoices = [];
+  const warnings = [];
+  if (toInvoice.length > 0 && !issuer.taxId) {
+    warnings.push('Firm settings have no RFC / tax ID for the invoice issuer');
+  }
+
+  // One at a time so folios follow the allocation order
+  for (const allocation of toInvoice) {
+    const user = await User.findById(allocation.user_id);
+    const recipient = getRecipientDetails(user || {});
+    if (!recipient.taxId) warnings.push(`${recipient.name || allocation.user_id} has no RFC / tax ID`);
+
+    const invoice = await FeeInvoice.createWithNextFolio({
+      structureId: structure.id,
+      userId: allocation.user_id,
+      invoiceType: 'invoice',
+      series: INVOICE_SERIES.invoice,
+      issueDate: today(),
+      capitalCallId: capitalCall.id,
+      capitalCallAllocationId: allocation.id,
+      currency: getInvoiceCurrency(structure),
+      ...buildFeeInvoice(allocation, capitalCall, structure),
+      status: 'issued',
+      issuer,
+      recipient,
+      createdBy: actor.userId || null
+    });
+
+    // Invoiced by a concurrent request since the check above
+    if (!invoice) {
+      invoiced.add(allocation.id);
+      continue;
+    }
+
+    invoices.push(await storeInvoiceDocument(invoice, context, actor));
+  }
+
+  return {
+    invoices,
+    skipped: billings.filter(a => invoiced.has(a.id)).map(a => a.id),
+    warnings
+  };
+}
+
+/**
+ * Issue a credit note correcting (part of) an invoice
+ * The invoice's credited amount is claimed first, conditional on the value read, so a
+ * concurrent credit note cannot credit the same amount again.
+ * @param {Object} invoice - Fee invoice (camelCase) - check validateCreditAmount first
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} options - { amount, reason } - amount defaults to what is left to credit
+ * @param {Object} actor - { userId }
+ * @returns {Promise<{ creditNote: Object, invoice: Object }|null>} null when the invoice was
+ *   credited by another request since it was read
+ */
+async function issueCreditNote(invoice, structure, { amount = null, reason = null } = {}, actor = {}) {
+  const { creditedAmount, status, ...amounts } = buildCreditNote(invoice, amount, reason);
+
+  const updatedInvoice = await FeeInvoice.updateIfCreditedAmount(invoice.id, invoice.creditedAmount, { creditedAmount, status });
+  if (!updatedInvoice) return null;
+
+  const firm = await FirmSettings.get();
+
+  let creditNote;
+  try {
+    creditNote = await FeeInvoice.createWithNextFolio({
+      structureId: invoice.structureId,
+      userId: invoice.userId,
+      invoiceType: 'credit_note',
+      series: INVOICE_SERIES.credit_note,
+      issueDate: today(),
+      capitalCallId: invoice.capitalCallId,
+      capitalCallAllocationId: invoice.capitalCallAllocationId,
+      originalInvoiceId: invoice.id,
+      currency: invoice.currency,
+      ...amounts,
+      status: 'issued',
+      issuer: getIssuerDetails(firm),
+      recipient: invoice.recipient,
+      reason,
+      createdBy: actor.userId || null
+    });
+  } catch (error) {
+    // Give the claimed amount back so the invoice can be credited again
+    await FeeInvoice.updateIfCreditedAmount(invoice.id, creditedAmount, {
+      creditedAmount: invoice.creditedAmount,
+      status: invoice.status
+    });
+    throw error;
+  }
+
+  const capitalCall = await CapitalCall.findById(invoice.capitalCallId);
+
+  return {
+    creditNote: await storeInvoiceDocument(creditNote, {
+      structure,
+      firm,
+      logo: await loadFirmLogo(firm),
+      callNumber: capitalCall?.callNumber,
+      originalInvoiceNumber: invoice.invoiceNumber
+    }, actor),
+    invoice: updatedInvoice
+  };
+}
+
+/**
+ * Credit in full the open invoices of a cancelled capital call
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Object} structure - Structure (camelCase)
+ * @param {string} reason - Cancellation reason
+ * @param {Object} actor - { userId }
+ * @returns {Promise<Array>} Credit notes issued
+ */
+async function creditCancelledCallInvoices(capitalCall, structure, reason, actor = {}) {
+  const invoices = await FeeInvoice.findByStructureId(capitalCall.structureId, {
+    capitalCallId: capitalCall.id,
+    invoiceType: 'invoice'
+  });
+
+  const creditNotes = [];
+  for (const invoice of invoices.filter(i => i.status !== 'credited')) {
+    const result = await issueCreditNote(invoice, structure, {
+      reason: `Capital call #${capitalCall.callNumber} cancelled${reason ? `: ${reason}` : ''}`
+    }, actor);
+    // Credited in full by a concurrent request otherwise
+    if (result) creditNotes.push(result.creditNote);
+  }
+
+  return creditNotes;
+}
+
+/**
+ * Render the PDF of an invoice or credit note
+ * @param {Object} invoice - Fee invoice (camelCase)
+ * @param {Object} structure - Structure (camelCase)
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function renderFeeInvoicePDF(invoice, structure) {
+  const firm = await FirmSettings.get();
+  const capitalCall = await CapitalCall.findById(invoice.capitalCallId);
+  const original = invoice.originalInvoiceId ? await FeeInvoice.findById(invoice.originalInvoiceId) : null;
+
+  return generateFeeInvoicePDF(invoice, {
+    structureName: structure?.name,
+    callNumber: capitalCall?.callNumber,
+    originalInvoiceNumber: original?.invoiceNumber,
+    firm: firm || {},
+    logo: await loadFirmLogo(firm)
+  });
+}
+
+module.exports = {
+  issueFeeInvoices,
+  issueCreditNote,
+  creditCancelledCallInvoices,
+  renderFeeInvoicePDF
+};
@@ -0,0 +1,290 @@
+/**
+ * Fee Offset Service
+ *
+ * Offsets GP fee income against the management fee:
+ * - Transaction, monitoring, director and break-up fees received by the GP are recorded in the
+ *   structure's fee income register, optionally linked to the investment that paid them.
+ * - When the structure offsets them (managementFeeOffset), feeOffsetRate % of each receipt
+ *   (100% when no rate is set) is credited to the LPs pro-rata to commitment.
+ * - Each LP's credit balance is applied against the management fee (and the VAT on it) of
+ *   the LP's next capital call allocation; any unused balance carries forward. The amount is
+ *   shown on notices and fee reports as its own offset line (fee_income_offset_amount).
+ * - Cancelling the call (or rebuilding its allocations) returns the offsets it applied to the
+ *   LPs' balances by posting a reversal against each application; ledger entries are never
+ *   deleted, so the register keeps the full history.
+ */
+
+const { GpFeeIncome, FeeOffsetEntry, StructureInvestor, CapitalCall } = require('../models/supabase');
+
+const FEE_INCOME_TYPES = ['transaction', 'monitoring', 'director', 'break_up', 'other'];
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Percentage of GP fee income credited to the LPs (0 when the structure does not offset)
+ * @param {Object} structure - Structure (camelCase)
+ * @returns {number}
+ */
+function getOffsetRate(structure) {
+  if (!structure?.managementFeeOffset) return 0;
+
+  const rate = parseFloat(String(structure.feeOffsetRate ?? '').replace('%', ''));
+  if (!Number.isFinite(rate)) return 100;
+  return Math.min(100, Math.max(0, rate));
+}
+
+/**
+ * Split an offset credit between LPs pro-rata to commitment (rounding on the last LP)
+ * @param {number} amount - Offset credit
+ * @param {Array} investors - [{ userId, commitment }]
+ * @returns {Array<{ userId: string, amount: number }>}
+ */
+function allocateOffsetCredits(amount, investors = []) {
+  const commitments = new Map();
+  investors.forEach(inv => {
+    const commitment = parseFloat(inv.commitment) || 0;
+    if (commitment > 0) commitments.set(inv.userId, (commitments.get(inv.userId) || 0) + commitment);
+  });
+
+  const totalCommitment = [...commitments.values()].reduce((sum, c) => sum + c, 0);
+  if (!(amount > 0) || totalCommitment <= 0) return [];
+
+  const userIds = [...commitments.keys()];
+  let allocated = 0;
+  return userIds.map((userId, index) => {
+    const share = index === userIds.length - 1
+      ? round2(amount - allocated)
+      : round2(amount * commitments.get(userId) / totalCommitment);
+    allocated = round2(allocated + share);
+    return { userId, amount: share };
+  }).filter(credit => credit.amount > 0);
+}
+
+/**
+ * Offset balances per LP from ledger entries (no database access)
+ * @param {Array} entries - FeeOffsetEntry records ('credit', 'applied' and 'reversal')
+ * @returns {Object} { credited, applied, balance, investors: [{ userId, credited, applied, balance }] }
+ */
+function buildOffsetBalances(entries = []) {
+  const sumOf = (items, entryType) => items.filter(e => e.entryType === entryType).reduce((sum, e) => sum + e.amount, 0);
+  const totals = (items) => {
+    const credited = round2(sumOf(items, 'credit'));
+    // Reversed applications no longer count against the balance
+    const applied = round2(sumOf(items, 'applied') - sumOf(items, 'reversal'));
+    return { credited, applied, balance: round2(credited - applied) };
+  };
+
+  const userIds = [...new Set(entries.map(e => e.userId))];
+  return {
+    ...totals(entries),
+    investors: userIds.map(userId => ({ userId, ...totals(entries.filter(e => e.userId === userId)) }))
+  };
+}
+
+/**
+ * Record GP fee income and credit the LPs their share of the offset
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} income - { investmentId, feeType, description, amount, receivedDate }
+ * @param {Object} actor - { userId }
+ * @returns {Promise<{ feeIncome: Object, credits: Array }>}
+ */
+async function recordFeeIncome(structure, income, actor = {}) {
+  const offsetRate = getOffsetRate(structure);
+  const amount = round2(income.amount);
+  const offsetAmount = round2(amount * offsetRate / 100);
+  const receivedDate = income.receivedDate || new Date().toISOString().split('T')[0];
+
+  const feeIncome = await GpFeeIncome.create({
+    structureId: structure.id,
+    investmentId: income.investmentId || null,
+    feeType: income.feeType,
+    description: income.description || null,
+    amount,
+    receivedDate,
+    offsetRate,
+    offsetAmount,
+    createdBy: actor.userId || null
+  });
+
+  const investors = offsetAmount > 0 ? await StructureInvestor.findByStructureId(structure.id) : [];
+  const credits = await FeeOffsetEntry.createMany(allocateOffsetCredits(offsetAmount, investors).map(credit => ({
+    structureId: structure.id,
+    userId: credit.userId,
+    entryType: 'credit',
+    amount: credit.amount,
+    feeIncomeId: feeIncome.id,
+    entryDate: receivedDate,
+    description: income.description || `GP ${income.feeType.replace('_', '-')} fee offset`,
+    createdBy: actor.userId || null
+  })));
+
+  return { feeIncome, credits };
+}
+
+/**
+ * Check GP fee income can be deleted: the LPs must not have used the credits it produced
+ * @param {Object} feeIncome - GpFeeIncome record
+ * @returns {Promise<{ allowed: boolean, reason?: string }>}
+ */
+async function canDeleteFeeIncome(feeIncome) {
+  const entries = await FeeOffsetEntry.findByStructureId(feeIncome.structureId);
+  const balances = buildOffsetBalances(entries);
+
+  const used = entries
+    .filter(e => e.entryType === 'credit' && e.feeIncomeId === feeIncome.id)
+    .some(credit => {
+      const investor = balances.investors.find(i => i.userId === credit.userId);
+      return (investor?.balance || 0) < credit.amount - TOLERANCE;
+    });
+
+  if (used) {
+    return { allowed: false, reason: 'The offset credits from this fee income have already been applied to capital calls' };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Apply the LPs' offset balances against the management fees of a capital call's allocations
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Array} allocations - capital_call_allocations rows (snake_case)
+ * @param {Object} actor - { userId }
+ * @returns {Promise<{ allocations: Array, entries: Array }>} Allocation rows (updated where an
+ *   offset applied) and the ledger entries recorded
+ */
+async function applyFeeOffsets(capitalCall, allocations, actor = {}) {
+  const balances = buildOffsetBalances(await FeeOffsetEntry.findByStructureId(capitalCall.structureId));
+  const entryDate = (capitalCall.callDate || new Date().toISOString()).split('T')[0];
+
+  const entries = [];
+  const updated = [];
+  for (const allocation of allocations || []) {
+    const balance = balances.investors.find(i => i.userId === allocation.user_id)?.balance || 0;
+    const managementFeeNet = parseFloat(allocation.management_fee_net) || 0;
+    const applied = round2(Math.min(balance, managementFeeNet));
+
+    if (applied <= 0) {
+      updated.push(allocation);
+      continue;
+    }
+
+    const vatAmount = parseFloat(allocation.vat_amount) || 0;
+    const newFeeNet = round2(managementFeeNet - applied);
+    const newVat = round2(vatAmount * newFeeNet / managementFeeNet);
+    const delta = round2(newFeeNet + newVat - managementFeeNet - vatAmount);
+    const adjust = (field) => round2((parseFloat(allocation[field]) || 0) + delta);
+
+    const fields = {
+      management_fee_net: newFeeNet,
+      vat_amount: newVat,
+      fee_offset_amount: round2((parseFloat(allocation.fee_offset_amount) || 0) + applied),
+      fee_income_offset_amount: round2((parseFloat(allocation.fee_income_offset_amount) || 0) + applied),
+      deemed_gp_contribution: round2((parseFloat(allocation.deemed_gp_contribution) || 0) - applied),
+      total_due: adjust('total_due'),
+      allocated_amount: adjust('allocated_amount'),
+      remaining_amount: adjust('remaining_amount'),
+      total_drawdown: adjust('total_drawdown')
+    };
+    await CapitalCall.updateAllocation(allocation.id, fields);
+    updated.push({ ...allocation, ...fields });
+
+    entries.push({
+      structureId: capitalCall.structureId,
+      userId: allocation.user_id,
+      entryType: 'applied',
+      amount: applied,
+      capitalCallId: capitalCall.id,
+      capitalCallAllocationId: allocation.id,
+      entryDate,
+      description: `Applied to capital call #${capitalCall.callNumber}`,
+      createdBy: actor.userId || null
+    });
+  }
+
+  return { allocations: updated, entries: await FeeOffsetEntry.createMany(entries) };
+}
+
+/**
+ * Return the offsets applied by a cancelled capital call (or by allocations being rebuilt) to
+ * the LPs' balances, posting a reversal for each application not reversed yet
+ * @param {string} capitalCallId - Capital call ID
+ * @param {Object} [actor] - { userId }
+ * @returns {Promise<Array>} Reversal entries recorded
+ */
+async function releaseFeeOffsets(capitalCallId, actor = {}) {
+  const entries = await FeeOffsetEntry.findByCapitalCallId(capitalCallId);
+  const reversed = new Set(entries.filter(e => e.entryType === 'reversal').map(e => e.reversedEntryId));
+  const entryDate = new Date().toISOString().split('T')[0];
+
+  return FeeOffsetEntry.createMany(entries
+    .filter(e => e.entryType === 'applied' && !reversed.has(e.id))
+    .map(applied => ({
+      structureId: applied.structureId,
+      userId: applied.userId,
+      entryType: 'reversal',
+      amount: applied.amount,
+      capitalCallId,
+      capitalCallAllocationId: applied.capitalCallAllocationId,
+      reversedEntryId: applied.id,
+      entryDate,
+      description: `Reversal: ${applied.description || 'offset applied to capital call'}`,
+      createdBy: actor.userId || null
+    })));
+}
+
+/**
+ * GP fee income and offsets of a structure, optionally for a period and one LP
+ * @param {string} structureId - Structure ID
+ * @param {Object} [filter] - { userId, startDate, endDate }
+ * @returns {Promise<Object>} { income: { total, offsetAmount, byType, items }, credited, applied,
+ *   carriedForward, investors } - income and entries within the period, balances at its end
+ */
+async function getFeeOffsetSummary(structureId, { userId, startDate, endDate } = {}) {
+  const income = await GpFeeIncome.findByStructureId(structureId, { startDate, endDate });
+  const entries = (await FeeOffsetEntry.findByStructureId(structureId, { userId }))
+    .filter(e => !endDate || e.entryDate <= endDate);
+  const inPeriod = entries.filter(e => !startDate || e.entryDate >= startDate);
+
+  const byType = {};
+  income.forEach(item => {
+    if (!byType[item.feeType]) byType[item.feeType] = { amount: 0, offsetAmount: 0 };
+    byType[item.feeType].amount = round2(byType[item.feeType].amount + item.amount);
+    byType[item.feeType].offsetAmount = round2(byType[item.feeType].offsetAmount + item.offsetAmount);
+  });
+
+  const period = buildOffsetBalances(inPeriod);
+  const closing = buildOffsetBalances(entries);
+
+  return {
+    income: {
+      total: round2(income.reduce((sum, item) => sum + item.amount, 0)),
+      offsetAmount: round2(income.reduce((sum, item) => sum + item.offsetAmount, 0)),
+      byType,
+      items: userId ? [] : income
+    },
+    credited: period.credited,
+    applied: period.applied,
+    carriedForward: closing.balance,
+    investors: closing.investors.map(investor => {
+      const periodTotals = period.investors.find(i => i.userId === investor.userId);
+      return {
+        userId: investor.userId,
+        credited: periodTotals?.credited || 0,
+        applied: periodTotals?.applied || 0,
+        carriedForward: investor.balance
+      };
+    })
+  };
+}
+
+module.exports = {
+  FEE_INCOME_TYPES,
+  getOffsetRate,
+  allocateOffsetCredits,
+  buildOffsetBalances,
+  recordFeeIncome,
+  canDeleteFeeIncome,
+  applyFeeOffsets,
+  releaseFeeOffsets,
+  getFeeOffsetSummary
+};
@@ -18,6 +18,21 @@ const COLORS = {
   warning: '#D97706',
 };
 
+const FEE_INCOME_TYPE_LABELS = {
+  transaction: 'Transaction Fees',
+  monitoring: 'Monitoring Fees',
+  director: 'Director Fees',
+  break_up: 'Break-up Fees',
+  other: 'Other Fee Income',
+};
+
+const WITHHOLDING_SOURCE_LABELS = {
+  equity_gain: 'Equity Gain',
+  debt_interest: 'Debt Interest',
+  debt_principal: 'Debt Principal',
+  other: 'Other Income',
+};
+
 /**
  * Generate Fee & Expense Report PDF
  * @param {Object} structure - Fund/structure data
@@ -65,6 +80,16 @@ async function generateFeeReportPDF(structure, feeData, period, options = {}) {
         addDualRateDetails(doc, feeData.investors, currency);
       }
 
+      // Section D: Withholding tax on the period's distributions (if any was withheld)
+      if (feeData.withholding?.summary.totalWithheld > 0) {
+        addWithholdingTaxSummary(doc, feeData.withholding, currency);
+      }
+
+      // Section E: GP fee income offset against the management fee (if any)
+      if (hasFeeOffsets(feeData.feeOffsets)) {
+        addFeeOffsetSummary(doc, feeData.feeOffsets, feeData.investors, currency);
+      }
+
       // Footer
       addFeeReportFooter(doc, firmName);
 
@@ -108,6 +133,9 @@ async function generateFeeReportExcel(structure, feeData, period, options = {})
     summarySheet.addRow({ metric: '', amount: '' });
     summarySheet.addRow({ metric: 'Total Management Fees (Gross)', amount: summary.totalFeesGross });
     summarySheet.addRow({ metric: 'Total Discounts', amount: summary.totalDiscounts });
+    if (summary.totalFeeIncomeOffsets > 0) {
+      summarySheet.addRow({ metric: 'Total GP Fee Income Offsets', amount: summary.totalFeeIncomeOffsets });
+    }
     summarySheet.addRow({ metric: 'Total Management Fees (Net)', amount: summary.totalFeesNet });
     summarySheet.addRow({ metric: 'Total VAT', amount: summary.totalVAT });
     summarySheet.addRow({ metric: 'Total Fees Collected', amount: summary.totalFeesCollected });
@@ -158,6 +186,58 @@ async function generateFeeReportExcel(structure, feeData, period, options = {})
       detailSheet.addRow(row);
     });
 
+    // Withholding tax worksheet
+    if (feeData.withholding?.investors.length > 0) {
+      const withholding = feeData.withholding;
+      summarySheet.addRow({ metric: '', amount: '' });
+      summarySheet.addRow({ metric: 'Distributions to LPs (Gross)', amount: withholding.summary.totalGross });
+      summarySheet.addRow({ metric: 'Withholding Tax', amount: withholding.summary.totalWithheld });
+      summarySheet.addRow({ metric: 'Distributions to LPs (Net)', amount: withholding.summary.totalNet });
+
+      const withholdingSheet = workbook.addWorksheet('Withholding Tax');
+      withholdingSheet.columns = [
+        { header: 'Investor / Income Source', key: 'name', width: 28 },
+        { header: 'Gross', key: 'gross', width: 15 },
+        { header: 'Withheld', key: 'withheld', width: 15 },
+        { header: 'Net', key: 'net', width: 15 },
+      ];
+      withholdingSheet.getRow(1).font = { bold: true };
+
+      withholding.investors.forEach(inv => {
+        withholdingSheet.addRow({ name: inv.investorName, gross: inv.gross, withheld: inv.withheld, net: inv.net });
+      });
+      withholdingSheet.addRow({});
+      Object.entries(withholding.summary.bySource).forEach(([source, totals]) => {
+        withholdingSheet.addRow({ name: WITHHOLDING_SOURCE_LABELS[source] || source, ...totals });
+      });
+    }
+
+    // GP fee income & offsets worksheet
+    if (hasFeeOffsets(feeData.feeOffsets)) {
+      const feeOffsets = feeData.feeOffsets;
+      const offsetSheet = workbook.addWorksheet('Fee Offsets');
+      offsetSheet.columns = [
+        { header: 'Fee Income / Investor', key: 'name', width: 30 },
+        { header: 'Received / Credited', key: 'credited', width: 20 },
+        { header: 'Offset / Applied', key: 'applied', width: 18 },
+        { header: 'Carried Forward', key: 'carriedForward', width: 18 },
+      ];
+      offsetSheet.getRow(1).font = { bold: true };
+
+      Object.entries(feeOffsets.income.byType).forEach(([type, totals]) => {
+        offsetSheet.addRow({ name: FEE_INCOME_TYPE_LABELS[type] || type, credited: totals.amount, applied: totals.offsetAmount });
+      });
+      offsetSheet.addRow({});
+      feeOffsets.investors.forEach(inv => {
+        offsetSheet.addRow({
+          name: getInvestorName(feeData.investors, inv.userId),
+          credited: inv.credited,
+          applied: inv.applied,
+          carriedForward: inv.carriedForward
+        });
+      });
+    }
+
     const buffer = await workbook.xlsx.writeBuffer();
     return Buffer.from(buffer);
   } catch (error) {
@@ -179,6 +259,22 @@ function generateFeeReportCSV(structure, feeData, period, options = {}) {
     rows.push(`"${inv.investorName}",${inv.commitment},${inv.grossFee},${inv.discount},${inv.netFee},${inv.vat},${inv.total}`);
   });
 
+  if (feeData.withholding?.investors.length > 0) {
+    rows.push('');
+    rows.push('Investor,Distributions Gross,Withholding Tax,Distributions Net');
+    feeData.withholding.investors.forEach(inv => {
+      rows.push(`"${inv.investorName}",${inv.gross},${inv.withheld},${inv.net}`);
+    });
+  }
+
+  if (hasFeeOffsets(feeData.feeOffsets)) {
+    rows.push('');
+    rows.push('Investor,Fee Offset Credited,Fee Offset Applied,Fee Offset Carried Forward');
+    feeData.feeOffsets.investors.forEach(inv => {
+      rows.push(`"${getInvestorName(feeData.investors, inv.userId)}",${inv.credited},${inv.applied},${inv.carriedForward}`);
+    });
+  }
+
   return Buffer.from(rows.join('\n'), 'utf-8');
 }
 
@@ -230,6 +326,9 @@ function addFundFeeSummary(doc, summary, currency) {
   const summaryData = [
     ['Total Management Fees (Gross)', formatCurrency(summary.totalFeesGross, currency)],
     ['Total Discounts Applied', summary.totalDiscounts > 0 ? `-${formatCurrency(summary.totalDiscounts, currency)}` : formatCurrency(0, currency)],
+    ...(summary.totalFeeIncomeOffsets > 0
+      ? [['Total GP Fee Income Offsets', `-${formatCurrency(summary.totalFeeIncomeOffsets, currency)}`]]
+      : []),
     ['Total Management Fees (Net)', formatCurrency(summary.totalFeesNet, currency)],
     ['Total VAT', formatCurrency(summary.totalVAT, currency)],
     ['', ''],
@@ -395,6 +494,217 @@ function addDualRateDetails(doc, investors, currency) {
   doc.y = currentY + 10;
 }
 
+function addWithholdingTaxSummary(doc, withholding, currency) {
+  if (doc.y > 450) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('SECTION D: DISTRIBUTION WITHHOLDING TAX', 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+
+  const summaryData = [
+    ['Distributions to LPs (Gross)', formatCurrency(withholding.summary.totalGross, currency)],
+    ...Object.entries(withholding.summary.bySource)
+      .filter(([, totals]) => totals.withheld > 0)
+      .map(([source, totals]) => [
+        `Withheld on ${WITHHOLDING_SOURCE_LABELS[source] || source}`,
+        `-${formatCurrency(totals.withheld, currency)}`
+      ]),
+    ['Total Withholding Tax', `-${formatCurrency(withholding.summary.totalWithheld, currency)}`],
+    ['', ''],
+    ['Distributions to LPs (Net)', formatCurrency(withholding.summary.totalNet, currency)],
+  ];
+
+  let currentY = doc.y;
+  summaryData.forEach(([label, value]) => {
+    if (label === '') {
+      doc.moveTo(60, currentY + 5)
+         .lineTo(400, currentY + 5)
+         .stroke(COLORS.border);
+      currentY += 15;
+      return;
+    }
+
+    const isTotal = label.includes('(Net)');
+
+    doc.fontSize(10)
+       .fillColor(isTotal ? COLORS.primary : COLORS.muted)
+       .font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+       .text(label, 60, currentY);
+
+    doc.fillColor(isTotal ? COLORS.primary : COLORS.text)
+       .text(String(value), 300, currentY, { align: 'right', width: 150 })
+       .font('Helvetica');
+
+    currentY += 18;
+  });
+
+  // Per-investor withholding
+  const headers = ['Investor', 'Gross', 'Withheld', 'Net'];
+  const colWidths = [200, 100, 100, 100];
+  let colX = 50;
+  currentY += 10;
+
+  doc.fontSize(7)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, currentY, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  doc.moveTo(50, currentY + 12)
+     .lineTo(562, currentY + 12)
+     .stroke(COLORS.border);
+
+  currentY += 18;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  withholding.investors.forEach((inv) => {
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    colX = 50;
+    const rowData = [
+      (inv.investorName || 'Unknown').substring(0, 36),
+      formatCurrency(inv.gross, currency),
+      inv.withheld > 0 ? `-${formatCurrency(inv.withheld, currency)}` : formatCurrency(0, currency),
+      formatCurrency(inv.net, currency)
+    ];
+
+    doc.fontSize(7);
+    rowData.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 14;
+  });
+
+  doc.y = currentY + 10;
+}
+
+function hasFeeOffsets(feeOffsets) {
+  return Boolean(feeOffsets && (feeOffsets.income.total > 0 || feeOffsets.applied > 0 || feeOffsets.carriedForward > 0));
+}
+
+function getInvestorName(investors, userId) {
+  return (investors || []).find(i => i.investorId === userId)?.investorName || 'Unknown';
+}
+
+function addFeeOffsetSummary(doc, feeOffsets, investors, currency) {
+  if (doc.y > 450) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('SECTION E: GP FEE INCOME & MANAGEMENT FEE OFFSETS', 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+
+  const summaryData = [
+    ...Object.entries(feeOffsets.income.byType).map(([type, totals]) => [
+      `${FEE_INCOME_TYPE_LABELS[type] || type} Received`,
+      formatCurrency(totals.amount, currency)
+    ]),
+    ['Total GP Fee Income', formatCurrency(feeOffsets.income.total, currency)],
+    ['', ''],
+    ['Offset Credited to LPs', formatCurrency(feeOffsets.credited, currency)],
+    ['Offset Applied to Management Fees', `-${formatCurrency(feeOffsets.applied, currency)}`],
+    ['Offset Carried Forward', formatCurrency(feeOffsets.carriedForward, currency)],
+  ];
+
+  let currentY = doc.y;
+  summaryData.forEach(([label, value]) => {
+    if (label === '') {
+      doc.moveTo(60, currentY + 5)
+         .lineTo(400, currentY + 5)
+         .stroke(COLORS.border);
+      currentY += 15;
+      return;
+    }
+
+    const isTotal = label.includes('Carried Forward');
+
+    doc.fontSize(10)
+       .fillColor(isTotal ? COLORS.primary : COLORS.muted)
+       .font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+       .text(label, 60, currentY);
+
+    doc.fillColor(isTotal ? COLORS.primary : COLORS.text)
+       .text(String(value), 300, currentY, { align: 'right', width: 150 })
+       .font('Helvetica');
+
+    currentY += 18;
+  });
+
+  // Per-investor offsets
+  const headers = ['Investor', 'Credited', 'Applied', 'Carried Forward'];
+  const colWidths = [200, 100, 100, 100];
+  let colX = 50;
+  currentY += 10;
+
+  doc.fontSize(7)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, currentY, { width: colWidths[i] });
+    colX += colWidths[i];
+  });
+
+  doc.moveTo(50, currentY + 12)
+     .lineTo(562, currentY + 12)
+     .stroke(COLORS.border);
+
+  currentY += 18;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  feeOffsets.investors.forEach((inv) => {
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
+
+    colX = 50;
+    const rowData = [
+      getInvestorName(investors, inv.userId).substring(0, 36),
+      formatCurrency(inv.credited, currency),
+      inv.applied > 0 ? `-${formatCurrency(inv.applied, currency)}` : formatCurrency(0, currency),
+      formatCurrency(inv.carriedForward, currency)
+    ];
+
+    doc.fontSize(7);
+    rowData.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i] });
+      colX += colWidths[i];
+    });
+
+    currentY += 14;
+  });
+
+  doc.y = currentY + 10;
+}
+
 function addFeeReportFooter(doc, firmName) {
   const pages = doc.bufferedPageRange();
 
@@ -445,6 +755,7 @@ function formatDate(dateString) {
 }
 
 module.exports = {
+  FEE_INCOME_TYPE_LABELS,
   generateFeeReportPDF,
   generateFeeReportExcel
 };
@@ -5,6 +5,8 @@
  * Falls back to CSV if ExcelJS is not available.
  */
 
+const { EXPENSE_CATEGORY_LABELS } = require('../utils/expenseAllocation');
+
 /**
  * Generate ILPA Performance Report Excel
  */
@@ -68,6 +70,27 @@ async function generatePerformanceReportExcel(reportData, structure, options = {
     capSheet.addRow({ metric: 'Total Value', amount: cs.totalValue });
     capSheet.addRow({ metric: 'Paid-In Ratio', amount: `${cs.paidInRatio}%` });
 
+    // GP Clawback Sheet
+    if (reportData.clawback) {
+      const clawSheet = workbook.addWorksheet('GP Clawback');
+      clawSheet.columns = [
+        { header: 'Metric', key: 'metric', width: 30 },
+        { header: 'Amount', key: 'amount', width: 20 },
+      ];
+      clawSheet.getRow(1).font = { bold: true };
+
+      const cb = reportData.clawback;
+      clawSheet.addRow({ metric: 'Assessment', amount: cb.status });
+      clawSheet.addRow({ metric: 'Carried Interest Paid', amount: cb.carryPaid });
+      clawSheet.addRow({ metric: 'Whole-Fund Carry Entitlement', amount: cb.carryEntitled });
+      clawSheet.addRow({ metric: 'Excess Carry', amount: cb.excessCarry });
+      if (cb.netOfTaxes) {
+        clawSheet.addRow({ metric: 'Less: GP Taxes Paid', amount: cb.taxOffset });
+      }
+      clawSheet.addRow({ metric: 'Clawback Liability', amount: cb.clawbackLiability });
+      clawSheet.addRow({ metric: 'Hypothetical Liquidation Value', amount: cb.hypotheticalLiquidationValue });
+    }
+
     const buffer = await workbook.xlsx.writeBuffer();
     return Buffer.from(buffer);
   } catch (error) {
@@ -139,6 +162,37 @@ async function generateQuarterlyReportExcel(reportData, structure, options = {})
       });
     }
 
+    // Partnership Expenses sheet
+    if (reportData.partnershipExpenses?.toDate.total > 0) {
+      const expenses = reportData.partnershipExpenses;
+      const expSheet = workbook.addWorksheet('Partnership Expenses');
+      expSheet.columns = [
+        { header: 'Category', key: 'category', width: 24 },
+        { header: 'This Period', key: 'period', width: 18 },
+        { header: 'Inception to Date', key: 'toDate', width: 18 },
+      ];
+      expSheet.getRow(1).font = { bold: true };
+
+      Object.keys(expenses.toDate.byCategory).forEach(category => {
+        expSheet.addRow({
+          category: EXPENSE_CATEGORY_LABELS[category] || category,
+          period: expenses.period.byCategory[category] || 0,
+          toDate: expenses.toDate.byCategory[category],
+        });
+      });
+      expSheet.addRow({ category: 'Total', period: expenses.period.total, toDate: expenses.toDate.total });
+
+      const cap = expenses.organizationalCap;
+      if (cap?.cap !== null && cap?.cap !== undefined) {
+        expSheet.addRow({});
+        expSheet.addRow({ category: 'Organizational Expenses', toDate: cap.total });
+        expSheet.addRow({ category: 'Organizational Expense Cap', toDate: cap.cap });
+        if (cap.exceeded) {
+          expSheet.addRow({ category: 'Cap Exceeded By', toDate: cap.excess });
+        }
+      }
+    }
+
     const buffer = await workbook.xlsx.writeBuffer();
     return Buffer.from(buffer);
   } catch (error) {
@@ -244,6 +298,14 @@ function generatePerformanceCSV(reportData) {
   rows.push(`Capital Called,${reportData.capitalSummary.totalCapitalCalled}`);
   rows.push(`Total Distributed,${reportData.capitalSummary.totalDistributed}`);
   rows.push(`Current NAV,${reportData.capitalSummary.currentNAV}`);
+  if (reportData.clawback) {
+    rows.push('');
+    rows.push(`GP Clawback Assessment,${reportData.clawback.status}`);
+    rows.push(`Carried Interest Paid,${reportData.clawback.carryPaid}`);
+    rows.push(`Whole-Fund Carry Entitlement,${reportData.clawback.carryEntitled}`);
+    rows.push(`Excess Carry,${reportData.clawback.excessCarry}`);
+    rows.push(`Clawback Liability,${reportData.clawback.clawbackLiability}`);
+  }
   return Buffer.from(rows.join('\n'), 'utf-8');
 }
 
@@ -253,6 +315,13 @@ function generateQuarterlyCSV(reportData) {
     rows.push(`Period,${reportData.quarterlyActivity.period.startDate} to ${reportData.quarterlyActivity.period.endDate}`);
     rows.push(`Net Cash Flow,${reportData.quarterlyActivity.netCashFlow}`);
   }
+  if (reportData.partnershipExpenses?.toDate.total > 0) {
+    rows.push('');
+    rows.push('Expense Category,This Period,Inception to Date');
+    Object.keys(reportData.partnershipExpenses.toDate.byCategory).forEach(category => {
+      rows.push(`${EXPENSE_CATEGORY_LABELS[category] || category},${reportData.partnershipExpenses.period.byCategory[category] || 0},${reportData.partnershipExpenses.toDate.byCategory[category]}`);
+    });
+  }
   return Buffer.from(rows.join('\n'), 'utf-8');
 }
 
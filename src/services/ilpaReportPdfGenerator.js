@@ -5,6 +5,7 @@
  */
 
 const PDFDocument = require('pdfkit');
+const { EXPENSE_CATEGORY_LABELS } = require('../utils/expenseAllocation');
 
 const COLORS = {
   primary: '#2D1B69',
@@ -58,6 +59,11 @@ async function generatePerformanceReportPDF(reportData, structure, options = {})
       // Cash Flow Summary
       addCashFlowSummary(doc, reportData.cashFlowSummary, currency);
 
+      // GP Clawback
+      if (reportData.clawback) {
+        addClawbackSummary(doc, reportData.clawback, currency);
+      }
+
       // Footer
       addReportFooter(doc, firmName, 'Performance Report');
 
@@ -108,6 +114,11 @@ async function generateQuarterlyReportPDF(reportData, structure, options = {}) {
         addQuarterlyActivity(doc, reportData.quarterlyActivity, currency);
       }
 
+      // Partnership expenses by category
+      if (reportData.partnershipExpenses?.toDate.total > 0) {
+        addPartnershipExpenses(doc, reportData.partnershipExpenses, currency);
+      }
+
       // Footer
       addReportFooter(doc, firmName, 'Quarterly Report');
 
@@ -374,6 +385,59 @@ function addCashFlowSummary(doc, cashFlowSummary, currency) {
   doc.y = currentY + 10;
 }
 
+function addClawbackSummary(doc, clawback, currency) {
+  if (doc.y > 550) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('GP CLAWBACK', 60, startY + 7);
+
+  doc.y = startY + 35;
+  doc.font('Helvetica');
+
+  const clawbackData = [
+    ['Carried Interest Paid', formatCurrency(clawback.carryPaid, currency)],
+    ['Whole-Fund Carry Entitlement', formatCurrency(clawback.carryEntitled, currency)],
+    ['Excess Carry', formatCurrency(clawback.excessCarry, currency)],
+    ...(clawback.netOfTaxes ? [['Less: GP Taxes Paid', formatCurrency(clawback.taxOffset, currency)]] : []),
+    ['Clawback Liability', formatCurrency(clawback.clawbackLiability, currency)],
+  ];
+
+  let currentY = doc.y;
+  clawbackData.forEach(([label, value]) => {
+    const isHighlight = label === 'Clawback Liability';
+
+    doc.fontSize(10)
+       .fillColor(isHighlight ? COLORS.primary : COLORS.muted)
+       .font(isHighlight ? 'Helvetica-Bold' : 'Helvetica')
+       .text(label, 60, currentY);
+
+    doc.fillColor(isHighlight ? COLORS.primary : COLORS.text)
+       .text(String(value), 300, currentY, { align: 'right', width: 150 })
+       .font('Helvetica');
+
+    currentY += 18;
+  });
+
+  const basis = clawback.status === 'Final'
+    ? 'Final assessment at fund wind-down.'
+    : `Interim assessment assuming the remaining portfolio is liquidated at ${formatCurrency(clawback.hypotheticalLiquidationValue, currency)}.`;
+
+  doc.fontSize(8)
+     .fillColor(COLORS.muted)
+     .font('Helvetica-Oblique')
+     .text(`${basis} Carry paid is tested against a whole-fund (European) waterfall.`, 60, currentY + 2, { width: 490 })
+     .font('Helvetica');
+
+  doc.y = doc.y + 10;
+}
+
 function addQuarterlyActivity(doc, activity, currency) {
   if (doc.y > 400) doc.addPage();
 
@@ -443,6 +507,82 @@ function addQuarterlyActivity(doc, activity, currency) {
   doc.y += 20;
 }
 
+function addPartnershipExpenses(doc, expenses, currency) {
+  if (doc.y > 450) doc.addPage();
+
+  const startY = doc.y + 10;
+
+  doc.rect(50, startY, 512, 25)
+     .fill(COLORS.accent);
+
+  doc.fontSize(12)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text('PARTNERSHIP EXPENSES', 60, startY + 7);
+
+  doc.y = startY + 35;
+
+  // Category table: quarter and inception to date
+  const headers = ['Category', 'This Period', 'Inception to Date'];
+  const colWidths = [200, 130, 130];
+  let colX = 60;
+  let currentY = doc.y;
+
+  doc.fontSize(9)
+     .font('Helvetica-Bold')
+     .fillColor(COLORS.primary);
+
+  headers.forEach((header, i) => {
+    doc.text(header, colX, currentY, { width: colWidths[i], align: i === 0 ? 'left' : 'right' });
+    colX += colWidths[i];
+  });
+
+  doc.moveTo(60, currentY + 13)
+     .lineTo(520, currentY + 13)
+     .stroke(COLORS.border);
+
+  currentY += 20;
+  doc.font('Helvetica')
+     .fillColor(COLORS.text);
+
+  const rows = Object.keys(expenses.toDate.byCategory).map(category => [
+    EXPENSE_CATEGORY_LABELS[category] || category,
+    formatCurrency(expenses.period.byCategory[category] || 0, currency),
+    formatCurrency(expenses.toDate.byCategory[category], currency)
+  ]);
+  rows.push(['Total', formatCurrency(expenses.period.total, currency), formatCurrency(expenses.toDate.total, currency)]);
+
+  rows.forEach((row, rowIndex) => {
+    const isTotal = rowIndex === rows.length - 1;
+    colX = 60;
+    doc.fontSize(9)
+       .font(isTotal ? 'Helvetica-Bold' : 'Helvetica');
+    row.forEach((value, i) => {
+      doc.text(value, colX, currentY, { width: colWidths[i], align: i === 0 ? 'left' : 'right' });
+      colX += colWidths[i];
+    });
+    currentY += 15;
+  });
+
+  // Organizational expense cap
+  const cap = expenses.organizationalCap;
+  if (cap?.cap !== null && cap?.cap !== undefined) {
+    currentY += 5;
+    doc.fontSize(9)
+       .font('Helvetica')
+       .fillColor(cap.exceeded ? COLORS.warning : COLORS.muted)
+       .text(
+         `Organizational expenses: ${formatCurrency(cap.total, currency)} of ${formatCurrency(cap.cap, currency)} LPA cap` +
+         (cap.exceeded ? ` (exceeded by ${formatCurrency(cap.excess, currency)})` : ''),
+         60, currentY
+       );
+    currentY += 15;
+  }
+
+  doc.font('Helvetica');
+  doc.y = currentY + 10;
+}
+
 function addCCDCallsTable(doc, capitalCalls, currency) {
   const startY = doc.y + 10;
 
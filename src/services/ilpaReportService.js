@@ -7,6 +7,7 @@
  */
 
 const { getSupabase } = require('../config/database');
+const { calculateClawback } = require('./clawbackService');
 
 /**
  * Calculate IRR using Newton-Raphson method
@@ -159,6 +160,17 @@ async function calculatePerformanceMetrics(structureId, asOfDate) {
   const grossTVPI = tvpi;
   const netTVPI = totalInvested > 0 ? (totalValue - totalFees) / totalInvested : 0;
 
+  // GP clawback, with the remaining portfolio liquidated at NAV
+  let clawback = null;
+  try {
+    clawback = await calculateClawback(structureId, {
+      asOfDate: dateFilter,
+      hypotheticalValue: Math.max(0, currentNAV)
+    });
+  } catch (clawbackError) {
+    console.warn('Failed to calculate GP clawback:', clawbackError.message);
+  }
+
   return {
     fundInfo: {
       id: structureId,
@@ -193,6 +205,17 @@ async function calculatePerformanceMetrics(structureId, asOfDate) {
       unrealizedGain: Math.max(0, currentNAV - (totalCapitalCalled - totalDistributed)),
       realizedGain: Math.max(0, totalDistributed - totalCapitalCalled * dpi),
     },
+    clawback: clawback && {
+      status: clawback.status,
+      waterfallType: clawback.waterfallType,
+      carryPaid: clawback.carryPaid,
+      carryEntitled: clawback.carryEntitled,
+      excessCarry: clawback.excessCarry,
+      netOfTaxes: clawback.netOfTaxes,
+      taxOffset: clawback.taxOffset,
+      clawbackLiability: clawback.clawbackLiability,
+      hypotheticalLiquidationValue: clawback.hypotheticalLiquidationValue,
+    },
     asOfDate: dateFilter,
   };
 }
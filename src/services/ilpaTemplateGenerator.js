@@ -0,0 +1,195 @@
+/**
+ * ILPA Reporting Template Generator
+ *
+ * Generates the ILPA Reporting Template workbook (fees, expenses & carried interest) for a
+ * fund or one LP from the data built by ilpaTemplateService.
+ * Falls back to CSV if ExcelJS is not available.
+ */
+
+const { EXPENSE_CATEGORY_LABELS } = require('../utils/expenseAllocation');
+const { FEE_INCOME_TYPE_LABELS } = require('./feeReportGenerator');
+
+/**
+ * Template lines of the fees, expenses & carried interest table
+ * @param {Object} template - ILPA template data
+ * @returns {Array<{ label: string, period?: number, toDate?: number, bold?: boolean }>}
+ */
+function buildFeeLines(template) {
+  const fees = template.managementFees;
+  const expenses = template.partnershipExpenses;
+  const line = (label, field) => ({ label, period: fees.period[field], toDate: fees.toDate[field] });
+
+  const categories = [...new Set([
+    ...Object.keys(expenses.period.byCategory),
+    ...Object.keys(expenses.toDate.byCategory)
+  ])];
+
+  return [
+    { label: 'A. Management Fees', bold: true },
+    line('Gross Management Fees', 'gross'),
+    line('Less: Management Fee Waivers / Discounts', 'waivers'),
+    line('Less: Management Fee Offsets', 'feeOffsets'),
+    line('Less: Portfolio Company Fee Offsets', 'feeIncomeOffsets'),
+    { ...line('Net Management Fees', 'net'), bold: true },
+    line('VAT on Management Fees', 'vat'),
+    { label: '' },
+    { label: 'B. Partnership Expenses', bold: true },
+    ...categories.map(category => ({
+      label: EXPENSE_CATEGORY_LABELS[category] || category,
+      period: expenses.period.byCategory[category] || 0,
+      toDate: expenses.toDate.byCategory[category] || 0
+    })),
+    { label: 'Total Partnership Expenses', period: expenses.period.total, toDate: expenses.toDate.total, bold: true },
+    { label: '' },
+    { label: 'C. Carried Interest', bold: true },
+    { label: 'Carried Interest Paid', period: template.carriedInterest.period, toDate: template.carriedInterest.toDate },
+    { label: '' },
+    {
+      label: 'Total Management Fees, Partnership Expenses & Carried Interest',
+      period: template.totals.period,
+      toDate: template.totals.toDate,
+      bold: true
+    }
+  ];
+}
+
+/**
+ * Generate ILPA Reporting Template Excel
+ * @param {Object} template - ILPA template data
+ * @param {Object} structure - Fund/structure data
+ * @param {Object} options - { firmName, investorName }
+ * @returns {Promise<Buffer>} Excel buffer
+ */
+async function generateIlpaTemplateExcel(template, structure, options = {}) {
+  const { firmName = 'Investment Manager', investorName } = options;
+
+  try {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = firmName;
+    workbook.created = new Date();
+
+    // Cover Sheet
+    const coverSheet = workbook.addWorksheet('Cover');
+    coverSheet.columns = [
+      { header: 'Field', key: 'field', width: 25 },
+      { header: 'Value', key: 'value', width: 40 },
+    ];
+    coverSheet.getRow(1).font = { bold: true };
+
+    coverSheet.addRow({ field: 'Template', value: 'ILPA Reporting Template (Fees, Expenses & Carried Interest)' });
+    coverSheet.addRow({ field: 'Fund Name', value: structure?.name || 'N/A' });
+    coverSheet.addRow({ field: 'Reporting Level', value: template.level === 'investor' ? `Limited Partner: ${investorName || template.investorId}` : 'Fund' });
+    coverSheet.addRow({ field: 'Currency', value: structure?.currency || 'USD' });
+    coverSheet.addRow({ field: 'Period Start', value: template.period.startDate || 'Inception' });
+    coverSheet.addRow({ field: 'Period End', value: template.period.endDate || new Date().toISOString().split('T')[0] });
+    coverSheet.addRow({ field: 'Reconciliation', value: template.reconciliation.passed ? 'All checks passed' : 'Checks failed - see Reconciliation' });
+
+    // Fees, Expenses & Carried Interest Sheet
+    const feeSheet = workbook.addWorksheet('Fees, Expenses & Carry');
+    feeSheet.columns = [
+      { header: 'Line Item', key: 'label', width: 55 },
+      { header: 'Current Period', key: 'period', width: 18 },
+      { header: 'Inception to Date', key: 'toDate', width: 18 },
+    ];
+    feeSheet.getRow(1).font = { bold: true };
+    feeSheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEDE9FE' } };
+
+    buildFeeLines(template).forEach(line => {
+      const row = feeSheet.addRow({ label: line.label, period: line.period, toDate: line.toDate });
+      if (line.bold) row.font = { bold: true };
+    });
+
+    // Portfolio Company Fees Sheet
+    const pcf = template.portfolioCompanyFees;
+    const pcfSheet = workbook.addWorksheet('Portfolio Company Fees');
+    pcfSheet.columns = [
+      { header: 'Fee Type', key: 'type', width: 30 },
+      { header: 'Received by GP', key: 'received', width: 18 },
+      { header: 'Offset Against Fees', key: 'offset', width: 20 },
+    ];
+    pcfSheet.getRow(1).font = { bold: true };
+
+    Object.entries(pcf.byType).forEach(([type, totals]) => {
+      pcfSheet.addRow({ type: FEE_INCOME_TYPE_LABELS[type] || type, received: totals.amount, offset: totals.offsetAmount });
+    });
+    pcfSheet.addRow({ type: 'Total', received: pcf.received, offset: pcf.offsetAmount }).font = { bold: true };
+    pcfSheet.addRow({});
+    pcfSheet.addRow({ type: 'Offset Credits (Period)', received: pcf.credited });
+    pcfSheet.addRow({ type: 'Offsets Applied (Period)', received: pcf.applied });
+    pcfSheet.addRow({ type: 'Offset Credits Carried Forward', received: pcf.carriedForward });
+
+    // Capital Account Sheet
+    const ca = template.capitalAccount;
+    const caSheet = workbook.addWorksheet('Capital Account');
+    caSheet.columns = [
+      { header: 'Line Item', key: 'label', width: 30 },
+      { header: 'Amount', key: 'amount', width: 20 },
+    ];
+    caSheet.getRow(1).font = { bold: true };
+
+    caSheet.addRow({ label: 'Opening Balance', amount: ca.opening });
+    caSheet.addRow({ label: 'Contributions', amount: ca.contributions });
+    caSheet.addRow({ label: 'Distributions', amount: -ca.distributions });
+    caSheet.addRow({ label: 'Closing Balance', amount: ca.closing }).font = { bold: true };
+
+    // Reconciliation Sheet
+    const reconSheet = workbook.addWorksheet('Reconciliation');
+    reconSheet.columns = [
+      { header: 'Check', key: 'check', width: 70 },
+      { header: 'Expected', key: 'expected', width: 16 },
+      { header: 'Actual', key: 'actual', width: 16 },
+      { header: 'Difference', key: 'difference', width: 14 },
+      { header: 'Status', key: 'status', width: 10 },
+    ];
+    reconSheet.getRow(1).font = { bold: true };
+
+    template.reconciliation.checks.forEach(c => {
+      const row = reconSheet.addRow({ ...c, status: c.passed ? 'OK' : 'FAIL' });
+      if (!c.passed) row.font = { color: { argb: 'FFDC2626' } };
+    });
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    return Buffer.from(buffer);
+  } catch (error) {
+    console.warn('ExcelJS not available, falling back to CSV:', error.message);
+    return generateIlpaTemplateCSV(template, structure, options);
+  }
+}
+
+// CSV fallback
+function generateIlpaTemplateCSV(template, structure, options = {}) {
+  const rows = ['ILPA Reporting Template (Fees, Expenses & Carried Interest)'];
+  rows.push(`Fund,"${structure?.name || 'N/A'}"`);
+  if (template.level === 'investor') {
+    rows.push(`Limited Partner,"${options.investorName || template.investorId}"`);
+  }
+  rows.push(`Period,${template.period.startDate || 'Inception'} to ${template.period.endDate || new Date().toISOString().split('T')[0]}`);
+  rows.push('');
+  rows.push('Line Item,Current Period,Inception to Date');
+  buildFeeLines(template).forEach(line => {
+    if (!line.label) rows.push('');
+    else rows.push(line.period === undefined ? `"${line.label}"` : `"${line.label}",${line.period},${line.toDate}`);
+  });
+  rows.push('');
+  rows.push('Portfolio Company Fee Type,Received by GP,Offset Against Fees');
+  Object.entries(template.portfolioCompanyFees.byType).forEach(([type, totals]) => {
+    rows.push(`${FEE_INCOME_TYPE_LABELS[type] || type},${totals.amount},${totals.offsetAmount}`);
+  });
+  rows.push(`Total,${template.portfolioCompanyFees.received},${template.portfolioCompanyFees.offsetAmount}`);
+  rows.push('');
+  rows.push(`Opening Balance,${template.capitalAccount.opening}`);
+  rows.push(`Contributions,${template.capitalAccount.contributions}`);
+  rows.push(`Distributions,${-template.capitalAccount.distributions}`);
+  rows.push(`Closing Balance,${template.capitalAccount.closing}`);
+  rows.push('');
+  rows.push('Check,Expected,Actual,Difference,Status');
+  template.reconciliation.checks.forEach(c => {
+    rows.push(`"${c.check}",${c.expected},${c.actual},${c.difference},${c.passed ? 'OK' : 'FAIL'}`);
+  });
+  return Buffer.from(rows.join('\n'), 'utf-8');
+}
+
+module.exports = {
+  generateIlpaTemplateExcel
+};
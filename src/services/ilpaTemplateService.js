@@ -0,0 +1,198 @@
+/**
+ * ILPA Reporting Template Service
+ *
+ * Builds the data of the ILPA Reporting Template (fees, expenses & carried interest) for a
+ * structure and period, at fund level or for one LP:
+ * - management fees, waivers and offsets from capital call allocations
+ * - partnership expenses per category from the expense ledger
+ * - carried interest from distributions (fund) or the LP's distribution allocations
+ * - portfolio company fees received by the GP and the part offset against fees
+ * Each section has period and inception-to-date columns, and reconciliation checks confirm
+ * the template totals tie to the capital account and to the ledgers they come from.
+ */
+
+const { getSupabase } = require('../config/database');
+const { PartnershipExpense, DistributionReinvestment } = require('../models/supabase');
+const { getExpenseSummary } = require('./partnershipExpenseService');
+const { getFeeOffsetSummary } = require('./feeOffsetService');
+const { summarizeReinvestments } = require('./reinvestmentService');
+const {
+  isCountedCall,
+  isCountedDistribution,
+  summarizeManagementFees,
+  summarizeCarriedInterest,
+  rollForwardCapitalAccount,
+  summarizeCapitalAccountStatement,
+  reconcile
+} = require('../utils/ilpaTemplate');
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+const callDateOf = (call) => call.call_date || call.callDate;
+const distributionDateOf = (distribution) => distribution.distribution_date || distribution.distributionDate;
+
+/**
+ * Capital account balance at the end of the period as the LP capital account statement
+ * reports it (see capitalAccount.routes.js), read from the allocation tables
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} options - { endDate, userId, reinvestments }
+ * @returns {Promise<Object>} See summarizeCapitalAccountStatement
+ */
+async function getStatementBalance(structure, { endDate, userId, reinvestments }) {
+  let callQuery = getSupabase()
+    .from('capital_call_allocations')
+    .select('*, capital_call:capital_calls!inner(*)')
+    .eq('capital_call.structure_id', structure.id);
+  let distributionQuery = getSupabase()
+    .from('distribution_allocations')
+    .select('*, distribution:distributions!inner(*)')
+    .eq('distribution.structure_id', structure.id);
+  if (userId) {
+    callQuery = callQuery.eq('user_id', userId);
+    distributionQuery = distributionQuery.eq('user_id', userId);
+  }
+
+  const { data: callAllocations } = await callQuery;
+  const { data: distributionAllocations } = await distributionQuery;
+  const forInvestor = (allocations) => (allocations || []).filter(a => !userId || a.user_id === userId);
+
+  return summarizeCapitalAccountStatement({
+    callAllocations: forInvestor(callAllocations),
+    distributionAllocations: forInvestor(distributionAllocations),
+    reinvestedSubscriptions: summarizeReinvestments(
+      reinvestments.filter(r => !endDate || !r.reinvestmentDate || r.reinvestmentDate <= endDate)
+    ).subscribed,
+    endDate
+  });
+}
+
+/**
+ * Build the ILPA template for a period
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} [options] - { startDate, endDate, userId } - userId for one LP's template
+ * @returns {Promise<Object>} { level, investorId, period, managementFees, partnershipExpenses,
+ *   carriedInterest, portfolioCompanyFees, totals, capitalAccount, reconciliation }
+ */
+async function buildIlpaTemplate(structure, { startDate, endDate, userId } = {}) {
+  const inPeriod = (date) => (!startDate || date >= startDate) && (!endDate || date <= endDate);
+  const toDate = (date) => !endDate || date <= endDate;
+  const forInvestor = (allocations) => (allocations || []).filter(a => !userId || a.user_id === userId);
+
+  const { data: capitalCalls } = await getSupabase()
+    .from('capital_calls')
+    .select('*, capital_call_allocations(*)')
+    .eq('structure_id', structure.id);
+
+  const { data: distributions } = await getSupabase()
+    .from('distributions')
+    .select('*, distribution_allocations(*)')
+    .eq('structure_id', structure.id);
+
+  const openCalls = (capitalCalls || []).filter(call => call.status !== 'Cancelled');
+  const countedCalls = openCalls.filter(isCountedCall);
+  const countedDistributions = (distributions || []).filter(isCountedDistribution);
+
+  const callAllocations = (calls) => calls.flatMap(call => forInvestor(call.capital_call_allocations));
+  const distributionAllocations = (items) => items.flatMap(d => forInvestor(d.distribution_allocations));
+
+  const periodCalls = countedCalls.filter(call => inPeriod(callDateOf(call)));
+  const toDateCalls = countedCalls.filter(call => toDate(callDateOf(call)));
+  const periodDistributions = countedDistributions.filter(d => inPeriod(distributionDateOf(d)));
+  const toDateDistributions = countedDistributions.filter(d => toDate(distributionDateOf(d)));
+
+  const managementFees = {
+    period: summarizeManagementFees(callAllocations(periodCalls)),
+    toDate: summarizeManagementFees(callAllocations(toDateCalls))
+  };
+
+  const expenses = await getExpenseSummary(structure, { userId, startDate, endDate });
+
+  const periodCarry = summarizeCarriedInterest(periodDistributions, distributionAllocations(periodDistributions));
+  const toDateCarry = summarizeCarriedInterest(toDateDistributions, distributionAllocations(toDateDistributions));
+  const carriedInterest = userId
+    ? { period: periodCarry.lpAllocated, toDate: toDateCarry.lpAllocated }
+    : { period: periodCarry.gpTotal, toDate: toDateCarry.gpTotal };
+
+  const feeOffsets = await getFeeOffsetSummary(structure.id, { userId, startDate, endDate });
+
+  // Capital account movements: called amounts, reinvested subscriptions and distributions
+  const reinvestments = await DistributionReinvestment.findByStructureId(structure.id, { userId });
+  const movements = [
+    ...countedCalls.flatMap(call => forInvestor(call.capital_call_allocations).map(a => ({
+      date: callDateOf(call),
+      contribution: parseFloat(a.total_due) || 0
+    }))),
+    ...reinvestments.filter(r => r.method === 'subscription').map(r => ({
+      date: r.reinvestmentDate,
+      contribution: r.amount || 0
+    })),
+    ...countedDistributions.flatMap(d => forInvestor(d.distribution_allocations).map(a => ({
+      date: distributionDateOf(d),
+      distribution: parseFloat(a.allocated_amount) || 0
+    })))
+  ];
+  const capitalAccount = rollForwardCapitalAccount(movements, { startDate, endDate });
+  const statement = await getStatementBalance(structure, { endDate, userId, reinvestments });
+
+  const fees = managementFees.period;
+  const checks = [
+    {
+      check: 'Net management fees equal gross fees less waivers and offsets',
+      expected: fees.net,
+      actual: fees.gross - fees.waivers - fees.feeOffsets - fees.feeIncomeOffsets
+    },
+    {
+      check: 'GP fee income offsets tie to the fee offset ledger',
+      expected: feeOffsets.applied,
+      actual: summarizeManagementFees(callAllocations(openCalls.filter(call => inPeriod(callDateOf(call))))).feeIncomeOffsets
+    },
+    {
+      check: 'Capital account closing balance ties to the capital account statement (called plus reinvested less distributed)',
+      expected: statement.closing,
+      actual: capitalAccount.closing
+    }
+  ];
+
+  if (!userId) {
+    const periodExpenses = await PartnershipExpense.findByStructureId(structure.id, { startDate, endDate });
+    checks.push({
+      check: 'Partnership expenses allocated to LPs tie to fund expenses',
+      expected: expenses.period.total,
+      actual: periodExpenses.reduce((sum, e) => sum + (e.allocations || []).reduce((s, a) => s + (a.amount || 0), 0), 0)
+    });
+    checks.push({
+      check: 'Carried interest allocated to LPs ties to GP carry on distributions',
+      expected: periodCarry.gpTotal,
+      actual: periodCarry.lpAllocated
+    });
+  }
+
+  const reconciliation = reconcile(checks);
+  const total = (column) => round2(managementFees[column].net + expenses[column].total + carriedInterest[column]);
+
+  return {
+    level: userId ? 'investor' : 'fund',
+    investorId: userId || null,
+    period: { startDate: startDate || null, endDate: endDate || null },
+    managementFees,
+    partnershipExpenses: { period: expenses.period, toDate: expenses.toDate },
+    carriedInterest,
+    portfolioCompanyFees: {
+      received: feeOffsets.income.total,
+      offsetAmount: feeOffsets.income.offsetAmount,
+      byType: feeOffsets.income.byType,
+      credited: feeOffsets.credited,
+      applied: feeOffsets.applied,
+      carriedForward: feeOffsets.carriedForward
+    },
+    totals: { period: total('period'), toDate: total('toDate') },
+    capitalAccount,
+    reconciliation: {
+      passed: reconciliation.every(c => c.passed),
+      checks: reconciliation
+    }
+  };
+}
+
+module.exports = {
+  buildIlpaTemplate
+};
@@ -0,0 +1,182 @@
+/**
+ * In-Kind Distribution Service
+ *
+ * Distributions can deliver part of their value in kind instead of cash:
+ * - 'security': shares of a portfolio company held through one of the structure's investments
+ * - 'token': tokens of one of the structure's deployed (ERC-3643) smart contracts
+ *
+ * The asset, its value per unit and the units distributed are validated here; units are
+ * split between LPs when allocations are created (see utils/inKindDistribution). For tokens,
+ * the LPs' units are turned into batch transfer plans whose batches are the request bodies
+ * of POST /api/blockchain/contract/batch-transfer-tokens.
+ */
+
+const { Investment, SmartContract, User } = require('../models/supabase');
+const { ROUNDING_RULES, getInKindValue } = require('../utils/inKindDistribution');
+
+const IN_KIND_ASSET_TYPES = ['security', 'token'];
+
+// batch-transfer-tokens sends each batch with a fixed gas limit, so batches are kept small
+const DEFAULT_BATCH_SIZE = 3;
+
+/**
+ * Validate the in-kind part of a distribution
+ * @param {Object} data - { assetType, investmentId, smartContractId, unitValue, totalUnits, unitDecimals, rounding }
+ * @param {Object} context - { structureId, totalAmount }
+ * @returns {Promise<{ valid: boolean, errors: Array<string>, fields: Object }>}
+ *   fields: distribution fields (camelCase) to save
+ */
+async function validateInKind(data = {}, { structureId, totalAmount }) {
+  const errors = [];
+  const assetType = data.assetType;
+  const unitValue = Number(data.unitValue);
+  const totalUnits = Number(data.totalUnits);
+  const rounding = data.rounding || 'round_down';
+  const unitDecimals = assetType === 'token' ? 0 : Number(data.unitDecimals ?? 0);
+
+  if (!IN_KIND_ASSET_TYPES.includes(assetType)) {
+    errors.push(`In-kind asset type must be one of: ${IN_KIND_ASSET_TYPES.join(', ')}`);
+  }
+  if (!Number.isFinite(unitValue) || unitValue <= 0) errors.push('In-kind value per unit must be greater than 0');
+  if (!Number.isFinite(totalUnits) || totalUnits <= 0) errors.push('In-kind total units must be greater than 0');
+  if (!Number.isInteger(unitDecimals) || unitDecimals < 0 || unitDecimals > 8) {
+    errors.push('In-kind unit decimals must be a whole number between 0 and 8');
+  }
+  if (!ROUNDING_RULES.includes(rounding)) {
+    errors.push(`In-kind rounding must be one of: ${ROUNDING_RULES.join(', ')}`);
+  }
+
+  if (errors.length === 0 && getInKindValue({ unitValue, totalUnits }) > Number(totalAmount) + 0.01) {
+    errors.push('In-kind value (value per unit x total units) cannot exceed the distribution total amount');
+  }
+
+  if (assetType === 'security') {
+    const investment = data.investmentId ? await Investment.findById(data.investmentId) : null;
+    if (!investment || investment.structureId !== structureId) {
+      errors.push('In-kind securities must come from an investment of this structure');
+    }
+  }
+
+  if (assetType === 'token') {
+    const contract = data.smartContractId ? await SmartContract.findById(data.smartContractId) : null;
+    if (!contract || contract.structureId !== structureId) {
+      errors.push('In-kind tokens must come from a smart contract of this structure');
+    } else if (!contract.contractAddress) {
+      errors.push('The smart contract has not been deployed');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    fields: {
+      inKindAssetType: assetType,
+      inKindInvestmentId: assetType === 'security' ? data.investmentId : null,
+      inKindSmartContractId: assetType === 'token' ? data.smartContractId : null,
+      inKindUnitValue: unitValue,
+      inKindTotalUnits: totalUnits,
+      inKindUnitDecimals: unitDecimals,
+      inKindRounding: rounding
+    }
+  };
+}
+
+/**
+ * Summarize the units allocated to each LP of an in-kind distribution
+ * @param {Object} distribution - Distribution (camelCase) with distribution_allocations
+ * @returns {Object} { assetType, unitValue, totalUnits, inKindValue, unitsAllocated, unitsRetained, cashInLieu, allocations }
+ */
+function summarizeInKind(distribution) {
+  const allocations = (distribution.distribution_allocations || []).map(a => ({
+    userId: a.user_id,
+    investorName: a.investorName || null,
+    allocatedAmount: parseFloat(a.allocated_amount) || 0,
+    units: parseFloat(a.in_kind_units) || 0,
+    inKindValue: parseFloat(a.in_kind_value) || 0,
+    cashInLieu: parseFloat(a.cash_in_lieu) || 0,
+    cashAmount: a.cash_amount === null || a.cash_amount === undefined ? null : parseFloat(a.cash_amount)
+  }));
+
+  const unitsAllocated = allocations.reduce((sum, a) => sum + a.units, 0);
+  const round = (value) => Math.round(value * 1e8) / 1e8;
+
+  return {
+    assetType: distribution.inKindAssetType,
+    investmentId: distribution.inKindInvestmentId,
+    smartContractId: distribution.inKindSmartContractId,
+    unitValue: distribution.inKindUnitValue,
+    totalUnits: distribution.inKindTotalUnits,
+    unitDecimals: distribution.inKindUnitDecimals,
+    rounding: distribution.inKindRounding,
+    inKindValue: getInKindValue({ unitValue: distribution.inKindUnitValue, totalUnits: distribution.inKindTotalUnits }),
+    unitsAllocated: round(unitsAllocated),
+    unitsRetained: round((distribution.inKindTotalUnits || 0) - unitsAllocated),
+    cashInLieu: Math.round(allocations.reduce((sum, a) => sum + a.cashInLieu, 0) * 100) / 100,
+    allocations
+  };
+}
+
+/**
+ * Build the batch token transfer plan of a token distribution
+ * LPs without a wallet address are listed in missingWallets and left out of the batches.
+ * @param {Object} distribution - Distribution (camelCase) with distribution_allocations
+ * @param {Object} [options] - { batchSize }
+ * @returns {Promise<Object>} { contractAddress, tokenSymbol, network, totalTokens, recipients, missingWallets, batches, ready }
+ *   batches: [{ contractAddress, addressList, amountsList }]
+ */
+async function buildTokenTransferPlan(distribution, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const contract = await SmartContract.findById(distribution.inKindSmartContractId);
+  if (!contract?.contractAddress) {
+    throw new Error('The distribution\'s smart contract has not been deployed');
+  }
+
+  const holders = (distribution.distribution_allocations || [])
+    .filter(a => (parseFloat(a.in_kind_units) || 0) > 0);
+  const users = await Promise.all(holders.map(a => User.findById(a.user_id)));
+
+  const recipients = [];
+  const missingWallets = [];
+  holders.forEach((a, index) => {
+    const user = users[index];
+    const row = {
+      userId: a.user_id,
+      investorName: a.investorName || user?.name || user?.email || null,
+      units: parseFloat(a.in_kind_units)
+    };
+    if (user?.walletAddress) {
+      recipients.push({ ...row, walletAddress: user.walletAddress });
+    } else {
+      missingWallets.push(row);
+    }
+  });
+
+  const batches = [];
+  for (let i = 0; i < recipients.length; i += batchSize) {
+    const batch = recipients.slice(i, i + batchSize);
+    batches.push({
+      contractAddress: contract.contractAddress,
+      addressList: batch.map(r => r.walletAddress),
+      amountsList: batch.map(r => r.units)
+    });
+  }
+
+  return {
+    distributionId: distribution.id,
+    smartContractId: contract.id,
+    contractAddress: contract.contractAddress,
+    tokenSymbol: contract.tokenSymbol,
+    network: contract.network,
+    totalTokens: recipients.reduce((sum, r) => sum + r.units, 0),
+    recipients,
+    missingWallets,
+    batches,
+    ready: recipients.length > 0 && missingWallets.length === 0
+  };
+}
+
+module.exports = {
+  IN_KIND_ASSET_TYPES,
+  validateInKind,
+  summarizeInKind,
+  buildTokenTransferPlan
+};
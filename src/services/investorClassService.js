@@ -0,0 +1,70 @@
+/**
+ * Investor Class Service
+ *
+ * Side letters give some LPs of a structure different economics (reduced carry for an
+ * anchor investor, a higher hurdle for a founders class, no carry on the GP commit).
+ * An investor class carries those terms in one of two ways:
+ * - its own waterfall tiers (waterfall_tiers.investor_class_id), or
+ * - overrides of the structure's hurdle rate, carried interest and catch-up rate,
+ *   applied to the structure's tiers
+ *
+ * The waterfall engine runs each class's LPs through their class's tiers, so every LP
+ * still receives its ownership share of a distribution and fund totals stay consistent.
+ */
+
+const OVERRIDE_FIELDS = {
+  hurdleRate: 'Hurdle rate',
+  carriedInterest: 'Carried interest',
+  gpCatchUpRate: 'GP catch-up rate'
+};
+
+/**
+ * Normalize investor class input
+ * Override fields left empty fall back to the structure's terms (null).
+ * @param {Object} data - Raw input
+ * @returns {Object} { name, description, hurdleRate, carriedInterest, gpCatchUpRate } (only fields given)
+ */
+function normalizeInvestorClass(data = {}) {
+  const normalized = {};
+
+  if (data.name !== undefined) normalized.name = (data.name || '').toString().trim();
+  if (data.description !== undefined) normalized.description = data.description ? data.description.toString().trim() : null;
+
+  Object.keys(OVERRIDE_FIELDS).forEach(field => {
+    if (data[field] === undefined) return;
+    normalized[field] = data[field] === null || data[field] === '' ? null : Number(data[field]);
+  });
+
+  return normalized;
+}
+
+/**
+ * Validate an investor class definition
+ * @param {Object} data - Investor class input
+ * @param {Object} [options] - { partial: true for updates, where name may be left out }
+ * @returns {{ valid: boolean, errors: Array<string>, investorClass: Object }}
+ */
+function validateInvestorClass(data, { partial = false } = {}) {
+  const errors = [];
+  const investorClass = normalizeInvestorClass(data);
+
+  if (!partial || investorClass.name !== undefined) {
+    if (!investorClass.name) errors.push('Name is required');
+    else if (investorClass.name.length > 100) errors.push('Name must be 100 characters or fewer');
+  }
+
+  Object.entries(OVERRIDE_FIELDS).forEach(([field, label]) => {
+    const value = investorClass[field];
+    if (value === undefined || value === null) return;
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      errors.push(`${label} must be between 0 and 100`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, investorClass };
+}
+
+module.exports = {
+  normalizeInvestorClass,
+  validateInvestorClass
+};
@@ -0,0 +1,105 @@
+/**
+ * Partnership Expense Service
+ *
+ * Keeps the partnership expense ledger of a structure:
+ * - Expenses are recorded by category and allocated to the LPs pro-rata to commitment or by
+ *   custom keys (see utils/expenseAllocation).
+ * - Expenses flagged as organizational count toward the structure's organizational expense
+ *   cap (LPA); recording one that takes the total past the cap returns a warning.
+ * - ILPA quarterly reports and capital account statements take the fund's (or the LP's share
+ *   of the) expenses per category from here.
+ */
+
+const { PartnershipExpense } = require('../models/supabase');
+const { allocateExpense, checkOrganizationalCap, summarizeByCategory } = require('../utils/expenseAllocation');
+
+const formatAmount = (value) => Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Organizational expenses of a structure against its cap
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Array} [expenses] - Structure expenses (loaded when omitted)
+ * @returns {Promise<Object>} { cap, total, remaining, exceeded, excess }
+ */
+async function getOrganizationalCapStatus(structure, expenses = null) {
+  const all = expenses || await PartnershipExpense.findByStructureId(structure.id);
+  const total = all.filter(e => e.isOrganizational).reduce((sum, e) => sum + e.amount, 0);
+  return checkOrganizationalCap(structure.organizationalExpenseCap, total);
+}
+
+/**
+ * Record an expense and allocate it to the LPs
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} expenseData - { category, description, vendor, amount, expenseDate, investmentId,
+ *   isOrganizational, allocationMethod, allocationKeys }
+ * @param {Array} investors - Structure LPs [{ userId, commitment }]
+ * @param {Object} actor - { userId }
+ * @returns {Promise<{ expense: Object, organizationalCap: Object, warnings: Array<string> }>}
+ */
+async function recordExpense(structure, expenseData, investors, actor = {}) {
+  const expense = await PartnershipExpense.create({
+    structureId: structure.id,
+    category: expenseData.category,
+    description: expenseData.description || null,
+    vendor: expenseData.vendor || null,
+    amount: expenseData.amount,
+    expenseDate: expenseData.expenseDate || new Date().toISOString().split('T')[0],
+    investmentId: expenseData.investmentId || null,
+    isOrganizational: expenseData.isOrganizational,
+    allocationMethod: expenseData.allocationMethod,
+    allocationKeys: expenseData.allocationMethod === 'custom' ? expenseData.allocationKeys : null,
+    createdBy: actor.userId || null
+  });
+
+  const shares = allocateExpense(expense.amount, investors, {
+    method: expense.allocationMethod,
+    keys: expense.allocationKeys
+  });
+  expense.allocations = await PartnershipExpense.createAllocations(shares.map(share => ({
+    expenseId: expense.id,
+    structureId: structure.id,
+    ...share
+  })));
+
+  const organizationalCap = await getOrganizationalCapStatus(structure);
+  const warnings = [];
+  if (expense.isOrganizational && organizationalCap.exceeded) {
+    warnings.push(
+      `Organizational expenses (${formatAmount(organizationalCap.total)}) exceed the LPA cap of ` +
+      `${formatAmount(organizationalCap.cap)} by ${formatAmount(organizationalCap.excess)}`
+    );
+  }
+
+  return { expense, organizationalCap, warnings };
+}
+
+/**
+ * Expenses per category for a period and to date, for the fund or one LP's share
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} [filter] - { userId, startDate, endDate }
+ * @returns {Promise<Object>} { period: { total, byCategory }, toDate: { total, byCategory }, organizationalCap }
+ */
+async function getExpenseSummary(structure, { userId, startDate, endDate } = {}) {
+  const expenses = await PartnershipExpense.findByStructureId(structure.id);
+
+  const items = userId
+    ? (await PartnershipExpense.findAllocationsByInvestor(structure.id, userId))
+      .filter(a => a.expense)
+      .map(a => ({ category: a.expense.category, date: a.expense.expenseDate, amount: a.amount }))
+    : expenses.map(e => ({ category: e.category, date: e.expenseDate, amount: e.amount }));
+
+  const toDate = items.filter(item => !endDate || item.date <= endDate);
+  const period = toDate.filter(item => !startDate || item.date >= startDate);
+
+  return {
+    period: summarizeByCategory(period),
+    toDate: summarizeByCategory(toDate),
+    organizationalCap: await getOrganizationalCapStatus(structure, expenses)
+  };
+}
+
+module.exports = {
+  getOrganizationalCapStatus,
+  recordExpense,
+  getExpenseSummary
+};
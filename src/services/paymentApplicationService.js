@@ -0,0 +1,221 @@
+/**
+ * Payment Application Service
+ *
+ * Applies an LP payment across the components of a capital call allocation
+ * (capital, management fees, VAT and late interest on defaults) according to the
+ * structure's payment application policy:
+ * - pro_rata: proportionally to what remains on each component (default)
+ * - fees_first: late interest, fees and VAT before capital
+ * - capital_first: capital before fees, VAT and late interest
+ * - custom: an explicit ordering of the components
+ *
+ * Works on capital_call_allocations rows (snake_case) so the investor pay route,
+ * payment approval and reconciliation all share the same math.
+ */
+
+const POLICIES = ['pro_rata', 'fees_first', 'capital_first', 'custom'];
+const COMPONENTS = ['late_interest', 'fees', 'vat', 'capital'];
+
+const PRESET_ORDERS = {
+  fees_first: ['late_interest', 'fees', 'vat', 'capital'],
+  capital_first: ['capital', 'fees', 'vat', 'late_interest']
+};
+
+// Breakdown key and allocation columns for each component
+const COMPONENT_FIELDS = {
+  capital: { key: 'capital', due: 'principal_amount', paid: 'capital_paid' },
+  fees: { key: 'fees', due: 'management_fee_net', paid: 'fees_paid' },
+  vat: { key: 'vat', due: 'vat_amount', paid: 'vat_paid' },
+  late_interest: { key: 'lateInterest', due: 'default_interest_amount', paid: 'default_interest_paid' }
+};
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Validate a payment application policy
+ * @param {string} policy - One of POLICIES
+ * @param {Array<string>|string} [order] - Component ordering (custom policy only; JSON string accepted)
+ * @returns {{ valid: boolean, errors: Array<string>, policy: string, order: Array<string>|null }}
+ */
+function validatePaymentApplicationPolicy(policy, order) {
+  const errors = [];
+  const normalizedPolicy = policy || 'pro_rata';
+
+  if (!POLICIES.includes(normalizedPolicy)) {
+    errors.push(`Payment application policy must be one of: ${POLICIES.join(', ')}`);
+  }
+
+  if (normalizedPolicy !== 'custom') {
+    return { valid: errors.length === 0, errors, policy: normalizedPolicy, order: null };
+  }
+
+  let parsedOrder = order;
+  if (typeof parsedOrder === 'string') {
+    try {
+      parsedOrder = JSON.parse(parsedOrder);
+    } catch {
+      parsedOrder = parsedOrder.split(',').map(c => c.trim()).filter(Boolean);
+    }
+  }
+
+  if (!Array.isArray(parsedOrder) || parsedOrder.length === 0) {
+    errors.push('A custom payment application policy requires an order of components');
+    return { valid: false, errors, policy: normalizedPolicy, order: null };
+  }
+
+  const unknown = parsedOrder.filter(c => !COMPONENTS.includes(c));
+  if (unknown.length > 0) {
+    errors.push(`Unknown payment components: ${unknown.join(', ')} (allowed: ${COMPONENTS.join(', ')})`);
+  }
+  if (new Set(parsedOrder).size !== parsedOrder.length) {
+    errors.push('Payment components can only appear once in the order');
+  }
+  const missing = ['capital', 'fees', 'vat'].filter(c => !parsedOrder.includes(c));
+  if (missing.length > 0) {
+    errors.push(`Payment order must include: ${missing.join(', ')}`);
+  }
+
+  // Late interest is paid last when not placed explicitly
+  const normalizedOrder = parsedOrder.includes('late_interest') ? parsedOrder : [...parsedOrder, 'late_interest'];
+
+  return { valid: errors.length === 0, errors, policy: normalizedPolicy, order: normalizedOrder };
+}
+
+/**
+ * Effective payment application policy of a structure
+ * @param {Object|null} structure - Structure (camelCase)
+ * @returns {{ policy: string, order: Array<string>|null }}
+ */
+function getPaymentApplicationPolicy(structure) {
+  const policy = structure?.paymentApplicationPolicy || 'pro_rata';
+
+  if (policy === 'custom') {
+    const { valid, order } = validatePaymentApplicationPolicy(policy, structure.paymentApplicationOrder);
+    // A broken custom order falls back to the default rather than blocking payments
+    return valid ? { policy, order } : { policy: 'pro_rata', order: null };
+  }
+
+  return { policy, order: PRESET_ORDERS[policy] || null };
+}
+
+/**
+ * Amount still owed on each component of an allocation
+ * @param {Object} allocation - capital_call_allocations row (snake_case)
+ * @returns {{ capital: number, fees: number, vat: number, lateInterest: number }}
+ */
+function getRemainingComponents(allocation) {
+  const remaining = {};
+  for (const { key, due, paid } of Object.values(COMPONENT_FIELDS)) {
+    remaining[key] = round2(Math.max(0, (parseFloat(allocation[due]) || 0) - (parseFloat(allocation[paid]) || 0)));
+  }
+  return remaining;
+}
+
+/**
+ * Split a payment across the remaining components
+ * @param {Object} remaining - { capital, fees, vat, lateInterest }
+ * @param {number} amount - Payment amount
+ * @param {{ policy: string, order: Array<string>|null }} policyConfig
+ * @returns {{ capital: number, fees: number, vat: number, lateInterest: number, unapplied: number }}
+ */
+function applyPayment(remaining, amount, policyConfig = {}) {
+  const paymentAmount = round2(parseFloat(amount) || 0);
+  const breakdown = { capital: 0, fees: 0, vat: 0, lateInterest: 0, unapplied: 0 };
+
+  if (paymentAmount <= 0) return breakdown;
+
+  if (!policyConfig.order) {
+    // Pro-rata across whatever remains on each component
+    const totalRemaining = Object.values(COMPONENT_FIELDS).reduce((sum, { key }) => sum + (remaining[key] || 0), 0);
+    if (totalRemaining > 0) {
+      const ratio = Math.min(paymentAmount / totalRemaining, 1);
+      for (const { key } of Object.values(COMPONENT_FIELDS)) {
+        breakdown[key] = round2((remaining[key] || 0) * ratio);
+      }
+    }
+  } else {
+    let left = paymentAmount;
+    for (const component of policyConfig.order) {
+      const { key } = COMPONENT_FIELDS[component];
+      const applied = round2(Math.min(remaining[key] || 0, left));
+      breakdown[key] = applied;
+      left = round2(left - applied);
+    }
+  }
+
+  const applied = breakdown.capital + breakdown.fees + breakdown.vat + breakdown.lateInterest;
+  breakdown.unapplied = round2(Math.max(0, paymentAmount - applied));
+
+  return breakdown;
+}
+
+/**
+ * Allocation paid columns after adding (or removing) a breakdown
+ * @param {Object} allocation - capital_call_allocations row (snake_case)
+ * @param {Object} breakdown - { capital, fees, vat, lateInterest }
+ * @param {number} [sign] - 1 to apply, -1 to reverse
+ * @returns {Object} { paid_amount, capital_paid, fees_paid, vat_paid, default_interest_paid }
+ */
+function getPaidFields(allocation, breakdown, sign = 1) {
+  const fields = {};
+  for (const { key, paid } of Object.values(COMPONENT_FIELDS)) {
+    fields[paid] = round2(Math.max(0, (parseFloat(allocation[paid]) || 0) + sign * (breakdown[key] || 0)));
+  }
+  // Late interest is owed on top of total_due, so it is not part of paid_amount
+  fields.paid_amount = round2(fields.capital_paid + fields.fees_paid + fields.vat_paid);
+  return fields;
+}
+
+/**
+ * Apply a payment to an allocation under a policy
+ * @param {Object} allocation - capital_call_allocations row (snake_case)
+ * @param {number} amount - Payment amount
+ * @param {{ policy: string, order: Array<string>|null }} policyConfig
+ * @returns {{ breakdown: Object, paidFields: Object }}
+ */
+function applyPaymentToAllocation(allocation, amount, policyConfig) {
+  const breakdown = applyPayment(getRemainingComponents(allocation), amount, policyConfig);
+  return { breakdown, paidFields: getPaidFields(allocation, breakdown) };
+}
+
+/**
+ * Re-apply pending payments under the current policy (e.g. at approval time, in case
+ * the structure's policy changed since the payment was submitted)
+ * @param {Object} allocation - capital_call_allocations row (snake_case), pending payments included
+ * @param {Array} pendingPayments - CapitalCallPayment records, oldest first
+ * @param {{ policy: string, order: Array<string>|null }} policyConfig
+ * @returns {{ paidFields: Object, payments: Array<{ id: string, breakdown: Object, changed: boolean }>, changed: boolean }}
+ */
+function reapplyPendingPayments(allocation, pendingPayments, policyConfig) {
+  // Back the pending payments out to get the approved-only balances
+  let current = { ...allocation };
+  for (const payment of pendingPayments) {
+    current = { ...current, ...getPaidFields(current, payment.breakdown || {}, -1) };
+  }
+
+  const payments = pendingPayments.map(payment => {
+    const { breakdown, paidFields } = applyPaymentToAllocation(current, payment.amount, policyConfig);
+    current = { ...current, ...paidFields };
+    const previous = payment.breakdown || {};
+    const changed = Object.keys(breakdown).some(key => round2(previous[key]) !== breakdown[key]);
+    return { id: payment.id, breakdown, changed };
+  });
+
+  const paidFields = getPaidFields(current, {});
+  const changed = Object.entries(paidFields).some(([field, value]) => round2(parseFloat(allocation[field])) !== value);
+
+  return { paidFields, payments, changed };
+}
+
+module.exports = {
+  POLICIES,
+  COMPONENTS,
+  PRESET_ORDERS,
+  validatePaymentApplicationPolicy,
+  getPaymentApplicationPolicy,
+  getRemainingComponents,
+  applyPayment,
+  getPaidFields,
+  applyPaymentToAllocation,
+  reapplyPendingPayments
+};
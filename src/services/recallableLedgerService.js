@@ -0,0 +1,245 @@
+/**
+ * Recallable Ledger Service
+ *
+ * Per-LP ledger of recallable distributions:
+ * - Approving a distribution flagged recallable credits each LP's allocation, capped by the
+ *   LP's remaining capacity under the structure's recallable limit
+ * - Approving a capital call that recycles capital debits the principal it calls from each LP,
+ *   up to the LP's recallable balance; cancelling the call releases the debits
+ * - Limits (recallableLimitType / recallableLimitValue on the structure) are checked when a
+ *   recallable distribution or a recycling capital call is created:
+ *     no_limit                 - no cap
+ *     percentage_of_commitment - credits up to recallableLimitValue % of commitment
+ *     fixed_amount             - credits up to recallableLimitValue for the fund,
+ *                                shared between LPs pro-rata to commitment
+ */
+
+const { RecallableLedgerEntry, StructureInvestor } = require('../models/supabase');
+
+const RECALLABLE_LIMIT_TYPES = ['no_limit', 'percentage_of_commitment', 'fixed_amount'];
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Recallable limit for a commitment (null = no limit)
+ * @param {Object} structure - Structure (camelCase)
+ * @param {number} commitment - Commitment the limit applies to (an LP's or the fund's)
+ * @param {number} totalCommitment - Fund's total commitments
+ * @returns {number|null}
+ */
+function getRecallableLimit(structure, commitment, totalCommitment) {
+  const limitValue = parseFloat(structure?.recallableLimitValue);
+  if (!Number.isFinite(limitValue)) return null;
+
+  switch (structure?.recallableLimitType) {
+    case 'percentage_of_commitment':
+      return round2(commitment * limitValue / 100);
+    case 'fixed_amount':
+      return totalCommitment > 0 ? round2(limitValue * commitment / totalCommitment) : round2(limitValue);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the ledger balances of a structure (no database access)
+ * @param {Object} params
+ * @param {Object} params.structure - Structure (camelCase)
+ * @param {Array} params.investors - [{ userId, commitment }]
+ * @param {Array} params.entries - Ledger entries (camelCase)
+ * @returns {Object} { limitType, limitValue, fund, investors } with credited, debited, balance,
+ *   limit and remainingCapacity for the fund and for each LP
+ */
+function buildLedger({ structure, investors = [], entries = [] }) {
+  const commitments = new Map();
+  investors.forEach(inv => {
+    commitments.set(inv.userId, (commitments.get(inv.userId) || 0) + (parseFloat(inv.commitment) || 0));
+  });
+  entries.forEach(e => {
+    if (!commitments.has(e.userId)) commitments.set(e.userId, 0);
+  });
+  const totalCommitment = [...commitments.values()].reduce((sum, c) => sum + c, 0);
+
+  const summarize = (commitment, ownEntries) => {
+    const credited = round2(ownEntries.filter(e => e.entryType === 'credit').reduce((sum, e) => sum + e.amount, 0));
+    const debited = round2(ownEntries.filter(e => e.entryType === 'debit').reduce((sum, e) => sum + e.amount, 0));
+    const limit = getRecallableLimit(structure, commitment, totalCommitment);
+
+    return {
+      commitment: round2(commitment),
+      credited,
+      debited,
+      balance: round2(credited - debited),
+      limit,
+      remainingCapacity: limit === null ? null : round2(Math.max(0, limit - credited))
+    };
+  };
+
+  return {
+    enabled: structure?.recallableDistributionsEnabled === true,
+    limitType: structure?.recallableLimitType || 'no_limit',
+    limitValue: structure?.recallableLimitValue ?? null,
+    fund: summarize(totalCommitment, entries),
+    investors: [...commitments.entries()].map(([userId, commitment]) => ({
+      userId,
+      ...summarize(commitment, entries.filter(e => e.userId === userId))
+    }))
+  };
+}
+
+/**
+ * Load a structure's ledger
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} [filter] - { userId } to return only one LP's entries and balance
+ * @returns {Promise<Object>} buildLedger() result with the entries
+ */
+async function getRecallableLedger(structure, filter = {}) {
+  const [investors, entries] = await Promise.all([
+    StructureInvestor.findByStructureId(structure.id),
+    RecallableLedgerEntry.findByStructureId(structure.id)
+  ]);
+
+  const ledger = buildLedger({ structure, investors, entries });
+  if (!filter.userId) return { ...ledger, entries };
+
+  return {
+    ...ledger,
+    fund: undefined,
+    investors: ledger.investors.filter(inv => inv.userId === filter.userId),
+    entries: entries.filter(e => e.userId === filter.userId)
+  };
+}
+
+/**
+ * Check that a recallable distribution can be created for a structure
+ * @param {Object} structure - Structure (camelCase)
+ * @param {number} amount - Amount distributed to LPs
+ * @returns {Promise<{ valid: boolean, errors: Array }>}
+ */
+async function checkRecallableDistribution(structure, amount) {
+  if (!structure.recallableDistributionsEnabled) {
+    return { valid: false, errors: ['Recallable distributions are not enabled for this structure'] };
+  }
+
+  const { fund } = await getRecallableLedger(structure);
+  if (fund.remainingCapacity !== null && amount > fund.remainingCapacity + TOLERANCE) {
+    return {
+      valid: false,
+      errors: [`Recallable amount exceeds the structure's remaining recallable limit (${fund.remainingCapacity} of ${fund.limit})`]
+    };
+  }
+
+  return { valid: true, errors: [] };
+}
+
+/**
+ * Check that a capital call recycling capital can be created for a structure
+ * @param {Object} structure - Structure (camelCase)
+ * @param {number} amount - Call amount
+ * @returns {Promise<{ valid: boolean, errors: Array }>}
+ */
+async function checkRecyclingCall(structure, amount) {
+  if (!structure.recallableDistributionsEnabled) {
+    return { valid: false, errors: ['Recallable distributions are not enabled for this structure'] };
+  }
+
+  const { fund } = await getRecallableLedger(structure);
+  if (amount > fund.balance + TOLERANCE) {
+    return {
+      valid: false,
+      errors: [`Call amount exceeds the structure's recallable balance (${fund.balance})`]
+    };
+  }
+
+  return { valid: true, errors: [] };
+}
+
+/**
+ * Credit the LPs' allocations of an approved recallable distribution
+ * LPs already credited for the distribution are skipped.
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} distribution - Distribution (camelCase) with distribution_allocations
+ * @param {Object} actor - { userId }
+ * @returns {Promise<Array>} Created entries
+ */
+async function creditDistribution(structure, distribution, actor = {}) {
+  if (!distribution?.recallable || !structure.recallableDistributionsEnabled) return [];
+
+  const ledger = await getRecallableLedger(structure);
+  const investorByUser = new Map(ledger.investors.map(inv => [inv.userId, inv]));
+  const credited = new Set(ledger.entries.filter(e => e.distributionId === distribution.id).map(e => e.userId));
+
+  const entries = (distribution.distribution_allocations || [])
+    .filter(a => !credited.has(a.user_id))
+    .map(a => {
+      const capacity = investorByUser.get(a.user_id)?.remainingCapacity ?? null;
+      const allocated = parseFloat(a.allocated_amount) || 0;
+      return {
+        structureId: structure.id,
+        userId: a.user_id,
+        entryType: 'credit',
+        amount: round2(capacity === null ? allocated : Math.min(allocated, capacity)),
+        distributionId: distribution.id,
+        entryDate: (distribution.distributionDate || new Date().toISOString()).split('T')[0],
+        description: `Recallable distribution #${distribution.distributionNumber}`,
+        createdBy: actor.userId || null
+      };
+    })
+    .filter(e => e.amount > 0);
+
+  return RecallableLedgerEntry.createMany(entries);
+}
+
+/**
+ * Debit the principal an approved capital call recycles from each LP's recallable balance
+ * LPs already debited for the call are skipped.
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} capitalCall - Capital call (camelCase) with capital_call_allocations
+ * @param {Object} actor - { userId }
+ * @returns {Promise<Array>} Created entries
+ */
+async function debitCapitalCall(structure, capitalCall, actor = {}) {
+  if (!capitalCall?.recyclesCapital) return [];
+
+  const ledger = await getRecallableLedger(structure);
+  const investorByUser = new Map(ledger.investors.map(inv => [inv.userId, inv]));
+  const debited = new Set(ledger.entries.filter(e => e.capitalCallId === capitalCall.id).map(e => e.userId));
+
+  const entries = (capitalCall.capital_call_allocations || [])
+    .filter(a => !debited.has(a.user_id))
+    .map(a => ({
+      structureId: structure.id,
+      userId: a.user_id,
+      entryType: 'debit',
+      amount: round2(Math.min(parseFloat(a.principal_amount) || 0, investorByUser.get(a.user_id)?.balance || 0)),
+      capitalCallId: capitalCall.id,
+      entryDate: (capitalCall.callDate || new Date().toISOString()).split('T')[0],
+      description: `Recycled by capital call #${capitalCall.callNumber}`,
+      createdBy: actor.userId || null
+    }))
+    .filter(e => e.amount > 0);
+
+  return RecallableLedgerEntry.createMany(entries);
+}
+
+/**
+ * Return the principal a cancelled capital call recycled to the LPs' recallable balances
+ * @param {string} capitalCallId - Capital call ID
+ * @returns {Promise<Array>} Entries removed
+ */
+async function releaseCapitalCallDebits(capitalCallId) {
+  return RecallableLedgerEntry.deleteByCapitalCallId(capitalCallId);
+}
+
+module.exports = {
+  RECALLABLE_LIMIT_TYPES,
+  getRecallableLimit,
+  buildLedger,
+  getRecallableLedger,
+  checkRecallableDistribution,
+  checkRecyclingCall,
+  creditDistribution,
+  debitCapitalCall,
+  releaseCapitalCallDebits
+};
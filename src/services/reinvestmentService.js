@@ -0,0 +1,261 @@
+/**
+ * Reinvestment Service
+ *
+ * Carries out the LPs' distribution reinvestment (DRIP) elections once amounts are final:
+ * - Approving a distribution records each LP's reinvested amount (set on its allocation when
+ *   allocations were created). 'subscription' reinvestments are subscribed right away: the
+ *   LP's commitment grows by the amount, which counts as contributed and as called capital
+ *   (see CapitalCall.getReinvestedSubscriptionsByStructure), so it is never unfunded.
+ *   'net_against_call' reinvestments stay pending as credits.
+ * - Approving a capital call nets each LP's pending credits against its allocation, oldest
+ *   first, as approved 'reinvestment' payments applied under the structure's payment
+ *   application policy.
+ * - Cancelling the call reverses those payments and restores the credits they consumed.
+ * The distribution itself is unchanged, so reinvested amounts are still reported as
+ * distributed income / return of capital.
+ */
+
+const {
+  DistributionReinvestment,
+  StructureInvestor,
+  Subscription,
+  CapitalCall,
+  CapitalCallPayment
+} = require('../models/supabase');
+const { netCreditsAgainstCall } = require('../utils/reinvestment');
+const { getPaymentApplicationPolicy, applyPaymentToAllocation } = require('./paymentApplicationService');
+const { syncInstallmentPayments } = require('./capitalCallInstallmentService');
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Record the reinvestments of an approved distribution
+ * LPs already recorded for the distribution are skipped.
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} distribution - Distribution (camelCase) with distribution_allocations
+ * @param {Object} actor - { userId }
+ * @returns {Promise<Array>} Created reinvestments
+ */
+async function recordDistributionReinvestments(structure, distribution, actor = {}) {
+  const reinvesting = (distribution?.distribution_allocations || [])
+    .filter(a => (parseFloat(a.reinvestment_amount) || 0) > 0);
+  if (reinvesting.length === 0) return [];
+
+  const existing = await DistributionReinvestment.findByStructureId(structure.id, { distributionId: distribution.id });
+  const recorded = new Set(existing.map(r => r.userId));
+  const reinvestmentDate = (distribution.distributionDate || new Date().toISOString()).split('T')[0];
+
+  const records = [];
+  for (const allocation of reinvesting.filter(a => !recorded.has(a.user_id))) {
+    const amount = round2(parseFloat(allocation.reinvestment_amount));
+    const method = allocation.reinvestment_method || 'net_against_call';
+    const record = {
+      structureId: structure.id,
+      distributionId: distribution.id,
+      userId: allocation.user_id,
+      electionId: allocation.reinvestment_election_id || null,
+      method,
+      amount,
+      appliedAmount: 0,
+      applications: [],
+      status: 'pending',
+      reinvestmentDate,
+      createdBy: actor.userId || null
+    };
+
+    if (method === 'subscription') {
+      const subscription = await subscribeReinvestment(structure, allocation.user_id, amount);
+      record.subscriptionId = subscription?.id || null;
+      record.appliedAmount = amount;
+      record.status = 'applied';
+    }
+
+    records.push(record);
+  }
+
+  if (records.some(r => r.method === 'subscription')) {
+    await StructureInvestor.recalculateOwnership(structure.id);
+  }
+
+  return DistributionReinvestment.createMany(records);
+}
+
+/**
+ * Subscribe a reinvested amount: raise the LP's commitment and record a completed subscription
+ * @param {Object} structure - Structure (camelCase)
+ * @param {string} userId - LP user ID
+ * @param {number} amount - Amount reinvested
+ * @returns {Promise<Object|null>} Subscription
+ */
+async function subscribeReinvestment(structure, userId, amount) {
+  const investor = await StructureInvestor.findByUserAndStructure(userId, structure.id);
+  if (investor) {
+    await StructureInvestor.findByIdAndUpdate(investor.id, {
+      commitment: round2((parseFloat(investor.commitment) || 0) + amount)
+    });
+  }
+
+  return Subscription.create({
+    structureId: structure.id,
+    userId,
+    fundId: structure.id,
+    requestedAmount: amount,
+    currency: structure.currency || null,
+    status: 'completed'
+  });
+}
+
+/**
+ * Net the LPs' pending reinvestment credits against an approved capital call
+ * The call's allocations are only loaded when the structure has pending credits.
+ * @param {Object} structure - Structure (camelCase)
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Object} actor - { userId }
+ * @returns {Promise<{ totalApplied: number, payments: Array }>}
+ */
+async function applyReinvestmentCredits(structure, capitalCall, actor = {}) {
+  const credits = await DistributionReinvestment.findByStructureId(structure.id, { status: 'pending' });
+  if (credits.length === 0) return { totalApplied: 0, payments: [] };
+
+  const { capital_call_allocations: allocations = [] } = await CapitalCall.findWithAllocations(capitalCall.id);
+  const applicationPolicy = getPaymentApplicationPolicy(structure);
+  const paymentDate = new Date().toISOString();
+  const payments = [];
+
+  for (const allocation of allocations || []) {
+    const totalDue = parseFloat(allocation.total_due) || 0;
+    const outstanding = round2(totalDue - (parseFloat(allocation.paid_amount) || 0));
+    const lpCredits = credits.filter(c => c.userId === allocation.user_id && c.method === 'net_against_call');
+
+    const netting = netCreditsAgainstCall(lpCredits, outstanding);
+    if (netting.total <= 0) continue;
+
+    const { breakdown, paidFields } = applyPaymentToAllocation(allocation, netting.total, applicationPolicy);
+    await CapitalCall.updateAllocation(allocation.id, {
+      ...paidFields,
+      status: totalDue - paidFields.paid_amount <= 0.01 ? 'Paid' : 'Partially Paid',
+      payment_approval_status: 'approved',
+      payment_method: 'reinvestment',
+      payment_date: paymentDate
+    });
+
+    // Settle the installments the netted amount covers, as cash payments do
+    if (capitalCall.installmentCount > 0) {
+      await syncInstallmentPayments({ id: allocation.id, paid_amount: paidFields.paid_amount });
+    }
+
+    const payment = await CapitalCallPayment.create({
+      capitalCallId: capitalCall.id,
+      allocationId: allocation.id,
+      userId: allocation.user_id,
+      amount: netting.total,
+      paymentMethod: 'reinvestment',
+      paymentReference: netting.applications.map(a => a.id).join(','),
+      paymentDate,
+      applicationPolicy: applicationPolicy.policy,
+      applicationOrder: applicationPolicy.order,
+      breakdown,
+      approvalStatus: 'approved',
+      reviewedBy: actor.userId || null,
+      reviewedAt: paymentDate
+    });
+
+    for (const application of netting.applications) {
+      const credit = lpCredits.find(c => c.id === application.id);
+      await DistributionReinvestment.findByIdAndUpdate(credit.id, {
+        appliedAmount: round2(credit.appliedAmount + application.amount),
+        applications: [
+          ...credit.applications,
+          {
+            capitalCallId: capitalCall.id,
+            allocationId: allocation.id,
+            paymentId: payment?.id || null,
+            amount: application.amount,
+            date: paymentDate.split('T')[0]
+          }
+        ],
+        status: application.remaining <= 0 ? 'applied' : 'pending'
+      });
+    }
+
+    payments.push(payment);
+  }
+
+  const totalApplied = round2(payments.reduce((sum, p) => sum + (p?.amount || 0), 0));
+  if (totalApplied > 0) {
+    await CapitalCall.updatePaymentAmounts(capitalCall.id, totalApplied);
+  }
+
+  return { totalApplied, payments };
+}
+
+/**
+ * Restore the reinvestment credits netted against a cancelled capital call
+ * The call's 'reinvestment' payments are marked reversed (they are not refunded in cash) and
+ * each credit gets back the amount applied to the call, becoming pending again.
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Object} actor - { userId }
+ * @returns {Promise<{ totalRestored: number, payments: Array, credits: Array }>}
+ */
+async function releaseReinvestmentCredits(capitalCall, actor = {}) {
+  const payments = (await CapitalCallPayment.findByCapitalCallId(capitalCall.id))
+    .filter(p => p.paymentMethod === 'reinvestment' && p.approvalStatus === 'approved');
+  if (payments.length === 0) return { totalRestored: 0, payments: [], credits: [] };
+
+  const reviewedAt = new Date().toISOString();
+  const reversed = [];
+  for (const payment of payments) {
+    reversed.push(await CapitalCallPayment.findByIdAndUpdate(payment.id, {
+      approvalStatus: 'reversed',
+      reviewedBy: actor.userId || null,
+      reviewedAt
+    }));
+  }
+
+  const credits = (await DistributionReinvestment.findByStructureId(capitalCall.structureId))
+    .filter(c => c.method === 'net_against_call' && c.applications.some(a => a.capitalCallId === capitalCall.id));
+
+  const restored = [];
+  for (const credit of credits) {
+    const released = round2(credit.applications
+      .filter(a => a.capitalCallId === capitalCall.id)
+      .reduce((sum, a) => sum + (a.amount || 0), 0));
+
+    restored.push(await DistributionReinvestment.findByIdAndUpdate(credit.id, {
+      appliedAmount: round2(Math.max(0, credit.appliedAmount - released)),
+      applications: credit.applications.filter(a => a.capitalCallId !== capitalCall.id),
+      status: 'pending'
+    }));
+  }
+
+  return {
+    totalRestored: round2(payments.reduce((sum, p) => sum + p.amount, 0)),
+    payments: reversed,
+    credits: restored
+  };
+}
+
+/**
+ * Totals of an LP's (or a structure's) reinvestments
+ * @param {Array} reinvestments - DistributionReinvestment records
+ * @returns {{ total: number, subscribed: number, nettedAgainstCalls: number, pending: number }}
+ */
+function summarizeReinvestments(reinvestments) {
+  const sum = (items, field) => round2(items.reduce((total, r) => total + (r[field] || 0), 0));
+  const subscriptions = reinvestments.filter(r => r.method === 'subscription');
+  const credits = reinvestments.filter(r => r.method !== 'subscription');
+
+  return {
+    total: sum(reinvestments, 'amount'),
+    subscribed: sum(subscriptions, 'amount'),
+    nettedAgainstCalls: sum(credits, 'appliedAmount'),
+    pending: round2(sum(credits, 'amount') - sum(credits, 'appliedAmount'))
+  };
+}
+
+module.exports = {
+  recordDistributionReinvestments,
+  applyReinvestmentCredits,
+  releaseReinvestmentCredits,
+  summarizeReinvestments
+};
@@ -398,9 +398,10 @@ class StripeService {
    * @param {string} currency - Currency code (default: mxn)
    * @param {string} description - Transfer description
    * @param {Object} metadata - Additional metadata
+   * @param {string} [idempotencyKey] - Key making retries of the same transfer return it instead of paying twice
    * @returns {Promise<Object>} Transfer object
    */
-  async createTransferToConnectAccount(accountId, amount, currency = 'mxn', description = '', metadata = {}) {
+  async createTransferToConnectAccount(accountId, amount, currency = 'mxn', description = '', metadata = {}, idempotencyKey = null) {
     try {
       const transfer = await stripeConnect.transfers.create({
         amount: amount,
@@ -408,7 +409,7 @@ class StripeService {
         destination: accountId,
         description: description,
         metadata: metadata
-      });
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       console.log(`[Stripe Connect] Created transfer ${transfer.id} to account ${accountId} for ${amount} ${currency}`);
       return transfer;
@@ -0,0 +1,447 @@
+/**
+ * Capital Call Allocation Calculator
+ * Pure per-LP allocation math for capital calls (no database access).
+ * Used by CapitalCall.createAllocationsForStructure and the call simulator.
+ */
+
+/**
+ * Merge structure investor rows into one entry per user
+ * Ownership and commitment are summed when a user has several records.
+ * @param {Array} investors - structure_investors rows (snake_case)
+ * @param {string} structureId - Structure ID
+ * @returns {Array} Unique investor rows
+ */
+function aggregateStructureInvestors(investors, structureId) {
+  const investorMap = new Map();
+  investors?.forEach(inv => {
+    const userId = inv.user_id;
+    const ownershipPercent = inv.ownership_percent || 0;
+    const commitmentAmount = inv.commitment || 0;
+    const feeDiscount = inv.fee_discount || 0;
+    const vatExempt = inv.vat_exempt || false;
+
+    if (!investorMap.has(userId)) {
+      investorMap.set(userId, { ownershipPercent, commitment: commitmentAmount, feeDiscount, vatExempt });
+    } else {
+      // Sum up ownership if multiple investor records for same user
+      const existing = investorMap.get(userId);
+      investorMap.set(userId, {
+        ownershipPercent: existing.ownershipPercent + ownershipPercent,
+        commitment: existing.commitment + commitmentAmount,
+        feeDiscount,
+        vatExempt
+      });
+    }
+  });
+
+  return Array.from(investorMap.entries()).map(([userId, data]) => ({
+    user_id: userId,
+    structure_id: structureId,
+    ownership_percent: data.ownershipPercent,
+    commitment: data.commitment,
+    fee_discount: data.feeDiscount,
+    vat_exempt: data.vatExempt
+  }));
+}
+
+/**
+ * Leave excused investors out and redistribute their ownership pro-rata among the
+ * participants (distribution proceeds of an investment an LP was excused from)
+ * @param {Array} structureInvestors - Output of aggregateStructureInvestors
+ * @param {Array<string>} excusedUserIds - Users excused
+ * @returns {Array} Participating investors; rescaled rows keep base_ownership_percent
+ */
+function applyExcusals(structureInvestors, excusedUserIds = []) {
+  if (excusedUserIds.length === 0) return structureInvestors;
+
+  const excused = new Set(excusedUserIds);
+  const participants = structureInvestors.filter(si => !excused.has(si.user_id));
+  const totalOwnership = structureInvestors.reduce((sum, si) => sum + (si.ownership_percent || 0), 0);
+  const participatingOwnership = participants.reduce((sum, si) => sum + (si.ownership_percent || 0), 0);
+  if (participatingOwnership <= 0 || participants.length === structureInvestors.length) return participants;
+
+  const scale = totalOwnership / participatingOwnership;
+  return participants.map(si => ({
+    ...si,
+    base_ownership_percent: si.ownership_percent,
+    ownership_percent: (si.ownership_percent || 0) * scale
+  }));
+}
+
+/**
+ * Each investor's share of the investments a capital call funds
+ * Excused investors fund none of the call's investments; their share is redistributed
+ * pro-rata among the participants. Fees, fund expenses and reserves stay on ownership.
+ * @param {Array} structureInvestors - Output of aggregateStructureInvestors
+ * @param {Array<string>} excusedUserIds - Users excused from the call
+ * @returns {Map<string, number>|null} userId -> investment ownership percent; null without excusals
+ */
+function getInvestmentOwnership(structureInvestors, excusedUserIds = []) {
+  const participants = applyExcusals(structureInvestors, excusedUserIds);
+  if (participants.length === structureInvestors.length) return null;
+
+  const participantOwnership = new Map(participants.map(si => [si.user_id, si.ownership_percent || 0]));
+  return new Map(structureInvestors.map(si => [si.user_id, participantOwnership.get(si.user_id) || 0]));
+}
+
+/**
+ * Part of a capital call that funds investments (the rest funds expenses and reserves)
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @returns {number}
+ */
+function getInvestmentTotal(capitalCall) {
+  if (capitalCall.totalInvestments) return capitalCall.totalInvestments;
+  return Math.max(0, capitalCall.totalCallAmount - (capitalCall.totalFundExpenses || 0) - (capitalCall.totalReserves || 0));
+}
+
+/**
+ * An investor's principal on a capital call, and the base its call-time fee is charged on
+ * Excusals only move the investment part of the call, so the fee base stays on ownership.
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @param {Object} si - Investor (output of aggregateStructureInvestors)
+ * @param {Map<string, number>|null} investmentOwnership - Output of getInvestmentOwnership
+ * @returns {{ principalAmount: number, feeBase: number, investmentShare: number, investmentsAmount: number|null, excusalRedistribution: number }}
+ */
+function getInvestorPrincipal(capitalCall, si, investmentOwnership) {
+  const ownershipShare = (si.ownership_percent || 0) / 100;
+  const feeBase = capitalCall.totalCallAmount * ownershipShare;
+  if (!investmentOwnership) {
+    return { principalAmount: feeBase, feeBase, investmentShare: ownershipShare, investmentsAmount: null, excusalRedistribution: 0 };
+  }
+
+  const investmentTotal = getInvestmentTotal(capitalCall);
+  const investmentShare = (investmentOwnership.get(si.user_id) || 0) / 100;
+  const redistributed = investmentTotal * (investmentShare - ownershipShare);
+
+  return {
+    principalAmount: feeBase + redistributed,
+    feeBase,
+    investmentShare,
+    investmentsAmount: investmentTotal * investmentShare,
+    // Share of excused investors picked up by a participant
+    excusalRedistribution: Math.max(0, redistributed)
+  };
+}
+
+/**
+ * Fraction of the annual fee charged for a fee period
+ * @param {string} feePeriod - 'quarterly', 'semi-annual' or 'annual'
+ * @returns {number}
+ */
+function getFeePeriodFraction(feePeriod) {
+  if (feePeriod === 'quarterly') return 0.25;
+  if (feePeriod === 'semi-annual') return 0.5;
+  return 1.0;
+}
+
+/**
+ * Whether a capital call uses the Proximity dual-rate (NIC + unfunded) fee mode
+ * @param {Object} capitalCall - Capital call (camelCase)
+ * @returns {boolean}
+ */
+function isDualRateMode(capitalCall) {
+  return capitalCall.managementFeeBase === 'nic_plus_unfunded' &&
+    (capitalCall.feeRateOnNic != null || capitalCall.feeRateOnUnfunded != null);
+}
+
+/**
+ * Calculate allocation rows for every investor of a capital call
+ * @param {Object} params
+ * @param {Object} params.capitalCall - Capital call (camelCase)
+ * @param {Array} params.structureInvestors - Output of aggregateStructureInvestors
+ * @param {Object} params.cumulativeCalledMap - userId -> previously called amount
+ * @param {Object} params.cumulativeRecallableMap - userId -> recallable distributions
+ * @param {Array<string>} [params.excusedUserIds] - Users excused from the call's investments
+ * @returns {Array} capital_call_allocations rows (snake_case)
+ */
+function calculateAllocations({ capitalCall, structureInvestors, cumulativeCalledMap = {}, cumulativeRecallableMap = {}, excusedUserIds = [] }) {
+  const capitalCallId = capitalCall.id;
+  const periodFraction = getFeePeriodFraction(capitalCall.feePeriod);
+  const investmentOwnership = getInvestmentOwnership(structureInvestors, excusedUserIds);
+
+  if (isDualRateMode(capitalCall)) {
+    // ===== PROXIMITY DUAL-RATE MODE =====
+    const nicRate = capitalCall.feeRateOnNic || 0;
+    const unfundedRate = capitalCall.feeRateOnUnfunded || 0;
+
+    // Pass 1: Calculate each investor's NIC fee and Unfunded fee
+    const investorFees = structureInvestors.map((si) => {
+      const principal = getInvestorPrincipal(capitalCall, si, investmentOwnership);
+      const feeDiscount = si.fee_discount || 0;
+      const vatExempt = si.vat_exempt || false;
+      const commitment = si.commitment || 0;
+
+      // NIC = previously called capital. Unfunded = commitment - called + recallable.
+      const previouslyCalled = cumulativeCalledMap[si.user_id] || 0;
+      const recallableAmt = cumulativeRecallableMap[si.user_id] || 0;
+      const unfundedCommitment = Math.max(0, commitment - previouslyCalled + recallableAmt);
+      const nicBase = previouslyCalled;
+
+      // Calculate individual fees at full rates (before discount)
+      const nicFeeGross = nicBase * periodFraction * (nicRate / 100);
+      const unfundedFeeGross = unfundedCommitment * periodFraction * (unfundedRate / 100);
+      const managementFeeGross = nicFeeGross + unfundedFeeGross;
+
+      // Model B: subtract discount pp from each annual rate, recompute net fees
+      const effectiveNicRate = Math.max(0, nicRate - feeDiscount);
+      const effectiveUnfundedRate = Math.max(0, unfundedRate - feeDiscount);
+      const nicFee = nicBase * periodFraction * (effectiveNicRate / 100);
+      const unfundedFee = unfundedCommitment * periodFraction * (effectiveUnfundedRate / 100);
+      const investorDiscountAmount = managementFeeGross - (nicFee + unfundedFee);
+
+      return {
+        si,
+        principal,
+        principalAmount: principal.principalAmount,
+        feeDiscount,
+        investorDiscountAmount,
+        vatExempt,
+        nicFee,
+        unfundedFee,
+        managementFeeGross,
+        nicBase,
+        unfundedCommitment
+      };
+    });
+
+    // Pass 2: Calculate fee offset and VAT on use-of-proceeds
+    const totalFeeOffsetInput = capitalCall.feeOffsetAmount || 0;
+    const totalFundFeeAfterDiscount = investorFees.reduce((sum, f) => sum + (f.managementFeeGross - f.investorDiscountAmount), 0);
+
+    return investorFees.map((f) => {
+      // Management fee after investor discount (before fee offset)
+      const managementFeeAfterDiscount = f.managementFeeGross - f.investorDiscountAmount;
+
+      // Fee offset: pro-rated by each investor's fee proportion of total fund fees
+      let feeOffset = 0;
+      let deemedGpContribution = 0;
+      if (totalFeeOffsetInput > 0 && totalFundFeeAfterDiscount > 0) {
+        feeOffset = (managementFeeAfterDiscount / totalFundFeeAfterDiscount) * totalFeeOffsetInput;
+        deemedGpContribution = -feeOffset;
+      }
+
+      const managementFeeNet = managementFeeAfterDiscount - feeOffset;
+
+      // Calculate VAT on fees if applicable
+      let vatAmount = 0;
+      if (capitalCall.vatApplicable && !f.vatExempt && capitalCall.vatRate) {
+        vatAmount = managementFeeNet * (capitalCall.vatRate / 100);
+      }
+
+      // Per-investor VAT on use-of-proceeds (investments by investment share, expenses by ownership)
+      const vatOnInvestmentsAmount = (capitalCall.vatOnInvestments || 0) * f.principal.investmentShare;
+      const vatOnFundExpensesAmount = (capitalCall.vatOnFundExpenses || 0) * (f.si.ownership_percent / 100);
+
+      const totalDue = f.principalAmount + managementFeeNet + vatAmount + vatOnInvestmentsAmount + vatOnFundExpensesAmount;
+
+      // ProximityParks breakdown: investments = principal (when not explicitly set)
+      // Fund expenses and reserves come from the capital call header if set
+      const investmentsAmount = f.principal.investmentsAmount ?? (capitalCall.totalInvestments
+        ? (capitalCall.totalInvestments * (f.si.ownership_percent / 100))
+        : f.principalAmount);
+      const fundExpensesAmount = capitalCall.totalFundExpenses
+        ? (capitalCall.totalFundExpenses * (f.si.ownership_percent / 100))
+        : 0;
+      const reservesAmount = capitalCall.totalReserves
+        ? (capitalCall.totalReserves * (f.si.ownership_percent / 100))
+        : 0;
+      // Total drawdown = investments + expenses + reserves + fees + VAT on fees + VAT on proceeds - feeOffset
+      const totalDrawdown = investmentsAmount + fundExpensesAmount + reservesAmount + managementFeeNet + vatAmount + vatOnInvestmentsAmount + vatOnFundExpensesAmount;
+
+      return {
+        capital_call_id: capitalCallId,
+        user_id: f.si.user_id,
+        allocated_amount: totalDue,
+        paid_amount: 0,
+        remaining_amount: totalDue,
+        status: 'Pending',
+        due_date: capitalCall.dueDate,
+        // ILPA Fee Breakdown
+        principal_amount: f.principalAmount,
+        management_fee_gross: f.managementFeeGross,
+        management_fee_discount: f.investorDiscountAmount,
+        management_fee_net: managementFeeNet,
+        vat_amount: vatAmount,
+        total_due: totalDue,
+        // Payment breakdown (separate tracking for commitment vs fees)
+        capital_paid: 0,
+        fees_paid: 0,
+        vat_paid: 0,
+        // Dual-rate breakdown columns
+        nic_fee_amount: f.nicFee,
+        unfunded_fee_amount: f.unfundedFee,
+        adjusted_nic: f.nicBase,
+        unfunded_base: f.unfundedCommitment,
+        fee_offset_amount: feeOffset,
+        deemed_gp_contribution: deemedGpContribution,
+        // VAT on use-of-proceeds
+        vat_on_investments_amount: vatOnInvestmentsAmount,
+        vat_on_fund_expenses_amount: vatOnFundExpensesAmount,
+        // ProximityParks breakdown fields
+        investments_amount: investmentsAmount,
+        fund_expenses_amount: fundExpensesAmount,
+        reserves_amount: reservesAmount,
+        total_drawdown: totalDrawdown,
+        // Share of excused investors picked up by this investor
+        excusal_redistribution_amount: f.principal.excusalRedistribution
+      };
+    });
+  }
+
+  // ===== LEGACY SINGLE-RATE MODE =====
+  return structureInvestors.map((si) => {
+    const principal = getInvestorPrincipal(capitalCall, si, investmentOwnership);
+    const principalAmount = principal.principalAmount;
+
+    // Fee settings from the investor-structure record (per-structure)
+    const feeDiscount = si.fee_discount || 0;
+    const vatExempt = si.vat_exempt || false;
+
+    // Calculate management fee if ILPA fee config is set
+    let managementFeeGross = 0;
+    let managementFeeDiscountAmount = 0;
+    let managementFeeNet = 0;
+    let vatAmount = 0;
+
+    if (capitalCall.managementFeeRate) {
+      // Model B: subtract discount pp from annual rate BEFORE period-dividing
+      // Charged on the investor's ownership share, so excused investors keep their fee
+      managementFeeGross = principal.feeBase * (capitalCall.managementFeeRate / 100) * periodFraction;
+      const effectiveAnnualRate = Math.max(0, capitalCall.managementFeeRate - feeDiscount);
+      managementFeeNet = principal.feeBase * (effectiveAnnualRate / 100) * periodFraction;
+      managementFeeDiscountAmount = managementFeeGross - managementFeeNet;
+
+      // Calculate VAT if applicable
+      if (capitalCall.vatApplicable && !vatExempt && capitalCall.vatRate) {
+        vatAmount = managementFeeNet * (capitalCall.vatRate / 100);
+      }
+    }
+
+    const totalDue = principalAmount + managementFeeNet + vatAmount;
+
+    // ProximityParks breakdown: investments = principal (when not explicitly set)
+    // Fund expenses and reserves come from the capital call header if set
+    const investmentsAmount = principal.investmentsAmount ?? (capitalCall.totalInvestments
+      ? (capitalCall.totalInvestments * (si.ownership_percent / 100))
+      : principalAmount);
+    const fundExpensesAmount = capitalCall.totalFundExpenses
+      ? (capitalCall.totalFundExpenses * (si.ownership_percent / 100))
+      : 0;
+    const reservesAmount = capitalCall.totalReserves
+      ? (capitalCall.totalReserves * (si.ownership_percent / 100))
+      : 0;
+    // Total drawdown = investments + expenses + reserves + fees + VAT (counts toward commitment)
+    const totalDrawdown = investmentsAmount + fundExpensesAmount + reservesAmount + managementFeeNet + vatAmount;
+
+    return {
+      capital_call_id: capitalCallId,
+      user_id: si.user_id,
+      allocated_amount: totalDue,
+      paid_amount: 0,
+      remaining_amount: totalDue,
+      status: 'Pending',
+      due_date: capitalCall.dueDate,
+      // ILPA Fee Breakdown
+      principal_amount: principalAmount,
+      management_fee_gross: managementFeeGross,
+      management_fee_discount: managementFeeDiscountAmount,
+      management_fee_net: managementFeeNet,
+      vat_amount: vatAmount,
+      total_due: totalDue,
+      // Payment breakdown (separate tracking for commitment vs fees)
+      capital_paid: 0,
+      fees_paid: 0,
+      vat_paid: 0,
+      // ProximityParks breakdown fields
+      investments_amount: investmentsAmount,
+      fund_expenses_amount: fundExpensesAmount,
+      reserves_amount: reservesAmount,
+      total_drawdown: totalDrawdown,
+      // Share of excused investors picked up by this investor
+      excusal_redistribution_amount: principal.excusalRedistribution
+    };
+  });
+}
+
+/**
+ * Fund-level totals for a set of allocation rows
+ * @param {Array} allocations - capital_call_allocations rows (snake_case)
+ * @returns {Object} Totals
+ */
+function summarizeAllocations(allocations) {
+  const sum = (field) => allocations.reduce((total, a) => total + (a[field] || 0), 0);
+
+  return {
+    investorCount: allocations.length,
+    principal: sum('principal_amount'),
+    managementFeeGross: sum('management_fee_gross'),
+    managementFeeDiscount: sum('management_fee_discount'),
+    managementFeeNet: sum('management_fee_net'),
+    feeOffset: sum('fee_offset_amount'),
+    vat: sum('vat_amount') + sum('vat_on_investments_amount') + sum('vat_on_fund_expenses_amount'),
+    totalDue: sum('total_due'),
+    totalDrawdown: sum('total_drawdown')
+  };
+}
+
+/**
+ * Sanity checks on a set of allocations
+ * @param {Array} allocations - capital_call_allocations rows (snake_case)
+ * @param {Array} structureInvestors - Output of aggregateStructureInvestors
+ * @param {Object} cumulativeCalledMap - userId -> previously called amount
+ * @param {Object} cumulativeRecallableMap - userId -> recallable distributions
+ * @returns {Array} Warnings [{ type, userId?, message, ... }]
+ */
+function getAllocationWarnings(allocations, structureInvestors, cumulativeCalledMap = {}, cumulativeRecallableMap = {}) {
+  const warnings = [];
+
+  if (structureInvestors.length === 0) {
+    warnings.push({ type: 'no_investors', message: 'Structure has no investors to allocate the call to' });
+    return warnings;
+  }
+
+  const totalOwnership = structureInvestors.reduce((sum, si) => sum + (si.ownership_percent || 0), 0);
+  if (Math.abs(totalOwnership - 100) > 0.01) {
+    warnings.push({
+      type: 'ownership_mismatch',
+      totalOwnership,
+      message: `Investor ownership sums to ${totalOwnership.toFixed(4)}%, not 100%; the call will not be fully allocated`
+    });
+  }
+
+  const investorByUser = new Map(structureInvestors.map(si => [si.user_id, si]));
+  allocations.forEach(a => {
+    const si = investorByUser.get(a.user_id);
+    const commitment = si?.commitment || 0;
+    const previouslyCalled = cumulativeCalledMap[a.user_id] || 0;
+    const recallable = cumulativeRecallableMap[a.user_id] || 0;
+    const calledAfter = previouslyCalled + (a.total_drawdown || a.total_due || 0);
+
+    if (commitment <= 0) {
+      warnings.push({ type: 'no_commitment', userId: a.user_id, message: 'Investor has no commitment recorded' });
+    } else if (calledAfter > commitment + recallable + 0.01) {
+      warnings.push({
+        type: 'over_commitment',
+        userId: a.user_id,
+        commitment,
+        previouslyCalled,
+        calledAfter,
+        excess: calledAfter - commitment - recallable,
+        message: 'Investor would be called above their commitment'
+      });
+    }
+  });
+
+  return warnings;
+}
+
+module.exports = {
+  aggregateStructureInvestors,
+  applyExcusals,
+  getInvestmentOwnership,
+  getFeePeriodFraction,
+  isDualRateMode,
+  calculateAllocations,
+  summarizeAllocations,
+  getAllocationWarnings
+};
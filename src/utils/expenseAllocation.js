@@ -0,0 +1,134 @@
+/**
+ * Partnership Expense Allocation
+ *
+ * Allocates fund expenses to LPs and checks them against the LPA's organizational expense cap:
+ * - pro_rata: shares in proportion to commitment
+ * - custom:   shares by allocation keys ({ userId: percentage }, totalling 100%)
+ * Amounts are rounded to cents with the remainder on the last LP so shares add up to the expense.
+ */
+
+const EXPENSE_CATEGORIES = ['legal', 'audit', 'organizational', 'broken_deal', 'administration', 'tax', 'other'];
+const EXPENSE_CATEGORY_LABELS = {
+  legal: 'Legal',
+  audit: 'Audit',
+  organizational: 'Organizational',
+  broken_deal: 'Broken Deal',
+  administration: 'Fund Administration',
+  tax: 'Tax',
+  other: 'Other',
+};
+const ALLOCATION_METHODS = ['pro_rata', 'custom'];
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Check custom allocation keys
+ * @param {Object} keys - { userId: percentage }
+ * @param {Array} investors - Structure LPs [{ userId }]
+ * @returns {string|null} Error message, or null when the keys are valid
+ */
+function validateAllocationKeys(keys, investors = []) {
+  if (!keys || typeof keys !== 'object' || Array.isArray(keys) || Object.keys(keys).length === 0) {
+    return 'allocationKeys are required for custom allocations ({ userId: percentage })';
+  }
+
+  const lpIds = new Set(investors.map(inv => inv.userId));
+  for (const [userId, percentage] of Object.entries(keys)) {
+    if (!lpIds.has(userId)) return `User ${userId} is not an investor in this structure`;
+    if (!(Number(percentage) >= 0)) return `Allocation percentage for ${userId} must be 0 or more`;
+  }
+
+  const total = Object.values(keys).reduce((sum, p) => sum + Number(p), 0);
+  if (Math.abs(total - 100) > TOLERANCE) return `Allocation percentages must total 100% (got ${round2(total)}%)`;
+
+  return null;
+}
+
+/**
+ * Split an expense between LPs
+ * @param {number} amount - Expense amount
+ * @param {Array} investors - Structure LPs [{ userId, commitment }]
+ * @param {Object} [options] - { method: 'pro_rata'|'custom', keys: { userId: percentage } }
+ * @returns {Array<{ userId: string, percentage: number, amount: number }>}
+ */
+function allocateExpense(amount, investors = [], { method = 'pro_rata', keys = null } = {}) {
+  const weights = new Map();
+  if (method === 'custom') {
+    Object.entries(keys || {}).forEach(([userId, percentage]) => {
+      if (Number(percentage) > 0) weights.set(userId, Number(percentage));
+    });
+  } else {
+    investors.forEach(inv => {
+      const commitment = parseFloat(inv.commitment) || 0;
+      if (commitment > 0) weights.set(inv.userId, (weights.get(inv.userId) || 0) + commitment);
+    });
+  }
+
+  const totalWeight = [...weights.values()].reduce((sum, w) => sum + w, 0);
+  if (!(amount > 0) || totalWeight <= 0) return [];
+
+  const userIds = [...weights.keys()];
+  let allocated = 0;
+  return userIds.map((userId, index) => {
+    const share = index === userIds.length - 1
+      ? round2(amount - allocated)
+      : round2(amount * weights.get(userId) / totalWeight);
+    allocated = round2(allocated + share);
+    return {
+      userId,
+      percentage: Math.round(weights.get(userId) / totalWeight * 100 * 1000000) / 1000000,
+      amount: share
+    };
+  });
+}
+
+/**
+ * Organizational expenses against the LPA cap
+ * @param {number|null} cap - Organizational expense cap (null = no cap)
+ * @param {number} total - Organizational expenses to date
+ * @returns {Object} { cap, total, remaining, exceeded, excess }
+ */
+function checkOrganizationalCap(cap, total) {
+  const capValue = parseFloat(cap);
+  const totalValue = round2(total);
+  if (!Number.isFinite(capValue)) {
+    return { cap: null, total: totalValue, remaining: null, exceeded: false, excess: 0 };
+  }
+
+  const excess = round2(Math.max(0, totalValue - capValue));
+  return {
+    cap: capValue,
+    total: totalValue,
+    remaining: round2(Math.max(0, capValue - totalValue)),
+    exceeded: excess > 0,
+    excess
+  };
+}
+
+/**
+ * Total amounts per expense category
+ * @param {Array} items - [{ category, amount }]
+ * @returns {Object} { total, byCategory: { category: amount } }
+ */
+function summarizeByCategory(items = []) {
+  const byCategory = {};
+  items.forEach(item => {
+    byCategory[item.category] = round2((byCategory[item.category] || 0) + (item.amount || 0));
+  });
+
+  return {
+    total: round2(items.reduce((sum, item) => sum + (item.amount || 0), 0)),
+    byCategory
+  };
+}
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  EXPENSE_CATEGORY_LABELS,
+  ALLOCATION_METHODS,
+  validateAllocationKeys,
+  allocateExpense,
+  checkOrganizationalCap,
+  summarizeByCategory
+};
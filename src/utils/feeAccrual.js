@@ -0,0 +1,146 @@
+/**
+ * Management Fee Accrual
+ *
+ * Accrues an LP's management fee over a period, independently of capital calls:
+ * - Fee base (structure.managementFeeBase):
+ *     committed         - managementFee on the LP's commitment
+ *     nic               - managementFee on net invested capital (capital called, excluding fees)
+ *     nic_plus_unfunded - feeRateOnNic on NIC plus feeRateOnUnfunded on the unfunded commitment
+ * - After the commitment period the fee steps down to postCommitmentFeeRate (or the base rate
+ *   when none is set), charged on NIC only whatever the base.
+ * - The period is split where the LP's NIC changes (call dates) or the commitment period ends;
+ *   each segment accrues amount x annual rate x year fraction under the day count convention.
+ * - Fee discounts (side letters) are percentage points off each annual rate (as at call time);
+ *   VAT is charged on the net fee unless the LP is VAT exempt.
+ */
+
+const { calculateInterest, actualDaysBetween, days30_360 } = require('./interest-calculator');
+
+const FEE_BASES = ['committed', 'nic', 'nic_plus_unfunded'];
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Date string a number of days after another
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const result = new Date(`${date.split('T')[0]}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Amounts and annual rates a segment accrues on
+ * @param {Object} terms - { feeBase, managementFee, feeRateOnNic, feeRateOnUnfunded, postCommitmentFeeRate }
+ * @param {boolean} postCommitment - Whether the commitment period has ended
+ * @param {Object} position - { commitment, nic, unfunded }
+ * @returns {Array<{ base: string, amount: number, rate: number }>}
+ */
+function getFeeComponents(terms, postCommitment, position) {
+  const managementFee = parseFloat(terms.managementFee) || 0;
+
+  if (postCommitment) {
+    const rate = terms.postCommitmentFeeRate != null ? parseFloat(terms.postCommitmentFeeRate) || 0 : managementFee;
+    return [{ base: 'nic', amount: position.nic, rate }];
+  }
+
+  if (terms.feeBase === 'nic_plus_unfunded') {
+    return [
+      { base: 'nic', amount: position.nic, rate: terms.feeRateOnNic != null ? parseFloat(terms.feeRateOnNic) || 0 : managementFee },
+      { base: 'unfunded', amount: position.unfunded, rate: terms.feeRateOnUnfunded != null ? parseFloat(terms.feeRateOnUnfunded) || 0 : managementFee }
+    ];
+  }
+
+  if (terms.feeBase === 'nic') {
+    return [{ base: 'nic', amount: position.nic, rate: managementFee }];
+  }
+
+  return [{ base: 'committed', amount: position.commitment, rate: managementFee }];
+}
+
+/**
+ * Accrue an LP's management fee over a period
+ * @param {Object} params
+ * @param {Object} params.terms - Fee terms (see getFeeComponents)
+ * @param {Object} params.investor - { commitment, feeDiscount, vatExempt }
+ * @param {Array} params.calls - LP's called capital [{ date: 'YYYY-MM-DD', amount }]
+ * @param {string} params.startDate - First day accrued (YYYY-MM-DD)
+ * @param {string} params.endDate - Last day accrued (YYYY-MM-DD)
+ * @param {string|null} [params.commitmentPeriodEnd] - First day after the commitment period (YYYY-MM-DD)
+ * @param {string} [params.convention] - 'actual_365', 'actual_360' or '30_360'
+ * @param {number} [params.vatRate] - VAT rate (%)
+ * @returns {Object} { commitment, nicAmount, unfundedAmount, segments, grossFee, discountAmount, netFee, vatAmount, totalFee }
+ */
+function accrueInvestorFees({ terms, investor, calls = [], startDate, endDate, commitmentPeriodEnd = null, convention = 'actual_365', vatRate = 0 }) {
+  const commitment = parseFloat(investor.commitment) || 0;
+  const feeDiscount = parseFloat(investor.feeDiscount) || 0;
+  const endExclusive = addDays(endDate, 1);
+  const nicAsOf = (date) => round2(calls
+    .filter(c => c.date <= date)
+    .reduce((sum, c) => sum + (parseFloat(c.amount) || 0), 0));
+
+  const boundaries = new Set([startDate, endExclusive]);
+  calls.forEach(c => {
+    if (c.date > startDate && c.date < endExclusive) boundaries.add(c.date);
+  });
+  if (commitmentPeriodEnd && commitmentPeriodEnd > startDate && commitmentPeriodEnd < endExclusive) {
+    boundaries.add(commitmentPeriodEnd);
+  }
+  const points = [...boundaries].sort();
+
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    const postCommitment = Boolean(commitmentPeriodEnd && from >= commitmentPeriodEnd);
+    const nic = nicAsOf(from);
+    const position = { commitment, nic, unfunded: round2(Math.max(0, commitment - nic)) };
+
+    const components = getFeeComponents(terms, postCommitment, position).map(component => {
+      const effectiveRate = Math.max(0, component.rate - feeDiscount);
+      return {
+        ...component,
+        effectiveRate,
+        grossFee: calculateInterest(component.amount, component.rate, from, to, convention).interest,
+        netFee: calculateInterest(component.amount, effectiveRate, from, to, convention).interest
+      };
+    });
+
+    segments.push({
+      from,
+      to: addDays(to, -1),
+      days: convention === '30_360' ? days30_360(from, to) : actualDaysBetween(from, to),
+      phase: postCommitment ? 'post_commitment' : 'commitment_period',
+      components,
+      grossFee: round2(components.reduce((sum, c) => sum + c.grossFee, 0)),
+      netFee: round2(components.reduce((sum, c) => sum + c.netFee, 0))
+    });
+  }
+
+  const grossFee = round2(segments.reduce((sum, s) => sum + s.grossFee, 0));
+  const netFee = round2(segments.reduce((sum, s) => sum + s.netFee, 0));
+  const vatAmount = investor.vatExempt ? 0 : round2(netFee * (parseFloat(vatRate) || 0) / 100);
+  const nicAmount = nicAsOf(endDate);
+
+  return {
+    commitment,
+    nicAmount,
+    unfundedAmount: round2(Math.max(0, commitment - nicAmount)),
+    segments,
+    grossFee,
+    discountAmount: round2(grossFee - netFee),
+    netFee,
+    vatAmount,
+    totalFee: round2(netFee + vatAmount)
+  };
+}
+
+module.exports = {
+  FEE_BASES,
+  addDays,
+  getFeeComponents,
+  accrueInvestorFees
+};
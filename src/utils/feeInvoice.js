@@ -0,0 +1,142 @@
+/**
+ * Management Fee Invoice Calculations
+ *
+ * Builds invoice amounts from an LP's fee billing (capital call allocation) and credit notes
+ * correcting an invoice:
+ * - the invoice subtotal is the net management fee; the fee, discount and offset lines
+ *   add up to it, and VAT is the allocation's VAT on the fee
+ * - a credit note corrects all or part of an invoice's total, split between subtotal and
+ *   VAT in the invoice's proportion; credit notes never exceed what is left to credit
+ */
+
+const { getCurrencyCode } = require('./helpers');
+
+const INVOICE_TYPES = ['invoice', 'credit_note'];
+const INVOICE_SERIES = { invoice: 'F', credit_note: 'NC' };
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+const num = (value) => parseFloat(value) || 0;
+
+/**
+ * ISO currency code of a structure's base currency
+ * @param {Object} structure - Structure (camelCase)
+ * @returns {string}
+ */
+function getInvoiceCurrency(structure) {
+  return getCurrencyCode(structure);
+}
+
+/**
+ * Invoice lines and amounts for an LP's fee billing
+ * @param {Object} allocation - capital_call_allocations row
+ * @param {Object} capitalCall - Capital call (camelCase) - callNumber, vatRate
+ * @param {Object} [structure] - Structure (camelCase) - vatRate used when the call has none
+ * @returns {Object} { lineItems, subtotal, vatRate, vatAmount, total }
+ */
+function buildFeeInvoice(allocation, capitalCall, structure = {}) {
+  const subtotal = round2(num(allocation.management_fee_net));
+  const discount = round2(num(allocation.management_fee_discount));
+  const feeIncomeOffset = round2(num(allocation.fee_income_offset_amount));
+  const feeOffset = round2(num(allocation.fee_offset_amount) - feeIncomeOffset);
+  const vatAmount = round2(num(allocation.vat_amount));
+
+  const lineItems = [{
+    description: `Management fee - Capital Call #${capitalCall.callNumber}`,
+    amount: round2(subtotal + discount + feeOffset + feeIncomeOffset)
+  }];
+  if (discount > 0) lineItems.push({ description: 'Less: management fee discount', amount: -discount });
+  if (feeOffset > 0) lineItems.push({ description: 'Less: management fee offset', amount: -feeOffset });
+  if (feeIncomeOffset > 0) lineItems.push({ description: 'Less: GP fee income offset', amount: -feeIncomeOffset });
+
+  const vatRate = vatAmount > 0
+    ? num(capitalCall.vatRate) || num(structure.vatRate) || round2(vatAmount / subtotal * 100)
+    : 0;
+
+  return {
+    lineItems,
+    subtotal,
+    vatRate,
+    vatAmount,
+    total: round2(subtotal + vatAmount)
+  };
+}
+
+/**
+ * Check a credit note amount against what is left to credit on an invoice
+ * @param {Object} invoice - Fee invoice (camelCase)
+ * @param {number} amount - Credit note total
+ * @returns {string|null} Error message, or null when the amount can be credited
+ */
+function validateCreditAmount(invoice, amount) {
+  if (invoice.invoiceType !== 'invoice') return 'Credit notes can only be issued against invoices';
+
+  const remaining = round2(invoice.total - invoice.creditedAmount);
+  if (remaining <= 0) return `Invoice ${invoice.invoiceNumber} has already been fully credited`;
+  if (!(amount > 0)) return 'Credit note amount must be greater than 0';
+  if (amount - remaining > TOLERANCE) {
+    return `Credit note amount (${round2(amount)}) exceeds the ${remaining} left to credit on invoice ${invoice.invoiceNumber}`;
+  }
+
+  return null;
+}
+
+/**
+ * Credit note amounts correcting (part of) an invoice
+ * @param {Object} invoice - Fee invoice (camelCase)
+ * @param {number} [amount] - Credit note total (defaults to what is left to credit)
+ * @param {string} [reason] - Reason for the correction
+ * @returns {Object} { lineItems, subtotal, vatRate, vatAmount, total, creditedAmount, status }
+ */
+function buildCreditNote(invoice, amount = null, reason = null) {
+  const remaining = round2(invoice.total - invoice.creditedAmount);
+  const total = round2(Math.min(amount ?? remaining, remaining));
+  const subtotal = invoice.total > 0 ? round2(total * invoice.subtotal / invoice.total) : 0;
+  const creditedAmount = round2(invoice.creditedAmount + total);
+
+  return {
+    lineItems: [{
+      description: `Credit to invoice ${invoice.invoiceNumber}${reason ? ` - ${reason}` : ''}`,
+      amount: subtotal
+    }],
+    subtotal,
+    vatRate: invoice.vatRate,
+    vatAmount: round2(total - subtotal),
+    total,
+    // Invoice totals after the credit note
+    creditedAmount,
+    status: creditedAmount >= invoice.total - TOLERANCE ? 'credited' : 'partially_credited'
+  };
+}
+
+/**
+ * Tax details of an invoice recipient (LP)
+ * @param {Object} user - User (camelCase)
+ * @returns {Object} { name, taxId, address, email }
+ */
+function getRecipientDetails(user) {
+  const personalName = `${user.firstName || ''} ${user.lastName || ''}`.trim();
+  const address = [
+    user.addressLine1,
+    user.addressLine2,
+    [user.city, user.state].filter(Boolean).join(', '),
+    [user.postalCode, user.country].filter(Boolean).join(' ')
+  ].filter(Boolean).join(', ');
+
+  return {
+    name: user.institutionName || user.fullName || personalName || user.email,
+    taxId: user.rfc || user.taxId || null,
+    address: address || null,
+    email: user.email || null
+  };
+}
+
+module.exports = {
+  INVOICE_TYPES,
+  INVOICE_SERIES,
+  getInvoiceCurrency,
+  buildFeeInvoice,
+  validateCreditAmount,
+  buildCreditNote,
+  getRecipientDetails
+};
@@ -463,6 +463,24 @@ function randomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+// ===== CURRENCY HELPERS =====
+
+// Currency assumed for structures without a base currency
+const DEFAULT_CURRENCY = 'USD';
+
+// Legacy country-style base currency values
+const CURRENCY_CODES = { MX: 'MXN', US: 'USD' };
+
+/**
+ * ISO currency code of a structure's base currency
+ * @param {Object} structure - Structure (camelCase)
+ * @returns {string} ISO currency code (e.g., USD, MXN, EUR)
+ */
+function getCurrencyCode(structure) {
+  const currency = String(structure?.baseCurrency || DEFAULT_CURRENCY).toUpperCase();
+  return CURRENCY_CODES[currency] || currency;
+}
+
 // ===== PROMISE HELPERS =====
 
 /**
@@ -589,6 +607,10 @@ module.exports = {
   roundTo,
   randomInt,
 
+  // Currency helpers
+  DEFAULT_CURRENCY,
+  getCurrencyCode,
+
   // Promise helpers
   sleep,
   retry,
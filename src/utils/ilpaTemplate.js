@@ -0,0 +1,148 @@
+/**
+ * ILPA Reporting Template Calculations
+ *
+ * Totals behind the ILPA Reporting Template (fees, expenses & carried interest):
+ * - management fees from capital call allocations: gross, waivers, offsets and net
+ * - carried interest from distributions (GP total) and their LP allocations (LP share)
+ * - the capital account roll-forward, and the balance the LP capital account statement
+ *   reports that it is reconciled against
+ * Amounts are rounded to cents; a reconciliation check passes within one cent.
+ */
+
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+const num = (value) => parseFloat(value) || 0;
+
+/**
+ * Whether a capital call counts toward the capital account
+ * (approved, sent or paid and not cancelled - pending calls can still be rejected)
+ * @param {Object} call - capital_calls row
+ * @returns {boolean}
+ */
+function isCountedCall(call) {
+  if (!call || call.status === 'Cancelled') return false;
+  return call.approval_status === 'approved' || ['Sent', 'Paid', 'sent', 'paid'].includes(call.status);
+}
+
+/**
+ * Whether a distribution counts toward the capital account (not a draft and not cancelled)
+ * @param {Object} distribution - distributions row
+ * @returns {boolean}
+ */
+function isCountedDistribution(distribution) {
+  return !!distribution && !['Draft', 'Cancelled'].includes(distribution.status);
+}
+
+/**
+ * Management fee lines from capital call allocations
+ * fee_offset_amount holds every offset taken off the fee; the part credited from GP fee
+ * income (fee_income_offset_amount) is reported on its own line.
+ * @param {Array} allocations - capital_call_allocations rows
+ * @returns {Object} { gross, waivers, feeOffsets, feeIncomeOffsets, net, vat }
+ */
+function summarizeManagementFees(allocations = []) {
+  const sum = (field) => round2(allocations.reduce((total, a) => total + num(a[field]), 0));
+  const totalOffsets = sum('fee_offset_amount');
+  const feeIncomeOffsets = sum('fee_income_offset_amount');
+
+  return {
+    gross: sum('management_fee_gross'),
+    waivers: sum('management_fee_discount'),
+    feeOffsets: round2(totalOffsets - feeIncomeOffsets),
+    feeIncomeOffsets,
+    net: sum('management_fee_net'),
+    vat: sum('vat_amount')
+  };
+}
+
+/**
+ * Carried interest from distributions
+ * @param {Array} distributions - distributions rows (gp_total_amount)
+ * @param {Array} allocations - distribution_allocations rows (carried_interest_amount)
+ * @returns {Object} { gpTotal, lpAllocated }
+ */
+function summarizeCarriedInterest(distributions = [], allocations = []) {
+  return {
+    gpTotal: round2(distributions.reduce((sum, d) => sum + num(d.gp_total_amount), 0)),
+    lpAllocated: round2(allocations.reduce((sum, a) => sum + num(a.carried_interest_amount), 0))
+  };
+}
+
+/**
+ * Capital account roll-forward for a period
+ * The closing balance is taken to date on its own so the check that opening, contributions
+ * and distributions add up to it is meaningful.
+ * @param {Array} movements - [{ date, contribution, distribution }]
+ * @param {Object} [period] - { startDate, endDate }
+ * @returns {Object} { opening, contributions, distributions, closing }
+ */
+function rollForwardCapitalAccount(movements = [], { startDate, endDate } = {}) {
+  const net = (items) => items.reduce((sum, m) => sum + (m.contribution || 0) - (m.distribution || 0), 0);
+  const prior = movements.filter(m => startDate && m.date < startDate);
+  const toDate = movements.filter(m => !endDate || m.date <= endDate);
+  const period = toDate.filter(m => !startDate || m.date >= startDate);
+
+  return {
+    opening: round2(net(prior)),
+    contributions: round2(period.reduce((sum, m) => sum + (m.contribution || 0), 0)),
+    distributions: round2(period.reduce((sum, m) => sum + (m.distribution || 0), 0)),
+    closing: round2(net(toDate))
+  };
+}
+
+/**
+ * Capital account balance as the LP capital account statement reports it: approved calls'
+ * total_due plus reinvested subscriptions less distributions, up to a date
+ * @param {Object} params
+ * @param {Array} params.callAllocations - capital_call_allocations rows with their capital_call
+ * @param {Array} params.distributionAllocations - distribution_allocations rows with their distribution
+ * @param {number} [params.reinvestedSubscriptions] - Distributions reinvested as subscriptions
+ * @param {string} [params.endDate] - Balance date (YYYY-MM-DD)
+ * @returns {{ called: number, distributed: number, reinvestedSubscriptions: number, closing: number }}
+ */
+function summarizeCapitalAccountStatement({ callAllocations = [], distributionAllocations = [], reinvestedSubscriptions = 0, endDate } = {}) {
+  const upToEnd = (date) => !endDate || !date || date <= endDate;
+
+  const called = round2(callAllocations
+    .filter(a => isCountedCall(a.capital_call) && upToEnd(a.capital_call.call_date))
+    .reduce((sum, a) => sum + num(a.total_due), 0));
+  const distributed = round2(distributionAllocations
+    .filter(a => a.distribution && upToEnd(a.distribution.distribution_date))
+    .reduce((sum, a) => sum + num(a.allocated_amount), 0));
+
+  return {
+    called,
+    distributed,
+    reinvestedSubscriptions: round2(reinvestedSubscriptions),
+    closing: round2(called + reinvestedSubscriptions - distributed)
+  };
+}
+
+/**
+ * Evaluate reconciliation checks
+ * @param {Array} checks - [{ check, expected, actual }]
+ * @returns {Array<{ check: string, expected: number, actual: number, difference: number, passed: boolean }>}
+ */
+function reconcile(checks = []) {
+  return checks.map(({ check, expected, actual }) => {
+    const difference = round2(actual - expected);
+    return {
+      check,
+      expected: round2(expected),
+      actual: round2(actual),
+      difference,
+      passed: Math.abs(difference) < TOLERANCE
+    };
+  });
+}
+
+module.exports = {
+  isCountedCall,
+  isCountedDistribution,
+  summarizeManagementFees,
+  summarizeCarriedInterest,
+  rollForwardCapitalAccount,
+  summarizeCapitalAccountStatement,
+  reconcile
+};
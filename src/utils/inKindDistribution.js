@@ -0,0 +1,107 @@
+/**
+ * In-Kind Distribution Allocation
+ *
+ * Splits the in-kind part of a distribution (shares of a portfolio company or tokens of a
+ * structure's smart contract) between the LPs' allocations:
+ * - The in-kind share of the distribution is unitValue x totalUnits over totalAmount. Each LP
+ *   is entitled to that share of its allocated amount in units; the rest is paid in cash.
+ *   Units matching the GP's share of the distribution are not allocated to LPs.
+ * - Units are rounded to unitDecimals (0 = whole shares / tokens) by the rounding rule:
+ *     round_down        - every LP is rounded down; fractions are paid as cash in lieu and
+ *                         the units left over stay with the fund
+ *     largest_remainder - the whole units the LPs are entitled to together are all delivered,
+ *                         the extra units going to the largest fractions; an LP receiving more
+ *                         than its entitlement has a negative cash in lieu (deducted from its cash)
+ * - An LP's cash amount is its allocated amount less the value of the units it receives.
+ */
+
+const ROUNDING_RULES = ['round_down', 'largest_remainder'];
+const EPSILON = 1e-9;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const roundTo = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Value of the in-kind part of a distribution
+ * @param {Object} inKind - { unitValue, totalUnits }
+ * @returns {number}
+ */
+function getInKindValue(inKind) {
+  return round2((parseFloat(inKind?.unitValue) || 0) * (parseFloat(inKind?.totalUnits) || 0));
+}
+
+/**
+ * Allocate in-kind units to LP allocations
+ * @param {Object} params
+ * @param {Array} params.allocations - [{ userId, allocatedAmount }]
+ * @param {number} params.totalAmount - Distribution total (cash + in-kind value)
+ * @param {Object} params.inKind - { unitValue, totalUnits, unitDecimals, rounding }
+ * @returns {Object} { inKindValue, inKindShare, unitsAllocated, unitsRetained, cashInLieu, allocations }
+ *   allocations: [{ userId, allocatedAmount, entitledUnits, units, inKindValue, cashInLieu, cashAmount }]
+ */
+function allocateInKindUnits({ allocations, totalAmount, inKind }) {
+  const unitValue = parseFloat(inKind.unitValue) || 0;
+  const totalUnits = parseFloat(inKind.totalUnits) || 0;
+  const decimals = Math.max(0, parseInt(inKind.unitDecimals, 10) || 0);
+  const rounding = ROUNDING_RULES.includes(inKind.rounding) ? inKind.rounding : 'round_down';
+  const step = Math.pow(10, -decimals);
+
+  const inKindValue = getInKindValue(inKind);
+  const inKindShare = totalAmount > 0 ? Math.min(1, inKindValue / totalAmount) : 0;
+
+  const rows = allocations.map(a => {
+    const entitledValue = (a.allocatedAmount || 0) * inKindShare;
+    const entitledUnits = unitValue > 0 ? entitledValue / unitValue : 0;
+    const floored = Math.floor(roundTo(entitledUnits, decimals + 6) / step + EPSILON) * step;
+    return { ...a, entitledUnits, units: roundTo(floored, decimals) };
+  });
+
+  if (rounding === 'largest_remainder') {
+    const entitledTotal = rows.reduce((sum, r) => sum + r.entitledUnits, 0);
+    const target = roundTo(Math.floor(entitledTotal / step + EPSILON) * step, decimals);
+    let remaining = Math.round((target - rows.reduce((sum, r) => sum + r.units, 0)) / step);
+
+    [...rows]
+      .sort((a, b) => (b.entitledUnits - b.units) - (a.entitledUnits - a.units))
+      .forEach(r => {
+        if (remaining <= 0) return;
+        r.units = roundTo(r.units + step, decimals);
+        remaining -= 1;
+      });
+  }
+
+  const result = rows.map(r => {
+    const deliveredValue = round2(r.units * unitValue);
+    return {
+      userId: r.userId,
+      allocatedAmount: r.allocatedAmount,
+      entitledUnits: roundTo(r.entitledUnits, decimals + 6),
+      units: r.units,
+      inKindValue: deliveredValue,
+      cashInLieu: round2((r.entitledUnits - r.units) * unitValue),
+      cashAmount: round2((r.allocatedAmount || 0) - deliveredValue)
+    };
+  });
+
+  const unitsAllocated = roundTo(result.reduce((sum, r) => sum + r.units, 0), decimals);
+
+  return {
+    inKindValue,
+    inKindShare: roundTo(inKindShare, 8),
+    totalUnits,
+    unitsAllocated,
+    unitsRetained: roundTo(totalUnits - unitsAllocated, decimals),
+    cashInLieu: round2(result.reduce((sum, r) => sum + r.cashInLieu, 0)),
+    allocations: result
+  };
+}
+
+module.exports = {
+  ROUNDING_RULES,
+  getInKindValue,
+  allocateInKindUnits
+};
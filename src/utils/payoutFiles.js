@@ -0,0 +1,291 @@
+/**
+ * Bank Payout Files
+ *
+ * Builds the payment batch files a fund's bank imports to pay distribution allocations to LPs
+ * without a Stripe Connect account:
+ * - NACHA: US ACH file with one PPD credit batch (service class 220), 94-character records
+ *   padded with '9' records to a multiple of ten
+ * - SEPA: ISO 20022 pain.001.001.03 credit transfer initiation in EUR
+ * - SPEI: CSV of transfers to Mexican CLABE accounts for the bank's bulk upload
+ * Items are { reference, name, amount, ... } with the bank fields of their format.
+ */
+
+const PAYOUT_FORMATS = ['nacha', 'sepa', 'spei'];
+const NACHA_RECORD_LENGTH = 94;
+const NACHA_BLOCKING_FACTOR = 10;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+const toCents = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Check an ABA routing number (9 digits, weighted 3-7-1 checksum)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidRoutingNumber(value) {
+  const digits = String(value || '');
+  if (!/^\d{9}$/.test(digits)) return false;
+
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+  const sum = weights.reduce((total, weight, i) => total + weight * Number(digits[i]), 0);
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN (ISO 13616 mod-97 checksum)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidIban(value) {
+  const iban = String(value || '').replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Check a Mexican CLABE (18 digits, weighted 3-7-1 control digit)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidClabe(value) {
+  const clabe = String(value || '');
+  if (!/^\d{18}$/.test(clabe)) return false;
+
+  const weights = [3, 7, 1];
+  const sum = clabe
+    .slice(0, 17)
+    .split('')
+    .reduce((total, digit, i) => total + (Number(digit) * weights[i % 3]) % 10, 0);
+  return (10 - (sum % 10)) % 10 === Number(clabe[17]);
+}
+
+/**
+ * Plain uppercase ASCII for fixed-width bank records
+ */
+function toBankText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .,&/-]/g, '')
+    .toUpperCase();
+}
+
+const alpha = (value, length) => toBankText(value).slice(0, length).padEnd(length, ' ');
+const numeric = (value, length) => digitsOnly(value).slice(-length).padStart(length, '0');
+
+/**
+ * Build a NACHA PPD credit file
+ * @param {Object} params
+ * @param {Object} params.originator - { name, companyId, routingNumber, bankName }
+ * @param {Array} params.items - [{ reference, name, amount, routingNumber, accountNumber, accountType }]
+ * @param {string} [params.effectiveDate] - Settlement date requested (YYYY-MM-DD)
+ * @param {string} [params.description] - Company entry description (10 characters)
+ * @param {Date} [params.createdAt]
+ * @returns {{ content: string, totalAmount: number, itemCount: number }}
+ */
+function buildNachaFile({ originator, items, effectiveDate, description = 'DISTRIBUTN', createdAt = new Date() }) {
+  const iso = createdAt.toISOString();
+  const fileDate = iso.slice(2, 10).replace(/-/g, '');
+  const fileTime = iso.slice(11, 16).replace(':', '');
+  const entryDate = (effectiveDate || iso).slice(2, 10).replace(/-/g, '');
+  const odfi = digitsOnly(originator.routingNumber).slice(0, 8);
+  const companyId = alpha(originator.companyId, 10);
+  const batchNumber = numeric(1, 7);
+
+  const records = [
+    '1' + '01' +
+      ' ' + numeric(originator.routingNumber, 9) +
+      companyId +
+      fileDate + fileTime + 'A' + '094' + '10' + '1' +
+      alpha(originator.bankName, 23) +
+      alpha(originator.name, 23) +
+      alpha('', 8),
+    '5' + '220' +
+      alpha(originator.name, 16) +
+      alpha('', 20) +
+      companyId +
+      'PPD' +
+      alpha(description, 10) +
+      fileDate + entryDate +
+      '   ' + '1' +
+      numeric(odfi, 8) +
+      batchNumber
+  ];
+
+  let entryHash = 0;
+  let totalCents = 0;
+  items.forEach((item, index) => {
+    const routing = digitsOnly(item.routingNumber);
+    const cents = toCents(item.amount);
+    entryHash += Number(routing.slice(0, 8));
+    totalCents += cents;
+
+    records.push(
+      '6' +
+      (item.accountType === 'savings' ? '32' : '22') +
+      routing.slice(0, 9).padStart(9, '0') +
+      String(item.accountNumber || '').replace(/[^A-Za-z0-9]/g, '').slice(0, 17).padEnd(17, ' ') +
+      numeric(cents, 10) +
+      alpha(item.reference, 15) +
+      alpha(item.name, 22) +
+      '  ' + '0' +
+      numeric(odfi, 8) + numeric(index + 1, 7)
+    );
+  });
+
+  const hash = numeric(entryHash, 10);
+  records.push(
+    '8' + '220' +
+    numeric(items.length, 6) +
+    hash +
+    numeric(0, 12) + numeric(totalCents, 12) +
+    companyId +
+    alpha('', 19) + alpha('', 6) +
+    numeric(odfi, 8) +
+    batchNumber
+  );
+
+  const blockCount = Math.ceil((records.length + 1) / NACHA_BLOCKING_FACTOR);
+  records.push(
+    '9' +
+    numeric(1, 6) +
+    numeric(blockCount, 6) +
+    numeric(items.length, 8) +
+    hash +
+    numeric(0, 12) + numeric(totalCents, 12) +
+    alpha('', 39)
+  );
+
+  while (records.length % NACHA_BLOCKING_FACTOR !== 0) {
+    records.push('9'.repeat(NACHA_RECORD_LENGTH));
+  }
+
+  return {
+    content: records.join('\n') + '\n',
+    totalAmount: round2(totalCents / 100),
+    itemCount: items.length
+  };
+}
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const sepaText = (value, length) => escapeXml(toBankText(value).slice(0, length));
+
+/**
+ * Build a SEPA credit transfer initiation (pain.001.001.03)
+ * @param {Object} params
+ * @param {string} params.messageId - Unique message ID (max 35 characters)
+ * @param {Object} params.originator - { name, iban, bic }
+ * @param {Array} params.items - [{ reference, name, amount, iban, bic, remittance }]
+ * @param {string} [params.executionDate] - Requested execution date (YYYY-MM-DD)
+ * @param {Date} [params.createdAt]
+ * @returns {{ content: string, totalAmount: number, itemCount: number }}
+ */
+function buildSepaXml({ messageId, originator, items, executionDate, createdAt = new Date() }) {
+  const totalAmount = round2(items.reduce((sum, item) => sum + toCents(item.amount), 0) / 100);
+  const controlSum = totalAmount.toFixed(2);
+  const id = sepaText(messageId, 35);
+
+  const transactions = items.map(item => [
+    '      <CdtTrfTxInf>',
+    `        <PmtId><EndToEndId>${sepaText(item.reference, 35)}</EndToEndId></PmtId>`,
+    `        <Amt><InstdAmt Ccy="EUR">${(toCents(item.amount) / 100).toFixed(2)}</InstdAmt></Amt>`,
+    item.bic ? `        <CdtrAgt><FinInstnId><BIC>${escapeXml(String(item.bic).toUpperCase())}</BIC></FinInstnId></CdtrAgt>` : null,
+    `        <Cdtr><Nm>${sepaText(item.name, 70)}</Nm></Cdtr>`,
+    `        <CdtrAcct><Id><IBAN>${escapeXml(String(item.iban).replace(/\s/g, '').toUpperCase())}</IBAN></Id></CdtrAcct>`,
+    `        <RmtInf><Ustrd>${sepaText(item.remittance || item.reference, 140)}</Ustrd></RmtInf>`,
+    '      </CdtTrfTxInf>'
+  ].filter(Boolean).join('\n'));
+
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    '  <CstmrCdtTrfInitn>',
+    '    <GrpHdr>',
+    `      <MsgId>${id}</MsgId>`,
+    `      <CreDtTm>${createdAt.toISOString().slice(0, 19)}</CreDtTm>`,
+    `      <NbOfTxs>${items.length}</NbOfTxs>`,
+    `      <CtrlSum>${controlSum}</CtrlSum>`,
+    `      <InitgPty><Nm>${sepaText(originator.name, 70)}</Nm></InitgPty>`,
+    '    </GrpHdr>',
+    '    <PmtInf>',
+    `      <PmtInfId>${id}</PmtInfId>`,
+    '      <PmtMtd>TRF</PmtMtd>',
+    '      <BtchBookg>true</BtchBookg>',
+    `      <NbOfTxs>${items.length}</NbOfTxs>`,
+    `      <CtrlSum>${controlSum}</CtrlSum>`,
+    '      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>',
+    `      <ReqdExctnDt>${(executionDate || createdAt.toISOString()).slice(0, 10)}</ReqdExctnDt>`,
+    `      <Dbtr><Nm>${sepaText(originator.name, 70)}</Nm></Dbtr>`,
+    `      <DbtrAcct><Id><IBAN>${escapeXml(String(originator.iban || '').replace(/\s/g, '').toUpperCase())}</IBAN></Id></DbtrAcct>`,
+    `      <DbtrAgt><FinInstnId><BIC>${escapeXml(String(originator.bic || 'NOTPROVIDED').toUpperCase())}</BIC></FinInstnId></DbtrAgt>`,
+    '      <ChrgBr>SLEV</ChrgBr>',
+    ...transactions,
+    '    </PmtInf>',
+    '  </CstmrCdtTrfInitn>',
+    '</Document>'
+  ].join('\n') + '\n';
+
+  return { content, totalAmount, itemCount: items.length };
+}
+
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV of SPEI transfers
+ * @param {Object} params
+ * @param {Object} params.originator - { clabe }
+ * @param {Array} params.items - [{ reference, name, amount, clabe, rfc, email, concept }]
+ * @returns {{ content: string, totalAmount: number, itemCount: number }}
+ */
+function buildSpeiCsv({ originator, items }) {
+  const header = [
+    'Origin CLABE', 'Beneficiary CLABE', 'Beneficiary Name', 'Beneficiary RFC',
+    'Amount', 'Payment Concept', 'Numeric Reference', 'Tracking Key', 'Email'
+  ];
+
+  const rows = items.map((item, index) => [
+    digitsOnly(originator.clabe),
+    digitsOnly(item.clabe),
+    toBankText(item.name).slice(0, 40),
+    String(item.rfc || '').toUpperCase(),
+    (toCents(item.amount) / 100).toFixed(2),
+    toBankText(item.concept || 'DISTRIBUCION').slice(0, 40),
+    numeric(index + 1, 7),
+    toBankText(item.reference).replace(/[^A-Z0-9]/g, '').slice(0, 30),
+    item.email || ''
+  ]);
+
+  const totalAmount = round2(items.reduce((sum, item) => sum + toCents(item.amount), 0) / 100);
+  const content = [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+
+  return { content, totalAmount, itemCount: items.length };
+}
+
+module.exports = {
+  PAYOUT_FORMATS,
+  isValidRoutingNumber,
+  isValidIban,
+  isValidClabe,
+  buildNachaFile,
+  buildSepaXml,
+  buildSpeiCsv
+};
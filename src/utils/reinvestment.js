@@ -0,0 +1,92 @@
+/**
+ * Distribution Reinvestment (DRIP)
+ *
+ * LPs elect to reinvest a percentage of the cash their distributions pay out:
+ * - The reinvested amount is taken from the cash payable, i.e. the allocated amount less
+ *   withholding tax and the value of in-kind units. The whole allocation is still distributed
+ *   income / return of capital for tax reporting.
+ * - Reinvestments held as credits ('net_against_call') are netted against the LP's next
+ *   capital calls, oldest credit first.
+ */
+
+const REINVESTMENT_METHODS = ['net_against_call', 'subscription'];
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * LP's election in force on a date (latest effective active election)
+ * @param {Array} elections - Elections (camelCase) of the LP
+ * @param {string} [date] - Distribution date (defaults to today)
+ * @returns {Object|null}
+ */
+function getActiveElection(elections, date) {
+  const asOf = (date || new Date().toISOString()).split('T')[0];
+
+  return (elections || [])
+    .filter(e => e.status === 'Active' && (!e.effectiveDate || e.effectiveDate <= asOf))
+    .sort((a, b) => (b.effectiveDate || '').localeCompare(a.effectiveDate || ''))[0] || null;
+}
+
+/**
+ * Cash an allocation pays out before reinvestment
+ * @param {Object} allocation - distribution_allocations row (snake_case)
+ * @returns {number}
+ */
+function getCashPayable(allocation) {
+  const gross = parseFloat(allocation.allocated_amount) || 0;
+  const withheld = parseFloat(allocation.withholding_tax_amount) || 0;
+  const net = withheld > 0 ? (parseFloat(allocation.net_to_investor) || gross - withheld) : gross;
+  return round2(Math.max(0, net - (parseFloat(allocation.in_kind_value) || 0)));
+}
+
+/**
+ * Amount of an allocation reinvested under an election
+ * @param {Object} allocation - distribution_allocations row (snake_case)
+ * @param {Object|null} election - { reinvestmentPercentage, method }
+ * @returns {{ reinvestmentAmount: number, cashPayable: number, method: string|null }}
+ */
+function calculateReinvestment(allocation, election) {
+  const cashPayable = getCashPayable(allocation);
+  const percentage = Math.min(100, Math.max(0, parseFloat(election?.reinvestmentPercentage) || 0));
+  const reinvestmentAmount = round2(cashPayable * percentage / 100);
+
+  return {
+    reinvestmentAmount,
+    cashPayable: round2(cashPayable - reinvestmentAmount),
+    method: reinvestmentAmount > 0 ? election.method : null
+  };
+}
+
+/**
+ * Net pending reinvestment credits against an amount due, oldest first
+ * @param {Array} credits - [{ id, amount, appliedAmount }] in date order
+ * @param {number} amountDue - Outstanding amount of the capital call allocation
+ * @returns {{ total: number, applications: Array<{ id: string, amount: number, remaining: number }> }}
+ */
+function netCreditsAgainstCall(credits, amountDue) {
+  let left = round2(Math.max(0, amountDue));
+  const applications = [];
+
+  for (const credit of credits || []) {
+    if (left <= 0) break;
+    const available = round2((parseFloat(credit.amount) || 0) - (parseFloat(credit.appliedAmount) || 0));
+    if (available <= 0) continue;
+
+    const amount = round2(Math.min(available, left));
+    applications.push({ id: credit.id, amount, remaining: round2(available - amount) });
+    left = round2(left - amount);
+  }
+
+  return {
+    total: round2(applications.reduce((sum, a) => sum + a.amount, 0)),
+    applications
+  };
+}
+
+module.exports = {
+  REINVESTMENT_METHODS,
+  getActiveElection,
+  getCashPayable,
+  calculateReinvestment,
+  netCreditsAgainstCall
+};
@@ -0,0 +1,823 @@
+/**
+ * Waterfall Engine
+ * Pure distribution waterfall math (no database access).
+ * Each LP's share of a distribution runs through the structure's waterfall tiers
+ * (return of capital, preferred return, GP catch-up, carried interest) after prior
+ * distributions are replayed to rebuild what the LP has already received.
+ *
+ * Two modes, picked from the structure's waterfallType:
+ * - European: whole-fund; every contribution and distribution goes through one ledger per LP.
+ *   Paid management fees are returned with capital unless the structure's
+ *   returnFeesWithCapital term is off.
+ * - American: deal-by-deal; a distribution only returns the capital, allocable fees and
+ *   expenses and other deals' write-downs attributed to the investment it realizes, and
+ *   carry is paid on that deal alone
+ *
+ * LPs in an investor class (side-letter economics) run through the class's own tiers, or
+ * the structure's tiers with the class's hurdle / carry overrides. Every LP still gets its
+ * ownership share of the distribution, so fund totals add up across classes.
+ *
+ * Used by Distribution.applyWaterfall and Distribution.createAllocationsForStructure.
+ */
+
+// Bump whenever the math changes so stored traces can be told apart
+const WATERFALL_ENGINE_VERSION = '1.4.0';
+
+const WATERFALL_TYPES = ['European', 'American'];
+
+// Contribution categories spread across deals in deal-by-deal returns (as allocable costs)
+const ALLOCABLE_CATEGORIES = ['fund_expense', 'fees'];
+
+const TIER_TYPES = ['return_of_capital', 'preferred_return', 'catch_up', 'split', 'carried_interest'];
+
+// What ends a tier:
+// - irr: the LP reaches an IRR (thresholdIrr, %)
+// - moic: the LP's distributions reach a multiple of its contributed capital (thresholdMultiple)
+// - amount: the tier has paid a fund-level amount (thresholdAmount)
+// - multiple: gross proceeds (LP and GP) reach a multiple of contributed capital (thresholdMultiple)
+const THRESHOLD_TYPES = ['irr', 'moic', 'amount', 'multiple'];
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const formatAmount = (value) => round2(value).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+/**
+ * Years elapsed between two dates (never negative)
+ * @param {string|Date} from
+ * @param {string|Date} to
+ * @returns {number}
+ */
+function yearsBetween(from, to) {
+  const elapsed = new Date(to).getTime() - new Date(from).getTime();
+  return Number.isFinite(elapsed) && elapsed > 0 ? elapsed / MS_PER_YEAR : 0;
+}
+
+/**
+ * Tiers used when a structure has none configured (same layout as WaterfallTier.createDefaultTiers)
+ * @param {Object} terms - { hurdleRate, carriedInterest }
+ * @returns {Array} Tiers (camelCase)
+ */
+function getDefaultTiers(terms = {}) {
+  const hurdleRate = terms.hurdleRate ?? 8;
+  const carriedInterest = terms.carriedInterest ?? 20;
+
+  return [
+    { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0, thresholdAmount: null, thresholdIrr: null },
+    { tierNumber: 2, tierName: 'Preferred Return', lpSharePercent: 100, gpSharePercent: 0, thresholdAmount: null, thresholdIrr: hurdleRate },
+    { tierNumber: 3, tierName: 'GP Catch-up', lpSharePercent: 0, gpSharePercent: 100, thresholdAmount: null, thresholdIrr: null },
+    { tierNumber: 4, tierName: 'Carried Interest', lpSharePercent: 100 - carriedInterest, gpSharePercent: carriedInterest, thresholdAmount: null, thresholdIrr: null }
+  ];
+}
+
+/**
+ * Threshold type of a tier; tiers saved before threshold types existed only have
+ * thresholdIrr or thresholdAmount
+ * @param {Object} tier - Tier (camelCase)
+ * @returns {string|null} One of THRESHOLD_TYPES, or null when the tier is uncapped
+ */
+function getThresholdType(tier) {
+  if (tier.thresholdType) return tier.thresholdType;
+  if (tier.thresholdIrr !== null && tier.thresholdIrr !== undefined) return 'irr';
+  if (tier.thresholdAmount !== null && tier.thresholdAmount !== undefined) return 'amount';
+  return null;
+}
+
+/**
+ * Work out what each tier does from its configuration:
+ * - the last tier splits whatever is left (carried interest)
+ * - an all-LP tier with an IRR threshold pays the preferred return at that rate
+ * - any other tier with a threshold splits until the threshold is met
+ * - a GP-weighted tier is the catch-up, to the GP share of the tier after it
+ * - anything else returns contributed capital
+ * @param {Array} tiers - Active tiers (camelCase)
+ * @param {Object} terms - { hurdleRate, prefReturnCompounding, gpCatchUpRate, carriedInterest }
+ * @returns {Array} Tiers sorted by tier number, with type and the rates the engine uses
+ */
+function classifyTiers(tiers, terms = {}) {
+  const sorted = [...(tiers?.length ? tiers : getDefaultTiers(terms))]
+    .sort((a, b) => toNumber(a.tierNumber) - toNumber(b.tierNumber));
+
+  return sorted.map((tier, index) => {
+    const lpSharePercent = toNumber(tier.lpSharePercent);
+    const gpSharePercent = toNumber(tier.gpSharePercent);
+    const thresholdType = index === sorted.length - 1 ? null : getThresholdType(tier);
+    let type;
+
+    if (index === sorted.length - 1) {
+      type = 'carried_interest';
+    } else if (thresholdType === 'irr' && gpSharePercent === 0) {
+      type = 'preferred_return';
+    } else if (thresholdType) {
+      type = 'split';
+    } else if (gpSharePercent > lpSharePercent) {
+      type = 'catch_up';
+    } else {
+      type = 'return_of_capital';
+    }
+
+    const classified = {
+      index,
+      tierNumber: tier.tierNumber,
+      tierName: tier.tierName,
+      type,
+      lpSharePercent,
+      gpSharePercent
+    };
+
+    if (thresholdType) {
+      classified.thresholdType = thresholdType;
+    }
+    if (thresholdType === 'irr') {
+      classified.hurdleRate = toNumber(tier.thresholdIrr ?? terms.hurdleRate);
+    }
+    if (thresholdType === 'amount') {
+      classified.thresholdAmount = toNumber(tier.thresholdAmount);
+    }
+    if (thresholdType === 'moic' || thresholdType === 'multiple') {
+      classified.thresholdMultiple = toNumber(tier.thresholdMultiple);
+    }
+    if (type === 'catch_up') {
+      // Catch up to the carry of the tier that follows (the last tier's when it is the carry tier)
+      const next = sorted[index + 1];
+      classified.catchUpTo = toNumber(next?.gpSharePercent) || toNumber(terms.carriedInterest);
+      if (terms.gpCatchUpRate !== null && terms.gpCatchUpRate !== undefined) {
+        // The structure's catch-up rate overrides the tier's own split
+        classified.gpSharePercent = toNumber(terms.gpCatchUpRate);
+        classified.lpSharePercent = 100 - classified.gpSharePercent;
+      }
+    }
+
+    return classified;
+  });
+}
+
+/**
+ * Tiers and terms of an investor class: its own tiers when it has any, otherwise the
+ * structure's tiers with the class's overrides (hurdle on the preferred return tier,
+ * carry on the last tier, catch-up rate)
+ * @param {Array} tiers - Structure tiers (camelCase)
+ * @param {Object} terms - Structure terms
+ * @param {Object} investorClass - { tiers, hurdleRate, carriedInterest, gpCatchUpRate }
+ * @returns {{ tiers: Array, terms: Object }}
+ */
+function getClassTiers(tiers, terms, investorClass) {
+  const isSet = (value) => value !== null && value !== undefined;
+  const classTerms = {
+    ...terms,
+    ...(isSet(investorClass.hurdleRate) ? { hurdleRate: toNumber(investorClass.hurdleRate) } : {}),
+    ...(isSet(investorClass.carriedInterest) ? { carriedInterest: toNumber(investorClass.carriedInterest) } : {}),
+    ...(isSet(investorClass.gpCatchUpRate) ? { gpCatchUpRate: toNumber(investorClass.gpCatchUpRate) } : {})
+  };
+
+  if (investorClass.tiers?.length) return { tiers: investorClass.tiers, terms: classTerms };
+  if (!tiers?.length) return { tiers: getDefaultTiers(classTerms), terms: classTerms };
+
+  const sorted = [...tiers].sort((a, b) => toNumber(a.tierNumber) - toNumber(b.tierNumber));
+  const prefIndex = sorted.findIndex((tier, i) => i < sorted.length - 1
+    && getThresholdType(tier) === 'irr' && toNumber(tier.gpSharePercent) === 0);
+
+  return {
+    tiers: sorted.map((tier, i) => {
+      if (i === prefIndex && isSet(investorClass.hurdleRate)) {
+        return { ...tier, thresholdIrr: classTerms.hurdleRate };
+      }
+      if (i === sorted.length - 1 && isSet(investorClass.carriedInterest)) {
+        return { ...tier, gpSharePercent: classTerms.carriedInterest, lpSharePercent: 100 - classTerms.carriedInterest };
+      }
+      return tier;
+    }),
+    terms: classTerms
+  };
+}
+
+/**
+ * Fresh waterfall ledger for one LP
+ * @param {Object} investor - { userId, ownershipPercent, contributions: [{ date, amount }] }
+ * @param {Array} tiers - Output of classifyTiers
+ * @returns {Object}
+ */
+function createLedger(investor, tiers) {
+  const prefBalances = {};
+  const tierPaid = {};
+  tiers.forEach(tier => {
+    if (tier.hurdleRate !== undefined) prefBalances[tier.index] = 0;
+    tierPaid[tier.index] = 0;
+  });
+
+  return {
+    userId: investor.userId,
+    ownershipPercent: toNumber(investor.ownershipPercent),
+    contributions: [...(investor.contributions || [])]
+      .filter(c => toNumber(c.amount) > 0 && c.date)
+      .sort((a, b) => new Date(a.date) - new Date(b.date)),
+    nextContribution: 0,
+    lastDate: null,
+    contributed: 0,
+    capitalReturned: 0,
+    prefBalances,
+    prefPaid: 0,
+    grossReceived: 0,
+    lpProfit: 0,
+    gpProfit: 0,
+    tierPaid
+  };
+}
+
+/**
+ * Accrue preferred return on a ledger up to a date
+ * Simple accrual earns on unreturned capital only; compound accrual also earns on unpaid pref.
+ */
+function accrueTo(ledger, date, tiers, compounding) {
+  if (ledger.lastDate) {
+    const years = yearsBetween(ledger.lastDate, date);
+    const unreturned = Math.max(0, ledger.contributed - ledger.capitalReturned);
+
+    if (years > 0) {
+      tiers.filter(t => t.hurdleRate !== undefined).forEach(tier => {
+        const rate = tier.hurdleRate / 100;
+        const balance = ledger.prefBalances[tier.index];
+        ledger.prefBalances[tier.index] = compounding === 'simple'
+          ? balance + unreturned * rate * years
+          : balance + (unreturned + balance) * (Math.pow(1 + rate, years) - 1);
+      });
+    }
+  }
+
+  if (!ledger.lastDate || new Date(date) > new Date(ledger.lastDate)) {
+    ledger.lastDate = date;
+  }
+}
+
+/**
+ * Bring a ledger forward to a date, booking contributions made on or before it
+ */
+function advanceTo(ledger, date, tiers, compounding) {
+  while (ledger.nextContribution < ledger.contributions.length) {
+    const contribution = ledger.contributions[ledger.nextContribution];
+    if (new Date(contribution.date) > new Date(date)) break;
+
+    accrueTo(ledger, contribution.date, tiers, compounding);
+    ledger.contributed += toNumber(contribution.amount);
+    ledger.nextContribution += 1;
+  }
+  accrueTo(ledger, date, tiers, compounding);
+}
+
+/**
+ * How much of a distribution a split tier can take for one LP before its threshold is met
+ * @returns {{ target: number, note: string }} Gross (LP and GP) amount and trace note
+ */
+function getSplitTarget(ledger, tier, lpShare) {
+  const contributed = ledger.contributed;
+
+  switch (tier.thresholdType) {
+    case 'irr': {
+      const outstanding = Math.max(0, ledger.prefBalances[tier.index]);
+      return {
+        target: lpShare > 0 ? outstanding / lpShare : 0,
+        note: `Until LP reaches ${tier.hurdleRate}% IRR (${formatAmount(outstanding)} to go)`
+      };
+    }
+    case 'moic': {
+      const needed = Math.max(0, tier.thresholdMultiple * contributed - (ledger.capitalReturned + ledger.lpProfit));
+      return {
+        target: lpShare > 0 ? needed / lpShare : 0,
+        note: `Until LP reaches ${tier.thresholdMultiple}x MOIC (${formatAmount(needed)} to go)`
+      };
+    }
+    case 'multiple': {
+      const needed = Math.max(0, tier.thresholdMultiple * contributed - ledger.grossReceived);
+      return {
+        target: needed,
+        note: `Until proceeds reach ${tier.thresholdMultiple}x contributed capital (${formatAmount(needed)} to go)`
+      };
+    }
+    default: {
+      const cap = tier.thresholdAmount * (ledger.share || 0);
+      return {
+        target: Math.max(0, cap - ledger.tierPaid[tier.index]),
+        note: `Tier capped at ${formatAmount(cap)} for this LP`
+      };
+    }
+  }
+}
+
+/**
+ * Run one LP's share of a distribution through the tiers, updating the ledger
+ * @returns {Array} One step per tier: { tierIndex, available, target, amount, lpAmount, gpAmount, note }
+ */
+function runLedger(ledger, grossAmount, tiers) {
+  let available = round2(grossAmount);
+
+  return tiers.map(tier => {
+    const lpShare = tier.lpSharePercent / 100;
+    const gpShare = tier.gpSharePercent / 100;
+    let target = null;
+    let note;
+
+    switch (tier.type) {
+      case 'return_of_capital': {
+        const unreturned = Math.max(0, ledger.contributed - ledger.capitalReturned);
+        target = lpShare > 0 ? unreturned / lpShare : 0;
+        note = `Unreturned capital ${formatAmount(unreturned)}`;
+        break;
+      }
+      case 'preferred_return': {
+        const outstanding = Math.max(0, ledger.prefBalances[tier.index]);
+        target = lpShare > 0 ? outstanding / lpShare : 0;
+        note = `Accrued ${tier.hurdleRate}% preferred return outstanding ${formatAmount(outstanding)}`;
+        break;
+      }
+      case 'catch_up': {
+        // GP takes gpShare of this tier until it holds catchUpTo of all profits
+        const carry = tier.catchUpTo / 100;
+        const totalProfit = ledger.lpProfit + ledger.gpProfit;
+        const shortfall = Math.max(0, carry * totalProfit - ledger.gpProfit);
+        if (gpShare <= carry) {
+          // A catch-up no richer than the carry never catches up (e.g. a 0% rate for no
+          // catch-up): skip it so the carry split tiers still run
+          target = 0;
+          note = `No GP catch-up: catch-up rate ${tier.gpSharePercent}% does not exceed the ${tier.catchUpTo}% carry`;
+          break;
+        }
+        target = shortfall / (gpShare - carry);
+        note = `GP catch-up at ${tier.gpSharePercent}% until GP holds ${tier.catchUpTo}% of profits (GP ${formatAmount(ledger.gpProfit)} of ${formatAmount(totalProfit)})`;
+        break;
+      }
+      case 'split':
+        ({ target, note } = getSplitTarget(ledger, tier, lpShare));
+        break;
+      default:
+        target = Infinity;
+        note = 'Remaining proceeds';
+    }
+
+    const amount = round2(Math.min(available, target));
+    const lpAmount = round2(amount * lpShare);
+    const gpAmount = round2(amount - lpAmount);
+    const stepAvailable = available;
+    available = round2(available - amount);
+
+    ledger.tierPaid[tier.index] += amount;
+    ledger.grossReceived += amount;
+    ledger.gpProfit += gpAmount;
+    if (tier.type === 'return_of_capital') {
+      ledger.capitalReturned += lpAmount;
+    } else {
+      ledger.lpProfit += lpAmount;
+      // Every LP profit counts toward every IRR hurdle
+      Object.keys(ledger.prefBalances).forEach(key => {
+        ledger.prefBalances[key] = Math.max(0, ledger.prefBalances[key] - lpAmount);
+      });
+    }
+    if (tier.type === 'preferred_return') {
+      ledger.prefPaid += lpAmount;
+    }
+
+    return {
+      tierIndex: tier.index,
+      available: stepAvailable,
+      target: Number.isFinite(target) ? round2(target) : null,
+      amount,
+      lpAmount,
+      gpAmount,
+      note: `${note}; ${formatAmount(amount)} paid (${tier.lpSharePercent}% LP / ${tier.gpSharePercent}% GP)`
+    };
+  });
+}
+
+/**
+ * Split a distribution across its participants by ownership, to the cent
+ * @returns {Map<string, number>} userId -> gross amount
+ */
+function splitByOwnership(ledgers, amount, excludedUserIds = []) {
+  const excluded = new Set(excludedUserIds);
+  const participants = ledgers.filter(l => !excluded.has(l.userId) && l.ownershipPercent > 0);
+  const totalOwnership = participants.reduce((sum, l) => sum + l.ownershipPercent, 0);
+  const shares = new Map();
+  if (totalOwnership <= 0) return shares;
+
+  let allocated = 0;
+  participants.forEach((ledger, i) => {
+    const share = i === participants.length - 1
+      ? round2(amount - allocated)
+      : round2(amount * ledger.ownershipPercent / totalOwnership);
+    allocated = round2(allocated + share);
+    ledger.share = ledger.ownershipPercent / totalOwnership;
+    shares.set(ledger.userId, share);
+  });
+
+  return shares;
+}
+
+/**
+ * Set up the tiers and LP ledgers for a run of distributions
+ * Each LP runs through its tier group: the structure's tiers, or its investor class's.
+ * @returns {Object} { classifiedTiers, groups, compounding, carryPercent, ledgers, runDistribution }
+ *   where runDistribution(dist) pays one distribution and returns [{ ledger, grossAmount, steps }]
+ */
+function createRun({ tiers, terms = {}, investors = [], classes = [] }) {
+  const classifiedTiers = classifyTiers(tiers, terms);
+  const compounding = terms.prefReturnCompounding === 'simple' ? 'simple' : 'compound';
+  const carryTier = classifiedTiers[classifiedTiers.length - 1];
+  const carryPercent = carryTier?.gpSharePercent || toNumber(terms.carriedInterest);
+
+  const structureGroup = { id: null, name: null, tiers: classifiedTiers };
+  const groups = new Map(classes.map(investorClass => {
+    const { tiers: classTiers, terms: classTerms } = getClassTiers(tiers, terms, investorClass);
+    return [investorClass.id, { id: investorClass.id, name: investorClass.name || null, tiers: classifyTiers(classTiers, classTerms) }];
+  }));
+
+  const ledgers = investors.map(investor => {
+    const group = groups.get(investor.investorClassId) || structureGroup;
+    return { ...createLedger(investor, group.tiers), group };
+  });
+
+  const runDistribution = (dist) => {
+    const amount = round2(toNumber(dist.amount));
+    ledgers.forEach(ledger => advanceTo(ledger, dist.date, ledger.group.tiers, compounding));
+    const shares = splitByOwnership(ledgers, amount, dist.excludedUserIds);
+
+    return ledgers
+      .filter(ledger => shares.has(ledger.userId))
+      .map(ledger => ({
+        ledger,
+        grossAmount: shares.get(ledger.userId),
+        steps: runLedger(ledger, shares.get(ledger.userId), ledger.group.tiers)
+      }));
+  };
+
+  return { classifiedTiers, groups: [structureGroup, ...groups.values()], compounding, carryPercent, ledgers, runDistribution };
+}
+
+/**
+ * Trace fields of a classified tier
+ */
+function describeTier(tier, compounding) {
+  return {
+    tierNumber: tier.tierNumber,
+    tierName: tier.tierName,
+    type: tier.type,
+    lpSharePercent: tier.lpSharePercent,
+    gpSharePercent: tier.gpSharePercent,
+    ...(tier.thresholdType ? { thresholdType: tier.thresholdType } : {}),
+    ...(tier.hurdleRate !== undefined ? { hurdleRate: tier.hurdleRate, compounding } : {}),
+    ...(tier.thresholdMultiple !== undefined ? { thresholdMultiple: tier.thresholdMultiple } : {}),
+    ...(tier.thresholdAmount !== undefined ? { thresholdAmount: tier.thresholdAmount } : {})
+  };
+}
+
+const sumSteps = (steps) => ({
+  amount: round2(steps.reduce((sum, s) => sum + s.amount, 0)),
+  lpAmount: round2(steps.reduce((sum, s) => sum + s.lpAmount, 0)),
+  gpAmount: round2(steps.reduce((sum, s) => sum + s.gpAmount, 0))
+});
+
+/**
+ * Calculate the waterfall of a distribution
+ * @param {Object} input
+ * @param {Array} input.tiers - Active waterfall tiers (camelCase); defaults from terms when empty
+ * @param {Object} input.terms - { hurdleRate, prefReturnCompounding ('compound'|'simple'), gpCatchUpRate, carriedInterest }
+ * @param {Array} input.investors - [{ userId, ownershipPercent, investorClassId, contributions: [{ date, amount }] }]
+ * @param {Array} [input.classes] - Investor classes: [{ id, name, tiers, hurdleRate, carriedInterest, gpCatchUpRate }]
+ * @param {Array} [input.priorDistributions] - [{ id, date, amount, excludedUserIds }] already made by the structure
+ * @param {Object} input.distribution - { id, date, amount, excludedUserIds }
+ * @returns {Object} { version, distribution, lpTotal, gpTotal, tiers, allocations, classes? }
+ *   tiers add up every LP's tier of the same number; classes breaks them down per investor class
+ */
+function calculateWaterfall({ tiers, terms = {}, investors = [], classes = [], priorDistributions = [], distribution }) {
+  const { classifiedTiers, groups, compounding, carryPercent, runDistribution } = createRun({ tiers, terms, investors, classes });
+
+  // Replay earlier distributions so capital returned, pref paid and GP profit are current
+  const replayed = priorDistributions
+    .filter(d => d.date && new Date(d.date) <= new Date(distribution.date))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  replayed.forEach(runDistribution);
+
+  const results = runDistribution(distribution);
+
+  // Tiers of the same number are added up across tier groups (the structure's tier describes them)
+  const tierNumbers = [...new Set(groups.flatMap(group => group.tiers.map(tier => tier.tierNumber)))]
+    .sort((a, b) => toNumber(a) - toNumber(b));
+  const tierResults = tierNumbers.map(tierNumber => {
+    const tier = classifiedTiers.find(t => t.tierNumber === tierNumber)
+      || groups.flatMap(group => group.tiers).find(t => t.tierNumber === tierNumber);
+    const steps = results
+      .flatMap(({ ledger, steps }) => {
+        const ledgerTier = ledger.group.tiers.find(t => t.tierNumber === tierNumber);
+        return ledgerTier ? [{ userId: ledger.userId, ...steps[ledgerTier.index] }] : [];
+      })
+      .map(({ tierIndex: _tierIndex, ...step }) => step);
+    return { ...describeTier(tier, compounding), ...sumSteps(steps), steps };
+  });
+
+  const byType = (ledger, steps, type) => round2(steps
+    .filter(s => ledger.group.tiers[s.tierIndex].type === type)
+    .reduce((sum, s) => sum + s.lpAmount, 0));
+
+  const allocations = results.map(({ ledger, grossAmount, steps }) => {
+    const lpAmount = round2(steps.reduce((sum, s) => sum + s.lpAmount, 0));
+    const prefTier = ledger.group.tiers.find(t => t.type === 'preferred_return');
+    return {
+      userId: ledger.userId,
+      investorClassId: ledger.group.id,
+      ownershipPercent: round2(ledger.share * 10000) / 100,
+      grossAmount,
+      returnOfCapital: byType(ledger, steps, 'return_of_capital'),
+      preferredReturn: byType(ledger, steps, 'preferred_return'),
+      catchUp: byType(ledger, steps, 'catch_up'),
+      profitShare: round2(byType(ledger, steps, 'split') + byType(ledger, steps, 'carried_interest')),
+      lpAmount,
+      gpAmount: round2(grossAmount - lpAmount),
+      capitalContributed: round2(ledger.contributed),
+      capitalReturned: round2(ledger.capitalReturned),
+      unreturnedCapital: round2(Math.max(0, ledger.contributed - ledger.capitalReturned)),
+      preferredReturnOutstanding: prefTier ? round2(ledger.prefBalances[prefTier.index]) : 0
+    };
+  });
+
+  const lpTotal = round2(allocations.reduce((sum, a) => sum + a.lpAmount, 0));
+  const gpTotal = round2(allocations.reduce((sum, a) => sum + a.gpAmount, 0));
+
+  // Per investor class breakdown; the class waterfalls add up to the fund totals above
+  const classResults = classes.length === 0 ? null : groups
+    .map(group => {
+      const groupResults = results.filter(({ ledger }) => ledger.group === group);
+      const groupAllocations = allocations.filter(a => a.investorClassId === group.id);
+      const groupCarry = group.tiers[group.tiers.length - 1]?.gpSharePercent;
+      return {
+        investorClassId: group.id,
+        name: group.name,
+        userIds: groupAllocations.map(a => a.userId),
+        investorCount: groupAllocations.length,
+        grossAmount: round2(groupAllocations.reduce((sum, a) => sum + a.grossAmount, 0)),
+        lpTotal: round2(groupAllocations.reduce((sum, a) => sum + a.lpAmount, 0)),
+        gpTotal: round2(groupAllocations.reduce((sum, a) => sum + a.gpAmount, 0)),
+        carriedInterest: groupCarry ?? carryPercent,
+        tiers: group.tiers.map(tier => ({
+          ...describeTier(tier, compounding),
+          ...sumSteps(groupResults.map(({ steps }) => steps[tier.index]))
+        }))
+      };
+    })
+    .filter(result => result.investorCount > 0);
+
+  return {
+    version: WATERFALL_ENGINE_VERSION,
+    waterfallType: 'European',
+    distribution: {
+      id: distribution.id || null,
+      date: distribution.date,
+      amount: round2(toNumber(distribution.amount)),
+      priorDistributions: replayed.length
+    },
+    terms: { prefReturnCompounding: compounding, carriedInterest: carryPercent, gpCatchUpRate: terms.gpCatchUpRate ?? null },
+    lpTotal,
+    gpTotal,
+    tiers: tierResults,
+    allocations,
+    ...(classResults ? { classes: classResults } : {})
+  };
+}
+
+/**
+ * LPs' contributions for a whole-fund waterfall
+ * Fees are dropped when the structure does not return them with capital.
+ * @param {Array} investors - [{ userId, contributions: [{ category }] }]
+ * @param {Object} terms - { returnFeesWithCapital }
+ * @returns {Array}
+ */
+function getWholeFundInvestors(investors = [], terms = {}) {
+  if (terms.returnFeesWithCapital !== false) return investors;
+
+  return investors.map(investor => ({
+    ...investor,
+    contributions: (investor.contributions || []).filter(c => c.category !== 'fees')
+  }));
+}
+
+/**
+ * Replay every distribution of a fund through one whole-fund (European) waterfall
+ * What the GP would have earned had carry only been paid on whole-fund profits;
+ * used to test deal-by-deal carry for clawback.
+ * @param {Object} input - { tiers, terms, investors, classes, distributions: [{ id, date, amount, excludedUserIds }] }
+ * @returns {Object} { version, lpTotal, gpTotal, distributions: [{ id, date, amount, lpAmount, gpAmount }], investors: [{ userId, lpAmount, gpAmount }] }
+ */
+function calculateWholeFundWaterfall({ tiers, terms = {}, investors = [], classes = [], distributions = [] }) {
+  const { ledgers, runDistribution } = createRun({
+    tiers,
+    terms,
+    classes,
+    investors: getWholeFundInvestors(investors, terms)
+  });
+  const lpReceived = new Map();
+
+  const distributionResults = distributions
+    .filter(d => d.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(dist => {
+      const results = runDistribution(dist);
+      let lpAmount = 0;
+      results.forEach(({ ledger, steps }) => {
+        const lp = steps.reduce((sum, step) => sum + step.lpAmount, 0);
+        lpReceived.set(ledger.userId, (lpReceived.get(ledger.userId) || 0) + lp);
+        lpAmount += lp;
+      });
+      const amount = round2(toNumber(dist.amount));
+      return { id: dist.id || null, date: dist.date, amount, lpAmount: round2(lpAmount), gpAmount: round2(amount - lpAmount) };
+    });
+
+  return {
+    version: WATERFALL_ENGINE_VERSION,
+    lpTotal: round2(distributionResults.reduce((sum, d) => sum + d.lpAmount, 0)),
+    gpTotal: round2(distributionResults.reduce((sum, d) => sum + d.gpAmount, 0)),
+    distributions: distributionResults,
+    investors: ledgers.map(ledger => ({
+      userId: ledger.userId,
+      lpAmount: round2(lpReceived.get(ledger.userId) || 0),
+      gpAmount: round2(ledger.gpProfit)
+    }))
+  };
+}
+
+/**
+ * Unrealized loss on an investment (cost above its current value)
+ * @param {Object} investment - { cost, fairValue, realized }
+ * @returns {number}
+ */
+function getWriteDown(investment) {
+  if (investment.realized || investment.fairValue === null || investment.fairValue === undefined) return 0;
+  return Math.max(0, toNumber(investment.cost) - toNumber(investment.fairValue));
+}
+
+/**
+ * Rebuild the engine input for one deal of a deal-by-deal waterfall
+ * Each LP's ledger holds:
+ * - the capital they put into the deal
+ * - their fund expenses and management fees, times the deal's share of all deal capital
+ * - their share of write-downs on the fund's other unrealized deals, recognized from the
+ *   deal's first distribution so later distributions don't recover them twice
+ * Proceeds are shared by deal capital rather than fund ownership, and only earlier
+ * distributions of the same deal are replayed.
+ * @param {Object} input - calculateWaterfall input plus investments: [{ id, name, cost, fairValue, realized }]
+ * @returns {{ input: Object, deal: Object, breakdown: Map<string, Object> }}
+ */
+function buildDealInput(input) {
+  const { investors = [], priorDistributions = [], distribution, investments = [] } = input;
+  const dealId = distribution.investmentId;
+
+  // Deal capital per investment, fund-wide and per LP
+  const dealTotals = new Map();
+  const lpDealCapital = new Map();
+  investors.forEach(investor => {
+    (investor.contributions || []).forEach(c => {
+      if (c.category !== 'investment' || !c.investmentId) return;
+      const amount = toNumber(c.amount);
+      dealTotals.set(c.investmentId, (dealTotals.get(c.investmentId) || 0) + amount);
+      const key = `${investor.userId}:${c.investmentId}`;
+      lpDealCapital.set(key, (lpDealCapital.get(key) || 0) + amount);
+    });
+  });
+
+  const fundDealCapital = Array.from(dealTotals.values()).reduce((sum, v) => sum + v, 0);
+  const dealCapital = dealTotals.get(dealId) || 0;
+  const dealShare = fundDealCapital > 0 ? dealCapital / fundDealCapital : 0;
+
+  const dealPriors = priorDistributions
+    .filter(d => d.investmentId === dealId && d.date && new Date(d.date) <= new Date(distribution.date))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const writeDownDate = dealPriors[0]?.date || distribution.date;
+
+  const writeDowns = investments
+    .filter(inv => inv.id !== dealId)
+    .map(inv => ({ investmentId: inv.id, investmentName: inv.name || null, amount: round2(getWriteDown(inv)) }))
+    .filter(w => w.amount > 0 && (dealTotals.get(w.investmentId) || 0) > 0);
+
+  const breakdown = new Map();
+  const dealInvestors = investors.map(investor => {
+    const contributions = [];
+    let lpDeal = 0;
+    let allocableCosts = 0;
+    let writeDownRecovery = 0;
+
+    (investor.contributions || []).forEach(c => {
+      if (c.category === 'investment' && c.investmentId === dealId) {
+        contributions.push({ date: c.date, amount: toNumber(c.amount) });
+        lpDeal += toNumber(c.amount);
+      } else if (ALLOCABLE_CATEGORIES.includes(c.category) && dealShare > 0) {
+        const amount = toNumber(c.amount) * dealShare;
+        contributions.push({ date: c.date, amount });
+        allocableCosts += amount;
+      }
+    });
+
+    writeDowns.forEach(w => {
+      const lpShare = (lpDealCapital.get(`${investor.userId}:${w.investmentId}`) || 0) / dealTotals.get(w.investmentId);
+      const amount = w.amount * lpShare;
+      if (amount > 0) {
+        contributions.push({ date: writeDownDate, amount });
+        writeDownRecovery += amount;
+      }
+    });
+
+    breakdown.set(investor.userId, {
+      dealCapital: round2(lpDeal),
+      allocableCosts: round2(allocableCosts),
+      writeDownRecovery: round2(writeDownRecovery)
+    });
+
+    return {
+      userId: investor.userId,
+      investorClassId: investor.investorClassId ?? null,
+      // Deal proceeds follow deal capital; fund ownership only when the deal has none on record
+      ownershipPercent: dealCapital > 0 ? (lpDeal / dealCapital) * 100 : investor.ownershipPercent,
+      contributions
+    };
+  });
+
+  const dealInvestment = investments.find(inv => inv.id === dealId);
+
+  return {
+    input: { ...input, investors: dealInvestors, priorDistributions: dealPriors },
+    deal: {
+      investmentId: dealId,
+      investmentName: dealInvestment?.name || null,
+      dealCapital: round2(dealCapital),
+      dealSharePercent: round2(dealShare * 10000) / 100,
+      writeDowns
+    },
+    breakdown
+  };
+}
+
+/**
+ * Calculate a deal-by-deal (American) waterfall for a distribution tied to an investment
+ * @param {Object} input - calculateWaterfall input; distribution.investmentId is the realized deal,
+ *   contributions carry { category, investmentId } and investments lists the fund's deals
+ * @returns {Object} calculateWaterfall result plus deal details and each LP's deal ledger
+ */
+function calculateDealWaterfall(input) {
+  if (!input.distribution?.investmentId) {
+    throw new Error('A deal-by-deal waterfall needs the investment the distribution realizes');
+  }
+
+  const { input: dealInput, deal, breakdown } = buildDealInput(input);
+  const result = calculateWaterfall(dealInput);
+
+  return {
+    ...result,
+    waterfallType: 'American',
+    deal,
+    allocations: result.allocations.map(a => ({ ...a, ...breakdown.get(a.userId) }))
+  };
+}
+
+/**
+ * Calculate a distribution's waterfall in the structure's mode (terms.waterfallType)
+ * American structures fall back to the whole-fund waterfall when the distribution is not
+ * tied to an investment; the result says so in modeNote.
+ * @param {Object} input - See calculateWaterfall and calculateDealWaterfall
+ * @returns {Object}
+ */
+function runWaterfall(input) {
+  const wholeFundInput = () => ({
+    ...input,
+    investors: getWholeFundInvestors(input.investors, input.terms)
+  });
+
+  if (input.terms?.waterfallType !== 'American') {
+    return calculateWaterfall(wholeFundInput());
+  }
+  if (!input.distribution?.investmentId) {
+    return {
+      ...calculateWaterfall(wholeFundInput()),
+      modeNote: 'Distribution is not tied to an investment; whole-fund waterfall applied'
+    };
+  }
+  return calculateDealWaterfall(input);
+}
+
+module.exports = {
+  WATERFALL_ENGINE_VERSION,
+  WATERFALL_TYPES,
+  TIER_TYPES,
+  THRESHOLD_TYPES,
+  getDefaultTiers,
+  getThresholdType,
+  classifyTiers,
+  calculateWaterfall,
+  calculateWholeFundWaterfall,
+  getWriteDown,
+  calculateDealWaterfall,
+  runWaterfall
+};
@@ -0,0 +1,180 @@
+/**
+ * Distribution Withholding Tax Engine
+ *
+ * Works out the tax withheld from each LP's share of a distribution:
+ * - The rate follows the LP's profile: natural person (investorType 'Individual') or legal
+ *   entity, resident or not in the structure's tax jurisdiction (compared with the LP's country).
+ *   Structures with sameTaxTreatment apply withholdingTaxOnDistributions to every profile; it is
+ *   also the fallback when a profile has no rate of its own.
+ * - The LP's share is split by income source in proportion to the distribution's source
+ *   breakdown (equity gain, debt interest, debt principal, other). Debt principal is a return
+ *   of principal and is not taxed. Distributions without a breakdown count as equity gain.
+ * - The return of capital the waterfall paid to the LP is likewise not taxed; only the rest of
+ *   the LP's share (the income portion) is split by source.
+ * - Elections recorded for the LP (with supporting documents) lower the rate: a treaty
+ *   election caps it at the treaty rate, an exemption removes it. An election can be limited
+ *   to some income sources and applies only between its effective and expiry dates.
+ */
+
+const INCOME_SOURCES = ['equity_gain', 'debt_interest', 'debt_principal', 'other'];
+const NON_TAXABLE_SOURCES = ['debt_principal'];
+const ELECTION_TYPES = ['treaty', 'exemption'];
+
+const SOURCE_FIELDS = {
+  equity_gain: 'sourceEquityGain',
+  debt_interest: 'sourceDebtInterest',
+  debt_principal: 'sourceDebtPrincipal',
+  other: 'sourceOther'
+};
+
+const PROFILE_RATE_FIELDS = {
+  natural_resident: 'withholdingTaxNaturalResidents',
+  natural_non_resident: 'withholdingTaxNaturalNonResidents',
+  legal_resident: 'withholdingTaxLegalResidents',
+  legal_non_resident: 'withholdingTaxLegalNonResidents'
+};
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const toRate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) ? rate : null;
+};
+
+const normalizeCountry = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Tax profile of an LP for a structure
+ * @param {Object} investor - { investorType, country }
+ * @param {Object} structure - { taxJurisdiction }
+ * @returns {{ personType: string, resident: boolean, category: string }}
+ *   Structures without a tax jurisdiction treat every LP as resident; LPs without a
+ *   country are treated as non-resident.
+ */
+function getInvestorTaxProfile(investor = {}, structure = {}) {
+  const personType = !investor.investorType || investor.investorType === 'Individual' ? 'natural' : 'legal';
+  const jurisdiction = normalizeCountry(structure.taxJurisdiction);
+  const resident = !jurisdiction || normalizeCountry(investor.country) === jurisdiction;
+
+  return {
+    personType,
+    resident,
+    category: `${personType}_${resident ? 'resident' : 'non_resident'}`
+  };
+}
+
+/**
+ * Withholding rate (in %) the structure sets for a profile category
+ * @param {Object} structure - Structure withholding fields
+ * @param {string} category - e.g. 'natural_resident'
+ * @returns {number}
+ */
+function getProfileRate(structure = {}, category) {
+  const generalRate = toRate(structure.withholdingTaxOnDistributions);
+  if (structure.sameTaxTreatment) return generalRate || 0;
+
+  const profileRate = toRate(structure[PROFILE_RATE_FIELDS[category]]);
+  return profileRate ?? generalRate ?? 0;
+}
+
+/**
+ * Whether an election covers an income source on a date
+ */
+function electionApplies(election, source, date) {
+  if (election.status && election.status !== 'Active') return false;
+  if (election.effectiveDate && new Date(election.effectiveDate) > new Date(date)) return false;
+  if (election.expiryDate && new Date(election.expiryDate) < new Date(date)) return false;
+  return !election.incomeSources?.length || election.incomeSources.includes(source);
+}
+
+/**
+ * Rate for one income source after the LP's elections
+ * @returns {{ rate: number, basis: string, electionId: string|null }}
+ */
+function getSourceRate(source, baseRate, elections, date) {
+  if (NON_TAXABLE_SOURCES.includes(source)) return { rate: 0, basis: 'not_taxable', electionId: null };
+
+  const applicable = elections.filter(e => electionApplies(e, source, date));
+  const exemption = applicable.find(e => e.electionType === 'exemption');
+  if (exemption) return { rate: 0, basis: 'exemption', electionId: exemption.id || null };
+
+  const treaty = applicable
+    .filter(e => e.electionType === 'treaty' && toRate(e.rate) !== null && toRate(e.rate) < baseRate)
+    .sort((a, b) => toRate(a.rate) - toRate(b.rate))[0];
+  if (treaty) return { rate: toRate(treaty.rate), basis: 'treaty', electionId: treaty.id || null };
+
+  return { rate: baseRate, basis: 'profile', electionId: null };
+}
+
+/**
+ * Split an amount across income sources in proportion to the distribution's breakdown
+ * (rounded to the cent, the last source takes the remainder)
+ * @param {number} amount - LP amount
+ * @param {Object} distribution - { sourceEquityGain, sourceDebtInterest, sourceDebtPrincipal, sourceOther }
+ * @returns {Array} [{ source, amount }] for sources with an amount
+ */
+function splitBySource(amount, distribution = {}) {
+  const totals = INCOME_SOURCES
+    .map(source => ({ source, total: Math.max(0, parseFloat(distribution[SOURCE_FIELDS[source]]) || 0) }))
+    .filter(s => s.total > 0);
+  const sourceTotal = totals.reduce((sum, s) => sum + s.total, 0);
+
+  if (sourceTotal === 0) return [{ source: 'equity_gain', amount: round2(amount) }];
+
+  let remaining = round2(amount);
+  return totals.map((s, index) => {
+    const share = index === totals.length - 1 ? remaining : round2(amount * s.total / sourceTotal);
+    remaining = round2(remaining - share);
+    return { source: s.source, amount: share };
+  });
+}
+
+/**
+ * Calculate the withholding on one LP's share of a distribution
+ * @param {Object} input
+ * @param {number} input.amount - LP's gross amount
+ * @param {number} [input.returnOfCapital] - Part of the amount that returns the LP's capital (not taxed)
+ * @param {Object} input.distribution - Distribution (camelCase) with distributionDate and source breakdown
+ * @param {Object} input.structure - Structure withholding fields and taxJurisdiction
+ * @param {Object} input.investor - { investorType, country }
+ * @param {Array} [input.elections] - The LP's elections: [{ id, electionType, rate, incomeSources, effectiveDate, expiryDate, status }]
+ * @returns {Object} { category, personType, resident, baseRate, grossAmount, withheldAmount, netAmount, effectiveRate, sources }
+ */
+function calculateWithholding({ amount, returnOfCapital = 0, distribution = {}, structure = {}, investor = {}, elections = [] }) {
+  const profile = getInvestorTaxProfile(investor, structure);
+  const baseRate = getProfileRate(structure, profile.category);
+  const date = distribution.distributionDate || new Date().toISOString().split('T')[0];
+
+  const capital = round2(Math.min(Math.max(returnOfCapital || 0, 0), amount));
+  const sources = splitBySource(round2(amount - capital), distribution).map(({ source, amount: gross }) => {
+    const { rate, basis, electionId } = getSourceRate(source, baseRate, elections, date);
+    const withheld = round2(gross * rate / 100);
+    return { source, gross, rate, withheld, net: round2(gross - withheld), basis, electionId };
+  });
+  if (capital > 0) {
+    sources.unshift({ source: 'return_of_capital', gross: capital, rate: 0, withheld: 0, net: capital, basis: 'not_taxable', electionId: null });
+  }
+
+  const grossAmount = round2(sources.reduce((sum, s) => sum + s.gross, 0));
+  const withheldAmount = round2(sources.reduce((sum, s) => sum + s.withheld, 0));
+
+  return {
+    ...profile,
+    baseRate,
+    grossAmount,
+    withheldAmount,
+    netAmount: round2(grossAmount - withheldAmount),
+    effectiveRate: grossAmount > 0 ? round2(withheldAmount / grossAmount * 10000) / 100 : 0,
+    sources
+  };
+}
+
+module.exports = {
+  INCOME_SOURCES,
+  ELECTION_TYPES,
+  getInvestorTaxProfile,
+  getProfileRate,
+  splitBySource,
+  calculateWithholding
+};
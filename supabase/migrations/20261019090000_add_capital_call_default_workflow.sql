@@ -0,0 +1,36 @@
+-- Default-investor workflow for unpaid capital call allocations
+-- Allocations still unpaid once the structure's grace period has elapsed after the
+-- call deadline are moved to status 'Defaulted'. Late interest accrues on the
+-- outstanding amount and LPA remedies (forfeiture, forced sale, reallocation of the
+-- shortfall) are recorded on the allocation. Every transition is also logged to
+-- approval_history against the parent capital call.
+
+-- Structure-level default terms (LPA)
+ALTER TABLE structures
+  ADD COLUMN IF NOT EXISTS default_grace_period_days INTEGER DEFAULT 10,
+  ADD COLUMN IF NOT EXISTS default_interest_rate NUMERIC DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS default_forfeiture_percent NUMERIC DEFAULT 50;
+
+-- Per-allocation default tracking
+ALTER TABLE capital_call_allocations
+  ADD COLUMN IF NOT EXISTS defaulted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS default_outstanding_amount NUMERIC DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS default_interest_amount NUMERIC DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS default_interest_accrued_through DATE,
+  ADD COLUMN IF NOT EXISTS default_remedy TEXT,
+  ADD COLUMN IF NOT EXISTS default_remedy_applied_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS default_remedy_details JSONB,
+  ADD COLUMN IF NOT EXISTS forfeited_amount NUMERIC DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS default_resolved_at TIMESTAMPTZ;
+
+-- Supplementary calls (e.g. shortfall reallocation) link back to the original call
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS parent_capital_call_id UUID REFERENCES capital_calls(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS call_type TEXT DEFAULT 'standard';
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_allocations_defaulted_at
+  ON capital_call_allocations(defaulted_at)
+  WHERE defaulted_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_capital_calls_parent_capital_call_id
+  ON capital_calls(parent_capital_call_id);
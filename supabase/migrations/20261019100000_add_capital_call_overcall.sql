@@ -0,0 +1,15 @@
+-- Capital call overcalls (shortfall reallocation)
+-- When an LP cannot fund a call, the unfunded gap is re-issued to the remaining
+-- LPs as a supplementary capital call linked to the original call
+-- (capital_calls.parent_capital_call_id). Each LP's share is capped by its
+-- unfunded commitment and, when set, by the LPA overcall limit expressed as a
+-- percentage of the LP's allocation in the original call.
+
+-- LPA overcall limit (NULL = no limit beyond unfunded commitment)
+ALTER TABLE structures
+  ADD COLUMN IF NOT EXISTS overcall_limit_percent NUMERIC;
+
+-- Breakdown of the shortfall a supplementary call covers
+-- { shortfall, reallocatedAmount, unallocatedAmount, shortfallByUser, allocations }
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS overcall_details JSONB;
@@ -0,0 +1,11 @@
+-- Commitment and call-limit guardrails
+-- Capital calls whose allocations exceed an LP's unfunded commitment, the fund's
+-- remaining commitments, the structure's per-call limit
+-- (capital_call_default_percentage) or the investment period cannot be submitted
+-- for review unless an approver records an override with a justification.
+
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS limit_violations JSONB,
+  ADD COLUMN IF NOT EXISTS limit_override_justification TEXT,
+  ADD COLUMN IF NOT EXISTS limit_override_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS limit_override_at TIMESTAMPTZ;
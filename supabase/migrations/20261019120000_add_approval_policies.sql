@@ -0,0 +1,27 @@
+-- Configurable approval chains
+-- One policy per structure and entity type ('capital_call' | 'distribution').
+-- Stages are evaluated in order; each names the approver roles and/or structure
+-- admins allowed to sign off, a quorum, and an optional amount threshold
+-- (min_amount) above which the stage is added to the chain.
+-- approval_progress snapshots the applicable stages and approvals collected
+-- since the entity was last submitted for review.
+
+CREATE TABLE IF NOT EXISTS approval_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('capital_call', 'distribution')),
+  stages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  segregation_of_duties BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_structure_entity_approval_policy UNIQUE (structure_id, entity_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_policies_structure_id ON approval_policies(structure_id);
+
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS approval_progress JSONB;
+
+ALTER TABLE distributions
+  ADD COLUMN IF NOT EXISTS approval_progress JSONB;
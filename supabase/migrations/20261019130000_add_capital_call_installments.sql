@@ -0,0 +1,42 @@
+-- Installment capital calls
+-- A capital call can be funded in tranches (e.g. 50% in 10 days, 50% in 30 days).
+-- capital_call_installments holds the call-level schedule; each LP allocation is split
+-- into capital_call_allocation_installments. Payments fill the earliest installment first.
+-- capital_calls.installment_count is 0 for single-deadline calls.
+
+CREATE TABLE IF NOT EXISTS capital_call_installments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+  installment_number INTEGER NOT NULL,
+  due_date DATE NOT NULL,
+  percentage NUMERIC(9, 6) NOT NULL,
+  amount NUMERIC(20, 2) NOT NULL DEFAULT 0,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_capital_call_installment UNIQUE (capital_call_id, installment_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_installments_call_id ON capital_call_installments(capital_call_id);
+
+CREATE TABLE IF NOT EXISTS capital_call_allocation_installments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+  allocation_id UUID NOT NULL REFERENCES capital_call_allocations(id) ON DELETE CASCADE,
+  installment_id UUID NOT NULL REFERENCES capital_call_installments(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  installment_number INTEGER NOT NULL,
+  due_date DATE NOT NULL,
+  amount_due NUMERIC(20, 2) NOT NULL DEFAULT 0,
+  paid_amount NUMERIC(20, 2) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'Pending',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_allocation_installment UNIQUE (allocation_id, installment_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_allocation_installments_allocation_id ON capital_call_allocation_installments(allocation_id);
+CREATE INDEX IF NOT EXISTS idx_allocation_installments_due_date ON capital_call_allocation_installments(due_date);
+
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS installment_count INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,39 @@
+-- Payment application policy
+-- Each structure chooses how an LP payment is applied across the components of its
+-- capital call allocation: pro-rata (default, previous behaviour), fees first,
+-- capital first, or a custom ordering that may include late (default) interest.
+-- Every payment is recorded in capital_call_payments with the breakdown it was
+-- applied with, so the allocation totals can be re-derived at approval time.
+
+ALTER TABLE structures
+  ADD COLUMN IF NOT EXISTS payment_application_policy TEXT NOT NULL DEFAULT 'pro_rata'
+    CHECK (payment_application_policy IN ('pro_rata', 'fees_first', 'capital_first', 'custom')),
+  ADD COLUMN IF NOT EXISTS payment_application_order JSONB;
+
+-- Late interest paid on defaulted allocations (not part of total_due)
+ALTER TABLE capital_call_allocations
+  ADD COLUMN IF NOT EXISTS default_interest_paid NUMERIC DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS capital_call_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+  allocation_id UUID NOT NULL REFERENCES capital_call_allocations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  amount NUMERIC(20, 2) NOT NULL,
+  payment_method TEXT,
+  payment_reference TEXT,
+  payment_date TIMESTAMPTZ,
+  application_policy TEXT NOT NULL DEFAULT 'pro_rata',
+  application_order JSONB,
+  -- { capital, fees, vat, lateInterest, unapplied }
+  breakdown JSONB NOT NULL DEFAULT '{}'::jsonb,
+  approval_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (approval_status IN ('pending', 'approved', 'rejected')),
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_payments_allocation_id ON capital_call_payments(allocation_id);
+CREATE INDEX IF NOT EXISTS idx_capital_call_payments_capital_call_id ON capital_call_payments(capital_call_id);
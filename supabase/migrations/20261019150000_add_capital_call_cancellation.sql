@@ -0,0 +1,33 @@
+-- Capital call cancellation and reversal
+-- Calls that have been sent (or paid into) are cancelled instead of deleted: the call
+-- moves to status 'Cancelled', its allocations are voided and any amount already
+-- received from an LP becomes a refund obligation in capital_call_refunds.
+-- Hard deletes are restricted to drafts.
+
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+ALTER TABLE capital_call_allocations
+  ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS status_before_void TEXT;
+
+CREATE TABLE IF NOT EXISTS capital_call_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+  allocation_id UUID REFERENCES capital_call_allocations(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  amount NUMERIC(20, 2) NOT NULL,
+  status TEXT NOT NULL DEFAULT 'Pending'
+    CHECK (status IN ('Pending', 'Paid', 'Waived')),
+  payment_reference TEXT,
+  paid_at TIMESTAMPTZ,
+  notes TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_refunds_capital_call_id ON capital_call_refunds(capital_call_id);
+CREATE INDEX IF NOT EXISTS idx_capital_call_refunds_user_id ON capital_call_refunds(user_id);
@@ -0,0 +1,44 @@
+-- Capital call line items
+-- A capital call can be composed of several purposes (portfolio investments, fund
+-- expenses, reserves), each with its own amount and VAT. The header totals
+-- (total_investments, total_fund_expenses, total_reserves, vat_on_*) are derived
+-- from the line items. Each LP allocation is split across the line items in
+-- capital_call_allocation_line_items so contributed capital can be attributed to
+-- individual deals (deal-by-deal waterfall, ILPA reporting).
+
+CREATE TABLE IF NOT EXISTS capital_call_line_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  category TEXT NOT NULL CHECK (category IN ('investment', 'fund_expense', 'reserve')),
+  investment_id UUID REFERENCES investments(id) ON DELETE SET NULL,
+  description TEXT,
+  amount NUMERIC(20, 2) NOT NULL DEFAULT 0,
+  vat_amount NUMERIC(20, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_capital_call_line_item UNIQUE (capital_call_id, line_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_line_items_call_id ON capital_call_line_items(capital_call_id);
+CREATE INDEX IF NOT EXISTS idx_capital_call_line_items_investment_id ON capital_call_line_items(investment_id);
+
+CREATE TABLE IF NOT EXISTS capital_call_allocation_line_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+  allocation_id UUID NOT NULL REFERENCES capital_call_allocations(id) ON DELETE CASCADE,
+  line_item_id UUID NOT NULL REFERENCES capital_call_line_items(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  category TEXT NOT NULL,
+  investment_id UUID REFERENCES investments(id) ON DELETE SET NULL,
+  amount NUMERIC(20, 2) NOT NULL DEFAULT 0,
+  vat_amount NUMERIC(20, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_allocation_line_item UNIQUE (allocation_id, line_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_allocation_line_items_allocation_id ON capital_call_allocation_line_items(allocation_id);
+CREATE INDEX IF NOT EXISTS idx_allocation_line_items_investment_id ON capital_call_allocation_line_items(investment_id);
+
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS line_item_count INTEGER NOT NULL DEFAULT 0;
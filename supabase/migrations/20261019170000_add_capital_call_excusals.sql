@@ -0,0 +1,38 @@
+-- Excused and excluded investors
+-- An LP can be excused from a capital call (ESG restrictions, sanctions, side
+-- letters). Excused LPs get no allocation and their share of the call is
+-- redistributed pro-rata among the participating LPs. The excusal is also
+-- recorded against each investment the call funds, so later distributions from
+-- that investment leave the LP out.
+
+CREATE TABLE IF NOT EXISTS capital_call_excusals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason_type TEXT NOT NULL DEFAULT 'other'
+    CHECK (reason_type IN ('esg', 'sanctions', 'side_letter', 'regulatory', 'other')),
+  reason TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_capital_call_excusal UNIQUE (capital_call_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_capital_call_excusals_call_id ON capital_call_excusals(capital_call_id);
+
+CREATE TABLE IF NOT EXISTS investment_exclusions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  investment_id UUID NOT NULL REFERENCES investments(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Call the exclusion was recorded from (NULL when set directly on the investment)
+  capital_call_id UUID REFERENCES capital_calls(id) ON DELETE CASCADE,
+  reason_type TEXT NOT NULL DEFAULT 'other',
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_investment_exclusion UNIQUE (investment_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_investment_exclusions_investment_id ON investment_exclusions(investment_id);
+
+-- Principal each participating LP picked up from excused LPs
+ALTER TABLE capital_call_allocations
+  ADD COLUMN IF NOT EXISTS excusal_redistribution_amount NUMERIC DEFAULT 0;
@@ -0,0 +1,16 @@
+-- Waterfall engine trace
+-- Waterfalls are now calculated in the API (src/utils/waterfallEngine.js) instead of
+-- the apply_waterfall_distribution / calculate_waterfall_allocations SQL functions.
+-- The engine's step-by-step result is stored on the distribution together with the
+-- engine version that produced it, and each LP allocation records its waterfall split.
+
+ALTER TABLE distributions
+  ADD COLUMN IF NOT EXISTS waterfall_trace JSONB,
+  ADD COLUMN IF NOT EXISTS waterfall_engine_version VARCHAR(20);
+
+ALTER TABLE distribution_allocations
+  ADD COLUMN IF NOT EXISTS roc_portion NUMERIC(15, 2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS income_portion NUMERIC(15, 2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS preferred_return_amount NUMERIC(15, 2) DEFAULT 0,
+  -- GP catch-up and carried interest taken out of the LP's share
+  ADD COLUMN IF NOT EXISTS carried_interest_amount NUMERIC(15, 2) DEFAULT 0;
@@ -0,0 +1,12 @@
+-- Deal-by-deal (American) waterfalls
+-- Structures already carry waterfall_type ('American' = deal-by-deal, 'European' =
+-- whole fund). The mode actually applied to a distribution is recorded on it, since an
+-- American structure falls back to the whole-fund waterfall for distributions that are
+-- not tied to an investment.
+
+ALTER TABLE structures
+  ADD COLUMN IF NOT EXISTS waterfall_type VARCHAR(20) DEFAULT 'American';
+
+ALTER TABLE distributions
+  ADD COLUMN IF NOT EXISTS waterfall_type VARCHAR(20)
+    CHECK (waterfall_type IS NULL OR waterfall_type IN ('American', 'European'));
@@ -0,0 +1,31 @@
+-- GP clawback
+-- Deal-by-deal carry can pay the GP more than it would earn on whole-fund profits.
+-- A clawback assessment recomputes the whole-fund waterfall at a date (or at fund
+-- wind-down) against the carry actually paid (distributions.gp_total_amount) and
+-- records the GP's liability. Funds whose LPA limits the clawback to after-tax carry
+-- configure the GP's assumed tax rate on the structure.
+
+ALTER TABLE structures
+  ADD COLUMN IF NOT EXISTS clawback_net_of_taxes BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS clawback_tax_rate NUMERIC;
+
+CREATE TABLE IF NOT EXISTS gp_clawback_assessments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  as_of_date DATE NOT NULL,
+  wind_down BOOLEAN NOT NULL DEFAULT FALSE,
+  -- 'Interim' (hypothetical liquidation at NAV) or 'Final' (wind-down)
+  status TEXT NOT NULL DEFAULT 'Interim' CHECK (status IN ('Interim', 'Final')),
+  carry_paid NUMERIC NOT NULL DEFAULT 0,
+  carry_entitled NUMERIC NOT NULL DEFAULT 0,
+  excess_carry NUMERIC NOT NULL DEFAULT 0,
+  tax_offset NUMERIC NOT NULL DEFAULT 0,
+  clawback_liability NUMERIC NOT NULL DEFAULT 0,
+  -- Full calculation (per-distribution and per-LP breakdown) for LP audit requests
+  details JSONB,
+  notes TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gp_clawback_assessments_structure_id ON gp_clawback_assessments(structure_id);
@@ -0,0 +1,20 @@
+-- Waterfall tiers beyond four with IRR/MOIC thresholds
+-- Structures can configure any number of ordered tiers (e.g. tiered carry: 20% up to
+-- 2.0x MOIC, 25% up to a 25% IRR, 30% beyond). Each tier ends at a threshold:
+-- - irr: the LP reaches threshold_irr (%)
+-- - moic: the LP's distributions reach threshold_multiple x its contributed capital
+-- - amount: the tier has paid threshold_amount
+-- - multiple: gross proceeds reach threshold_multiple x contributed capital
+-- Tiers saved before threshold_type existed keep working from threshold_irr / threshold_amount.
+
+ALTER TABLE waterfall_tiers
+  DROP CONSTRAINT IF EXISTS waterfall_tiers_tier_number_check;
+
+ALTER TABLE waterfall_tiers
+  ADD CONSTRAINT waterfall_tiers_tier_number_check CHECK (tier_number >= 1);
+
+ALTER TABLE waterfall_tiers
+  ADD COLUMN IF NOT EXISTS threshold_type VARCHAR(20)
+    CHECK (threshold_type IS NULL OR threshold_type IN ('irr', 'moic', 'amount', 'multiple')),
+  ADD COLUMN IF NOT EXISTS threshold_multiple NUMERIC
+    CHECK (threshold_multiple IS NULL OR threshold_multiple > 0);
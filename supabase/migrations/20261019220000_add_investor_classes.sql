@@ -0,0 +1,46 @@
+-- Investor classes
+-- Side letters give some LPs (anchor investors, founders, the GP commit) different
+-- economics from the rest of the fund. An investor class either has its own waterfall
+-- tiers (waterfall_tiers.investor_class_id) or overrides the hurdle, carry and catch-up
+-- of the structure's tiers. LPs are assigned to a class on structure_investors; LPs
+-- without a class run through the structure's tiers. Each class's waterfall is computed
+-- separately and the per-LP results are recorded with the class they were computed under.
+
+CREATE TABLE IF NOT EXISTS investor_classes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  -- Overrides of the structure's terms (NULL = use the structure's)
+  hurdle_rate NUMERIC CHECK (hurdle_rate IS NULL OR (hurdle_rate >= 0 AND hurdle_rate <= 100)),
+  carried_interest NUMERIC CHECK (carried_interest IS NULL OR (carried_interest >= 0 AND carried_interest <= 100)),
+  gp_catch_up_rate NUMERIC CHECK (gp_catch_up_rate IS NULL OR (gp_catch_up_rate >= 0 AND gp_catch_up_rate <= 100)),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(structure_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_investor_classes_structure_id ON investor_classes(structure_id);
+
+-- Tier sets of a class (NULL = the structure's tiers)
+ALTER TABLE waterfall_tiers
+  ADD COLUMN IF NOT EXISTS investor_class_id UUID REFERENCES investor_classes(id) ON DELETE CASCADE;
+
+-- Tier numbers are unique within the structure's tiers and within each class's tiers
+ALTER TABLE waterfall_tiers
+  DROP CONSTRAINT IF EXISTS waterfall_tiers_structure_id_tier_number_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waterfall_tiers_structure_tier_number
+  ON waterfall_tiers(structure_id, tier_number) WHERE investor_class_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waterfall_tiers_class_tier_number
+  ON waterfall_tiers(investor_class_id, tier_number) WHERE investor_class_id IS NOT NULL;
+
+ALTER TABLE structure_investors
+  ADD COLUMN IF NOT EXISTS investor_class_id UUID REFERENCES investor_classes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_structure_investors_investor_class_id ON structure_investors(investor_class_id);
+
+ALTER TABLE distribution_allocations
+  ADD COLUMN IF NOT EXISTS investor_class_id UUID REFERENCES investor_classes(id) ON DELETE SET NULL;
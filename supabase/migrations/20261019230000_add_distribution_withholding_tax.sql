@@ -0,0 +1,38 @@
+-- Distribution withholding tax
+-- Allocations created for a distribution now withhold tax per LP at the structure's rate
+-- for the LP's profile (natural person / legal entity, resident / non-resident). Treaty
+-- rates and exemptions are recorded per LP as elections backed by a supporting document.
+-- Each allocation keeps its gross, withheld and net amounts by income source.
+
+CREATE TABLE IF NOT EXISTS withholding_tax_elections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- 'treaty' (reduced rate) or 'exemption' (no withholding)
+  election_type TEXT NOT NULL CHECK (election_type IN ('treaty', 'exemption')),
+  treaty_country TEXT,
+  rate NUMERIC CHECK (rate IS NULL OR (rate >= 0 AND rate <= 100)),
+  -- Income sources covered (equity_gain, debt_interest, debt_principal, other); NULL = all
+  income_sources TEXT[],
+  -- Supporting document (tax residency certificate, W-8BEN, exemption letter, ...)
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE RESTRICT,
+  effective_date DATE NOT NULL,
+  expiry_date DATE,
+  status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Revoked')),
+  notes TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (election_type <> 'treaty' OR rate IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_withholding_tax_elections_structure_user
+  ON withholding_tax_elections(structure_id, user_id);
+
+ALTER TABLE distribution_allocations
+  -- Effective rate over the LP's whole allocation (%)
+  ADD COLUMN IF NOT EXISTS withholding_rate NUMERIC DEFAULT 0,
+  -- natural_resident, natural_non_resident, legal_resident, legal_non_resident
+  ADD COLUMN IF NOT EXISTS withholding_category TEXT,
+  -- [{ source, gross, rate, withheld, net, basis, electionId }]
+  ADD COLUMN IF NOT EXISTS withholding_breakdown JSONB;
@@ -0,0 +1,48 @@
+-- Recallable distribution ledger
+-- Per-LP ledger of recallable distributions. Approving a recallable distribution credits
+-- each LP's share (capped by the structure's recallable limit); approving a capital call
+-- that recycles capital debits the principal it draws back from the LP's balance.
+-- Credits to date raise the LP's unfunded commitment in the capital call limit checks.
+
+CREATE TABLE IF NOT EXISTS recallable_ledger_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- 'credit' (recallable distribution) or 'debit' (recycling capital call)
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('credit', 'debit')),
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  distribution_id UUID REFERENCES distributions(id) ON DELETE CASCADE,
+  capital_call_id UUID REFERENCES capital_calls(id) ON DELETE CASCADE,
+  entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  description TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (
+    (entry_type = 'credit' AND distribution_id IS NOT NULL AND capital_call_id IS NULL)
+    OR (entry_type = 'debit' AND capital_call_id IS NOT NULL AND distribution_id IS NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_recallable_ledger_structure_user
+  ON recallable_ledger_entries(structure_id, user_id);
+
+-- One entry per LP per distribution / capital call
+CREATE UNIQUE INDEX IF NOT EXISTS recallable_ledger_distribution_user_key
+  ON recallable_ledger_entries(distribution_id, user_id) WHERE distribution_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS recallable_ledger_capital_call_user_key
+  ON recallable_ledger_entries(capital_call_id, user_id) WHERE capital_call_id IS NOT NULL;
+
+-- Capital calls that draw recallable distributions back (recycled capital)
+ALTER TABLE capital_calls ADD COLUMN IF NOT EXISTS recycles_capital BOOLEAN DEFAULT false;
+
+-- Credit the recallable distributions approved before the ledger existed
+INSERT INTO recallable_ledger_entries (structure_id, user_id, entry_type, amount, distribution_id, entry_date, description)
+SELECT d.structure_id, a.user_id, 'credit', a.allocated_amount, d.id, COALESCE(d.distribution_date::date, CURRENT_DATE),
+       'Recallable distribution #' || d.distribution_number
+FROM distributions d
+JOIN distribution_allocations a ON a.distribution_id = d.id
+WHERE d.recallable = true
+  AND d.approval_status = 'approved'
+  AND d.status NOT IN ('Draft', 'Cancelled')
+  AND a.allocated_amount > 0
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,26 @@
+-- In-kind distributions
+-- A distribution can deliver part of its value in kind: shares of a portfolio company
+-- (investment) or tokens of one of the structure's smart contracts. The asset, its value
+-- per unit and the units distributed are recorded on the distribution; each LP allocation
+-- records the units it receives, the cash paid in lieu of fractional units and the cash
+-- part of its allocation. Token allocations are delivered with batch token transfers.
+
+ALTER TABLE distributions
+  -- NULL = cash only; 'security' (investment shares) or 'token' (smart contract tokens)
+  ADD COLUMN IF NOT EXISTS in_kind_asset_type TEXT CHECK (in_kind_asset_type IS NULL OR in_kind_asset_type IN ('security', 'token')),
+  ADD COLUMN IF NOT EXISTS in_kind_investment_id UUID REFERENCES investments(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS in_kind_smart_contract_id UUID REFERENCES smart_contracts(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS in_kind_unit_value NUMERIC CHECK (in_kind_unit_value IS NULL OR in_kind_unit_value > 0),
+  ADD COLUMN IF NOT EXISTS in_kind_total_units NUMERIC CHECK (in_kind_total_units IS NULL OR in_kind_total_units > 0),
+  -- Decimal places units are rounded to (0 = whole shares / tokens)
+  ADD COLUMN IF NOT EXISTS in_kind_unit_decimals INTEGER DEFAULT 0,
+  -- 'round_down' (cash in lieu of fractions) or 'largest_remainder'
+  ADD COLUMN IF NOT EXISTS in_kind_rounding TEXT DEFAULT 'round_down';
+
+ALTER TABLE distribution_allocations
+  ADD COLUMN IF NOT EXISTS in_kind_units NUMERIC DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS in_kind_value NUMERIC DEFAULT 0,
+  -- Value of the fractional units paid in cash (negative when rounded up)
+  ADD COLUMN IF NOT EXISTS cash_in_lieu NUMERIC DEFAULT 0,
+  -- Cash part of the allocation (allocated amount less the value of the units)
+  ADD COLUMN IF NOT EXISTS cash_amount NUMERIC;
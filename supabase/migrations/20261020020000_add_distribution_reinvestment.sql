@@ -0,0 +1,54 @@
+-- Distribution reinvestment (DRIP) elections
+-- LPs elect, per structure, to reinvest a percentage of the cash their distributions pay out.
+-- Allocations created for a distribution record the reinvested amount; once the distribution
+-- is approved each reinvestment is either held as a credit netted against the LP's next
+-- capital calls (recorded as 'reinvestment' payments) or subscribed immediately, raising the
+-- LP's commitment. Reinvested amounts remain part of the distribution for tax reporting.
+
+CREATE TABLE IF NOT EXISTS reinvestment_elections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Share of the cash payable (after withholding and in-kind units) reinvested (%)
+  reinvestment_percentage NUMERIC NOT NULL CHECK (reinvestment_percentage > 0 AND reinvestment_percentage <= 100),
+  -- 'net_against_call' (credit against the next capital calls) or 'subscription' (commitment increase)
+  method TEXT NOT NULL DEFAULT 'net_against_call' CHECK (method IN ('net_against_call', 'subscription')),
+  effective_date DATE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Revoked')),
+  notes TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One active election per LP per structure
+CREATE UNIQUE INDEX IF NOT EXISTS reinvestment_elections_active_key
+  ON reinvestment_elections(structure_id, user_id) WHERE status = 'Active';
+
+CREATE TABLE IF NOT EXISTS distribution_reinvestments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  distribution_id UUID NOT NULL REFERENCES distributions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  election_id UUID REFERENCES reinvestment_elections(id) ON DELETE SET NULL,
+  method TEXT NOT NULL CHECK (method IN ('net_against_call', 'subscription')),
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  -- Amount netted against capital calls or subscribed so far
+  applied_amount NUMERIC NOT NULL DEFAULT 0,
+  -- [{ capitalCallId, allocationId, paymentId, amount, date }]
+  applications JSONB NOT NULL DEFAULT '[]'::jsonb,
+  subscription_id UUID,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied')),
+  reinvestment_date DATE NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (distribution_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_distribution_reinvestments_structure_user
+  ON distribution_reinvestments(structure_id, user_id, status);
+
+ALTER TABLE distribution_allocations
+  ADD COLUMN IF NOT EXISTS reinvestment_method TEXT,
+  ADD COLUMN IF NOT EXISTS reinvestment_election_id UUID REFERENCES reinvestment_elections(id) ON DELETE SET NULL;
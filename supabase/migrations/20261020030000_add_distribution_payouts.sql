@@ -0,0 +1,49 @@
+-- Distribution payout execution
+-- Once a distribution is approved each allocation's cash (net of withholding, in-kind units
+-- and reinvestment) is paid out: by Stripe Connect transfer to LPs with an onboarded Connect
+-- account, otherwise in a bank payment batch file (NACHA for US accounts, SEPA pain.001 for
+-- IBANs, CSV for Mexican SPEI/CLABE accounts). Each allocation tracks its payout status; the
+-- distribution is only marked paid once every allocation has settled.
+
+CREATE TABLE IF NOT EXISTS distribution_payout_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  distribution_id UUID NOT NULL REFERENCES distributions(id) ON DELETE CASCADE,
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  format TEXT NOT NULL CHECK (format IN ('nacha', 'sepa', 'spei')),
+  file_name TEXT NOT NULL,
+  file_content TEXT NOT NULL,
+  currency TEXT,
+  total_amount NUMERIC NOT NULL DEFAULT 0,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  -- 'generated' until the bank confirms, then 'settled' (all items paid) or 'failed'
+  status TEXT NOT NULL DEFAULT 'generated' CHECK (status IN ('generated', 'settled', 'failed')),
+  settled_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_distribution_payout_batches_distribution
+  ON distribution_payout_batches(distribution_id);
+
+ALTER TABLE distribution_allocations
+  -- 'stripe', 'nacha', 'sepa' or 'spei'
+  ADD COLUMN IF NOT EXISTS payout_method TEXT,
+  ADD COLUMN IF NOT EXISTS payout_status TEXT CHECK (payout_status IN ('pending', 'processing', 'settled', 'failed')),
+  ADD COLUMN IF NOT EXISTS payout_amount NUMERIC,
+  -- Stripe transfer ID or the batch file's entry reference
+  ADD COLUMN IF NOT EXISTS payout_reference TEXT,
+  ADD COLUMN IF NOT EXISTS payout_batch_id UUID REFERENCES distribution_payout_batches(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS payout_error TEXT,
+  ADD COLUMN IF NOT EXISTS payout_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS payout_initiated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS payout_settled_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_distribution_allocations_payout_reference
+  ON distribution_allocations(payout_reference);
+
+-- Bank details used for SEPA and NACHA payouts (CLABE and US account/routing already exist)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS bank_iban TEXT,
+  ADD COLUMN IF NOT EXISTS bank_swift_code TEXT,
+  ADD COLUMN IF NOT EXISTS bank_account_type TEXT;
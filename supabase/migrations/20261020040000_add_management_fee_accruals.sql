@@ -0,0 +1,49 @@
+-- Management fee accrual ledger
+-- Management fees accrue per LP day by day, whether or not capital is called: on the
+-- commitment, net invested capital (NIC) or NIC plus unfunded commitment depending on the
+-- structure's fee base, stepping down after the commitment period, net of side-letter fee
+-- discounts and with VAT. Capital calls flagged to bill accrued fees charge the LPs' unbilled
+-- accruals instead of computing a fee at call time; fee reports reconcile to the ledger.
+
+CREATE TABLE IF NOT EXISTS management_fee_accruals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Accrual period (inclusive)
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  -- 'committed', 'nic' or 'nic_plus_unfunded'
+  fee_base TEXT NOT NULL,
+  day_count_convention TEXT NOT NULL DEFAULT 'actual_365',
+  -- LP position at the end of the period
+  commitment NUMERIC NOT NULL DEFAULT 0,
+  nic_amount NUMERIC NOT NULL DEFAULT 0,
+  unfunded_amount NUMERIC NOT NULL DEFAULT 0,
+  -- [{ from, to, days, phase, components: [{ base, amount, rate, effectiveRate, grossFee, netFee }], grossFee, netFee }]
+  segments JSONB NOT NULL DEFAULT '[]'::jsonb,
+  gross_fee NUMERIC NOT NULL DEFAULT 0,
+  discount_amount NUMERIC NOT NULL DEFAULT 0,
+  net_fee NUMERIC NOT NULL DEFAULT 0,
+  vat_amount NUMERIC NOT NULL DEFAULT 0,
+  total_fee NUMERIC NOT NULL DEFAULT 0,
+  -- 'accrued' until a capital call bills it, then 'billed'
+  status TEXT NOT NULL DEFAULT 'accrued' CHECK (status IN ('accrued', 'billed')),
+  capital_call_id UUID REFERENCES capital_calls(id) ON DELETE SET NULL,
+  capital_call_allocation_id UUID,
+  billed_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (period_end >= period_start),
+  UNIQUE (structure_id, user_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_management_fee_accruals_structure_user
+  ON management_fee_accruals(structure_id, user_id, period_start);
+
+CREATE INDEX IF NOT EXISTS idx_management_fee_accruals_capital_call
+  ON management_fee_accruals(capital_call_id);
+
+-- Calls that bill the LPs' accrued fees instead of computing a fee at call time
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS bill_accrued_fees BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,59 @@
+-- GP fee income register and management fee offsets
+-- Transaction, monitoring, director and break-up fees the GP receives from portfolio
+-- companies are recorded per structure. When the structure offsets them against the
+-- management fee (management_fee_offset), fee_offset_rate % of each receipt is credited to
+-- the LPs pro-rata to commitment; credits are applied against the LPs' next management fee
+-- billing and any unused balance carries forward to the following one.
+
+CREATE TABLE IF NOT EXISTS gp_fee_income (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  investment_id UUID REFERENCES investments(id) ON DELETE SET NULL,
+  -- 'transaction', 'monitoring', 'director', 'break_up' or 'other'
+  fee_type TEXT NOT NULL CHECK (fee_type IN ('transaction', 'monitoring', 'director', 'break_up', 'other')),
+  description TEXT,
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  received_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  -- Offset rate (%) in force when the fee was recorded and the LP credit it produced
+  offset_rate NUMERIC NOT NULL DEFAULT 0,
+  offset_amount NUMERIC NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gp_fee_income_structure
+  ON gp_fee_income(structure_id, received_date);
+
+CREATE INDEX IF NOT EXISTS idx_gp_fee_income_investment
+  ON gp_fee_income(investment_id);
+
+CREATE TABLE IF NOT EXISTS fee_offset_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- 'credit' (LP share of GP fee income) or 'applied' (used against a capital call's fee)
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('credit', 'applied')),
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  fee_income_id UUID REFERENCES gp_fee_income(id) ON DELETE CASCADE,
+  capital_call_id UUID REFERENCES capital_calls(id) ON DELETE CASCADE,
+  capital_call_allocation_id UUID,
+  entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  description TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (
+    (entry_type = 'credit' AND fee_income_id IS NOT NULL AND capital_call_id IS NULL)
+    OR (entry_type = 'applied' AND capital_call_id IS NOT NULL AND fee_income_id IS NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_offset_entries_structure_user
+  ON fee_offset_entries(structure_id, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_fee_offset_entries_capital_call
+  ON fee_offset_entries(capital_call_id);
+
+-- Part of fee_offset_amount that comes from the GP fee income register
+ALTER TABLE capital_call_allocations
+  ADD COLUMN IF NOT EXISTS fee_income_offset_amount NUMERIC NOT NULL DEFAULT 0;
@@ -0,0 +1,47 @@
+-- Partnership expense ledger
+-- Fund expenses are recorded by category (legal, audit, organizational, broken-deal, ...)
+-- and allocated to the LPs pro-rata to commitment or by custom keys. Expenses flagged as
+-- organizational count toward the LPA's organizational expense cap on the structure;
+-- exceeding it raises a warning. ILPA quarterly reports and capital account statements
+-- show expenses per category.
+
+ALTER TABLE structures
+  ADD COLUMN IF NOT EXISTS organizational_expense_cap NUMERIC;
+
+CREATE TABLE IF NOT EXISTS partnership_expenses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  -- 'legal', 'audit', 'organizational', 'broken_deal', 'administration', 'tax' or 'other'
+  category TEXT NOT NULL CHECK (category IN ('legal', 'audit', 'organizational', 'broken_deal', 'administration', 'tax', 'other')),
+  description TEXT,
+  vendor TEXT,
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  expense_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  -- Deal the expense relates to (e.g. broken-deal costs)
+  investment_id UUID REFERENCES investments(id) ON DELETE SET NULL,
+  -- Counts toward the organizational expense cap
+  is_organizational BOOLEAN NOT NULL DEFAULT FALSE,
+  -- 'pro_rata' (commitment) or 'custom' (allocation_keys: { userId: percentage })
+  allocation_method TEXT NOT NULL DEFAULT 'pro_rata' CHECK (allocation_method IN ('pro_rata', 'custom')),
+  allocation_keys JSONB,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_partnership_expenses_structure
+  ON partnership_expenses(structure_id, expense_date);
+
+CREATE TABLE IF NOT EXISTS partnership_expense_allocations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  expense_id UUID NOT NULL REFERENCES partnership_expenses(id) ON DELETE CASCADE,
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  percentage NUMERIC NOT NULL DEFAULT 0,
+  amount NUMERIC NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (expense_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_partnership_expense_allocations_structure_user
+  ON partnership_expense_allocations(structure_id, user_id);
@@ -0,0 +1,61 @@
+-- Management fee invoices and credit notes
+-- A standalone invoice is issued per LP fee billing (capital call allocation) with a
+-- sequential folio per structure: invoices run in series 'F' and credit notes in series
+-- 'NC', each without gaps. Folios are taken from the rows themselves (last folio + 1,
+-- guarded by the unique constraint), and invoices are never deleted - corrections are made
+-- with credit notes - so a number is only used once an invoice exists.
+-- The issuer (firm) and recipient (LP) tax details are kept as issued.
+
+-- Issuer tax details for invoices (RFC / tax ID and tax regime of the management company)
+ALTER TABLE firm_settings
+  ADD COLUMN IF NOT EXISTS tax_id TEXT;
+
+ALTER TABLE firm_settings
+  ADD COLUMN IF NOT EXISTS tax_regime TEXT;
+
+CREATE TABLE IF NOT EXISTS fee_invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  structure_id UUID NOT NULL REFERENCES structures(id) ON DELETE RESTRICT,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  -- 'invoice' or 'credit_note'
+  invoice_type TEXT NOT NULL CHECK (invoice_type IN ('invoice', 'credit_note')),
+  series TEXT NOT NULL,
+  folio INTEGER NOT NULL CHECK (folio > 0),
+  issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  -- Fee billing the invoice is for (only sent calls are invoiced; drafts can be deleted)
+  capital_call_id UUID NOT NULL REFERENCES capital_calls(id) ON DELETE RESTRICT,
+  capital_call_allocation_id UUID,
+  -- Invoice a credit note corrects
+  original_invoice_id UUID REFERENCES fee_invoices(id) ON DELETE RESTRICT,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  line_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  subtotal NUMERIC NOT NULL DEFAULT 0,
+  vat_rate NUMERIC NOT NULL DEFAULT 0,
+  vat_amount NUMERIC NOT NULL DEFAULT 0,
+  total NUMERIC NOT NULL DEFAULT 0,
+  -- Amount of an invoice corrected by credit notes so far
+  credited_amount NUMERIC NOT NULL DEFAULT 0,
+  -- 'issued', 'partially_credited' or 'credited'
+  status TEXT NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'partially_credited', 'credited')),
+  issuer JSONB NOT NULL DEFAULT '{}'::jsonb,
+  recipient JSONB NOT NULL DEFAULT '{}'::jsonb,
+  reason TEXT,
+  document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (structure_id, series, folio),
+  CHECK (
+    (invoice_type = 'invoice' AND original_invoice_id IS NULL)
+    OR (invoice_type = 'credit_note' AND original_invoice_id IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_invoices_structure_user
+  ON fee_invoices(structure_id, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_fee_invoices_capital_call
+  ON fee_invoices(capital_call_id);
+
+CREATE INDEX IF NOT EXISTS idx_fee_invoices_original
+  ON fee_invoices(original_invoice_id);
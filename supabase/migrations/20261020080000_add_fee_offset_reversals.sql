@@ -0,0 +1,27 @@
+-- Fee offset reversals
+-- Cancelling a capital call (or rebuilding its allocations) no longer deletes the offsets it
+-- applied: a 'reversal' entry is posted against each 'applied' entry instead, returning the
+-- amount to the LP's balance while keeping both entries in the ledger.
+
+ALTER TABLE fee_offset_entries
+  ADD COLUMN IF NOT EXISTS reversed_entry_id UUID REFERENCES fee_offset_entries(id) ON DELETE CASCADE;
+
+ALTER TABLE fee_offset_entries DROP CONSTRAINT IF EXISTS fee_offset_entries_entry_type_check;
+ALTER TABLE fee_offset_entries DROP CONSTRAINT IF EXISTS fee_offset_entries_check;
+
+ALTER TABLE fee_offset_entries
+  ADD CONSTRAINT fee_offset_entries_entry_type_check
+  CHECK (entry_type IN ('credit', 'applied', 'reversal'));
+
+ALTER TABLE fee_offset_entries
+  ADD CONSTRAINT fee_offset_entries_check
+  CHECK (
+    (entry_type = 'credit' AND fee_income_id IS NOT NULL AND capital_call_id IS NULL AND reversed_entry_id IS NULL)
+    OR (entry_type = 'applied' AND capital_call_id IS NOT NULL AND fee_income_id IS NULL AND reversed_entry_id IS NULL)
+    OR (entry_type = 'reversal' AND capital_call_id IS NOT NULL AND fee_income_id IS NULL AND reversed_entry_id IS NOT NULL)
+  );
+
+-- An applied entry is reversed at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_offset_entries_reversed_entry
+  ON fee_offset_entries(reversed_entry_id)
+  WHERE reversed_entry_id IS NOT NULL;
@@ -0,0 +1,8 @@
+-- One open fee invoice per fee billing
+-- A capital call allocation can only be invoiced again once its invoice is fully credited.
+-- The service checks this before issuing; the index makes concurrent requests safe, so two
+-- runs cannot both invoice the same billing.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fee_invoices_open_allocation
+  ON fee_invoices(capital_call_allocation_id)
+  WHERE invoice_type = 'invoice' AND status <> 'credited';
@@ -0,0 +1,7 @@
+-- Fees in whole-fund return of capital
+-- Whole-fund (European) waterfalls return paid management fees to LPs along with their
+-- capital contributions, as most LPAs define contributed capital. Structures whose LPA
+-- only returns capital called for investments and expenses turn this off.
+
+ALTER TABLE structures
+  ADD COLUMN IF NOT EXISTS return_fees_with_capital BOOLEAN DEFAULT TRUE;
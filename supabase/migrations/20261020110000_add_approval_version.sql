@@ -0,0 +1,11 @@
+-- Approval chain version
+-- Approvals are recorded by rewriting approval_progress. approval_version is bumped on
+-- every submission and recorded approval, and an approval is only written if the
+-- version it was computed from is still current, so concurrent sign-offs on the same
+-- capital call or distribution cannot overwrite each other.
+
+ALTER TABLE capital_calls
+  ADD COLUMN IF NOT EXISTS approval_version INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE distributions
+  ADD COLUMN IF NOT EXISTS approval_version INTEGER NOT NULL DEFAULT 0;
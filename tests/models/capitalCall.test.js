@@ -781,6 +781,76 @@ describe('CapitalCall Model', () => {
     });
   });
 
+  describe('getCumulativeCalledByStructure', () => {
+    test('should count reinvested subscriptions as called capital', async () => {
+      mockSupabase.setMockResponse('capital_calls', { data: [{ id: 'call-1' }], error: null });
+      mockSupabase.setMockResponse('capital_call_allocations', {
+        data: [
+          { user_id: 'investor-1', total_drawdown: 100000 },
+          { user_id: 'investor-2', total_drawdown: 50000 },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_reinvestments', {
+        data: [{ user_id: 'investor-1', amount: 25000, reinvestment_date: '2025-06-30' }],
+        error: null,
+      });
+
+      const cumulative = await CapitalCall.getCumulativeCalledByStructure('structure-123');
+
+      expect(cumulative).toEqual({ 'investor-1': 125000, 'investor-2': 50000 });
+    });
+
+    test('should count reinvested subscriptions before any call is made', async () => {
+      mockSupabase.setMockResponse('capital_calls', { data: [], error: null });
+      mockSupabase.setMockResponse('distribution_reinvestments', {
+        data: [{ user_id: 'investor-1', amount: 25000, reinvestment_date: '2025-06-30' }],
+        error: null,
+      });
+
+      const history = await CapitalCall.getCallHistoryByStructure('structure-123');
+
+      expect(history).toEqual([{ capitalCallId: null, userId: 'investor-1', date: '2025-06-30', amount: 25000 }]);
+      expect(await CapitalCall.getCumulativeCalledByStructure('structure-123')).toEqual({ 'investor-1': 25000 });
+    });
+  });
+
+  describe('findOverdueAllocations', () => {
+    test('should find installment allocations with a missed installment before the call deadline', async () => {
+      const row = {
+        id: 'alloc-1',
+        capital_call_id: 'call-1',
+        user_id: 'lp-1',
+        status: 'Partially Paid',
+        total_due: 1000,
+        paid_amount: 0,
+        capital_calls: { id: 'call-1', deadline_date: '2024-06-30', status: 'Sent' },
+        capital_call_allocation_installments: [
+          { installment_number: 2, due_date: '2024-06-30', amount_due: 500, paid_amount: 0, status: 'Pending' },
+          { installment_number: 1, due_date: '2024-03-31', amount_due: 500, paid_amount: 0, status: 'Pending' }
+        ]
+      };
+      const allocationResponses = [[], [row]];
+      const queries = [];
+      const from = mockSupabase.from.bind(mockSupabase);
+      jest.spyOn(mockSupabase, 'from').mockImplementation((table) => {
+        const query = from(table);
+        if (table === 'capital_call_allocations') query.mockData = allocationResponses.shift();
+        if (table === 'capital_call_allocation_installments') query.mockData = [{ allocation_id: 'alloc-1' }];
+        queries.push(query);
+        return query;
+      });
+
+      const overdue = await CapitalCall.findOverdueAllocations('2024-04-15');
+
+      expect(overdue).toHaveLength(1);
+      expect(overdue[0].earliestUnpaidDueDate).toBe('2024-03-31');
+      expect(overdue[0].installments.map(i => i.installmentNumber)).toEqual([1, 2]);
+      expect(queries[1].filters).toEqual(expect.arrayContaining([{ type: 'lt', column: 'due_date', value: '2024-04-15' }]));
+      expect(queries[2].filters).toEqual(expect.arrayContaining([{ type: 'in', column: 'id', values: ['alloc-1'] }]));
+    });
+  });
+
   describe('createAllocationsForStructure', () => {
     test('should create allocations for all investors', async () => {
       // Mock investments query
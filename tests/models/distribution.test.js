@@ -689,31 +689,39 @@ describe('Distribution Model', () => {
   });
 
   describe('applyWaterfall', () => {
-    test('should apply waterfall calculation', async () => {
-      mockSupabase.setMockRpcResponse('apply_waterfall_distribution', {
-        data: {
-          tier1_amount: 500000,
-          tier2_amount: 300000,
-          tier3_amount: 150000,
-          tier4_amount: 50000,
-        },
-        error: null,
+    test('should store tier totals, LP/GP split and the trace from the engine', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({
+        id: 'distribution-123',
+        structureId: 'structure-123',
+        distributionDate: '2025-01-01',
+        totalAmount: 1500000,
+      });
+      jest.spyOn(Distribution, 'getWaterfallInputs').mockResolvedValue({
+        tiers: [],
+        terms: { hurdleRate: 8, carriedInterest: 20, prefReturnCompounding: 'simple' },
+        investors: [
+          { userId: 'investor-1', ownershipPercent: 100, contributions: [{ date: '2024-01-01', amount: 1000000 }] },
+        ],
+        priorDistributions: [],
+        distribution: { id: 'distribution-123', date: '2025-01-01', amount: 1500000 },
       });
+      jest.spyOn(Distribution, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
 
       const result = await Distribution.applyWaterfall('distribution-123');
 
-      expect(result).toBeDefined();
-      expect(result.tier1_amount).toBe(500000);
+      const update = Distribution.findByIdAndUpdate.mock.calls[0][1];
+      expect(update.waterfallApplied).toBe(true);
+      expect(update.tier1Amount).toBe(1000000);
+      expect(update.lpTotalAmount + update.gpTotalAmount).toBeCloseTo(1500000, 2);
+      expect(update.waterfallEngineVersion).toBe(result.waterfall.version);
+      expect(update.waterfallTrace.tiers).toHaveLength(4);
     });
 
-    test('should throw error if RPC fails', async () => {
-      mockSupabase.setMockRpcResponse('apply_waterfall_distribution', {
-        data: null,
-        error: { message: 'RPC error' },
-      });
+    test('should throw error if distribution not found', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue(null);
 
       await expect(Distribution.applyWaterfall('distribution-123')).rejects.toThrow(
-        'Error applying waterfall: RPC error'
+        'Distribution not found'
       );
     });
   });
@@ -873,6 +881,279 @@ describe('Distribution Model', () => {
       expect(allocations[1].allocated_amount).toBe(480000);
     });
 
+    test('should leave LPs excluded from the investment out and redistribute their share', async () => {
+      mockSupabase.setMockResponse('investments', {
+        data: [
+          { user_id: 'investor-1', ownership_percentage: 40, equity_ownership_percent: null },
+          { user_id: 'investor-2', ownership_percentage: 60, equity_ownership_percent: null },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distributions', {
+        data: {
+          id: 'distribution-123',
+          structure_id: 'structure-123',
+          distribution_date: '2024-03-15',
+          investment_id: 'investment-123',
+          waterfall_applied: false,
+          lp_total_amount: 800000,
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('investment_exclusions', {
+        data: [{ user_id: 'investor-1' }],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [], error: null });
+
+      const queries = [];
+      const originalFrom = mockSupabase.from.bind(mockSupabase);
+      jest.spyOn(mockSupabase, 'from').mockImplementation((table) => {
+        const query = originalFrom(table);
+        queries.push(query);
+        return query;
+      });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insert = queries.find(q => q.table === 'distribution_allocations').insertData;
+      expect(insert).toEqual([
+        expect.objectContaining({ user_id: 'investor-2', allocated_amount: 800000 }),
+      ]);
+    });
+
+    test('should create allocations from the waterfall engine when waterfall applied', async () => {
+      mockSupabase.setMockResponse('investments', {
+        data: [{ user_id: 'investor-1', ownership_percentage: 100, equity_ownership_percent: null }],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distributions', {
+        data: { id: 'distribution-123', structure_id: 'structure-123', distribution_date: '2024-03-15', waterfall_applied: true },
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [], error: null });
+      jest.spyOn(Distribution, 'calculateWaterfall').mockResolvedValue({
+        allocations: [{
+          userId: 'investor-1',
+          ownershipPercent: 100,
+          returnOfCapital: 1000,
+          preferredReturn: 80,
+          lpAmount: 1500,
+          gpAmount: 100,
+        }],
+      });
+
+      const queries = [];
+      const originalFrom = mockSupabase.from.bind(mockSupabase);
+      jest.spyOn(mockSupabase, 'from').mockImplementation((table) => {
+        const query = originalFrom(table);
+        queries.push(query);
+        return query;
+      });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insert = queries.find(q => q.table === 'distribution_allocations').insertData;
+      expect(insert).toEqual([
+        expect.objectContaining({
+          user_id: 'investor-1',
+          allocated_amount: 1500,
+          roc_portion: 1000,
+          income_portion: 500,
+          preferred_return_amount: 80,
+          carried_interest_amount: 100,
+        }),
+      ]);
+    });
+
+    test('should withhold tax per LP profile and income source', async () => {
+      mockSupabase.setMockResponse('investments', {
+        data: [
+          { user_id: 'investor-1', ownership_percentage: 50, equity_ownership_percent: null },
+          { user_id: 'investor-2', ownership_percentage: 50, equity_ownership_percent: null },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distributions', {
+        data: {
+          id: 'distribution-123',
+          structure_id: 'structure-123',
+          distribution_date: '2024-03-15',
+          waterfall_applied: false,
+          lp_total_amount: 200000,
+          source_equity_gain: 150000,
+          source_debt_principal: 50000,
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('structures', {
+        data: {
+          tax_jurisdiction: 'Mexico',
+          withholding_tax_natural_residents: 10,
+          withholding_tax_legal_non_residents: 25,
+          same_tax_treatment: false,
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('users', {
+        data: [
+          { id: 'investor-1', investor_type: 'Individual', country: 'Mexico' },
+          { id: 'investor-2', investor_type: 'Institution', country: 'Spain' },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('withholding_tax_elections', {
+        data: [{
+          id: 'election-1',
+          user_id: 'investor-2',
+          election_type: 'treaty',
+          rate: 15,
+          income_sources: null,
+          effective_date: '2024-01-01',
+          status: 'Active',
+        }],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [], error: null });
+
+      const queries = [];
+      const originalFrom = mockSupabase.from.bind(mockSupabase);
+      jest.spyOn(mockSupabase, 'from').mockImplementation((table) => {
+        const query = originalFrom(table);
+        queries.push(query);
+        return query;
+      });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insert = queries.find(q => q.table === 'distribution_allocations').insertData;
+      expect(insert[0]).toEqual(expect.objectContaining({
+        user_id: 'investor-1',
+        allocated_amount: 100000,
+        withholding_tax_amount: 7500,
+        net_to_investor: 92500,
+        withholding_category: 'natural_resident',
+      }));
+      expect(insert[1]).toEqual(expect.objectContaining({
+        user_id: 'investor-2',
+        withholding_tax_amount: 11250,
+        net_to_investor: 88750,
+        withholding_category: 'legal_non_resident',
+      }));
+      expect(insert[1].withholding_breakdown).toEqual([
+        expect.objectContaining({ source: 'equity_gain', gross: 75000, rate: 15, basis: 'treaty', electionId: 'election-1' }),
+        expect.objectContaining({ source: 'debt_principal', gross: 25000, withheld: 0, basis: 'not_taxable' }),
+      ]);
+    });
+
+    test('should allocate in-kind units with cash in lieu of fractions', async () => {
+      mockSupabase.setMockResponse('investments', {
+        data: [
+          { user_id: 'investor-1', ownership_percentage: 60, equity_ownership_percent: null },
+          { user_id: 'investor-2', ownership_percentage: 40, equity_ownership_percent: null },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distributions', {
+        data: {
+          id: 'distribution-123',
+          structure_id: 'structure-123',
+          distribution_date: '2024-03-15',
+          waterfall_applied: false,
+          total_amount: 100000,
+          lp_total_amount: 100000,
+          in_kind_asset_type: 'security',
+          in_kind_unit_value: 30,
+          in_kind_total_units: 1000,
+          in_kind_unit_decimals: 0,
+          in_kind_rounding: 'round_down',
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [], error: null });
+
+      const queries = [];
+      const originalFrom = mockSupabase.from.bind(mockSupabase);
+      jest.spyOn(mockSupabase, 'from').mockImplementation((table) => {
+        const query = originalFrom(table);
+        queries.push(query);
+        return query;
+      });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insert = queries.find(q => q.table === 'distribution_allocations').insertData;
+      expect(insert[0]).toEqual(expect.objectContaining({
+        user_id: 'investor-1',
+        allocated_amount: 60000,
+        in_kind_units: 600,
+        in_kind_value: 18000,
+        cash_in_lieu: 0,
+        cash_amount: 42000,
+      }));
+      expect(insert[1]).toEqual(expect.objectContaining({
+        user_id: 'investor-2',
+        in_kind_units: 400,
+        cash_amount: 28000,
+      }));
+    });
+
+    test('should reinvest the elected share of each LP\'s cash payable', async () => {
+      mockSupabase.setMockResponse('investments', {
+        data: [
+          { user_id: 'investor-1', ownership_percentage: 50, equity_ownership_percent: null },
+          { user_id: 'investor-2', ownership_percentage: 50, equity_ownership_percent: null },
+        ],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distributions', {
+        data: {
+          id: 'distribution-123',
+          structure_id: 'structure-123',
+          distribution_date: '2024-03-15',
+          waterfall_applied: false,
+          lp_total_amount: 100000,
+        },
+        error: null,
+      });
+      mockSupabase.setMockResponse('reinvestment_elections', {
+        data: [{
+          id: 'election-1',
+          user_id: 'investor-1',
+          reinvestment_percentage: 40,
+          method: 'net_against_call',
+          effective_date: '2024-01-01',
+          status: 'Active',
+        }],
+        error: null,
+      });
+      mockSupabase.setMockResponse('distribution_allocations', { data: [], error: null });
+
+      const queries = [];
+      const originalFrom = mockSupabase.from.bind(mockSupabase);
+      jest.spyOn(mockSupabase, 'from').mockImplementation((table) => {
+        const query = originalFrom(table);
+        queries.push(query);
+        return query;
+      });
+
+      await Distribution.createAllocationsForStructure('distribution-123', 'structure-123');
+
+      const insert = queries.find(q => q.table === 'distribution_allocations').insertData;
+      expect(insert[0]).toEqual(expect.objectContaining({
+        user_id: 'investor-1',
+        allocated_amount: 50000,
+        reinvestment_amount: 20000,
+        reinvestment_method: 'net_against_call',
+        reinvestment_election_id: 'election-1',
+      }));
+      expect(insert[1]).toEqual(expect.objectContaining({
+        user_id: 'investor-2',
+        reinvestment_amount: 0,
+        reinvestment_method: null,
+      }));
+    });
+
     test('should throw error if distribution not found', async () => {
       // Mock investments query
       mockSupabase.setMockResponse('investments', {
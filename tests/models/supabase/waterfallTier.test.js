@@ -588,9 +588,23 @@ describe('WaterfallTier Model', () => {
       expect(result.errors).toEqual([]);
     });
 
+    test('should accept tiers beyond the fourth', () => {
+      const tier = {
+        tierNumber: 6,
+        lpSharePercent: 70,
+        gpSharePercent: 30,
+        thresholdIrr: null,
+        thresholdAmount: null
+      };
+
+      const result = WaterfallTier.validateTier(tier);
+
+      expect(result.isValid).toBe(true);
+    });
+
     test('should invalidate tier with incorrect tier number', () => {
       const tier = {
-        tierNumber: 5,
+        tierNumber: 0,
         lpSharePercent: 100,
         gpSharePercent: 0,
         thresholdIrr: null,
@@ -600,7 +614,7 @@ describe('WaterfallTier Model', () => {
       const result = WaterfallTier.validateTier(tier);
 
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Tier number must be between 1 and 4');
+      expect(result.errors).toContain('Tier number must be a positive integer');
     });
 
     test('should invalidate tier with incorrect percentage sum', () => {
@@ -678,9 +692,26 @@ describe('WaterfallTier Model', () => {
       expect(result.errors).toContain('Threshold amount must be positive');
     });
 
-    test('should accumulate multiple validation errors', () => {
+    test('should require the value of the threshold type', () => {
       const tier = {
         tierNumber: 5,
+        lpSharePercent: 80,
+        gpSharePercent: 20,
+        thresholdType: 'moic',
+        thresholdIrr: null,
+        thresholdAmount: null,
+        thresholdMultiple: null
+      };
+
+      const result = WaterfallTier.validateTier(tier);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('thresholdMultiple is required for MOIC thresholds');
+    });
+
+    test('should accumulate multiple validation errors', () => {
+      const tier = {
+        tierNumber: 0,
         lpSharePercent: 150,
         gpSharePercent: -50,
         thresholdIrr: 200,
@@ -694,6 +725,46 @@ describe('WaterfallTier Model', () => {
     });
   });
 
+  describe('validateTierSequence', () => {
+    const tieredCarry = () => ([
+      { tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0, thresholdIrr: null, thresholdAmount: null },
+      { tierNumber: 2, lpSharePercent: 100, gpSharePercent: 0, thresholdIrr: 8, thresholdAmount: null },
+      { tierNumber: 3, lpSharePercent: 0, gpSharePercent: 100, thresholdIrr: null, thresholdAmount: null },
+      { tierNumber: 4, lpSharePercent: 80, gpSharePercent: 20, thresholdType: 'moic', thresholdMultiple: 2 },
+      { tierNumber: 5, lpSharePercent: 75, gpSharePercent: 25, thresholdType: 'irr', thresholdIrr: 25 },
+      { tierNumber: 6, lpSharePercent: 70, gpSharePercent: 30, thresholdIrr: null, thresholdAmount: null }
+    ]);
+
+    test('should accept a tiered carry waterfall', () => {
+      const result = WaterfallTier.validateTierSequence(tieredCarry());
+
+      expect(result).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should reject falling thresholds of the same type', () => {
+      const tiers = tieredCarry();
+      tiers[4].thresholdIrr = 6;
+
+      const result = WaterfallTier.validateTierSequence(tiers);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain("Tier 5 IRR threshold must be above tier 2's");
+    });
+
+    test('should reject uncapped split tiers before the last tier and a capped last tier', () => {
+      const tiers = tieredCarry();
+      tiers[3] = { ...tiers[3], thresholdType: null, thresholdMultiple: null };
+      tiers[5] = { ...tiers[5], thresholdType: 'moic', thresholdMultiple: 3 };
+
+      const result = WaterfallTier.validateTierSequence(tiers);
+
+      expect(result.errors).toEqual([
+        'Tier 4 splits proceeds without a threshold, so later tiers would never be reached',
+        'Tier 6 is the last tier and must not have a threshold; it takes the remaining proceeds'
+      ]);
+    });
+  });
+
   describe('getWaterfallSummary', () => {
     test('should get waterfall summary for structure', async () => {
       const dbResponse = [
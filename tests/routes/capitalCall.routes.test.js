@@ -36,9 +36,37 @@ jest.mock('../../src/middleware/rbac', () => ({
   },
 }));
 
+jest.mock('../../src/services/documentGenerator', () => ({
+  generateCapitalCallNoticePDF: jest.fn(),
+  generateIndividualLPNoticePDF: jest.fn(),
+  generateCapitalCallCancellationNoticePDF: jest.fn(),
+}));
+
+jest.mock('../../src/utils/emailSender', () => ({
+  sendEmail: jest.fn(),
+}));
+
 const { getSupabase } = require('../../src/config/database');
+const { generateIndividualLPNoticePDF } = require('../../src/services/documentGenerator');
+const { sendEmail } = require('../../src/utils/emailSender');
 const CapitalCall = require('../../src/models/supabase/capitalCall');
 const Structure = require('../../src/models/supabase/structure');
+const User = require('../../src/models/supabase/user');
+const ApprovalHistory = require('../../src/models/supabase/approvalHistory');
+const StructureInvestor = require('../../src/models/supabase/structureInvestor');
+const ApprovalPolicy = require('../../src/models/supabase/approvalPolicy');
+const StructureAdmin = require('../../src/models/supabase/structureAdmin');
+const CapitalCallInstallment = require('../../src/models/supabase/capitalCallInstallment');
+const CapitalCallPayment = require('../../src/models/supabase/capitalCallPayment');
+const CapitalCallRefund = require('../../src/models/supabase/capitalCallRefund');
+const CapitalCallLineItem = require('../../src/models/supabase/capitalCallLineItem');
+const CapitalCallExcusal = require('../../src/models/supabase/capitalCallExcusal');
+const Investment = require('../../src/models/supabase/investment');
+const RecallableLedgerEntry = require('../../src/models/supabase/recallableLedgerEntry');
+const DistributionReinvestment = require('../../src/models/supabase/distributionReinvestment');
+const FeeOffsetEntry = require('../../src/models/supabase/feeOffsetEntry');
+const FeeInvoice = require('../../src/models/supabase/feeInvoice');
+const FirmSettings = require('../../src/models/supabase/firmSettings');
 
 describe('Capital Call Routes', () => {
   let app;
@@ -155,6 +183,83 @@ describe('Capital Call Routes', () => {
 
       expect(response.status).toBe(400);
     });
+
+    test('should return 400 if a recycling call exceeds the recallable balance', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', recallableDistributionsEnabled: true });
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([{ userId: 'lp-1', commitment: 1000000 }]);
+      jest.spyOn(RecallableLedgerEntry, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', entryType: 'credit', amount: 80000, distributionId: 'dist-1' },
+        { userId: 'lp-1', entryType: 'debit', amount: 30000, capitalCallId: 'call-1' }
+      ]);
+      const createSpy = jest.spyOn(CapitalCall, 'create');
+
+      const response = await request(app)
+        .post('/api/capital-calls')
+        .send({
+          structureId: 'struct-456',
+          callNumber: 'CC-002',
+          totalCallAmount: 60000,
+          recyclesCapital: true
+        });
+
+      expect(response.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/capital-calls/simulate', () => {
+    const structureInvestors = [
+      { user_id: 'lp-1', ownership_percent: 60, commitment: 600000, fee_discount: 0, vat_exempt: false },
+      { user_id: 'lp-2', ownership_percent: 40, commitment: 100000, fee_discount: 1, vat_exempt: true }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', managementFee: 2, vatRate: '16' });
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(CapitalCall, 'getAllocationInputs').mockResolvedValue({
+        structureInvestors,
+        cumulativeCalledMap: { 'lp-2': 90000 },
+        cumulativeRecallableMap: {}
+      });
+    });
+
+    test('should return per-LP fees, VAT and totals without persisting', async () => {
+      const insertSpy = jest.spyOn(CapitalCall, 'insertAllocations');
+
+      const response = await request(app)
+        .post('/api/capital-calls/simulate')
+        .send({ structureId: 'struct-456', totalCallAmount: 100000, feePeriod: 'annual' });
+
+      expect(response.status).toBe(200);
+      const [lp1, lp2] = response.body.data.investors;
+      expect(lp1.principal).toBe(60000);
+      expect(lp1.managementFeeNet).toBeCloseTo(1200);
+      expect(lp1.vat).toBeCloseTo(192);
+      // 1pp discount and VAT exemption
+      expect(lp2.managementFeeNet).toBeCloseTo(400);
+      expect(lp2.vat).toBe(0);
+      expect(response.body.data.totals.principal).toBe(100000);
+      expect(insertSpy).not.toHaveBeenCalled();
+    });
+
+    test('should warn when an LP would be called above commitment', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/simulate')
+        .send({ structureId: 'struct-456', totalCallAmount: 100000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.warnings).toEqual(
+        expect.arrayContaining([expect.objectContaining({ type: 'over_commitment', userId: 'lp-2' })])
+      );
+    });
+
+    test('should return 400 if structureId is missing', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/simulate')
+        .send({ totalCallAmount: 100000 });
+
+      expect(response.status).toBe(400);
+    });
   });
 
   describe('GET /api/capital-calls', () => {
@@ -547,6 +652,55 @@ describe('Capital Call Routes', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Allocations created successfully');
     });
+
+    test('should clear a limit override recorded against the previous allocations', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({
+        id: 'call-789',
+        structureId: 'struct-456',
+        limitOverrideJustification: 'LPA side letter allows follow-on reserve',
+        limitOverrideBy: 'user-123',
+        limitOverrideAt: '2024-06-01T00:00:00.000Z'
+      });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', name: 'Test Structure' });
+      jest.spyOn(CapitalCall, 'createAllocationsForStructure').mockResolvedValue([]);
+      jest.spyOn(CapitalCallExcusal, 'findByCapitalCallId').mockResolvedValue([]);
+      jest.spyOn(FeeOffsetEntry, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/create-allocations')
+        .send({});
+
+      expect(response.status).toBe(201);
+      expect(CapitalCall.findByIdAndUpdate).toHaveBeenCalledWith('call-789', {
+        limitOverrideJustification: null,
+        limitOverrideBy: null,
+        limitOverrideAt: null
+      });
+    });
+
+    test('should compute allocations on the backend when the call has excused investors', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'call-789', structureId: 'struct-456' });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', name: 'Test Structure' });
+      jest.spyOn(CapitalCallExcusal, 'findByCapitalCallId').mockResolvedValue([{ userId: 'investor-2' }]);
+      jest.spyOn(CapitalCall, 'createAllocationsForStructure').mockResolvedValue([]);
+      jest.spyOn(FeeOffsetEntry, 'findByStructureId').mockResolvedValue([]);
+      const insertSpy = jest.spyOn(mockSupabase, 'from');
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/create-allocations')
+        .send({
+          source: 'frontend',
+          allocations: [
+            { investorId: 'investor-1', principalAmount: 50000, totalDue: 50000 },
+            { investorId: 'investor-2', principalAmount: 50000, totalDue: 50000 }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+      expect(CapitalCall.createAllocationsForStructure).toHaveBeenCalledWith('call-789', 'struct-456');
+      expect(insertSpy).not.toHaveBeenCalledWith('capital_call_allocations');
+    });
   });
 
   describe('DELETE /api/capital-calls/:id', () => {
@@ -554,6 +708,7 @@ describe('Capital Call Routes', () => {
       const capitalCallData = {
         id: 'call-789',
         structureId: 'struct-456',
+        status: 'Draft',
         createdBy: 'user-123'
       };
 
@@ -576,6 +731,1283 @@ describe('Capital Call Routes', () => {
 
       expect(response.status).toBe(400);
     });
+
+    test('should not hard delete a capital call that has been sent', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'call-789', status: 'Sent' });
+      jest.spyOn(CapitalCall, 'findByIdAndDelete');
+
+      const response = await request(app)
+        .delete('/api/capital-calls/call-789');
+
+      expect(response.status).toBe(400);
+      expect(CapitalCall.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/capital-calls/:id/cancel', () => {
+    const sentCall = {
+      id: 'call-789',
+      structureId: 'struct-456',
+      callNumber: '5',
+      status: 'Partially Paid',
+      approvalStatus: 'approved',
+      totalCallAmount: 3000
+    };
+
+    beforeEach(() => {
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        ...sentCall,
+        capital_call_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', status: 'Paid', total_due: 1000, paid_amount: 1000, payment_approval_status: 'approved' },
+          { id: 'alloc-2', user_id: 'lp-2', status: 'Pending', total_due: 1000, paid_amount: 400, payment_approval_status: 'pending' },
+          { id: 'alloc-3', user_id: 'lp-3', status: 'Pending', total_due: 1000, paid_amount: 0 }
+        ]
+      });
+      jest.spyOn(CapitalCall, 'updateAllocation').mockResolvedValue({});
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...sentCall, ...data }));
+      jest.spyOn(CapitalCallPayment, 'reviewPendingByAllocationId').mockResolvedValue([]);
+      jest.spyOn(CapitalCallPayment, 'findByCapitalCallId').mockResolvedValue([]);
+      jest.spyOn(CapitalCallRefund, 'createMany').mockImplementation(async (rows) => rows.map((r, i) => ({ id: `refund-${i}`, ...r })));
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', name: 'Fund I', totalCalled: 10000 });
+      jest.spyOn(Structure, 'updateFinancials').mockResolvedValue({});
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', firstName: 'Jane' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+    });
+
+    test('should void allocations, refund received amounts and roll back called capital', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(sentCall);
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ reason: 'Acquisition did not close', notifyInvestors: false });
+
+      expect(response.status).toBe(200);
+      expect(CapitalCall.updateAllocation).toHaveBeenCalledTimes(3);
+      expect(CapitalCall.updateAllocation).toHaveBeenCalledWith('alloc-2', expect.objectContaining({
+        status: 'Voided',
+        payment_approval_status: 'rejected'
+      }));
+      // Only the approved payment is refunded; the pending one is rejected
+      expect(response.body.data.refunds).toEqual([
+        expect.objectContaining({ allocationId: 'alloc-1', userId: 'lp-1', amount: 1000, status: 'Pending' })
+      ]);
+      expect(CapitalCallPayment.reviewPendingByAllocationId).toHaveBeenCalledWith('alloc-2', 'rejected', 'user-123');
+      expect(CapitalCall.findByIdAndUpdate).toHaveBeenCalledWith('call-789', expect.objectContaining({
+        status: 'Cancelled',
+        cancellationReason: 'Acquisition did not close'
+      }));
+      expect(Structure.updateFinancials).toHaveBeenCalledWith('struct-456', { totalCalled: 7000 });
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'cancelled',
+        fromStatus: 'Partially Paid',
+        toStatus: 'Cancelled'
+      }));
+    });
+
+    test('should post reversals for the fee offsets the call applied instead of deleting them', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(sentCall);
+      jest.spyOn(FeeOffsetEntry, 'findByCapitalCallId').mockResolvedValue([
+        { id: 'entry-1', structureId: 'struct-456', userId: 'lp-1', entryType: 'applied', amount: 200, capitalCallId: 'call-789', capitalCallAllocationId: 'alloc-1', description: 'Applied to capital call #5' },
+        { id: 'entry-2', structureId: 'struct-456', userId: 'lp-2', entryType: 'applied', amount: 150, capitalCallId: 'call-789', capitalCallAllocationId: 'alloc-2' },
+        { id: 'entry-3', structureId: 'struct-456', userId: 'lp-2', entryType: 'reversal', amount: 150, capitalCallId: 'call-789', reversedEntryId: 'entry-2' }
+      ]);
+      jest.spyOn(FeeOffsetEntry, 'createMany').mockImplementation(async (rows) => rows);
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ reason: 'Acquisition did not close', notifyInvestors: false });
+
+      expect(response.status).toBe(200);
+      expect(FeeOffsetEntry.createMany).toHaveBeenCalledWith([
+        expect.objectContaining({
+          userId: 'lp-1',
+          entryType: 'reversal',
+          amount: 200,
+          capitalCallId: 'call-789',
+          reversedEntryId: 'entry-1',
+          description: 'Reversal: Applied to capital call #5',
+          createdBy: 'user-123'
+        })
+      ]);
+    });
+
+    test('should credit the open fee invoices of the call in full', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(sentCall);
+      jest.spyOn(FeeInvoice, 'findByStructureId').mockResolvedValue([
+        { id: 'invoice-1', structureId: 'struct-456', userId: 'lp-1', invoiceType: 'invoice', invoiceNumber: 'F-000001', capitalCallId: 'call-789', capitalCallAllocationId: 'alloc-1', currency: 'USD', subtotal: 100, vatRate: 16, vatAmount: 16, total: 116, creditedAmount: 16, status: 'partially_credited' },
+        { id: 'invoice-2', structureId: 'struct-456', userId: 'lp-2', invoiceType: 'invoice', invoiceNumber: 'F-000002', capitalCallId: 'call-789', capitalCallAllocationId: 'alloc-2', currency: 'USD', subtotal: 100, vatRate: 16, vatAmount: 16, total: 116, creditedAmount: 116, status: 'credited' }
+      ]);
+      jest.spyOn(FeeInvoice, 'updateIfCreditedAmount').mockImplementation(async (id, expected, data) => ({ id, ...data }));
+      jest.spyOn(FeeInvoice, 'createWithNextFolio').mockImplementation(async (data) => ({ id: 'credit-1', invoiceNumber: 'NC-000001', ...data }));
+      jest.spyOn(FirmSettings, 'get').mockResolvedValue({ companyName: 'GP Manager' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ reason: 'Acquisition did not close', notifyInvestors: false });
+
+      expect(response.status).toBe(200);
+      expect(FeeInvoice.findByStructureId).toHaveBeenCalledWith('struct-456', { capitalCallId: 'call-789', invoiceType: 'invoice' });
+      expect(FeeInvoice.updateIfCreditedAmount).toHaveBeenCalledTimes(1);
+      expect(FeeInvoice.updateIfCreditedAmount).toHaveBeenCalledWith('invoice-1', 16, { creditedAmount: 116, status: 'credited' });
+      expect(FeeInvoice.createWithNextFolio).toHaveBeenCalledWith(expect.objectContaining({
+        invoiceType: 'credit_note',
+        originalInvoiceId: 'invoice-1',
+        total: 100,
+        reason: 'Capital call #5 cancelled: Acquisition did not close'
+      }));
+      expect(response.body.data.creditNotes).toHaveLength(1);
+    });
+
+    test('should return the principal a recycling call debited to the recallable ledger', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...sentCall, recyclesCapital: true });
+      const releaseSpy = jest.spyOn(RecallableLedgerEntry, 'deleteByCapitalCallId').mockResolvedValue([
+        { userId: 'lp-1', entryType: 'debit', amount: 1000, capitalCallId: 'call-789' }
+      ]);
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ reason: 'Acquisition did not close', notifyInvestors: false });
+
+      expect(response.status).toBe(200);
+      expect(releaseSpy).toHaveBeenCalledWith('call-789');
+    });
+
+    test('should restore reinvestment credits netted against the call instead of refunding them', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(sentCall);
+      jest.spyOn(CapitalCallPayment, 'findByCapitalCallId').mockResolvedValue([
+        { id: 'payment-1', allocationId: 'alloc-1', amount: 600, paymentMethod: 'reinvestment', approvalStatus: 'approved' },
+        { id: 'payment-2', allocationId: 'alloc-1', amount: 400, paymentMethod: 'wire', approvalStatus: 'approved' }
+      ]);
+      jest.spyOn(CapitalCallPayment, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+      jest.spyOn(DistributionReinvestment, 'findByStructureId').mockResolvedValue([
+        {
+          id: 'reinvestment-1',
+          method: 'net_against_call',
+          amount: 800,
+          appliedAmount: 800,
+          status: 'applied',
+          applications: [
+            { capitalCallId: 'call-700', allocationId: 'alloc-0', amount: 200 },
+            { capitalCallId: 'call-789', allocationId: 'alloc-1', paymentId: 'payment-1', amount: 600 }
+          ]
+        }
+      ]);
+      jest.spyOn(DistributionReinvestment, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ reason: 'Acquisition did not close', notifyInvestors: false });
+
+      expect(response.status).toBe(200);
+      // Only the cash part of the payment is refunded
+      expect(response.body.data.refunds).toEqual([
+        expect.objectContaining({ allocationId: 'alloc-1', amount: 400 })
+      ]);
+      expect(CapitalCallPayment.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+      expect(CapitalCallPayment.findByIdAndUpdate).toHaveBeenCalledWith('payment-1', expect.objectContaining({
+        approvalStatus: 'reversed'
+      }));
+      expect(DistributionReinvestment.findByIdAndUpdate).toHaveBeenCalledWith('reinvestment-1', {
+        appliedAmount: 200,
+        applications: [{ capitalCallId: 'call-700', allocationId: 'alloc-0', amount: 200 }],
+        status: 'pending'
+      });
+    });
+
+    test('should require a reason', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should not cancel a draft capital call', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...sentCall, status: 'Draft' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/cancel')
+        .send({ reason: 'Not needed' });
+
+      expect(response.status).toBe(400);
+      expect(CapitalCall.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/capital-calls/defaults', () => {
+    test('should list defaulted allocations with totals', async () => {
+      jest.spyOn(CapitalCall, 'findDefaultedAllocations').mockResolvedValue([
+        { id: 'alloc-1', defaultOutstandingAmount: 1000, defaultInterestAmount: 25, forfeitedAmount: 0 },
+        { id: 'alloc-2', defaultOutstandingAmount: 500, defaultInterestAmount: 10, forfeitedAmount: 200 }
+      ]);
+
+      const response = await request(app)
+        .get('/api/capital-calls/defaults?structureId=struct-456');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.totals).toEqual({ outstanding: 1500, defaultInterest: 35, forfeited: 200 });
+      expect(CapitalCall.findDefaultedAllocations).toHaveBeenCalledWith({
+        structureId: 'struct-456',
+        includeResolved: false
+      });
+    });
+  });
+
+  describe('POST /api/capital-calls/allocations/:allocationId/default', () => {
+    const overdueAllocation = {
+      id: 'alloc-1',
+      capitalCallId: 'call-789',
+      userId: 'investor-1',
+      status: 'Pending',
+      totalDue: 1000,
+      paidAmount: 0,
+      outstanding: 1000,
+      capitalCall: { id: 'call-789', deadlineDate: '2020-01-01' },
+      structure: { defaultGracePeriodDays: 10, defaultInterestRate: 8, dayCountConvention: 'actual_365' }
+    };
+
+    test('should mark an overdue allocation as defaulted and log the action', async () => {
+      jest.spyOn(CapitalCall, 'findAllocationById').mockResolvedValue(overdueAllocation);
+      jest.spyOn(CapitalCall, 'updateAllocation').mockImplementation(async (id, fields) => ({ id, status: fields.status }));
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', firstName: 'Jane', lastName: 'Admin' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/capital-calls/allocations/alloc-1/default')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('Defaulted');
+      expect(CapitalCall.updateAllocation).toHaveBeenCalledWith('alloc-1', expect.objectContaining({
+        status: 'Defaulted',
+        default_outstanding_amount: 1000
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        entityType: 'capital_call',
+        entityId: 'call-789',
+        action: 'investor_defaulted',
+        userName: 'Jane Admin'
+      }));
+    });
+
+    test('should return 400 while the grace period has not elapsed', async () => {
+      const future = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      jest.spyOn(CapitalCall, 'findAllocationById').mockResolvedValue({
+        ...overdueAllocation,
+        capitalCall: { id: 'call-789', deadlineDate: future }
+      });
+
+      const response = await request(app)
+        .post('/api/capital-calls/allocations/alloc-1/default')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/capital-calls/allocations/:allocationId/remedy', () => {
+    test('should reject an unknown remedy', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/allocations/alloc-1/remedy')
+        .send({ remedy: 'eviction' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require a buyer for a forced sale', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/allocations/alloc-1/remedy')
+        .send({ remedy: 'forced_sale' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 400 if allocation is not in default', async () => {
+      jest.spyOn(CapitalCall, 'findAllocationById').mockResolvedValue({ id: 'alloc-1', status: 'Pending' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/allocations/alloc-1/remedy')
+        .send({ remedy: 'forfeiture' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/capital-calls/:id/overcall', () => {
+    const originalCall = {
+      id: 'call-789',
+      structureId: 'struct-456',
+      callNumber: '3',
+      status: 'Partially Paid',
+      createdBy: 'user-123'
+    };
+
+    const mockOvercallData = (structure) => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(originalCall);
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        ...originalCall,
+        capital_call_allocations: [
+          { user_id: 'lp-1', status: 'Defaulted', principal_amount: 1000, capital_paid: 0 },
+          { user_id: 'lp-2', status: 'Paid', principal_amount: 1000, capital_paid: 1000 },
+          { user_id: 'lp-3', status: 'Paid', principal_amount: 2000, capital_paid: 2000 }
+        ]
+      });
+      jest.spyOn(Structure, 'findById').mockResolvedValue(structure);
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', commitment: 10000, ownershipPercent: 25 },
+        { userId: 'lp-2', commitment: 10000, ownershipPercent: 25 },
+        { userId: 'lp-3', commitment: 20000, ownershipPercent: 50 }
+      ]);
+      jest.spyOn(CapitalCall, 'getCumulativeCalledByStructure').mockResolvedValue({ 'lp-2': 9800, 'lp-3': 2000 });
+      jest.spyOn(CapitalCall, 'find').mockResolvedValue([]);
+    };
+
+    test('should cap shares by unfunded commitment and link the supplementary call', async () => {
+      mockOvercallData({ id: 'struct-456', overcallLimitPercent: null });
+      jest.spyOn(CapitalCall, 'create').mockImplementation(async (data) => ({ id: 'call-900', ...data }));
+      jest.spyOn(CapitalCall, 'insertAllocations').mockResolvedValue([]);
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', firstName: 'Jane' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/overcall')
+        .send({ notifyInvestors: false });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.overcall.shortfall).toBe(1000);
+      // lp-2 only has 200 unfunded, lp-3 absorbs the rest
+      expect(response.body.data.overcall.allocations).toEqual([
+        { userId: 'lp-2', amount: 200 },
+        { userId: 'lp-3', amount: 800 }
+      ]);
+      expect(CapitalCall.create).toHaveBeenCalledWith(expect.objectContaining({
+        callNumber: '3-R1',
+        parentCapitalCallId: 'call-789',
+        callType: 'overcall',
+        totalCallAmount: 1000
+      }));
+    });
+
+    test('should create the call from the previewed numbers and email the LP notices', async () => {
+      mockOvercallData({ id: 'struct-456', name: 'Fund I', overcallLimitPercent: null, baseCurrency: 'USD' });
+      jest.spyOn(CapitalCall, 'create').mockImplementation(async (data) => ({ id: 'call-900', ...data }));
+      jest.spyOn(CapitalCall, 'insertAllocations').mockImplementation(async (rows) => rows.map((r, i) => ({ id: `alloc-${i}`, ...r })));
+      jest.spyOn(CapitalCall, 'markAsSent').mockResolvedValue({});
+      jest.spyOn(CapitalCallInstallment, 'findAllocationInstallmentsByCall').mockResolvedValue([]);
+      jest.spyOn(CapitalCallLineItem, 'findAllocationLineItemsByCall').mockResolvedValue([]);
+      jest.spyOn(User, 'findById').mockImplementation(async (id) => ({ id, firstName: 'LP', lastName: id, email: `${id}@example.com` }));
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+      generateIndividualLPNoticePDF.mockResolvedValue(Buffer.from('pdf'));
+      sendEmail.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/overcall')
+        .send({ firmName: 'GP Manager' });
+
+      expect(response.status).toBe(201);
+      // The shortfall data is loaded once, for the preview the call is created from
+      expect(CapitalCall.findWithAllocations).toHaveBeenCalledTimes(1);
+      expect(generateIndividualLPNoticePDF).toHaveBeenCalledTimes(2);
+      expect(generateIndividualLPNoticePDF).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'call-900', parentCallNumber: '3' }),
+        expect.objectContaining({ user_id: 'lp-3', principal_amount: 800 }),
+        expect.objectContaining({ id: 'struct-456' }),
+        expect.objectContaining({ id: 'lp-3' }),
+        expect.objectContaining({ firmName: 'GP Manager' })
+      );
+      expect(sendEmail).toHaveBeenCalledWith('user-123', expect.objectContaining({ to: ['lp-2@example.com'] }));
+      expect(response.body.data.notices.sent).toHaveLength(2);
+      expect(CapitalCall.markAsSent).toHaveBeenCalledWith('call-900');
+      expect(response.body.data.capitalCallStatus).toBe('Sent');
+    });
+
+    test('should apply the LPA overcall limit in the preview', async () => {
+      mockOvercallData({ id: 'struct-456', overcallLimitPercent: 10 });
+
+      const response = await request(app)
+        .get('/api/capital-calls/call-789/overcall/preview');
+
+      expect(response.status).toBe(200);
+      // 10% of original allocations: lp-2 capped at 100, lp-3 at 200
+      expect(response.body.data.allocations).toEqual([
+        { userId: 'lp-2', amount: 100 },
+        { userId: 'lp-3', amount: 200 }
+      ]);
+      expect(response.body.data.unallocatedAmount).toBe(700);
+    });
+
+    test('should return 400 for draft capital calls', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...originalCall, status: 'Draft' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/overcall')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Capital call limit guardrails', () => {
+    const draftCall = {
+      id: 'call-789',
+      structureId: 'struct-456',
+      callNumber: '4',
+      callDate: '2026-01-15',
+      totalCallAmount: 150000,
+      approvalStatus: 'draft',
+      createdBy: 'user-123'
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({
+        id: 'struct-456',
+        capitalCallDefaultPercentage: 25,
+        inceptionDate: '2025-01-01',
+        commitmentPeriodYears: 5
+      });
+      jest.spyOn(CapitalCall, 'getAllocationInputs').mockResolvedValue({
+        structureInvestors: [
+          { user_id: 'lp-1', ownership_percent: 50, commitment: 250000 },
+          { user_id: 'lp-2', ownership_percent: 50, commitment: 250000 }
+        ],
+        cumulativeCalledMap: { 'lp-1': 50000, 'lp-2': 200000 },
+        cumulativeRecallableMap: {}
+      });
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        ...draftCall,
+        capital_call_allocations: [
+          { user_id: 'lp-1', total_drawdown: 75000 },
+          { user_id: 'lp-2', total_drawdown: 75000 }
+        ]
+      });
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', firstName: 'Jane' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+    });
+
+    test('should report LP over-commitment and per-call limit violations', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+
+      const response = await request(app)
+        .get('/api/capital-calls/call-789/limit-check');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.valid).toBe(false);
+      const codes = response.body.data.violations.map(v => v.code);
+      expect(codes).toEqual(['lp_over_commitment', 'call_limit_exceeded']);
+      expect(response.body.data.violations[0]).toEqual(expect.objectContaining({ userId: 'lp-2', excess: 25000 }));
+    });
+
+    test('should block submission without an override', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockResolvedValue(draftCall);
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/submit-for-review')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.violations).toHaveLength(2);
+      expect(CapitalCall.findByIdAndUpdate).not.toHaveBeenCalledWith('call-789', { approvalStatus: 'pending_cfo' });
+    });
+
+    test('should not let the submitter override the limits at submission', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockResolvedValue(draftCall);
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/submit-for-review')
+        .send({ overrideJustification: 'Approved by IC' });
+
+      expect(response.status).toBe(400);
+      expect(CapitalCall.findByIdAndUpdate).not.toHaveBeenCalledWith('call-789', expect.objectContaining({
+        limitOverrideJustification: expect.anything()
+      }));
+      expect(ApprovalHistory.logAction).not.toHaveBeenCalled();
+    });
+
+    test('should block submission by the approver who overrode the limits', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({
+        ...draftCall,
+        limitOverrideJustification: 'Side letter',
+        limitOverrideBy: 'user-123',
+        limitOverrideAt: '2025-06-01T00:00:00Z'
+      });
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockResolvedValue(draftCall);
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/submit-for-review')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Segregation of duties: the limit override must be recorded by someone other than the submitter');
+      expect(CapitalCall.findByIdAndUpdate).not.toHaveBeenCalledWith('call-789', expect.objectContaining({ approvalStatus: 'pending_cfo' }));
+    });
+
+    test('should allow submission once another approver overrode the limits', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({
+        ...draftCall,
+        limitOverrideJustification: 'Side letter',
+        limitOverrideBy: 'approver-2',
+        limitOverrideAt: '2025-06-01T00:00:00Z'
+      });
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...draftCall, ...data }));
+      jest.spyOn(ApprovalPolicy, 'findByStructureAndEntity').mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/submit-for-review')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(CapitalCall.findByIdAndUpdate).toHaveBeenCalledWith('call-789', expect.objectContaining({ approvalStatus: 'pending_cfo' }));
+    });
+
+    test('should record an approver override with justification', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...draftCall, ...data }));
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/override-limits')
+        .send({ justification: 'LPA side letter allows follow-on reserve' });
+
+      expect(response.status).toBe(200);
+      expect(CapitalCall.findByIdAndUpdate).toHaveBeenCalledWith('call-789', expect.objectContaining({
+        limitOverrideJustification: 'LPA side letter allows follow-on reserve',
+        limitOverrideBy: 'user-123'
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'limits_overridden' }));
+    });
+
+    test('should require a justification to override', async () => {
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/override-limits')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Approval policies', () => {
+    const policy = {
+      id: 'policy-1',
+      structureId: 'struct-456',
+      entityType: 'capital_call',
+      segregationOfDuties: true,
+      stages: [
+        { key: 'ops', name: 'Operations Review', roles: [1], quorum: 1 },
+        { key: 'ic', name: 'Investment Committee', roles: [], userIds: ['user-123', 'ic-2', 'ic-3'], quorum: 2, minAmount: 1000000 }
+      ]
+    };
+
+    const pendingCall = (approvalProgress) => ({
+      id: 'call-789',
+      structureId: 'struct-456',
+      callNumber: 'CC-001',
+      totalCallAmount: 2000000,
+      approvalStatus: 'pending_cfo',
+      createdBy: 'creator-1',
+      approvalProgress
+    });
+
+    const progress = (currentStageIndex, icApprovals = []) => ({
+      policyId: 'policy-1',
+      segregationOfDuties: true,
+      submittedBy: 'creator-1',
+      currentStageIndex,
+      stages: [
+        { key: 'ops', name: 'Operations Review', roles: [1], userIds: [], quorum: 1, minAmount: null, approvals: [{ userId: 'ops-1' }] },
+        { key: 'ic', name: 'Investment Committee', roles: [], userIds: ['user-123', 'ic-2', 'ic-3'], quorum: 2, minAmount: 1000000, approvals: icApprovals }
+      ]
+    });
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', firstName: 'Jane' });
+      jest.spyOn(User, 'find').mockResolvedValue([]);
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', name: 'Fund I' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+      jest.spyOn(StructureAdmin, 'findByStructureId').mockResolvedValue([
+        { userId: 'user-123', user: { id: 'user-123', role: 2 } },
+        { userId: 'ic-2', user: { id: 'ic-2', role: 2 } },
+        { userId: 'ic-3', user: { id: 'ic-3', role: 2 } }
+      ]);
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...pendingCall(), ...data }));
+      jest.spyOn(CapitalCall, 'updateIfApprovalUnchanged').mockImplementation(async (id, expected, data) => ({ ...pendingCall(), ...data }));
+    });
+
+    test('should snapshot threshold stages when submitted for review', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...pendingCall(null), approvalStatus: 'draft' });
+      jest.spyOn(CapitalCall, 'getAllocationInputs').mockResolvedValue({
+        structureInvestors: [], cumulativeCalledMap: {}, cumulativeRecallableMap: {}
+      });
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({ capital_call_allocations: [] });
+      jest.spyOn(ApprovalPolicy, 'findByStructureAndEntity').mockResolvedValue(policy);
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/submit-for-review')
+        .send({});
+
+      expect(response.status).toBe(200);
+      const saved = CapitalCall.findByIdAndUpdate.mock.calls[0][1];
+      expect(saved.approvalStatus).toBe('pending_cfo');
+      expect(saved.approvalProgress.stages.map(s => s.key)).toEqual(['ops', 'ic']);
+      expect(saved.approvalVersion).toBe(1);
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'submitted',
+        metadata: expect.objectContaining({ stageKey: 'ops', stageCount: 2 })
+      }));
+    });
+
+    test('should record a stage approval without completing until quorum is met', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(pendingCall(progress(1)));
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/cfo-approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Approval recorded for Investment Committee (1 of 2)');
+      expect(CapitalCall.updateIfApprovalUnchanged).toHaveBeenCalledWith('call-789', expect.objectContaining({
+        approvalStatus: 'pending_cfo'
+      }), expect.objectContaining({
+        approvalStatus: 'pending_cfo'
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'stage_approved',
+        metadata: expect.objectContaining({ stageKey: 'ic', approvals: 1, quorum: 2 })
+      }));
+    });
+
+    test('should approve once the final stage reaches quorum', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(pendingCall(progress(1, [{ userId: 'ic-2' }])));
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/cfo-approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(CapitalCall.updateIfApprovalUnchanged).toHaveBeenCalledWith('call-789', expect.any(Object), expect.objectContaining({
+        approvalStatus: 'approved'
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'cfo_approved',
+        metadata: expect.objectContaining({ stageKey: 'ic', stageComplete: true })
+      }));
+    });
+
+    test('should not record an approval when another one landed since the call was read', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(pendingCall(progress(1)));
+      CapitalCall.updateIfApprovalUnchanged.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/cfo-approve')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(ApprovalHistory.logAction).not.toHaveBeenCalled();
+    });
+
+    test('should debit the recallable ledger when a recycling call is approved', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({
+        ...pendingCall(progress(1, [{ userId: 'ic-2' }])),
+        recyclesCapital: true
+      });
+      Structure.findById.mockResolvedValue({ id: 'struct-456', name: 'Fund I', recallableDistributionsEnabled: true });
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        id: 'call-789',
+        callNumber: 'CC-001',
+        callDate: '2024-06-30T00:00:00Z',
+        recyclesCapital: true,
+        capital_call_allocations: [
+          { user_id: 'lp-1', principal_amount: 40000 },
+          { user_id: 'lp-2', principal_amount: 40000 }
+        ]
+      });
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', commitment: 500000 },
+        { userId: 'lp-2', commitment: 500000 }
+      ]);
+      jest.spyOn(RecallableLedgerEntry, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', entryType: 'credit', amount: 50000, distributionId: 'dist-1' },
+        { userId: 'lp-2', entryType: 'credit', amount: 25000, distributionId: 'dist-1' }
+      ]);
+      const createSpy = jest.spyOn(RecallableLedgerEntry, 'createMany').mockImplementation(async entries => entries);
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/cfo-approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(createSpy).toHaveBeenCalledWith([
+        expect.objectContaining({ userId: 'lp-1', entryType: 'debit', amount: 40000, capitalCallId: 'call-789', entryDate: '2024-06-30' }),
+        expect.objectContaining({ userId: 'lp-2', entryType: 'debit', amount: 25000, capitalCallId: 'call-789' })
+      ]);
+    });
+
+    test('should net pending reinvestment credits against the call when approved', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(pendingCall(progress(1, [{ userId: 'ic-2' }])));
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        id: 'call-789',
+        capital_call_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', principal_amount: 10000, total_due: 10000, paid_amount: 0 },
+          { id: 'alloc-2', user_id: 'lp-2', principal_amount: 10000, total_due: 10000, paid_amount: 0 }
+        ]
+      });
+      jest.spyOn(DistributionReinvestment, 'findByStructureId').mockResolvedValue([
+        { id: 'reinv-1', userId: 'lp-1', method: 'net_against_call', amount: 4000, appliedAmount: 0, applications: [] }
+      ]);
+      const updateCreditSpy = jest.spyOn(DistributionReinvestment, 'findByIdAndUpdate').mockResolvedValue({});
+      const updateAllocationSpy = jest.spyOn(CapitalCall, 'updateAllocation').mockResolvedValue({});
+      const paymentSpy = jest.spyOn(CapitalCallPayment, 'create').mockResolvedValue({ id: 'payment-1', amount: 4000 });
+      jest.spyOn(CapitalCall, 'updatePaymentAmounts').mockResolvedValue({});
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/cfo-approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(updateAllocationSpy).toHaveBeenCalledTimes(1);
+      expect(updateAllocationSpy).toHaveBeenCalledWith('alloc-1', expect.objectContaining({
+        paid_amount: 4000,
+        status: 'Partially Paid',
+        payment_method: 'reinvestment'
+      }));
+      expect(paymentSpy).toHaveBeenCalledWith(expect.objectContaining({
+        allocationId: 'alloc-1',
+        amount: 4000,
+        paymentMethod: 'reinvestment',
+        approvalStatus: 'approved'
+      }));
+      expect(updateCreditSpy).toHaveBeenCalledWith('reinv-1', expect.objectContaining({
+        appliedAmount: 4000,
+        status: 'applied'
+      }));
+    });
+
+    test('should settle the installments covered by netted reinvestment credits', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...pendingCall(progress(1, [{ userId: 'ic-2' }])), installmentCount: 2 });
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        id: 'call-789',
+        capital_call_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', principal_amount: 10000, total_due: 10000, paid_amount: 0 }
+        ]
+      });
+      jest.spyOn(DistributionReinvestment, 'findByStructureId').mockResolvedValue([
+        { id: 'reinv-1', userId: 'lp-1', method: 'net_against_call', amount: 6000, appliedAmount: 0, applications: [] }
+      ]);
+      jest.spyOn(DistributionReinvestment, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(CapitalCall, 'updateAllocation').mockResolvedValue({});
+      jest.spyOn(CapitalCallPayment, 'create').mockResolvedValue({ id: 'payment-1', amount: 6000 });
+      jest.spyOn(CapitalCall, 'updatePaymentAmounts').mockResolvedValue({});
+      jest.spyOn(CapitalCallInstallment, 'findAllocationInstallments').mockResolvedValue([
+        { id: 'inst-1', installmentNumber: 1, amountDue: 5000, paidAmount: 0, status: 'Pending' },
+        { id: 'inst-2', installmentNumber: 2, amountDue: 5000, paidAmount: 0, status: 'Pending' }
+      ]);
+      const installmentSpy = jest.spyOn(CapitalCallInstallment, 'updateAllocationInstallment').mockResolvedValue({});
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/cfo-approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(CapitalCallInstallment.findAllocationInstallments).toHaveBeenCalledWith('alloc-1');
+      expect(installmentSpy).toHaveBeenCalledWith('inst-1', { paid_amount: 5000, status: 'Paid' });
+      expect(installmentSpy).toHaveBeenCalledWith('inst-2', { paid_amount: 1000, status: 'Partially Paid' });
+    });
+
+    test('should reject approvers outside the current stage', async () => {
+      const call = pendingCall(progress(0));
+      call.approvalProgress.stages[0].approvals = [];
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(call);
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/cfo-approve')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(CapitalCall.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(CapitalCall.updateIfApprovalUnchanged).not.toHaveBeenCalled();
+    });
+
+    test('should enforce segregation of duties for the creator', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...pendingCall(progress(1)), createdBy: 'user-123' });
+
+      const response = await request(app)
+        .patch('/api/capital-calls/call-789/cfo-approve')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(CapitalCall.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(CapitalCall.updateIfApprovalUnchanged).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/capital-calls/:id/installments', () => {
+    const draftCall = {
+      id: 'call-789',
+      structureId: 'struct-456',
+      status: 'Draft',
+      totalCallAmount: 100000
+    };
+
+    test('should split the call and each allocation across the schedule', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...draftCall, ...data }));
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        ...draftCall,
+        capital_call_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', total_due: 33333.33, paid_amount: 20000 }
+        ]
+      });
+      const saved = [];
+      jest.spyOn(CapitalCallInstallment, 'replaceSchedule').mockImplementation(async (id, rows) => {
+        saved.push(...rows.map(row => ({ ...row, id: `inst-${row.installmentNumber}`, capitalCallId: id })));
+        return saved;
+      });
+      jest.spyOn(CapitalCallInstallment, 'findByCapitalCallId').mockImplementation(async () => saved);
+      jest.spyOn(CapitalCallInstallment, 'deleteAllocationInstallmentsByCall').mockResolvedValue();
+      jest.spyOn(CapitalCallInstallment, 'insertAllocationInstallments').mockImplementation(async (rows) => rows);
+
+      const response = await request(app)
+        .put('/api/capital-calls/call-789/installments')
+        .send({
+          installments: [
+            { dueDate: '2026-11-01', percentage: 50 },
+            { dueDate: '2026-12-01', percentage: 50 }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.installments.map(i => i.amount)).toEqual([50000, 50000]);
+      expect(CapitalCall.findByIdAndUpdate).toHaveBeenCalledWith('call-789', {
+        dueDate: '2026-11-01',
+        deadlineDate: '2026-12-01',
+        installmentCount: 2
+      });
+      // Earliest installment is filled first by the existing payment
+      expect(response.body.data.allocationInstallments).toEqual([
+        expect.objectContaining({ installment_number: 1, amount_due: 16666.67, paid_amount: 16666.67, status: 'Paid' }),
+        expect.objectContaining({ installment_number: 2, amount_due: 16666.66, paid_amount: 3333.33, status: 'Partially Paid' })
+      ]);
+    });
+
+    test('should reject percentages that do not total 100%', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCallInstallment, 'replaceSchedule');
+
+      const response = await request(app)
+        .put('/api/capital-calls/call-789/installments')
+        .send({
+          installments: [
+            { dueDate: '2026-11-01', percentage: 50 },
+            { dueDate: '2026-12-01', percentage: 40 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(CapitalCallInstallment.replaceSchedule).not.toHaveBeenCalled();
+    });
+
+    test('should not change installments once the call is sent', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...draftCall, status: 'Sent' });
+
+      const response = await request(app)
+        .put('/api/capital-calls/call-789/installments')
+        .send({ installments: [{ dueDate: '2026-11-01', percentage: 100 }] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Capital call line items', () => {
+    const draftCall = {
+      id: 'call-789',
+      structureId: 'struct-456',
+      status: 'Draft',
+      totalCallAmount: 100000,
+      totalInvestments: 80000,
+      totalFundExpenses: 20000,
+      totalReserves: 0,
+      vatOnInvestments: 0,
+      vatOnFundExpenses: 3200
+    };
+    const lineItems = [
+      { category: 'investment', investmentId: 'inv-1', description: 'Deal A', amount: 50000 },
+      { category: 'investment', investmentId: 'inv-2', description: 'Deal B', amount: 30000 },
+      { category: 'fund_expense', description: 'Legal fees', amount: 20000, vatAmount: 3200 }
+    ];
+
+    test('should derive the header totals from line items on create', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', name: 'Fund I' });
+      jest.spyOn(Investment, 'findByStructureId').mockResolvedValue([{ id: 'inv-1' }, { id: 'inv-2' }]);
+      jest.spyOn(CapitalCall, 'create').mockImplementation(async (data) => ({ id: 'call-789', ...data }));
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({ ...draftCall, capital_call_allocations: [] });
+      jest.spyOn(CapitalCallLineItem, 'replaceForCapitalCall').mockImplementation(async (id, rows) =>
+        rows.map(row => ({ ...row, id: `line-${row.lineNumber}`, capitalCallId: id })));
+      jest.spyOn(CapitalCallLineItem, 'findByCapitalCallId').mockResolvedValue([]);
+      jest.spyOn(CapitalCallLineItem, 'deleteAllocationLineItemsByCall').mockResolvedValue();
+
+      const response = await request(app)
+        .post('/api/capital-calls')
+        .send({ structureId: 'struct-456', callNumber: 'CC-003', lineItems });
+
+      expect(response.status).toBe(201);
+      expect(CapitalCall.create).toHaveBeenCalledWith(expect.objectContaining({
+        totalCallAmount: 100000,
+        totalInvestments: 80000,
+        totalFundExpenses: 20000,
+        vatOnFundExpenses: 3200,
+        investmentId: 'inv-1'
+      }));
+      expect(response.body.data.lineItems).toHaveLength(3);
+    });
+
+    test('should reject line items that do not add up to the call amount', async () => {
+      jest.spyOn(CapitalCall, 'create');
+
+      const response = await request(app)
+        .post('/api/capital-calls')
+        .send({ structureId: 'struct-456', callNumber: 'CC-003', totalCallAmount: 120000, lineItems });
+
+      expect(response.status).toBe(400);
+      expect(CapitalCall.create).not.toHaveBeenCalled();
+    });
+
+    test('should split each allocation across the line items by principal', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCall, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...draftCall, ...data }));
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        ...draftCall,
+        capital_call_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', principal_amount: 75000 },
+          { id: 'alloc-2', user_id: 'lp-2', principal_amount: 25000 }
+        ]
+      });
+      jest.spyOn(Investment, 'findByStructureId').mockResolvedValue([{ id: 'inv-1' }, { id: 'inv-2' }]);
+      const saved = [];
+      jest.spyOn(CapitalCallLineItem, 'replaceForCapitalCall').mockImplementation(async (id, rows) => {
+        saved.push(...rows.map(row => ({ ...row, id: `line-${row.lineNumber}`, capitalCallId: id })));
+        return saved;
+      });
+      jest.spyOn(CapitalCallLineItem, 'findByCapitalCallId').mockImplementation(async () => saved);
+      jest.spyOn(CapitalCallLineItem, 'deleteAllocationLineItemsByCall').mockResolvedValue();
+      jest.spyOn(CapitalCallLineItem, 'insertAllocationLineItems').mockImplementation(async (rows) => rows);
+
+      const response = await request(app)
+        .put('/api/capital-calls/call-789/line-items')
+        .send({ lineItems });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.allocationLineItems.filter(r => r.allocation_id === 'alloc-1')).toEqual([
+        expect.objectContaining({ investment_id: 'inv-1', amount: 37500, vat_amount: 0 }),
+        expect.objectContaining({ investment_id: 'inv-2', amount: 22500, vat_amount: 0 }),
+        expect.objectContaining({ category: 'fund_expense', amount: 15000, vat_amount: 2400 })
+      ]);
+    });
+
+    test('should not change the category totals once allocations exist', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        ...draftCall,
+        capital_call_allocations: [{ id: 'alloc-1', user_id: 'lp-1', principal_amount: 100000 }]
+      });
+      jest.spyOn(Investment, 'findByStructureId').mockResolvedValue([{ id: 'inv-1' }]);
+      jest.spyOn(CapitalCallLineItem, 'replaceForCapitalCall');
+
+      const response = await request(app)
+        .put('/api/capital-calls/call-789/line-items')
+        .send({ lineItems: [{ category: 'investment', investmentId: 'inv-1', amount: 100000 }] });
+
+      expect(response.status).toBe(400);
+      expect(CapitalCallLineItem.replaceForCapitalCall).not.toHaveBeenCalled();
+    });
+
+    test('should attribute contributed capital to deals', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456' });
+      jest.spyOn(Investment, 'findByStructureId').mockResolvedValue([{ id: 'inv-1', investmentName: 'Deal A' }]);
+      jest.spyOn(CapitalCallLineItem, 'findAllocationLineItemsByStructure').mockResolvedValue([
+        {
+          capitalCallId: 'call-789', userId: 'lp-1', category: 'investment', investmentId: 'inv-1', amount: 37500,
+          capitalCall: { callNumber: 'CC-003' },
+          allocation: { principalAmount: 75000, capitalPaid: 37500, status: 'Partially Paid' }
+        },
+        {
+          capitalCallId: 'call-789', userId: 'lp-1', category: 'fund_expense', investmentId: null, amount: 15000,
+          capitalCall: { callNumber: 'CC-003' },
+          allocation: { principalAmount: 75000, capitalPaid: 37500, status: 'Partially Paid' }
+        }
+      ]);
+
+      const response = await request(app).get('/api/capital-calls/structure/struct-456/deal-attribution');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ investmentId: 'inv-1', investmentName: 'Deal A', called: 37500, contributed: 18750 })
+      ]);
+    });
+  });
+
+  describe('POST /api/capital-calls/:id/excusals', () => {
+    const draftCall = {
+      id: 'call-789',
+      structureId: 'struct-456',
+      status: 'Draft',
+      totalCallAmount: 100000,
+      investmentId: 'inv-1',
+      lineItemCount: 0,
+      installmentCount: 0
+    };
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', firstName: 'Jane', lastName: 'Admin' });
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1' },
+        { userId: 'lp-2' }
+      ]);
+      jest.spyOn(CapitalCallExcusal, 'findByCapitalCallId').mockResolvedValue([]);
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+    });
+
+    test('should excuse the investor, exclude them from the investment and recalculate allocations', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCallExcusal, 'create').mockImplementation(async (data) => ({ id: 'exc-1', ...data }));
+      jest.spyOn(CapitalCallExcusal, 'addInvestmentExclusions').mockImplementation(async (rows) => rows);
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        ...draftCall,
+        capital_call_allocations: [{ id: 'alloc-1', user_id: 'lp-1' }, { id: 'alloc-2', user_id: 'lp-2' }]
+      });
+      jest.spyOn(CapitalCall, 'deleteAllocations').mockResolvedValue();
+      jest.spyOn(CapitalCall, 'createAllocationsForStructure').mockResolvedValue([
+        { id: 'alloc-3', user_id: 'lp-2', principal_amount: 100000, excusal_redistribution_amount: 40000 }
+      ]);
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/excusals')
+        .send({ userId: 'lp-1', reasonType: 'esg', reason: 'Fossil fuel exclusion' });
+
+      expect(response.status).toBe(201);
+      expect(CapitalCallExcusal.addInvestmentExclusions).toHaveBeenCalledWith([
+        expect.objectContaining({ investmentId: 'inv-1', userId: 'lp-1', capitalCallId: 'call-789', reasonType: 'esg' })
+      ]);
+      expect(CapitalCall.deleteAllocations).toHaveBeenCalledWith('call-789');
+      expect(response.body.data.allocations).toHaveLength(1);
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'investor_excused' }));
+    });
+
+    test('should release and re-apply fee offsets when recalculating allocations', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCallExcusal, 'create').mockImplementation(async (data) => ({ id: 'exc-1', ...data }));
+      jest.spyOn(CapitalCallExcusal, 'addInvestmentExclusions').mockImplementation(async (rows) => rows);
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        ...draftCall,
+        capital_call_allocations: [{ id: 'alloc-1', user_id: 'lp-1' }, { id: 'alloc-2', user_id: 'lp-2', fee_offset_amount: 300 }]
+      });
+      jest.spyOn(FeeOffsetEntry, 'findByCapitalCallId').mockResolvedValue([
+        { id: 'entry-1', structureId: 'struct-456', userId: 'lp-2', entryType: 'applied', amount: 300, capitalCallId: 'call-789', capitalCallAllocationId: 'alloc-2', description: 'Applied to capital call #1' }
+      ]);
+      jest.spyOn(CapitalCall, 'deleteAllocations').mockResolvedValue();
+      jest.spyOn(CapitalCall, 'createAllocationsForStructure').mockResolvedValue([
+        { id: 'alloc-3', user_id: 'lp-2', management_fee_net: 1000, vat_amount: 160, total_due: 101160, allocated_amount: 101160, remaining_amount: 101160, total_drawdown: 101160 }
+      ]);
+      // Balance once the call's applied entries are reversed
+      jest.spyOn(FeeOffsetEntry, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-2', entryType: 'credit', amount: 300 },
+        { userId: 'lp-2', entryType: 'applied', amount: 300 },
+        { userId: 'lp-2', entryType: 'reversal', amount: 300 }
+      ]);
+      jest.spyOn(CapitalCall, 'updateAllocation').mockResolvedValue({});
+      jest.spyOn(FeeOffsetEntry, 'createMany').mockImplementation(async (rows) => rows);
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/excusals')
+        .send({ userId: 'lp-1', reasonType: 'esg', reason: 'Fossil fuel exclusion' });
+
+      expect(response.status).toBe(201);
+      expect(FeeOffsetEntry.findByCapitalCallId).toHaveBeenCalledWith('call-789');
+      expect(FeeOffsetEntry.createMany.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ userId: 'lp-2', entryType: 'reversal', amount: 300, reversedEntryId: 'entry-1', capitalCallId: 'call-789' })
+      ]);
+      expect(FeeOffsetEntry.createMany.mock.invocationCallOrder[0])
+        .toBeLessThan(CapitalCall.deleteAllocations.mock.invocationCallOrder[0]);
+      expect(FeeOffsetEntry.createMany).toHaveBeenLastCalledWith([
+        expect.objectContaining({ userId: 'lp-2', entryType: 'applied', amount: 300, capitalCallAllocationId: 'alloc-3' })
+      ]);
+      expect(response.body.data.allocations[0]).toMatchObject({ management_fee_net: 700, fee_offset_amount: 300 });
+    });
+
+    test('should not excuse every investor', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue(draftCall);
+      jest.spyOn(CapitalCallExcusal, 'findByCapitalCallId').mockResolvedValue([{ userId: 'lp-2' }]);
+      jest.spyOn(CapitalCallExcusal, 'create');
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/excusals')
+        .send({ userId: 'lp-1', reasonType: 'sanctions' });
+
+      expect(response.status).toBe(400);
+      expect(CapitalCallExcusal.create).not.toHaveBeenCalled();
+    });
+
+    test('should not excuse investors once the call is sent', async () => {
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ ...draftCall, status: 'Sent' });
+
+      const response = await request(app)
+        .post('/api/capital-calls/call-789/excusals')
+        .send({ userId: 'lp-1', reasonType: 'esg' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/capital-calls/payments/:allocationId/approve', () => {
+    // Submitted pro-rata: 116 paid against 1,000 capital, 100 fees and 16 VAT
+    const allocation = {
+      id: 'alloc-1',
+      capital_call_id: 'call-789',
+      user_id: 'lp-1',
+      principal_amount: 1000,
+      management_fee_net: 100,
+      vat_amount: 16,
+      total_due: 1116,
+      paid_amount: 115.99,
+      capital_paid: 103.94,
+      fees_paid: 10.39,
+      vat_paid: 1.66,
+      status: 'Pending',
+      payment_approval_status: 'pending',
+      capital_calls: { id: 'call-789', structure_id: 'struct-456', status: 'Sent', installment_count: 0 }
+    };
+    const pendingPayment = {
+      id: 'payment-1',
+      allocationId: 'alloc-1',
+      amount: 116,
+      approvalStatus: 'pending',
+      breakdown: { capital: 103.94, fees: 10.39, vat: 1.66, lateInterest: 0, unapplied: 0.01 }
+    };
+    let allocationUpdates;
+    let fetchedAllocation;
+
+    beforeEach(() => {
+      allocationUpdates = [];
+      fetchedAllocation = allocation;
+      const from = mockSupabase.from.bind(mockSupabase);
+      jest.spyOn(mockSupabase, 'from').mockImplementation((table) => {
+        const query = from(table);
+        if (table === 'capital_call_allocations') {
+          const update = query.update.bind(query);
+          query.update = (data) => {
+            allocationUpdates.push(data);
+            return update(data);
+          };
+          query.single = () => {
+            query.mockData = fetchedAllocation;
+            return query;
+          };
+          query.mockData = [{ ...allocation, payment_approval_status: 'approved' }];
+        }
+        return query;
+      });
+      jest.spyOn(CapitalCallPayment, 'findByAllocationId').mockResolvedValue([pendingPayment]);
+      jest.spyOn(CapitalCallPayment, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...pendingPayment, ...data }));
+      jest.spyOn(CapitalCallPayment, 'reviewPendingByAllocationId').mockResolvedValue([{ ...pendingPayment, approvalStatus: 'approved' }]);
+    });
+
+    test('should keep the submitted breakdown when the policy is unchanged', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', paymentApplicationPolicy: 'pro_rata' });
+
+      const response = await request(app)
+        .patch('/api/capital-calls/payments/alloc-1/approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(allocationUpdates[0]).not.toHaveProperty('fees_paid');
+      expect(CapitalCallPayment.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(CapitalCallPayment.reviewPendingByAllocationId).toHaveBeenCalledWith('alloc-1', 'approved', 'user-123');
+    });
+
+    test('should re-apply pending payments under the structure\'s current policy', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', paymentApplicationPolicy: 'fees_first' });
+
+      const response = await request(app)
+        .patch('/api/capital-calls/payments/alloc-1/approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.applicationPolicy).toBe('fees_first');
+      expect(allocationUpdates[0]).toEqual(expect.objectContaining({
+        capital_paid: 0,
+        fees_paid: 100,
+        vat_paid: 16,
+        paid_amount: 116,
+        payment_approval_status: 'approved'
+      }));
+      expect(CapitalCallPayment.findByIdAndUpdate).toHaveBeenCalledWith('payment-1', expect.objectContaining({
+        breakdown: { capital: 0, fees: 100, vat: 16, lateInterest: 0, unapplied: 0 },
+        applicationPolicy: 'fees_first'
+      }));
+    });
+
+    test('should keep a defaulted allocation in default while late interest is unpaid', async () => {
+      fetchedAllocation = { ...allocation, status: 'Defaulted', paid_amount: 1116, default_interest_amount: 25, default_interest_paid: 0 };
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', paymentApplicationPolicy: 'pro_rata' });
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', firstName: 'Ana' });
+      jest.spyOn(CapitalCall, 'findAllocationById').mockResolvedValue({
+        id: 'alloc-1', capitalCallId: 'call-789', status: 'Defaulted', totalDue: 1116, paidAmount: 1116, defaultInterestAmount: 25, defaultInterestPaid: 0
+      });
+      jest.spyOn(CapitalCall, 'updateAllocation');
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const response = await request(app)
+        .patch('/api/capital-calls/payments/alloc-1/approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('Defaulted');
+      expect(allocationUpdates[0].status).toBe('Defaulted');
+      expect(CapitalCall.updateAllocation).not.toHaveBeenCalled();
+      expect(ApprovalHistory.logAction).not.toHaveBeenCalled();
+    });
+
+    test('should cure a default once the outstanding amount and late interest are paid', async () => {
+      fetchedAllocation = { ...allocation, status: 'Defaulted', paid_amount: 1116, default_interest_amount: 25, default_interest_paid: 25 };
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456', paymentApplicationPolicy: 'pro_rata' });
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123', firstName: 'Ana' });
+      jest.spyOn(CapitalCall, 'findAllocationById').mockResolvedValue({
+        id: 'alloc-1', capitalCallId: 'call-789', userId: 'lp-1', status: 'Defaulted', totalDue: 1116, paidAmount: 1116, defaultInterestAmount: 25, defaultInterestPaid: 25
+      });
+      jest.spyOn(CapitalCall, 'updateAllocation').mockResolvedValue({ id: 'alloc-1', status: 'Paid' });
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const response = await request(app)
+        .patch('/api/capital-calls/payments/alloc-1/approve')
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('Paid');
+      expect(allocationUpdates[0].status).toBe('Defaulted');
+      expect(CapitalCall.updateAllocation).toHaveBeenCalledWith('alloc-1', expect.objectContaining({
+        status: 'Paid',
+        default_resolved_at: expect.any(String)
+      }));
+      expect(ApprovalHistory.logAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'default_cured',
+        fromStatus: 'Defaulted',
+        toStatus: 'Paid'
+      }));
+    });
+
+    test('should not approve a payment on a cancelled capital call', async () => {
+      fetchedAllocation = { ...allocation, status: 'Voided', capital_calls: { ...allocation.capital_calls, status: 'Cancelled' } };
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-456' });
+
+      const response = await request(app)
+        .patch('/api/capital-calls/payments/alloc-1/approve')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(allocationUpdates).toHaveLength(0);
+      expect(CapitalCallPayment.reviewPendingByAllocationId).not.toHaveBeenCalled();
+    });
   });
 
   describe('Role-Based Access Control', () => {
@@ -31,8 +31,14 @@ jest.mock('../../src/middleware/rbac', () => ({
   }
 }));
 
+const mockCreateTransfer = jest.fn();
+
+jest.mock('../../src/services/stripe.service', () => ({
+  createTransferToConnectAccount: (...args) => mockCreateTransfer(...args),
+}));
+
 const { getSupabase } = require('../../src/config/database');
-const { Distribution, Structure } = require('../../src/models/supabase');
+const { Distribution, Structure, SmartContract, User, DistributionPayoutBatch } = require('../../src/models/supabase');
 
 describe('Distribution Routes', () => {
   let app;
@@ -331,6 +337,174 @@ describe('Distribution Routes', () => {
     });
   });
 
+  describe('GET /api/distributions/:id/token-transfer-plan', () => {
+    test('should return 400 if distribution does not distribute tokens', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({ id: 'dist-123' });
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-123',
+        inKindAssetType: 'security',
+        distribution_allocations: [{ user_id: 'lp-1', in_kind_units: 10 }]
+      });
+
+      const response = await request(app).get('/api/distributions/dist-123/token-transfer-plan');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should batch token transfers to LP wallets and list LPs without a wallet', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({ id: 'dist-123' });
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-123',
+        inKindAssetType: 'token',
+        inKindSmartContractId: 'contract-1',
+        distribution_allocations: [
+          { user_id: 'lp-1', in_kind_units: 100 },
+          { user_id: 'lp-2', in_kind_units: 50 },
+          { user_id: 'lp-3', in_kind_units: 25 },
+          { user_id: 'lp-4', in_kind_units: 0 }
+        ]
+      });
+      jest.spyOn(SmartContract, 'findById').mockResolvedValue({
+        id: 'contract-1',
+        contractAddress: '0xContract',
+        tokenSymbol: 'FND'
+      });
+      jest.spyOn(User, 'findById').mockImplementation(async (id) => ({
+        id,
+        walletAddress: id === 'lp-3' ? null : `0x${id}`
+      }));
+
+      const response = await request(app).get('/api/distributions/dist-123/token-transfer-plan?batchSize=1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.batches).toEqual([
+        { contractAddress: '0xContract', addressList: ['0xlp-1'], amountsList: [100] },
+        { contractAddress: '0xContract', addressList: ['0xlp-2'], amountsList: [50] }
+      ]);
+      expect(response.body.data.missingWallets).toEqual([expect.objectContaining({ userId: 'lp-3', units: 25 })]);
+      expect(response.body.data.totalTokens).toBe(150);
+      expect(response.body.data.ready).toBe(false);
+    });
+  });
+
+  describe('POST /api/distributions/:id/payouts', () => {
+    test('should return 400 if distribution is not approved', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({ id: 'dist-123', approvalStatus: 'pending_cfo' });
+
+      const response = await request(app).post('/api/distributions/dist-123/payouts');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should transfer to Stripe Connect accounts, batch bank payouts and fail LPs without details', async () => {
+      const distribution = {
+        id: 'dist-123',
+        structureId: 'struct-123',
+        distributionNumber: 4,
+        status: 'Pending',
+        approvalStatus: 'approved',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_amount: 1000, investorName: 'Stripe LP' },
+          { id: 'alloc-2', user_id: 'lp-2', allocated_amount: 2000, reinvestment_amount: 500, investorName: 'ACH LP' },
+          { id: 'alloc-3', user_id: 'lp-3', allocated_amount: 500, investorName: 'No Details LP' }
+        ]
+      };
+      jest.spyOn(Distribution, 'findById').mockResolvedValue(distribution);
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue(distribution);
+      jest.spyOn(Structure, 'findById').mockResolvedValue({
+        id: 'struct-123',
+        name: 'Fund I',
+        baseCurrency: 'USD',
+        localRoutingBank: '021000021',
+        localTaxId: '1234567890'
+      });
+      jest.spyOn(User, 'findById').mockImplementation(async (id) => ({
+        lp_1: { id, stripeAccountId: 'acct_1', stripeOnboardingComplete: true },
+        lp_2: { id, bankRoutingNumber: '011000015', bankAccountNumber: '12345678' },
+        lp_3: { id }
+      })[id.replace('-', '_')]);
+      mockCreateTransfer.mockResolvedValue({ id: 'tr_1' });
+      const createBatch = jest.spyOn(DistributionPayoutBatch, 'create').mockImplementation(async (data) => ({ id: 'batch-1', ...data }));
+      const claimPayout = jest.spyOn(Distribution, 'claimAllocationPayout').mockImplementation(async (id) => ({ id }));
+      const updateAllocation = jest.spyOn(Distribution, 'updateAllocation').mockResolvedValue({});
+      const markAsPaid = jest.spyOn(Distribution, 'markAsPaid');
+
+      const response = await request(app).post('/api/distributions/dist-123/payouts');
+
+      expect(response.status).toBe(200);
+      expect(mockCreateTransfer).toHaveBeenCalledWith(
+        'acct_1', 100000, 'usd', expect.any(String), expect.objectContaining({ allocationId: 'alloc-1' }), 'distribution-payout-alloc-1-1'
+      );
+      expect(claimPayout).toHaveBeenCalledWith('alloc-1', null, expect.objectContaining({ payout_attempts: 1 }));
+      expect(updateAllocation).toHaveBeenCalledWith('alloc-1', expect.objectContaining({
+        payout_method: 'stripe', payout_status: 'settled', payout_reference: 'tr_1', status: 'Paid', paid_amount: 1000
+      }));
+      expect(createBatch).toHaveBeenCalledWith(expect.objectContaining({ format: 'nacha', totalAmount: 1500, itemCount: 1 }));
+      expect(updateAllocation).toHaveBeenCalledWith('alloc-2', expect.objectContaining({
+        payout_method: 'nacha', payout_status: 'processing', payout_batch_id: 'batch-1', payout_amount: 1500
+      }));
+      expect(updateAllocation).toHaveBeenCalledWith('alloc-3', expect.objectContaining({
+        payout_status: 'failed', payout_error: expect.stringContaining('no onboarded Stripe Connect account')
+      }));
+      expect(markAsPaid).not.toHaveBeenCalled();
+      expect(response.body.data.batches).toHaveLength(1);
+    });
+
+    test('should not pay allocations another payout run has already claimed', async () => {
+      const distribution = {
+        id: 'dist-123',
+        structureId: 'struct-123',
+        distributionNumber: 4,
+        status: 'Pending',
+        approvalStatus: 'approved',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_amount: 1000, payout_status: 'failed', payout_attempts: 1 }
+        ]
+      };
+      jest.spyOn(Distribution, 'findById').mockResolvedValue(distribution);
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue(distribution);
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123', name: 'Fund I', baseCurrency: 'USD' });
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'lp-1', stripeAccountId: 'acct_1', stripeOnboardingComplete: true });
+      const claimPayout = jest.spyOn(Distribution, 'claimAllocationPayout').mockResolvedValue(null);
+      const updateAllocation = jest.spyOn(Distribution, 'updateAllocation').mockResolvedValue({});
+
+      const response = await request(app).post('/api/distributions/dist-123/payouts').send({ retryFailed: true });
+
+      expect(response.status).toBe(200);
+      expect(claimPayout).toHaveBeenCalledWith('alloc-1', 'failed', expect.objectContaining({ payout_attempts: 2 }));
+      expect(mockCreateTransfer).not.toHaveBeenCalled();
+      expect(updateAllocation).not.toHaveBeenCalled();
+    });
+
+    test('should fail bank payouts whose format cannot pay the structure currency', async () => {
+      const distribution = {
+        id: 'dist-123',
+        structureId: 'struct-123',
+        distributionNumber: 4,
+        status: 'Pending',
+        approvalStatus: 'approved',
+        distribution_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', allocated_amount: 1000 }
+        ]
+      };
+      jest.spyOn(Distribution, 'findById').mockResolvedValue(distribution);
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue(distribution);
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123', name: 'Fund I', baseCurrency: 'MX' });
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'lp-1', bankIban: 'DE89370400440532013000' });
+      jest.spyOn(Distribution, 'claimAllocationPayout').mockImplementation(async (id) => ({ id }));
+      const createBatch = jest.spyOn(DistributionPayoutBatch, 'create');
+      const updateAllocation = jest.spyOn(Distribution, 'updateAllocation').mockResolvedValue({});
+
+      const response = await request(app).post('/api/distributions/dist-123/payouts');
+
+      expect(response.status).toBe(200);
+      expect(createBatch).not.toHaveBeenCalled();
+      expect(updateAllocation).toHaveBeenCalledWith('alloc-1', expect.objectContaining({
+        payout_status: 'failed', payout_error: expect.stringContaining('cannot be paid in MXN')
+      }));
+    });
+  });
+
   describe('GET /api/distributions/structure/:structureId/summary', () => {
     test('should return 400 if structure not found', async () => {
       jest.spyOn(Structure, 'findById').mockResolvedValue(null);
@@ -472,6 +646,93 @@ describe('Distribution Routes', () => {
     });
   });
 
+  describe('GET /api/distributions/:id/waterfall', () => {
+    test('should return the stored trace once the waterfall is applied', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({
+        id: 'dist-123',
+        waterfallApplied: true,
+        waterfallTrace: { version: '1.0.0', lpTotal: 9000, gpTotal: 1000, tiers: [] }
+      });
+      jest.spyOn(Distribution, 'calculateWaterfall');
+
+      const response = await request(app).get('/api/distributions/dist-123/waterfall');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({ applied: true, lpTotal: 9000, gpTotal: 1000 }));
+      expect(Distribution.calculateWaterfall).not.toHaveBeenCalled();
+    });
+
+    test('should preview the waterfall when it has not been applied', async () => {
+      const distribution = { id: 'dist-123', waterfallApplied: false };
+      jest.spyOn(Distribution, 'findById').mockResolvedValue(distribution);
+      jest.spyOn(Distribution, 'calculateWaterfall').mockResolvedValue({ version: '1.0.0', lpTotal: 10000, gpTotal: 0, tiers: [] });
+
+      const response = await request(app).get('/api/distributions/dist-123/waterfall');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.applied).toBe(false);
+      expect(Distribution.calculateWaterfall).toHaveBeenCalledWith(distribution);
+    });
+  });
+
+  describe('GET /api/distributions/structure/:structureId/clawback', () => {
+    const waterfallInputs = {
+      tiers: [],
+      terms: { hurdleRate: 8, carriedInterest: 20, prefReturnCompounding: 'simple', waterfallType: 'American' },
+      investors: [{
+        userId: 'investor-1',
+        ownershipPercent: 100,
+        contributions: [{ date: '2022-01-01', amount: 1000000, category: 'investment', investmentId: 'deal-1' }]
+      }],
+      investments: [],
+      // Deal 1 paid carry; the rest of the fund was written off
+      priorDistributions: [{ id: 'dist-1', distributionNumber: 1, date: '2023-01-01', amount: 1000000, investmentId: 'deal-1', gpPaid: 100000 }],
+      distribution: {}
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Distribution, 'getWaterfallInputs').mockResolvedValue(waterfallInputs);
+      jest.spyOn(Distribution, 'getCumulativeDistributedByStructure').mockResolvedValue({ 'investor-1': 900000 });
+    });
+
+    test('should return 400 if structure not found', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue(null);
+
+      const response = await request(app).get('/api/distributions/structure/struct-123/clawback');
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should claw back carry paid above the whole-fund entitlement', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123', clawbackNetOfTaxes: false });
+
+      const response = await request(app)
+        .get('/api/distributions/structure/struct-123/clawback')
+        .query({ asOfDate: '2024-01-01', windDown: 'true' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({
+        status: 'Final',
+        carryPaid: 100000,
+        carryEntitled: 0,
+        clawbackLiability: 100000
+      }));
+      expect(response.body.data.investors[0]).toEqual(expect.objectContaining({ shortfall: 100000, clawbackShare: 100000 }));
+      expect(Distribution.getCumulativeDistributedByStructure).toHaveBeenCalledWith('struct-123', null, '2024-01-01');
+    });
+
+    test('should limit the clawback to after-tax carry when configured', async () => {
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123', clawbackNetOfTaxes: true, clawbackTaxRate: 40 });
+
+      const response = await request(app)
+        .get('/api/distributions/structure/struct-123/clawback')
+        .query({ asOfDate: '2024-01-01', windDown: 'true' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({ excessCarry: 100000, taxOffset: 40000, clawbackLiability: 60000 }));
+    });
+  });
+
   describe('PATCH /api/distributions/:id/mark-paid', () => {
     test('should return 400 if distribution not found', async () => {
       jest.spyOn(Distribution, 'findById').mockResolvedValue(null);
@@ -481,12 +742,54 @@ describe('Distribution Routes', () => {
       expect(response.status).toBe(400);
     });
 
+    test('should return 400 while payouts have not all settled', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({ id: 'dist-123', structureId: 'struct-123' });
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-123',
+        distribution_allocations: [
+          { id: 'alloc-1', allocated_amount: 1000, payout_status: 'settled' },
+          { id: 'alloc-2', allocated_amount: 1000, payout_status: 'processing' }
+        ]
+      });
+      const markAsPaid = jest.spyOn(Distribution, 'markAsPaid');
+
+      const response = await request(app).patch('/api/distributions/dist-123/mark-paid');
+
+      expect(response.status).toBe(400);
+      expect(markAsPaid).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 when no payouts have been made or recorded', async () => {
+      jest.spyOn(Distribution, 'findById').mockResolvedValue({ id: 'dist-123', structureId: 'struct-123' });
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-123',
+        distribution_allocations: [
+          { id: 'alloc-1', allocated_amount: 1000 },
+          { id: 'alloc-2', allocated_amount: 1000 }
+        ]
+      });
+      const markAsPaid = jest.spyOn(Distribution, 'markAsPaid');
+
+      const response = await request(app).patch('/api/distributions/dist-123/mark-paid');
+
+      expect(response.status).toBe(400);
+      expect(markAsPaid).not.toHaveBeenCalled();
+    });
+
     test('should mark distribution as paid', async () => {
       jest.spyOn(Distribution, 'findById').mockResolvedValue({
         id: 'dist-123',
         createdBy: 'user-123',
         status: 'Draft'
       });
+      jest.spyOn(Distribution, 'findWithAllocations').mockResolvedValue({
+        id: 'dist-123',
+        distribution_allocations: [
+          { id: 'alloc-1', allocated_amount: 1000, payout_status: 'settled' },
+          { id: 'alloc-2', allocated_amount: 1000, payout_status: 'settled', payout_method: null, payout_reference: 'WIRE-1' }
+        ]
+      });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-123', name: 'Fund I' });
 
       jest.spyOn(Distribution, 'markAsPaid').mockResolvedValue({
         id: 'dist-123',
@@ -0,0 +1,128 @@
+/**
+ * Management Fee Accrual Routes Tests
+ * Tests for src/routes/feeAccrual.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+let mockUserId = 'user-123';
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: mockUserId, role: mockUserRole };
+    req.user = { id: mockUserId, role: mockUserRole };
+    next();
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { Structure, StructureInvestor, CapitalCall, ManagementFeeAccrual } = require('../../src/models/supabase');
+
+describe('Management Fee Accrual Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const feeAccrualRoutes = require('../../src/routes/feeAccrual.routes');
+    app.use('/api/structures', feeAccrualRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createMockSupabaseClient());
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+    mockUserId = 'user-123';
+
+    jest.spyOn(Structure, 'findById').mockResolvedValue({
+      id: 'structure-123',
+      managementFee: 2,
+      managementFeeBase: 'committed',
+      vatRate: 16
+    });
+  });
+
+  describe('POST /api/structures/:structureId/fee-accruals', () => {
+    test('should accrue each LP and skip those already accrued for the period', async () => {
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', commitment: 1000000 },
+        { userId: 'lp-2', commitment: 500000 },
+      ]);
+      jest.spyOn(CapitalCall, 'getCallHistoryByStructure').mockResolvedValue([]);
+      jest.spyOn(ManagementFeeAccrual, 'findByStructureId').mockResolvedValue([{ id: 'accrual-old', userId: 'lp-2' }]);
+      const createSpy = jest.spyOn(ManagementFeeAccrual, 'createMany').mockImplementation(async (items) => items);
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-accruals')
+        .send({ startDate: '2025-01-01', endDate: '2025-12-31' });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith([expect.objectContaining({
+        userId: 'lp-1',
+        periodStart: '2025-01-01',
+        periodEnd: '2025-12-31',
+        netFee: 20000,
+        vatAmount: 3200,
+        totalFee: 23200,
+        status: 'accrued',
+        createdBy: 'user-123'
+      })]);
+      expect(response.body.data.skipped).toEqual([expect.objectContaining({ userId: 'lp-2' })]);
+      expect(response.body.data.summary.totalFee).toBe(23200);
+    });
+
+    test('should return 400 when the period ends before it starts', async () => {
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-accruals')
+        .send({ startDate: '2025-06-30', endDate: '2025-01-01' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/structures/:structureId/fee-accruals', () => {
+    test('should only return an LP their own accruals', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-1';
+      const findSpy = jest.spyOn(ManagementFeeAccrual, 'findByStructureId').mockResolvedValue([
+        { id: 'accrual-1', userId: 'lp-1', totalFee: 1160, status: 'billed' },
+      ]);
+
+      const response = await request(app)
+        .get('/api/structures/structure-123/fee-accruals?userId=lp-2');
+
+      expect(response.status).toBe(200);
+      expect(findSpy).toHaveBeenCalledWith('structure-123', expect.objectContaining({ userId: 'lp-1' }));
+      expect(response.body.data.summary.billed).toBe(1160);
+    });
+  });
+
+  describe('DELETE /api/structures/:structureId/fee-accruals/:accrualId', () => {
+    test('should not reverse a billed accrual', async () => {
+      jest.spyOn(ManagementFeeAccrual, 'findById').mockResolvedValue({
+        id: 'accrual-1',
+        structureId: 'structure-123',
+        status: 'billed'
+      });
+      const deleteSpy = jest.spyOn(ManagementFeeAccrual, 'findByIdAndDelete');
+
+      const response = await request(app)
+        .delete('/api/structures/structure-123/fee-accruals/accrual-1');
+
+      expect(response.status).toBe(400);
+      expect(deleteSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Fee Invoice Routes Tests
+ * Tests for src/routes/feeInvoice.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+let mockUserId = 'user-123';
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: mockUserId, role: mockUserRole };
+    req.user = { id: mockUserId, role: mockUserRole };
+    next();
+  },
+}));
+
+jest.mock('../../src/utils/fileUpload', () => ({
+  uploadToSupabase: jest.fn(),
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { uploadToSupabase } = require('../../src/utils/fileUpload');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { Structure, CapitalCall, FeeInvoice, FirmSettings, User, Document } = require('../../src/models/supabase');
+
+describe('Fee Invoice Routes', () => {
+  let app;
+
+  const invoice = {
+    id: 'invoice-1',
+    structureId: 'structure-123',
+    userId: 'lp-1',
+    invoiceType: 'invoice',
+    invoiceNumber: 'F-000007',
+    series: 'F',
+    folio: 7,
+    capitalCallId: 'call-1',
+    capitalCallAllocationId: 'alloc-1',
+    currency: 'MXN',
+    subtotal: 1000,
+    vatRate: 16,
+    vatAmount: 160,
+    total: 1160,
+    creditedAmount: 0,
+    status: 'issued',
+    recipient: { name: 'LP One', taxId: 'LPO010101AB1' },
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const feeInvoiceRoutes = require('../../src/routes/feeInvoice.routes');
+    app.use('/api/structures', feeInvoiceRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createMockSupabaseClient());
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+    mockUserId = 'user-123';
+
+    uploadToSupabase.mockResolvedValue({ publicUrl: 'https://storage.example.com/invoice.pdf', size: 1024 });
+    jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', name: 'Fund I', baseCurrency: 'MX' });
+    jest.spyOn(FirmSettings, 'get').mockResolvedValue({ companyName: 'GP Manager SC', taxId: 'GPM010101AB1' });
+    jest.spyOn(Document, 'create').mockResolvedValue({ id: 'doc-1' });
+    jest.spyOn(FeeInvoice, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ ...invoice, id, ...data }));
+    jest.spyOn(FeeInvoice, 'updateIfCreditedAmount').mockImplementation(async (id, expected, data) => ({ ...invoice, id, ...data }));
+  });
+
+  describe('POST /api/structures/:structureId/fee-invoices', () => {
+    test('should issue one invoice per fee billing not yet invoiced', async () => {
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        id: 'call-1',
+        structureId: 'structure-123',
+        callNumber: 2,
+        status: 'Sent',
+        vatRate: 16,
+        capital_call_allocations: [
+          { id: 'alloc-1', user_id: 'lp-1', management_fee_gross: 1000, management_fee_net: 1000, vat_amount: 160 },
+          { id: 'alloc-2', user_id: 'lp-2', management_fee_gross: 500, management_fee_net: 500, vat_amount: 80 },
+          { id: 'alloc-3', user_id: 'lp-3', management_fee_gross: 0, management_fee_net: 0 },
+        ],
+      });
+      jest.spyOn(FeeInvoice, 'findByStructureId').mockResolvedValue([
+        { ...invoice, capitalCallAllocationId: 'alloc-1' },
+      ]);
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'lp-2', firstName: 'LP', lastName: 'Two' });
+      const createSpy = jest.spyOn(FeeInvoice, 'createWithNextFolio')
+        .mockImplementation(async (data) => ({ id: 'invoice-2', folio: 8, invoiceNumber: 'F-000008', ...data }));
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-invoices')
+        .send({ capitalCallId: 'call-1' });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledTimes(1);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'lp-2',
+        series: 'F',
+        currency: 'MXN',
+        subtotal: 500,
+        vatAmount: 80,
+        total: 580,
+        issuer: expect.objectContaining({ name: 'GP Manager SC', taxId: 'GPM010101AB1' }),
+      }));
+      expect(response.body.data.invoices[0].documentId).toBe('doc-1');
+      expect(response.body.data.skipped).toEqual(['alloc-1']);
+      expect(response.body.data.warnings).toEqual(['LP Two has no RFC / tax ID']);
+    });
+
+    test('should skip a fee billing invoiced by a concurrent request', async () => {
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        id: 'call-1',
+        structureId: 'structure-123',
+        callNumber: 2,
+        status: 'Sent',
+        vatRate: 16,
+        capital_call_allocations: [
+          { id: 'alloc-2', user_id: 'lp-2', management_fee_gross: 500, management_fee_net: 500, vat_amount: 80 },
+        ],
+      });
+      jest.spyOn(FeeInvoice, 'findByStructureId').mockResolvedValue([]);
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'lp-2', firstName: 'LP', lastName: 'Two', taxId: 'LPT010101AB1' });
+      jest.spyOn(FeeInvoice, 'createWithNextFolio').mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-invoices')
+        .send({ capitalCallId: 'call-1' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.invoices).toEqual([]);
+      expect(response.body.data.skipped).toEqual(['alloc-2']);
+    });
+
+    test('should return 400 for a draft capital call', async () => {
+      jest.spyOn(CapitalCall, 'findWithAllocations').mockResolvedValue({
+        id: 'call-1',
+        structureId: 'structure-123',
+        status: 'Draft',
+        capital_call_allocations: [],
+      });
+      const createSpy = jest.spyOn(FeeInvoice, 'createWithNextFolio');
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-invoices')
+        .send({ capitalCallId: 'call-1' });
+
+      expect(response.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/structures/:structureId/fee-invoices/:invoiceId/credit-notes', () => {
+    test('should issue a partial credit note and update the invoice', async () => {
+      jest.spyOn(FeeInvoice, 'findById').mockResolvedValue(invoice);
+      jest.spyOn(CapitalCall, 'findById').mockResolvedValue({ id: 'call-1', callNumber: 2 });
+      const createSpy = jest.spyOn(FeeInvoice, 'createWithNextFolio')
+        .mockImplementation(async (data) => ({ id: 'credit-1', folio: 1, invoiceNumber: 'NC-000001', ...data }));
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-invoices/invoice-1/credit-notes')
+        .send({ amount: 580, reason: 'Fee rate correction' });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        invoiceType: 'credit_note',
+        series: 'NC',
+        originalInvoiceId: 'invoice-1',
+        subtotal: 500,
+        vatAmount: 80,
+        total: 580,
+      }));
+      expect(FeeInvoice.updateIfCreditedAmount).toHaveBeenCalledWith('invoice-1', 0, { creditedAmount: 580, status: 'partially_credited' });
+    });
+
+    test('should return 400 when the invoice was credited by another request', async () => {
+      jest.spyOn(FeeInvoice, 'findById').mockResolvedValue(invoice);
+      FeeInvoice.updateIfCreditedAmount.mockResolvedValue(null);
+      const createSpy = jest.spyOn(FeeInvoice, 'createWithNextFolio');
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-invoices/invoice-1/credit-notes')
+        .send({ amount: 580, reason: 'Fee rate correction' });
+
+      expect(response.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    test('should give the claimed amount back when the credit note cannot be created', async () => {
+      jest.spyOn(FeeInvoice, 'findById').mockResolvedValue(invoice);
+      jest.spyOn(FeeInvoice, 'createWithNextFolio').mockRejectedValue(new Error('Error creating fee invoice: timeout'));
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-invoices/invoice-1/credit-notes')
+        .send({ amount: 580, reason: 'Fee rate correction' });
+
+      expect(response.status).toBe(500);
+      expect(FeeInvoice.updateIfCreditedAmount).toHaveBeenLastCalledWith('invoice-1', 580, { creditedAmount: 0, status: 'issued' });
+    });
+
+    test('should return 400 when the amount exceeds what is left to credit', async () => {
+      jest.spyOn(FeeInvoice, 'findById').mockResolvedValue({ ...invoice, creditedAmount: 1000, status: 'partially_credited' });
+      const createSpy = jest.spyOn(FeeInvoice, 'createWithNextFolio');
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-invoices/invoice-1/credit-notes')
+        .send({ amount: 500, reason: 'Fee rate correction' });
+
+      expect(response.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/structures/:structureId/fee-invoices/:invoiceId/pdf', () => {
+    test('should not let an LP download another LP\'s invoice', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-2';
+      jest.spyOn(FeeInvoice, 'findById').mockResolvedValue(invoice);
+
+      const response = await request(app)
+        .get('/api/structures/structure-123/fee-invoices/invoice-1/pdf');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * GP Fee Income & Fee Offset Routes Tests
+ * Tests for src/routes/feeOffset.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+let mockUserId = 'user-123';
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: mockUserId, role: mockUserRole };
+    req.user = { id: mockUserId, role: mockUserRole };
+    next();
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { Structure, StructureInvestor, Investment, GpFeeIncome, FeeOffsetEntry } = require('../../src/models/supabase');
+
+describe('Fee Offset Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const feeOffsetRoutes = require('../../src/routes/feeOffset.routes');
+    app.use('/api/structures', feeOffsetRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createMockSupabaseClient());
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+    mockUserId = 'user-123';
+
+    jest.spyOn(Structure, 'findById').mockResolvedValue({
+      id: 'structure-123',
+      managementFeeOffset: true,
+      feeOffsetRate: '80'
+    });
+  });
+
+  describe('POST /api/structures/:structureId/fee-income', () => {
+    test('should record the fee and credit the offset to LPs pro-rata to commitment', async () => {
+      jest.spyOn(Investment, 'findById').mockResolvedValue({ id: 'investment-1', structureId: 'structure-123' });
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', commitment: 750000 },
+        { userId: 'lp-2', commitment: 250000 },
+      ]);
+      const createSpy = jest.spyOn(GpFeeIncome, 'create').mockImplementation(async (data) => ({ id: 'income-1', ...data }));
+      const creditSpy = jest.spyOn(FeeOffsetEntry, 'createMany').mockImplementation(async (entries) => entries);
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-income')
+        .send({ feeType: 'monitoring', amount: 10000, receivedDate: '2025-03-31', investmentId: 'investment-1' });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        investmentId: 'investment-1',
+        feeType: 'monitoring',
+        amount: 10000,
+        offsetRate: 80,
+        offsetAmount: 8000
+      }));
+      expect(creditSpy).toHaveBeenCalledWith([
+        expect.objectContaining({ userId: 'lp-1', entryType: 'credit', amount: 6000, feeIncomeId: 'income-1' }),
+        expect.objectContaining({ userId: 'lp-2', entryType: 'credit', amount: 2000, feeIncomeId: 'income-1' }),
+      ]);
+    });
+
+    test('should return 400 for an unknown fee type', async () => {
+      const createSpy = jest.spyOn(GpFeeIncome, 'create');
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/fee-income')
+        .send({ feeType: 'advisory', amount: 10000 });
+
+      expect(response.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/structures/:structureId/fee-income/:incomeId', () => {
+    test('should not delete fee income whose credits have been applied', async () => {
+      jest.spyOn(GpFeeIncome, 'findById').mockResolvedValue({ id: 'income-1', structureId: 'structure-123' });
+      jest.spyOn(FeeOffsetEntry, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', entryType: 'credit', amount: 6000, feeIncomeId: 'income-1' },
+        { userId: 'lp-1', entryType: 'applied', amount: 5000, capitalCallId: 'call-1' },
+      ]);
+      const deleteSpy = jest.spyOn(GpFeeIncome, 'findByIdAndDelete');
+
+      const response = await request(app)
+        .delete('/api/structures/structure-123/fee-income/income-1');
+
+      expect(response.status).toBe(400);
+      expect(deleteSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/structures/:structureId/fee-offsets', () => {
+    test('should return an LP their own carried-forward balance', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-1';
+      jest.spyOn(GpFeeIncome, 'findByStructureId').mockResolvedValue([]);
+      const entriesSpy = jest.spyOn(FeeOffsetEntry, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', entryType: 'credit', amount: 6000, entryDate: '2025-03-31' },
+        { userId: 'lp-1', entryType: 'applied', amount: 4500, entryDate: '2025-06-30' },
+      ]);
+
+      const response = await request(app)
+        .get('/api/structures/structure-123/fee-offsets?userId=lp-2');
+
+      expect(response.status).toBe(200);
+      expect(entriesSpy).toHaveBeenCalledWith('structure-123', { userId: 'lp-1' });
+      expect(response.body.data.carriedForward).toBe(1500);
+      expect(response.body.data.investors).toEqual([
+        { userId: 'lp-1', credited: 6000, applied: 4500, carriedForward: 1500 }
+      ]);
+    });
+  });
+});
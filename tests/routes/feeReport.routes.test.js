@@ -0,0 +1,225 @@
+/**
+ * Fee Report Routes Tests
+ * Tests for src/routes/feeReport.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+let mockUserId = 'user-123';
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: mockUserId, role: mockUserRole };
+    req.user = { id: mockUserId, role: mockUserRole };
+    next();
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const {
+  Structure,
+  User,
+  PartnershipExpense,
+  DistributionReinvestment,
+  GpFeeIncome,
+  FeeOffsetEntry,
+} = require('../../src/models/supabase');
+
+describe('Fee Report Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const feeReportRoutes = require('../../src/routes/feeReport.routes');
+    app.use('/api/fee-reports', feeReportRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    const mockClient = createMockSupabaseClient();
+    mockClient.setMockResponse('capital_calls', {
+      data: [
+        {
+          id: 'call-1',
+          call_date: '2024-12-15',
+          status: 'Paid',
+          capital_call_allocations: [
+            { user_id: 'lp-1', management_fee_gross: 1000, management_fee_net: 1000, total_due: 60000 },
+            { user_id: 'lp-2', management_fee_gross: 1000, management_fee_net: 1000, total_due: 40000 },
+          ],
+        },
+        {
+          id: 'call-2',
+          call_date: '2025-02-01',
+          status: 'Sent',
+          capital_call_allocations: [
+            { user_id: 'lp-1', management_fee_gross: 2000, management_fee_discount: 200, fee_offset_amount: 300, fee_income_offset_amount: 300, management_fee_net: 1500, total_due: 30000 },
+            { user_id: 'lp-2', management_fee_gross: 2000, fee_offset_amount: 200, fee_income_offset_amount: 200, management_fee_net: 1800, total_due: 20000 },
+          ],
+        },
+        {
+          id: 'call-3',
+          call_date: '2025-03-01',
+          status: 'Pending',
+          approval_status: 'pending',
+          capital_call_allocations: [
+            { user_id: 'lp-1', management_fee_gross: 500, management_fee_net: 500, total_due: 5000 },
+          ],
+        },
+      ],
+    });
+    mockClient.setMockResponse('distributions', {
+      data: [{
+        id: 'dist-1',
+        distribution_date: '2025-03-15',
+        status: 'Paid',
+        gp_total_amount: 5000,
+        distribution_allocations: [
+          { user_id: 'lp-1', allocated_amount: 12000, carried_interest_amount: 3000 },
+          { user_id: 'lp-2', allocated_amount: 8000, carried_interest_amount: 2000 },
+        ],
+      }],
+    });
+    // The same allocations as the capital account statement reads them
+    const call1 = { id: 'call-1', call_date: '2024-12-15', status: 'Paid' };
+    const call2 = { id: 'call-2', call_date: '2025-02-01', status: 'Sent' };
+    const call3 = { id: 'call-3', call_date: '2025-03-01', status: 'Pending', approval_status: 'pending' };
+    mockClient.setMockResponse('capital_call_allocations', {
+      data: [
+        { user_id: 'lp-1', total_due: 60000, capital_call: call1 },
+        { user_id: 'lp-2', total_due: 40000, capital_call: call1 },
+        { user_id: 'lp-1', total_due: 30000, capital_call: call2 },
+        { user_id: 'lp-2', total_due: 20000, capital_call: call2 },
+        { user_id: 'lp-1', total_due: 5000, capital_call: call3 },
+      ],
+    });
+    const dist1 = { id: 'dist-1', distribution_date: '2025-03-15', status: 'Paid' };
+    mockClient.setMockResponse('distribution_allocations', {
+      data: [
+        { user_id: 'lp-1', allocated_amount: 12000, distribution: dist1 },
+        { user_id: 'lp-2', allocated_amount: 8000, distribution: dist1 },
+      ],
+    });
+    getSupabase.mockReturnValue(mockClient);
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+    mockUserId = 'user-123';
+
+    jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', name: 'Fund I', currency: 'USD' });
+    jest.spyOn(DistributionReinvestment, 'findByStructureId').mockResolvedValue([]);
+    jest.spyOn(GpFeeIncome, 'findByStructureId').mockResolvedValue([
+      { feeType: 'transaction', amount: 625, offsetAmount: 500, receivedDate: '2025-01-20' },
+    ]);
+    jest.spyOn(FeeOffsetEntry, 'findByStructureId').mockImplementation(async (structureId, { userId } = {}) => [
+      { userId: 'lp-1', entryType: 'credit', amount: 300, entryDate: '2025-01-20' },
+      { userId: 'lp-2', entryType: 'credit', amount: 200, entryDate: '2025-01-20' },
+      { userId: 'lp-1', entryType: 'applied', amount: 300, entryDate: '2025-02-01' },
+      { userId: 'lp-2', entryType: 'applied', amount: 200, entryDate: '2025-02-01' },
+    ].filter(e => !userId || e.userId === userId));
+    jest.spyOn(PartnershipExpense, 'findByStructureId').mockResolvedValue([{
+      id: 'expense-1',
+      category: 'audit',
+      amount: 10000,
+      expenseDate: '2025-03-31',
+      allocations: [
+        { userId: 'lp-1', amount: 6000 },
+        { userId: 'lp-2', amount: 4000 },
+      ],
+    }]);
+    jest.spyOn(PartnershipExpense, 'findAllocationsByInvestor').mockResolvedValue([
+      { userId: 'lp-1', amount: 6000, expense: { category: 'audit', expenseDate: '2025-03-31' } },
+    ]);
+  });
+
+  describe('GET /api/fee-reports/:structureId/ilpa-template', () => {
+    test('should build the fund-level template with passing reconciliation checks', async () => {
+      const response = await request(app)
+        .get('/api/fee-reports/structure-123/ilpa-template')
+        .query({ startDate: '2025-01-01', endDate: '2025-03-31' });
+
+      expect(response.status).toBe(200);
+      const data = response.body.data;
+      expect(data.level).toBe('fund');
+      expect(data.managementFees.period).toEqual({
+        gross: 4000,
+        waivers: 200,
+        feeOffsets: 0,
+        feeIncomeOffsets: 500,
+        net: 3300,
+        vat: 0,
+      });
+      expect(data.managementFees.toDate.net).toBe(5300);
+      expect(data.partnershipExpenses.period).toEqual({ total: 10000, byCategory: { audit: 10000 } });
+      expect(data.carriedInterest).toEqual({ period: 5000, toDate: 5000 });
+      expect(data.portfolioCompanyFees).toEqual(expect.objectContaining({ received: 625, offsetAmount: 500, applied: 500 }));
+      expect(data.totals.period).toBe(18300);
+      expect(data.capitalAccount).toEqual({ opening: 100000, contributions: 50000, distributions: 20000, closing: 130000 });
+      expect(data.reconciliation.checks).toHaveLength(5);
+      expect(data.reconciliation.passed).toBe(true);
+    });
+
+    test('should fail the capital account check when the statement balance differs', async () => {
+      const mockClient = getSupabase();
+      mockClient.setMockResponse('distribution_allocations', {
+        data: [
+          { user_id: 'lp-1', allocated_amount: 12000, distribution: { id: 'dist-1', distribution_date: '2025-03-15', status: 'Paid' } },
+          { user_id: 'lp-2', allocated_amount: 8000, distribution: { id: 'dist-1', distribution_date: '2025-03-15', status: 'Paid' } },
+          { user_id: 'lp-1', allocated_amount: 1500, distribution: { id: 'dist-2', distribution_date: '2025-03-20', status: 'Draft' } },
+        ],
+      });
+
+      const response = await request(app)
+        .get('/api/fee-reports/structure-123/ilpa-template')
+        .query({ startDate: '2025-01-01', endDate: '2025-03-31' });
+
+      expect(response.status).toBe(200);
+      const check = response.body.data.reconciliation.checks.find(c => c.check.startsWith('Capital account'));
+      expect(check).toEqual(expect.objectContaining({ expected: 128500, actual: 130000, passed: false }));
+      expect(response.body.data.reconciliation.passed).toBe(false);
+    });
+
+    test('should build an LP template from their own allocations', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-1';
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'lp-1', role: 3, investorType: 'Institution', institutionName: 'LP One Capital', email: 'lp1@example.com' });
+
+      const response = await request(app)
+        .get('/api/fee-reports/structure-123/ilpa-template')
+        .query({ startDate: '2025-01-01', endDate: '2025-03-31', investorId: 'lp-1' });
+
+      expect(response.status).toBe(200);
+      const data = response.body.data;
+      expect(data.level).toBe('investor');
+      expect(response.body.data.investor).toEqual({ id: 'lp-1', name: 'LP One Capital' });
+      expect(data.managementFees.period.net).toBe(1500);
+      expect(data.carriedInterest.period).toBe(3000);
+      expect(data.partnershipExpenses.period.total).toBe(6000);
+      expect(data.capitalAccount).toEqual({ opening: 60000, contributions: 30000, distributions: 12000, closing: 78000 });
+      expect(data.reconciliation.checks).toHaveLength(3);
+      expect(data.reconciliation.passed).toBe(true);
+    });
+
+    test('should not give an LP another LP\'s template', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-1';
+
+      const response = await request(app)
+        .get('/api/fee-reports/structure-123/ilpa-template')
+        .query({ investorId: 'lp-2' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
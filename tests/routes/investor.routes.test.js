@@ -12,10 +12,12 @@ jest.mock('../../src/config/database', () => ({
   getSupabase: jest.fn(),
 }));
 
+let mockUserRole = 1;
+
 jest.mock('../../src/middleware/auth', () => ({
   authenticate: (req, res, next) => {
-    req.auth = { userId: 'user-123', userRole: 1, role: 1 };
-    req.user = { id: 'user-123', role: 1 };
+    req.auth = { userId: 'user-123', userRole: mockUserRole, role: mockUserRole };
+    req.user = { id: 'user-123', role: mockUserRole };
     next();
   },
 }));
@@ -42,6 +44,9 @@ const Investor = require('../../src/models/supabase/investor');
 const Structure = require('../../src/models/supabase/structure');
 const DocusealSubmission = require('../../src/models/supabase/docusealSubmission');
 const Payment = require('../../src/models/supabase/payment');
+const CapitalCallPayment = require('../../src/models/supabase/capitalCallPayment');
+const CapitalCall = require('../../src/models/supabase/capitalCall');
+const ApprovalHistory = require('../../src/models/supabase/approvalHistory');
 
 describe('Investor Routes', () => {
   let app;
@@ -2079,4 +2084,95 @@ describe('Investor Routes', () => {
       expect(mockEqFn).toHaveBeenCalledWith('status', 'pending');
     });
   });
+
+  describe('POST /api/investors/me/capital-calls/:capitalCallId/pay', () => {
+    const capitalCallId = '11111111-2222-3333-4444-555555555555';
+
+    beforeEach(() => {
+      mockUserRole = 3;
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user-123' });
+      jest.spyOn(CapitalCallPayment, 'create');
+    });
+
+    afterEach(() => {
+      mockUserRole = 1;
+    });
+
+    test('should not accept a payment on a cancelled capital call', async () => {
+      mockSupabase.setMockResponse('capital_calls', {
+        data: { id: capitalCallId, structure_id: 'struct-1', status: 'Cancelled' },
+        error: null
+      });
+      mockSupabase.setMockResponse('capital_call_allocations', {
+        data: { id: 'alloc-1', capital_call_id: capitalCallId, user_id: 'user-123', status: 'Voided', total_due: 1000, paid_amount: 0 },
+        error: null
+      });
+
+      const response = await request(app)
+        .post(`/api/investors/me/capital-calls/${capitalCallId}/pay`)
+        .send({ amount: 1000, paymentMethod: 'capital-commitment' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Capital call is cancelled; no further payments can be recorded');
+      expect(CapitalCallPayment.create).not.toHaveBeenCalled();
+    });
+
+    test('should not accept a payment on a voided allocation', async () => {
+      mockSupabase.setMockResponse('capital_calls', {
+        data: { id: capitalCallId, structure_id: 'struct-1', status: 'Sent' },
+        error: null
+      });
+      mockSupabase.setMockResponse('capital_call_allocations', {
+        data: { id: 'alloc-1', capital_call_id: capitalCallId, user_id: 'user-123', status: 'Voided', total_due: 1000, paid_amount: 0 },
+        error: null
+      });
+
+      const response = await request(app)
+        .post(`/api/investors/me/capital-calls/${capitalCallId}/pay`)
+        .send({ amount: 1000, paymentMethod: 'wire' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Allocation is voided; no further payments can be recorded');
+      expect(CapitalCallPayment.create).not.toHaveBeenCalled();
+    });
+
+    test('should keep a defaulted allocation in default until the late interest is paid', async () => {
+      mockSupabase.setMockResponse('capital_calls', {
+        data: { id: capitalCallId, structure_id: 'struct-1', status: 'Sent' },
+        error: null
+      });
+      const allocation = {
+        id: 'alloc-1', capital_call_id: capitalCallId, user_id: 'user-123', status: 'Defaulted',
+        principal_amount: 1000, total_due: 1000, paid_amount: 0, default_interest_amount: 50, default_interest_paid: 0
+      };
+      const from = mockSupabase.from.bind(mockSupabase);
+      jest.spyOn(mockSupabase, 'from').mockImplementation((table) => {
+        const query = from(table);
+        if (table === 'capital_call_allocations') {
+          query.single = () => {
+            query.mockData = allocation;
+            return query;
+          };
+          query.mockData = [{ ...allocation, paid_amount: 1000, payment_approval_status: 'approved' }];
+        }
+        return query;
+      });
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'struct-1', paymentApplicationPolicy: 'capital_first' });
+      CapitalCallPayment.create.mockResolvedValue({ id: 'payment-1' });
+      jest.spyOn(CapitalCall, 'findAllocationById').mockResolvedValue({
+        id: 'alloc-1', capitalCallId, userId: 'user-123', status: 'Defaulted', totalDue: 1000, paidAmount: 1000, defaultInterestAmount: 50, defaultInterestPaid: 0
+      });
+      jest.spyOn(CapitalCall, 'updateAllocation');
+      jest.spyOn(ApprovalHistory, 'logAction').mockResolvedValue({});
+
+      const response = await request(app)
+        .post(`/api/investors/me/capital-calls/${capitalCallId}/pay`)
+        .send({ amount: 1000, paymentMethod: 'capital-commitment' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('Defaulted');
+      expect(CapitalCall.updateAllocation).not.toHaveBeenCalled();
+      expect(ApprovalHistory.logAction).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,155 @@
+/**
+ * Investor Class Routes Tests
+ * Tests for src/routes/investorClass.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: 'user-123', role: mockUserRole };
+    req.user = { id: 'user-123', role: mockUserRole };
+    next();
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { InvestorClass, Structure, StructureInvestor, WaterfallTier } = require('../../src/models/supabase');
+
+describe('Investor Class Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const investorClassRoutes = require('../../src/routes/investorClass.routes');
+    app.use('/api/structures', investorClassRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createMockSupabaseClient());
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+
+    jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', name: 'Test Fund' });
+  });
+
+  describe('GET /api/structures/:structureId/investor-classes', () => {
+    test('should list classes with their tiers and assigned investors', async () => {
+      jest.spyOn(InvestorClass, 'findByStructureId').mockResolvedValue([
+        { id: 'class-a', structureId: 'structure-123', name: 'Anchor', carriedInterest: 10 }
+      ]);
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+        { userId: 'lp-1', investorClassId: 'class-a' },
+        { userId: 'lp-2', investorClassId: null }
+      ]);
+      jest.spyOn(WaterfallTier, 'findActiveByInvestorClassId').mockResolvedValue([]);
+
+      const response = await request(app).get('/api/structures/structure-123/investor-classes');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0]).toMatchObject({ name: 'Anchor', carriedInterest: 10, tiers: [], userIds: ['lp-1'] });
+    });
+  });
+
+  describe('POST /api/structures/:structureId/investor-classes', () => {
+    test('should create a class with carry and hurdle overrides', async () => {
+      jest.spyOn(InvestorClass, 'findByStructureId').mockResolvedValue([]);
+      const createSpy = jest.spyOn(InvestorClass, 'create').mockImplementation(async data => ({ id: 'class-a', ...data }));
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/investor-classes')
+        .send({ name: ' Founders ', carriedInterest: '15', hurdleRate: 6 });
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith({
+        name: 'Founders',
+        carriedInterest: 15,
+        hurdleRate: 6,
+        structureId: 'structure-123',
+        createdBy: 'user-123'
+      });
+    });
+
+    test('should reject overrides outside 0-100 and duplicate names', async () => {
+      jest.spyOn(InvestorClass, 'findByStructureId').mockResolvedValue([{ id: 'class-a', name: 'Anchor' }]);
+
+      const invalid = await request(app)
+        .post('/api/structures/structure-123/investor-classes')
+        .send({ name: 'GP Commit', carriedInterest: 120 });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.errors).toContain('Carried interest must be between 0 and 100');
+
+      const duplicate = await request(app)
+        .post('/api/structures/structure-123/investor-classes')
+        .send({ name: 'anchor' });
+      expect(duplicate.status).toBe(400);
+      expect(duplicate.body.message).toContain('already exists');
+    });
+
+    test('should deny users who cannot manage structures', async () => {
+      mockUserRole = 3;
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/investor-classes')
+        .send({ name: 'Anchor' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/structures/:structureId/investor-classes/:classId/investors', () => {
+    test('should assign investors of the structure to the class', async () => {
+      jest.spyOn(InvestorClass, 'findById').mockResolvedValue({ id: 'class-a', structureId: 'structure-123' });
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([{ userId: 'lp-1' }, { userId: 'lp-2' }]);
+      const assignSpy = jest.spyOn(StructureInvestor, 'assignInvestorClass')
+        .mockResolvedValue([{ userId: 'lp-1', investorClassId: 'class-a' }]);
+
+      const response = await request(app)
+        .put('/api/structures/structure-123/investor-classes/class-a/investors')
+        .send({ userIds: ['lp-1'] });
+
+      expect(response.status).toBe(200);
+      expect(assignSpy).toHaveBeenCalledWith('structure-123', ['lp-1'], 'class-a');
+    });
+
+    test('should reject users who are not investors of the structure', async () => {
+      jest.spyOn(InvestorClass, 'findById').mockResolvedValue({ id: 'class-a', structureId: 'structure-123' });
+      jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([{ userId: 'lp-1' }]);
+      const assignSpy = jest.spyOn(StructureInvestor, 'assignInvestorClass');
+
+      const response = await request(app)
+        .put('/api/structures/structure-123/investor-classes/class-a/investors')
+        .send({ userIds: ['lp-9'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('lp-9');
+      expect(assignSpy).not.toHaveBeenCalled();
+    });
+
+    test('should not assign to a class of another structure', async () => {
+      jest.spyOn(InvestorClass, 'findById').mockResolvedValue({ id: 'class-a', structureId: 'structure-999' });
+
+      const response = await request(app)
+        .put('/api/structures/structure-123/investor-classes/class-a/investors')
+        .send({ userIds: ['lp-1'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Investor class not found');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Partnership Expense Routes Tests
+ * Tests for src/routes/partnershipExpense.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+let mockUserId = 'user-123';
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: mockUserId, role: mockUserRole };
+    req.user = { id: mockUserId, role: mockUserRole };
+    next();
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { Structure, StructureInvestor, PartnershipExpense } = require('../../src/models/supabase');
+
+describe('Partnership Expense Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const partnershipExpenseRoutes = require('../../src/routes/partnershipExpense.routes');
+    app.use('/api/structures', partnershipExpenseRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createMockSupabaseClient());
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+    mockUserId = 'user-123';
+
+    jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', organizationalExpenseCap: 100000 });
+    jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+      { userId: 'lp-1', commitment: 600000 },
+      { userId: 'lp-2', commitment: 400000 },
+    ]);
+  });
+
+  describe('POST /api/structures/:structureId/expenses', () => {
+    test('should allocate an organizational expense and warn when the cap is exceeded', async () => {
+      jest.spyOn(PartnershipExpense, 'create').mockImplementation(async (data) => ({ id: 'expense-1', ...data }));
+      const allocSpy = jest.spyOn(PartnershipExpense, 'createAllocations').mockImplementation(async (rows) => rows);
+      jest.spyOn(PartnershipExpense, 'findByStructureId').mockResolvedValue([
+        { id: 'expense-0', amount: 90000, isOrganizational: true },
+        { id: 'expense-1', amount: 20000, isOrganizational: true },
+      ]);
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/expenses')
+        .send({ category: 'organizational', amount: 20000, expenseDate: '2025-02-15', vendor: 'Law Firm LLP' });
+
+      expect(response.status).toBe(201);
+      expect(allocSpy).toHaveBeenCalledWith([
+        expect.objectContaining({ expenseId: 'expense-1', userId: 'lp-1', percentage: 60, amount: 12000 }),
+        expect.objectContaining({ expenseId: 'expense-1', userId: 'lp-2', percentage: 40, amount: 8000 }),
+      ]);
+      expect(response.body.data.expense.isOrganizational).toBe(true);
+      expect(response.body.data.organizationalCap).toEqual(expect.objectContaining({ exceeded: true, excess: 10000 }));
+      expect(response.body.data.warnings).toHaveLength(1);
+    });
+
+    test('should return 400 when custom keys do not total 100%', async () => {
+      const createSpy = jest.spyOn(PartnershipExpense, 'create');
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/expenses')
+        .send({ category: 'legal', amount: 5000, allocationMethod: 'custom', allocationKeys: { 'lp-1': 50, 'lp-2': 40 } });
+
+      expect(response.status).toBe(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/structures/:structureId/expenses', () => {
+    test('should only return an LP their share of each expense', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-2';
+      jest.spyOn(PartnershipExpense, 'findByStructureId').mockResolvedValue([{
+        id: 'expense-1',
+        category: 'audit',
+        amount: 10000,
+        expenseDate: '2025-03-31',
+        allocations: [
+          { userId: 'lp-1', amount: 6000 },
+          { userId: 'lp-2', amount: 4000 },
+        ],
+      }]);
+      jest.spyOn(PartnershipExpense, 'findAllocationsByInvestor').mockResolvedValue([
+        { userId: 'lp-2', amount: 4000, expense: { category: 'audit', expenseDate: '2025-03-31' } },
+      ]);
+
+      const response = await request(app)
+        .get('/api/structures/structure-123/expenses');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.expenses[0].allocations).toEqual([{ userId: 'lp-2', amount: 4000 }]);
+      expect(response.body.data.summary.toDate).toEqual({ total: 4000, byCategory: { audit: 4000 } });
+    });
+  });
+});
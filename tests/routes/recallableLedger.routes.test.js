@@ -0,0 +1,103 @@
+/**
+ * Recallable Ledger Routes Tests
+ * Tests for src/routes/recallableLedger.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+let mockUserId = 'user-123';
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: mockUserId, role: mockUserRole };
+    req.user = { id: mockUserId, role: mockUserRole };
+    next();
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { Structure, StructureInvestor, RecallableLedgerEntry } = require('../../src/models/supabase');
+
+describe('Recallable Ledger Routes', () => {
+  let app;
+
+  const entries = [
+    { userId: 'lp-1', entryType: 'credit', amount: 50000, distributionId: 'dist-1', entryDate: '2024-03-31' },
+    { userId: 'lp-2', entryType: 'credit', amount: 20000, distributionId: 'dist-1', entryDate: '2024-03-31' },
+    { userId: 'lp-1', entryType: 'debit', amount: 30000, capitalCallId: 'call-2', entryDate: '2024-06-30' }
+  ];
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const recallableLedgerRoutes = require('../../src/routes/recallableLedger.routes');
+    app.use('/api/structures', recallableLedgerRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createMockSupabaseClient());
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+    mockUserId = 'user-123';
+
+    jest.spyOn(Structure, 'findById').mockResolvedValue({
+      id: 'structure-123',
+      recallableDistributionsEnabled: true,
+      recallableLimitType: 'percentage_of_commitment',
+      recallableLimitValue: 10
+    });
+    jest.spyOn(StructureInvestor, 'findByStructureId').mockResolvedValue([
+      { userId: 'lp-1', commitment: 600000 },
+      { userId: 'lp-2', commitment: 400000 }
+    ]);
+    jest.spyOn(RecallableLedgerEntry, 'findByStructureId').mockResolvedValue(entries);
+  });
+
+  describe('GET /api/structures/:structureId/recallable-ledger', () => {
+    test('should return fund and per-LP balances against the recallable limit', async () => {
+      const response = await request(app).get('/api/structures/structure-123/recallable-ledger');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.fund).toMatchObject({
+        credited: 70000, debited: 30000, balance: 40000, limit: 100000, remainingCapacity: 30000
+      });
+      expect(response.body.data.investors).toEqual([
+        expect.objectContaining({ userId: 'lp-1', credited: 50000, debited: 30000, balance: 20000, limit: 60000, remainingCapacity: 10000 }),
+        expect.objectContaining({ userId: 'lp-2', credited: 20000, balance: 20000, limit: 40000, remainingCapacity: 20000 })
+      ]);
+      expect(response.body.data.entries).toHaveLength(3);
+    });
+
+    test('should only show an LP their own ledger', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-2';
+
+      const response = await request(app).get('/api/structures/structure-123/recallable-ledger?userId=lp-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.fund).toBeUndefined();
+      expect(response.body.data.investors).toEqual([expect.objectContaining({ userId: 'lp-2', balance: 20000 })]);
+      expect(response.body.data.entries).toEqual([expect.objectContaining({ userId: 'lp-2' })]);
+    });
+
+    test('should return 400 if structure not found', async () => {
+      Structure.findById.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/structures/missing/recallable-ledger');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Reinvestment Routes Tests
+ * Tests for src/routes/reinvestment.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+let mockUserId = 'user-123';
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: mockUserId, role: mockUserRole };
+    req.user = { id: mockUserId, role: mockUserRole };
+    next();
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { Structure, StructureInvestor, ReinvestmentElection, DistributionReinvestment } = require('../../src/models/supabase');
+
+describe('Reinvestment Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const reinvestmentRoutes = require('../../src/routes/reinvestment.routes');
+    app.use('/api/structures', reinvestmentRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createMockSupabaseClient());
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+    mockUserId = 'user-123';
+
+    jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123' });
+    jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue({ id: 'si-1', commitment: 100000 });
+  });
+
+  describe('POST /api/structures/:structureId/reinvestment-elections', () => {
+    test('should let an LP elect for themselves and supersede their active election', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-1';
+      jest.spyOn(ReinvestmentElection, 'findByStructureId').mockResolvedValue([{ id: 'election-old', status: 'Active' }]);
+      const revokeSpy = jest.spyOn(ReinvestmentElection, 'findByIdAndUpdate').mockResolvedValue({});
+      const createSpy = jest.spyOn(ReinvestmentElection, 'create').mockImplementation(async (data) => ({ id: 'election-new', ...data }));
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/reinvestment-elections')
+        .send({ userId: 'lp-2', reinvestmentPercentage: 50, method: 'subscription', effectiveDate: '2024-01-01' });
+
+      expect(response.status).toBe(201);
+      expect(revokeSpy).toHaveBeenCalledWith('election-old', { status: 'Revoked' });
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'lp-1',
+        reinvestmentPercentage: 50,
+        method: 'subscription',
+        status: 'Active',
+        createdBy: 'lp-1'
+      }));
+    });
+
+    test('should return 400 for an invalid reinvestment percentage', async () => {
+      const createSpy = jest.spyOn(ReinvestmentElection, 'create');
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/reinvestment-elections')
+        .send({ userId: 'lp-1', reinvestmentPercentage: 150 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Reinvestment percentage');
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/structures/:structureId/reinvestment-elections/:electionId/revoke', () => {
+    test('should not let an LP revoke another LP\'s election', async () => {
+      mockUserRole = 3;
+      mockUserId = 'lp-2';
+      jest.spyOn(ReinvestmentElection, 'findById').mockResolvedValue({
+        id: 'election-1', structureId: 'structure-123', userId: 'lp-1', status: 'Active'
+      });
+
+      const response = await request(app)
+        .patch('/api/structures/structure-123/reinvestment-elections/election-1/revoke');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/structures/:structureId/reinvestments', () => {
+    test('should return reinvestments with subscribed, netted and pending totals', async () => {
+      const findSpy = jest.spyOn(DistributionReinvestment, 'findByStructureId').mockResolvedValue([
+        { id: 'r-1', userId: 'lp-1', method: 'subscription', amount: 10000, appliedAmount: 10000, status: 'applied' },
+        { id: 'r-2', userId: 'lp-1', method: 'net_against_call', amount: 8000, appliedAmount: 5000, status: 'pending' }
+      ]);
+
+      const response = await request(app).get('/api/structures/structure-123/reinvestments?userId=lp-1');
+
+      expect(response.status).toBe(200);
+      expect(findSpy).toHaveBeenCalledWith('structure-123', { userId: 'lp-1', status: undefined });
+      expect(response.body.data.summary).toEqual({
+        total: 18000, subscribed: 10000, nettedAgainstCalls: 5000, pending: 3000
+      });
+    });
+  });
+});
@@ -7,6 +7,8 @@ const express = require('express');
 const request = require('supertest');
 const { createMockSupabaseClient } = require('../helpers/mockSupabase');
 
+let mockUserRole = 1;
+
 // Mock dependencies
 jest.mock('../../src/config/database', () => ({
   getSupabase: jest.fn(),
@@ -14,7 +16,7 @@ jest.mock('../../src/config/database', () => ({
 
 jest.mock('../../src/middleware/auth', () => ({
   authenticate: (req, res, next) => {
-    req.auth = { userId: 'user-123', userRole: 1 };
+    req.auth = { userId: 'user-123', userRole: 1, role: mockUserRole };
     req.user = { id: 'user-123' };
     next();
   },
@@ -22,7 +24,7 @@ jest.mock('../../src/middleware/auth', () => ({
 
 const { getSupabase } = require('../../src/config/database');
 const { errorHandler } = require('../../src/middleware/errorHandler');
-const { WaterfallTier, Structure } = require('../../src/models/supabase');
+const { WaterfallTier, Structure, Distribution } = require('../../src/models/supabase');
 
 describe('Waterfall Tier Routes', () => {
   let app;
@@ -115,7 +117,7 @@ describe('Waterfall Tier Routes', () => {
         .post('/api/waterfall-tiers')
         .send({
           structureId: 'structure-123',
-          tierNumber: 5,
+          tierNumber: 0,
           lpSharePercent: 100,
           gpSharePercent: 0
         });
@@ -259,7 +261,7 @@ describe('Waterfall Tier Routes', () => {
       expect(response.body.success).toBe(false);
     });
 
-    test('should return 400 if more than 4 tiers provided', async () => {
+    test('should return 400 if the tiers are not a coherent waterfall', async () => {
       const response = await request(app)
         .post('/api/waterfall-tiers/bulk-create')
         .send({
@@ -275,6 +277,7 @@ describe('Waterfall Tier Routes', () => {
 
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Tier 2 splits proceeds without a threshold');
     });
   });
 
@@ -453,6 +456,86 @@ describe('Waterfall Tier Routes', () => {
     });
   });
 
+  describe('POST /api/waterfall-tiers/structure/:structureId/preview', () => {
+    const waterfallInputs = {
+      tiers: [],
+      terms: { hurdleRate: 8, carriedInterest: 20, prefReturnCompounding: 'simple', waterfallType: 'European' },
+      investors: [{ userId: 'investor-1', ownershipPercent: 100, contributions: [{ date: '2023-01-01', amount: 1000000 }] }],
+      investments: [],
+      priorDistributions: [],
+      distribution: { id: null, date: '2024-01-01', amount: 3000000, investmentId: null, excludedUserIds: [] }
+    };
+
+    beforeEach(() => {
+      mockUserRole = 1;
+      WaterfallTier.validateTier.mockRestore();
+      jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', createdBy: 'user-123' });
+      jest.spyOn(Distribution, 'getWaterfallInputs').mockResolvedValue(waterfallInputs);
+    });
+
+    test('should run a hypothetical distribution through proposed tiered carry', async () => {
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/preview')
+        .send({
+          amount: 3000000,
+          date: '2024-01-01',
+          tiers: [
+            { tierNumber: 1, tierName: 'Return of Capital', lpSharePercent: 100, gpSharePercent: 0 },
+            { tierNumber: 2, tierName: 'Preferred Return', lpSharePercent: 100, gpSharePercent: 0, thresholdType: 'irr', thresholdIrr: 8 },
+            { tierNumber: 3, tierName: 'Catch-up', lpSharePercent: 0, gpSharePercent: 100 },
+            { tierNumber: 4, tierName: '20% to 2.0x', lpSharePercent: 80, gpSharePercent: 20, thresholdType: 'moic', thresholdMultiple: 2 },
+            { tierNumber: 5, tierName: '25% to 25% IRR', lpSharePercent: 75, gpSharePercent: 25, thresholdType: 'irr', thresholdIrr: 25 },
+            { tierNumber: 6, tierName: '30% beyond', lpSharePercent: 70, gpSharePercent: 30 }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tierSource).toBe('proposed');
+      expect(response.body.data.tiers).toHaveLength(6);
+      expect(response.body.data.lpTotal + response.body.data.gpTotal).toBeCloseTo(3000000, 2);
+      expect(Distribution.getWaterfallInputs).toHaveBeenCalledWith(expect.objectContaining({
+        structureId: 'structure-123',
+        totalAmount: 3000000
+      }));
+    });
+
+    test('should return 400 if the proposed tiers are not coherent', async () => {
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/preview')
+        .send({
+          amount: 1000000,
+          tiers: [
+            { tierNumber: 1, lpSharePercent: 80, gpSharePercent: 20, thresholdType: 'moic', thresholdMultiple: 2 },
+            { tierNumber: 2, lpSharePercent: 75, gpSharePercent: 25, thresholdType: 'moic', thresholdMultiple: 1.5 },
+            { tierNumber: 3, lpSharePercent: 70, gpSharePercent: 30 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain("Tier 2 MOIC threshold must be above tier 1's");
+    });
+
+    test('should return 400 if amount is missing', async () => {
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/preview')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 400 for users who cannot edit the structure', async () => {
+      mockUserRole = 3;
+
+      const response = await request(app)
+        .post('/api/waterfall-tiers/structure/structure-123/preview')
+        .send({ amount: 1000000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Unauthorized access to structure');
+      expect(Distribution.getWaterfallInputs).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /api/waterfall-tiers/:id', () => {
     test('should get tier by ID successfully', async () => {
       jest.spyOn(WaterfallTier, 'findById').mockResolvedValue({
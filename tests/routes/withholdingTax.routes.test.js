@@ -0,0 +1,166 @@
+/**
+ * Withholding Tax Routes Tests
+ * Tests for src/routes/withholdingTax.routes.js
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createMockSupabaseClient } = require('../helpers/mockSupabase');
+
+let mockUserRole = 1;
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  getSupabase: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.auth = { userId: 'user-123', role: mockUserRole };
+    req.user = { id: 'user-123', role: mockUserRole };
+    next();
+  },
+}));
+
+const { getSupabase } = require('../../src/config/database');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { WithholdingTaxElection, Structure, StructureInvestor, Document, Distribution } = require('../../src/models/supabase');
+
+describe('Withholding Tax Routes', () => {
+  let app;
+
+  const validElection = {
+    userId: 'lp-1',
+    electionType: 'treaty',
+    rate: 10,
+    treatyCountry: 'Spain',
+    documentId: 'doc-1',
+    effectiveDate: '2024-01-01'
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const withholdingTaxRoutes = require('../../src/routes/withholdingTax.routes');
+    app.use('/api/structures', withholdingTaxRoutes);
+
+    app.use(errorHandler);
+  });
+
+  beforeEach(() => {
+    getSupabase.mockReturnValue(createMockSupabaseClient());
+    jest.restoreAllMocks();
+    mockUserRole = 1;
+
+    jest.spyOn(Structure, 'findById').mockResolvedValue({ id: 'structure-123', name: 'Test Fund' });
+    jest.spyOn(StructureInvestor, 'findByUserAndStructure').mockResolvedValue({ userId: 'lp-1' });
+    jest.spyOn(Document, 'findById').mockResolvedValue({ id: 'doc-1' });
+  });
+
+  describe('POST /api/structures/:structureId/withholding-elections', () => {
+    test('should record a treaty election backed by a document', async () => {
+      const createSpy = jest.spyOn(WithholdingTaxElection, 'create').mockImplementation(async data => ({ id: 'election-1', ...data }));
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/withholding-elections')
+        .send(validElection);
+
+      expect(response.status).toBe(201);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        structureId: 'structure-123',
+        userId: 'lp-1',
+        electionType: 'treaty',
+        rate: 10,
+        documentId: 'doc-1',
+        status: 'Active',
+        createdBy: 'user-123'
+      }));
+    });
+
+    test('should require a supporting document that exists', async () => {
+      const missing = await request(app)
+        .post('/api/structures/structure-123/withholding-elections')
+        .send({ ...validElection, documentId: undefined });
+      expect(missing.status).toBe(400);
+
+      Document.findById.mockResolvedValue(null);
+      const notFound = await request(app)
+        .post('/api/structures/structure-123/withholding-elections')
+        .send(validElection);
+      expect(notFound.status).toBe(400);
+      expect(notFound.body.message).toBe('Supporting document not found');
+    });
+
+    test('should deny users who cannot manage structures', async () => {
+      mockUserRole = 3;
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/withholding-elections')
+        .send(validElection);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/structures/:structureId/withholding-elections/:electionId/revoke', () => {
+    test('should revoke an active election', async () => {
+      jest.spyOn(WithholdingTaxElection, 'findById').mockResolvedValue({ id: 'election-1', structureId: 'structure-123', status: 'Active', notes: null });
+      const updateSpy = jest.spyOn(WithholdingTaxElection, 'findByIdAndUpdate').mockImplementation(async (id, data) => ({ id, ...data }));
+
+      const response = await request(app)
+        .patch('/api/structures/structure-123/withholding-elections/election-1/revoke')
+        .send({ reason: 'Certificate expired' });
+
+      expect(response.status).toBe(200);
+      expect(updateSpy).toHaveBeenCalledWith('election-1', { status: 'Revoked', notes: 'Revoked: Certificate expired' });
+    });
+  });
+
+  describe('POST /api/structures/:structureId/withholding-preview', () => {
+    test('should preview the LP withholding by income source', async () => {
+      jest.spyOn(Distribution, 'getWithholdingInputs').mockResolvedValue({
+        structure: { withholdingTaxOnDistributions: 20 },
+        investors: new Map([['lp-1', { investorType: 'Individual' }]]),
+        elections: []
+      });
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/withholding-preview')
+        .send({ userId: 'lp-1', amount: 1000, sourceEquityGain: 500, sourceDebtPrincipal: 500 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ userId: 'lp-1', withheldAmount: 100, netAmount: 900 });
+    });
+
+    test('should only preview an LP their own withholding', async () => {
+      mockUserRole = 3;
+      const inputsSpy = jest.spyOn(Distribution, 'getWithholdingInputs').mockResolvedValue({
+        structure: { withholdingTaxOnDistributions: 20 },
+        investors: new Map([['user-123', { investorType: 'Individual' }]]),
+        elections: []
+      });
+
+      const response = await request(app)
+        .post('/api/structures/structure-123/withholding-preview')
+        .send({ userId: 'lp-1', amount: 1000 });
+
+      expect(response.status).toBe(200);
+      expect(inputsSpy).toHaveBeenCalledWith('structure-123', ['user-123']);
+      expect(response.body.data.userId).toBe('user-123');
+    });
+  });
+
+  describe('GET /api/structures/:structureId/withholding-elections', () => {
+    test('should only return an LP their own elections', async () => {
+      mockUserRole = 3;
+      const findSpy = jest.spyOn(WithholdingTaxElection, 'findByStructureId').mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/structures/structure-123/withholding-elections?userId=lp-1');
+
+      expect(response.status).toBe(200);
+      expect(findSpy).toHaveBeenCalledWith('structure-123', { userId: 'user-123', status: undefined });
+    });
+  });
+});
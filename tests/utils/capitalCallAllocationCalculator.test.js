@@ -0,0 +1,324 @@
+/**
+ * Capital Call Allocation Calculator Tests
+ * Tests for src/utils/capitalCallAllocationCalculator.js
+ */
+
+const {
+  aggregateStructureInvestors,
+  applyExcusals,
+  getInvestmentOwnership,
+  getFeePeriodFraction,
+  isDualRateMode,
+  calculateAllocations,
+  summarizeAllocations,
+  getAllocationWarnings,
+} = require('../../src/utils/capitalCallAllocationCalculator');
+
+const byUser = (allocations) => Object.fromEntries(allocations.map(a => [a.user_id, a]));
+
+describe('Capital Call Allocation Calculator', () => {
+  describe('aggregateStructureInvestors', () => {
+    test('should sum ownership and commitment across records of the same user', () => {
+      const result = aggregateStructureInvestors([
+        { user_id: 'lp-1', ownership_percent: 30, commitment: 300000, fee_discount: 0.5 },
+        { user_id: 'lp-1', ownership_percent: 10, commitment: 100000, fee_discount: 0.5 },
+        { user_id: 'lp-2', ownership_percent: 60, commitment: 600000, vat_exempt: true },
+      ], 'struct-1');
+
+      expect(result).toEqual([
+        { user_id: 'lp-1', structure_id: 'struct-1', ownership_percent: 40, commitment: 400000, fee_discount: 0.5, vat_exempt: false },
+        { user_id: 'lp-2', structure_id: 'struct-1', ownership_percent: 60, commitment: 600000, fee_discount: 0, vat_exempt: true },
+      ]);
+    });
+  });
+
+  describe('getFeePeriodFraction / isDualRateMode', () => {
+    test('should charge a fraction of the annual fee per period', () => {
+      expect(getFeePeriodFraction('quarterly')).toBe(0.25);
+      expect(getFeePeriodFraction('semi-annual')).toBe(0.5);
+      expect(getFeePeriodFraction('annual')).toBe(1);
+      expect(getFeePeriodFraction(undefined)).toBe(1);
+    });
+
+    test('should use the dual rate mode only with a NIC plus unfunded base and a rate', () => {
+      expect(isDualRateMode({ managementFeeBase: 'nic_plus_unfunded', feeRateOnNic: 2 })).toBe(true);
+      expect(isDualRateMode({ managementFeeBase: 'nic_plus_unfunded' })).toBe(false);
+      expect(isDualRateMode({ managementFeeBase: 'committed', feeRateOnNic: 2 })).toBe(false);
+    });
+  });
+
+  describe('calculateAllocations (single rate)', () => {
+    const capitalCall = {
+      id: 'call-1',
+      dueDate: '2025-03-31',
+      totalCallAmount: 100000,
+      managementFeeRate: 2,
+      feePeriod: 'quarterly',
+      vatApplicable: true,
+      vatRate: 16,
+    };
+    const structureInvestors = [
+      { user_id: 'lp-1', ownership_percent: 60, commitment: 600000, fee_discount: 0.5, vat_exempt: false },
+      { user_id: 'lp-2', ownership_percent: 40, commitment: 400000, fee_discount: 0, vat_exempt: true },
+    ];
+
+    test('should charge the period fee on principal net of the investor discount, plus VAT', () => {
+      const allocations = byUser(calculateAllocations({ capitalCall, structureInvestors }));
+
+      expect(allocations['lp-1']).toMatchObject({
+        capital_call_id: 'call-1',
+        status: 'Pending',
+        due_date: '2025-03-31',
+        paid_amount: 0,
+        principal_amount: 60000,
+        excusal_redistribution_amount: 0,
+      });
+      expect(allocations['lp-1'].management_fee_gross).toBeCloseTo(300, 6);
+      expect(allocations['lp-1'].management_fee_net).toBeCloseTo(225, 6);
+      expect(allocations['lp-1'].management_fee_discount).toBeCloseTo(75, 6);
+      expect(allocations['lp-1'].vat_amount).toBeCloseTo(36, 6);
+      expect(allocations['lp-1'].total_due).toBeCloseTo(60261, 6);
+      expect(allocations['lp-1'].remaining_amount).toBeCloseTo(60261, 6);
+      expect(allocations['lp-1'].total_drawdown).toBeCloseTo(60261, 6);
+    });
+
+    test('should not charge VAT to exempt investors', () => {
+      const allocations = byUser(calculateAllocations({ capitalCall, structureInvestors }));
+
+      expect(allocations['lp-2'].management_fee_net).toBeCloseTo(200, 6);
+      expect(allocations['lp-2'].vat_amount).toBe(0);
+      expect(allocations['lp-2'].total_due).toBeCloseTo(40200, 6);
+    });
+
+    test('should charge principal only without a fee rate', () => {
+      const allocations = calculateAllocations({
+        capitalCall: { ...capitalCall, managementFeeRate: null },
+        structureInvestors,
+      });
+
+      allocations.forEach(a => {
+        expect(a.management_fee_net).toBe(0);
+        expect(a.vat_amount).toBe(0);
+        expect(a.total_due).toBe(a.principal_amount);
+      });
+    });
+
+    test('should split the drawdown into the call header breakdown', () => {
+      const allocations = byUser(calculateAllocations({
+        capitalCall: { ...capitalCall, managementFeeRate: null, totalInvestments: 70000, totalFundExpenses: 20000, totalReserves: 10000 },
+        structureInvestors,
+      }));
+
+      expect(allocations['lp-1'].investments_amount).toBeCloseTo(42000, 6);
+      expect(allocations['lp-1'].fund_expenses_amount).toBeCloseTo(12000, 6);
+      expect(allocations['lp-1'].reserves_amount).toBeCloseTo(6000, 6);
+      expect(allocations['lp-1'].total_drawdown).toBeCloseTo(60000, 6);
+    });
+  });
+
+  describe('calculateAllocations (dual rate)', () => {
+    const capitalCall = {
+      id: 'call-2',
+      totalCallAmount: 100000,
+      managementFeeBase: 'nic_plus_unfunded',
+      feeRateOnNic: 2,
+      feeRateOnUnfunded: 1,
+      feePeriod: 'annual',
+    };
+    const structureInvestors = [
+      { user_id: 'lp-1', ownership_percent: 50, commitment: 1000000, fee_discount: 0.5 },
+      { user_id: 'lp-2', ownership_percent: 50, commitment: 1000000 },
+    ];
+    const cumulativeCalledMap = { 'lp-1': 400000 };
+    const cumulativeRecallableMap = { 'lp-1': 50000 };
+
+    test('should charge the NIC rate on called capital and the unfunded rate on the rest', () => {
+      const allocations = byUser(calculateAllocations({ capitalCall, structureInvestors, cumulativeCalledMap, cumulativeRecallableMap }));
+
+      expect(allocations['lp-1']).toMatchObject({ adjusted_nic: 400000, unfunded_base: 650000, principal_amount: 50000 });
+      expect(allocations['lp-1'].management_fee_gross).toBeCloseTo(14500, 6);
+      expect(allocations['lp-1'].nic_fee_amount).toBeCloseTo(6000, 6);
+      expect(allocations['lp-1'].unfunded_fee_amount).toBeCloseTo(3250, 6);
+      expect(allocations['lp-1'].management_fee_discount).toBeCloseTo(5250, 6);
+      expect(allocations['lp-1'].management_fee_net).toBeCloseTo(9250, 6);
+
+      expect(allocations['lp-2']).toMatchObject({ adjusted_nic: 0, unfunded_base: 1000000 });
+      expect(allocations['lp-2'].management_fee_net).toBeCloseTo(10000, 6);
+      expect(allocations['lp-2'].total_due).toBeCloseTo(60000, 6);
+    });
+
+    test('should spread a fee offset by each investor\'s share of fund fees', () => {
+      const allocations = byUser(calculateAllocations({
+        capitalCall: { ...capitalCall, feeOffsetAmount: 1925 },
+        structureInvestors,
+        cumulativeCalledMap,
+        cumulativeRecallableMap,
+      }));
+
+      expect(allocations['lp-1'].fee_offset_amount).toBeCloseTo(925, 6);
+      expect(allocations['lp-1'].deemed_gp_contribution).toBeCloseTo(-925, 6);
+      expect(allocations['lp-1'].management_fee_net).toBeCloseTo(8325, 6);
+      expect(allocations['lp-2'].fee_offset_amount).toBeCloseTo(1000, 6);
+      expect(allocations['lp-2'].management_fee_net).toBeCloseTo(9000, 6);
+    });
+
+    test('should charge VAT on the fee net of the offset, plus VAT on use of proceeds', () => {
+      const allocations = byUser(calculateAllocations({
+        capitalCall: {
+          ...capitalCall,
+          feeOffsetAmount: 1925,
+          vatApplicable: true,
+          vatRate: 16,
+          vatOnInvestments: 1000,
+          vatOnFundExpenses: 400,
+        },
+        structureInvestors,
+        cumulativeCalledMap,
+        cumulativeRecallableMap,
+      }));
+
+      expect(allocations['lp-1'].vat_amount).toBeCloseTo(1332, 6);
+      expect(allocations['lp-1'].vat_on_investments_amount).toBeCloseTo(500, 6);
+      expect(allocations['lp-1'].vat_on_fund_expenses_amount).toBeCloseTo(200, 6);
+      expect(allocations['lp-1'].total_due).toBeCloseTo(50000 + 8325 + 1332 + 500 + 200, 6);
+      expect(allocations['lp-1'].total_drawdown).toBeCloseTo(allocations['lp-1'].total_due, 6);
+    });
+
+    test('should not charge VAT on fees when VAT does not apply', () => {
+      const allocations = calculateAllocations({
+        capitalCall: { ...capitalCall, vatApplicable: false, vatRate: 16 },
+        structureInvestors,
+        cumulativeCalledMap,
+        cumulativeRecallableMap,
+      });
+
+      allocations.forEach(a => expect(a.vat_amount).toBe(0));
+    });
+  });
+
+  describe('applyExcusals', () => {
+    const structureInvestors = [
+      { user_id: 'lp-1', ownership_percent: 50 },
+      { user_id: 'lp-2', ownership_percent: 30 },
+      { user_id: 'lp-3', ownership_percent: 20 },
+    ];
+
+    test('should leave investors untouched when nobody is excused', () => {
+      expect(applyExcusals(structureInvestors)).toBe(structureInvestors);
+    });
+
+    test('should redistribute excused ownership pro-rata among participants', () => {
+      const participants = applyExcusals(structureInvestors, ['lp-3']);
+
+      expect(participants).toEqual([
+        { user_id: 'lp-1', base_ownership_percent: 50, ownership_percent: 62.5 },
+        { user_id: 'lp-2', base_ownership_percent: 30, ownership_percent: 37.5 },
+      ]);
+    });
+
+    test('should return no participants when everyone is excused', () => {
+      expect(applyExcusals(structureInvestors, ['lp-1', 'lp-2', 'lp-3'])).toEqual([]);
+    });
+  });
+
+  describe('calculateAllocations (excusals)', () => {
+    const structureInvestors = [
+      { user_id: 'lp-1', ownership_percent: 50, commitment: 500000 },
+      { user_id: 'lp-2', ownership_percent: 30, commitment: 300000 },
+      { user_id: 'lp-3', ownership_percent: 20, commitment: 200000 },
+    ];
+    const capitalCall = {
+      id: 'call-3',
+      totalCallAmount: 100000,
+      totalInvestments: 80000,
+      totalFundExpenses: 15000,
+      totalReserves: 5000,
+      managementFeeRate: 2,
+      feePeriod: 'annual',
+      vatApplicable: true,
+      vatRate: 16,
+    };
+
+    test('should give each investor its investment share, zero for excused investors', () => {
+      const ownership = getInvestmentOwnership(structureInvestors, ['lp-3']);
+
+      expect(Object.fromEntries(ownership)).toEqual({ 'lp-1': 62.5, 'lp-2': 37.5, 'lp-3': 0 });
+      expect(getInvestmentOwnership(structureInvestors, [])).toBeNull();
+    });
+
+    test('should only redistribute the investments an excused investor is excused from', () => {
+      const allocations = byUser(calculateAllocations({ capitalCall, structureInvestors, excusedUserIds: ['lp-3'] }));
+
+      expect(allocations['lp-1'].investments_amount).toBeCloseTo(50000, 6);
+      expect(allocations['lp-1'].excusal_redistribution_amount).toBeCloseTo(10000, 6);
+      expect(allocations['lp-1'].principal_amount).toBeCloseTo(60000, 6);
+      expect(allocations['lp-2'].principal_amount).toBeCloseTo(36000, 6);
+
+      // The excused investor still pays its fund expenses, reserves, fee and VAT
+      expect(allocations['lp-3']).toMatchObject({ investments_amount: 0, excusal_redistribution_amount: 0 });
+      expect(allocations['lp-3'].principal_amount).toBeCloseTo(4000, 6);
+      expect(allocations['lp-3'].fund_expenses_amount).toBeCloseTo(3000, 6);
+      expect(allocations['lp-3'].reserves_amount).toBeCloseTo(1000, 6);
+      expect(allocations['lp-3'].management_fee_net).toBeCloseTo(400, 6);
+      expect(allocations['lp-3'].vat_amount).toBeCloseTo(64, 6);
+      expect(allocations['lp-3'].total_due).toBeCloseTo(4464, 6);
+
+      const totals = summarizeAllocations(Object.values(allocations));
+      expect(totals.principal).toBeCloseTo(100000, 6);
+      // Participants don't pick up the excused investor's fee
+      expect(allocations['lp-1'].management_fee_net).toBeCloseTo(1000, 6);
+      expect(totals.managementFeeNet).toBeCloseTo(2000, 6);
+    });
+
+    test('should keep the dual rate fee on an excused investor', () => {
+      const allocations = byUser(calculateAllocations({
+        capitalCall: { id: 'call-4', totalCallAmount: 100000, managementFeeBase: 'nic_plus_unfunded', feeRateOnUnfunded: 1 },
+        structureInvestors,
+        excusedUserIds: ['lp-3'],
+      }));
+
+      expect(allocations['lp-3'].unfunded_fee_amount).toBeCloseTo(2000, 6);
+      expect(allocations['lp-3'].principal_amount).toBe(0);
+      expect(allocations['lp-1'].principal_amount).toBeCloseTo(62500, 6);
+    });
+  });
+
+  describe('summarizeAllocations', () => {
+    test('should total allocations, including VAT on use of proceeds', () => {
+      const summary = summarizeAllocations([
+        { principal_amount: 600, management_fee_net: 10, vat_amount: 1.6, vat_on_investments_amount: 2, total_due: 613.6, total_drawdown: 613.6 },
+        { principal_amount: 400, management_fee_net: 5, vat_amount: 0.8, total_due: 405.8, total_drawdown: 405.8 },
+      ]);
+
+      expect(summary.investorCount).toBe(2);
+      expect(summary.principal).toBe(1000);
+      expect(summary.managementFeeNet).toBe(15);
+      expect(summary.vat).toBeCloseTo(4.4, 6);
+      expect(summary.totalDue).toBeCloseTo(1019.4, 6);
+    });
+  });
+
+  describe('getAllocationWarnings', () => {
+    test('should warn when the structure has no investors', () => {
+      expect(getAllocationWarnings([], [])).toEqual([
+        { type: 'no_investors', message: 'Structure has no investors to allocate the call to' },
+      ]);
+    });
+
+    test('should flag ownership gaps, missing commitments and calls above commitment', () => {
+      const structureInvestors = [
+        { user_id: 'lp-1', ownership_percent: 50, commitment: 100000 },
+        { user_id: 'lp-2', ownership_percent: 40, commitment: 0 },
+      ];
+      const allocations = [
+        { user_id: 'lp-1', total_drawdown: 30000 },
+        { user_id: 'lp-2', total_drawdown: 20000 },
+      ];
+
+      const warnings = getAllocationWarnings(allocations, structureInvestors, { 'lp-1': 80000 }, { 'lp-1': 5000 });
+
+      expect(warnings.map(w => w.type)).toEqual(['ownership_mismatch', 'over_commitment', 'no_commitment']);
+      expect(warnings[1]).toMatchObject({ userId: 'lp-1', calledAfter: 110000, excess: 5000 });
+    });
+  });
+});
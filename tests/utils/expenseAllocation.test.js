@@ -0,0 +1,86 @@
+/**
+ * Partnership Expense Allocation Tests
+ * Tests for src/utils/expenseAllocation.js
+ */
+
+const {
+  validateAllocationKeys,
+  allocateExpense,
+  checkOrganizationalCap,
+  summarizeByCategory,
+} = require('../../src/utils/expenseAllocation');
+
+describe('Partnership Expense Allocation', () => {
+  const investors = [
+    { userId: 'lp-1', commitment: 500000 },
+    { userId: 'lp-2', commitment: 300000 },
+    { userId: 'lp-3', commitment: 200000 },
+  ];
+
+  describe('allocateExpense', () => {
+    test('should allocate pro-rata to commitment', () => {
+      expect(allocateExpense(10000, investors)).toEqual([
+        { userId: 'lp-1', percentage: 50, amount: 5000 },
+        { userId: 'lp-2', percentage: 30, amount: 3000 },
+        { userId: 'lp-3', percentage: 20, amount: 2000 },
+      ]);
+    });
+
+    test('should put the rounding remainder on the last LP', () => {
+      const shares = allocateExpense(100, [
+        { userId: 'lp-1', commitment: 1 },
+        { userId: 'lp-2', commitment: 1 },
+        { userId: 'lp-3', commitment: 1 },
+      ]);
+
+      expect(shares.map(s => s.amount)).toEqual([33.33, 33.33, 33.34]);
+    });
+
+    test('should allocate by custom keys', () => {
+      const shares = allocateExpense(8000, investors, { method: 'custom', keys: { 'lp-1': 75, 'lp-3': 25 } });
+
+      expect(shares).toEqual([
+        { userId: 'lp-1', percentage: 75, amount: 6000 },
+        { userId: 'lp-3', percentage: 25, amount: 2000 },
+      ]);
+    });
+  });
+
+  describe('validateAllocationKeys', () => {
+    test('should accept keys of structure LPs totalling 100%', () => {
+      expect(validateAllocationKeys({ 'lp-1': 60, 'lp-2': 40 }, investors)).toBeNull();
+    });
+
+    test('should reject keys not totalling 100% or for non-investors', () => {
+      expect(validateAllocationKeys({ 'lp-1': 60, 'lp-2': 30 }, investors)).toMatch(/total 100%/);
+      expect(validateAllocationKeys({ 'lp-9': 100 }, investors)).toMatch(/not an investor/);
+      expect(validateAllocationKeys(null, investors)).toMatch(/required/);
+    });
+  });
+
+  describe('checkOrganizationalCap', () => {
+    test('should report the excess over the cap', () => {
+      expect(checkOrganizationalCap(250000, 262500)).toEqual({
+        cap: 250000,
+        total: 262500,
+        remaining: 0,
+        exceeded: true,
+        excess: 12500,
+      });
+    });
+
+    test('should never exceed when no cap is set', () => {
+      expect(checkOrganizationalCap(null, 1000000)).toEqual(expect.objectContaining({ cap: null, exceeded: false }));
+    });
+  });
+
+  describe('summarizeByCategory', () => {
+    test('should total amounts per category', () => {
+      expect(summarizeByCategory([
+        { category: 'legal', amount: 1200.5 },
+        { category: 'audit', amount: 800 },
+        { category: 'legal', amount: 300 },
+      ])).toEqual({ total: 2300.5, byCategory: { legal: 1500.5, audit: 800 } });
+    });
+  });
+});
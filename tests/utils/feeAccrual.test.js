@@ -0,0 +1,105 @@
+/**
+ * Management Fee Accrual Tests
+ * Tests for src/utils/feeAccrual.js
+ */
+
+const {
+  addDays,
+  getFeeComponents,
+  accrueInvestorFees,
+} = require('../../src/utils/feeAccrual');
+
+describe('Management Fee Accrual', () => {
+  describe('addDays', () => {
+    test('should move across month and year ends', () => {
+      expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+      expect(addDays('2024-03-01T10:00:00Z', -1)).toBe('2024-02-29');
+    });
+  });
+
+  describe('getFeeComponents', () => {
+    const position = { commitment: 1000000, nic: 400000, unfunded: 600000 };
+
+    test('should charge the base rate on the fee base during the commitment period', () => {
+      expect(getFeeComponents({ feeBase: 'committed', managementFee: 2 }, false, position))
+        .toEqual([{ base: 'committed', amount: 1000000, rate: 2 }]);
+      expect(getFeeComponents({ feeBase: 'nic', managementFee: 2 }, false, position))
+        .toEqual([{ base: 'nic', amount: 400000, rate: 2 }]);
+    });
+
+    test('should split NIC and unfunded rates for the dual rate base', () => {
+      const terms = { feeBase: 'nic_plus_unfunded', managementFee: 2, feeRateOnNic: 1.75, feeRateOnUnfunded: 1 };
+      expect(getFeeComponents(terms, false, position)).toEqual([
+        { base: 'nic', amount: 400000, rate: 1.75 },
+        { base: 'unfunded', amount: 600000, rate: 1 },
+      ]);
+    });
+
+    test('should step down to the post-commitment rate on NIC only', () => {
+      expect(getFeeComponents({ feeBase: 'committed', managementFee: 2, postCommitmentFeeRate: 1.5 }, true, position))
+        .toEqual([{ base: 'nic', amount: 400000, rate: 1.5 }]);
+      expect(getFeeComponents({ feeBase: 'committed', managementFee: 2 }, true, position))
+        .toEqual([{ base: 'nic', amount: 400000, rate: 2 }]);
+    });
+  });
+
+  describe('accrueInvestorFees', () => {
+    test('should accrue a committed capital fee with VAT over a year', () => {
+      const result = accrueInvestorFees({
+        terms: { feeBase: 'committed', managementFee: 2 },
+        investor: { commitment: 1000000 },
+        startDate: '2025-01-01',
+        endDate: '2025-12-31',
+        vatRate: 16,
+      });
+
+      expect(result.segments).toHaveLength(1);
+      expect(result.segments[0].days).toBe(365);
+      expect(result.grossFee).toBe(20000);
+      expect(result.netFee).toBe(20000);
+      expect(result.vatAmount).toBe(3200);
+      expect(result.totalFee).toBe(23200);
+    });
+
+    test('should split the period at call dates and apply the fee discount to each rate', () => {
+      const result = accrueInvestorFees({
+        terms: { feeBase: 'nic_plus_unfunded', managementFee: 2, feeRateOnNic: 2, feeRateOnUnfunded: 1 },
+        investor: { commitment: 1000000, feeDiscount: 0.5 },
+        calls: [{ date: '2025-07-01', amount: 400000 }],
+        startDate: '2025-01-01',
+        endDate: '2025-12-31',
+        convention: '30_360',
+      });
+
+      expect(result.segments.map(s => [s.from, s.to, s.days])).toEqual([
+        ['2025-01-01', '2025-06-30', 180],
+        ['2025-07-01', '2025-12-31', 180],
+      ]);
+      expect(result.segments.map(s => s.grossFee)).toEqual([5000, 7000]);
+      expect(result.grossFee).toBe(12000);
+      expect(result.discountAmount).toBe(5000);
+      expect(result.netFee).toBe(7000);
+      expect(result.nicAmount).toBe(400000);
+      expect(result.unfundedAmount).toBe(600000);
+    });
+
+    test('should step down at the end of the commitment period and skip VAT for exempt LPs', () => {
+      const result = accrueInvestorFees({
+        terms: { feeBase: 'committed', managementFee: 2, postCommitmentFeeRate: 1.5 },
+        investor: { commitment: 1000000, vatExempt: true },
+        calls: [{ date: '2024-01-01', amount: 600000 }],
+        startDate: '2025-01-01',
+        endDate: '2025-12-31',
+        commitmentPeriodEnd: '2025-07-01',
+        convention: '30_360',
+        vatRate: 16,
+      });
+
+      expect(result.segments.map(s => s.phase)).toEqual(['commitment_period', 'post_commitment']);
+      expect(result.segments.map(s => s.netFee)).toEqual([10000, 4500]);
+      expect(result.netFee).toBe(14500);
+      expect(result.vatAmount).toBe(0);
+      expect(result.totalFee).toBe(14500);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Management Fee Invoice Calculation Tests
+ * Tests for src/utils/feeInvoice.js
+ */
+
+const {
+  getInvoiceCurrency,
+  buildFeeInvoice,
+  validateCreditAmount,
+  buildCreditNote,
+  getRecipientDetails,
+} = require('../../src/utils/feeInvoice');
+
+describe('Management Fee Invoices', () => {
+  const invoice = {
+    invoiceType: 'invoice',
+    invoiceNumber: 'F-000001',
+    subtotal: 1000,
+    vatRate: 16,
+    vatAmount: 160,
+    total: 1160,
+    creditedAmount: 0,
+  };
+
+  describe('buildFeeInvoice', () => {
+    test('should break the net fee into fee, discount and offset lines with its VAT', () => {
+      const result = buildFeeInvoice(
+        { management_fee_gross: 2000, management_fee_discount: 200, fee_offset_amount: 500, fee_income_offset_amount: 300, management_fee_net: 1300, vat_amount: '208' },
+        { callNumber: 3, vatRate: 16 }
+      );
+
+      expect(result.lineItems).toEqual([
+        { description: 'Management fee - Capital Call #3', amount: 2000 },
+        { description: 'Less: management fee discount', amount: -200 },
+        { description: 'Less: management fee offset', amount: -200 },
+        { description: 'Less: GP fee income offset', amount: -300 },
+      ]);
+      expect(result).toMatchObject({ subtotal: 1300, vatRate: 16, vatAmount: 208, total: 1508 });
+    });
+
+    test('should use the structure VAT rate and map the base currency to its ISO code', () => {
+      const result = buildFeeInvoice({ management_fee_net: 500, vat_amount: 80 }, { callNumber: 1 }, { vatRate: '16' });
+
+      expect(result.lineItems).toHaveLength(1);
+      expect(result.vatRate).toBe(16);
+      expect(getInvoiceCurrency({ baseCurrency: 'MX' })).toBe('MXN');
+      expect(getInvoiceCurrency({ baseCurrency: 'EUR' })).toBe('EUR');
+    });
+
+    test('should default to USD when the structure has no base currency', () => {
+      expect(getInvoiceCurrency({})).toBe('USD');
+      expect(getInvoiceCurrency(null)).toBe('USD');
+    });
+  });
+
+  describe('validateCreditAmount', () => {
+    test('should reject credit notes over what is left to credit', () => {
+      expect(validateCreditAmount(invoice, 1160)).toBeNull();
+      expect(validateCreditAmount({ ...invoice, creditedAmount: 580 }, 600)).toMatch(/exceeds the 580/);
+      expect(validateCreditAmount({ ...invoice, creditedAmount: 1160 }, 10)).toMatch(/fully credited/);
+      expect(validateCreditAmount({ ...invoice, invoiceType: 'credit_note' }, 10)).toMatch(/only be issued against invoices/);
+    });
+  });
+
+  describe('buildCreditNote', () => {
+    test('should split a partial credit between subtotal and VAT and mark the invoice partially credited', () => {
+      expect(buildCreditNote(invoice, 580, 'Fee rate correction')).toEqual({
+        lineItems: [{ description: 'Credit to invoice F-000001 - Fee rate correction', amount: 500 }],
+        subtotal: 500,
+        vatRate: 16,
+        vatAmount: 80,
+        total: 580,
+        creditedAmount: 580,
+        status: 'partially_credited',
+      });
+    });
+
+    test('should credit what is left by default and mark the invoice credited', () => {
+      const result = buildCreditNote({ ...invoice, creditedAmount: 580 });
+
+      expect(result).toMatchObject({ subtotal: 500, vatAmount: 80, total: 580, creditedAmount: 1160, status: 'credited' });
+    });
+  });
+
+  describe('getRecipientDetails', () => {
+    test('should prefer the institution name and RFC and join the fiscal address', () => {
+      expect(getRecipientDetails({
+        firstName: 'Ana',
+        lastName: 'Lopez',
+        institutionName: 'Family Office SA de CV',
+        email: 'ana@example.com',
+        rfc: 'FOS010101AB1',
+        taxId: 'X-1',
+        addressLine1: 'Av. Reforma 100',
+        city: 'CDMX',
+        state: 'CDMX',
+        postalCode: '06600',
+        country: 'MX',
+      })).toEqual({
+        name: 'Family Office SA de CV',
+        taxId: 'FOS010101AB1',
+        address: 'Av. Reforma 100, CDMX, CDMX, 06600 MX',
+        email: 'ana@example.com',
+      });
+    });
+  });
+});
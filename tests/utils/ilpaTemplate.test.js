@@ -0,0 +1,100 @@
+/**
+ * ILPA Reporting Template Calculation Tests
+ * Tests for src/utils/ilpaTemplate.js
+ */
+
+const {
+  isCountedCall,
+  summarizeManagementFees,
+  summarizeCarriedInterest,
+  rollForwardCapitalAccount,
+  summarizeCapitalAccountStatement,
+  reconcile,
+} = require('../../src/utils/ilpaTemplate');
+
+describe('ILPA Reporting Template', () => {
+  describe('isCountedCall', () => {
+    test('should count approved, sent and paid calls but not pending or cancelled ones', () => {
+      expect(isCountedCall({ status: 'Pending', approval_status: 'approved' })).toBe(true);
+      expect(isCountedCall({ status: 'Sent' })).toBe(true);
+      expect(isCountedCall({ status: 'Pending', approval_status: 'pending' })).toBe(false);
+      expect(isCountedCall({ status: 'Cancelled', approval_status: 'approved' })).toBe(false);
+    });
+  });
+
+  describe('summarizeManagementFees', () => {
+    test('should report GP fee income offsets apart from other fee offsets', () => {
+      expect(summarizeManagementFees([
+        { management_fee_gross: 10000, management_fee_discount: 1000, fee_offset_amount: 2500, fee_income_offset_amount: 2000, management_fee_net: 6500, vat_amount: 1300 },
+        { management_fee_gross: '5000', management_fee_discount: 0, fee_offset_amount: 0, management_fee_net: '5000', vat_amount: 0 },
+      ])).toEqual({
+        gross: 15000,
+        waivers: 1000,
+        feeOffsets: 500,
+        feeIncomeOffsets: 2000,
+        net: 11500,
+        vat: 1300,
+      });
+    });
+  });
+
+  describe('summarizeCarriedInterest', () => {
+    test('should total GP carry on distributions and the carry taken from LP allocations', () => {
+      expect(summarizeCarriedInterest(
+        [{ gp_total_amount: 20000 }, { gp_total_amount: '5000.5' }],
+        [{ carried_interest_amount: 15000 }, { carried_interest_amount: 10000.5 }]
+      )).toEqual({ gpTotal: 25000.5, lpAllocated: 25000.5 });
+    });
+  });
+
+  describe('rollForwardCapitalAccount', () => {
+    test('should roll the capital account forward through the period', () => {
+      const movements = [
+        { date: '2024-06-30', contribution: 100000 },
+        { date: '2024-11-15', distribution: 20000 },
+        { date: '2025-02-01', contribution: 50000 },
+        { date: '2025-03-15', distribution: 10000 },
+        { date: '2025-04-10', contribution: 30000 },
+      ];
+
+      expect(rollForwardCapitalAccount(movements, { startDate: '2025-01-01', endDate: '2025-03-31' })).toEqual({
+        opening: 80000,
+        contributions: 50000,
+        distributions: 10000,
+        closing: 120000,
+      });
+    });
+  });
+
+  describe('summarizeCapitalAccountStatement', () => {
+    test('should total approved calls and reinvested subscriptions less distributions up to the end date', () => {
+      const paidCall = { status: 'Paid', call_date: '2024-12-15' };
+      expect(summarizeCapitalAccountStatement({
+        callAllocations: [
+          { total_due: 60000, capital_call: paidCall },
+          { total_due: '30000', capital_call: { status: 'Sent', call_date: '2025-02-01' } },
+          { total_due: 5000, capital_call: { status: 'Pending', approval_status: 'pending', call_date: '2025-03-01' } },
+          { total_due: 7000, capital_call: { status: 'Paid', call_date: '2025-05-01' } },
+        ],
+        distributionAllocations: [
+          { allocated_amount: 12000, distribution: { distribution_date: '2025-03-15' } },
+          { allocated_amount: 4000, distribution: { distribution_date: '2025-06-30' } },
+        ],
+        reinvestedSubscriptions: 2000,
+        endDate: '2025-03-31',
+      })).toEqual({ called: 90000, distributed: 12000, reinvestedSubscriptions: 2000, closing: 80000 });
+    });
+  });
+
+  describe('reconcile', () => {
+    test('should pass checks within one cent and report the difference otherwise', () => {
+      expect(reconcile([
+        { check: 'ties', expected: 100, actual: 100.004 },
+        { check: 'breaks', expected: 100, actual: 98.5 },
+      ])).toEqual([
+        { check: 'ties', expected: 100, actual: 100, difference: 0, passed: true },
+        { check: 'breaks', expected: 100, actual: 98.5, difference: -1.5, passed: false },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * In-Kind Distribution Allocation Tests
+ * Tests for src/utils/inKindDistribution.js
+ */
+
+const { getInKindValue, allocateInKindUnits } = require('../../src/utils/inKindDistribution');
+
+const ALLOCATIONS = [
+  { userId: 'lp-1', allocatedAmount: 50000 },
+  { userId: 'lp-2', allocatedAmount: 30000 },
+  { userId: 'lp-3', allocatedAmount: 20000 }
+];
+
+describe('In-Kind Distribution Allocation', () => {
+  describe('getInKindValue', () => {
+    test('should value the units at the value per unit', () => {
+      expect(getInKindValue({ unitValue: 12.5, totalUnits: 1000 })).toBe(12500);
+      expect(getInKindValue(null)).toBe(0);
+    });
+  });
+
+  describe('allocateInKindUnits', () => {
+    test('should round units down and pay fractions as cash in lieu', () => {
+      // 3,333 units at 15 = 49,995 of a 100,000 distribution
+      const result = allocateInKindUnits({
+        allocations: ALLOCATIONS,
+        totalAmount: 100000,
+        inKind: { unitValue: 15, totalUnits: 3333, unitDecimals: 0, rounding: 'round_down' }
+      });
+
+      expect(result.allocations.map(a => a.units)).toEqual([1666, 999, 666]);
+      expect(result.unitsAllocated).toBe(3331);
+      expect(result.unitsRetained).toBe(2);
+      expect(result.allocations[0]).toMatchObject({ inKindValue: 24990, cashInLieu: 7.5, cashAmount: 25010 });
+      expect(result.allocations[1].cashInLieu).toBeCloseTo(13.5, 2);
+    });
+
+    test('should deliver the whole units to the largest fractions', () => {
+      const result = allocateInKindUnits({
+        allocations: ALLOCATIONS,
+        totalAmount: 100000,
+        inKind: { unitValue: 15, totalUnits: 3333, unitDecimals: 0, rounding: 'largest_remainder' }
+      });
+
+      // Entitlements: 1666.5, 999.9, 666.6 - two extra units go to lp-2 and lp-3
+      expect(result.allocations.map(a => a.units)).toEqual([1666, 1000, 667]);
+      expect(result.unitsAllocated).toBe(3333);
+      expect(result.allocations[1].cashInLieu).toBeCloseTo(-1.5, 2);
+    });
+
+    test('should keep the GP share of the units with the fund', () => {
+      // LPs receive 80,000 of a 100,000 distribution that is entirely in kind
+      const result = allocateInKindUnits({
+        allocations: [{ userId: 'lp-1', allocatedAmount: 80000 }],
+        totalAmount: 100000,
+        inKind: { unitValue: 100, totalUnits: 1000 }
+      });
+
+      expect(result.inKindShare).toBe(1);
+      expect(result.allocations[0]).toMatchObject({ units: 800, cashAmount: 0, cashInLieu: 0 });
+      expect(result.unitsRetained).toBe(200);
+    });
+
+    test('should allocate fractional units to the unit decimals', () => {
+      const result = allocateInKindUnits({
+        allocations: [{ userId: 'lp-1', allocatedAmount: 1000 }],
+        totalAmount: 1000,
+        inKind: { unitValue: 3, totalUnits: 333.33, unitDecimals: 2 }
+      });
+
+      expect(result.allocations[0].units).toBe(333.33);
+      expect(result.allocations[0].cashAmount).toBe(0.01);
+    });
+  });
+});
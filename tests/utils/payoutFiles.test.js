@@ -0,0 +1,105 @@
+/**
+ * Bank Payout Files Tests
+ * Tests for src/utils/payoutFiles.js
+ */
+
+const {
+  isValidRoutingNumber,
+  isValidIban,
+  isValidClabe,
+  buildNachaFile,
+  buildSepaXml,
+  buildSpeiCsv,
+} = require('../../src/utils/payoutFiles');
+
+describe('Bank Payout Files', () => {
+  const createdAt = new Date('2024-06-14T15:30:00Z');
+
+  describe('account validation', () => {
+    test('should check ABA routing numbers', () => {
+      expect(isValidRoutingNumber('021000021')).toBe(true);
+      expect(isValidRoutingNumber('021000022')).toBe(false);
+      expect(isValidRoutingNumber('12345')).toBe(false);
+    });
+
+    test('should check IBANs', () => {
+      expect(isValidIban('DE89 3704 0044 0532 0130 00')).toBe(true);
+      expect(isValidIban('DE88370400440532013000')).toBe(false);
+    });
+
+    test('should check CLABEs', () => {
+      expect(isValidClabe('002010077777777771')).toBe(true);
+      expect(isValidClabe('002010077777777772')).toBe(false);
+    });
+  });
+
+  describe('buildNachaFile', () => {
+    test('should build a blocked PPD credit file with entry hash and totals', () => {
+      const { content, totalAmount, itemCount } = buildNachaFile({
+        originator: { name: 'Fund I LP', companyId: '1234567890', routingNumber: '021000021', bankName: 'Chase' },
+        items: [
+          { reference: 'ALLOC1', name: 'José Pérez', amount: 1234.56, routingNumber: '011000015', accountNumber: '12345678' },
+          { reference: 'ALLOC2', name: 'Ana Ruiz', amount: 100, routingNumber: '021000021', accountNumber: '999', accountType: 'savings' },
+        ],
+        effectiveDate: '2024-06-17',
+        createdAt,
+      });
+      const records = content.trim().split('\n');
+
+      expect(records).toHaveLength(10);
+      records.forEach(record => expect(record).toHaveLength(94));
+      expect(records[1].slice(69, 75)).toBe('240617');
+      expect(records[2].slice(0, 12)).toBe('622011000015');
+      expect(records[2].slice(29, 39)).toBe('0000123456');
+      expect(records[2].slice(54, 76).trim()).toBe('JOSE PEREZ');
+      expect(records[3].slice(0, 3)).toBe('632');
+      // Entry hash: 01100001 + 02100002
+      expect(records[4].slice(10, 20)).toBe('0003200003');
+      expect(records[5].slice(0, 1)).toBe('9');
+      expect(records[5].slice(43, 55)).toBe('000000133456');
+      expect(records[9]).toBe('9'.repeat(94));
+      expect(totalAmount).toBe(1334.56);
+      expect(itemCount).toBe(2);
+    });
+  });
+
+  describe('buildSepaXml', () => {
+    test('should build a pain.001 credit transfer with control sum', () => {
+      const { content, totalAmount } = buildSepaXml({
+        messageId: 'DIST-1',
+        originator: { name: 'Fund I SCSp', iban: 'LU280019400644750000', bic: 'BCEELULL' },
+        items: [
+          { reference: 'ALLOC1', name: 'Müller & Co', amount: 1500.5, iban: 'DE89 3704 0044 0532 0130 00', bic: 'COBADEFFXXX' },
+          { reference: 'ALLOC2', name: 'Jean Dupont', amount: 250, iban: 'FR1420041010050500013M02606' },
+        ],
+        executionDate: '2024-06-17',
+        createdAt,
+      });
+
+      expect(content).toContain('urn:iso:std:iso:20022:tech:xsd:pain.001.001.03');
+      expect(content).toContain('<NbOfTxs>2</NbOfTxs>');
+      expect(content).toContain('<CtrlSum>1750.50</CtrlSum>');
+      expect(content).toContain('<ReqdExctnDt>2024-06-17</ReqdExctnDt>');
+      expect(content).toContain('<Nm>MULLER &amp; CO</Nm>');
+      expect(content).toContain('<IBAN>DE89370400440532013000</IBAN>');
+      expect(content).toContain('<InstdAmt Ccy="EUR">1500.50</InstdAmt>');
+      expect(totalAmount).toBe(1750.5);
+    });
+  });
+
+  describe('buildSpeiCsv', () => {
+    test('should list one transfer per CLABE with numeric references', () => {
+      const { content, totalAmount } = buildSpeiCsv({
+        originator: { clabe: '002010077777777771' },
+        items: [
+          { reference: 'alloc-1', name: 'Peña, María', amount: 5000, clabe: '002010077777777771', rfc: 'pema800101abc', email: 'maria@example.com' },
+        ],
+      });
+      const [header, row] = content.trim().split('\n');
+
+      expect(header.split(',')[1]).toBe('Beneficiary CLABE');
+      expect(row).toBe('002010077777777771,002010077777777771,"PENA, MARIA",PEMA800101ABC,5000.00,DISTRIBUCION,0000001,ALLOC1,maria@example.com');
+      expect(totalAmount).toBe(5000);
+    });
+  });
+});
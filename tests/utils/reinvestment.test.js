@@ -0,0 +1,81 @@
+/**
+ * Distribution Reinvestment Tests
+ * Tests for src/utils/reinvestment.js
+ */
+
+const {
+  getActiveElection,
+  getCashPayable,
+  calculateReinvestment,
+  netCreditsAgainstCall,
+} = require('../../src/utils/reinvestment');
+
+describe('Distribution Reinvestment', () => {
+  describe('getActiveElection', () => {
+    const elections = [
+      { id: 'e-1', status: 'Active', effectiveDate: '2024-01-01', reinvestmentPercentage: 50 },
+      { id: 'e-2', status: 'Active', effectiveDate: '2024-06-01', reinvestmentPercentage: 100 },
+      { id: 'e-3', status: 'Revoked', effectiveDate: '2024-03-01', reinvestmentPercentage: 25 },
+    ];
+
+    test('should use the latest election effective on the distribution date', () => {
+      expect(getActiveElection(elections, '2024-04-15').id).toBe('e-1');
+      expect(getActiveElection(elections, '2024-07-01T00:00:00Z').id).toBe('e-2');
+    });
+
+    test('should return null before any election takes effect', () => {
+      expect(getActiveElection(elections, '2023-12-31')).toBeNull();
+    });
+  });
+
+  describe('getCashPayable', () => {
+    test('should deduct withholding tax and in-kind units from the allocation', () => {
+      expect(getCashPayable({
+        allocated_amount: 100000,
+        withholding_tax_amount: 10000,
+        net_to_investor: 90000,
+        in_kind_value: 30000,
+      })).toBe(60000);
+      expect(getCashPayable({ allocated_amount: 5000 })).toBe(5000);
+    });
+  });
+
+  describe('calculateReinvestment', () => {
+    test('should reinvest the elected percentage of the cash payable', () => {
+      const result = calculateReinvestment(
+        { allocated_amount: 100000, withholding_tax_amount: 10000, net_to_investor: 90000 },
+        { reinvestmentPercentage: 25, method: 'subscription' }
+      );
+
+      expect(result).toEqual({ reinvestmentAmount: 22500, cashPayable: 67500, method: 'subscription' });
+    });
+
+    test('should reinvest nothing without an election', () => {
+      expect(calculateReinvestment({ allocated_amount: 1000 }, null))
+        .toEqual({ reinvestmentAmount: 0, cashPayable: 1000, method: null });
+    });
+  });
+
+  describe('netCreditsAgainstCall', () => {
+    test('should net the oldest credits first up to the amount due', () => {
+      const result = netCreditsAgainstCall([
+        { id: 'r-1', amount: 3000, appliedAmount: 1000 },
+        { id: 'r-2', amount: 5000, appliedAmount: 0 },
+        { id: 'r-3', amount: 4000, appliedAmount: 0 },
+      ], 6000);
+
+      expect(result.total).toBe(6000);
+      expect(result.applications).toEqual([
+        { id: 'r-1', amount: 2000, remaining: 0 },
+        { id: 'r-2', amount: 4000, remaining: 1000 },
+      ]);
+    });
+
+    test('should net only what the credits cover', () => {
+      const result = netCreditsAgainstCall([{ id: 'r-1', amount: 1500, appliedAmount: 0 }], 10000);
+
+      expect(result.total).toBe(1500);
+      expect(result.applications[0].remaining).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * Waterfall Engine Tests
+ * Tests for src/utils/waterfallEngine.js
+ */
+
+const {
+  WATERFALL_ENGINE_VERSION,
+  classifyTiers,
+  calculateWaterfall,
+  calculateWholeFundWaterfall,
+  runWaterfall,
+} = require('../../src/utils/waterfallEngine');
+
+const TERMS = { hurdleRate: 8, carriedInterest: 20, prefReturnCompounding: 'compound' };
+
+const singleInvestor = (amount = 1000000, date = '2022-01-01') => ([
+  { userId: 'investor-1', ownershipPercent: 100, contributions: [{ date, amount }] },
+]);
+
+const tierAmount = (result, type) => result.tiers.find(t => t.type === type).amount;
+
+describe('Waterfall Engine', () => {
+  describe('classifyTiers', () => {
+    test('should classify the default four-tier layout', () => {
+      const tiers = classifyTiers([], TERMS);
+
+      expect(tiers.map(t => t.type)).toEqual([
+        'return_of_capital', 'preferred_return', 'catch_up', 'carried_interest',
+      ]);
+      expect(tiers[1].hurdleRate).toBe(8);
+      expect(tiers[3].gpSharePercent).toBe(20);
+    });
+
+    test('should apply the structure catch-up rate to the catch-up tier', () => {
+      const tiers = classifyTiers([], { ...TERMS, gpCatchUpRate: 50 });
+
+      expect(tiers[2]).toEqual(expect.objectContaining({ gpSharePercent: 50, lpSharePercent: 50 }));
+    });
+  });
+
+  describe('calculateWaterfall', () => {
+    test('should return capital only while contributions are unreturned', () => {
+      const result = calculateWaterfall({
+        terms: TERMS,
+        investors: singleInvestor(),
+        distribution: { date: '2024-01-01', amount: 600000 },
+      });
+
+      expect(result.version).toBe(WATERFALL_ENGINE_VERSION);
+      expect(result.lpTotal).toBe(600000);
+      expect(result.gpTotal).toBe(0);
+      expect(result.allocations[0]).toEqual(expect.objectContaining({
+        returnOfCapital: 600000,
+        unreturnedCapital: 400000,
+      }));
+    });
+
+    test('should compound the preferred return annually', () => {
+      const result = calculateWaterfall({
+        terms: TERMS,
+        investors: singleInvestor(),
+        distribution: { date: '2024-01-01', amount: 1166400 },
+      });
+
+      expect(tierAmount(result, 'return_of_capital')).toBe(1000000);
+      expect(tierAmount(result, 'preferred_return')).toBe(166400);
+      expect(result.gpTotal).toBe(0);
+    });
+
+    test('should accrue simple preferred return on unreturned capital', () => {
+      const result = calculateWaterfall({
+        terms: { ...TERMS, prefReturnCompounding: 'simple' },
+        investors: singleInvestor(),
+        distribution: { date: '2024-01-01', amount: 1166400 },
+      });
+
+      expect(tierAmount(result, 'preferred_return')).toBe(160000);
+      // The rest goes to the GP catch-up
+      expect(tierAmount(result, 'catch_up')).toBe(6400);
+    });
+
+    test('should catch the GP up to its carried interest share of profits', () => {
+      const result = calculateWaterfall({
+        terms: { ...TERMS, prefReturnCompounding: 'simple' },
+        investors: singleInvestor(1000000, '2023-01-01'),
+        distribution: { date: '2024-01-01', amount: 1500000 },
+      });
+
+      // 80,000 pref needs a 20,000 catch-up for the GP to hold 20% of 100,000 profit
+      expect(tierAmount(result, 'preferred_return')).toBe(80000);
+      expect(tierAmount(result, 'catch_up')).toBe(20000);
+      expect(tierAmount(result, 'carried_interest')).toBe(400000);
+      expect(result.gpTotal).toBe(100000);
+      expect(result.lpTotal).toBe(1400000);
+      expect(result.gpTotal / (result.lpTotal + result.gpTotal - 1000000)).toBeCloseTo(0.2, 6);
+    });
+
+    test('should split a partial catch-up at the structure catch-up rate', () => {
+      const result = calculateWaterfall({
+        terms: { ...TERMS, prefReturnCompounding: 'simple', gpCatchUpRate: 50 },
+        investors: singleInvestor(1000000, '2023-01-01'),
+        distribution: { date: '2024-01-01', amount: 1500000 },
+      });
+
+      const catchUp = result.tiers.find(t => t.type === 'catch_up');
+      // GP needs 20% of the 80,000 pref, earning a net 30% (50% share less 20% carry) of the tier
+      expect(catchUp.amount).toBeCloseTo(53333.33, 2);
+      expect(catchUp.gpAmount).toBeCloseTo(catchUp.lpAmount, 1);
+      expect(result.gpTotal / (result.lpTotal + result.gpTotal - 1000000)).toBeCloseTo(0.2, 4);
+    });
+
+    test('should skip the catch-up and still pay carry when the catch-up rate does not exceed carry', () => {
+      const result = calculateWaterfall({
+        terms: { ...TERMS, prefReturnCompounding: 'simple', gpCatchUpRate: 0 },
+        investors: singleInvestor(1000000, '2023-01-01'),
+        distribution: { date: '2024-01-01', amount: 1500000 },
+      });
+
+      // No catch-up: the 420,000 left after the pref is split 80/20
+      expect(tierAmount(result, 'catch_up')).toBe(0);
+      expect(tierAmount(result, 'carried_interest')).toBe(420000);
+      expect(result.gpTotal).toBe(84000);
+      expect(result.lpTotal).toBe(1416000);
+    });
+
+    test('should replay prior distributions before the current one', () => {
+      const result = calculateWaterfall({
+        terms: { ...TERMS, prefReturnCompounding: 'simple' },
+        investors: singleInvestor(1000000, '2023-01-01'),
+        priorDistributions: [{ id: 'dist-1', date: '2023-07-01', amount: 1000000 }],
+        distribution: { date: '2024-01-01', amount: 500000 },
+      });
+
+      expect(result.distribution.priorDistributions).toBe(1);
+      expect(tierAmount(result, 'return_of_capital')).toBe(0);
+      expect(result.allocations[0].capitalReturned).toBe(1000000);
+      // Pref only accrued on capital while it was outstanding
+      expect(tierAmount(result, 'preferred_return')).toBeCloseTo(1000000 * 0.08 * (181 / 365), 2);
+    });
+
+    test('should split proceeds by ownership and leave excluded LPs out', () => {
+      const result = calculateWaterfall({
+        terms: TERMS,
+        investors: [
+          { userId: 'investor-1', ownershipPercent: 40, contributions: [{ date: '2024-01-01', amount: 400000 }] },
+          { userId: 'investor-2', ownershipPercent: 60, contributions: [{ date: '2024-01-01', amount: 600000 }] },
+          { userId: 'investor-3', ownershipPercent: 20, contributions: [{ date: '2024-01-01', amount: 200000 }] },
+        ],
+        distribution: { date: '2024-01-01', amount: 500000, excludedUserIds: ['investor-3'] },
+      });
+
+      expect(result.allocations.map(a => a.userId)).toEqual(['investor-1', 'investor-2']);
+      expect(result.allocations.map(a => a.grossAmount)).toEqual([200000, 300000]);
+      expect(result.allocations[0].ownershipPercent).toBe(40);
+    });
+
+    test('should step carry up through MOIC and IRR thresholds', () => {
+      const result = calculateWaterfall({
+        tiers: [
+          { tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0 },
+          { tierNumber: 2, lpSharePercent: 100, gpSharePercent: 0, thresholdType: 'irr', thresholdIrr: 8 },
+          { tierNumber: 3, lpSharePercent: 0, gpSharePercent: 100 },
+          { tierNumber: 4, lpSharePercent: 80, gpSharePercent: 20, thresholdType: 'moic', thresholdMultiple: 1.2 },
+          { tierNumber: 5, lpSharePercent: 75, gpSharePercent: 25, thresholdType: 'irr', thresholdIrr: 25 },
+          { tierNumber: 6, lpSharePercent: 70, gpSharePercent: 30 },
+        ],
+        terms: { ...TERMS, prefReturnCompounding: 'simple' },
+        investors: singleInvestor(1000000, '2023-01-01'),
+        distribution: { date: '2024-01-01', amount: 3000000 },
+      });
+
+      // Catch-up only to the 20% of the tier that follows it
+      expect(result.tiers[2].amount).toBe(20000);
+      // LP reaches 1.2x: 1,080,000 received so far plus 120,000 at 80%
+      expect(result.tiers[3].amount).toBe(150000);
+      // 25% IRR needs 250,000 of profit; 200,000 was paid in tiers 2 and 4
+      expect(result.tiers[4].amount).toBeCloseTo(66666.67, 2);
+      expect(result.tiers[5].amount).toBeCloseTo(1683333.33, 2);
+      expect(result.lpTotal + result.gpTotal).toBe(3000000);
+    });
+
+    test('should cap a tier at a multiple of contributed capital', () => {
+      const result = calculateWaterfall({
+        tiers: [
+          { tierNumber: 1, lpSharePercent: 100, gpSharePercent: 0 },
+          { tierNumber: 2, lpSharePercent: 90, gpSharePercent: 10, thresholdType: 'multiple', thresholdMultiple: 1.5 },
+          { tierNumber: 3, lpSharePercent: 70, gpSharePercent: 30 },
+        ],
+        terms: TERMS,
+        investors: singleInvestor(),
+        distribution: { date: '2024-01-01', amount: 2000000 },
+      });
+
+      expect(result.tiers.map(t => t.amount)).toEqual([1000000, 500000, 500000]);
+      expect(result.gpTotal).toBe(200000);
+    });
+
+    test('should trace every tier step by step for each LP', () => {
+      const result = calculateWaterfall({
+        terms: TERMS,
+        investors: singleInvestor(),
+        distribution: { date: '2024-01-01', amount: 1500000 },
+      });
+
+      expect(result.tiers).toHaveLength(4);
+      result.tiers.forEach(tier => {
+        expect(tier.steps).toHaveLength(1);
+        expect(tier.steps[0]).toEqual(expect.objectContaining({ userId: 'investor-1', note: expect.any(String) }));
+      });
+      expect(result.tiers[0].steps[0].note).toContain('Unreturned capital 1,000,000.00');
+      expect(result.lpTotal + result.gpTotal).toBe(1500000);
+    });
+
+    test('should run each investor class through its own terms', () => {
+      const investors = [
+        { userId: 'anchor', ownershipPercent: 50, investorClassId: 'class-a', contributions: [{ date: '2020-01-01', amount: 1000000 }] },
+        { userId: 'investor-2', ownershipPercent: 50, contributions: [{ date: '2020-01-01', amount: 1000000 }] },
+      ];
+
+      const result = calculateWaterfall({
+        terms: TERMS,
+        investors,
+        classes: [{ id: 'class-a', name: 'Anchor', carriedInterest: 10 }],
+        distribution: { date: '2025-01-01', amount: 4000000 },
+      });
+
+      const [structureClass, anchorClass] = result.classes;
+      expect(structureClass).toEqual(expect.objectContaining({ investorClassId: null, userIds: ['investor-2'], gpTotal: 200000, carriedInterest: 20 }));
+      expect(anchorClass).toEqual(expect.objectContaining({ investorClassId: 'class-a', name: 'Anchor', userIds: ['anchor'], gpTotal: 100000, carriedInterest: 10 }));
+      expect(anchorClass.grossAmount).toBe(2000000);
+      // Class waterfalls add up to the fund totals
+      expect(result.gpTotal).toBe(300000);
+      expect(result.lpTotal + result.gpTotal).toBe(4000000);
+      expect(result.tiers.reduce((sum, t) => sum + t.amount, 0)).toBeCloseTo(4000000, 2);
+      expect(result.allocations.find(a => a.userId === 'anchor').investorClassId).toBe('class-a');
+    });
+
+    test('should use a class\'s own tiers in place of the structure\'s', () => {
+      const investors = [
+        { userId: 'gp-commit', ownershipPercent: 10, investorClassId: 'class-gp', contributions: [{ date: '2020-01-01', amount: 100000 }] },
+        { userId: 'investor-2', ownershipPercent: 90, contributions: [{ date: '2020-01-01', amount: 900000 }] },
+      ];
+
+      const result = calculateWaterfall({
+        terms: TERMS,
+        investors,
+        classes: [{
+          id: 'class-gp',
+          name: 'GP Commit',
+          tiers: [{ tierNumber: 1, tierName: 'No Carry', lpSharePercent: 100, gpSharePercent: 0 }],
+        }],
+        distribution: { date: '2025-01-01', amount: 2000000 },
+      });
+
+      const gpCommit = result.allocations.find(a => a.userId === 'gp-commit');
+      expect(gpCommit).toEqual(expect.objectContaining({ grossAmount: 200000, lpAmount: 200000, gpAmount: 0 }));
+      expect(result.classes.find(c => c.investorClassId === 'class-gp').tiers).toEqual([
+        expect.objectContaining({ tierNumber: 1, tierName: 'No Carry', amount: 200000 }),
+      ]);
+      // Tier 1 adds the class's no-carry tier to the structure's return of capital
+      expect(result.tiers[0]).toEqual(expect.objectContaining({ tierName: 'Return of Capital', amount: 1100000 }));
+      expect(result.lpTotal + result.gpTotal).toBe(2000000);
+    });
+  });
+
+  describe('calculateWholeFundWaterfall', () => {
+    test('should run every distribution through one waterfall', () => {
+      const result = calculateWholeFundWaterfall({
+        terms: { ...TERMS, prefReturnCompounding: 'simple' },
+        investors: singleInvestor(1000000, '2023-01-01'),
+        distributions: [
+          { id: 'dist-2', date: '2024-01-01', amount: 500000 },
+          { id: 'dist-1', date: '2023-07-01', amount: 1000000 },
+        ],
+      });
+
+      expect(result.distributions.map(d => d.id)).toEqual(['dist-1', 'dist-2']);
+      // The first distribution only returns capital
+      expect(result.distributions[0].gpAmount).toBe(0);
+      expect(result.lpTotal + result.gpTotal).toBe(1500000);
+      expect(result.investors[0]).toEqual(expect.objectContaining({ userId: 'investor-1', gpAmount: result.gpTotal }));
+    });
+  });
+
+  describe('runWaterfall', () => {
+    const dealInvestor = (userId) => ({
+      userId,
+      ownershipPercent: 50,
+      contributions: [
+        { date: '2023-01-01', amount: 300000, category: 'investment', investmentId: 'deal-1' },
+        { date: '2023-01-01', amount: 200000, category: 'investment', investmentId: 'deal-2' },
+        { date: '2023-01-01', amount: 50000, category: 'fees', investmentId: null },
+      ],
+    });
+    const investments = [
+      { id: 'deal-1', name: 'Deal 1', cost: 600000, fairValue: null },
+      { id: 'deal-2', name: 'Deal 2', cost: 400000, fairValue: 300000 },
+    ];
+
+    test('should return deal capital, allocable fees and other deals\' write-downs deal by deal', () => {
+      const result = runWaterfall({
+        terms: { ...TERMS, prefReturnCompounding: 'simple', waterfallType: 'American' },
+        investors: [dealInvestor('investor-1'), dealInvestor('investor-2')],
+        investments,
+        priorDistributions: [{ id: 'dist-0', date: '2023-06-01', amount: 100000, investmentId: 'deal-2' }],
+        distribution: { date: '2024-01-01', amount: 1000000, investmentId: 'deal-1' },
+      });
+
+      expect(result.waterfallType).toBe('American');
+      expect(result.deal).toEqual(expect.objectContaining({ investmentName: 'Deal 1', dealSharePercent: 60 }));
+      // Only deal-1 distributions are replayed
+      expect(result.distribution.priorDistributions).toBe(0);
+      // 600,000 deal capital + 60% of 100,000 fees + 100,000 deal-2 write-down
+      expect(tierAmount(result, 'return_of_capital')).toBe(760000);
+      expect(result.allocations[0]).toEqual(expect.objectContaining({
+        dealCapital: 300000,
+        allocableCosts: 30000,
+        writeDownRecovery: 50000,
+      }));
+      expect(result.lpTotal + result.gpTotal).toBe(1000000);
+    });
+
+    test('should run the whole-fund waterfall for European structures', () => {
+      const result = runWaterfall({
+        terms: { ...TERMS, waterfallType: 'European' },
+        investors: [dealInvestor('investor-1')],
+        investments,
+        distribution: { date: '2024-01-01', amount: 400000, investmentId: 'deal-1' },
+      });
+
+      expect(result.waterfallType).toBe('European');
+      expect(result.deal).toBeUndefined();
+      // Paid fees are returned with capital in the whole-fund waterfall
+      expect(result.allocations[0].capitalContributed).toBe(550000);
+    });
+
+    test('should leave fees out of whole-fund return of capital when the structure says so', () => {
+      const result = runWaterfall({
+        terms: { ...TERMS, waterfallType: 'European', returnFeesWithCapital: false },
+        investors: [dealInvestor('investor-1')],
+        investments,
+        distribution: { date: '2024-01-01', amount: 400000, investmentId: 'deal-1' },
+      });
+
+      expect(result.allocations[0].capitalContributed).toBe(500000);
+    });
+
+    test('should fall back to the whole-fund waterfall when no investment is realized', () => {
+      const result = runWaterfall({
+        terms: { ...TERMS, waterfallType: 'American' },
+        investors: [dealInvestor('investor-1')],
+        investments,
+        distribution: { date: '2024-01-01', amount: 400000 },
+      });
+
+      expect(result.waterfallType).toBe('European');
+      expect(result.modeNote).toEqual(expect.any(String));
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Withholding Tax Engine Tests
+ * Tests for src/utils/withholdingTax.js
+ */
+
+const {
+  getInvestorTaxProfile,
+  getProfileRate,
+  splitBySource,
+  calculateWithholding,
+} = require('../../src/utils/withholdingTax');
+
+const STRUCTURE = {
+  taxJurisdiction: 'Mexico',
+  withholdingTaxOnDistributions: 5,
+  withholdingTaxNaturalResidents: 10,
+  withholdingTaxNaturalNonResidents: 20,
+  withholdingTaxLegalResidents: null,
+  withholdingTaxLegalNonResidents: 25,
+  sameTaxTreatment: false,
+};
+
+const NON_RESIDENT_ENTITY = { investorType: 'Institution', country: 'Spain' };
+
+describe('Withholding Tax Engine', () => {
+  describe('getInvestorTaxProfile', () => {
+    test('should classify natural persons and legal entities by residence', () => {
+      expect(getInvestorTaxProfile({ investorType: 'Individual', country: 'mexico' }, STRUCTURE).category)
+        .toBe('natural_resident');
+      expect(getInvestorTaxProfile(NON_RESIDENT_ENTITY, STRUCTURE).category).toBe('legal_non_resident');
+    });
+
+    test('should treat every LP as resident when the structure has no tax jurisdiction', () => {
+      expect(getInvestorTaxProfile(NON_RESIDENT_ENTITY, {}).resident).toBe(true);
+    });
+  });
+
+  describe('getProfileRate', () => {
+    test('should use the profile rate and fall back to the general rate', () => {
+      expect(getProfileRate(STRUCTURE, 'natural_non_resident')).toBe(20);
+      expect(getProfileRate(STRUCTURE, 'legal_resident')).toBe(5);
+    });
+
+    test('should apply the general rate to every profile with same tax treatment', () => {
+      expect(getProfileRate({ ...STRUCTURE, sameTaxTreatment: true }, 'legal_non_resident')).toBe(5);
+    });
+  });
+
+  describe('splitBySource', () => {
+    test('should split in proportion to the source breakdown with the remainder on the last source', () => {
+      expect(splitBySource(100, { sourceEquityGain: 1, sourceDebtInterest: 1, sourceOther: 1 })).toEqual([
+        { source: 'equity_gain', amount: 33.33 },
+        { source: 'debt_interest', amount: 33.33 },
+        { source: 'other', amount: 33.34 },
+      ]);
+    });
+
+    test('should count a distribution without a breakdown as equity gain', () => {
+      expect(splitBySource(1000, {})).toEqual([{ source: 'equity_gain', amount: 1000 }]);
+    });
+  });
+
+  describe('calculateWithholding', () => {
+    const distribution = { distributionDate: '2024-06-30', sourceEquityGain: 600, sourceDebtInterest: 200, sourceDebtPrincipal: 200 };
+
+    test('should withhold at the profile rate and not tax debt principal', () => {
+      const result = calculateWithholding({ amount: 100000, distribution, structure: STRUCTURE, investor: NON_RESIDENT_ENTITY });
+
+      expect(result.withheldAmount).toBe(20000);
+      expect(result.netAmount).toBe(80000);
+      expect(result.effectiveRate).toBe(20);
+      expect(result.sources.find(s => s.source === 'debt_principal')).toEqual(
+        expect.objectContaining({ gross: 20000, withheld: 0, basis: 'not_taxable' })
+      );
+    });
+
+    test('should not tax the return of capital in the LP share', () => {
+      const result = calculateWithholding({ amount: 100000, returnOfCapital: 60000, structure: STRUCTURE, investor: NON_RESIDENT_ENTITY });
+
+      expect(result.grossAmount).toBe(100000);
+      expect(result.withheldAmount).toBe(10000);
+      expect(result.netAmount).toBe(90000);
+      expect(result.sources).toEqual([
+        expect.objectContaining({ source: 'return_of_capital', gross: 60000, withheld: 0, basis: 'not_taxable' }),
+        expect.objectContaining({ source: 'equity_gain', gross: 40000, rate: 25, withheld: 10000 })
+      ]);
+    });
+
+    test('should cap the rate at a treaty rate for the income sources it covers', () => {
+      const elections = [{ id: 'e-1', electionType: 'treaty', rate: 10, incomeSources: ['debt_interest'], effectiveDate: '2024-01-01', status: 'Active' }];
+
+      const result = calculateWithholding({ amount: 100000, distribution, structure: STRUCTURE, investor: NON_RESIDENT_ENTITY, elections });
+
+      expect(result.sources.find(s => s.source === 'equity_gain')).toEqual(expect.objectContaining({ rate: 25, basis: 'profile' }));
+      expect(result.sources.find(s => s.source === 'debt_interest')).toEqual(
+        expect.objectContaining({ rate: 10, withheld: 2000, basis: 'treaty', electionId: 'e-1' })
+      );
+      expect(result.withheldAmount).toBe(17000);
+    });
+
+    test('should ignore treaty rates above the profile rate', () => {
+      const elections = [{ id: 'e-1', electionType: 'treaty', rate: 30, effectiveDate: '2024-01-01', status: 'Active' }];
+
+      const result = calculateWithholding({ amount: 1000, structure: STRUCTURE, investor: NON_RESIDENT_ENTITY, elections });
+
+      expect(result.withheldAmount).toBe(250);
+    });
+
+    test('should not withhold for an exemption in force on the distribution date', () => {
+      const exemption = { id: 'e-2', electionType: 'exemption', effectiveDate: '2024-01-01', expiryDate: '2024-12-31', status: 'Active' };
+
+      const exempt = calculateWithholding({ amount: 1000, distribution: { distributionDate: '2024-06-30' }, structure: STRUCTURE, investor: NON_RESIDENT_ENTITY, elections: [exemption] });
+      const expired = calculateWithholding({ amount: 1000, distribution: { distributionDate: '2025-06-30' }, structure: STRUCTURE, investor: NON_RESIDENT_ENTITY, elections: [exemption] });
+
+      expect(exempt.withheldAmount).toBe(0);
+      expect(exempt.sources[0].basis).toBe('exemption');
+      expect(expired.withheldAmount).toBe(250);
+    });
+  });
+});